@@ -12,6 +12,9 @@ require('dotenv').config();
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
 const logger = require('./src/utils/logger');
+const { startErasureScheduler } = require('./src/utils/erasure');
+const Exercise = require('./src/models/Exercise');
+const Food = require('./src/models/Food');
 
 // Get port from environment or default to 3000
 const PORT = process.env.PORT || 3000;
@@ -28,6 +31,24 @@ const startServer = async () => {
     logger.info('📊 Connecting to MongoDB database...');
     await connectDB();
     
+    // Add any missing standard exercises to the catalog
+    // A failed seed is not fatal - the catalog can still be managed through the API
+    try {
+      await Exercise.seedStandardLibrary();
+    } catch (error) {
+      logger.error('Failed to seed standard exercise library', { error: error.message });
+    }
+    
+    // Add any missing standard foods to the food database
+    try {
+      await Food.seedStandardLibrary();
+    } catch (error) {
+      logger.error('Failed to seed standard food library', { error: error.message });
+    }
+    
+    // Carry out account erasures whose grace period has ended
+    startErasureScheduler();
+    
     // Start Express server
     const server = app.listen(PORT, () => {
       logger.success(`🎉 Server running successfully on port ${PORT}`);
@@ -47,6 +68,53 @@ const startServer = async () => {
       logger.info(`   • GET  /api/v1/workouts/:id   - Get workout by ID`);
       logger.info(`   • PUT  /api/v1/workouts/:id   - Update workout`);
       logger.info(`   • DELETE /api/v1/workouts/:id - Delete workout`);
+      logger.info(`   • POST /api/v1/workouts/from-template/:templateId - Log workout from template`);
+      logger.info(`   • GET  /api/v1/exercises      - Search exercise catalog`);
+      logger.info(`   • POST /api/v1/exercises      - Add catalog exercise (coach/admin)`);
+      logger.info(`   • GET  /api/v1/foods          - Search food database`);
+      logger.info(`   • POST /api/v1/foods          - Add a food`);
+      logger.info(`   • GET  /api/v1/templates      - List workout templates`);
+      logger.info(`   • POST /api/v1/templates      - Create workout template`);
+      logger.info(`   • GET  /api/v1/schedules      - List recurring schedules`);
+      logger.info(`   • POST /api/v1/schedules      - Create recurring schedule (RRULE)`);
+      logger.info(`   • PUT  /api/v1/schedules/:id?from= - Edit this and following occurrences`);
+      logger.info(`   • POST /api/v1/schedules/:id/exceptions - Skip one occurrence`);
+      logger.info(`   • POST /api/v1/schedules/:id/workouts - Create planned workouts from occurrences`);
+      logger.info(`   • GET  /api/v1/programs       - List training programs`);
+      logger.info(`   • POST /api/v1/programs       - Create training program`);
+      logger.info(`   • POST /api/v1/programs/:id/enrollments - Enroll and plan program workouts`);
+      logger.info(`   • GET  /api/v1/tokens         - List personal access tokens`);
+      logger.info(`   • POST /api/v1/tokens         - Create personal access token`);
+      logger.info(`   • DELETE /api/v1/tokens/:id   - Revoke personal access token`);
+      logger.info(`   • GET  /api/v1/users/:id/records - Personal records`);
+      logger.info(`   • GET  /api/v1/users/:id/schedule - Planned and logged workouts`);
+      logger.info(`   • GET  /api/v1/users/:id/programs/:programId/progress - Program adherence`);
+      logger.info(`   • POST /api/v1/users/:id/measurements - Record body measurement`);
+      logger.info(`   • GET  /api/v1/users/:id/measurements/trends - Smoothed measurement trend`);
+      logger.info(`   • GET  /api/v1/users/:id/goals - Goals with progress and projections`);
+      logger.info(`   • POST /api/v1/users/:id/goals - Set a goal`);
+      logger.info(`   • POST /api/v1/users/:id/food-log - Log food eaten`);
+      logger.info(`   • GET  /api/v1/users/:id/nutrition - Daily nutrition totals`);
+      logger.info(`   • GET  /api/v1/users/:id/energy-balance - Daily calories in vs. out`);
+      logger.info(`   • PUT  /api/v1/users/:id/wellness/:date - Record sleep, hydration and recovery`);
+      logger.info(`   • GET  /api/v1/users/:id/readiness - Stats with readiness score`);
+      logger.info(`   • GET  /api/v1/users/:id/calendar.ics?token= - Workout calendar feed`);
+      logger.info(`   • POST /api/v1/users/:id/calendar-token - Create calendar feed URL`);
+      logger.info(`   • GET  /api/v1/users/:id/exercises/:exercise/progress - Strength progression`);
+      logger.info(`   • POST /api/v1/users/:id/export - Download personal data`);
+      logger.info(`   • POST /api/v1/users/:id/erasure - Schedule account erasure`);
+      logger.info(`   • GET  /api/v1/audit          - Audit log (admin)`);
+      logger.info(`   • GET  /api/v1/users/:id/audit - Account audit history`);
+      logger.info(`   • POST /auth/register         - Sign up with email and password`);
+      logger.info(`   • POST /auth/login            - Log in with email and password`);
+      logger.info(`   • POST /auth/email/verify     - Verify email address`);
+      logger.info(`   • POST /auth/2fa/setup        - Start two-factor enrollment`);
+      logger.info(`   • POST /auth/2fa/verify       - Finish a two-factor login`);
+      logger.info(`   • GET  /auth/sessions         - List active sessions`);
+      logger.info(`   • DELETE /auth/sessions       - Sign out of all devices`);
+      logger.info(`   • GET  /auth/identities       - List linked OAuth identities`);
+      logger.info(`   • POST /auth/token            - Exchange login for JWT tokens`);
+      logger.info(`   • POST /auth/refresh          - Rotate refresh token`);
     });
     
     // Graceful shutdown handlers
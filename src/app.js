@@ -3,6 +3,7 @@
  * Sets up Express application with middleware and routes
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -10,6 +11,7 @@ const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
 const session = require('express-session');
 const passport = require('./config/passport');
+const MongooseSessionStore = require('./config/sessionStore');
 
 const logger = require('./utils/logger');
 const swaggerSpec = require('./config/swagger');
@@ -18,7 +20,14 @@ const { notFound, errorHandler } = require('./middleware/errorHandler');
 // Import route
 const userRoutes = require('./routes/userRoutes');
 const workoutRoutes = require('./routes/workoutRoutes');
+const exerciseRoutes = require('./routes/exerciseRoutes');
+const foodRoutes = require('./routes/foodRoutes');
+const templateRoutes = require('./routes/templateRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const programRoutes = require('./routes/programRoutes');
 const authRoutes = require('./routes/authRoutes');
+const tokenRoutes = require('./routes/tokenRoutes');
+const auditRoutes = require('./routes/auditRoutes');
 
 
 logger.info('Initializing Express application...');
@@ -81,9 +90,11 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // ========== SESSION & AUTHENTICATION MIDDLEWARE ==========
 
 // Session configuration for Passport (Production-ready for Render)
+// Sessions are stored in MongoDB so they survive restarts and can be listed per user
 logger.info('Configuring session middleware...');
 app.use(session({
   secret: process.env.SESSION_SECRET || 'fitness-tracker-secret-key-change-in-production',
+  store: new MongooseSessionStore(),
   resave: false,
   saveUninitialized: false,
   name: 'fitness.sid', // Custom session name for security
@@ -103,11 +114,37 @@ app.use(passport.session());
 
 // ========== REQUEST LOGGING MIDDLEWARE ==========
 
+// Body and query fields that must never reach the logs
+const SENSITIVE_FIELDS = ['password', 'currentPassword', 'newPassword', 'token', 'refreshToken', 'code', 'recoveryCode', 'challenge'];
+
+const redactFields = (fields) => {
+  if (!fields || typeof fields !== 'object') return fields;
+
+  const redacted = { ...fields };
+  SENSITIVE_FIELDS.forEach((field) => {
+    if (redacted[field] !== undefined) redacted[field] = '[REDACTED]';
+  });
+  return redacted;
+};
+
+// Accept a caller-supplied request ID only if it is short and log-safe
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Tag every request with an ID so logs and audit events can be correlated
+// The ID is echoed back in the X-Request-Id response header
+app.use((req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
 // Log all incoming requests
 app.use((req, res, next) => {
   logger.request(req.method, req.path, {
-    query: req.query,
-    body: req.method !== 'GET' ? req.body : undefined,
+    requestId: req.id,
+    query: redactFields(req.query), // Calendar feeds carry their token in the query string
+    body: req.method !== 'GET' ? redactFields(req.body) : undefined,
     ip: req.ip,
   });
   next();
@@ -155,6 +192,13 @@ app.get('/', (req, res) => {
     endpoints: {
       users: '/api/v1/users',
       workouts: '/api/v1/workouts',
+      exercises: '/api/v1/exercises',
+      foods: '/api/v1/foods',
+      templates: '/api/v1/templates',
+      schedules: '/api/v1/schedules',
+      programs: '/api/v1/programs',
+      tokens: '/api/v1/tokens',
+      audit: '/api/v1/audit',
       health: '/health',
     },
     timestamp: new Date().toISOString(),
@@ -173,6 +217,34 @@ logger.success('User routes mounted at /api/v1/users');
 app.use('/api/v1/workouts', workoutRoutes);
 logger.success('Workout routes mounted at /api/v1/workouts');
 
+// Mount exercise catalog routes at /api/v1/exercises
+app.use('/api/v1/exercises', exerciseRoutes);
+logger.success('Exercise routes mounted at /api/v1/exercises');
+
+// Mount food database routes at /api/v1/foods
+app.use('/api/v1/foods', foodRoutes);
+logger.success('Food routes mounted at /api/v1/foods');
+
+// Mount workout template routes at /api/v1/templates
+app.use('/api/v1/templates', templateRoutes);
+logger.success('Workout Template routes mounted at /api/v1/templates');
+
+// Mount recurring workout schedule routes at /api/v1/schedules
+app.use('/api/v1/schedules', scheduleRoutes);
+logger.success('Workout Schedule routes mounted at /api/v1/schedules');
+
+// Mount training program routes at /api/v1/programs
+app.use('/api/v1/programs', programRoutes);
+logger.success('Training Program routes mounted at /api/v1/programs');
+
+// Mount personal access token routes at /api/v1/tokens
+app.use('/api/v1/tokens', tokenRoutes);
+logger.success('Access token routes mounted at /api/v1/tokens');
+
+// Mount audit log routes at /api/v1/audit
+app.use('/api/v1/audit', auditRoutes);
+logger.success('Audit routes mounted at /api/v1/audit');
+
 // Mount authentication routes at /auth
 app.use('/auth', authRoutes);
 logger.success('Auth routes mounted at /auth');
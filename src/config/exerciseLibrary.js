@@ -0,0 +1,148 @@
+/**
+ * Exercise Library Configuration
+ * Allowed values for catalog fields, and the standard exercises seeded into
+ * the catalog on startup
+ * MET values are approximate figures from the Compendium of Physical Activities
+ */
+
+// Kinds of exercise
+const EXERCISE_CATEGORIES = [
+  'strength',
+  'cardio',
+  'plyometrics',
+  'olympic',
+  'flexibility',
+  'mobility',
+  'sports',
+  'other',
+];
+
+// Muscle groups an exercise can train
+const MUSCLE_GROUPS = [
+  'chest',
+  'back',
+  'lats',
+  'traps',
+  'shoulders',
+  'biceps',
+  'triceps',
+  'forearms',
+  'abs',
+  'obliques',
+  'lower_back',
+  'glutes',
+  'quadriceps',
+  'hamstrings',
+  'calves',
+  'hip_flexors',
+  'full_body',
+];
+
+// Equipment an exercise can use
+const EQUIPMENT = [
+  'barbell',
+  'dumbbell',
+  'kettlebell',
+  'machine',
+  'cable',
+  'bodyweight',
+  'band',
+  'pull_up_bar',
+  'bench',
+  'treadmill',
+  'bike',
+  'rower',
+  'jump_rope',
+  'pool',
+  'mat',
+  'other',
+];
+
+// Standard exercises seeded into the catalog
+const STANDARD_EXERCISES = [
+  // Chest
+  { name: 'Bench Press', aliases: ['Barbell Bench Press', 'Flat Bench', 'Bench'], category: 'strength', muscleGroups: ['chest', 'triceps', 'shoulders'], equipment: ['barbell', 'bench'], metValue: 5.0 },
+  { name: 'Incline Bench Press', aliases: ['Incline Barbell Press', 'Incline Bench'], category: 'strength', muscleGroups: ['chest', 'shoulders', 'triceps'], equipment: ['barbell', 'bench'], metValue: 5.0 },
+  { name: 'Dumbbell Bench Press', aliases: ['DB Bench Press', 'Dumbbell Press'], category: 'strength', muscleGroups: ['chest', 'triceps', 'shoulders'], equipment: ['dumbbell', 'bench'], metValue: 5.0 },
+  { name: 'Dumbbell Fly', aliases: ['Dumbbell Flye', 'Chest Fly'], category: 'strength', muscleGroups: ['chest'], equipment: ['dumbbell', 'bench'], metValue: 3.5 },
+  { name: 'Push-Up', aliases: ['Push Up', 'Pushup', 'Press-Up'], category: 'strength', muscleGroups: ['chest', 'triceps', 'shoulders', 'abs'], equipment: ['bodyweight'], metValue: 3.8 },
+  { name: 'Dip', aliases: ['Dips', 'Parallel Bar Dip', 'Chest Dip'], category: 'strength', muscleGroups: ['chest', 'triceps', 'shoulders'], equipment: ['bodyweight'], metValue: 3.8 },
+
+  // Back
+  { name: 'Deadlift', aliases: ['Conventional Deadlift', 'Barbell Deadlift'], category: 'strength', muscleGroups: ['hamstrings', 'glutes', 'lower_back', 'back', 'traps'], equipment: ['barbell'], metValue: 6.0 },
+  { name: 'Romanian Deadlift', aliases: ['RDL', 'Stiff-Legged Deadlift'], category: 'strength', muscleGroups: ['hamstrings', 'glutes', 'lower_back'], equipment: ['barbell'], metValue: 5.0 },
+  { name: 'Barbell Row', aliases: ['Bent-Over Row', 'Bent Over Barbell Row', 'Pendlay Row'], category: 'strength', muscleGroups: ['back', 'lats', 'biceps'], equipment: ['barbell'], metValue: 5.0 },
+  { name: 'Dumbbell Row', aliases: ['One-Arm Dumbbell Row', 'DB Row'], category: 'strength', muscleGroups: ['back', 'lats', 'biceps'], equipment: ['dumbbell', 'bench'], metValue: 3.5 },
+  { name: 'Pull-Up', aliases: ['Pull Up', 'Pullup'], category: 'strength', muscleGroups: ['lats', 'back', 'biceps'], equipment: ['pull_up_bar'], metValue: 3.8 },
+  { name: 'Chin-Up', aliases: ['Chin Up', 'Chinup'], category: 'strength', muscleGroups: ['lats', 'biceps', 'back'], equipment: ['pull_up_bar'], metValue: 3.8 },
+  { name: 'Lat Pulldown', aliases: ['Lat Pull-Down', 'Pulldown'], category: 'strength', muscleGroups: ['lats', 'back', 'biceps'], equipment: ['cable', 'machine'], metValue: 3.5 },
+  { name: 'Seated Cable Row', aliases: ['Cable Row', 'Seated Row'], category: 'strength', muscleGroups: ['back', 'lats', 'biceps'], equipment: ['cable'], metValue: 3.5 },
+  { name: 'Face Pull', aliases: ['Cable Face Pull'], category: 'strength', muscleGroups: ['shoulders', 'traps', 'back'], equipment: ['cable'], metValue: 3.5 },
+  { name: 'Shrug', aliases: ['Barbell Shrug', 'Shrugs'], category: 'strength', muscleGroups: ['traps'], equipment: ['barbell'], metValue: 3.5 },
+
+  // Shoulders
+  { name: 'Overhead Press', aliases: ['OHP', 'Military Press', 'Standing Barbell Press', 'Shoulder Press'], category: 'strength', muscleGroups: ['shoulders', 'triceps'], equipment: ['barbell'], metValue: 5.0 },
+  { name: 'Dumbbell Shoulder Press', aliases: ['Seated Dumbbell Press', 'DB Shoulder Press'], category: 'strength', muscleGroups: ['shoulders', 'triceps'], equipment: ['dumbbell'], metValue: 3.5 },
+  { name: 'Lateral Raise', aliases: ['Dumbbell Lateral Raise', 'Side Raise'], category: 'strength', muscleGroups: ['shoulders'], equipment: ['dumbbell'], metValue: 3.5 },
+
+  // Arms
+  { name: 'Barbell Curl', aliases: ['Biceps Curl', 'Bicep Curl', 'Curl'], category: 'strength', muscleGroups: ['biceps', 'forearms'], equipment: ['barbell'], metValue: 3.5 },
+  { name: 'Dumbbell Curl', aliases: ['DB Curl', 'Alternating Dumbbell Curl'], category: 'strength', muscleGroups: ['biceps', 'forearms'], equipment: ['dumbbell'], metValue: 3.5 },
+  { name: 'Hammer Curl', aliases: ['Dumbbell Hammer Curl'], category: 'strength', muscleGroups: ['biceps', 'forearms'], equipment: ['dumbbell'], metValue: 3.5 },
+  { name: 'Triceps Pushdown', aliases: ['Tricep Pushdown', 'Cable Pushdown'], category: 'strength', muscleGroups: ['triceps'], equipment: ['cable'], metValue: 3.5 },
+  { name: 'Skull Crusher', aliases: ['Lying Triceps Extension', 'Skullcrusher'], category: 'strength', muscleGroups: ['triceps'], equipment: ['barbell', 'bench'], metValue: 3.5 },
+
+  // Legs
+  { name: 'Back Squat', aliases: ['Squat', 'Barbell Squat', 'Barbell Back Squat'], category: 'strength', muscleGroups: ['quadriceps', 'glutes', 'hamstrings', 'lower_back'], equipment: ['barbell'], metValue: 6.0 },
+  { name: 'Front Squat', aliases: ['Barbell Front Squat'], category: 'strength', muscleGroups: ['quadriceps', 'glutes', 'abs'], equipment: ['barbell'], metValue: 6.0 },
+  { name: 'Goblet Squat', aliases: ['Dumbbell Goblet Squat', 'Kettlebell Goblet Squat'], category: 'strength', muscleGroups: ['quadriceps', 'glutes'], equipment: ['dumbbell', 'kettlebell'], metValue: 5.0 },
+  { name: 'Leg Press', aliases: ['Machine Leg Press'], category: 'strength', muscleGroups: ['quadriceps', 'glutes', 'hamstrings'], equipment: ['machine'], metValue: 5.0 },
+  { name: 'Lunge', aliases: ['Lunges', 'Walking Lunge', 'Dumbbell Lunge'], category: 'strength', muscleGroups: ['quadriceps', 'glutes', 'hamstrings'], equipment: ['bodyweight', 'dumbbell'], metValue: 4.0 },
+  { name: 'Bulgarian Split Squat', aliases: ['Split Squat', 'Rear-Foot-Elevated Split Squat'], category: 'strength', muscleGroups: ['quadriceps', 'glutes'], equipment: ['dumbbell', 'bench'], metValue: 4.0 },
+  { name: 'Hip Thrust', aliases: ['Barbell Hip Thrust', 'Glute Bridge'], category: 'strength', muscleGroups: ['glutes', 'hamstrings'], equipment: ['barbell', 'bench'], metValue: 3.5 },
+  { name: 'Leg Curl', aliases: ['Hamstring Curl', 'Lying Leg Curl', 'Seated Leg Curl'], category: 'strength', muscleGroups: ['hamstrings'], equipment: ['machine'], metValue: 3.5 },
+  { name: 'Leg Extension', aliases: ['Machine Leg Extension'], category: 'strength', muscleGroups: ['quadriceps'], equipment: ['machine'], metValue: 3.5 },
+  { name: 'Calf Raise', aliases: ['Standing Calf Raise', 'Calf Raises'], category: 'strength', muscleGroups: ['calves'], equipment: ['machine', 'bodyweight'], metValue: 3.5 },
+
+  // Core
+  { name: 'Plank', aliases: ['Front Plank', 'Forearm Plank'], category: 'strength', muscleGroups: ['abs', 'obliques', 'lower_back'], equipment: ['bodyweight', 'mat'], metValue: 3.8 },
+  { name: 'Crunch', aliases: ['Crunches', 'Abdominal Crunch'], category: 'strength', muscleGroups: ['abs'], equipment: ['bodyweight', 'mat'], metValue: 3.8 },
+  { name: 'Hanging Leg Raise', aliases: ['Leg Raise', 'Hanging Knee Raise'], category: 'strength', muscleGroups: ['abs', 'hip_flexors'], equipment: ['pull_up_bar'], metValue: 3.8 },
+  { name: 'Russian Twist', aliases: ['Russian Twists'], category: 'strength', muscleGroups: ['obliques', 'abs'], equipment: ['bodyweight', 'mat'], metValue: 3.8 },
+
+  // Olympic lifts and full body
+  { name: 'Power Clean', aliases: ['Clean', 'Hang Clean'], category: 'olympic', muscleGroups: ['full_body'], equipment: ['barbell'], metValue: 6.0 },
+  { name: 'Snatch', aliases: ['Power Snatch', 'Barbell Snatch'], category: 'olympic', muscleGroups: ['full_body'], equipment: ['barbell'], metValue: 6.0 },
+  { name: 'Kettlebell Swing', aliases: ['KB Swing', 'Russian Swing'], category: 'strength', muscleGroups: ['glutes', 'hamstrings', 'lower_back'], equipment: ['kettlebell'], metValue: 9.8 },
+  { name: 'Thruster', aliases: ['Barbell Thruster', 'Dumbbell Thruster'], category: 'strength', muscleGroups: ['full_body'], equipment: ['barbell', 'dumbbell'], metValue: 8.0 },
+
+  // Plyometrics
+  { name: 'Burpee', aliases: ['Burpees'], category: 'plyometrics', muscleGroups: ['full_body'], equipment: ['bodyweight'], metValue: 8.0 },
+  { name: 'Box Jump', aliases: ['Box Jumps'], category: 'plyometrics', muscleGroups: ['quadriceps', 'glutes', 'calves'], equipment: ['other'], metValue: 8.0 },
+  { name: 'Jumping Jack', aliases: ['Jumping Jacks', 'Star Jump'], category: 'plyometrics', muscleGroups: ['full_body'], equipment: ['bodyweight'], metValue: 8.0 },
+
+  // Cardio
+  { name: 'Running', aliases: ['Run', 'Jogging', 'Jog'], category: 'cardio', muscleGroups: ['quadriceps', 'hamstrings', 'calves', 'glutes'], equipment: ['other'], metValue: 9.8 },
+  { name: 'Treadmill Running', aliases: ['Treadmill', 'Treadmill Run'], category: 'cardio', muscleGroups: ['quadriceps', 'hamstrings', 'calves', 'glutes'], equipment: ['treadmill'], metValue: 9.0 },
+  { name: 'Walking', aliases: ['Walk', 'Brisk Walking'], category: 'cardio', muscleGroups: ['quadriceps', 'calves'], equipment: ['other'], metValue: 3.5 },
+  { name: 'Cycling', aliases: ['Bike', 'Biking', 'Road Cycling'], category: 'cardio', muscleGroups: ['quadriceps', 'hamstrings', 'calves'], equipment: ['bike'], metValue: 7.5 },
+  { name: 'Stationary Bike', aliases: ['Exercise Bike', 'Spin Bike', 'Indoor Cycling'], category: 'cardio', muscleGroups: ['quadriceps', 'hamstrings', 'calves'], equipment: ['bike'], metValue: 6.8 },
+  { name: 'Rowing Machine', aliases: ['Rowing', 'Erg', 'Rower', 'Indoor Rowing'], category: 'cardio', muscleGroups: ['full_body'], equipment: ['rower'], metValue: 7.0 },
+  { name: 'Swimming', aliases: ['Swim', 'Freestyle Swimming', 'Lap Swimming'], category: 'cardio', muscleGroups: ['full_body'], equipment: ['pool'], metValue: 5.8 },
+  { name: 'Jump Rope', aliases: ['Skipping', 'Skipping Rope', 'Rope Jumping'], category: 'cardio', muscleGroups: ['calves', 'full_body'], equipment: ['jump_rope'], metValue: 12.3 },
+  { name: 'Elliptical', aliases: ['Elliptical Trainer', 'Cross Trainer'], category: 'cardio', muscleGroups: ['full_body'], equipment: ['machine'], metValue: 5.0 },
+  { name: 'Stair Climber', aliases: ['StairMaster', 'Stair Climbing', 'Stair Stepper'], category: 'cardio', muscleGroups: ['quadriceps', 'glutes', 'calves'], equipment: ['machine'], metValue: 9.0 },
+
+  // Flexibility and mobility
+  { name: 'Yoga', aliases: ['Hatha Yoga', 'Vinyasa'], category: 'flexibility', muscleGroups: ['full_body'], equipment: ['mat'], metValue: 2.5 },
+  { name: 'Static Stretching', aliases: ['Stretching', 'Stretch'], category: 'flexibility', muscleGroups: ['full_body'], equipment: ['mat'], metValue: 2.3 },
+  { name: 'Foam Rolling', aliases: ['Foam Roller', 'Self-Myofascial Release'], category: 'mobility', muscleGroups: ['full_body'], equipment: ['other'], metValue: 2.0 },
+  { name: 'Pilates', aliases: ['Mat Pilates'], category: 'flexibility', muscleGroups: ['abs', 'full_body'], equipment: ['mat'], metValue: 3.0 },
+];
+
+module.exports = {
+  EXERCISE_CATEGORIES,
+  MUSCLE_GROUPS,
+  EQUIPMENT,
+  STANDARD_EXERCISES,
+};
@@ -0,0 +1,61 @@
+/**
+ * Food Library Configuration
+ * Allowed values for food and food log fields, and the standard foods seeded
+ * into the food database on startup
+ * Nutrition is given per serving: calories in kcal, protein, carbs and fat in
+ * grams - approximate figures for generic foods
+ */
+
+// Meals a food log entry can belong to
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Units a serving size can be given in
+const SERVING_UNITS = ['g', 'ml', 'piece', 'slice', 'cup', 'tbsp', 'tsp', 'serving'];
+
+// Standard foods seeded into the database
+const STANDARD_FOODS = [
+  // Protein
+  { name: 'Chicken Breast', servingSize: 100, servingUnit: 'g', calories: 165, protein: 31, carbs: 0, fat: 3.6 },
+  { name: 'Salmon', servingSize: 100, servingUnit: 'g', calories: 208, protein: 20, carbs: 0, fat: 13 },
+  { name: 'Tuna, Canned in Water', servingSize: 100, servingUnit: 'g', calories: 116, protein: 26, carbs: 0, fat: 0.8 },
+  { name: 'Lean Ground Beef', servingSize: 100, servingUnit: 'g', calories: 215, protein: 26, carbs: 0, fat: 12 },
+  { name: 'Egg', servingSize: 1, servingUnit: 'piece', calories: 72, protein: 6.3, carbs: 0.4, fat: 4.8 },
+  { name: 'Tofu', servingSize: 100, servingUnit: 'g', calories: 76, protein: 8, carbs: 1.9, fat: 4.8 },
+  { name: 'Whey Protein', servingSize: 30, servingUnit: 'g', calories: 120, protein: 24, carbs: 3, fat: 1.5 },
+
+  // Dairy
+  { name: 'Milk, Semi-Skimmed', servingSize: 250, servingUnit: 'ml', calories: 122, protein: 8.5, carbs: 12, fat: 4.5 },
+  { name: 'Greek Yogurt, Plain', servingSize: 170, servingUnit: 'g', calories: 100, protein: 17, carbs: 6, fat: 0.7 },
+  { name: 'Cheddar Cheese', servingSize: 30, servingUnit: 'g', calories: 121, protein: 7.5, carbs: 0.4, fat: 10 },
+  { name: 'Cottage Cheese', servingSize: 100, servingUnit: 'g', calories: 98, protein: 11, carbs: 3.4, fat: 4.3 },
+
+  // Grains
+  { name: 'Oats', servingSize: 40, servingUnit: 'g', calories: 150, protein: 5.3, carbs: 27, fat: 2.6 },
+  { name: 'White Rice, Cooked', servingSize: 150, servingUnit: 'g', calories: 195, protein: 4, carbs: 42, fat: 0.4 },
+  { name: 'Brown Rice, Cooked', servingSize: 150, servingUnit: 'g', calories: 165, protein: 3.8, carbs: 34, fat: 1.3 },
+  { name: 'Pasta, Cooked', servingSize: 150, servingUnit: 'g', calories: 236, protein: 8.7, carbs: 46, fat: 1.4 },
+  { name: 'Whole Wheat Bread', servingSize: 1, servingUnit: 'slice', calories: 81, protein: 4, carbs: 14, fat: 1.1 },
+  { name: 'Potato, Boiled', servingSize: 150, servingUnit: 'g', calories: 130, protein: 2.9, carbs: 30, fat: 0.2 },
+  { name: 'Sweet Potato, Baked', servingSize: 150, servingUnit: 'g', calories: 135, protein: 3, carbs: 31, fat: 0.2 },
+
+  // Fruit and vegetables
+  { name: 'Banana', servingSize: 1, servingUnit: 'piece', calories: 105, protein: 1.3, carbs: 27, fat: 0.4 },
+  { name: 'Apple', servingSize: 1, servingUnit: 'piece', calories: 95, protein: 0.5, carbs: 25, fat: 0.3 },
+  { name: 'Blueberries', servingSize: 1, servingUnit: 'cup', calories: 84, protein: 1.1, carbs: 21, fat: 0.5 },
+  { name: 'Broccoli', servingSize: 100, servingUnit: 'g', calories: 34, protein: 2.8, carbs: 7, fat: 0.4 },
+  { name: 'Spinach', servingSize: 100, servingUnit: 'g', calories: 23, protein: 2.9, carbs: 3.6, fat: 0.4 },
+  { name: 'Avocado', servingSize: 1, servingUnit: 'piece', calories: 240, protein: 3, carbs: 13, fat: 22 },
+
+  // Fats, nuts and legumes
+  { name: 'Olive Oil', servingSize: 1, servingUnit: 'tbsp', calories: 119, protein: 0, carbs: 0, fat: 13.5 },
+  { name: 'Peanut Butter', servingSize: 2, servingUnit: 'tbsp', calories: 188, protein: 8, carbs: 6, fat: 16 },
+  { name: 'Almonds', servingSize: 28, servingUnit: 'g', calories: 164, protein: 6, carbs: 6, fat: 14 },
+  { name: 'Lentils, Cooked', servingSize: 100, servingUnit: 'g', calories: 116, protein: 9, carbs: 20, fat: 0.4 },
+  { name: 'Black Beans, Cooked', servingSize: 100, servingUnit: 'g', calories: 132, protein: 8.9, carbs: 24, fat: 0.5 },
+];
+
+module.exports = {
+  MEAL_TYPES,
+  SERVING_UNITS,
+  STANDARD_FOODS,
+};
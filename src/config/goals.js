@@ -0,0 +1,59 @@
+/**
+ * Goal Configuration
+ * Kinds of goal a user can set, what their target measures and its accepted
+ * range, plus the weekly weight change limits used for calorie plans
+ */
+
+const { MEASUREMENT_METRICS } = require('./measurements');
+
+const GOAL_TYPES = {
+  // Reach a body weight (from the profile, kept in sync with measurements)
+  weight: {
+    label: 'Target weight',
+    unit: 'kg',
+    min: MEASUREMENT_METRICS.weight.min,
+    max: MEASUREMENT_METRICS.weight.max,
+  },
+
+  // Complete a number of workouts every week (Monday to Sunday, UTC)
+  workout_frequency: {
+    label: 'Workouts per week',
+    unit: 'workouts',
+    min: 1,
+    max: 14,
+    integer: true,
+  },
+
+  // Cover a total distance between the start date and the deadline
+  distance: {
+    label: 'Total distance',
+    unit: 'km',
+    min: 0.1,
+    max: 100000,
+  },
+
+  // Lift a weight in one exercise, read from the user's personal records
+  lift: {
+    label: 'Lift target',
+    unit: 'kg',
+    min: 1,
+    max: 1000,
+  },
+};
+
+// Personal record types a lift goal can track
+const LIFT_RECORD_TYPES = ['heaviest_weight', 'estimated_1rm'];
+
+// Weekly weight change a calorie plan aims for: safe limits, and the pace used
+// for goals without a deadline
+const SAFE_WEEKLY_LOSS_KG = 1;
+const SAFE_WEEKLY_GAIN_KG = 0.5;
+const DEFAULT_WEEKLY_CHANGE_KG = 0.5;
+
+module.exports = {
+  GOAL_TYPES,
+  LIFT_RECORD_TYPES,
+  SAFE_WEEKLY_LOSS_KG,
+  SAFE_WEEKLY_GAIN_KG,
+  DEFAULT_WEEKLY_CHANGE_KG,
+};
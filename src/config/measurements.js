@@ -0,0 +1,26 @@
+/**
+ * Body Measurement Configuration
+ * Metrics that can be recorded in a body measurement, with their unit and
+ * accepted range - the BodyMeasurement model and its validator are built from
+ * this list, so adding a metric here is enough to record and chart it
+ */
+
+const MEASUREMENT_METRICS = {
+  weight: { label: 'Weight', unit: 'kg', min: 20, max: 500 },
+  bodyFatPercentage: { label: 'Body fat percentage', unit: '%', min: 2, max: 70 },
+  waist: { label: 'Waist', unit: 'cm', min: 20, max: 300 },
+  hips: { label: 'Hips', unit: 'cm', min: 20, max: 300 },
+  chest: { label: 'Chest', unit: 'cm', min: 20, max: 300 },
+  neck: { label: 'Neck', unit: 'cm', min: 10, max: 100 },
+  arms: { label: 'Arms', unit: 'cm', min: 10, max: 100 },
+  thighs: { label: 'Thighs', unit: 'cm', min: 10, max: 150 },
+  restingHeartRate: { label: 'Resting heart rate', unit: 'bpm', min: 20, max: 250 },
+};
+
+// Metrics copied to the user profile from the latest measurement that has them
+const PROFILE_METRICS = ['weight', 'bodyFatPercentage'];
+
+module.exports = {
+  MEASUREMENT_METRICS,
+  PROFILE_METRICS,
+};
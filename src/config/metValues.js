@@ -0,0 +1,88 @@
+/**
+ * MET Value Configuration
+ * Metabolic equivalents (MET) of each workout type at each intensity, used to
+ * estimate the calories of workouts logged without caloriesBurned
+ * Defaults are approximate figures from the Compendium of Physical Activities
+ *
+ * To adjust the table, point MET_VALUES_FILE at a JSON file with the entries
+ * to change, e.g. { "running": { "high": 11 }, "yoga": { "low": 2.3 } } -
+ * entries left out keep their default
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Intensity levels of a workout, lowest first
+const INTENSITIES = ['low', 'moderate', 'high', 'extreme'];
+
+// Lowest and highest MET value accepted in the table
+const MIN_MET = 1;
+const MAX_MET = 25;
+
+const DEFAULT_MET_VALUES = {
+  cardio: { low: 3.5, moderate: 5.0, high: 7.3, extreme: 9.0 },
+  strength: { low: 3.5, moderate: 5.0, high: 6.0, extreme: 8.0 },
+  flexibility: { low: 2.3, moderate: 2.5, high: 3.0, extreme: 3.5 },
+  sports: { low: 4.0, moderate: 6.0, high: 8.0, extreme: 10.0 },
+  yoga: { low: 2.0, moderate: 2.5, high: 4.0, extreme: 5.0 },
+  pilates: { low: 2.8, moderate: 3.0, high: 3.5, extreme: 4.0 },
+  hiit: { low: 5.0, moderate: 8.0, high: 10.0, extreme: 12.0 },
+  crossfit: { low: 5.5, moderate: 7.0, high: 8.0, extreme: 10.0 },
+  swimming: { low: 5.8, moderate: 7.0, high: 9.8, extreme: 11.0 },
+  cycling: { low: 4.0, moderate: 6.8, high: 10.0, extreme: 12.0 },
+  running: { low: 6.0, moderate: 8.3, high: 9.8, extreme: 11.8 },
+  walking: { low: 2.8, moderate: 3.5, high: 4.3, extreme: 5.0 },
+  other: { low: 3.0, moderate: 4.0, high: 6.0, extreme: 8.0 },
+};
+
+/**
+ * Merge overrides into the default MET table
+ * @param {Object} overrides - { exerciseType: { intensity: met } } entries to change
+ * @returns {Object} Complete MET table
+ * @throws {Error} If an override names an unknown type or intensity or is out of range
+ */
+const buildMetTable = (overrides = {}) => {
+  const table = Object.fromEntries(
+    Object.entries(DEFAULT_MET_VALUES).map(([exerciseType, values]) => [exerciseType, { ...values }])
+  );
+
+  Object.entries(overrides).forEach(([exerciseType, values]) => {
+    if (!table[exerciseType]) {
+      throw new Error(`MET table: unknown exercise type '${exerciseType}'`);
+    }
+
+    Object.entries(values || {}).forEach(([intensity, met]) => {
+      if (!INTENSITIES.includes(intensity)) {
+        throw new Error(`MET table: unknown intensity '${intensity}' for ${exerciseType}`);
+      }
+      if (typeof met !== 'number' || met < MIN_MET || met > MAX_MET) {
+        throw new Error(`MET table: ${exerciseType}.${intensity} must be a number between ${MIN_MET} and ${MAX_MET}`);
+      }
+      table[exerciseType][intensity] = met;
+    });
+  });
+
+  return table;
+};
+
+/**
+ * Load the MET table, applying the overrides in MET_VALUES_FILE if it is set
+ * A broken file stops the server from starting rather than skewing every estimate
+ * @returns {Object} Complete MET table
+ */
+const loadMetTable = () => {
+  const file = process.env.MET_VALUES_FILE;
+  if (!file) return buildMetTable();
+
+  const overrides = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  return buildMetTable(overrides);
+};
+
+const MET_VALUES = loadMetTable();
+
+module.exports = {
+  INTENSITIES,
+  DEFAULT_MET_VALUES,
+  MET_VALUES,
+  buildMetTable,
+};
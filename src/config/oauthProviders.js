@@ -0,0 +1,129 @@
+/**
+ * OAuth Provider Configuration
+ * Declares every OAuth provider users can log in with or link to their account
+ *
+ * A provider is enabled when its client ID environment variable is set.
+ * To add a provider: install its passport strategy package, add an entry here
+ * and set the environment variables - routes and account linking are generic.
+ */
+
+const PRODUCTION_BASE_URL = 'https://cse341pro.onrender.com';
+
+const OAUTH_PROVIDERS = {
+  github: {
+    label: 'GitHub',
+    strategyModule: 'passport-github2',
+    scope: ['user:email'],
+    env: {
+      clientID: 'GITHUB_CLIENT_ID',
+      clientSecret: 'GITHUB_CLIENT_SECRET',
+      callbackURL: 'GITHUB_CALLBACK_URL',
+    },
+    // Fetch every address with GitHub's `verified` flag instead of only the primary one
+    strategyOptions: { allRawEmails: true },
+    // Whether the provider only ever returns addresses it has verified
+    trustEmails: false,
+  },
+
+  google: {
+    label: 'Google',
+    strategyModule: 'passport-google-oauth20',
+    scope: ['profile', 'email'],
+    env: {
+      clientID: 'GOOGLE_CLIENT_ID',
+      clientSecret: 'GOOGLE_CLIENT_SECRET',
+      callbackURL: 'GOOGLE_CALLBACK_URL',
+    },
+    strategyOptions: {},
+    trustEmails: false,
+  },
+
+  gitlab: {
+    label: 'GitLab',
+    strategyModule: 'passport-gitlab2',
+    scope: ['read_user'],
+    env: {
+      clientID: 'GITLAB_CLIENT_ID',
+      clientSecret: 'GITLAB_CLIENT_SECRET',
+      callbackURL: 'GITLAB_CALLBACK_URL',
+    },
+    strategyOptions: {},
+    // GitLab only exposes the confirmed primary address
+    trustEmails: true,
+  },
+};
+
+/**
+ * Get the names of providers with credentials configured
+ * @returns {Array<string>} Provider names (e.g. ['github'])
+ */
+const getEnabledProviders = () => {
+  return Object.keys(OAUTH_PROVIDERS).filter(
+    (name) => Boolean(process.env[OAUTH_PROVIDERS[name].env.clientID])
+  );
+};
+
+/**
+ * Build the passport strategy options for a provider from the environment
+ * @param {string} name - Provider name
+ * @returns {Object} Strategy options
+ */
+const getStrategyOptions = (name) => {
+  const provider = OAUTH_PROVIDERS[name];
+
+  return {
+    clientID: process.env[provider.env.clientID],
+    clientSecret: process.env[provider.env.clientSecret],
+    callbackURL: process.env[provider.env.callbackURL] || `${PRODUCTION_BASE_URL}/auth/${name}/callback`,
+    scope: provider.scope,
+    passReqToCallback: true,
+    ...provider.strategyOptions,
+  };
+};
+
+/**
+ * Normalize a passport profile into the fields stored on an identity
+ * @param {string} name - Provider name
+ * @param {Object} profile - Passport profile
+ * @returns {Object} { provider, providerId, username, displayName, avatarUrl, emails: [{ value, verified }] }
+ */
+const normalizeProfile = (name, profile) => {
+  const provider = OAUTH_PROVIDERS[name];
+
+  const emails = (profile.emails || [])
+    .filter((email) => email && email.value)
+    .map((email) => ({
+      value: email.value.toLowerCase().trim(),
+      verified: provider.trustEmails || email.verified === true || email.verified === 'true',
+      primary: email.primary === true,
+    }));
+
+  return {
+    provider: name,
+    providerId: String(profile.id),
+    username: profile.username,
+    displayName: profile.displayName || profile.username,
+    avatarUrl: profile.photos?.[0]?.value,
+    emails,
+  };
+};
+
+/**
+ * Pick the address to store for a profile - the primary verified one if there is one
+ * @param {Object} normalized - Result of normalizeProfile
+ * @returns {string|undefined} Verified email address
+ */
+const getVerifiedEmail = (normalized) => {
+  const verified = normalized.emails.filter((email) => email.verified);
+  const primary = verified.find((email) => email.primary);
+
+  return (primary || verified[0])?.value;
+};
+
+module.exports = {
+  OAUTH_PROVIDERS,
+  getEnabledProviders,
+  getStrategyOptions,
+  normalizeProfile,
+  getVerifiedEmail,
+};
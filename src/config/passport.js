@@ -1,63 +1,215 @@
 /**
- * Passport Configuration for GitHub OAuth
- * Simple GitHub authentication setup
+ * Passport Configuration
+ * OAuth providers (GitHub, ...) and local (email/password) authentication setup
  */
 
 const passport = require('passport');
-const GitHubStrategy = require('passport-github2').Strategy;
+const LocalStrategy = require('passport-local').Strategy;
 const User = require('../models/User');
+const {
+  OAUTH_PROVIDERS,
+  getEnabledProviders,
+  getStrategyOptions,
+  normalizeProfile,
+  getVerifiedEmail,
+} = require('./oauthProviders');
 const logger = require('../utils/logger');
+const { hashPassword } = require('../utils/password');
+const { auditSnapshot, recordAuditEvent } = require('../utils/audit');
+
+// Hash compared against when no account matches, so unknown emails take as long as wrong passwords
+const dummyPasswordHash = hashPassword('fitness-tracker-dummy-password');
+
+/**
+ * Build the verify callback for an OAuth provider
+ * Resolves the account in this order:
+ * 1. the user the identity is already linked to
+ * 2. the logged-in user (linking another provider to the current account)
+ * 3. an existing user with one of the profile's verified email addresses, if the user verified it as well
+ * 4. a new user (without an email another account already uses)
+ * @param {string} name - Provider name from OAUTH_PROVIDERS
+ * @returns {Function} Passport verify callback
+ */
+const verifyOAuthLogin = (name) => async (req, accessToken, refreshToken, profile, done) => {
+  const { label } = OAUTH_PROVIDERS[name];
 
-// Configure GitHub OAuth Strategy
-passport.use(new GitHubStrategy({
-  clientID: process.env.GITHUB_CLIENT_ID,
-  clientSecret: process.env.GITHUB_CLIENT_SECRET,
-  callbackURL: process.env.GITHUB_CALLBACK_URL || "https://cse341pro.onrender.com/auth/github/callback"
-},
-async (accessToken, refreshToken, profile, done) => {
   try {
-    logger.info('GitHub OAuth callback received', {
-      userId: profile.id,
-      username: profile.username,
-      email: profile.emails?.[0]?.value
+    const normalized = normalizeProfile(name, profile);
+    const verifiedEmail = getVerifiedEmail(normalized);
+    const currentUser = req.user;
+
+    logger.info(`${label} OAuth callback received`, {
+      providerId: normalized.providerId,
+      username: normalized.username,
+      verifiedEmail,
+      linking: Boolean(currentUser)
     });
 
-    // Check if user already exists
-    let user = await User.findOne({ githubId: profile.id });
+    let user = await User.findByIdentity(name, normalized.providerId);
 
-    if (user) {
-      logger.info('Existing GitHub user found', { userId: user._id });
-      return done(null, user);
+    if (user && currentUser && !user._id.equals(currentUser._id)) {
+      logger.security(`${label} identity already linked to another user`, {
+        userId: currentUser._id,
+        linkedUserId: user._id
+      });
+      return done(null, false, { message: `This ${label} account is already linked to another user` });
     }
 
-    // Create new user from GitHub profile
-    user = await User.create({
-      githubId: profile.id,
-      name: profile.displayName || profile.username,
-      email: profile.emails?.[0]?.value || `${profile.username}@github.user`,
-      username: profile.username,
-      avatarUrl: profile.photos?.[0]?.value,
-      // Set default fitness values for GitHub users
-      activityLevel: 'moderately_active',
-      isActive: true
-    });
+    if (!user && currentUser) {
+      user = currentUser;
+      logger.info(`Linking ${label} identity to logged-in user`, { userId: user._id });
+    }
+
+    // Addresses of other accounts, which a new account cannot take
+    let takenEmails = [];
+
+    if (!user && verifiedEmail) {
+      const verifiedEmails = normalized.emails.filter((email) => email.verified).map((email) => email.value);
+      const matches = await User.find({ email: { $in: verifiedEmails } });
+      takenEmails = matches.map((match) => match.email);
+
+      // Only link when the account owner verified the address too. Anyone can sign up with
+      // someone else's email before they first use OAuth (account pre-hijacking), so an
+      // unverified match gets a separate account - the owner can link it explicitly while logged in
+      user = matches.find((match) => match.emailVerified) || null;
+
+      if (user) {
+        logger.info(`Matched ${label} login to existing user by verified email`, { userId: user._id });
+      } else if (matches.length > 0) {
+        logger.security(`${label} login not linked to an account with an unverified email`, {
+          userIds: matches.map((match) => match._id),
+          provider: name
+        });
+      }
+    }
+
+    if (!user) {
+      const email = verifiedEmail && !takenEmails.includes(verifiedEmail) ? verifiedEmail : undefined;
+      user = new User({
+        name: normalized.displayName,
+        email,
+        // The provider already verified the address
+        emailVerifiedAt: email ? new Date() : undefined,
+        username: normalized.username,
+        avatarUrl: normalized.avatarUrl,
+        // Set default fitness values for OAuth users
+        activityLevel: 'moderately_active',
+        isActive: true
+      });
+      logger.info(`Creating new user from ${label} profile`, { username: normalized.username });
+    }
+
+    if (!user.isActive) {
+      logger.warn(`${label} login refused - account inactive`, { userId: user._id });
+      return done(null, false, { message: 'This account has been deactivated' });
+    }
+
+    // Record (or refresh) the identity on the account
+    const before = user.isNew ? null : auditSnapshot(user);
+    user.migrateLegacyGithubId();
+
+    let identity = user.getIdentity(name, normalized.providerId);
+    const isLinking = !identity;
+    if (!identity) {
+      user.identities.push({
+        provider: name,
+        providerId: normalized.providerId
+      });
+      identity = user.identities[user.identities.length - 1];
+    }
+    identity.username = normalized.username;
+    identity.email = verifiedEmail;
+    identity.lastLoginAt = new Date();
+
+    if (!user.username) user.username = normalized.username;
+    if (!user.avatarUrl) user.avatarUrl = normalized.avatarUrl;
+
+    const isNew = user.isNew;
+    await user.save();
+
+    // Sign-ups and newly linked identities are audited; routine logins are not
+    if (isNew || isLinking) {
+      await recordAuditEvent(req, {
+        action: isNew ? 'create' : 'update',
+        resourceType: 'user',
+        resourceId: user._id,
+        targetUserId: user._id,
+        actorId: user._id,
+        before,
+        after: auditSnapshot(user),
+      });
+    }
 
-    logger.success('New GitHub user created', {
+    logger.success(isNew ? `New ${label} user created` : `${label} login successful`, {
       userId: user._id,
-      githubId: profile.id,
-      username: profile.username
+      provider: name,
+      providerId: normalized.providerId
     });
 
     return done(null, user);
   } catch (error) {
-    logger.error('GitHub OAuth error', error);
+    logger.error(`${label} OAuth error`, error);
+    return done(error, null);
+  }
+};
+
+// Configure a strategy for every OAuth provider with credentials
+getEnabledProviders().forEach((name) => {
+  const { Strategy } = require(OAUTH_PROVIDERS[name].strategyModule);
+
+  passport.use(name, new Strategy(getStrategyOptions(name), verifyOAuthLogin(name)));
+  logger.info(`${OAUTH_PROVIDERS[name].label} OAuth strategy configured`);
+});
+
+// Configure Local Strategy (email + password)
+passport.use(new LocalStrategy({
+  usernameField: 'email',
+  passwordField: 'password'
+},
+async (email, password, done) => {
+  try {
+    logger.info('Local login attempt', { email });
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() }).select('+passwordHash');
+
+    if (!user || !user.passwordHash) {
+      const dummy = new User({ passwordHash: await dummyPasswordHash });
+      await dummy.checkPassword(password);
+
+      logger.warn('Local login failed - no account with a password', { email });
+      return done(null, false, { message: 'Invalid email or password' });
+    }
+
+    if (!(await user.checkPassword(password))) {
+      logger.security('Local login failed - wrong password', { userId: user._id });
+      return done(null, false, { message: 'Invalid email or password' });
+    }
+
+    if (!user.isActive) {
+      logger.warn('Local login failed - account inactive', { userId: user._id });
+      return done(null, false, { message: 'This account has been deactivated' });
+    }
+
+    logger.success('Local login successful', { userId: user._id });
+    return done(null, user);
+  } catch (error) {
+    logger.error('Local login error', error);
     return done(error, null);
   }
 }));
 
 // Serialize user for session
-passport.serializeUser((user, done) => {
+// Also records the device the login came from, for GET /auth/sessions
+passport.serializeUser((req, user, done) => {
   logger.debug('Serializing user', { userId: user._id });
+
+  if (req.session) {
+    req.session.client = {
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    };
+  }
+
   done(null, user._id);
 });
 
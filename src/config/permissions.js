@@ -0,0 +1,69 @@
+/**
+ * Role & Permission Configuration
+ * Maps each user role to the permissions it grants
+ * Routes declare the permission they need with requirePermission()
+ * Personal access tokens are limited to the scopes they were created with
+ */
+
+// Available roles, from least to most privileged
+const ROLES = ['athlete', 'coach', 'admin'];
+
+// Role assigned to every new account
+const DEFAULT_ROLE = 'athlete';
+
+// Every permission a route can declare
+const PERMISSIONS = [
+  'users:list', // List all user profiles (includes emails)
+  'users:write:any', // Update or delete any user account
+  'users:roles:manage', // Grant and revoke roles
+  'stats:global', // View platform-wide workout statistics
+  'workouts:write:any', // Create, update or delete any user's workouts
+  'audit:read', // View the audit log for every account
+  'exercises:manage', // Add, edit and remove exercises in the catalog
+  'foods:manage', // Add, edit and remove standard foods in the food database
+];
+
+// Permissions granted by each role
+// Admins receive every permission via the wildcard
+const ROLE_PERMISSIONS = {
+  athlete: [],
+  coach: ['users:list', 'stats:global', 'exercises:manage', 'foods:manage'],
+  admin: ['*'],
+};
+
+// Scopes every user may grant to a personal access token
+const BASE_SCOPES = [
+  'workouts:write', // Create, update and delete own workouts
+  'profile:write', // Update or delete own account
+  'health:read', // Read own measurements, food log, wellness data, goals and training calendar
+  'privacy:export', // Download a copy of all own data and see the erasure status
+];
+
+// All token scopes - role permissions can also be delegated to a token
+// when the user holds them
+const TOKEN_SCOPES = [...BASE_SCOPES, ...PERMISSIONS];
+
+/**
+ * Get the combined permissions for a list of roles
+ * @param {Array<string>} roles - Roles held by a user
+ * @returns {Array<string>} Unique permissions
+ */
+const getPermissionsForRoles = (roles = []) => {
+  const permissions = new Set();
+
+  roles.forEach((role) => {
+    (ROLE_PERMISSIONS[role] || []).forEach((permission) => permissions.add(permission));
+  });
+
+  return [...permissions];
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  BASE_SCOPES,
+  TOKEN_SCOPES,
+  getPermissionsForRoles,
+};
@@ -0,0 +1,141 @@
+/**
+ * MongoDB Session Store
+ * express-session store backed by the Session model, so sessions survive
+ * restarts and deploys and can be listed or ended per user
+ * Uses the application's existing mongoose connection
+ */
+
+const session = require('express-session');
+const Session = require('../models/Session');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/tokens');
+
+// Fallback lifetime for sessions without a cookie expiry
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Skip lastSeenAt writes for sessions touched within this window
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Get the expiry date of a session from its cookie
+ * @param {Object} sess - express-session data
+ * @returns {Date} Expiry date
+ */
+const getExpiry = (sess) => {
+  if (sess && sess.cookie && sess.cookie.expires) {
+    return new Date(sess.cookie.expires);
+  }
+
+  return new Date(Date.now() + DEFAULT_TTL_MS);
+};
+
+class MongooseSessionStore extends session.Store {
+  /**
+   * Get the document ID for a session ID
+   * @param {string} sid - express-session ID
+   * @returns {string} Hashed ID
+   */
+  static getId(sid) {
+    return hashToken(sid);
+  }
+
+  /**
+   * Load a session
+   * @param {string} sid - Session ID
+   * @param {Function} callback - (error, session|null)
+   */
+  get(sid, callback) {
+    Session.findOne({ _id: MongooseSessionStore.getId(sid), expiresAt: { $gt: new Date() } })
+      .lean()
+      .then((doc) => callback(null, doc ? JSON.parse(doc.data) : null))
+      .catch((error) => {
+        logger.error('Session store get failed', error);
+        callback(error);
+      });
+  }
+
+  /**
+   * Create or replace a session
+   * Device details are read from `sess.client`, set when the user logs in
+   * @param {string} sid - Session ID
+   * @param {Object} sess - Session data
+   * @param {Function} callback - (error)
+   */
+  set(sid, sess, callback) {
+    const update = {
+      data: JSON.stringify(sess),
+      userId: sess.passport?.user || null,
+      userAgent: sess.client?.userAgent,
+      ip: sess.client?.ip,
+      lastSeenAt: new Date(),
+      expiresAt: getExpiry(sess),
+    };
+
+    Session.updateOne({ _id: MongooseSessionStore.getId(sid) }, update, { upsert: true })
+      .then(() => callback && callback(null))
+      .catch((error) => {
+        logger.error('Session store set failed', error);
+        if (callback) callback(error);
+      });
+  }
+
+  /**
+   * Extend an unchanged session's expiry and record activity
+   * Throttled so busy sessions do not write on every request
+   * @param {string} sid - Session ID
+   * @param {Object} sess - Session data
+   * @param {Function} callback - (error)
+   */
+  touch(sid, sess, callback) {
+    const now = new Date();
+
+    Session.updateOne(
+      {
+        _id: MongooseSessionStore.getId(sid),
+        lastSeenAt: { $lt: new Date(now.getTime() - TOUCH_INTERVAL_MS) },
+      },
+      { lastSeenAt: now, expiresAt: getExpiry(sess) }
+    )
+      .then(() => callback && callback(null))
+      .catch((error) => {
+        logger.error('Session store touch failed', error);
+        if (callback) callback(error);
+      });
+  }
+
+  /**
+   * Delete a session
+   * @param {string} sid - Session ID
+   * @param {Function} callback - (error)
+   */
+  destroy(sid, callback) {
+    Session.deleteOne({ _id: MongooseSessionStore.getId(sid) })
+      .then(() => callback && callback(null))
+      .catch((error) => {
+        logger.error('Session store destroy failed', error);
+        if (callback) callback(error);
+      });
+  }
+
+  /**
+   * Count active sessions
+   * @param {Function} callback - (error, count)
+   */
+  length(callback) {
+    Session.countDocuments({ expiresAt: { $gt: new Date() } })
+      .then((count) => callback(null, count))
+      .catch(callback);
+  }
+
+  /**
+   * Delete every session
+   * @param {Function} callback - (error)
+   */
+  clear(callback) {
+    Session.deleteMany({})
+      .then(() => callback && callback(null))
+      .catch((error) => callback && callback(error));
+  }
+}
+
+module.exports = MongooseSessionStore;
@@ -6,9 +6,25 @@
 
 const swaggerJsdoc = require('swagger-jsdoc');
 const logger = require('../utils/logger');
+const { EXERCISE_CATEGORIES, MUSCLE_GROUPS, EQUIPMENT } = require('./exerciseLibrary');
+const { MEAL_TYPES, SERVING_UNITS } = require('./foodLibrary');
+const { READINESS_LEVELS } = require('./wellness');
+const { TOKEN_SCOPES } = require('./permissions');
 
 logger.info('Configuring Swagger documentation...');
 
+// Filters shared by both audit log endpoints
+const auditFilterParameters = [
+  { in: 'query', name: 'action', schema: { type: 'string', enum: ['create', 'update', 'delete'] } },
+  { in: 'query', name: 'resourceType', schema: { type: 'string', enum: ['user', 'workout'] } },
+  { in: 'query', name: 'resourceId', schema: { type: 'string' }, description: 'User or workout ID' },
+  { in: 'query', name: 'requestId', schema: { type: 'string' }, description: 'X-Request-Id of the request that made the change' },
+  { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' } },
+  { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' } },
+  { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+  { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+];
+
 // Swagger definition
 const swaggerDefinition = {
   openapi: '3.0.0',
@@ -56,8 +72,49 @@ const swaggerDefinition = {
       name: 'Workouts',
       description: 'Workout tracking endpoints',
     },
+    {
+      name: 'Exercises',
+      description: 'Exercise catalog referenced by workouts',
+    },
+    {
+      name: 'Foods',
+      description: 'Food database used by the food log',
+    },
+    {
+      name: 'Templates',
+      description: 'Reusable workout templates',
+    },
+    {
+      name: 'Schedules',
+      description: 'Recurring workout schedules (iCalendar RRULE)',
+    },
+    {
+      name: 'Programs',
+      description: 'Multi-week training programs and enrollments',
+    },
+    {
+      name: 'Access Tokens',
+      description: 'Personal access tokens for scripted API access',
+    },
+    {
+      name: 'Audit',
+      description: 'Audit log of changes to users and workouts',
+    },
   ],
   components: {
+    securitySchemes: {
+      sessionCookie: {
+        type: 'apiKey',
+        in: 'cookie',
+        name: 'fitness.sid',
+        description: 'Session cookie set after logging in with GitHub',
+      },
+      bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'JWT access token from POST /auth/token, or a personal access token created at POST /api/v1/tokens',
+      },
+    },
     schemas: {
       User: {
         type: 'object',
@@ -81,6 +138,16 @@ const swaggerDefinition = {
             description: 'User email address (must be unique)',
             example: 'john.doe@example.com',
           },
+          emailVerified: {
+            type: 'boolean',
+            readOnly: true,
+            description: 'Whether the owner verified the email address (by the emailed token or an OAuth provider). Changing the email clears it',
+          },
+          emailVerifiedAt: {
+            type: 'string',
+            format: 'date-time',
+            readOnly: true,
+          },
           age: {
             type: 'number',
             minimum: 13,
@@ -114,16 +181,67 @@ const swaggerDefinition = {
             description: 'User activity level',
             example: 'moderately_active',
           },
+          sex: {
+            type: 'string',
+            enum: ['male', 'female'],
+            description: 'Biological sex, used by the sex-specific BMR formulas',
+            example: 'female',
+          },
+          bodyFatPercentage: {
+            type: 'number',
+            minimum: 2,
+            maximum: 70,
+            description: 'Body fat percentage; enables the Katch-McArdle BMR formula',
+            example: 24,
+          },
+          bmrFormula: {
+            type: 'string',
+            enum: ['auto', 'mifflin_st_jeor', 'harris_benedict', 'katch_mcardle'],
+            default: 'auto',
+            description: "Preferred BMR formula; 'auto' uses Katch-McArdle when body fat is known, otherwise Mifflin-St Jeor",
+            example: 'auto',
+          },
+          timezone: {
+            type: 'string',
+            description: 'IANA time zone used for the calendar feed',
+            default: 'UTC',
+            example: 'Europe/Berlin',
+          },
           isActive: {
             type: 'boolean',
             description: 'Whether the user account is active',
             example: true,
           },
+          roles: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: ['athlete', 'coach', 'admin'],
+            },
+            description: 'Roles granting permissions (managed by admins)',
+            example: ['athlete'],
+          },
           bmi: {
             type: 'number',
             description: 'Calculated BMI (Body Mass Index) - virtual field',
             example: 24.7,
           },
+          bmr: {
+            type: 'object',
+            nullable: true,
+            description: 'Basal metabolic rate and the formula used - virtual field (null without enough profile data)',
+            properties: {
+              bmr: { type: 'integer', description: 'kcal/day', example: 1483 },
+              formula: { type: 'string', enum: ['mifflin_st_jeor', 'harris_benedict', 'katch_mcardle'], example: 'mifflin_st_jeor' },
+              variant: { type: 'string', nullable: true, enum: ['male', 'female', 'average'], description: "Sex used by a sex-specific formula; 'average' when the profile has none", example: 'female' },
+            },
+          },
+          dailyCalorieNeeds: {
+            type: 'integer',
+            nullable: true,
+            description: 'BMR x activity level multiplier - virtual field',
+            example: 2299,
+          },
           createdAt: {
             type: 'string',
             format: 'date-time',
@@ -174,9 +292,15 @@ const swaggerDefinition = {
             type: 'number',
             minimum: 1,
             maximum: 5000,
-            description: 'Estimated calories burned',
+            description: "Calories burned; estimated from the MET table and the owner's weight when left out",
             example: 300,
           },
+          caloriesSource: {
+            type: 'string',
+            enum: ['user', 'estimated'],
+            description: 'Whether caloriesBurned was entered or estimated',
+            example: 'user',
+          },
           intensity: {
             type: 'string',
             enum: ['low', 'moderate', 'high', 'extreme'],
@@ -192,48 +316,118 @@ const swaggerDefinition = {
           workoutDate: {
             type: 'string',
             format: 'date-time',
-            description: 'Date when workout was performed',
+            description: 'Date when workout was performed, or is planned for',
             example: '2024-10-06T08:00:00Z',
           },
+          distance: {
+            type: 'number',
+            minimum: 0.01,
+            maximum: 1000,
+            description: 'Distance covered in km - used for pace records',
+            example: 5,
+          },
           completed: {
             type: 'boolean',
-            description: 'Whether the workout was completed',
+            description: "Whether the workout was completed - true exactly when status is 'completed'",
             example: true,
           },
+          status: {
+            type: 'string',
+            enum: ['planned', 'in_progress', 'completed', 'skipped'],
+            description: 'Lifecycle status - only planned workouts can be dated in the future',
+            example: 'completed',
+          },
           exercises: {
             type: 'array',
             description: 'Detailed list of exercises performed',
             items: {
               type: 'object',
               properties: {
+                exerciseId: {
+                  type: 'string',
+                  description: 'Catalog exercise ID - the catalog name is used when set',
+                  example: '6523f1a2b4c5d6e7f8a9b0d4',
+                },
                 name: {
                   type: 'string',
-                  description: 'Exercise name',
+                  description: 'Exercise name - required without exerciseId; linked to the catalog when it matches a name or alias',
                   example: 'Push-ups',
                 },
                 sets: {
                   type: 'number',
-                  description: 'Number of sets',
+                  description: 'Number of sets - set automatically when setDetails is given',
                   example: 3,
                 },
                 reps: {
                   type: 'number',
-                  description: 'Repetitions per set',
+                  description: 'Repetitions per set (summary form for entries without setDetails)',
                   example: 15,
                 },
                 weight: {
                   type: 'number',
-                  description: 'Weight used in kg',
+                  description: 'Weight used in kg (summary form for entries without setDetails)',
                   example: 20,
                 },
+                setDetails: {
+                  type: 'array',
+                  description: 'Sets performed, in order',
+                  items: { $ref: '#/components/schemas/WorkoutSet' },
+                },
+                volume: {
+                  type: 'number',
+                  description: 'Total reps, excluding warm-up sets - virtual field',
+                  example: 45,
+                },
+                tonnage: {
+                  type: 'number',
+                  description: 'Total reps x weight in kg, excluding warm-up sets - virtual field',
+                  example: 900,
+                },
               },
             },
           },
+          templateId: {
+            type: 'string',
+            description: 'Workout template the workout was created from, if any',
+            example: '6523f1a2b4c5d6e7f8a9b0e1',
+          },
+          scheduleId: {
+            type: 'string',
+            description: 'Recurring schedule the workout was created for, if any',
+            example: '6523f1a2b4c5d6e7f8a9b0f1',
+          },
+          occurrenceDate: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Schedule occurrence the workout was created for',
+          },
+          programId: {
+            type: 'string',
+            description: 'Training program the workout was planned for, if any',
+          },
+          enrollmentId: {
+            type: 'string',
+            description: 'Program enrollment the workout was planned for',
+          },
+          programWeek: {
+            type: 'integer',
+            description: 'Program week, starting at 1',
+          },
           caloriesPerMinute: {
             type: 'number',
             description: 'Calculated calories per minute - virtual field',
             example: 10,
           },
+          totalVolume: {
+            type: 'number',
+            description: 'Total reps across all exercises, excluding warm-up sets - virtual field',
+            example: 45,
+          },
+          totalTonnage: {
+            type: 'number',
+            description: 'Total weight moved in kg across all exercises, excluding warm-up sets - virtual field',
+            example: 900,
+          },
           createdAt: {
             type: 'string',
             format: 'date-time',
@@ -246,169 +440,6123 @@ const swaggerDefinition = {
           },
         },
       },
-      SuccessResponse: {
+      AccessToken: {
         type: 'object',
         properties: {
-          success: {
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b0c1',
+          },
+          name: {
+            type: 'string',
+            example: 'Garmin sync',
+          },
+          tokenPrefix: {
+            type: 'string',
+            description: 'First characters of the token, for recognition',
+            example: 'fit_pat_Xy3kQ',
+          },
+          scopes: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: TOKEN_SCOPES,
+            },
+            example: ['workouts:write'],
+          },
+          expiresAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          lastUsedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          revokedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          isActive: {
             type: 'boolean',
+            description: 'Whether the token is neither expired nor revoked - virtual field',
             example: true,
           },
-          message: {
+        },
+      },
+      WorkoutSet: {
+        type: 'object',
+        required: ['reps'],
+        properties: {
+          type: {
             type: 'string',
-            example: 'Operation completed successfully',
+            enum: ['warm_up', 'working', 'drop', 'failure'],
+            default: 'working',
+            description: 'Warm-up sets do not count towards volume or tonnage',
           },
-          data: {
-            type: 'object',
-            description: 'Response data',
+          reps: {
+            type: 'integer',
+            minimum: 0,
+            example: 8,
           },
-          timestamp: {
+          weight: {
+            type: 'number',
+            minimum: 0,
+            description: 'Weight in kg',
+            example: 60,
+          },
+          rpe: {
+            type: 'number',
+            minimum: 1,
+            maximum: 10,
+            description: 'Rate of perceived exertion',
+            example: 8.5,
+          },
+          rir: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 10,
+            description: 'Reps in reserve',
+            example: 2,
+          },
+          restSeconds: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 3600,
+            description: 'Rest taken after the set',
+            example: 120,
+          },
+          tempo: {
             type: 'string',
-            format: 'date-time',
-            example: '2024-10-06T12:00:00Z',
+            description: 'Eccentric-pause-concentric-pause, digits or X',
+            example: '3-1-X-0',
           },
         },
       },
-      ErrorResponse: {
+      PersonalRecord: {
         type: 'object',
         properties: {
-          success: {
-            type: 'boolean',
-            example: false,
+          _id: {
+            type: 'string',
           },
-          message: {
+          userId: {
             type: 'string',
-            example: 'An error occurred',
           },
-          errors: {
-            type: 'array',
-            description: 'Detailed error information (optional)',
-            items: {
-              type: 'object',
-              properties: {
-                field: {
-                  type: 'string',
-                  example: 'email',
-                },
-                message: {
-                  type: 'string',
-                  example: 'Invalid email format',
-                },
-              },
-            },
+          workoutId: {
+            type: 'string',
+            description: 'Workout that set the record',
           },
-          timestamp: {
+          type: {
+            type: 'string',
+            enum: ['heaviest_weight', 'estimated_1rm', 'most_reps', 'longest_duration', 'best_pace'],
+            example: 'estimated_1rm',
+          },
+          exerciseId: {
+            type: 'string',
+            description: 'Catalog exercise - lifting records',
+          },
+          exerciseName: {
+            type: 'string',
+            example: 'Bench Press',
+          },
+          exerciseType: {
+            type: 'string',
+            description: 'Workout type - duration and pace records',
+          },
+          weight: {
+            type: 'number',
+            description: 'Weight the reps were performed at - most_reps records',
+          },
+          value: {
+            type: 'number',
+            example: 93.3,
+          },
+          unit: {
+            type: 'string',
+            enum: ['kg', 'reps', 'min', 'min/km'],
+            example: 'kg',
+          },
+          previousValue: {
+            type: 'number',
+            description: 'Record that was beaten, if any',
+            example: 90,
+          },
+          achievedAt: {
             type: 'string',
             format: 'date-time',
-            example: '2024-10-06T12:00:00Z',
+          },
+          isCurrent: {
+            type: 'boolean',
+            description: 'False once the record has been beaten',
           },
         },
       },
-      PaginatedResponse: {
+      WorkoutTemplate: {
         type: 'object',
+        required: ['userId', 'title', 'exerciseType'],
         properties: {
-          success: {
-            type: 'boolean',
-            example: true,
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b0e1',
           },
-          message: {
+          userId: {
             type: 'string',
-            example: 'Data retrieved successfully',
+            description: 'Owner of the template',
+            example: '507f1f77bcf86cd799439011',
           },
-          data: {
+          title: {
+            type: 'string',
+            minLength: 3,
+            maxLength: 100,
+            example: 'Push Day A',
+          },
+          exerciseType: {
+            type: 'string',
+            enum: ['cardio', 'strength', 'flexibility', 'sports', 'yoga', 'pilates', 'hiit', 'crossfit', 'swimming', 'cycling', 'running', 'walking', 'other'],
+            example: 'strength',
+          },
+          duration: {
+            type: 'number',
+            minimum: 1,
+            maximum: 600,
+            description: 'Planned duration in minutes',
+            example: 60,
+          },
+          caloriesBurned: {
+            type: 'number',
+            minimum: 1,
+            maximum: 5000,
+            description: 'Expected calories burned',
+            example: 400,
+          },
+          intensity: {
+            type: 'string',
+            enum: ['low', 'moderate', 'high', 'extreme'],
+            example: 'high',
+          },
+          notes: {
+            type: 'string',
+            maxLength: 500,
+          },
+          exercises: {
             type: 'array',
+            description: 'Planned exercises - same fields as workout exercises',
             items: {
               type: 'object',
-            },
-          },
-          pagination: {
-            type: 'object',
-            properties: {
-              currentPage: {
-                type: 'number',
-                example: 1,
-              },
-              totalPages: {
-                type: 'number',
-                example: 5,
-              },
-              itemsPerPage: {
-                type: 'number',
-                example: 10,
-              },
-              totalItems: {
-                type: 'number',
-                example: 47,
-              },
-              hasNextPage: {
-                type: 'boolean',
-                example: true,
-              },
-              hasPrevPage: {
-                type: 'boolean',
-                example: false,
+              properties: {
+                exerciseId: { type: 'string', example: '6523f1a2b4c5d6e7f8a9b0d4' },
+                name: { type: 'string', example: 'Bench Press' },
+                sets: { type: 'number', example: 3 },
+                reps: { type: 'number', example: 8 },
+                weight: { type: 'number', example: 80 },
+                setDetails: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/WorkoutSet' },
+                },
               },
             },
           },
-          timestamp: {
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          updatedAt: {
             type: 'string',
             format: 'date-time',
           },
         },
       },
-    },
-  },
-  paths: {
-    '/api/v1/users': {
-      post: {
-        tags: ['Users'],
-        summary: 'Create a new user',
-        description: 'Creates a new user profile with fitness information',
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['name', 'email'],
-                properties: {
-                  name: {
-                    type: 'string',
-                    example: 'John Doe',
+      WorkoutSchedule: {
+        type: 'object',
+        required: ['userId', 'title', 'exerciseType', 'duration', 'rrule', 'startDate'],
+        properties: {
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b0f1',
+          },
+          userId: {
+            type: 'string',
+            description: 'Owner of the schedule',
+            example: '507f1f77bcf86cd799439011',
+          },
+          title: {
+            type: 'string',
+            minLength: 3,
+            maxLength: 100,
+            example: 'Full Body Strength',
+          },
+          exerciseType: {
+            type: 'string',
+            enum: ['cardio', 'strength', 'flexibility', 'sports', 'yoga', 'pilates', 'hiit', 'crossfit', 'swimming', 'cycling', 'running', 'walking', 'other'],
+            example: 'strength',
+          },
+          duration: {
+            type: 'number',
+            minimum: 1,
+            maximum: 600,
+            description: 'Planned duration in minutes',
+            example: 60,
+          },
+          caloriesBurned: {
+            type: 'number',
+            minimum: 1,
+            maximum: 5000,
+            description: 'Expected calories burned',
+            example: 400,
+          },
+          intensity: {
+            type: 'string',
+            enum: ['low', 'moderate', 'high', 'extreme'],
+            example: 'moderate',
+          },
+          notes: {
+            type: 'string',
+            maxLength: 500,
+          },
+          exercises: {
+            type: 'array',
+            description: 'Planned exercises - same fields as workout exercises',
+            items: { type: 'object' },
+          },
+          templateId: {
+            type: 'string',
+            description: 'Workout template the planned values were copied from, if any',
+          },
+          rrule: {
+            type: 'string',
+            description: 'iCalendar recurrence rule',
+            example: 'FREQ=WEEKLY;BYDAY=MO,WE,FR',
+          },
+          startDate: {
+            type: 'string',
+            format: 'date-time',
+            description: 'First occurrence (DTSTART); every occurrence keeps its local time of day in timezone',
+            example: '2024-03-04T07:00:00Z',
+          },
+          timezone: {
+            type: 'string',
+            description: "IANA time zone the rule is expanded in (defaults to the owner's profile timezone)",
+            example: 'Europe/Berlin',
+          },
+          endDate: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Set when a later version of the schedule takes over from this occurrence on',
+          },
+          exceptions: {
+            type: 'array',
+            description: 'Skipped occurrences',
+            items: {
+              type: 'object',
+              properties: {
+                date: { type: 'string', format: 'date-time' },
+                reason: { type: 'string', example: 'Travelling' },
+              },
+            },
+          },
+          previousScheduleId: {
+            type: 'string',
+            description: 'Schedule this one continues after a "this and following" edit',
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          updatedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+      Program: {
+        type: 'object',
+        required: ['userId', 'title', 'weeks'],
+        properties: {
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b101',
+          },
+          userId: {
+            type: 'string',
+            description: 'Owner of the program',
+            example: '507f1f77bcf86cd799439011',
+          },
+          title: {
+            type: 'string',
+            minLength: 3,
+            maxLength: 100,
+            example: 'Linear Strength',
+          },
+          description: {
+            type: 'string',
+            maxLength: 1000,
+          },
+          weeks: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 52,
+            items: {
+              type: 'object',
+              properties: {
+                days: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    required: ['day', 'templateId'],
+                    properties: {
+                      day: { type: 'integer', minimum: 1, maximum: 7, description: 'Day of the week, counted from the start date' },
+                      templateId: { type: 'string', example: '6523f1a2b4c5d6e7f8a9b0e1' },
+                      notes: { type: 'string' },
+                    },
                   },
-                  email: {
-                    type: 'string',
-                    example: 'john.doe@example.com',
+                },
+              },
+            },
+          },
+          progression: {
+            type: 'object',
+            properties: {
+              weightIncrement: { type: 'number', minimum: 0, maximum: 50, default: 0, description: 'kg added after each full week', example: 2.5 },
+              deloadEvery: { type: 'integer', minimum: 2, maximum: 52, description: 'Every nth week is a deload week', example: 4 },
+              deloadFactor: { type: 'number', minimum: 0.1, maximum: 1, default: 0.6, description: 'Share of the progressed weights lifted in deload weeks' },
+            },
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          updatedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+      ProgramEnrollment: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b102',
+          },
+          programId: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b101',
+          },
+          userId: {
+            type: 'string',
+            example: '507f1f77bcf86cd799439011',
+          },
+          startDate: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Day 1 of week 1',
+          },
+          status: {
+            type: 'string',
+            enum: ['active', 'cancelled'],
+          },
+          cancelledAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+      BodyMeasurement: {
+        type: 'object',
+        description: 'One dated entry of body measurements; at least one metric is set',
+        properties: {
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b201',
+          },
+          userId: {
+            type: 'string',
+            example: '507f1f77bcf86cd799439011',
+          },
+          measuredAt: {
+            type: 'string',
+            format: 'date-time',
+            description: 'When the measurement was taken (not in the future)',
+          },
+          weight: { type: 'number', minimum: 20, maximum: 500, example: 80.4, description: 'kg' },
+          bodyFatPercentage: { type: 'number', minimum: 2, maximum: 70, example: 18.5 },
+          waist: { type: 'number', minimum: 20, maximum: 300, example: 88, description: 'cm' },
+          hips: { type: 'number', minimum: 20, maximum: 300, description: 'cm' },
+          chest: { type: 'number', minimum: 20, maximum: 300, description: 'cm' },
+          neck: { type: 'number', minimum: 10, maximum: 100, description: 'cm' },
+          arms: { type: 'number', minimum: 10, maximum: 100, description: 'cm' },
+          thighs: { type: 'number', minimum: 10, maximum: 150, description: 'cm' },
+          restingHeartRate: { type: 'number', minimum: 20, maximum: 250, example: 58, description: 'bpm' },
+          notes: {
+            type: 'string',
+            maxLength: 500,
+          },
+        },
+      },
+      MeasurementTrend: {
+        type: 'object',
+        properties: {
+          metric: { type: 'string', example: 'weight' },
+          unit: { type: 'string', example: 'kg' },
+          windowDays: { type: 'integer', example: 7 },
+          alpha: { type: 'number', example: 0.1 },
+          points: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                measuredAt: { type: 'string', format: 'date-time' },
+                value: { type: 'number', example: 78 },
+                movingAverage: { type: 'number', example: 78.6, description: 'Mean of the entries in the trailing window' },
+                ewma: { type: 'number', example: 79.79, description: 'Exponentially weighted moving average' },
+              },
+            },
+          },
+          summary: {
+            type: 'object',
+            properties: {
+              count: { type: 'integer', example: 4 },
+              latest: { type: 'number', nullable: true, example: 78 },
+              smoothed: { type: 'number', nullable: true, example: 79.79 },
+              change: { type: 'number', nullable: true, example: -0.21, description: 'Change in the EWMA over the range' },
+              direction: { type: 'string', nullable: true, enum: ['up', 'down', 'flat'] },
+            },
+          },
+        },
+      },
+      Goal: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b301',
+          },
+          userId: {
+            type: 'string',
+            example: '507f1f77bcf86cd799439011',
+          },
+          type: {
+            type: 'string',
+            enum: ['weight', 'workout_frequency', 'distance', 'lift'],
+          },
+          title: {
+            type: 'string',
+            example: 'Target weight: 80 kg',
+          },
+          target: {
+            type: 'number',
+            example: 80,
+            description: 'kg for weight and lift goals, workouts per week, or km',
+          },
+          startValue: {
+            type: 'number',
+            example: 90,
+            description: 'Value progress is measured from (defaults to the current weight or lift record)',
+          },
+          startDate: {
+            type: 'string',
+            format: 'date-time',
+          },
+          deadline: {
+            type: 'string',
+            format: 'date-time',
+          },
+          exerciseType: {
+            type: 'string',
+            description: 'Distance and frequency goals: only count workouts of this type',
+          },
+          exerciseId: {
+            type: 'string',
+            description: 'Lift goals: catalog exercise',
+          },
+          exerciseName: {
+            type: 'string',
+            example: 'Back Squat',
+          },
+          recordType: {
+            type: 'string',
+            enum: ['heaviest_weight', 'estimated_1rm'],
+          },
+          notes: {
+            type: 'string',
+          },
+          progress: {
+            type: 'object',
+            description: 'Worked out on every request',
+            properties: {
+              currentValue: { type: 'number', nullable: true, example: 86 },
+              unit: { type: 'string', example: 'kg' },
+              progress: { type: 'number', example: 40, description: 'Percent of the way from startValue to target' },
+              remaining: { type: 'number', nullable: true, example: 6 },
+              status: { type: 'string', enum: ['achieved', 'on_track', 'off_track', 'missed'] },
+              ratePerWeek: { type: 'number', nullable: true, example: -0.9, description: 'Change per week since the start date' },
+              projectedCompletionDate: { type: 'string', format: 'date-time', nullable: true },
+              weekStart: { type: 'string', format: 'date-time', description: 'Frequency goals: the week being counted' },
+              caloriePlan: {
+                type: 'object',
+                nullable: true,
+                description: 'Weight goals: daily intake for a safe weekly change towards the target (from getRecommendedCalories)',
+                properties: {
+                  maintenance: { type: 'integer', example: 2219 },
+                  dailyTarget: { type: 'integer', example: 1669 },
+                  dailyDeficit: { type: 'integer', example: 550, description: 'Negative for a surplus' },
+                  weeklyChange: { type: 'number', example: -0.5 },
+                  requiredWeeklyChange: { type: 'number', example: -0.5 },
+                  capped: { type: 'boolean', description: 'Whether the required change was beyond the safe limit' },
+                },
+              },
+            },
+          },
+        },
+      },
+      Food: {
+        type: 'object',
+        description: 'Nutrition is per serving',
+        properties: {
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b401',
+          },
+          name: {
+            type: 'string',
+            example: 'Oats',
+          },
+          brand: {
+            type: 'string',
+          },
+          servingSize: {
+            type: 'number',
+            example: 40,
+          },
+          servingUnit: {
+            type: 'string',
+            enum: SERVING_UNITS,
+            example: 'g',
+          },
+          calories: {
+            type: 'number',
+            example: 150,
+          },
+          protein: {
+            type: 'number',
+            example: 5.3,
+            description: 'Grams',
+          },
+          carbs: {
+            type: 'number',
+            example: 27,
+            description: 'Grams',
+          },
+          fat: {
+            type: 'number',
+            example: 2.6,
+            description: 'Grams',
+          },
+          isStandard: {
+            type: 'boolean',
+            description: 'Shared with everyone; other foods are private to the user who added them',
+          },
+          createdBy: {
+            type: 'string',
+          },
+        },
+      },
+      FoodLogEntry: {
+        type: 'object',
+        description: 'Nutrition is for the whole entry (per serving x servings)',
+        properties: {
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b501',
+          },
+          userId: {
+            type: 'string',
+            example: '507f1f77bcf86cd799439011',
+          },
+          eatenAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          meal: {
+            type: 'string',
+            enum: MEAL_TYPES,
+          },
+          foodId: {
+            type: 'string',
+            description: 'Food database entry the nutrition was copied from',
+          },
+          foodName: {
+            type: 'string',
+            example: 'Oats',
+          },
+          servings: {
+            type: 'number',
+            example: 2,
+          },
+          servingSize: {
+            type: 'number',
+            example: 40,
+          },
+          servingUnit: {
+            type: 'string',
+            enum: SERVING_UNITS,
+          },
+          calories: {
+            type: 'number',
+            example: 300,
+          },
+          protein: {
+            type: 'number',
+            example: 10.6,
+          },
+          carbs: {
+            type: 'number',
+            example: 54,
+          },
+          fat: {
+            type: 'number',
+            example: 5.2,
+          },
+          notes: {
+            type: 'string',
+          },
+        },
+      },
+      EnergyBalance: {
+        type: 'object',
+        properties: {
+          from: { type: 'string', format: 'date', example: '2024-03-04' },
+          to: { type: 'string', format: 'date', example: '2024-03-10' },
+          timezone: { type: 'string', example: 'Europe/Berlin' },
+          dailyCalorieNeeds: { type: 'number', nullable: true, example: 2136 },
+          days: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                date: { type: 'string', format: 'date', example: '2024-03-04' },
+                intake: { type: 'number', nullable: true, example: 2500, description: 'null when no food was logged' },
+                dailyCalorieNeeds: { type: 'number', nullable: true, example: 2136 },
+                caloriesBurned: { type: 'number', example: 500, description: 'Completed workouts' },
+                workouts: { type: 'integer', example: 1 },
+                expenditure: { type: 'number', nullable: true, example: 2636 },
+                net: { type: 'number', nullable: true, example: -136, description: 'intake - dailyCalorieNeeds - caloriesBurned' },
+              },
+            },
+          },
+          summary: {
+            type: 'object',
+            properties: {
+              daysLogged: { type: 'integer' },
+              totalIntake: { type: 'number' },
+              totalCaloriesBurned: { type: 'number' },
+              totalNet: { type: 'number', nullable: true },
+              averageIntake: { type: 'number', nullable: true },
+              averageNet: { type: 'number', nullable: true },
+            },
+          },
+        },
+      },
+      WellnessEntry: {
+        type: 'object',
+        description: 'One per user and day; at least one metric is recorded',
+        properties: {
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b601',
+          },
+          userId: {
+            type: 'string',
+            example: '507f1f77bcf86cd799439011',
+          },
+          date: {
+            type: 'string',
+            format: 'date',
+            example: '2024-03-10',
+          },
+          sleepHours: {
+            type: 'number',
+            minimum: 0,
+            maximum: 24,
+            example: 7.5,
+          },
+          sleepQuality: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 5,
+            example: 4,
+            description: '1 (poor) - 5 (great)',
+          },
+          waterIntake: {
+            type: 'number',
+            minimum: 0,
+            maximum: 10000,
+            example: 2500,
+            description: 'Milliliters',
+          },
+          soreness: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 5,
+            example: 2,
+            description: '1 (none) - 5 (severe)',
+          },
+          mood: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 5,
+            example: 4,
+            description: '1 (poor) - 5 (great)',
+          },
+          restingHeartRate: {
+            type: 'number',
+            minimum: 20,
+            maximum: 250,
+            example: 52,
+            description: 'Beats per minute',
+          },
+          hrv: {
+            type: 'number',
+            minimum: 1,
+            maximum: 300,
+            example: 65,
+            description: 'Heart rate variability in milliseconds',
+          },
+          notes: {
+            type: 'string',
+          },
+        },
+      },
+      Readiness: {
+        type: 'object',
+        properties: {
+          date: { type: 'string', format: 'date', example: '2024-03-10' },
+          score: { type: 'integer', minimum: 0, maximum: 100, example: 81 },
+          level: { type: 'string', enum: READINESS_LEVELS.map(({ level }) => level), example: 'high' },
+          advice: { type: 'string', example: 'Ready for a hard session' },
+          components: {
+            type: 'object',
+            description: 'Each component is scored 0-100, or null without data. weight is its share of the score',
+            properties: {
+              sleep: { type: 'object', properties: { score: { type: 'integer', nullable: true }, weight: { type: 'number' }, sleepHours: { type: 'number', nullable: true }, sleepQuality: { type: 'integer', nullable: true } } },
+              hrv: { type: 'object', properties: { score: { type: 'integer', nullable: true }, weight: { type: 'number' }, value: { type: 'number', nullable: true }, baseline: { type: 'number', nullable: true } } },
+              restingHeartRate: { type: 'object', properties: { score: { type: 'integer', nullable: true }, weight: { type: 'number' }, value: { type: 'number', nullable: true }, baseline: { type: 'number', nullable: true } } },
+              soreness: { type: 'object', properties: { score: { type: 'integer', nullable: true }, weight: { type: 'number' }, value: { type: 'integer', nullable: true } } },
+              mood: { type: 'object', properties: { score: { type: 'integer', nullable: true }, weight: { type: 'number' }, value: { type: 'integer', nullable: true } } },
+              hydration: { type: 'object', properties: { score: { type: 'integer', nullable: true }, weight: { type: 'number' }, waterIntake: { type: 'number', nullable: true }, target: { type: 'number' } } },
+              trainingLoad: { type: 'object', properties: { score: { type: 'integer', nullable: true }, weight: { type: 'number' }, acute: { type: 'number' }, chronic: { type: 'number' }, ratio: { type: 'number', nullable: true } } },
+            },
+          },
+          entry: {
+            allOf: [{ $ref: '#/components/schemas/WellnessEntry' }],
+            nullable: true,
+            description: 'Wellness entry of the day',
+          },
+        },
+      },
+      Exercise: {
+        type: 'object',
+        required: ['name', 'category'],
+        properties: {
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b0d4',
+          },
+          name: {
+            type: 'string',
+            minLength: 2,
+            maxLength: 100,
+            example: 'Push Up',
+          },
+          aliases: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Other names that resolve to this exercise',
+            example: ['Push-ups', 'Press Up'],
+          },
+          category: {
+            type: 'string',
+            enum: EXERCISE_CATEGORIES,
+            example: 'strength',
+          },
+          muscleGroups: {
+            type: 'array',
+            items: { type: 'string', enum: MUSCLE_GROUPS },
+            example: ['chest', 'triceps', 'shoulders'],
+          },
+          equipment: {
+            type: 'array',
+            items: { type: 'string', enum: EQUIPMENT },
+            example: ['bodyweight'],
+          },
+          metValue: {
+            type: 'number',
+            minimum: 1,
+            maximum: 25,
+            description: 'Default metabolic equivalent, used to estimate calories',
+            example: 3.8,
+          },
+          description: {
+            type: 'string',
+            maxLength: 1000,
+          },
+          isStandard: {
+            type: 'boolean',
+            description: 'Whether the exercise came from the standard library',
+            example: true,
+          },
+          createdBy: {
+            type: 'string',
+            description: 'User who added the exercise - absent for standard exercises',
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          updatedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+      AuditEvent: {
+        type: 'object',
+        properties: {
+          _id: {
+            type: 'string',
+            example: '6523f1a2b4c5d6e7f8a9b0c1',
+          },
+          action: {
+            type: 'string',
+            enum: ['create', 'update', 'delete'],
+            example: 'update',
+          },
+          resourceType: {
+            type: 'string',
+            enum: ['user', 'workout'],
+            example: 'user',
+          },
+          resourceId: {
+            type: 'string',
+            description: 'ID of the user or workout that changed',
+          },
+          targetUserId: {
+            type: 'string',
+            description: 'Account the change belongs to (the user, or the workout owner)',
+          },
+          actorId: {
+            type: 'string',
+            description: 'User who made the change - absent for anonymous requests',
+          },
+          actorAuthMethod: {
+            type: 'string',
+            example: 'session',
+          },
+          changes: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string', example: 'weight' },
+                before: { example: 70 },
+                after: { example: 72 },
+              },
+            },
+          },
+          ip: {
+            type: 'string',
+            example: '203.0.113.7',
+          },
+          userAgent: {
+            type: 'string',
+          },
+          requestId: {
+            type: 'string',
+            description: 'Value of the X-Request-Id header for the request that made the change',
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+      SuccessResponse: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            example: true,
+          },
+          message: {
+            type: 'string',
+            example: 'Operation completed successfully',
+          },
+          data: {
+            type: 'object',
+            description: 'Response data',
+          },
+          timestamp: {
+            type: 'string',
+            format: 'date-time',
+            example: '2024-10-06T12:00:00Z',
+          },
+        },
+      },
+      ErrorResponse: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            example: false,
+          },
+          message: {
+            type: 'string',
+            example: 'An error occurred',
+          },
+          errors: {
+            type: 'array',
+            description: 'Detailed error information (optional)',
+            items: {
+              type: 'object',
+              properties: {
+                field: {
+                  type: 'string',
+                  example: 'email',
+                },
+                message: {
+                  type: 'string',
+                  example: 'Invalid email format',
+                },
+              },
+            },
+          },
+          timestamp: {
+            type: 'string',
+            format: 'date-time',
+            example: '2024-10-06T12:00:00Z',
+          },
+        },
+      },
+      PaginatedResponse: {
+        type: 'object',
+        properties: {
+          success: {
+            type: 'boolean',
+            example: true,
+          },
+          message: {
+            type: 'string',
+            example: 'Data retrieved successfully',
+          },
+          data: {
+            type: 'array',
+            items: {
+              type: 'object',
+            },
+          },
+          pagination: {
+            type: 'object',
+            properties: {
+              currentPage: {
+                type: 'number',
+                example: 1,
+              },
+              totalPages: {
+                type: 'number',
+                example: 5,
+              },
+              itemsPerPage: {
+                type: 'number',
+                example: 10,
+              },
+              totalItems: {
+                type: 'number',
+                example: 47,
+              },
+              hasNextPage: {
+                type: 'boolean',
+                example: true,
+              },
+              hasPrevPage: {
+                type: 'boolean',
+                example: false,
+              },
+            },
+          },
+          timestamp: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+    },
+  },
+  paths: {
+    '/api/v1/users': {
+      post: {
+        tags: ['Users'],
+        summary: 'Create a new user',
+        description: 'Creates a new user profile with fitness information',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'email'],
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'John Doe',
+                  },
+                  email: {
+                    type: 'string',
+                    example: 'john.doe@example.com',
+                  },
+                  age: {
+                    type: 'number',
+                    example: 28,
+                  },
+                  weight: {
+                    type: 'number',
+                    example: 75.5,
+                  },
+                  height: {
+                    type: 'number',
+                    example: 175,
+                  },
+                  fitnessGoal: {
+                    type: 'string',
+                    enum: ['weight_loss', 'muscle_gain', 'endurance', 'flexibility', 'general_fitness'],
+                    example: 'muscle_gain',
+                  },
+                  activityLevel: {
+                    type: 'string',
+                    enum: ['sedentary', 'lightly_active', 'moderately_active', 'very_active', 'extra_active'],
+                    example: 'moderately_active',
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'User created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/User' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error or duplicate email',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          500: {
+            description: 'Server error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      get: {
+        tags: ['Users'],
+        summary: 'Get all users',
+        description: "Retrieves all users with optional filtering. Requires the 'users:list' permission (coaches and admins)",
+        parameters: [
+          {
+            in: 'query',
+            name: 'fitnessGoal',
+            schema: {
+              type: 'string',
+              enum: ['weight_loss', 'muscle_gain', 'endurance', 'flexibility', 'general_fitness'],
+            },
+            description: 'Filter by fitness goal',
+          },
+          {
+            in: 'query',
+            name: 'activityLevel',
+            schema: {
+              type: 'string',
+              enum: ['sedentary', 'lightly_active', 'moderately_active', 'very_active', 'extra_active'],
+            },
+            description: 'Filter by activity level',
+          },
+          {
+            in: 'query',
+            name: 'isActive',
+            schema: {
+              type: 'boolean',
+            },
+            description: 'Filter by active status',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Users retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            count: {
+                              type: 'number',
+                              example: 10,
+                            },
+                            users: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/User' },
+                            },
+                          },
+                        },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Missing 'users:list' permission",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          500: {
+            description: 'Server error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get user by ID',
+        description: 'Retrieves a single user by their ID',
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: {
+              type: 'string',
+            },
+            description: 'User MongoDB ObjectId',
+            example: '507f1f77bcf86cd799439011',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'User retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/User' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          500: {
+            description: 'Server error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      put: {
+        tags: ['Users'],
+        summary: 'Update user',
+        description: 'Updates a user by their ID',
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: {
+              type: 'string',
+            },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: {
+                    type: 'string',
+                    example: 'John Updated',
+                  },
+                  email: {
+                    type: 'string',
+                    example: 'john.updated@example.com',
+                  },
+                  age: {
+                    type: 'number',
+                    example: 29,
+                  },
+                  weight: {
+                    type: 'number',
+                    example: 73,
+                  },
+                  height: {
+                    type: 'number',
+                    example: 176,
+                  },
+                  fitnessGoal: {
+                    type: 'string',
+                    example: 'endurance',
+                  },
+                  activityLevel: {
+                    type: 'string',
+                    example: 'very_active',
+                  },
+                  timezone: {
+                    type: 'string',
+                    example: 'Europe/Berlin',
+                  },
+                  isActive: {
+                    type: 'boolean',
+                    example: true,
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'User updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/User' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error or invalid ID',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Not the account owner or an admin',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          500: {
+            description: 'Server error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Users'],
+        summary: 'Delete user',
+        description: 'Deletes a user by their ID',
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: {
+              type: 'string',
+            },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'User deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Not the account owner or an admin',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          500: {
+            description: 'Server error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/stats': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get user statistics',
+        description: 'Retrieves comprehensive statistics for a user including BMI, goals, and account info. user.bmr reports the BMR formula behind dailyCalorieNeeds',
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: {
+              type: 'string',
+            },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'User statistics retrieved successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/records': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get personal records',
+        description: 'Lists the personal records detected in the user\'s completed workouts. Only standing records are returned unless history=true. Records are rebuilt whenever a workout is created, edited or deleted',
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'query',
+            name: 'type',
+            schema: { type: 'string', enum: ['heaviest_weight', 'estimated_1rm', 'most_reps', 'longest_duration', 'best_pace'] },
+          },
+          { in: 'query', name: 'exercise', schema: { type: 'string' }, description: 'Catalog exercise ID, name or alias' },
+          { in: 'query', name: 'history', schema: { type: 'boolean', default: false }, description: 'Include records that have since been beaten' },
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 } },
+        ],
+        responses: {
+          200: {
+            description: 'Personal records retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { type: 'array', items: { $ref: '#/components/schemas/PersonalRecord' } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format or filters',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/exercises/{exercise}/progress': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get strength progression for an exercise',
+        description: 'Returns the estimated one-rep max, top set, volume and tonnage of an exercise per day, week or month (UTC). Warm-up sets are ignored, and 1RM is only estimated from sets of up to 12 reps',
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'exercise',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Catalog exercise ID, name or alias - free-text workout entries with a matching name are included',
+          },
+          { in: 'query', name: 'formula', schema: { type: 'string', enum: ['epley', 'brzycki', 'lombardi'], default: 'epley' } },
+          { in: 'query', name: 'bucket', schema: { type: 'string', enum: ['day', 'week', 'month'], default: 'week' } },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' } },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' } },
+        ],
+        responses: {
+          200: {
+            description: 'Exercise progress retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            exercise: {
+                              type: 'object',
+                              properties: {
+                                id: { type: 'string', nullable: true },
+                                name: { type: 'string', example: 'Bench Press' },
+                              },
+                            },
+                            formula: { type: 'string', example: 'epley' },
+                            bucket: { type: 'string', example: 'week' },
+                            summary: {
+                              type: 'object',
+                              properties: {
+                                sessions: { type: 'integer', example: 12 },
+                                bestEstimatedOneRepMax: { type: 'number', nullable: true, example: 102.5 },
+                                estimatedOneRepMaxChange: { type: 'number', nullable: true, example: 7.5 },
+                              },
+                            },
+                            series: {
+                              type: 'array',
+                              items: {
+                                type: 'object',
+                                properties: {
+                                  period: { type: 'string', example: '2024-01-15' },
+                                  periodStart: { type: 'string', format: 'date-time' },
+                                  sessions: { type: 'integer', example: 2 },
+                                  estimatedOneRepMax: { type: 'number', nullable: true, example: 95.5 },
+                                  topSet: {
+                                    type: 'object',
+                                    nullable: true,
+                                    properties: {
+                                      weight: { type: 'number', example: 85 },
+                                      reps: { type: 'integer', example: 4 },
+                                    },
+                                  },
+                                  volume: { type: 'integer', example: 48 },
+                                  tonnage: { type: 'number', example: 3720 },
+                                },
+                              },
+                            },
+                          },
+                        },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format or options',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User or exercise not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/schedule': {
+      get: {
+        tags: ['Users'],
+        summary: "Get a user's workout calendar",
+        description: "Lists planned and logged workouts day by day in the user's timezone, plus recurring schedule occurrences that have no workout yet (as planned entries with a null id). The summary counts workouts per status; completionRate compares completed workouts with all workouts due by now, and later planned workouts count as upcoming",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' }, description: "Defaults to the start of today; a plain date means local midnight in the user's timezone" },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' }, description: 'Defaults to four weeks after from; at most 366 days after it' },
+        ],
+        responses: {
+          200: {
+            description: 'Schedule retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            from: { type: 'string', format: 'date-time' },
+                            to: { type: 'string', format: 'date-time' },
+                            timezone: { type: 'string', description: 'Time zone the days are grouped in', example: 'Europe/Berlin' },
+                            summary: {
+                              type: 'object',
+                              properties: {
+                                planned: { type: 'integer', example: 3 },
+                                in_progress: { type: 'integer', example: 0 },
+                                completed: { type: 'integer', example: 5 },
+                                skipped: { type: 'integer', example: 1 },
+                                upcoming: { type: 'integer', example: 3 },
+                                completionRate: { type: 'integer', description: 'Percent', example: 83 },
+                              },
+                            },
+                            days: {
+                              type: 'array',
+                              items: {
+                                type: 'object',
+                                properties: {
+                                  date: { type: 'string', example: '2024-10-07' },
+                                  workouts: { type: 'array', items: { type: 'object' } },
+                                },
+                              },
+                            },
+                          },
+                        },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid date range',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/programs/{programId}/progress': {
+      get: {
+        tags: ['Users'],
+        summary: "Get a user's adherence to a training program",
+        description: "Reports the user's latest enrollment in the program week by week. Missed workouts are still planned but due; adherence compares completed workouts with all workouts due by now",
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'programId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Program MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Program progress retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: {
+                  type: 'object',
+                  properties: {
+                    enrollment: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string' },
+                        startDate: { type: 'string', format: 'date-time' },
+                        status: { type: 'string', enum: ['active', 'cancelled'] },
+                      },
+                    },
+                    summary: {
+                      type: 'object',
+                      properties: {
+                        weeks: { type: 'integer', example: 8 },
+                        currentWeek: { type: 'integer', example: 3 },
+                        workouts: { type: 'integer', example: 24 },
+                        completed: { type: 'integer', example: 7 },
+                        skipped: { type: 'integer', example: 1 },
+                        missed: { type: 'integer', example: 0 },
+                        upcoming: { type: 'integer', example: 16 },
+                        adherence: { type: 'integer', description: 'Percent', example: 88 },
+                      },
+                    },
+                    weeks: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          week: { type: 'integer', example: 1 },
+                          startDate: { type: 'string', format: 'date-time' },
+                          deload: { type: 'boolean' },
+                          planned: { type: 'integer', example: 3 },
+                          completed: { type: 'integer', example: 3 },
+                          skipped: { type: 'integer', example: 0 },
+                          missed: { type: 'integer', example: 0 },
+                          inProgress: { type: 'integer', example: 0 },
+                          upcoming: { type: 'integer', example: 0 },
+                          adherence: { type: 'integer', nullable: true, description: 'Percent; null when nothing is due yet', example: 100 },
+                        },
+                      },
+                    },
+                  },
+                },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          404: {
+            description: 'User, training program or enrollment not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/measurements': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get body measurement history',
+        description: "Lists the user's body measurements, newest first",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' } },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' } },
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 } },
+        ],
+        responses: {
+          200: {
+            description: 'Body measurements retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { type: 'array', items: { $ref: '#/components/schemas/BodyMeasurement' } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format or filters',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        tags: ['Users'],
+        summary: 'Record a body measurement',
+        description: 'Records at least one metric. The profile weight and body fat are updated when this is the newest entry that has them',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  measuredAt: { type: 'string', format: 'date-time' },
+                  weight: { type: 'number', example: 80.4 },
+                  bodyFatPercentage: { type: 'number', example: 18.5 },
+                  waist: { type: 'number', example: 88 },
+                  hips: { type: 'number' },
+                  chest: { type: 'number' },
+                  neck: { type: 'number' },
+                  arms: { type: 'number' },
+                  thighs: { type: 'number' },
+                  restingHeartRate: { type: 'number', example: 58 },
+                  notes: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Body measurement created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            measurement: { $ref: '#/components/schemas/BodyMeasurement' },
+                            profile: {
+                              type: 'object',
+                              description: 'Profile weight and body fat after the change',
+                              properties: {
+                                weight: { type: 'number', nullable: true },
+                                bodyFatPercentage: { type: 'number', nullable: true },
+                              },
+                            },
+                          },
+                        },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error or no metric given',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not allowed to record another user's measurements",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/measurements/trends': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get the smoothed trend of a measurement',
+        description: 'Every entry of one metric in date order, with a trailing moving average and an exponentially weighted moving average for charting. Entries before from still feed the EWMA',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'query',
+            name: 'metric',
+            schema: { type: 'string', enum: ['weight', 'bodyFatPercentage', 'waist', 'hips', 'chest', 'neck', 'arms', 'thighs', 'restingHeartRate'], default: 'weight' },
+          },
+          { in: 'query', name: 'window', schema: { type: 'integer', minimum: 1, maximum: 365, default: 7 }, description: 'Moving average window in days' },
+          { in: 'query', name: 'alpha', schema: { type: 'number', minimum: 0, maximum: 1, default: 0.1 }, description: 'EWMA smoothing factor; higher follows new entries faster' },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' } },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' } },
+        ],
+        responses: {
+          200: {
+            description: 'Trend retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/MeasurementTrend' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid metric, window, alpha or dates',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/measurements/{measurementId}': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get a body measurement',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'measurementId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Measurement MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Body measurement retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/BodyMeasurement' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Body measurement not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      put: {
+        tags: ['Users'],
+        summary: 'Update a body measurement',
+        description: 'Send a metric as null to remove it from the entry. The profile is synced with the newest entries afterwards',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'measurementId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Measurement MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  measuredAt: { type: 'string', format: 'date-time' },
+                  weight: { type: 'number', example: 80.4 },
+                  bodyFatPercentage: { type: 'number', example: 18.5 },
+                  waist: { type: 'number', example: 88 },
+                  hips: { type: 'number' },
+                  chest: { type: 'number' },
+                  neck: { type: 'number' },
+                  arms: { type: 'number' },
+                  thighs: { type: 'number' },
+                  restingHeartRate: { type: 'number', example: 58 },
+                  notes: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Body measurement updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            measurement: { $ref: '#/components/schemas/BodyMeasurement' },
+                            profile: {
+                              type: 'object',
+                              description: 'Profile weight and body fat after the change',
+                              properties: {
+                                weight: { type: 'number', nullable: true },
+                                bodyFatPercentage: { type: 'number', nullable: true },
+                              },
+                            },
+                          },
+                        },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not allowed to change another user's measurements",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Body measurement not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Users'],
+        summary: 'Delete a body measurement',
+        description: 'The profile falls back to the next newest entry',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'measurementId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Measurement MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Body measurement deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not allowed to delete another user's measurements",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Body measurement not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/goals': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get goals with their progress',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          { in: 'query', name: 'type', schema: { type: 'string', enum: ['weight', 'workout_frequency', 'distance', 'lift'] } },
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+        ],
+        responses: {
+          200: {
+            description: 'Goals retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { type: 'array', items: { $ref: '#/components/schemas/Goal' } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format or filters',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        tags: ['Users'],
+        summary: 'Set a goal',
+        description: 'Target ranges: weight 20-500 kg, workout_frequency 1-14 per week, distance up to 100000 km, lift 1-1000 kg',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['type', 'target'],
+                properties: {
+                  type: { type: 'string', enum: ['weight', 'workout_frequency', 'distance', 'lift'] },
+                  exercise: { type: 'string', description: 'Lift goals: catalog exercise ID, name or alias' },
+                  target: { type: 'number', example: 80 },
+                  deadline: { type: 'string', format: 'date-time', nullable: true },
+                  startDate: { type: 'string', format: 'date-time' },
+                  startValue: { type: 'number' },
+                  exerciseType: { type: 'string' },
+                  recordType: { type: 'string', enum: ['heaviest_weight', 'estimated_1rm'] },
+                  title: { type: 'string' },
+                  notes: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Goal created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Goal' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error, or a weight goal without a profile weight',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not allowed to set another user's goals",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/goals/{goalId}': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get a goal with its progress',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'goalId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Goal MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Goal retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Goal' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Goal not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      put: {
+        tags: ['Users'],
+        summary: 'Update a goal',
+        description: 'Send deadline as null to remove it',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'goalId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Goal MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  target: { type: 'number', example: 80 },
+                  deadline: { type: 'string', format: 'date-time', nullable: true },
+                  startDate: { type: 'string', format: 'date-time' },
+                  startValue: { type: 'number' },
+                  exerciseType: { type: 'string' },
+                  recordType: { type: 'string', enum: ['heaviest_weight', 'estimated_1rm'] },
+                  title: { type: 'string' },
+                  notes: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Goal updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Goal' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error, or an attempt to change the type or exercise',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not allowed to change another user's goals",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Goal not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Users'],
+        summary: 'Delete a goal',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'goalId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Goal MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Goal deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not allowed to delete another user's goals",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Goal not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/food-log': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get the food log, newest first',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date' }, description: "First day (YYYY-MM-DD) in the user's time zone" },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date' }, description: 'Last day (YYYY-MM-DD); at most 366 days after from' },
+          { in: 'query', name: 'meal', schema: { type: 'string', enum: MEAL_TYPES } },
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 50 } },
+        ],
+        responses: {
+          200: {
+            description: 'Food log retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { type: 'array', items: { $ref: '#/components/schemas/FoodLogEntry' } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format or filters',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        tags: ['Users'],
+        summary: 'Log food eaten',
+        description: 'Give a foodId from the food database, or a foodName with the calories eaten',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['meal'],
+                properties: {
+                  meal: { type: 'string', enum: MEAL_TYPES },
+                  foodId: { type: 'string', description: 'Pick from the food database; name and nutrition are copied from it' },
+                  servings: { type: 'number', default: 1, example: 2 },
+                  foodName: { type: 'string', description: 'Without foodId: name of the food' },
+                  calories: { type: 'number', description: 'Without foodId: calories eaten (required)' },
+                  protein: { type: 'number' },
+                  carbs: { type: 'number' },
+                  fat: { type: 'number' },
+                  eatenAt: { type: 'string', format: 'date-time' },
+                  notes: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Food log entry created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/FoodLogEntry' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error or unknown food',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/food-log/{entryId}': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get one food log entry',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'entryId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Food log entry MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Food log entry retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/FoodLogEntry' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Food log entry not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      put: {
+        tags: ['Users'],
+        summary: 'Update a food log entry',
+        description: 'Changing servings scales the nutrition. Entries from the food database do not take foodName or nutrition values',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'entryId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Food log entry MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  meal: { type: 'string', enum: MEAL_TYPES },
+                  servings: { type: 'number', default: 1, example: 2 },
+                  foodName: { type: 'string', description: 'Without foodId: name of the food' },
+                  calories: { type: 'number', description: 'Without foodId: calories eaten (required)' },
+                  protein: { type: 'number' },
+                  carbs: { type: 'number' },
+                  fat: { type: 'number' },
+                  eatenAt: { type: 'string', format: 'date-time' },
+                  notes: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Food log entry updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/FoodLogEntry' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Food log entry not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Users'],
+        summary: 'Delete a food log entry',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'entryId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Food log entry MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Food log entry deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Food log entry not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/nutrition': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get daily nutrition totals',
+        description: "Days are calendar days in the user's time zone. Defaults to the last 7 days",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date' }, description: "First day (YYYY-MM-DD) in the user's time zone" },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date' }, description: 'Last day (YYYY-MM-DD); at most 366 days after from' },
+        ],
+        responses: {
+          200: {
+            description: 'Daily calories, protein, carbs and fat, with the calories of each meal',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format or date range',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/energy-balance': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get the daily energy balance',
+        description: "Compares each day's intake with dailyCalorieNeeds plus the calories burned by completed workouts. Defaults to the last 7 days",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date' }, description: "First day (YYYY-MM-DD) in the user's time zone" },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date' }, description: 'Last day (YYYY-MM-DD); at most 366 days after from' },
+        ],
+        responses: {
+          200: {
+            description: 'Energy balance retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/EnergyBalance' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format or date range',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/wellness': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get the wellness log, newest day first',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date' }, description: 'First day (YYYY-MM-DD)' },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date' }, description: 'Last day (YYYY-MM-DD)' },
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 30 } },
+        ],
+        responses: {
+          200: {
+            description: 'Wellness entries retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { type: 'array', items: { $ref: '#/components/schemas/WellnessEntry' } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format or filters',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/wellness/{date}': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get the wellness entry of a day',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'date',
+            required: true,
+            schema: { type: 'string', format: 'date' },
+            description: "Day of the entry (YYYY-MM-DD) in the user's time zone",
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Wellness entry retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/WellnessEntry' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format or date',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'No wellness entry for the day',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      put: {
+        tags: ['Users'],
+        summary: 'Record the wellness entry of a day',
+        description: 'Creates the entry of the day or updates the fields sent. null removes a value. The entry needs at least one metric',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'date',
+            required: true,
+            schema: { type: 'string', format: 'date' },
+            description: "Day of the entry (YYYY-MM-DD) in the user's time zone",
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  sleepHours: { type: 'number', nullable: true, example: 7.5 },
+                  sleepQuality: { type: 'integer', nullable: true, example: 4 },
+                  waterIntake: { type: 'number', nullable: true, example: 2500 },
+                  soreness: { type: 'integer', nullable: true, example: 2 },
+                  mood: { type: 'integer', nullable: true, example: 4 },
+                  restingHeartRate: { type: 'number', nullable: true, example: 52 },
+                  hrv: { type: 'number', nullable: true, example: 65 },
+                  notes: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Wellness entry updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/WellnessEntry' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          201: {
+            description: 'Wellness entry created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/WellnessEntry' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error or a future date',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Users'],
+        summary: 'Delete the wellness entry of a day',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'date',
+            required: true,
+            schema: { type: 'string', format: 'date' },
+            description: "Day of the entry (YYYY-MM-DD) in the user's time zone",
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Wellness entry deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format or date',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'No wellness entry for the day',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/readiness': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get user statistics with the readiness score of a day',
+        description: 'Scores readiness from 0 to 100 from the wellness entry of the day, HRV and resting heart rate against the previous 28 days, and the training load of completed workouts',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          { in: 'query', name: 'date', schema: { type: 'string', format: 'date' }, description: "Day to score (YYYY-MM-DD) in the user's time zone; default today" },
+        ],
+        responses: {
+          200: {
+            description: 'Readiness calculated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { type: 'object', description: 'The user statistics of GET /api/v1/users/{id}/stats, plus readiness', properties: { readiness: { $ref: '#/components/schemas/Readiness' } } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format, date or a future date',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Not the account owner and missing 'users:write:any'",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/calendar.ics': {
+      get: {
+        tags: ['Users'],
+        summary: "Subscribe to a user's workouts (iCalendar)",
+        description: "Calendar feed of the workouts of the last 365 days, all planned workouts ahead and the recurring schedule occurrences of the next 90 days that have no workout yet. Times are in the user's timezone. Calendar apps cannot log in, so the feed is authorized by the token from POST /api/v1/users/{id}/calendar-token",
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          { in: 'query', name: 'token', required: true, schema: { type: 'string' }, description: 'Calendar feed token' },
+        ],
+        responses: {
+          200: {
+            description: 'iCalendar feed (one VEVENT per workout)',
+            content: {
+              'text/calendar': {
+                schema: { type: 'string', example: 'BEGIN:VCALENDAR\r\nVERSION:2.0\r\n...' },
+              },
+            },
+          },
+          401: {
+            description: 'Missing or invalid calendar token',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/calendar-token': {
+      post: {
+        tags: ['Users'],
+        summary: 'Create the calendar feed URL',
+        description: 'Creates a secret token for the calendar feed and returns the subscription URL. Creating a new token revokes the previous URL',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          201: {
+            description: 'Calendar feed token created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: {
+                type: 'object',
+                properties: {
+                  token: { type: 'string', description: 'Shown only once', example: 'fit_cal_Q2hhbmdlIG1lIHBsZWFzZQ' },
+                  feedUrl: { type: 'string', example: 'https://api.example.com/api/v1/users/64f1c2/calendar.ics?token=fit_cal_Q2hhbmdlIG1lIHBsZWFzZQ' },
+                  createdAt: { type: 'string', format: 'date-time' },
+                },
+              },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Not the account owner',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Users'],
+        summary: 'Revoke the calendar feed URL',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Calendar feed disabled successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Not the account owner',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/export': {
+      post: {
+        tags: ['Users'],
+        summary: 'Export personal data',
+        description: 'Downloads a ZIP archive with export.json, profile.csv, workouts.csv and exercises.csv. Available to the account owner and admins',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'ZIP archive of the user\'s data',
+            content: {
+              'application/zip': {
+                schema: { type: 'string', format: 'binary' },
+              },
+            },
+          },
+          403: {
+            description: 'Not the account owner or an admin',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/erasure': {
+      get: {
+        tags: ['Users'],
+        summary: 'Get erasure status',
+        description: 'Reports whether the account is scheduled for erasure',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Erasure status retrieved successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        tags: ['Users'],
+        summary: 'Schedule account erasure',
+        description: 'Schedules the account, its workouts, personal records, sessions and tokens for deletion after the grace period (ERASURE_GRACE_PERIOD_DAYS). The request can be cancelled until then',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          202: {
+            description: 'Erasure scheduled',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Not the account owner or an admin',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          409: {
+            description: 'Erasure already scheduled',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Users'],
+        summary: 'Cancel account erasure',
+        description: 'Cancels a pending erasure request',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Erasure cancelled',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found or no erasure pending',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/roles': {
+      post: {
+        tags: ['Users'],
+        summary: 'Grant a role',
+        description: "Grants a role to a user. Requires the 'users:roles:manage' permission (admins)",
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['role'],
+                properties: {
+                  role: {
+                    type: 'string',
+                    enum: ['athlete', 'coach', 'admin'],
+                    example: 'coach',
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Role granted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid role or ID',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Missing 'users:roles:manage' permission",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          409: {
+            description: 'User already has the role',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/users/{id}/roles/{role}': {
+      delete: {
+        tags: ['Users'],
+        summary: 'Revoke a role',
+        description: "Revokes a role from a user. Requires the 'users:roles:manage' permission (admins). The last admin cannot be demoted",
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'role',
+            required: true,
+            schema: {
+              type: 'string',
+              enum: ['athlete', 'coach', 'admin'],
+            },
+            description: 'Role to revoke',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Role revoked successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Missing 'users:roles:manage' permission",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found or does not have the role',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          409: {
+            description: 'Cannot revoke the last admin',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/workouts': {
+      post: {
+        tags: ['Workouts'],
+        summary: 'Create a new workout',
+        description: "Creates a new workout session. When caloriesBurned is left out it is estimated as MET (by exerciseType and intensity) x the owner's weight x hours, and caloriesSource is 'estimated'",
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['title', 'exerciseType', 'duration'],
+                properties: {
+                  userId: {
+                    type: 'string',
+                    description: 'Owner of the workout. Defaults to the authenticated user; only admins may set another user',
+                    example: '507f1f77bcf86cd799439011',
+                  },
+                  title: {
+                    type: 'string',
+                    example: 'Morning Run',
+                  },
+                  exerciseType: {
+                    type: 'string',
+                    enum: ['cardio', 'strength', 'flexibility', 'sports', 'yoga', 'pilates', 'hiit', 'crossfit', 'swimming', 'cycling', 'running', 'walking', 'other'],
+                    example: 'running',
+                  },
+                  duration: {
+                    type: 'number',
+                    example: 30,
+                  },
+                  caloriesBurned: {
+                    type: 'number',
+                    example: 300,
+                  },
+                  intensity: {
+                    type: 'string',
+                    enum: ['low', 'moderate', 'high', 'extreme'],
+                    example: 'moderate',
+                  },
+                  notes: {
+                    type: 'string',
+                    example: 'Great workout session!',
+                  },
+                  workoutDate: {
+                    type: 'string',
+                    format: 'date-time',
+                    example: '2024-10-06T08:00:00Z',
+                  },
+                  completed: {
+                    type: 'boolean',
+                    example: true,
+                  },
+                  status: {
+                    type: 'string',
+                    enum: ['planned', 'in_progress', 'completed', 'skipped'],
+                    description: "Use 'planned' to schedule a future workout",
+                  },
+                  exercises: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        name: {
+                          type: 'string',
+                          example: 'Push-ups',
+                        },
+                        sets: {
+                          type: 'number',
+                          example: 3,
+                        },
+                        reps: {
+                          type: 'number',
+                          example: 15,
+                        },
+                        weight: {
+                          type: 'number',
+                          example: 0,
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Workout created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Workout' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error, or calories left out and no weight on the profile',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Cannot create a workout for another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      get: {
+        tags: ['Workouts'],
+        summary: 'Get all workouts',
+        description: 'Retrieves all workouts with filtering and pagination',
+        parameters: [
+          {
+            in: 'query',
+            name: 'userId',
+            schema: { type: 'string' },
+            description: 'Filter by user ID',
+          },
+          {
+            in: 'query',
+            name: 'exerciseType',
+            schema: { type: 'string' },
+            description: 'Filter by exercise type',
+          },
+          {
+            in: 'query',
+            name: 'intensity',
+            schema: { type: 'string' },
+            description: 'Filter by intensity',
+          },
+          {
+            in: 'query',
+            name: 'completed',
+            schema: { type: 'boolean' },
+            description: 'Filter by completion status',
+          },
+          {
+            in: 'query',
+            name: 'status',
+            schema: { type: 'string', enum: ['planned', 'in_progress', 'completed', 'skipped'] },
+            description: 'Filter by lifecycle status',
+          },
+          {
+            in: 'query',
+            name: 'startDate',
+            schema: { type: 'string', format: 'date-time' },
+            description: 'Filter workouts from this date',
+          },
+          {
+            in: 'query',
+            name: 'endDate',
+            schema: { type: 'string', format: 'date-time' },
+            description: 'Filter workouts until this date',
+          },
+          {
+            in: 'query',
+            name: 'page',
+            schema: { type: 'number', default: 1 },
+            description: 'Page number',
+          },
+          {
+            in: 'query',
+            name: 'limit',
+            schema: { type: 'number', default: 10 },
+            description: 'Items per page',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Workouts retrieved successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/PaginatedResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/workouts/from-template/{templateId}': {
+      post: {
+        tags: ['Workouts'],
+        summary: 'Log a workout from a template',
+        description: 'Creates a workout prefilled with the template values. Body fields override the planned values, and an exercises array replaces the planned exercises. duration is required when the template has none; caloriesBurned is estimated when neither gives it',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'templateId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout template MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  duration: { type: 'number', example: 55 },
+                  caloriesBurned: { type: 'number', example: 380 },
+                  intensity: { type: 'string', enum: ['low', 'moderate', 'high', 'extreme'] },
+                  notes: { type: 'string' },
+                  workoutDate: { type: 'string', format: 'date-time' },
+                  distance: { type: 'number' },
+                  completed: { type: 'boolean' },
+                  status: { type: 'string', enum: ['planned', 'in_progress', 'completed', 'skipped'] },
+                  exercises: {
+                    type: 'array',
+                    description: 'Actual exercises - replaces the planned ones',
+                    items: { type: 'object' },
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Workout created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Workout' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error, missing duration, or no weight to estimate calories from',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Template belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout template not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/workouts/{id}': {
+      get: {
+        tags: ['Workouts'],
+        summary: 'Get workout by ID',
+        description: 'Retrieves a single workout by ID',
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Workout retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Workout' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      put: {
+        tags: ['Workouts'],
+        summary: 'Update workout',
+        description: 'Updates a workout by ID. Status changes must follow the workout lifecycle; starting or completing a workout planned for later moves it to now',
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  exerciseType: { type: 'string' },
+                  duration: { type: 'number' },
+                  caloriesBurned: { type: 'number' },
+                  intensity: { type: 'string' },
+                  notes: { type: 'string' },
+                  workoutDate: { type: 'string', format: 'date-time' },
+                  completed: { type: 'boolean' },
+                  status: {
+                    type: 'string',
+                    enum: ['planned', 'in_progress', 'completed', 'skipped'],
+                    description: 'planned -> in_progress, completed or skipped; in_progress -> planned, completed or skipped; skipped -> planned or completed; completed -> in_progress',
+                  },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Workout updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Workout' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Not the workout owner or an admin',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Workouts'],
+        summary: 'Delete workout',
+        description: 'Deletes a workout by ID',
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Workout deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Not the workout owner or an admin',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/workouts/user/{userId}': {
+      get: {
+        tags: ['Workouts'],
+        summary: 'Get workouts by user',
+        description: 'Retrieves all workouts for a specific user',
+        parameters: [
+          {
+            in: 'path',
+            name: 'userId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'User workouts retrieved successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/workouts/user/{userId}/stats': {
+      get: {
+        tags: ['Workouts'],
+        summary: 'Get user workout statistics',
+        description: 'Retrieves comprehensive workout statistics for a user',
+        parameters: [
+          {
+            in: 'path',
+            name: 'userId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'User MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Statistics retrieved successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/exercises': {
+      get: {
+        tags: ['Exercises'],
+        summary: 'Search the exercise catalog',
+        description: 'Lists catalog exercises sorted by name. The search term matches names and aliases, ignoring case and punctuation',
+        parameters: [
+          { in: 'query', name: 'search', schema: { type: 'string' }, description: 'Part of a name or alias' },
+          { in: 'query', name: 'category', schema: { type: 'string', enum: EXERCISE_CATEGORIES } },
+          { in: 'query', name: 'muscleGroup', schema: { type: 'string', enum: MUSCLE_GROUPS } },
+          { in: 'query', name: 'equipment', schema: { type: 'string', enum: EQUIPMENT } },
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+        ],
+        responses: {
+          200: {
+            description: 'Exercises retrieved successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid filters',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        tags: ['Exercises'],
+        summary: 'Add an exercise',
+        description: "Adds an exercise to the catalog. Requires the 'exercises:manage' permission (coaches and admins)",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'category'],
+                properties: {
+                  name: { type: 'string', example: 'Landmine Press' },
+                  aliases: { type: 'array', items: { type: 'string' } },
+                  category: { type: 'string', enum: EXERCISE_CATEGORIES, example: 'strength' },
+                  muscleGroups: { type: 'array', items: { type: 'string', enum: MUSCLE_GROUPS } },
+                  equipment: { type: 'array', items: { type: 'string', enum: EQUIPMENT } },
+                  metValue: { type: 'number', example: 5 },
+                  description: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Exercise created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Exercise' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Missing the 'exercises:manage' permission",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          409: {
+            description: 'Name or alias already in the catalog',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/exercises/{id}': {
+      get: {
+        tags: ['Exercises'],
+        summary: 'Get exercise by ID',
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Exercise MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Exercise retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Exercise' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Exercise not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      put: {
+        tags: ['Exercises'],
+        summary: 'Update an exercise',
+        description: "Updates a catalog exercise. Past workouts keep the name they were logged with. Requires the 'exercises:manage' permission",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Exercise MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'Landmine Press' },
+                  aliases: { type: 'array', items: { type: 'string' } },
+                  category: { type: 'string', enum: EXERCISE_CATEGORIES, example: 'strength' },
+                  muscleGroups: { type: 'array', items: { type: 'string', enum: MUSCLE_GROUPS } },
+                  equipment: { type: 'array', items: { type: 'string', enum: EQUIPMENT } },
+                  metValue: { type: 'number', example: 5 },
+                  description: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Exercise updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Exercise' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Missing the 'exercises:manage' permission",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Exercise not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          409: {
+            description: 'Name or alias already in the catalog',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Exercises'],
+        summary: 'Remove an exercise',
+        description: "Removes an exercise that no workout references. Requires the 'exercises:manage' permission",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Exercise MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Exercise deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Missing the 'exercises:manage' permission",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Exercise not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          409: {
+            description: 'Exercise is used by workouts',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/foods': {
+      get: {
+        tags: ['Foods'],
+        summary: 'Search the food database',
+        description: "Lists the standard foods and the caller's own foods sorted by name. The search term matches name and brand, ignoring case and punctuation",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'search', schema: { type: 'string' } },
+          { in: 'query', name: 'source', schema: { type: 'string', enum: ['standard', 'custom'] } },
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+        ],
+        responses: {
+          200: {
+            description: 'Foods retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { type: 'array', items: { $ref: '#/components/schemas/Food' } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid filters',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        tags: ['Foods'],
+        summary: 'Add a food',
+        description: "Nutrition is per serving. The food is private to the caller unless isStandard is set, which requires the 'foods:manage' permission (coaches and admins)",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['name', 'servingSize', 'servingUnit', 'calories'],
+                properties: {
+                  name: { type: 'string', example: 'Overnight Oats' },
+                  brand: { type: 'string' },
+                  servingSize: { type: 'number', example: 1 },
+                  servingUnit: { type: 'string', enum: SERVING_UNITS, example: 'serving' },
+                  calories: { type: 'number', example: 350 },
+                  protein: { type: 'number', example: 15 },
+                  carbs: { type: 'number', example: 50 },
+                  fat: { type: 'number', example: 9 },
+                  isStandard: { type: 'boolean', default: false },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Food created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Food' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "isStandard without the 'foods:manage' permission",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          409: {
+            description: 'A food with this name already exists',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/foods/{id}': {
+      get: {
+        tags: ['Foods'],
+        summary: 'Get a food by ID',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Food MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Food retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Food' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Food not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      put: {
+        tags: ['Foods'],
+        summary: 'Update a food',
+        description: 'Food log entries keep the nutrition they were logged with',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Food MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string', example: 'Overnight Oats' },
+                  brand: { type: 'string' },
+                  servingSize: { type: 'number', example: 1 },
+                  servingUnit: { type: 'string', enum: SERVING_UNITS, example: 'serving' },
+                  calories: { type: 'number', example: 350 },
+                  protein: { type: 'number', example: 15 },
+                  carbs: { type: 'number', example: 50 },
+                  fat: { type: 'number', example: 9 },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Food updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/Food' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Standard food and missing the 'foods:manage' permission",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Food not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          409: {
+            description: 'A food with this name already exists',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Foods'],
+        summary: 'Remove a food',
+        description: 'Food log entries keep the nutrition they were logged with',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Food MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Food deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid ID format',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Standard food and missing the 'foods:manage' permission",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Food not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/templates': {
+      get: {
+        tags: ['Templates'],
+        summary: 'List workout templates',
+        description: "Lists the authenticated user's templates sorted by title. Users with 'workouts:write:any' can pass userId",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'userId', schema: { type: 'string' } },
+          { in: 'query', name: 'exerciseType', schema: { type: 'string' } },
+          { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } },
+        ],
+        responses: {
+          200: {
+            description: 'Workout templates retrieved successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/PaginatedResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Listing another user\'s templates without permission',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        tags: ['Templates'],
+        summary: 'Create a workout template',
+        description: 'Saves a routine. Only title and exerciseType are required',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['title', 'exerciseType'],
+                properties: {
+                  title: { type: 'string', example: 'Push Day A' },
+                  exerciseType: { type: 'string', example: 'strength' },
+                  duration: { type: 'number', example: 60 },
+                  caloriesBurned: { type: 'number', example: 400 },
+                  intensity: { type: 'string', enum: ['low', 'moderate', 'high', 'extreme'] },
+                  notes: { type: 'string' },
+                  exercises: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        exerciseId: { type: 'string' },
+                        name: { type: 'string', example: 'Bench Press' },
+                        sets: { type: 'number', example: 3 },
+                        reps: { type: 'number', example: 8 },
+                        weight: { type: 'number', example: 80 },
+                        setDetails: { type: 'array', items: { $ref: '#/components/schemas/WorkoutSet' } },
+                      },
+                    },
                   },
-                  age: {
-                    type: 'number',
-                    example: 28,
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Workout template created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/WorkoutTemplate' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/templates/{id}': {
+      get: {
+        tags: ['Templates'],
+        summary: 'Get workout template by ID',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout template MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Workout template retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/WorkoutTemplate' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Template belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout template not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      put: {
+        tags: ['Templates'],
+        summary: 'Update a workout template',
+        description: 'Updates the given fields. An exercises array replaces the planned exercises',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout template MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string', example: 'Push Day A' },
+                  exerciseType: { type: 'string', example: 'strength' },
+                  duration: { type: 'number', example: 60 },
+                  caloriesBurned: { type: 'number', example: 400 },
+                  intensity: { type: 'string', enum: ['low', 'moderate', 'high', 'extreme'] },
+                  notes: { type: 'string' },
+                  exercises: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        exerciseId: { type: 'string' },
+                        name: { type: 'string', example: 'Bench Press' },
+                        sets: { type: 'number', example: 3 },
+                        reps: { type: 'number', example: 8 },
+                        weight: { type: 'number', example: 80 },
+                        setDetails: { type: 'array', items: { $ref: '#/components/schemas/WorkoutSet' } },
+                      },
+                    },
                   },
-                  weight: {
-                    type: 'number',
-                    example: 75.5,
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Workout template updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/WorkoutTemplate' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Template belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout template not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Templates'],
+        summary: 'Delete a workout template',
+        description: 'Deletes the template. Workouts created from it are kept',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout template MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Workout template deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Template belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout template not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/schedules': {
+      get: {
+        tags: ['Schedules'],
+        summary: 'List recurring workout schedules',
+        description: "Lists the authenticated user's schedules by start date. Users with 'workouts:write:any' can pass userId",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'userId', schema: { type: 'string' } },
+          { in: 'query', name: 'exerciseType', schema: { type: 'string' } },
+          { in: 'query', name: 'page', schema: { type: 'integer', default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', default: 20 } },
+        ],
+        responses: {
+          200: {
+            description: 'Workout schedules retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { type: 'array', items: { $ref: '#/components/schemas/WorkoutSchedule' } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Listing another user's schedules without permission",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        tags: ['Schedules'],
+        summary: 'Create a recurring workout schedule',
+        description: "Repeats a planned workout by an iCalendar RRULE (FREQ DAILY, WEEKLY or MONTHLY with INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL, WKST). Occurrences happen at the local time of day of startDate in the schedule's timezone (the owner's profile timezone unless given), also across daylight saving changes. A templateId fills in the planned values the body leaves out",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['rrule'],
+                properties: {
+                  userId: { type: 'string', description: "Requires 'workouts:write:any' for other users" },
+                  templateId: { type: 'string', description: 'Workout template to copy planned values from' },
+                  title: { type: 'string', example: 'Full Body Strength' },
+                  exerciseType: { type: 'string', example: 'strength' },
+                  duration: { type: 'number', example: 60 },
+                  caloriesBurned: { type: 'number', example: 400 },
+                  intensity: { type: 'string', enum: ['low', 'moderate', 'high', 'extreme'] },
+                  notes: { type: 'string' },
+                  exercises: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        exerciseId: { type: 'string' },
+                        name: { type: 'string', example: 'Squat' },
+                        sets: { type: 'number', example: 3 },
+                        reps: { type: 'number', example: 5 },
+                        weight: { type: 'number', example: 100 },
+                        setDetails: { type: 'array', items: { $ref: '#/components/schemas/WorkoutSet' } },
+                      },
+                    },
                   },
-                  height: {
-                    type: 'number',
-                    example: 175,
+                  rrule: { type: 'string', example: 'FREQ=WEEKLY;BYDAY=MO,WE,FR' },
+                  startDate: { type: 'string', format: 'date-time', example: '2024-03-04T07:00:00Z' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: 'Workout schedule created successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/WorkoutSchedule' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error or missing planned values',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Creating a schedule for another user or from their template',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'User or workout template not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/schedules/{id}': {
+      get: {
+        tags: ['Schedules'],
+        summary: 'Get recurring workout schedule by ID',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout schedule MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Workout schedule retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/WorkoutSchedule' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Schedule belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout schedule not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      put: {
+        tags: ['Schedules'],
+        summary: 'Change a schedule from one occurrence on',
+        description: 'Edits "this and following" occurrences. The schedule ends before the first occurrence at or after from, and a new schedule with previousScheduleId carries on with the changes; exceptions from that point on move with it and an unchanged COUNT is reduced by the occurrences already past. Planned workouts created for the changed occurrences are removed. A schedule with no occurrences before from is edited in place (previous is null)',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout schedule MongoDB ObjectId',
+          },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' }, description: 'Defaults to now' },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string', example: 'Full Body Strength' },
+                  exerciseType: { type: 'string', example: 'strength' },
+                  duration: { type: 'number', example: 60 },
+                  caloriesBurned: { type: 'number', example: 400 },
+                  intensity: { type: 'string', enum: ['low', 'moderate', 'high', 'extreme'] },
+                  notes: { type: 'string' },
+                  exercises: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        exerciseId: { type: 'string' },
+                        name: { type: 'string', example: 'Squat' },
+                        sets: { type: 'number', example: 3 },
+                        reps: { type: 'number', example: 5 },
+                        weight: { type: 'number', example: 100 },
+                        setDetails: { type: 'array', items: { $ref: '#/components/schemas/WorkoutSet' } },
+                      },
+                    },
                   },
-                  fitnessGoal: {
-                    type: 'string',
-                    enum: ['weight_loss', 'muscle_gain', 'endurance', 'flexibility', 'general_fitness'],
-                    example: 'muscle_gain',
+                  rrule: { type: 'string', example: 'FREQ=WEEKLY;BYDAY=MO,WE,FR' },
+                  startDate: { type: 'string', format: 'date-time', example: '2024-03-04T07:00:00Z' },
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: {
+            description: 'Workout schedule updated successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: {
+                  type: 'object',
+                  properties: {
+                    schedule: { $ref: '#/components/schemas/WorkoutSchedule' },
+                    previous: { $ref: '#/components/schemas/WorkoutSchedule' },
+                    removedWorkouts: { type: 'integer', example: 2 },
                   },
-                  activityLevel: {
-                    type: 'string',
-                    enum: ['sedentary', 'lightly_active', 'moderately_active', 'very_active', 'extra_active'],
-                    example: 'moderately_active',
+                },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Validation error, or no occurrence on or after from',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Schedule belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout schedule not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      delete: {
+        tags: ['Schedules'],
+        summary: 'Delete a recurring workout schedule',
+        description: 'Deletes the schedule and its upcoming workouts that are still planned. Other workouts created from it are kept',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout schedule MongoDB ObjectId',
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Workout schedule deleted successfully',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Schedule belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout schedule not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/schedules/{id}/occurrences': {
+      get: {
+        tags: ['Schedules'],
+        summary: 'List the occurrences of a schedule',
+        description: 'Lists every occurrence between from and to with the status of its workout, skipped for exceptions, or planned when no workout was created yet',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout schedule MongoDB ObjectId',
+          },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' }, description: 'Defaults to the start of today' },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' }, description: 'Defaults to four weeks after from; at most 366 days after it' },
+        ],
+        responses: {
+          200: {
+            description: 'Schedule occurrences retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: {
+                  type: 'object',
+                  properties: {
+                    occurrences: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          date: { type: 'string', format: 'date-time' },
+                          status: { type: 'string', enum: ['planned', 'in_progress', 'completed', 'skipped'] },
+                          workoutId: { type: 'string', nullable: true },
+                          reason: { type: 'string' },
+                        },
+                      },
+                    },
                   },
+                },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid date range',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Schedule belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout schedule not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/schedules/{id}/exceptions': {
+      post: {
+        tags: ['Schedules'],
+        summary: 'Skip one occurrence',
+        description: "Skips the occurrence on the day of date in the schedule's timezone (a plain YYYY-MM-DD is taken as that local day)",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          {
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout schedule MongoDB ObjectId',
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['date'],
+                properties: {
+                  date: { type: 'string', format: 'date', example: '2024-03-08' },
+                  reason: { type: 'string', maxLength: 200, example: 'Travelling' },
                 },
               },
             },
           },
         },
         responses: {
-          201: {
-            description: 'User created successfully',
+          200: {
+            description: 'Schedule occurrence skipped successfully',
             content: {
               'application/json': {
                 schema: {
@@ -416,7 +6564,7 @@ const swaggerDefinition = {
                     { $ref: '#/components/schemas/SuccessResponse' },
                     {
                       properties: {
-                        data: { $ref: '#/components/schemas/User' },
+                        data: { $ref: '#/components/schemas/WorkoutSchedule' },
                       },
                     },
                   ],
@@ -425,15 +6573,39 @@ const swaggerDefinition = {
             },
           },
           400: {
-            description: 'Validation error or duplicate email',
+            description: 'Invalid date, or no occurrence on that day',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
               },
             },
           },
-          500: {
-            description: 'Server error',
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Schedule belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout schedule not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          409: {
+            description: 'The occurrence is already skipped or already has a workout',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -442,41 +6614,248 @@ const swaggerDefinition = {
           },
         },
       },
-      get: {
-        tags: ['Users'],
-        summary: 'Get all users',
-        description: 'Retrieves all users with optional filtering',
+    },
+    '/api/v1/schedules/{id}/exceptions/{date}': {
+      delete: {
+        tags: ['Schedules'],
+        summary: 'Restore a skipped occurrence',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
         parameters: [
           {
-            in: 'query',
-            name: 'fitnessGoal',
-            schema: {
-              type: 'string',
-              enum: ['weight_loss', 'muscle_gain', 'endurance', 'flexibility', 'general_fitness'],
-            },
-            description: 'Filter by fitness goal',
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout schedule MongoDB ObjectId',
           },
           {
-            in: 'query',
-            name: 'activityLevel',
-            schema: {
-              type: 'string',
-              enum: ['sedentary', 'lightly_active', 'moderately_active', 'very_active', 'extra_active'],
+            in: 'path',
+            name: 'date',
+            required: true,
+            schema: { type: 'string', format: 'date' },
+            description: "Day of the skipped occurrence, in the schedule's timezone",
+          },
+        ],
+        responses: {
+          200: {
+            description: 'Schedule occurrence restored successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { $ref: '#/components/schemas/WorkoutSchedule' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Schedule belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout schedule or exception not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
             },
-            description: 'Filter by activity level',
           },
+        },
+      },
+    },
+    '/api/v1/schedules/{id}/workouts': {
+      post: {
+        tags: ['Schedules'],
+        summary: 'Create planned workouts from occurrences',
+        description: 'Creates a planned workout (with scheduleId and occurrenceDate) for every occurrence between from and to that has none yet. Skipped occurrences are left out and repeating the request creates no duplicates; meta.existing counts the occurrences that already had a workout',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
           {
-            in: 'query',
-            name: 'isActive',
-            schema: {
-              type: 'boolean',
+            in: 'path',
+            name: 'id',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Workout schedule MongoDB ObjectId',
+          },
+          { in: 'query', name: 'from', schema: { type: 'string', format: 'date-time' }, description: 'Defaults to the start of today' },
+          { in: 'query', name: 'to', schema: { type: 'string', format: 'date-time' }, description: 'Defaults to four weeks after from; at most 366 days after it' },
+        ],
+        responses: {
+          201: {
+            description: 'Planned workouts created',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { type: 'array', items: { $ref: '#/components/schemas/Workout' } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          200: {
+            description: 'Every occurrence already has a workout',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/SuccessResponse' },
+              },
+            },
+          },
+          400: {
+            description: 'Invalid date range',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Schedule belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Workout schedule not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+    },
+    '/api/v1/programs': {
+      get: {
+        tags: ['Programs'],
+        summary: 'List training programs',
+        description: "Lists the authenticated user's programs sorted by title. Users with 'workouts:write:any' can pass userId",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          { in: 'query', name: 'userId', schema: { type: 'string' } },
+          { in: 'query', name: 'page', schema: { type: 'integer', default: 1 } },
+          { in: 'query', name: 'limit', schema: { type: 'integer', default: 20 } },
+        ],
+        responses: {
+          200: {
+            description: 'Training programs retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: { type: 'array', items: { $ref: '#/components/schemas/Program' } },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Listing another user's programs without permission",
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+        },
+      },
+      post: {
+        tags: ['Programs'],
+        summary: 'Create a training program',
+        description: 'Weeks list day slots (day 1-7 from the start of the week) that reference workout templates. Progression adds weightIncrement kg to planned weights after each full week; every deloadEvery-th week lifts deloadFactor of the progressed weights',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['title', 'weeks'],
+                properties: {
+                  title: { type: 'string', example: 'Linear Strength' },
+                  description: { type: 'string' },
+                  weeks: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        days: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: {
+                              day: { type: 'integer', minimum: 1, maximum: 7, example: 1 },
+                              templateId: { type: 'string', example: '6523f1a2b4c5d6e7f8a9b0e1' },
+                              notes: { type: 'string' },
+                            },
+                          },
+                        },
+                      },
+                    },
+                  },
+                  progression: {
+                    type: 'object',
+                    properties: {
+                      weightIncrement: { type: 'number', example: 2.5 },
+                      deloadEvery: { type: 'integer', example: 4 },
+                      deloadFactor: { type: 'number', example: 0.6 },
+                    },
+                  },
+                },
+              },
             },
-            description: 'Filter by active status',
           },
-        ],
+        },
         responses: {
-          200: {
-            description: 'Users retrieved successfully',
+          201: {
+            description: 'Training program created successfully',
             content: {
               'application/json': {
                 schema: {
@@ -484,19 +6863,7 @@ const swaggerDefinition = {
                     { $ref: '#/components/schemas/SuccessResponse' },
                     {
                       properties: {
-                        data: {
-                          type: 'object',
-                          properties: {
-                            count: {
-                              type: 'number',
-                              example: 10,
-                            },
-                            users: {
-                              type: 'array',
-                              items: { $ref: '#/components/schemas/User' },
-                            },
-                          },
-                        },
+                        data: { $ref: '#/components/schemas/Program' },
                       },
                     },
                   ],
@@ -504,8 +6871,24 @@ const swaggerDefinition = {
               },
             },
           },
-          500: {
-            description: 'Server error',
+          400: {
+            description: 'Validation error, unknown templates, or templates without planned duration or caloriesBurned',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Using another user's templates",
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -515,26 +6898,23 @@ const swaggerDefinition = {
         },
       },
     },
-    '/api/v1/users/{id}': {
+    '/api/v1/programs/{id}': {
       get: {
-        tags: ['Users'],
-        summary: 'Get user by ID',
-        description: 'Retrieves a single user by their ID',
+        tags: ['Programs'],
+        summary: 'Get training program by ID',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
         parameters: [
           {
             in: 'path',
             name: 'id',
             required: true,
-            schema: {
-              type: 'string',
-            },
-            description: 'User MongoDB ObjectId',
-            example: '507f1f77bcf86cd799439011',
+            schema: { type: 'string' },
+            description: 'Program MongoDB ObjectId',
           },
         ],
         responses: {
           200: {
-            description: 'User retrieved successfully',
+            description: 'Training program retrieved successfully',
             content: {
               'application/json': {
                 schema: {
@@ -542,7 +6922,7 @@ const swaggerDefinition = {
                     { $ref: '#/components/schemas/SuccessResponse' },
                     {
                       properties: {
-                        data: { $ref: '#/components/schemas/User' },
+                        data: { $ref: '#/components/schemas/Program' },
                       },
                     },
                   ],
@@ -550,24 +6930,24 @@ const swaggerDefinition = {
               },
             },
           },
-          400: {
-            description: 'Invalid ID format',
+          401: {
+            description: 'Not authenticated',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
               },
             },
           },
-          404: {
-            description: 'User not found',
+          403: {
+            description: 'Program belongs to another user',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
               },
             },
           },
-          500: {
-            description: 'Server error',
+          404: {
+            description: 'Training program not found',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -577,18 +6957,17 @@ const swaggerDefinition = {
         },
       },
       put: {
-        tags: ['Users'],
-        summary: 'Update user',
-        description: 'Updates a user by their ID',
+        tags: ['Programs'],
+        summary: 'Update a training program',
+        description: 'Updates the given fields; progression rules left out keep their values. Workouts already planned for enrollments are not changed',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
         parameters: [
           {
             in: 'path',
             name: 'id',
             required: true,
-            schema: {
-              type: 'string',
-            },
-            description: 'User MongoDB ObjectId',
+            schema: { type: 'string' },
+            description: 'Program MongoDB ObjectId',
           },
         ],
         requestBody: {
@@ -598,37 +6977,34 @@ const swaggerDefinition = {
               schema: {
                 type: 'object',
                 properties: {
-                  name: {
-                    type: 'string',
-                    example: 'John Updated',
-                  },
-                  email: {
-                    type: 'string',
-                    example: 'john.updated@example.com',
-                  },
-                  age: {
-                    type: 'number',
-                    example: 29,
-                  },
-                  weight: {
-                    type: 'number',
-                    example: 73,
-                  },
-                  height: {
-                    type: 'number',
-                    example: 176,
-                  },
-                  fitnessGoal: {
-                    type: 'string',
-                    example: 'endurance',
-                  },
-                  activityLevel: {
-                    type: 'string',
-                    example: 'very_active',
+                  title: { type: 'string', example: 'Linear Strength' },
+                  description: { type: 'string' },
+                  weeks: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        days: {
+                          type: 'array',
+                          items: {
+                            type: 'object',
+                            properties: {
+                              day: { type: 'integer', minimum: 1, maximum: 7, example: 1 },
+                              templateId: { type: 'string', example: '6523f1a2b4c5d6e7f8a9b0e1' },
+                              notes: { type: 'string' },
+                            },
+                          },
+                        },
+                      },
+                    },
                   },
-                  isActive: {
-                    type: 'boolean',
-                    example: true,
+                  progression: {
+                    type: 'object',
+                    properties: {
+                      weightIncrement: { type: 'number', example: 2.5 },
+                      deloadEvery: { type: 'integer', example: 4 },
+                      deloadFactor: { type: 'number', example: 0.6 },
+                    },
                   },
                 },
               },
@@ -637,7 +7013,7 @@ const swaggerDefinition = {
         },
         responses: {
           200: {
-            description: 'User updated successfully',
+            description: 'Training program updated successfully',
             content: {
               'application/json': {
                 schema: {
@@ -645,7 +7021,7 @@ const swaggerDefinition = {
                     { $ref: '#/components/schemas/SuccessResponse' },
                     {
                       properties: {
-                        data: { $ref: '#/components/schemas/User' },
+                        data: { $ref: '#/components/schemas/Program' },
                       },
                     },
                   ],
@@ -654,23 +7030,31 @@ const swaggerDefinition = {
             },
           },
           400: {
-            description: 'Validation error or invalid ID',
+            description: 'Validation error',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
               },
             },
           },
-          404: {
-            description: 'User not found',
+          401: {
+            description: 'Not authenticated',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
               },
             },
           },
-          500: {
-            description: 'Server error',
+          403: {
+            description: 'Program belongs to another user',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          404: {
+            description: 'Training program not found',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -680,31 +7064,38 @@ const swaggerDefinition = {
         },
       },
       delete: {
-        tags: ['Users'],
-        summary: 'Delete user',
-        description: 'Deletes a user by their ID',
+        tags: ['Programs'],
+        summary: 'Delete a training program',
+        description: 'Deletes the program and its cancelled enrollments. Programs with active enrollments cannot be deleted',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
         parameters: [
           {
             in: 'path',
             name: 'id',
             required: true,
-            schema: {
-              type: 'string',
-            },
-            description: 'User MongoDB ObjectId',
+            schema: { type: 'string' },
+            description: 'Program MongoDB ObjectId',
           },
         ],
         responses: {
           200: {
-            description: 'User deleted successfully',
+            description: 'Training program deleted successfully',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/SuccessResponse' },
               },
             },
           },
-          400: {
-            description: 'Invalid ID format',
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Program belongs to another user',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -712,15 +7103,15 @@ const swaggerDefinition = {
             },
           },
           404: {
-            description: 'User not found',
+            description: 'Training program not found',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
               },
             },
           },
-          500: {
-            description: 'Server error',
+          409: {
+            description: 'The program has active enrollments',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -730,126 +7121,30 @@ const swaggerDefinition = {
         },
       },
     },
-    '/api/v1/users/{id}/stats': {
-      get: {
-        tags: ['Users'],
-        summary: 'Get user statistics',
-        description: 'Retrieves comprehensive statistics for a user including BMI, goals, and account info',
+    '/api/v1/programs/{id}/enrollments': {
+      post: {
+        tags: ['Programs'],
+        summary: 'Enroll in a training program',
+        description: "Plans every workout of the program at once. Day 1 of week 1 is startDate (default: now) and workouts keep its time of day. Users with 'workouts:write:any' can enroll another user",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
         parameters: [
           {
             in: 'path',
             name: 'id',
             required: true,
-            schema: {
-              type: 'string',
-            },
-            description: 'User MongoDB ObjectId',
+            schema: { type: 'string' },
+            description: 'Program MongoDB ObjectId',
           },
         ],
-        responses: {
-          200: {
-            description: 'User statistics retrieved successfully',
-            content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/SuccessResponse' },
-              },
-            },
-          },
-          400: {
-            description: 'Invalid ID format',
-            content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/ErrorResponse' },
-              },
-            },
-          },
-          404: {
-            description: 'User not found',
-            content: {
-              'application/json': {
-                schema: { $ref: '#/components/schemas/ErrorResponse' },
-              },
-            },
-          },
-        },
-      },
-    },
-    '/api/v1/workouts': {
-      post: {
-        tags: ['Workouts'],
-        summary: 'Create a new workout',
-        description: 'Creates a new workout session',
-        requestBody: {
-          required: true,
-          content: {
-            'application/json': {
-              schema: {
-                type: 'object',
-                required: ['userId', 'title', 'exerciseType', 'duration', 'caloriesBurned'],
-                properties: {
-                  userId: {
-                    type: 'string',
-                    example: '507f1f77bcf86cd799439011',
-                  },
-                  title: {
-                    type: 'string',
-                    example: 'Morning Run',
-                  },
-                  exerciseType: {
-                    type: 'string',
-                    enum: ['cardio', 'strength', 'flexibility', 'sports', 'yoga', 'pilates', 'hiit', 'crossfit', 'swimming', 'cycling', 'running', 'walking', 'other'],
-                    example: 'running',
-                  },
-                  duration: {
-                    type: 'number',
-                    example: 30,
-                  },
-                  caloriesBurned: {
-                    type: 'number',
-                    example: 300,
-                  },
-                  intensity: {
-                    type: 'string',
-                    enum: ['low', 'moderate', 'high', 'extreme'],
-                    example: 'moderate',
-                  },
-                  notes: {
-                    type: 'string',
-                    example: 'Great workout session!',
-                  },
-                  workoutDate: {
-                    type: 'string',
-                    format: 'date-time',
-                    example: '2024-10-06T08:00:00Z',
-                  },
-                  completed: {
-                    type: 'boolean',
-                    example: true,
-                  },
-                  exercises: {
-                    type: 'array',
-                    items: {
-                      type: 'object',
-                      properties: {
-                        name: {
-                          type: 'string',
-                          example: 'Push-ups',
-                        },
-                        sets: {
-                          type: 'number',
-                          example: 3,
-                        },
-                        reps: {
-                          type: 'number',
-                          example: 15,
-                        },
-                        weight: {
-                          type: 'number',
-                          example: 0,
-                        },
-                      },
-                    },
-                  },
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  userId: { type: 'string' },
+                  startDate: { type: 'string', format: 'date-time', example: '2024-03-04T07:00:00Z' },
                 },
               },
             },
@@ -857,7 +7152,7 @@ const swaggerDefinition = {
         },
         responses: {
           201: {
-            description: 'Workout created successfully',
+            description: 'Program enrollment created successfully',
             content: {
               'application/json': {
                 schema: {
@@ -865,7 +7160,13 @@ const swaggerDefinition = {
                     { $ref: '#/components/schemas/SuccessResponse' },
                     {
                       properties: {
-                        data: { $ref: '#/components/schemas/Workout' },
+                        data: {
+                  type: 'object',
+                  properties: {
+                    enrollment: { $ref: '#/components/schemas/ProgramEnrollment' },
+                    workouts: { type: 'array', items: { $ref: '#/components/schemas/Workout' } },
+                  },
+                },
                       },
                     },
                   ],
@@ -874,106 +7175,73 @@ const swaggerDefinition = {
             },
           },
           400: {
-            description: 'Validation error',
+            description: 'Validation error or unusable templates',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
               },
             },
           },
-          404: {
-            description: 'User not found',
+          401: {
+            description: 'Not authenticated',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
               },
             },
           },
-        },
-      },
-      get: {
-        tags: ['Workouts'],
-        summary: 'Get all workouts',
-        description: 'Retrieves all workouts with filtering and pagination',
-        parameters: [
-          {
-            in: 'query',
-            name: 'userId',
-            schema: { type: 'string' },
-            description: 'Filter by user ID',
-          },
-          {
-            in: 'query',
-            name: 'exerciseType',
-            schema: { type: 'string' },
-            description: 'Filter by exercise type',
-          },
-          {
-            in: 'query',
-            name: 'intensity',
-            schema: { type: 'string' },
-            description: 'Filter by intensity',
-          },
-          {
-            in: 'query',
-            name: 'completed',
-            schema: { type: 'boolean' },
-            description: 'Filter by completion status',
-          },
-          {
-            in: 'query',
-            name: 'startDate',
-            schema: { type: 'string', format: 'date-time' },
-            description: 'Filter workouts from this date',
-          },
-          {
-            in: 'query',
-            name: 'endDate',
-            schema: { type: 'string', format: 'date-time' },
-            description: 'Filter workouts until this date',
-          },
-          {
-            in: 'query',
-            name: 'page',
-            schema: { type: 'number', default: 1 },
-            description: 'Page number',
+          403: {
+            description: 'Program belongs to another user, or enrolling another user without permission',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
           },
-          {
-            in: 'query',
-            name: 'limit',
-            schema: { type: 'number', default: 10 },
-            description: 'Items per page',
+          404: {
+            description: 'Training program or user not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
           },
-        ],
-        responses: {
-          200: {
-            description: 'Workouts retrieved successfully',
+          409: {
+            description: 'The user is already enrolled in the program',
             content: {
               'application/json': {
-                schema: { $ref: '#/components/schemas/PaginatedResponse' },
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
               },
             },
           },
         },
       },
     },
-    '/api/v1/workouts/{id}': {
-      get: {
-        tags: ['Workouts'],
-        summary: 'Get workout by ID',
-        description: 'Retrieves a single workout by ID',
+    '/api/v1/programs/{id}/enrollments/{enrollmentId}': {
+      delete: {
+        tags: ['Programs'],
+        summary: 'Cancel a program enrollment',
+        description: 'Removes the upcoming workouts of the enrollment that are still planned; everything else is kept',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
         parameters: [
           {
             in: 'path',
             name: 'id',
             required: true,
             schema: { type: 'string' },
-            description: 'Workout MongoDB ObjectId',
+            description: 'Program MongoDB ObjectId',
+          },
+          {
+            in: 'path',
+            name: 'enrollmentId',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Program enrollment MongoDB ObjectId',
           },
         ],
         responses: {
           200: {
-            description: 'Workout retrieved successfully',
+            description: 'Program enrollment cancelled successfully',
             content: {
               'application/json': {
                 schema: {
@@ -981,7 +7249,13 @@ const swaggerDefinition = {
                     { $ref: '#/components/schemas/SuccessResponse' },
                     {
                       properties: {
-                        data: { $ref: '#/components/schemas/Workout' },
+                        data: {
+                  type: 'object',
+                  properties: {
+                    enrollment: { $ref: '#/components/schemas/ProgramEnrollment' },
+                    removedWorkouts: { type: 'integer', example: 6 },
+                  },
+                },
                       },
                     },
                   ],
@@ -989,8 +7263,16 @@ const swaggerDefinition = {
               },
             },
           },
-          400: {
-            description: 'Invalid ID format',
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Cancelling another user's enrollment",
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -998,7 +7280,15 @@ const swaggerDefinition = {
             },
           },
           404: {
-            description: 'Workout not found',
+            description: 'Program enrollment not found',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          409: {
+            description: 'The enrollment is already cancelled',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -1007,41 +7297,45 @@ const swaggerDefinition = {
           },
         },
       },
-      put: {
-        tags: ['Workouts'],
-        summary: 'Update workout',
-        description: 'Updates a workout by ID',
-        parameters: [
-          {
-            in: 'path',
-            name: 'id',
-            required: true,
-            schema: { type: 'string' },
-            description: 'Workout MongoDB ObjectId',
-          },
-        ],
+    },
+    '/api/v1/tokens': {
+      post: {
+        tags: ['Access Tokens'],
+        summary: 'Create a personal access token',
+        description: 'Creates a named token for scripts and integrations. The token value is only returned once. Requires a login session',
+        security: [{ sessionCookie: [] }],
         requestBody: {
           required: true,
           content: {
             'application/json': {
               schema: {
                 type: 'object',
+                required: ['name', 'scopes'],
                 properties: {
-                  title: { type: 'string' },
-                  exerciseType: { type: 'string' },
-                  duration: { type: 'number' },
-                  caloriesBurned: { type: 'number' },
-                  intensity: { type: 'string' },
-                  notes: { type: 'string' },
-                  completed: { type: 'boolean' },
+                  name: {
+                    type: 'string',
+                    example: 'Garmin sync',
+                  },
+                  scopes: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    example: ['workouts:write'],
+                  },
+                  expiresInDays: {
+                    type: 'number',
+                    minimum: 1,
+                    maximum: 365,
+                    default: 90,
+                    example: 30,
+                  },
                 },
               },
             },
           },
         },
         responses: {
-          200: {
-            description: 'Workout updated successfully',
+          201: {
+            description: 'Token created - `data.token` holds the secret value',
             content: {
               'application/json': {
                 schema: {
@@ -1049,7 +7343,19 @@ const swaggerDefinition = {
                     { $ref: '#/components/schemas/SuccessResponse' },
                     {
                       properties: {
-                        data: { $ref: '#/components/schemas/Workout' },
+                        data: {
+                          allOf: [
+                            { $ref: '#/components/schemas/AccessToken' },
+                            {
+                              properties: {
+                                token: {
+                                  type: 'string',
+                                  example: 'fit_pat_Xy3kQ...',
+                                },
+                              },
+                            },
+                          ],
+                        },
                       },
                     },
                   ],
@@ -1065,8 +7371,16 @@ const swaggerDefinition = {
               },
             },
           },
-          404: {
-            description: 'Workout not found',
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Requested a scope the user does not hold, or called with a token',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -1075,22 +7389,66 @@ const swaggerDefinition = {
           },
         },
       },
-      delete: {
-        tags: ['Workouts'],
-        summary: 'Delete workout',
-        description: 'Deletes a workout by ID',
-        parameters: [
-          {
-            in: 'path',
-            name: 'id',
-            required: true,
-            schema: { type: 'string' },
-            description: 'Workout MongoDB ObjectId',
+      get: {
+        tags: ['Access Tokens'],
+        summary: 'List access tokens',
+        description: "Lists the authenticated user's tokens (without secret values). Requires a login session",
+        security: [{ sessionCookie: [] }],
+        responses: {
+          200: {
+            description: 'Tokens retrieved successfully',
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    { $ref: '#/components/schemas/SuccessResponse' },
+                    {
+                      properties: {
+                        data: {
+                          type: 'object',
+                          properties: {
+                            count: {
+                              type: 'number',
+                              example: 2,
+                            },
+                            tokens: {
+                              type: 'array',
+                              items: { $ref: '#/components/schemas/AccessToken' },
+                            },
+                          },
+                        },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
           },
+        },
+      },
+    },
+    '/api/v1/audit': {
+      get: {
+        tags: ['Audit'],
+        summary: 'List audit events',
+        description: "Lists audit events across all accounts, newest first. Requires the 'audit:read' permission (admins)",
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
+        parameters: [
+          ...auditFilterParameters,
+          { in: 'query', name: 'actorId', schema: { type: 'string' }, description: 'User who made the change' },
+          { in: 'query', name: 'targetUserId', schema: { type: 'string' }, description: 'Account the change belongs to' },
         ],
         responses: {
           200: {
-            description: 'Workout deleted successfully',
+            description: 'Audit events retrieved successfully',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/SuccessResponse' },
@@ -1098,15 +7456,23 @@ const swaggerDefinition = {
             },
           },
           400: {
-            description: 'Invalid ID format',
+            description: 'Invalid filters',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
               },
             },
           },
-          404: {
-            description: 'Workout not found',
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: "Missing the 'audit:read' permission",
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -1116,31 +7482,49 @@ const swaggerDefinition = {
         },
       },
     },
-    '/api/v1/workouts/user/{userId}': {
+    '/api/v1/users/{id}/audit': {
       get: {
-        tags: ['Workouts'],
-        summary: 'Get workouts by user',
-        description: 'Retrieves all workouts for a specific user',
+        tags: ['Audit'],
+        summary: 'Get the audit history of an account',
+        description: 'Lists changes to an account and its workouts, and changes the user made, newest first. Available to the account owner and admins',
+        security: [{ sessionCookie: [] }, { bearerAuth: [] }],
         parameters: [
           {
             in: 'path',
-            name: 'userId',
+            name: 'id',
             required: true,
             schema: { type: 'string' },
             description: 'User MongoDB ObjectId',
           },
+          ...auditFilterParameters,
         ],
         responses: {
           200: {
-            description: 'User workouts retrieved successfully',
+            description: 'Audit events retrieved successfully',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/SuccessResponse' },
               },
             },
           },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
+          403: {
+            description: 'Not the account owner or an admin',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
           404: {
-            description: 'User not found',
+            description: 'User not found and no audit history',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -1150,31 +7534,40 @@ const swaggerDefinition = {
         },
       },
     },
-    '/api/v1/workouts/user/{userId}/stats': {
-      get: {
-        tags: ['Workouts'],
-        summary: 'Get user workout statistics',
-        description: 'Retrieves comprehensive workout statistics for a user',
+    '/api/v1/tokens/{id}': {
+      delete: {
+        tags: ['Access Tokens'],
+        summary: 'Revoke an access token',
+        description: 'Revokes one of the authenticated user\'s tokens. Requires a login session',
+        security: [{ sessionCookie: [] }],
         parameters: [
           {
             in: 'path',
-            name: 'userId',
+            name: 'id',
             required: true,
             schema: { type: 'string' },
-            description: 'User MongoDB ObjectId',
+            description: 'Access token MongoDB ObjectId',
           },
         ],
         responses: {
           200: {
-            description: 'Statistics retrieved successfully',
+            description: 'Token revoked successfully',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/SuccessResponse' },
               },
             },
           },
+          401: {
+            description: 'Not authenticated',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/ErrorResponse' },
+              },
+            },
+          },
           404: {
-            description: 'User not found',
+            description: 'Token not found',
             content: {
               'application/json': {
                 schema: { $ref: '#/components/schemas/ErrorResponse' },
@@ -0,0 +1,68 @@
+/**
+ * Wellness Configuration
+ * Metrics of the daily wellness log and the settings of the readiness score
+ * The WellnessEntry model and its validator are built from WELLNESS_METRICS
+ */
+
+// Metrics a wellness entry can record, with their unit and accepted range
+// Ratings are whole numbers from 1 to 5
+const WELLNESS_METRICS = {
+  sleepHours: { label: 'Sleep', unit: 'h', min: 0, max: 24 },
+  sleepQuality: { label: 'Sleep quality', unit: '(1-5)', min: 1, max: 5, integer: true },
+  waterIntake: { label: 'Water intake', unit: 'ml', min: 0, max: 10000 },
+  soreness: { label: 'Soreness', unit: '(1 none - 5 severe)', min: 1, max: 5, integer: true },
+  mood: { label: 'Mood', unit: '(1 poor - 5 great)', min: 1, max: 5, integer: true },
+  restingHeartRate: { label: 'Resting heart rate', unit: 'bpm', min: 20, max: 250 },
+  hrv: { label: 'Heart rate variability', unit: 'ms', min: 1, max: 300 },
+};
+
+// Share of each component in the readiness score
+// Components without data are left out and the rest re-weighted
+const READINESS_WEIGHTS = {
+  sleep: 0.25,
+  hrv: 0.2,
+  soreness: 0.15,
+  trainingLoad: 0.15,
+  restingHeartRate: 0.1,
+  mood: 0.1,
+  hydration: 0.05,
+};
+
+// Training load of a workout is its duration (minutes) times its intensity factor
+const INTENSITY_LOAD_FACTORS = {
+  low: 1,
+  moderate: 2,
+  high: 3,
+  extreme: 4,
+};
+
+// Sleep that scores full marks
+const TARGET_SLEEP_HOURS = 8;
+
+// Daily water target per kg of body weight, and without a weight
+const WATER_ML_PER_KG = 35;
+const DEFAULT_WATER_TARGET_ML = 2500;
+
+// Days of earlier entries that make up the HRV and resting heart rate
+// baselines, and how many of them a baseline needs
+const BASELINE_DAYS = 28;
+const MIN_BASELINE_ENTRIES = 3;
+
+// Lowest score of each readiness level
+const READINESS_LEVELS = [
+  { level: 'high', min: 75, advice: 'Ready for a hard session' },
+  { level: 'moderate', min: 50, advice: 'Train as planned, but keep an eye on how you feel' },
+  { level: 'low', min: 0, advice: 'Take it easy today - rest or a light recovery session' },
+];
+
+module.exports = {
+  WELLNESS_METRICS,
+  READINESS_WEIGHTS,
+  INTENSITY_LOAD_FACTORS,
+  TARGET_SLEEP_HOURS,
+  WATER_ML_PER_KG,
+  DEFAULT_WATER_TARGET_ML,
+  BASELINE_DAYS,
+  MIN_BASELINE_ENTRIES,
+  READINESS_LEVELS,
+};
@@ -0,0 +1,125 @@
+/**
+ * Audit Controller
+ * Handles reading the audit log of data-changing operations
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { sendPaginated, sendNotFound } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Build a MongoDB filter from the audit log query parameters
+ * @param {Object} query - Validated request query
+ * @returns {Object} MongoDB filter
+ */
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  ['action', 'resourceType', 'resourceId', 'actorId', 'targetUserId', 'requestId'].forEach((field) => {
+    if (query[field]) {
+      filter[field] = query[field];
+    }
+  });
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  return filter;
+};
+
+/**
+ * Run a paginated audit log query, newest events first
+ * @param {Object} filter - MongoDB filter
+ * @param {Object} query - Validated request query (page, limit)
+ * @returns {Promise<Object>} { events, total, page, limit }
+ */
+const findAuditEvents = async (filter, query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 20;
+
+  const [events, total] = await Promise.all([
+    AuditEvent.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    AuditEvent.countDocuments(filter),
+  ]);
+
+  return { events, total, page, limit };
+};
+
+/**
+ * @desc    Get audit events across all accounts
+ * @route   GET /api/v1/audit
+ * @access  Protected ('audit:read' permission - admins)
+ */
+const getAuditEvents = asyncHandler(async (req, res) => {
+  logger.info('GET AUDIT EVENTS - Controller function started', {
+    userId: req.user._id,
+    query: req.query,
+  });
+
+  const filter = buildAuditFilter(req.query);
+  const { events, total, page, limit } = await findAuditEvents(filter, req.query);
+
+  logger.success('Audit events retrieved successfully', {
+    count: events.length,
+    total,
+    filter,
+  });
+
+  sendPaginated(res, events, page, limit, total, `Retrieved ${events.length} audit events successfully`);
+});
+
+/**
+ * @desc    Get the audit history of one account
+ *          Includes changes made to the account and its workouts, and changes the user made
+ * @route   GET /api/v1/users/:id/audit
+ * @access  Protected (account owner or 'audit:read' permission)
+ */
+const getUserAuditEvents = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET USER AUDIT EVENTS - Controller function started', {
+    userId: id,
+    requestedBy: req.user._id,
+    query: req.query,
+  });
+
+  // Deleted accounts keep their history, so only a missing history is a 404
+  const [userExists, hasHistory] = await Promise.all([
+    User.exists({ _id: id }),
+    AuditEvent.exists({ $or: [{ targetUserId: id }, { actorId: id }] }),
+  ]);
+
+  if (!userExists && !hasHistory) {
+    logger.warn('User not found for audit history', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const filter = {
+    ...buildAuditFilter(req.query),
+    $or: [{ targetUserId: id }, { actorId: id }],
+  };
+  const { events, total, page, limit } = await findAuditEvents(filter, req.query);
+
+  logger.success('User audit events retrieved successfully', {
+    userId: id,
+    count: events.length,
+    total,
+  });
+
+  sendPaginated(res, events, page, limit, total, `Retrieved ${events.length} audit events successfully`);
+});
+
+// Export all controller functions
+module.exports = {
+  getAuditEvents,
+  getUserAuditEvents,
+};
@@ -0,0 +1,221 @@
+/**
+ * Auth Token Controller
+ * Issues JWT access tokens and rotating refresh tokens for clients that
+ * cannot rely on the session cookie (e.g. the mobile app)
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const {
+  REFRESH_TOKEN_EXPIRES_IN_DAYS,
+  signAccessToken,
+  signExchangeCode,
+  verifyExchangeCode,
+  getExpiresIn,
+} = require('../utils/jwt');
+const { sendSuccess } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+// Prefix making refresh tokens easy to recognise
+const REFRESH_TOKEN_PREFIX = 'fit_rt';
+
+/**
+ * Issue an access token and a refresh token for a user
+ * @param {Object} req - Express request object
+ * @param {Object} user - User document
+ * @param {string} family - Refresh token family
+ * @param {string} [exchangeCode] - jti of the exchange code being redeemed
+ * @returns {Promise<{ tokens: Object, refreshToken: Object }>} Response payload and the stored refresh token
+ */
+const issueTokenPair = async (req, user, family, exchangeCode) => {
+  const accessToken = signAccessToken(user);
+  const plainRefreshToken = generateToken(REFRESH_TOKEN_PREFIX);
+
+  const refreshToken = await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(plainRefreshToken),
+    family,
+    exchangeCode,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_IN_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+  });
+
+  return {
+    refreshToken,
+    tokens: {
+      tokenType: 'Bearer',
+      accessToken,
+      expiresIn: getExpiresIn(accessToken),
+      refreshToken: plainRefreshToken,
+      refreshTokenExpiresAt: refreshToken.expiresAt,
+    },
+  };
+};
+
+/**
+ * Create a one-time exchange code for a freshly logged-in user
+ * Used by the GitHub callback so clients without cookies can obtain tokens
+ * @param {Object} user - User document
+ * @returns {Object} Exchange details to include in the callback response
+ */
+const createExchangeCode = (user) => {
+  const code = signExchangeCode(user);
+
+  return {
+    code,
+    exchangeUrl: '/auth/token',
+    expiresIn: getExpiresIn(code),
+  };
+};
+
+/**
+ * @desc    Exchange a login for an access token and refresh token
+ * @route   POST /auth/token
+ * @access  Public (requires an exchange code or a login session)
+ */
+const exchangeToken = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  logger.info('EXCHANGE TOKEN - Controller function started', {
+    withCode: Boolean(code),
+    hasSession: req.isAuthenticated(),
+  });
+
+  let user;
+  let family;
+  let exchangeCode;
+
+  if (code) {
+    // Throws JsonWebTokenError / TokenExpiredError for bad codes
+    const payload = verifyExchangeCode(code);
+
+    user = await User.findById(payload.sub);
+    family = payload.jti;
+    exchangeCode = payload.jti;
+  } else if (req.isAuthenticated()) {
+    user = req.user;
+    family = crypto.randomUUID();
+  } else {
+    throw new AppError('An exchange code or login session is required', 401);
+  }
+
+  if (!user || !user.isActive) {
+    logger.warn('Token exchange for missing or inactive user');
+    throw new AppError('User account is not available', 401);
+  }
+
+  let issued;
+
+  try {
+    issued = await issueTokenPair(req, user, family, exchangeCode);
+  } catch (error) {
+    // The unique exchangeCode index rejects a second redemption, even a concurrent one
+    if (!exchangeCode || error.code !== 11000) throw error;
+
+    logger.security('Exchange code reused - revoking issued tokens', {
+      userId: user._id,
+      family,
+    });
+    await RefreshToken.revokeFamily(family);
+    throw new AppError('Exchange code has already been used', 401);
+  }
+
+  const { tokens, refreshToken } = issued;
+
+  logger.auth('Token pair issued', {
+    userId: user._id,
+    refreshTokenId: refreshToken._id,
+    family,
+  });
+
+  sendSuccess(res, 200, 'Tokens issued successfully', tokens);
+});
+
+/**
+ * @desc    Rotate a refresh token and issue a new access token
+ * @route   POST /auth/refresh
+ * @access  Public (requires a refresh token)
+ */
+const refreshTokens = asyncHandler(async (req, res) => {
+  const { refreshToken: plainRefreshToken } = req.body;
+
+  logger.info('REFRESH TOKENS - Controller function started', { ip: req.ip });
+
+  const current = await RefreshToken.consume(plainRefreshToken);
+
+  if (!current) {
+    const existing = await RefreshToken.findByToken(plainRefreshToken);
+
+    // A rotated token being presented again means it was copied - cut the whole chain
+    if (existing && existing.revokedAt) {
+      logger.security('Refresh token reuse detected - revoking token family', {
+        userId: existing.userId,
+        family: existing.family,
+        ip: req.ip,
+      });
+      await RefreshToken.revokeFamily(existing.family);
+    }
+
+    throw new AppError('Invalid or expired refresh token', 401);
+  }
+
+  const user = await User.findById(current.userId);
+
+  if (!user || !user.isActive) {
+    logger.warn('Refresh attempted for missing or inactive user', { userId: current.userId });
+    await RefreshToken.revokeFamily(current.family);
+    throw new AppError('User account is not available', 401);
+  }
+
+  const { tokens, refreshToken } = await issueTokenPair(req, user, current.family);
+
+  current.replacedBy = refreshToken._id;
+  await current.save();
+
+  logger.auth('Refresh token rotated', {
+    userId: user._id,
+    previousTokenId: current._id,
+    refreshTokenId: refreshToken._id,
+  });
+
+  sendSuccess(res, 200, 'Tokens refreshed successfully', tokens);
+});
+
+/**
+ * Revoke the refresh token sent with a logout request (and the rest of its family)
+ * Runs before the session logout; requests without a refresh token pass straight through
+ * @route   GET|POST /auth/logout
+ */
+const revokeRefreshToken = asyncHandler(async (req, res, next) => {
+  const plainRefreshToken = req.body && req.body.refreshToken;
+
+  if (!plainRefreshToken) {
+    return next();
+  }
+
+  const refreshToken = await RefreshToken.findByToken(plainRefreshToken);
+
+  if (refreshToken) {
+    await RefreshToken.revokeFamily(refreshToken.family);
+
+    logger.auth('Refresh token revoked on logout', {
+      userId: refreshToken.userId,
+      family: refreshToken.family,
+    });
+  }
+
+  next();
+});
+
+// Export all controller functions
+module.exports = {
+  createExchangeCode,
+  exchangeToken,
+  refreshTokens,
+  revokeRefreshToken,
+};
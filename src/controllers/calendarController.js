@@ -0,0 +1,194 @@
+/**
+ * Calendar Controller
+ * Publishes a user's workouts as an iCalendar feed that calendar apps can
+ * subscribe to, and manages the secret token that protects the feed URL
+ * Calendar apps cannot send credentials, so the feed is authorized by the
+ * token in its query string instead of a session or bearer token
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const User = require('../models/User');
+const Workout = require('../models/workout');
+const WorkoutSchedule = require('../models/WorkoutSchedule');
+const logger = require('../utils/logger');
+const { expandSchedules } = require('../utils/schedule');
+const { DEFAULT_TIME_ZONE, getZonedDateKey, getZonedDayStart } = require('../utils/timezone');
+const { buildWorkoutCalendar } = require('../utils/icalendar');
+const { auditSnapshot, recordAuditEvent } = require('../utils/audit');
+const { sendSuccess, sendCreated, sendNotFound } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+// Logged workouts older than this are left out of the feed
+const FEED_PAST_DAYS = 365;
+
+// Recurring schedule occurrences without a workout are listed this far ahead
+const FEED_OCCURRENCE_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the subscription URL of a user's calendar feed
+ * @param {Object} req - Express request
+ * @param {string} userId - User ID
+ * @param {string} token - Plain calendar token
+ * @returns {string} Absolute feed URL
+ */
+const buildFeedUrl = (req, userId, token) => {
+  return `${req.protocol}://${req.get('host')}/api/v1/users/${userId}/calendar.ics?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * @desc    Get a user's workouts as an iCalendar feed
+ * @route   GET /api/v1/users/:id/calendar.ics?token=...
+ * @access  Calendar token
+ */
+const getCalendarFeed = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET CALENDAR FEED - Controller function started', {
+    userId: id,
+  });
+
+  const user = await User.findById(id).select('+calendarFeed.tokenHash');
+
+  if (!user) {
+    logger.warn('User not found for calendar feed', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  if (!user.checkCalendarToken(req.query.token)) {
+    logger.security('Calendar feed refused - invalid token', { userId: id });
+    throw new AppError('A valid calendar token is required', 401);
+  }
+
+  const timeZone = user.timezone || DEFAULT_TIME_ZONE;
+  const now = new Date();
+  const from = new Date(now.getTime() - FEED_PAST_DAYS * DAY_MS);
+  // Upcoming occurrences start at the beginning of today in the user's time zone
+  const today = getZonedDayStart(getZonedDateKey(now, timeZone), timeZone);
+  const horizon = new Date(today.getTime() + FEED_OCCURRENCE_DAYS * DAY_MS);
+
+  const [workouts, schedules] = await Promise.all([
+    Workout.find({ userId: id, workoutDate: { $gte: from } }).sort({ workoutDate: 1 }),
+    WorkoutSchedule.find({
+      userId: id,
+      startDate: { $lte: horizon },
+      $or: [{ endDate: null }, { endDate: { $gt: today } }],
+    }),
+  ]);
+
+  // Only upcoming occurrences are listed - past ones without a workout did not happen
+  const occurrences = expandSchedules(schedules, workouts, today, horizon);
+
+  const calendar = buildWorkoutCalendar({
+    name: `${user.name} - Workouts`,
+    timeZone,
+    workouts: [...workouts, ...occurrences],
+    now,
+  });
+
+  logger.success('Calendar feed built', {
+    userId: id,
+    timeZone,
+    workouts: workouts.length,
+    occurrences: occurrences.length,
+  });
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="workouts.ics"',
+    'Cache-Control': 'private, no-cache',
+  });
+  res.status(200).send(calendar);
+});
+
+/**
+ * @desc    Create the calendar feed token, replacing (and revoking) any previous one
+ * @route   POST /api/v1/users/:id/calendar-token
+ * @access  Protected (account owner or admin)
+ */
+const createCalendarToken = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('CREATE CALENDAR TOKEN - Controller function started', {
+    userId: id,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for calendar token', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const before = auditSnapshot(user);
+  const token = user.issueCalendarToken();
+  await user.save();
+
+  // toJSON keeps the token hash out of the recorded change
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    before,
+    after: auditSnapshot(user),
+  });
+
+  logger.auth('Calendar feed token created', {
+    userId: user._id,
+    createdAt: user.calendarFeed.createdAt,
+  });
+
+  // The plain token is only ever returned here
+  sendCreated(res, 'Calendar feed token', {
+    token,
+    feedUrl: buildFeedUrl(req, user._id, token),
+    createdAt: user.calendarFeed.createdAt,
+  });
+});
+
+/**
+ * @desc    Revoke the calendar feed token, disabling the feed
+ * @route   DELETE /api/v1/users/:id/calendar-token
+ * @access  Protected (account owner or admin)
+ */
+const revokeCalendarToken = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('REVOKE CALENDAR TOKEN - Controller function started', {
+    userId: id,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for calendar token revocation', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  if (user.calendarFeed && user.calendarFeed.createdAt) {
+    const before = auditSnapshot(user);
+    user.calendarFeed = undefined;
+    await user.save();
+
+    await recordAuditEvent(req, {
+      action: 'update',
+      resourceType: 'user',
+      resourceId: user._id,
+      targetUserId: user._id,
+      before,
+      after: auditSnapshot(user),
+    });
+
+    logger.auth('Calendar feed token revoked', { userId: user._id });
+  }
+
+  sendSuccess(res, 200, 'Calendar feed disabled successfully');
+});
+
+module.exports = {
+  getCalendarFeed,
+  createCalendarToken,
+  revokeCalendarToken,
+};
@@ -0,0 +1,268 @@
+/**
+ * Exercise Controller
+ * Handles the exercise catalog: search, create, update and delete
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const Exercise = require('../models/Exercise');
+const Workout = require('../models/workout');
+const logger = require('../utils/logger');
+const {
+  sendSuccess,
+  sendCreated,
+  sendNotFound,
+  sendPaginated,
+  sendConflict,
+} = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+// Fields that can be set through the API
+const EXERCISE_FIELDS = ['name', 'aliases', 'category', 'muscleGroups', 'equipment', 'metValue', 'description'];
+
+/**
+ * Find an exercise (other than the one being edited) that already uses one of the names
+ * @param {Array<string>} names - Name and aliases to check
+ * @param {string} excludeId - Exercise being updated
+ * @returns {Promise<Object|null>} Conflicting exercise, if any
+ */
+const findNameConflict = async (names, excludeId = null) => {
+  const keys = names.map((name) => Exercise.normalizeName(name)).filter(Boolean);
+  const filter = { matchKeys: { $in: keys } };
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  return Exercise.findOne(filter);
+};
+
+/**
+ * @desc    Search the exercise catalog
+ * @route   GET /api/v1/exercises
+ * @access  Public
+ */
+const getExercises = asyncHandler(async (req, res) => {
+  logger.info('GET EXERCISES - Controller function started', {
+    query: req.query,
+  });
+
+  const filter = {};
+
+  if (req.query.category) {
+    filter.category = req.query.category;
+  }
+
+  if (req.query.muscleGroup) {
+    filter.muscleGroups = req.query.muscleGroup;
+  }
+
+  if (req.query.equipment) {
+    filter.equipment = req.query.equipment;
+  }
+
+  // Match names and aliases the same way workouts are linked to the catalog;
+  // normalized terms only contain letters, digits and spaces, so they are regex-safe
+  if (req.query.search) {
+    const term = Exercise.normalizeName(req.query.search);
+    if (term) {
+      filter.matchKeys = { $regex: term };
+      logger.info('Searching exercises', { searchTerm: term });
+    }
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const [exercises, total] = await Promise.all([
+    Exercise.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit),
+    Exercise.countDocuments(filter),
+  ]);
+
+  logger.success('Exercises retrieved successfully', {
+    count: exercises.length,
+    total,
+    page,
+    limit,
+  });
+
+  sendPaginated(
+    res,
+    exercises,
+    page,
+    limit,
+    total,
+    `Retrieved ${exercises.length} exercises successfully`
+  );
+});
+
+/**
+ * @desc    Get a single exercise by ID
+ * @route   GET /api/v1/exercises/:id
+ * @access  Public
+ */
+const getExerciseById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET EXERCISE BY ID - Controller function started', { exerciseId: id });
+
+  const exercise = await Exercise.findById(id);
+
+  if (!exercise) {
+    logger.warn('Exercise not found', { exerciseId: id });
+    return sendNotFound(res, 'Exercise', id);
+  }
+
+  sendSuccess(res, 200, 'Exercise retrieved successfully', exercise);
+});
+
+/**
+ * @desc    Add an exercise to the catalog
+ * @route   POST /api/v1/exercises
+ * @access  Protected ('exercises:manage' permission - coaches and admins)
+ */
+const createExercise = asyncHandler(async (req, res) => {
+  logger.info('CREATE EXERCISE - Controller function started', {
+    body: req.body,
+    userId: req.user._id,
+  });
+
+  const data = {};
+  EXERCISE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+  });
+
+  const conflict = await findNameConflict([data.name, ...(data.aliases || [])]);
+
+  if (conflict) {
+    logger.warn('Exercise creation failed - name already in catalog', {
+      name: data.name,
+      conflictingId: conflict._id,
+    });
+    return sendConflict(res, `The catalog already has an exercise with this name or alias: ${conflict.name}`, {
+      field: 'name',
+      value: conflict._id,
+    });
+  }
+
+  const exercise = await Exercise.create({
+    ...data,
+    createdBy: req.user._id,
+  });
+
+  logger.success('Exercise created successfully', {
+    exerciseId: exercise._id,
+    name: exercise.name,
+  });
+
+  sendCreated(res, 'Exercise', exercise);
+});
+
+/**
+ * @desc    Update a catalog exercise
+ *          Renaming does not rewrite the names stored on past workouts
+ * @route   PUT /api/v1/exercises/:id
+ * @access  Protected ('exercises:manage' permission - coaches and admins)
+ */
+const updateExercise = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('UPDATE EXERCISE - Controller function started', {
+    exerciseId: id,
+    updateFields: Object.keys(req.body),
+  });
+
+  const exercise = await Exercise.findById(id);
+
+  if (!exercise) {
+    logger.warn('Exercise not found for update', { exerciseId: id });
+    return sendNotFound(res, 'Exercise', id);
+  }
+
+  EXERCISE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      exercise[field] = req.body[field];
+    }
+  });
+
+  const conflict = await findNameConflict([exercise.name, ...exercise.aliases], exercise._id);
+
+  if (conflict) {
+    logger.warn('Exercise update failed - name already in catalog', {
+      exerciseId: id,
+      conflictingId: conflict._id,
+    });
+    return sendConflict(res, `The catalog already has an exercise with this name or alias: ${conflict.name}`, {
+      field: 'name',
+      value: conflict._id,
+    });
+  }
+
+  await exercise.save();
+
+  logger.success('Exercise updated successfully', {
+    exerciseId: exercise._id,
+    updatedFields: Object.keys(req.body),
+  });
+
+  sendSuccess(res, 200, 'Exercise updated successfully', exercise);
+});
+
+/**
+ * @desc    Remove an exercise from the catalog
+ * @route   DELETE /api/v1/exercises/:id
+ * @access  Protected ('exercises:manage' permission - coaches and admins)
+ */
+const deleteExercise = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('DELETE EXERCISE - Controller function started', { exerciseId: id });
+
+  const exercise = await Exercise.findById(id);
+
+  if (!exercise) {
+    logger.warn('Exercise not found for deletion', { exerciseId: id });
+    return sendNotFound(res, 'Exercise', id);
+  }
+
+  // Workouts keep their reference, so an exercise in use cannot be removed
+  const workoutCount = await Workout.countDocuments({ 'exercises.exerciseId': id });
+
+  if (workoutCount > 0) {
+    logger.warn('Cannot delete exercise used by workouts', {
+      exerciseId: id,
+      workoutCount,
+    });
+    return sendConflict(res, `Cannot delete exercise. It is used by ${workoutCount} workout(s).`, {
+      field: 'id',
+      value: id,
+    });
+  }
+
+  await exercise.deleteOne();
+
+  logger.success('Exercise deleted successfully', {
+    exerciseId: id,
+    name: exercise.name,
+  });
+
+  sendSuccess(res, 200, 'Exercise deleted successfully', {
+    deletedExercise: {
+      id: exercise._id,
+      name: exercise.name,
+    },
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  getExercises,
+  getExerciseById,
+  createExercise,
+  updateExercise,
+  deleteExercise,
+};
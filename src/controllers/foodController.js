@@ -0,0 +1,279 @@
+/**
+ * Food Controller
+ * Handles the food database food log entries are picked from
+ * Everyone sees the standard foods; foods users add are private to them.
+ * Standard foods are managed with the 'foods:manage' permission
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const Food = require('../models/Food');
+const logger = require('../utils/logger');
+const {
+  sendSuccess,
+  sendCreated,
+  sendPaginated,
+  sendConflict,
+} = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getTokenScopes, hasPermission, isOwnerOrPermitted } = require('../middleware/auth');
+
+// Fields that can be set through the API
+const FOOD_FIELDS = ['name', 'brand', 'servingSize', 'servingUnit', 'calories', 'protein', 'carbs', 'fat'];
+
+/**
+ * Load a food the current user may see, or change when `write` is set
+ * Standard foods can be seen by everyone and changed with 'foods:manage';
+ * other foods belong to the user who added them
+ * @param {Object} req - Express request
+ * @param {string} foodId - Food ID
+ * @param {boolean} write - Whether the food is about to be changed
+ * @returns {Promise<Object>} Food document
+ * @throws {AppError} 404 if the food does not exist or is someone else's, 403 if it cannot be changed
+ */
+const findAccessibleFood = async (req, foodId, write = false) => {
+  const food = await Food.findById(foodId);
+  const scopes = getTokenScopes(req);
+
+  if (!food || (!food.isStandard && !isOwnerOrPermitted(req.user, food.createdBy, 'foods:manage', scopes))) {
+    logger.warn('Food not found', { foodId, userId: req.user._id });
+    throw new AppError('Food not found with the provided ID', 404);
+  }
+
+  if (write && food.isStandard && !hasPermission(req.user, 'foods:manage', scopes)) {
+    logger.security('Attempt to change a standard food without permission', {
+      foodId,
+      userId: req.user._id,
+    });
+    throw new AppError('Only users with the \'foods:manage\' permission can change standard foods', 403);
+  }
+
+  return food;
+};
+
+/**
+ * Find a food (other than the one being edited) with the same name and brand
+ * in the same part of the database - the standard foods or the user's own
+ * @param {Object} food - Food being saved
+ * @returns {Promise<Object|null>} Conflicting food, if any
+ */
+const findNameConflict = async (food) => {
+  const filter = {
+    searchKey: Food.normalizeName([food.name, food.brand].filter(Boolean).join(' ')),
+    isStandard: food.isStandard,
+  };
+  if (!food.isStandard) {
+    filter.createdBy = food.createdBy;
+  }
+  if (!food.isNew) {
+    filter._id = { $ne: food._id };
+  }
+
+  return Food.findOne(filter);
+};
+
+/**
+ * @desc    Search the standard foods and the caller's own foods
+ * @route   GET /api/v1/foods
+ * @access  Protected
+ */
+const getFoods = asyncHandler(async (req, res) => {
+  logger.info('GET FOODS - Controller function started', {
+    userId: req.user._id,
+    query: req.query,
+  });
+
+  const sources = [];
+  if (req.query.source !== 'custom') {
+    sources.push({ isStandard: true });
+  }
+  if (req.query.source !== 'standard') {
+    sources.push({ isStandard: false, createdBy: req.user._id });
+  }
+
+  const filter = { $or: sources };
+
+  // Normalized terms only contain letters, digits and spaces, so they are regex-safe
+  if (req.query.search) {
+    const term = Food.normalizeName(req.query.search);
+    if (term) {
+      filter.searchKey = { $regex: term };
+      logger.info('Searching foods', { searchTerm: term });
+    }
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const [foods, total] = await Promise.all([
+    Food.find(filter)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit),
+    Food.countDocuments(filter),
+  ]);
+
+  logger.success('Foods retrieved successfully', {
+    count: foods.length,
+    total,
+    page,
+    limit,
+  });
+
+  sendPaginated(
+    res,
+    foods,
+    page,
+    limit,
+    total,
+    `Retrieved ${foods.length} foods successfully`
+  );
+});
+
+/**
+ * @desc    Get a single food by ID
+ * @route   GET /api/v1/foods/:id
+ * @access  Protected (standard foods, or the user who added the food)
+ */
+const getFoodById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET FOOD BY ID - Controller function started', { foodId: id });
+
+  const food = await findAccessibleFood(req, id);
+
+  sendSuccess(res, 200, 'Food retrieved successfully', food);
+});
+
+/**
+ * @desc    Add a food to the database
+ *          Users add private foods; 'foods:manage' may send isStandard to share one with everyone
+ * @route   POST /api/v1/foods
+ * @access  Protected
+ */
+const createFood = asyncHandler(async (req, res) => {
+  logger.info('CREATE FOOD - Controller function started', {
+    body: req.body,
+    userId: req.user._id,
+  });
+
+  const isStandard = req.body.isStandard === true;
+
+  if (isStandard && !hasPermission(req.user, 'foods:manage', getTokenScopes(req))) {
+    logger.security('Attempt to add a standard food without permission', { userId: req.user._id });
+    throw new AppError('Only users with the \'foods:manage\' permission can add standard foods', 403);
+  }
+
+  const data = { isStandard, createdBy: req.user._id };
+  FOOD_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+  });
+
+  const food = new Food(data);
+  const conflict = await findNameConflict(food);
+
+  if (conflict) {
+    logger.warn('Food creation failed - name already in database', {
+      name: data.name,
+      conflictingId: conflict._id,
+    });
+    return sendConflict(res, `A food with this name already exists: ${conflict.name}`, {
+      field: 'name',
+      value: conflict._id,
+    });
+  }
+
+  await food.save();
+
+  logger.success('Food created successfully', {
+    foodId: food._id,
+    name: food.name,
+    isStandard,
+  });
+
+  sendCreated(res, 'Food', food);
+});
+
+/**
+ * @desc    Update a food
+ *          Food log entries keep the nutrition they were logged with
+ * @route   PUT /api/v1/foods/:id
+ * @access  Protected (the user who added the food; standard foods need 'foods:manage')
+ */
+const updateFood = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('UPDATE FOOD - Controller function started', {
+    foodId: id,
+    updateFields: Object.keys(req.body),
+  });
+
+  const food = await findAccessibleFood(req, id, true);
+
+  FOOD_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      food[field] = req.body[field];
+    }
+  });
+
+  const conflict = await findNameConflict(food);
+
+  if (conflict) {
+    logger.warn('Food update failed - name already in database', {
+      foodId: id,
+      conflictingId: conflict._id,
+    });
+    return sendConflict(res, `A food with this name already exists: ${conflict.name}`, {
+      field: 'name',
+      value: conflict._id,
+    });
+  }
+
+  await food.save();
+
+  logger.success('Food updated successfully', {
+    foodId: food._id,
+    updatedFields: Object.keys(req.body),
+  });
+
+  sendSuccess(res, 200, 'Food updated successfully', food);
+});
+
+/**
+ * @desc    Remove a food from the database
+ *          Food log entries keep the nutrition they were logged with
+ * @route   DELETE /api/v1/foods/:id
+ * @access  Protected (the user who added the food; standard foods need 'foods:manage')
+ */
+const deleteFood = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('DELETE FOOD - Controller function started', { foodId: id });
+
+  const food = await findAccessibleFood(req, id, true);
+
+  await food.deleteOne();
+
+  logger.success('Food deleted successfully', {
+    foodId: id,
+    name: food.name,
+  });
+
+  sendSuccess(res, 200, 'Food deleted successfully', {
+    deletedFood: {
+      id: food._id,
+      name: food.name,
+    },
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  getFoods,
+  getFoodById,
+  createFood,
+  updateFood,
+  deleteFood,
+};
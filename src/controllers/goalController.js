@@ -0,0 +1,264 @@
+/**
+ * Goal Controller
+ * Handles CRUD operations for a user's goals
+ * Every response includes the goal's progress, status and projection, worked
+ * out from the user's workouts, measurements and personal records
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const User = require('../models/User');
+const Goal = require('../models/Goal');
+const Exercise = require('../models/Exercise');
+const logger = require('../utils/logger');
+const { sendSuccess, sendCreated, sendNotFound, sendPaginated } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { GOAL_TYPES } = require('../config/goals');
+const { measureGoal, getGoalProgress } = require('../utils/goals');
+
+// Fields that can be set through the API (type and exercise only on create)
+const GOAL_FIELDS = ['title', 'target', 'startValue', 'startDate', 'deadline', 'exerciseType', 'recordType', 'notes'];
+
+/**
+ * Add the progress report to a goal
+ * @param {Object} goal - Goal document
+ * @param {Object} user - Goal owner
+ * @returns {Promise<Object>} Goal JSON with a progress field
+ */
+const withProgress = async (goal, user) => {
+  const progress = await getGoalProgress(goal, user);
+  return { ...goal.toJSON(), progress };
+};
+
+/**
+ * Load a user, or fail with 404
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} User document
+ * @throws {AppError} 404 if the user does not exist
+ */
+const findGoalOwner = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    logger.warn('User not found for goals', { userId });
+    throw new AppError(`User not found with ID: ${userId}`, 404);
+  }
+
+  return user;
+};
+
+/**
+ * Load one of a user's goals
+ * @param {string} userId - User ID
+ * @param {string} goalId - Goal ID
+ * @returns {Promise<Object>} Goal document
+ * @throws {AppError} 404 if the user has no such goal
+ */
+const findUserGoal = async (userId, goalId) => {
+  const goal = await Goal.findOne({ _id: goalId, userId });
+
+  if (!goal) {
+    logger.warn('Goal not found', { userId, goalId });
+    throw new AppError('Goal not found with the provided ID', 404);
+  }
+
+  return goal;
+};
+
+/**
+ * @desc    Get a user's goals with their progress, newest first
+ * @route   GET /api/v1/users/:id/goals
+ * @access  Protected (account owner or admin)
+ */
+const getGoals = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET GOALS - Controller function started', {
+    userId: id,
+    query: req.query,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for goals', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const filter = { userId: id };
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const [goals, total] = await Promise.all([
+    Goal.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Goal.countDocuments(filter),
+  ]);
+
+  const data = await Promise.all(goals.map((goal) => withProgress(goal, user)));
+
+  logger.success('Goals retrieved successfully', {
+    userId: id,
+    count: goals.length,
+    total,
+  });
+
+  sendPaginated(res, data, page, limit, total, `Retrieved ${goals.length} goals successfully`);
+});
+
+/**
+ * @desc    Get one goal with its progress
+ * @route   GET /api/v1/users/:id/goals/:goalId
+ * @access  Protected (account owner or admin)
+ */
+const getGoalById = asyncHandler(async (req, res) => {
+  const { id, goalId } = req.params;
+
+  logger.info('GET GOAL BY ID - Controller function started', { userId: id, goalId });
+
+  const user = await findGoalOwner(id);
+  const goal = await findUserGoal(id, goalId);
+
+  logger.success('Goal retrieved successfully', { goalId });
+
+  sendSuccess(res, 200, 'Goal retrieved successfully', await withProgress(goal, user));
+});
+
+/**
+ * @desc    Set a goal
+ *          startValue defaults to the current weight or lift record
+ * @route   POST /api/v1/users/:id/goals
+ * @access  Protected (account owner or 'users:write:any' permission)
+ */
+const createGoal = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { type, exercise } = req.body;
+
+  logger.info('CREATE GOAL - Controller function started', {
+    userId: id,
+    type,
+    target: req.body.target,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for new goal', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const goal = new Goal({ userId: id, type });
+  GOAL_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined && req.body[field] !== null) {
+      goal[field] = req.body[field];
+    }
+  });
+
+  if (type === 'lift') {
+    const catalogExercise = await Exercise.findByReference(exercise);
+    goal.exerciseId = catalogExercise ? catalogExercise._id : undefined;
+    goal.exerciseName = catalogExercise ? catalogExercise.name : exercise.trim();
+    goal.recordType = goal.recordType || 'heaviest_weight';
+  }
+
+  if (goal.startValue === undefined && type !== 'workout_frequency') {
+    if (type === 'weight' && typeof user.weight !== 'number') {
+      throw new AppError('Add a weight to the profile or record a measurement before setting a weight goal', 400);
+    }
+    goal.startValue = type === 'distance' ? 0 : (await measureGoal(goal, user)).currentValue;
+  }
+
+  if (!goal.title) {
+    const { label, unit } = GOAL_TYPES[type];
+    goal.title = `${type === 'lift' ? goal.exerciseName : label}: ${goal.target} ${unit}`;
+  }
+
+  await goal.save();
+
+  logger.success('Goal created successfully', {
+    userId: id,
+    goalId: goal._id,
+    type,
+  });
+
+  sendCreated(res, 'Goal', await withProgress(goal, user));
+});
+
+/**
+ * @desc    Update a goal
+ *          Send deadline as null to remove it
+ * @route   PUT /api/v1/users/:id/goals/:goalId
+ * @access  Protected (account owner or 'users:write:any' permission)
+ */
+const updateGoal = asyncHandler(async (req, res) => {
+  const { id, goalId } = req.params;
+
+  logger.info('UPDATE GOAL - Controller function started', {
+    userId: id,
+    goalId,
+    updates: req.body,
+  });
+
+  const updates = GOAL_FIELDS.filter((field) => req.body[field] !== undefined);
+
+  if (updates.length === 0) {
+    logger.warn('Goal update attempted without updatable fields', { goalId });
+    throw new AppError('Please provide at least one field to update', 400);
+  }
+
+  const user = await findGoalOwner(id);
+  const goal = await findUserGoal(id, goalId);
+
+  updates.forEach((field) => {
+    goal[field] = req.body[field] === null ? undefined : req.body[field];
+  });
+
+  await goal.save();
+
+  logger.success('Goal updated successfully', {
+    goalId,
+    updatedFields: updates,
+  });
+
+  sendSuccess(res, 200, 'Goal updated successfully', await withProgress(goal, user));
+});
+
+/**
+ * @desc    Delete a goal
+ * @route   DELETE /api/v1/users/:id/goals/:goalId
+ * @access  Protected (account owner or 'users:write:any' permission)
+ */
+const deleteGoal = asyncHandler(async (req, res) => {
+  const { id, goalId } = req.params;
+
+  logger.info('DELETE GOAL - Controller function started', { userId: id, goalId });
+
+  const goal = await findUserGoal(id, goalId);
+
+  await goal.deleteOne();
+
+  logger.success('Goal deleted successfully', { goalId, title: goal.title });
+
+  sendSuccess(res, 200, 'Goal deleted successfully', {
+    deletedGoal: {
+      id: goal._id,
+      title: goal.title,
+      userId: goal.userId,
+    },
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  getGoals,
+  getGoalById,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+};
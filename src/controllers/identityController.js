@@ -0,0 +1,132 @@
+/**
+ * Identity Controller
+ * Lists and unlinks the OAuth identities linked to the current account
+ * Linking happens through the regular OAuth login routes while logged in
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { auditSnapshot, recordAuditEvent } = require('../utils/audit');
+const { sendSuccess, sendNotFound, sendConflict } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { OAUTH_PROVIDERS, getEnabledProviders } = require('../config/oauthProviders');
+
+/**
+ * Format an identity for API responses
+ * @param {Object} identity - Identity subdocument
+ * @returns {Object} Identity with the provider's display label
+ */
+const formatIdentity = (identity) => ({
+  id: identity._id,
+  provider: identity.provider,
+  label: OAUTH_PROVIDERS[identity.provider]?.label || identity.provider,
+  providerId: identity.providerId,
+  username: identity.username,
+  email: identity.email,
+  linkedAt: identity.linkedAt,
+  lastLoginAt: identity.lastLoginAt,
+});
+
+/**
+ * @desc    List the current user's linked identities
+ * @route   GET /auth/identities
+ * @access  Private
+ */
+const getIdentities = asyncHandler(async (req, res) => {
+  logger.info('GET IDENTITIES - Controller function started', { userId: req.user._id });
+  
+  const user = await User.findById(req.user._id).select('+passwordHash');
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  if (user.migrateLegacyGithubId()) {
+    await user.save();
+    logger.info('Legacy GitHub ID moved to identities', { userId: user._id });
+  }
+  
+  const linkedProviders = user.identities.map((identity) => identity.provider);
+  
+  sendSuccess(res, 200, 'Identities retrieved successfully', {
+    count: user.identities.length,
+    hasPassword: Boolean(user.passwordHash),
+    identities: user.identities.map(formatIdentity),
+    // Providers that can still be linked by visiting their login URL while logged in
+    availableProviders: getEnabledProviders()
+      .filter((name) => !linkedProviders.includes(name))
+      .map((name) => ({
+        provider: name,
+        label: OAUTH_PROVIDERS[name].label,
+        linkUrl: `/auth/${name}`,
+      })),
+  });
+});
+
+/**
+ * @desc    Unlink an identity from the current user
+ * @route   DELETE /auth/identities/:identityId
+ * @access  Private (session only)
+ */
+const unlinkIdentity = asyncHandler(async (req, res) => {
+  const { identityId } = req.params;
+  
+  logger.info('UNLINK IDENTITY - Controller function started', {
+    userId: req.user._id,
+    identityId,
+  });
+  
+  const user = await User.findById(req.user._id).select('+passwordHash');
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  user.migrateLegacyGithubId();
+  
+  const identity = user.identities.id(identityId);
+  
+  if (!identity) {
+    logger.warn('Identity not found for unlinking', { userId: user._id, identityId });
+    return sendNotFound(res, 'Identity');
+  }
+  
+  // Keep at least one way to log in
+  if (user.identities.length === 1 && !user.passwordHash) {
+    logger.warn('Refused to unlink the only login method', { userId: user._id, identityId });
+    return sendConflict(res, 'Cannot unlink your only login method - set a password or link another provider first', {
+      field: 'identityId',
+      value: identityId,
+    });
+  }
+  
+  const before = auditSnapshot(user);
+  identity.deleteOne();
+  await user.save();
+  
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    before,
+    after: auditSnapshot(user),
+  });
+  
+  logger.auth('Identity unlinked', {
+    userId: user._id,
+    provider: identity.provider,
+  });
+  
+  sendSuccess(res, 200, 'Identity unlinked successfully', {
+    count: user.identities.length,
+    identities: user.identities.map(formatIdentity),
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  getIdentities,
+  unlinkIdentity,
+};
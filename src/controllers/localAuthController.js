@@ -0,0 +1,349 @@
+/**
+ * Local Auth Controller
+ * Handles email/password registration, login, password changes and resets
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const passport = require('passport');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const MongooseSessionStore = require('../config/sessionStore');
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailer');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { auditSnapshot, recordAuditEvent } = require('../utils/audit');
+const { sendSuccess, sendCreated, sendConflict } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { buildLoginData, startSession, beginLogin } = require('./twoFactorController');
+
+// Prefix making password reset tokens easy to recognise
+const RESET_TOKEN_PREFIX = 'fit_prt';
+
+// How long a password reset token stays valid
+const RESET_TOKEN_EXPIRY_MINUTES = 60;
+
+/**
+ * Email the token that verifies a user's address
+ * The token comes from user.issueEmailVerificationToken() and the user must be saved first
+ * @param {Object} user - User document
+ * @param {string} token - Plain verification token
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user, token) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Fitness Tracker email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Please confirm that ${user.email} is your email address.`,
+      'Use this token with POST /auth/email/verify within 24 hours:',
+      '',
+      token,
+      '',
+      'If you did not sign up or change your email, you can ignore this email.',
+    ].join('\n'),
+  });
+  
+  logger.auth('Email verification token issued', { userId: user._id });
+};
+
+/**
+ * @desc    Register a new user with email and password
+ * @route   POST /auth/register
+ * @access  Public
+ */
+const register = asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+  
+  logger.info('REGISTER - Controller function started', { email, ip: req.ip });
+  
+  const normalizedEmail = email.toLowerCase().trim();
+  const existingUser = await User.findOne({ email: normalizedEmail });
+  
+  if (existingUser) {
+    logger.warn('Registration failed - email already exists', { email: normalizedEmail });
+    return sendConflict(res, 'User with this email already exists', {
+      field: 'email',
+      value: normalizedEmail,
+    });
+  }
+  
+  const user = new User({
+    name: name.trim(),
+    email: normalizedEmail,
+  });
+  await user.setPassword(password);
+  const verificationToken = user.issueEmailVerificationToken();
+  await user.save();
+  
+  await recordAuditEvent(req, {
+    action: 'create',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    actorId: user._id,
+    after: auditSnapshot(user),
+  });
+  
+  await sendVerificationEmail(user, verificationToken);
+  await startSession(req, user);
+  
+  logger.auth('User registered with email and password', { userId: user._id });
+  
+  sendCreated(res, 'User', buildLoginData(user));
+});
+
+/**
+ * @desc    Log in with email and password
+ * @route   POST /auth/login
+ * @access  Public
+ */
+const login = (req, res, next) => {
+  logger.info('LOGIN - Controller function started', { email: req.body.email, ip: req.ip });
+  
+  passport.authenticate('local', (error, user, info) => {
+    if (error) {
+      return next(error);
+    }
+    
+    if (!user) {
+      return next(new AppError(info?.message || 'Invalid email or password', 401));
+    }
+    
+    beginLogin(req, user)
+      .then((twoFactor) => {
+        if (twoFactor) {
+          return sendSuccess(res, 200, 'Two-factor authentication required', twoFactor);
+        }
+        
+        logger.auth('User logged in with email and password', { userId: user._id });
+        sendSuccess(res, 200, 'Authentication successful', buildLoginData(user));
+      })
+      .catch(next);
+  })(req, res, next);
+};
+
+/**
+ * @desc    Change (or set) the authenticated user's password
+ * @route   PUT /auth/password
+ * @access  Protected (session only)
+ */
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  
+  logger.info('CHANGE PASSWORD - Controller function started', { userId: req.user._id });
+  
+  const user = await User.findById(req.user._id).select('+passwordHash');
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  // Accounts created through GitHub can set a first password without a current one
+  if (user.passwordHash && !(await user.checkPassword(currentPassword))) {
+    logger.security('Password change rejected - wrong current password', { userId: user._id });
+    throw new AppError('Current password is incorrect', 401);
+  }
+  
+  const before = auditSnapshot(user);
+  await user.setPassword(newPassword);
+  await user.save();
+  
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    before,
+    after: auditSnapshot(user),
+  });
+  
+  // Tokens and other devices' sessions from before the change must not outlive it
+  await RefreshToken.revokeAllForUser(user._id);
+  await Session.endAllForUser(user._id, MongooseSessionStore.getId(req.sessionID));
+  
+  logger.auth('Password changed', { userId: user._id });
+  
+  sendSuccess(res, 200, 'Password changed successfully', {
+    passwordChangedAt: user.passwordChangedAt,
+  });
+});
+
+/**
+ * @desc    Email a password reset token
+ * @route   POST /auth/password/forgot
+ * @access  Public
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const email = req.body.email.toLowerCase().trim();
+  
+  logger.info('FORGOT PASSWORD - Controller function started', { email, ip: req.ip });
+  
+  const user = await User.findOne({ email, isActive: true });
+  
+  if (user) {
+    const token = generateToken(RESET_TOKEN_PREFIX);
+    
+    user.passwordResetTokenHash = hashToken(token);
+    user.passwordResetExpiresAt = new Date(Date.now() + RESET_TOKEN_EXPIRY_MINUTES * 60 * 1000);
+    await user.save();
+    
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Fitness Tracker password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Someone asked to reset the password for your Fitness Tracker account.',
+        `Use this token with POST /auth/password/reset within ${RESET_TOKEN_EXPIRY_MINUTES} minutes:`,
+        '',
+        token,
+        '',
+        'If you did not ask for this, you can ignore this email.',
+      ].join('\n'),
+    });
+    
+    logger.auth('Password reset token issued', { userId: user._id });
+  } else {
+    logger.warn('Password reset requested for unknown email', { email });
+  }
+  
+  // Same response either way so the endpoint cannot be used to discover accounts
+  sendSuccess(res, 200, 'If an account exists for that email, a reset link has been sent');
+});
+
+/**
+ * @desc    Reset a password with a token from the reset email
+ * @route   POST /auth/password/reset
+ * @access  Public
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  
+  logger.info('RESET PASSWORD - Controller function started', { ip: req.ip });
+  
+  const user = await User.findOne({
+    passwordResetTokenHash: hashToken(token),
+    passwordResetExpiresAt: { $gt: new Date() },
+  });
+  
+  if (!user) {
+    logger.warn('Password reset failed - invalid or expired token', { ip: req.ip });
+    throw new AppError('Invalid or expired password reset token', 400);
+  }
+  
+  // setPassword also clears the reset token so it cannot be reused
+  const before = auditSnapshot(user);
+  await user.setPassword(password);
+  await user.save();
+  
+  // Holding the reset token identifies the account owner as the actor
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    actorId: user._id,
+    before,
+    after: auditSnapshot(user),
+  });
+  
+  await RefreshToken.revokeAllForUser(user._id);
+  await Session.endAllForUser(user._id);
+  
+  logger.auth('Password reset', { userId: user._id });
+  
+  sendSuccess(res, 200, 'Password reset successfully');
+});
+
+/**
+ * @desc    Email a new verification token for the current user's address
+ * @route   POST /auth/email/verification
+ * @access  Private
+ */
+const requestEmailVerification = asyncHandler(async (req, res) => {
+  logger.info('REQUEST EMAIL VERIFICATION - Controller function started', { userId: req.user._id });
+  
+  const user = await User.findById(req.user._id);
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  if (!user.email) {
+    throw new AppError('The account has no email address to verify', 400);
+  }
+  
+  if (user.emailVerified) {
+    return sendSuccess(res, 200, 'Email address is already verified', {
+      email: user.email,
+      emailVerified: true,
+    });
+  }
+  
+  const token = user.issueEmailVerificationToken();
+  await user.save();
+  await sendVerificationEmail(user, token);
+  
+  sendSuccess(res, 200, 'Verification email sent', {
+    email: user.email,
+    emailVerified: false,
+  });
+});
+
+/**
+ * @desc    Verify an email address with a token from the verification email
+ * @route   POST /auth/email/verify
+ * @access  Public
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  
+  logger.info('VERIFY EMAIL - Controller function started', { ip: req.ip });
+  
+  const user = await User.findOne({
+    emailVerificationTokenHash: hashToken(token),
+    emailVerificationExpiresAt: { $gt: new Date() },
+  });
+  
+  if (!user) {
+    logger.warn('Email verification failed - invalid or expired token', { ip: req.ip });
+    throw new AppError('Invalid or expired email verification token', 400);
+  }
+  
+  const before = auditSnapshot(user);
+  user.markEmailVerified();
+  await user.save();
+  
+  // Holding the token proves the account owner receives mail at the address
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    actorId: user._id,
+    before,
+    after: auditSnapshot(user),
+  });
+  
+  logger.auth('Email address verified', { userId: user._id });
+  
+  sendSuccess(res, 200, 'Email address verified successfully', {
+    email: user.email,
+    emailVerifiedAt: user.emailVerifiedAt,
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  sendVerificationEmail,
+  register,
+  login,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  requestEmailVerification,
+  verifyEmail,
+};
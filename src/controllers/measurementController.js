@@ -0,0 +1,297 @@
+/**
+ * Body Measurement Controller
+ * Handles CRUD operations for a user's body measurement history and serves
+ * smoothed trend lines of each metric
+ * Every write re-syncs the profile weight and body fat with the latest entry
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const User = require('../models/User');
+const BodyMeasurement = require('../models/BodyMeasurement');
+const logger = require('../utils/logger');
+const { sendSuccess, sendCreated, sendNotFound, sendPaginated } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { MEASUREMENT_METRICS, PROFILE_METRICS } = require('../config/measurements');
+const { syncProfileMeasurements, buildTrend } = require('../utils/measurements');
+
+// Fields that can be set through the API
+const MEASUREMENT_FIELDS = ['measuredAt', ...Object.keys(MEASUREMENT_METRICS), 'notes'];
+
+/**
+ * Build the measuredAt filter for a from/to query
+ * @param {Object} query - Request query
+ * @returns {Object|null} Mongo date filter, or null without a range
+ */
+const buildDateFilter = ({ from, to }) => {
+  if (!from && !to) return null;
+
+  const filter = {};
+  if (from) filter.$gte = new Date(from);
+  if (to) filter.$lte = new Date(to);
+  return filter;
+};
+
+/**
+ * Load one of a user's measurements
+ * @param {string} userId - User ID
+ * @param {string} measurementId - Measurement ID
+ * @returns {Promise<Object>} Measurement document
+ * @throws {AppError} 404 if the user has no such measurement
+ */
+const findUserMeasurement = async (userId, measurementId) => {
+  const measurement = await BodyMeasurement.findOne({ _id: measurementId, userId });
+
+  if (!measurement) {
+    logger.warn('Body measurement not found', { userId, measurementId });
+    throw new AppError('Body measurement not found with the provided ID', 404);
+  }
+
+  return measurement;
+};
+
+/**
+ * Sync the profile and pick the fields to show alongside a write
+ * @param {Object} req - Express request
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Profile metrics after the sync
+ */
+const syncProfile = async (req, userId) => {
+  const user = await syncProfileMeasurements(req, userId);
+  return Object.fromEntries(PROFILE_METRICS.map((metric) => [metric, user ? user[metric] ?? null : null]));
+};
+
+/**
+ * @desc    Get a user's body measurements, newest first
+ * @route   GET /api/v1/users/:id/measurements
+ * @access  Protected (account owner or admin)
+ */
+const getMeasurements = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET MEASUREMENTS - Controller function started', {
+    userId: id,
+    query: req.query,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for measurements', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const filter = { userId: id };
+  const dateFilter = buildDateFilter(req.query);
+  if (dateFilter) {
+    filter.measuredAt = dateFilter;
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const [measurements, total] = await Promise.all([
+    BodyMeasurement.find(filter)
+      .sort({ measuredAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    BodyMeasurement.countDocuments(filter),
+  ]);
+
+  logger.success('Body measurements retrieved successfully', {
+    userId: id,
+    count: measurements.length,
+    total,
+  });
+
+  sendPaginated(
+    res,
+    measurements,
+    page,
+    limit,
+    total,
+    `Retrieved ${measurements.length} body measurements successfully`
+  );
+});
+
+/**
+ * @desc    Get the smoothed trend of one metric for charting
+ *          Query: metric (default weight), window (days), alpha, from, to
+ * @route   GET /api/v1/users/:id/measurements/trends
+ * @access  Protected (account owner or admin)
+ */
+const getMeasurementTrends = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const metric = req.query.metric || 'weight';
+
+  logger.info('GET MEASUREMENT TRENDS - Controller function started', {
+    userId: id,
+    query: req.query,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for measurement trends', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  // Earlier history is loaded too so the EWMA is settled by `from`
+  const filter = { userId: id, [metric]: { $type: 'number' } };
+  if (req.query.to) {
+    filter.measuredAt = { $lte: new Date(req.query.to) };
+  }
+
+  const measurements = await BodyMeasurement.find(filter)
+    .select(`measuredAt ${metric}`)
+    .sort({ measuredAt: 1 })
+    .lean();
+
+  const trend = buildTrend(measurements, metric, {
+    windowDays: parseInt(req.query.window) || undefined,
+    alpha: parseFloat(req.query.alpha) || undefined,
+    from: req.query.from,
+  });
+
+  logger.success('Measurement trend built successfully', {
+    userId: id,
+    metric,
+    points: trend.points.length,
+  });
+
+  sendSuccess(res, 200, `Retrieved ${metric} trend successfully`, trend);
+});
+
+/**
+ * @desc    Get one body measurement
+ * @route   GET /api/v1/users/:id/measurements/:measurementId
+ * @access  Protected (account owner or admin)
+ */
+const getMeasurementById = asyncHandler(async (req, res) => {
+  const { id, measurementId } = req.params;
+
+  logger.info('GET MEASUREMENT BY ID - Controller function started', { userId: id, measurementId });
+
+  const measurement = await findUserMeasurement(id, measurementId);
+
+  logger.success('Body measurement retrieved successfully', { measurementId });
+
+  sendSuccess(res, 200, 'Body measurement retrieved successfully', measurement);
+});
+
+/**
+ * @desc    Record a body measurement
+ * @route   POST /api/v1/users/:id/measurements
+ * @access  Protected (account owner or 'users:write:any' permission)
+ */
+const createMeasurement = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('CREATE MEASUREMENT - Controller function started', {
+    userId: id,
+    metrics: Object.keys(req.body),
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for new measurement', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const data = { userId: id };
+  MEASUREMENT_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+  });
+
+  const measurement = await BodyMeasurement.create(data);
+  const profile = await syncProfile(req, id);
+
+  logger.success('Body measurement recorded successfully', {
+    userId: id,
+    measurementId: measurement._id,
+    profile,
+  });
+
+  sendCreated(res, 'Body measurement', { measurement, profile });
+});
+
+/**
+ * @desc    Update a body measurement
+ *          Send a metric as null to remove it from the entry
+ * @route   PUT /api/v1/users/:id/measurements/:measurementId
+ * @access  Protected (account owner or 'users:write:any' permission)
+ */
+const updateMeasurement = asyncHandler(async (req, res) => {
+  const { id, measurementId } = req.params;
+
+  logger.info('UPDATE MEASUREMENT - Controller function started', {
+    userId: id,
+    measurementId,
+    updates: req.body,
+  });
+
+  const updates = MEASUREMENT_FIELDS.filter((field) => req.body[field] !== undefined);
+
+  if (updates.length === 0) {
+    logger.warn('Measurement update attempted without updatable fields', { measurementId });
+    throw new AppError('Please provide at least one field to update', 400);
+  }
+
+  const measurement = await findUserMeasurement(id, measurementId);
+
+  updates.forEach((field) => {
+    measurement[field] = req.body[field] === null ? undefined : req.body[field];
+  });
+
+  await measurement.save();
+  const profile = await syncProfile(req, id);
+
+  logger.success('Body measurement updated successfully', {
+    measurementId,
+    updatedFields: updates,
+    profile,
+  });
+
+  sendSuccess(res, 200, 'Body measurement updated successfully', { measurement, profile });
+});
+
+/**
+ * @desc    Delete a body measurement
+ *          The profile falls back to the next latest entry
+ * @route   DELETE /api/v1/users/:id/measurements/:measurementId
+ * @access  Protected (account owner or 'users:write:any' permission)
+ */
+const deleteMeasurement = asyncHandler(async (req, res) => {
+  const { id, measurementId } = req.params;
+
+  logger.info('DELETE MEASUREMENT - Controller function started', { userId: id, measurementId });
+
+  const measurement = await findUserMeasurement(id, measurementId);
+
+  await measurement.deleteOne();
+  const profile = await syncProfile(req, id);
+
+  logger.success('Body measurement deleted successfully', { measurementId, profile });
+
+  sendSuccess(res, 200, 'Body measurement deleted successfully', {
+    deletedMeasurement: {
+      id: measurement._id,
+      measuredAt: measurement.measuredAt,
+      userId: measurement.userId,
+    },
+    profile,
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  getMeasurements,
+  getMeasurementTrends,
+  getMeasurementById,
+  createMeasurement,
+  updateMeasurement,
+  deleteMeasurement,
+};
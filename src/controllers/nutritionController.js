@@ -0,0 +1,410 @@
+/**
+ * Nutrition Controller
+ * Handles a user's food log and rolls it up into daily nutrition totals and
+ * a daily energy balance against dailyCalorieNeeds and workout calories
+ * Days follow the user's time zone (see utils/nutrition.js)
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const User = require('../models/User');
+const Food = require('../models/Food');
+const FoodLogEntry = require('../models/FoodLogEntry');
+const Workout = require('../models/workout');
+const logger = require('../utils/logger');
+const { sendSuccess, sendCreated, sendNotFound, sendPaginated } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { DEFAULT_TIME_ZONE } = require('../utils/timezone');
+const {
+  NUTRIENTS,
+  scaleNutrition,
+  resolveDateRange,
+  buildDailyNutrition,
+  buildEnergyBalance,
+} = require('../utils/nutrition');
+
+// Fields that can be set through the API
+const ENTRY_FIELDS = ['eatenAt', 'meal', 'servings', 'notes'];
+
+/**
+ * Load one of a user's food log entries
+ * @param {string} userId - User ID
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<Object>} Food log entry document
+ * @throws {AppError} 404 if the user has no such entry
+ */
+const findUserEntry = async (userId, entryId) => {
+  const entry = await FoodLogEntry.findOne({ _id: entryId, userId });
+
+  if (!entry) {
+    logger.warn('Food log entry not found', { userId, entryId });
+    throw new AppError('Food log entry not found with the provided ID', 404);
+  }
+
+  return entry;
+};
+
+/**
+ * Load a food the user can log - a standard food or one they added
+ * @param {string} userId - User ID
+ * @param {string} foodId - Food ID
+ * @returns {Promise<Object>} Food document
+ * @throws {AppError} 400 if the food does not exist or is someone else's
+ */
+const findLoggableFood = async (userId, foodId) => {
+  const food = await Food.findOne({
+    _id: foodId,
+    $or: [{ isStandard: true }, { createdBy: userId }],
+  });
+
+  if (!food) {
+    logger.warn('Food for log entry not found', { userId, foodId });
+    throw new AppError(`Food not found in the food database: ${foodId}`, 400);
+  }
+
+  return food;
+};
+
+/**
+ * Load a user and the days a nutrition query covers
+ * @param {string} userId - User ID
+ * @param {Object} query - Request query with from/to
+ * @returns {Promise<Object>} { user, range, timeZone }, or { user: null } if the user does not exist
+ */
+const loadUserRange = async (userId, query) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    return { user: null };
+  }
+
+  const timeZone = user.timezone || DEFAULT_TIME_ZONE;
+  return { user, timeZone, range: resolveDateRange(query, timeZone) };
+};
+
+/**
+ * Load the food log entries eaten within a date range
+ * @param {string} userId - User ID
+ * @param {Object} range - Result of resolveDateRange
+ * @returns {Promise<Array<Object>>} Plain entries
+ */
+const findEntriesInRange = (userId, range) => {
+  return FoodLogEntry.find({ userId, eatenAt: { $gte: range.start, $lt: range.end } })
+    .select(`eatenAt meal ${NUTRIENTS.join(' ')}`)
+    .lean();
+};
+
+/**
+ * @desc    Get a user's food log, newest first
+ *          Query: from, to (YYYY-MM-DD in the user's time zone), meal, page, limit
+ * @route   GET /api/v1/users/:id/food-log
+ * @access  Protected (account owner or admin)
+ */
+const getFoodLog = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET FOOD LOG - Controller function started', {
+    userId: id,
+    query: req.query,
+  });
+
+  const { user, range } = await loadUserRange(id, req.query);
+
+  if (!user) {
+    logger.warn('User not found for food log', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const filter = { userId: id };
+  if (req.query.from || req.query.to) {
+    filter.eatenAt = { $gte: range.start, $lt: range.end };
+  }
+  if (req.query.meal) {
+    filter.meal = req.query.meal;
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const [entries, total] = await Promise.all([
+    FoodLogEntry.find(filter)
+      .sort({ eatenAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    FoodLogEntry.countDocuments(filter),
+  ]);
+
+  logger.success('Food log retrieved successfully', {
+    userId: id,
+    count: entries.length,
+    total,
+  });
+
+  sendPaginated(
+    res,
+    entries,
+    page,
+    limit,
+    total,
+    `Retrieved ${entries.length} food log entries successfully`
+  );
+});
+
+/**
+ * @desc    Get one food log entry
+ * @route   GET /api/v1/users/:id/food-log/:entryId
+ * @access  Protected (account owner or admin)
+ */
+const getFoodLogEntryById = asyncHandler(async (req, res) => {
+  const { id, entryId } = req.params;
+
+  logger.info('GET FOOD LOG ENTRY BY ID - Controller function started', { userId: id, entryId });
+
+  const entry = await findUserEntry(id, entryId);
+
+  logger.success('Food log entry retrieved successfully', { entryId });
+
+  sendSuccess(res, 200, 'Food log entry retrieved successfully', entry);
+});
+
+/**
+ * @desc    Log food eaten
+ *          With a foodId the name, serving and nutrition come from the food
+ *          database (scaled by servings); otherwise they are taken as given
+ * @route   POST /api/v1/users/:id/food-log
+ * @access  Protected (account owner or 'users:write:any' permission)
+ */
+const createFoodLogEntry = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('CREATE FOOD LOG ENTRY - Controller function started', {
+    userId: id,
+    foodId: req.body.foodId,
+    meal: req.body.meal,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for new food log entry', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const data = { userId: id };
+  ENTRY_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+  });
+
+  const servings = data.servings || 1;
+
+  if (req.body.foodId) {
+    const food = await findLoggableFood(id, req.body.foodId);
+
+    Object.assign(data, {
+      foodId: food._id,
+      foodName: food.brand ? `${food.name} (${food.brand})` : food.name,
+      servingSize: food.servingSize,
+      servingUnit: food.servingUnit,
+      ...scaleNutrition(food, servings),
+    });
+  } else {
+    data.foodName = req.body.foodName;
+    NUTRIENTS.forEach((nutrient) => {
+      if (req.body[nutrient] !== undefined) {
+        data[nutrient] = req.body[nutrient];
+      }
+    });
+  }
+
+  const entry = await FoodLogEntry.create(data);
+
+  logger.success('Food log entry created successfully', {
+    userId: id,
+    entryId: entry._id,
+    calories: entry.calories,
+  });
+
+  sendCreated(res, 'Food log entry', entry);
+});
+
+/**
+ * @desc    Update a food log entry
+ *          Changing servings scales the entry's nutrition with it; only
+ *          entries not picked from the food database take nutrition values
+ * @route   PUT /api/v1/users/:id/food-log/:entryId
+ * @access  Protected (account owner or 'users:write:any' permission)
+ */
+const updateFoodLogEntry = asyncHandler(async (req, res) => {
+  const { id, entryId } = req.params;
+
+  logger.info('UPDATE FOOD LOG ENTRY - Controller function started', {
+    userId: id,
+    entryId,
+    updates: req.body,
+  });
+
+  const nutrientUpdates = NUTRIENTS.filter((nutrient) => req.body[nutrient] !== undefined);
+  const updates = [...ENTRY_FIELDS, 'foodName', ...NUTRIENTS].filter((field) => req.body[field] !== undefined);
+
+  if (updates.length === 0) {
+    logger.warn('Food log entry update attempted without updatable fields', { entryId });
+    throw new AppError('Please provide at least one field to update', 400);
+  }
+
+  const entry = await findUserEntry(id, entryId);
+
+  if (entry.foodId && (nutrientUpdates.length > 0 || req.body.foodName !== undefined)) {
+    logger.warn('Nutrition update attempted on a food database entry', { entryId });
+    throw new AppError('Entries from the food database take their name and nutrition from the food - change servings instead', 400);
+  }
+
+  // Keep the nutrition per serving when only the servings change
+  if (req.body.servings !== undefined && req.body.servings !== entry.servings) {
+    const factor = req.body.servings / entry.servings;
+    NUTRIENTS.forEach((nutrient) => {
+      entry[nutrient] = Math.round((entry[nutrient] || 0) * factor * 10) / 10;
+    });
+  }
+
+  updates.forEach((field) => {
+    entry[field] = field === 'notes' && req.body.notes === null ? undefined : req.body[field];
+  });
+
+  await entry.save();
+
+  logger.success('Food log entry updated successfully', {
+    entryId,
+    updatedFields: updates,
+  });
+
+  sendSuccess(res, 200, 'Food log entry updated successfully', entry);
+});
+
+/**
+ * @desc    Delete a food log entry
+ * @route   DELETE /api/v1/users/:id/food-log/:entryId
+ * @access  Protected (account owner or 'users:write:any' permission)
+ */
+const deleteFoodLogEntry = asyncHandler(async (req, res) => {
+  const { id, entryId } = req.params;
+
+  logger.info('DELETE FOOD LOG ENTRY - Controller function started', { userId: id, entryId });
+
+  const entry = await findUserEntry(id, entryId);
+
+  await entry.deleteOne();
+
+  logger.success('Food log entry deleted successfully', { entryId });
+
+  sendSuccess(res, 200, 'Food log entry deleted successfully', {
+    deletedEntry: {
+      id: entry._id,
+      foodName: entry.foodName,
+      eatenAt: entry.eatenAt,
+      userId: entry.userId,
+    },
+  });
+});
+
+/**
+ * @desc    Get daily nutrition totals
+ *          Query: from, to (YYYY-MM-DD in the user's time zone; default the last 7 days)
+ * @route   GET /api/v1/users/:id/nutrition
+ * @access  Protected (account owner or admin)
+ */
+const getDailyNutrition = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET DAILY NUTRITION - Controller function started', {
+    userId: id,
+    query: req.query,
+  });
+
+  const { user, range, timeZone } = await loadUserRange(id, req.query);
+
+  if (!user) {
+    logger.warn('User not found for daily nutrition', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const entries = await findEntriesInRange(id, range);
+  const nutrition = buildDailyNutrition(entries, range, timeZone);
+
+  logger.success('Daily nutrition built successfully', {
+    userId: id,
+    from: range.from,
+    to: range.to,
+    daysLogged: nutrition.summary.daysLogged,
+  });
+
+  sendSuccess(res, 200, 'Daily nutrition retrieved successfully', nutrition);
+});
+
+/**
+ * @desc    Get the daily energy balance: intake minus dailyCalorieNeeds and
+ *          the calories burned by completed workouts
+ *          Query: from, to (YYYY-MM-DD in the user's time zone; default the last 7 days)
+ * @route   GET /api/v1/users/:id/energy-balance
+ * @access  Protected (account owner or admin)
+ */
+const getEnergyBalance = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET ENERGY BALANCE - Controller function started', {
+    userId: id,
+    query: req.query,
+  });
+
+  const { user, range, timeZone } = await loadUserRange(id, req.query);
+
+  if (!user) {
+    logger.warn('User not found for energy balance', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const [entries, workouts] = await Promise.all([
+    findEntriesInRange(id, range),
+    // The completed flag is set on workouts saved before statuses existed too
+    Workout.find({
+      userId: id,
+      completed: true,
+      workoutDate: { $gte: range.start, $lt: range.end },
+    })
+      .select('workoutDate caloriesBurned')
+      .lean(),
+  ]);
+
+  const balance = buildEnergyBalance({
+    entries,
+    workouts,
+    dailyCalorieNeeds: user.dailyCalorieNeeds,
+    range,
+    timeZone,
+  });
+
+  if (balance.dailyCalorieNeeds === null) {
+    logger.warn('Energy balance without daily calorie needs - profile incomplete', { userId: id });
+  }
+
+  logger.success('Energy balance built successfully', {
+    userId: id,
+    from: range.from,
+    to: range.to,
+    averageNet: balance.summary.averageNet,
+  });
+
+  sendSuccess(res, 200, 'Energy balance retrieved successfully', balance);
+});
+
+// Export all controller functions
+module.exports = {
+  getFoodLog,
+  getFoodLogEntryById,
+  createFoodLogEntry,
+  updateFoodLogEntry,
+  deleteFoodLogEntry,
+  getDailyNutrition,
+  getEnergyBalance,
+};
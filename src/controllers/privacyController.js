@@ -0,0 +1,258 @@
+/**
+ * Privacy Controller
+ * Handles personal data exports and right-to-erasure requests
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const User = require('../models/User');
+const Workout = require('../models/workout');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const WorkoutSchedule = require('../models/WorkoutSchedule');
+const Program = require('../models/Program');
+const ProgramEnrollment = require('../models/ProgramEnrollment');
+const BodyMeasurement = require('../models/BodyMeasurement');
+const Goal = require('../models/Goal');
+const Food = require('../models/Food');
+const FoodLogEntry = require('../models/FoodLogEntry');
+const WellnessEntry = require('../models/WellnessEntry');
+const logger = require('../utils/logger');
+const { sendMail } = require('../utils/mailer');
+const { createZip } = require('../utils/zip');
+const { buildUserExport } = require('../utils/dataExport');
+const { auditSnapshot, recordAuditEvent } = require('../utils/audit');
+const { ERASURE_GRACE_PERIOD_DAYS, getErasureDate } = require('../utils/erasure');
+const { sendSuccess, sendNotFound, sendConflict } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+
+/**
+ * Describe an account's erasure state for API responses
+ * @param {Object} user - User document
+ * @returns {Object} Erasure status
+ */
+const formatErasure = (user) => {
+  const { requestedAt, scheduledFor } = user.erasure || {};
+
+  if (!scheduledFor) {
+    return { status: 'none' };
+  }
+
+  return {
+    status: 'pending',
+    requestedAt,
+    scheduledFor,
+    cancelUrl: `/api/v1/users/${user._id}/erasure`,
+  };
+};
+
+/**
+ * @desc    Download a copy of a user's personal data (ZIP of JSON and CSV files)
+ * @route   POST /api/v1/users/:id/export
+ * @access  Protected (account owner or admin)
+ */
+const exportUserData = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('EXPORT USER DATA - Controller function started', {
+    userId: id,
+    requestedBy: req.user._id,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for data export', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const [workouts, templates, schedules, programs, enrollments, measurements, goals, foodLog, foods, wellness] = await Promise.all([
+    Workout.find({ userId: id }).sort({ workoutDate: 1 }),
+    WorkoutTemplate.find({ userId: id }).sort({ title: 1 }),
+    WorkoutSchedule.find({ userId: id }).sort({ startDate: 1 }),
+    Program.find({ userId: id }).sort({ title: 1 }),
+    ProgramEnrollment.find({ userId: id }).sort({ startDate: 1 }),
+    BodyMeasurement.find({ userId: id }).sort({ measuredAt: 1 }),
+    Goal.find({ userId: id }).sort({ createdAt: 1 }),
+    FoodLogEntry.find({ userId: id }).sort({ eatenAt: 1 }),
+    Food.find({ createdBy: id, isStandard: false }).sort({ name: 1 }),
+    WellnessEntry.find({ userId: id }).sort({ date: 1 }),
+  ]);
+
+  const exportedAt = new Date();
+  const archive = createZip(buildUserExport(user, workouts, exportedAt, {
+    templates,
+    schedules,
+    programs,
+    enrollments,
+    measurements,
+    goals,
+    foodLog,
+    foods,
+    wellness,
+  }), exportedAt);
+  const filename = `fitness-tracker-export-${user._id}-${exportedAt.toISOString().slice(0, 10)}.zip`;
+
+  logger.security('Personal data exported', {
+    userId: user._id,
+    requestedBy: req.user._id,
+    workoutCount: workouts.length,
+    templateCount: templates.length,
+    scheduleCount: schedules.length,
+    programCount: programs.length,
+    bytes: archive.length,
+  });
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store',
+  });
+  res.status(200).send(archive);
+});
+
+/**
+ * @desc    Get the erasure status of an account
+ * @route   GET /api/v1/users/:id/erasure
+ * @access  Protected (account owner or admin)
+ */
+const getErasureStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET ERASURE STATUS - Controller function started', { userId: id });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for erasure status', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  sendSuccess(res, 200, 'Erasure status retrieved successfully', formatErasure(user));
+});
+
+/**
+ * @desc    Request erasure of an account and all of its data after a grace period
+ * @route   POST /api/v1/users/:id/erasure
+ * @access  Protected (account owner or admin)
+ */
+const requestErasure = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('REQUEST ERASURE - Controller function started', {
+    userId: id,
+    requestedBy: req.user._id,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for erasure request', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  if (user.erasure?.scheduledFor) {
+    logger.warn('Erasure already pending', { userId: id });
+    return sendConflict(res, 'Account erasure is already scheduled', {
+      field: 'erasure',
+      value: user.erasure.scheduledFor,
+    });
+  }
+
+  const before = auditSnapshot(user);
+  const requestedAt = new Date();
+  user.erasure = {
+    requestedAt,
+    scheduledFor: getErasureDate(requestedAt),
+    requestedBy: req.user._id,
+  };
+  await user.save();
+
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    before,
+    after: auditSnapshot(user),
+  });
+
+  if (user.email) {
+    await sendMail({
+      to: user.email,
+      subject: 'Your Fitness Tracker account is scheduled for deletion',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        `Your account and all of its data will be permanently deleted on ${user.erasure.scheduledFor.toISOString()}.`,
+        `You can cancel this until then with DELETE /api/v1/users/${user._id}/erasure.`,
+        '',
+        'If you did not ask for this, log in and cancel the request.',
+      ].join('\n'),
+    });
+  }
+
+  logger.security('Account erasure scheduled', {
+    userId: user._id,
+    requestedBy: req.user._id,
+    scheduledFor: user.erasure.scheduledFor,
+  });
+
+  sendSuccess(
+    res,
+    202,
+    `Account erasure scheduled - it can be cancelled within ${ERASURE_GRACE_PERIOD_DAYS} days`,
+    formatErasure(user)
+  );
+});
+
+/**
+ * @desc    Cancel a pending erasure request
+ * @route   DELETE /api/v1/users/:id/erasure
+ * @access  Protected (account owner or admin)
+ */
+const cancelErasure = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('CANCEL ERASURE - Controller function started', {
+    userId: id,
+    cancelledBy: req.user._id,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for erasure cancellation', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  if (!user.erasure?.scheduledFor) {
+    throw new AppError('No account erasure is pending', 404);
+  }
+
+  const before = auditSnapshot(user);
+  user.erasure = undefined;
+  await user.save();
+
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    before,
+    after: auditSnapshot(user),
+  });
+
+  logger.security('Account erasure cancelled', {
+    userId: user._id,
+    cancelledBy: req.user._id,
+  });
+
+  sendSuccess(res, 200, 'Account erasure cancelled', formatErasure(user));
+});
+
+// Export all controller functions
+module.exports = {
+  exportUserData,
+  getErasureStatus,
+  requestErasure,
+  cancelErasure,
+};
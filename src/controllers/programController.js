@@ -0,0 +1,505 @@
+/**
+ * Program Controller
+ * Handles multi-week training programs, enrollments and their progress
+ * Programs are private to their owner; 'workouts:write:any' grants access to all of them
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const Program = require('../models/Program');
+const ProgramEnrollment = require('../models/ProgramEnrollment');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const Workout = require('../models/workout');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { buildProgramWorkouts, buildProgramProgress } = require('../utils/programs');
+const { auditSnapshot, recordAuditEvent } = require('../utils/audit');
+const { applyCalorieEstimate } = require('./workoutController');
+const {
+  sendSuccess,
+  sendCreated,
+  sendNotFound,
+  sendPaginated,
+  sendConflict,
+} = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getTokenScopes, hasPermission, isOwnerOrPermitted } = require('../middleware/auth');
+
+// Fields that can be set through the API
+const PROGRAM_FIELDS = ['title', 'description', 'weeks', 'progression'];
+
+/**
+ * Load a program the current user may access
+ * @param {Object} req - Express request
+ * @param {string} programId - Program ID
+ * @returns {Promise<Object>} Program document
+ * @throws {AppError} 404 if the program does not exist, 403 if it belongs to someone else
+ */
+const findAccessibleProgram = async (req, programId) => {
+  const program = await Program.findById(programId);
+
+  if (!program) {
+    logger.warn('Training program not found', { programId });
+    throw new AppError('Training program not found with the provided ID', 404);
+  }
+
+  if (!isOwnerOrPermitted(req.user, program.userId, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to access another user\'s training program', {
+      programId,
+      userId: req.user._id,
+      ownerId: program.userId,
+    });
+    throw new AppError('You are not allowed to access this training program', 403);
+  }
+
+  return program;
+};
+
+/**
+ * Load the templates a program uses
+ * Every template must exist, be accessible to the current user and plan a
+ * duration and calories, since planned workouts need both
+ * @param {Object} req - Express request
+ * @param {Array<string>} templateIds - Template IDs
+ * @returns {Promise<Map<string, Object>>} Templates by ID
+ * @throws {AppError} 400 for missing or incomplete templates, 403 for someone else's
+ */
+const loadProgramTemplates = async (req, templateIds) => {
+  const templates = await WorkoutTemplate.find({ _id: { $in: templateIds } });
+  const byId = new Map(templates.map((template) => [template._id.toString(), template]));
+
+  const missing = templateIds.filter((id) => !byId.has(id));
+
+  if (missing.length > 0) {
+    logger.warn('Training program references unknown templates', { missing });
+    throw new AppError(`Workout template not found: ${missing.join(', ')}`, 400);
+  }
+
+  const foreign = templates.filter((template) => (
+    !isOwnerOrPermitted(req.user, template.userId, 'workouts:write:any', getTokenScopes(req))
+  ));
+
+  if (foreign.length > 0) {
+    logger.security('Attempt to use another user\'s workout templates in a program', {
+      userId: req.user._id,
+      templateIds: foreign.map((template) => template._id),
+    });
+    throw new AppError('You are not allowed to use these workout templates', 403);
+  }
+
+  // Calories may be left out - enrolling estimates them from the MET table
+  const incomplete = templates.filter((template) => !template.duration);
+
+  if (incomplete.length > 0) {
+    logger.warn('Training program uses templates without a planned duration', {
+      templateIds: incomplete.map((template) => template._id),
+    });
+    throw new AppError(
+      `Templates used by a program need a planned duration: ${incomplete.map((template) => template.title).join(', ')}`,
+      400
+    );
+  }
+
+  return byId;
+};
+
+/**
+ * @desc    List training programs (the caller's own unless 'workouts:write:any' asks for userId)
+ * @route   GET /api/v1/programs
+ * @access  Protected
+ */
+const getPrograms = asyncHandler(async (req, res) => {
+  logger.info('GET PROGRAMS - Controller function started', {
+    userId: req.user._id,
+    query: req.query,
+  });
+
+  const userId = req.query.userId || req.user._id.toString();
+
+  if (userId !== req.user._id.toString() && !hasPermission(req.user, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to list another user\'s training programs', {
+      userId: req.user._id,
+      targetUserId: userId,
+    });
+    throw new AppError('You can only list your own training programs', 403);
+  }
+
+  const filter = { userId };
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const [programs, total] = await Promise.all([
+    Program.find(filter)
+      .sort({ title: 1 })
+      .skip(skip)
+      .limit(limit),
+    Program.countDocuments(filter),
+  ]);
+
+  logger.success('Training programs retrieved successfully', {
+    userId,
+    count: programs.length,
+    total,
+  });
+
+  sendPaginated(
+    res,
+    programs,
+    page,
+    limit,
+    total,
+    `Retrieved ${programs.length} training programs successfully`
+  );
+});
+
+/**
+ * @desc    Get a single training program
+ * @route   GET /api/v1/programs/:id
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const getProgramById = asyncHandler(async (req, res) => {
+  logger.info('GET PROGRAM BY ID - Controller function started', { programId: req.params.id });
+
+  const program = await findAccessibleProgram(req, req.params.id);
+
+  logger.success('Training program found', {
+    programId: program._id,
+    title: program.title,
+  });
+
+  sendSuccess(res, 200, 'Training program retrieved successfully', program);
+});
+
+/**
+ * @desc    Create a training program
+ * @route   POST /api/v1/programs
+ * @access  Protected (owned by the authenticated user)
+ */
+const createProgram = asyncHandler(async (req, res) => {
+  logger.info('CREATE PROGRAM - Controller function started', {
+    userId: req.user._id,
+    title: req.body.title,
+  });
+
+  const data = { userId: req.user._id };
+  PROGRAM_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+  });
+
+  const program = new Program(data);
+  await loadProgramTemplates(req, program.getTemplateIds());
+  await program.save();
+
+  logger.success('Training program created successfully', {
+    programId: program._id,
+    userId: program.userId,
+    weeks: program.weeks.length,
+  });
+
+  sendCreated(res, 'Training program', program);
+});
+
+/**
+ * @desc    Update a training program
+ *          Workouts already planned for enrollments keep the values they were created with
+ * @route   PUT /api/v1/programs/:id
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const updateProgram = asyncHandler(async (req, res) => {
+  const programId = req.params.id;
+
+  logger.info('UPDATE PROGRAM - Controller function started', {
+    programId,
+    updates: Object.keys(req.body),
+  });
+
+  const updates = PROGRAM_FIELDS.filter((field) => req.body[field] !== undefined);
+
+  if (updates.length === 0) {
+    logger.warn('Program update attempted without updatable fields', { programId });
+    throw new AppError('Please provide at least one field to update', 400);
+  }
+
+  const program = await findAccessibleProgram(req, programId);
+
+  updates.forEach((field) => {
+    if (field === 'progression') {
+      // Rules left out keep their current values
+      Object.entries(req.body.progression).forEach(([rule, value]) => {
+        program.set(`progression.${rule}`, value === null ? undefined : value);
+      });
+    } else {
+      program[field] = req.body[field];
+    }
+  });
+
+  if (updates.includes('weeks')) {
+    await loadProgramTemplates(req, program.getTemplateIds());
+  }
+
+  await program.save();
+
+  logger.success('Training program updated successfully', {
+    programId: program._id,
+    updatedFields: updates,
+  });
+
+  sendSuccess(res, 200, 'Training program updated successfully', program);
+});
+
+/**
+ * @desc    Delete a training program that nobody is enrolled in
+ * @route   DELETE /api/v1/programs/:id
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const deleteProgram = asyncHandler(async (req, res) => {
+  const programId = req.params.id;
+
+  logger.info('DELETE PROGRAM - Controller function started', { programId });
+
+  const program = await findAccessibleProgram(req, programId);
+
+  const enrollments = await ProgramEnrollment.countDocuments({ programId: program._id, status: 'active' });
+
+  if (enrollments > 0) {
+    logger.warn('Attempt to delete training program with active enrollments', {
+      programId: program._id,
+      enrollments,
+    });
+    return sendConflict(res, 'Cannot delete a training program with active enrollments. Cancel them first.', {
+      activeEnrollments: enrollments,
+    });
+  }
+
+  await ProgramEnrollment.deleteMany({ programId: program._id });
+  await program.deleteOne();
+
+  logger.success('Training program deleted successfully', {
+    programId: program._id,
+    title: program.title,
+  });
+
+  sendSuccess(res, 200, 'Training program deleted successfully', {
+    deletedProgram: {
+      id: program._id,
+      title: program.title,
+      userId: program.userId,
+    },
+  });
+});
+
+/**
+ * @desc    Enroll a user in a training program and plan all of its workouts
+ *          Day 1 of week 1 is startDate (default: now); weights follow the program's progression
+ * @route   POST /api/v1/programs/:id/enrollments
+ * @access  Protected (program owner; enrolling someone else needs 'workouts:write:any')
+ */
+const enrollInProgram = asyncHandler(async (req, res) => {
+  logger.info('ENROLL IN PROGRAM - Controller function started', {
+    programId: req.params.id,
+    body: req.body,
+  });
+
+  const userId = req.body.userId ? String(req.body.userId) : req.user._id.toString();
+
+  if (userId !== req.user._id.toString() && !hasPermission(req.user, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to enroll another user in a training program', {
+      userId: req.user._id,
+      targetUserId: userId,
+    });
+    throw new AppError('You can only enroll your own account in a training program', 403);
+  }
+
+  const program = await findAccessibleProgram(req, req.params.id);
+  const user = await User.findById(userId);
+
+  if (!user) {
+    logger.warn('User not found when enrolling in training program', { userId });
+    throw new AppError('User not found. Cannot enroll a non-existent user.', 404);
+  }
+
+  const active = await ProgramEnrollment.findOne({ programId: program._id, userId, status: 'active' });
+
+  if (active) {
+    logger.warn('User is already enrolled in training program', { programId: program._id, userId });
+    return sendConflict(res, 'The user is already enrolled in this training program', {
+      enrollmentId: active._id,
+    });
+  }
+
+  const templates = await loadProgramTemplates(req, program.getTemplateIds());
+
+  const enrollment = new ProgramEnrollment({
+    programId: program._id,
+    userId,
+    startDate: req.body.startDate ? new Date(req.body.startDate) : new Date(),
+  });
+
+  // Checked up front so a bad enrollment never leaves workouts behind
+  await enrollment.validate();
+
+  const planned = buildProgramWorkouts(program, templates, enrollment);
+  planned.forEach((data) => applyCalorieEstimate(data, user));
+
+  const workouts = await Workout.insertMany(planned);
+  await enrollment.save();
+
+  await Promise.all(workouts.map((workout) => recordAuditEvent(req, {
+    action: 'create',
+    resourceType: 'workout',
+    resourceId: workout._id,
+    targetUserId: workout.userId,
+    after: auditSnapshot(workout),
+  })));
+
+  logger.success('User enrolled in training program', {
+    programId: program._id,
+    enrollmentId: enrollment._id,
+    userId,
+    workouts: workouts.length,
+  });
+
+  sendCreated(res, 'Program enrollment', {
+    enrollment,
+    workouts,
+  });
+});
+
+/**
+ * @desc    Cancel an enrollment; its upcoming workouts that are still planned are removed
+ * @route   DELETE /api/v1/programs/:id/enrollments/:enrollmentId
+ * @access  Protected (enrolled user, or 'workouts:write:any' permission)
+ */
+const cancelEnrollment = asyncHandler(async (req, res) => {
+  const { id: programId, enrollmentId } = req.params;
+
+  logger.info('CANCEL ENROLLMENT - Controller function started', { programId, enrollmentId });
+
+  const enrollment = await ProgramEnrollment.findOne({ _id: enrollmentId, programId });
+
+  if (!enrollment) {
+    logger.warn('Program enrollment not found', { programId, enrollmentId });
+    return sendNotFound(res, 'Program enrollment', enrollmentId);
+  }
+
+  if (!isOwnerOrPermitted(req.user, enrollment.userId, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to cancel another user\'s program enrollment', {
+      enrollmentId,
+      userId: req.user._id,
+      enrolledUserId: enrollment.userId,
+    });
+    throw new AppError('You can only cancel your own program enrollments', 403);
+  }
+
+  if (enrollment.status === 'cancelled') {
+    return sendConflict(res, 'The enrollment is already cancelled');
+  }
+
+  const planned = await Workout.find({
+    enrollmentId: enrollment._id,
+    status: 'planned',
+    workoutDate: { $gte: new Date() },
+  });
+  const removed = planned.length > 0
+    ? await Workout.deleteMany({ _id: { $in: planned.map((workout) => workout._id) } })
+    : { deletedCount: 0 };
+
+  await Promise.all(planned.map((workout) => recordAuditEvent(req, {
+    action: 'delete',
+    resourceType: 'workout',
+    resourceId: workout._id,
+    targetUserId: workout.userId,
+    before: auditSnapshot(workout),
+  })));
+
+  enrollment.status = 'cancelled';
+  enrollment.cancelledAt = new Date();
+  await enrollment.save();
+
+  logger.success('Program enrollment cancelled', {
+    enrollmentId: enrollment._id,
+    removedWorkouts: removed.deletedCount,
+  });
+
+  sendSuccess(res, 200, 'Program enrollment cancelled successfully', {
+    enrollment,
+    removedWorkouts: removed.deletedCount,
+  });
+});
+
+/**
+ * @desc    Report a user's adherence to a training program, week by week
+ *          Uses the user's latest enrollment in the program
+ * @route   GET /api/v1/users/:id/programs/:programId/progress
+ * @access  Public
+ */
+const getProgramProgress = asyncHandler(async (req, res) => {
+  const { id, programId } = req.params;
+
+  logger.info('GET PROGRAM PROGRESS - Controller function started', { userId: id, programId });
+
+  const [user, program] = await Promise.all([
+    User.findById(id),
+    Program.findById(programId),
+  ]);
+
+  if (!user) {
+    logger.warn('User not found for program progress', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  if (!program) {
+    logger.warn('Training program not found for progress', { programId });
+    return sendNotFound(res, 'Training program', programId);
+  }
+
+  const enrollment = await ProgramEnrollment.findOne({ userId: id, programId }).sort({ startDate: -1 });
+
+  if (!enrollment) {
+    logger.warn('User is not enrolled in training program', { userId: id, programId });
+    return sendNotFound(res, 'Program enrollment', programId);
+  }
+
+  const workouts = await Workout.find({ enrollmentId: enrollment._id });
+  const { summary, weeks } = buildProgramProgress(program, enrollment, workouts);
+
+  logger.success('Program progress calculated', {
+    userId: id,
+    programId,
+    adherence: summary.adherence,
+  });
+
+  sendSuccess(res, 200, 'Program progress retrieved successfully', {
+    user: {
+      id: user._id,
+      name: user.name,
+    },
+    program: {
+      id: program._id,
+      title: program.title,
+      progression: program.progression,
+    },
+    enrollment: {
+      id: enrollment._id,
+      startDate: enrollment.startDate,
+      status: enrollment.status,
+    },
+    summary,
+    weeks,
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  getPrograms,
+  getProgramById,
+  createProgram,
+  updateProgram,
+  deleteProgram,
+  enrollInProgram,
+  cancelEnrollment,
+  getProgramProgress,
+};
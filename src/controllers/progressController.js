@@ -0,0 +1,117 @@
+/**
+ * Progress Controller
+ * Serves strength progression series for charting
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const User = require('../models/User');
+const Workout = require('../models/workout');
+const Exercise = require('../models/Exercise');
+const logger = require('../utils/logger');
+const { buildProgressSeries } = require('../utils/progress');
+const { DEFAULT_ONE_REP_MAX_FORMULA } = require('../utils/oneRepMax');
+const { sendSuccess, sendNotFound } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Build a regular expression matching names that normalize to the given key
+ * Keys only contain lowercase letters, digits and single spaces
+ * @param {string} key - Normalized exercise name
+ * @returns {RegExp} Case-insensitive pattern that ignores punctuation
+ */
+const buildNamePattern = (key) => {
+  return new RegExp(`^[^a-z0-9]*${key.split(' ').join('[^a-z0-9]+')}[^a-z0-9]*$`, 'i');
+};
+
+/**
+ * @desc    Get the strength progression of one exercise for a user
+ *          The exercise is given by catalog ID, name or alias; free-text workout
+ *          entries with a matching name are included
+ * @route   GET /api/v1/users/:id/exercises/:exercise/progress
+ * @access  Public
+ */
+const getExerciseProgress = asyncHandler(async (req, res) => {
+  const { id, exercise: reference } = req.params;
+  const formula = req.query.formula || DEFAULT_ONE_REP_MAX_FORMULA;
+  const bucket = req.query.bucket || 'week';
+
+  logger.info('GET EXERCISE PROGRESS - Controller function started', {
+    userId: id,
+    exercise: reference,
+    formula,
+    bucket,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for exercise progress', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const exercise = await Exercise.findByReference(reference);
+  const isId = /^[a-f\d]{24}$/i.test(reference);
+
+  if (!exercise && isId) {
+    logger.warn('Exercise not found for progress', { exerciseId: reference });
+    return sendNotFound(res, 'Exercise', reference);
+  }
+
+  const matchKeys = exercise ? exercise.matchKeys : [Exercise.normalizeName(reference)];
+  const nameQuery = { 'exercises.name': { $in: matchKeys.map(buildNamePattern) } };
+
+  const filter = {
+    userId: id,
+    completed: true,
+    $or: exercise ? [{ 'exercises.exerciseId': exercise._id }, nameQuery] : [nameQuery],
+  };
+
+  if (req.query.from || req.query.to) {
+    filter.workoutDate = {};
+    if (req.query.from) filter.workoutDate.$gte = new Date(req.query.from);
+    if (req.query.to) filter.workoutDate.$lte = new Date(req.query.to);
+  }
+
+  const workouts = await Workout.find(filter).select('workoutDate exercises');
+
+  // Entries linked to the catalog match by ID; free-text entries match by name
+  const matchesEntry = (entry) => (
+    (exercise && entry.exerciseId && entry.exerciseId.equals(exercise._id))
+    || (!entry.exerciseId && matchKeys.includes(Exercise.normalizeName(entry.name)))
+  );
+
+  const series = buildProgressSeries(workouts, matchesEntry, { formula, bucket });
+  const estimates = series.filter((period) => period.estimatedOneRepMax !== null);
+
+  const summary = {
+    sessions: series.reduce((total, period) => total + period.sessions, 0),
+    bestEstimatedOneRepMax: estimates.length > 0
+      ? Math.max(...estimates.map((period) => period.estimatedOneRepMax))
+      : null,
+    estimatedOneRepMaxChange: estimates.length > 1
+      ? Math.round((estimates[estimates.length - 1].estimatedOneRepMax - estimates[0].estimatedOneRepMax) * 10) / 10
+      : null,
+  };
+
+  logger.success('Exercise progress calculated', {
+    userId: id,
+    exercise: exercise ? exercise.name : reference,
+    periods: series.length,
+    sessions: summary.sessions,
+  });
+
+  sendSuccess(res, 200, 'Exercise progress retrieved successfully', {
+    exercise: exercise
+      ? { id: exercise._id, name: exercise.name }
+      : { id: null, name: reference.trim() },
+    formula,
+    bucket,
+    summary,
+    series,
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  getExerciseProgress,
+};
@@ -0,0 +1,96 @@
+/**
+ * Personal Record Controller
+ * Serves the personal records detected in a user's workouts
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const User = require('../models/User');
+const Exercise = require('../models/Exercise');
+const PersonalRecord = require('../models/PersonalRecord');
+const logger = require('../utils/logger');
+const { sendNotFound, sendPaginated } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Build the filter for an exercise given by catalog ID or name
+ * Names are looked up in the catalog first so aliases match too
+ * @param {string} exercise - Exercise ID, name or alias
+ * @returns {Promise<Object>} Query filter
+ */
+const buildExerciseFilter = async (exercise) => {
+  const catalogExercise = await Exercise.findByReference(exercise);
+  if (catalogExercise) {
+    return { exerciseId: catalogExercise._id };
+  }
+
+  const escaped = exercise.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return { exerciseName: { $regex: `^${escaped}$`, $options: 'i' } };
+};
+
+/**
+ * @desc    Get a user's personal records
+ *          Only standing records are returned unless history=true
+ * @route   GET /api/v1/users/:id/records
+ * @access  Public
+ */
+const getUserRecords = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET USER RECORDS - Controller function started', {
+    userId: id,
+    query: req.query,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for records', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const filter = { userId: id };
+
+  if (req.query.history !== 'true') {
+    filter.isCurrent = true;
+  }
+
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  if (req.query.exercise) {
+    Object.assign(filter, await buildExerciseFilter(req.query.exercise));
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const skip = (page - 1) * limit;
+
+  const [records, total] = await Promise.all([
+    PersonalRecord.find(filter)
+      .sort({ type: 1, exerciseName: 1, exerciseType: 1, weight: 1, achievedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    PersonalRecord.countDocuments(filter),
+  ]);
+
+  logger.success('Personal records retrieved successfully', {
+    userId: id,
+    count: records.length,
+    total,
+  });
+
+  sendPaginated(
+    res,
+    records,
+    page,
+    limit,
+    total,
+    `Retrieved ${records.length} personal records successfully`
+  );
+});
+
+// Export all controller functions
+module.exports = {
+  getUserRecords,
+};
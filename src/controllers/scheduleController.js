@@ -0,0 +1,748 @@
+/**
+ * Schedule Controller
+ * Serves a user's calendar of planned and logged workouts and manages recurring
+ * workout schedules; schedules are private to their owner ('workouts:write:any'
+ * grants access to all of them)
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const User = require('../models/User');
+const Workout = require('../models/workout');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const WorkoutSchedule = require('../models/WorkoutSchedule');
+const Exercise = require('../models/Exercise');
+const logger = require('../utils/logger');
+const { DEFAULT_SCHEDULE_DAYS, MAX_SCHEDULE_DAYS, expandSchedules, buildCalendar } = require('../utils/schedule');
+const { parseRRule, setRRuleCount } = require('../utils/rrule');
+const { DEFAULT_TIME_ZONE, getZonedDateKey, getZonedDayStart } = require('../utils/timezone');
+const { auditSnapshot, recordAuditEvent } = require('../utils/audit');
+const { applyCalorieEstimate } = require('./workoutController');
+const {
+  sendSuccess,
+  sendCreated,
+  sendNotFound,
+  sendPaginated,
+  sendConflict,
+} = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getTokenScopes, hasPermission, isOwnerOrPermitted } = require('../middleware/auth');
+
+// Fields that can be set through the API
+const SCHEDULE_FIELDS = [
+  'title',
+  'exerciseType',
+  'duration',
+  'caloriesBurned',
+  'intensity',
+  'notes',
+  'exercises',
+  'rrule',
+  'startDate',
+  'timezone',
+];
+
+// Planned workout fields a template can fill in
+const TEMPLATE_FIELDS = ['title', 'exerciseType', 'duration', 'caloriesBurned', 'intensity', 'notes', 'exercises'];
+
+// Fields every schedule needs once the template is applied
+// (caloriesBurned is estimated from the MET table when left out)
+const REQUIRED_FIELDS = ['title', 'exerciseType', 'duration', 'rrule'];
+
+// Plain calendar date, as opposed to a date-time
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Read a date from a request
+ * Plain dates (YYYY-MM-DD) mean local midnight in the time zone
+ * @param {string} value - Date or date-time
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The instant
+ */
+const parseZonedDate = (value, timeZone) => (
+  DATE_KEY_REGEX.test(value) ? getZonedDayStart(value, timeZone) : new Date(value)
+);
+
+/**
+ * Read the local calendar day a request names
+ * @param {string} value - Date (YYYY-MM-DD) or date-time
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const getLocalDay = (value, timeZone) => (
+  DATE_KEY_REGEX.test(value) ? value : getZonedDateKey(new Date(value), timeZone)
+);
+
+/**
+ * Read the date range of a request
+ * Defaults to the next four weeks, starting today in the time zone
+ * @param {Object} query - Request query with optional from and to
+ * @param {string} [timeZone] - IANA time zone plain dates and "today" are read in
+ * @returns {Object} { from, to }
+ * @throws {AppError} 400 if the range, defaults included, is backwards or too long
+ */
+const getDateRange = (query, timeZone = DEFAULT_TIME_ZONE) => {
+  const today = getZonedDayStart(getZonedDateKey(new Date(), timeZone), timeZone);
+
+  const from = query.from ? parseZonedDate(query.from, timeZone) : today;
+  const to = query.to
+    ? parseZonedDate(query.to, timeZone)
+    : new Date(from.getTime() + DEFAULT_SCHEDULE_DAYS * 24 * 60 * 60 * 1000 - 1);
+
+  // The validator only sees the query, so the range is checked again with its defaults
+  const days = (to - from) / (24 * 60 * 60 * 1000);
+
+  if (days < 0) {
+    throw new AppError('to must not be before from', 400);
+  }
+  if (days > MAX_SCHEDULE_DAYS) {
+    throw new AppError(`A schedule can cover at most ${MAX_SCHEDULE_DAYS} days`, 400);
+  }
+
+  return { from, to };
+};
+
+/**
+ * Load a recurring schedule the current user may access
+ * @param {Object} req - Express request
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object>} Schedule document
+ * @throws {AppError} 404 if the schedule does not exist, 403 if it belongs to someone else
+ */
+const findAccessibleSchedule = async (req, scheduleId) => {
+  const schedule = await WorkoutSchedule.findById(scheduleId);
+
+  if (!schedule) {
+    logger.warn('Workout schedule not found', { scheduleId });
+    throw new AppError('Workout schedule not found with the provided ID', 404);
+  }
+
+  if (!isOwnerOrPermitted(req.user, schedule.userId, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to access another user\'s workout schedule', {
+      scheduleId,
+      userId: req.user._id,
+      ownerId: schedule.userId,
+    });
+    throw new AppError('You are not allowed to access this workout schedule', 403);
+  }
+
+  return schedule;
+};
+
+/**
+ * Link planned exercises to the exercise catalog
+ * @param {Array<Object>} exercises - Exercise entries from the request body
+ * @returns {Promise<Array<Object>>} Entries with catalog ids and names filled in
+ */
+const resolveExercises = async (exercises) => {
+  const { exercises: resolved, unknownIds } = await Exercise.resolveWorkoutExercises(exercises);
+
+  if (unknownIds.length > 0) {
+    logger.warn('Workout schedule references unknown exercises', { unknownIds });
+    throw new AppError(`Exercise not found in catalog: ${unknownIds.join(', ')}`, 400);
+  }
+
+  return resolved;
+};
+
+/**
+ * Remove a schedule's planned workouts, recording an audit event for each one
+ * @param {Object} req - Express request
+ * @param {Object} filter - Query matching the workouts to remove
+ * @returns {Promise<number>} Number of workouts removed
+ */
+const removePlannedWorkouts = async (req, filter) => {
+  const workouts = await Workout.find(filter);
+
+  if (workouts.length === 0) return 0;
+
+  const removed = await Workout.deleteMany({ _id: { $in: workouts.map((workout) => workout._id) } });
+
+  await Promise.all(workouts.map((workout) => recordAuditEvent(req, {
+    action: 'delete',
+    resourceType: 'workout',
+    resourceId: workout._id,
+    targetUserId: workout.userId,
+    before: auditSnapshot(workout),
+  })));
+
+  return removed.deletedCount;
+};
+
+/**
+ * @desc    Get a user's workout calendar between two dates
+ *          Defaults to the next four weeks, starting today; days are calendar days
+ *          in the user's time zone. Occurrences of recurring schedules that have
+ *          no workout yet are listed as planned
+ * @route   GET /api/v1/users/:id/schedule
+ * @access  Protected (account owner or admin)
+ */
+const getUserSchedule = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET USER SCHEDULE - Controller function started', {
+    userId: id,
+    query: req.query,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for schedule', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const timeZone = user.timezone || DEFAULT_TIME_ZONE;
+  const { from, to } = getDateRange(req.query, timeZone);
+
+  const [workouts, schedules] = await Promise.all([
+    Workout.find({
+      userId: id,
+      workoutDate: { $gte: from, $lte: to },
+    }).sort({ workoutDate: 1 }),
+    WorkoutSchedule.find({
+      userId: id,
+      startDate: { $lte: to },
+      $or: [{ endDate: null }, { endDate: { $gt: from } }],
+    }),
+  ]);
+
+  // Occurrences whose workout was moved out of the range still count as created
+  const materialized = schedules.length > 0
+    ? await Workout.find({
+      scheduleId: { $in: schedules.map((schedule) => schedule._id) },
+      occurrenceDate: { $gte: from, $lte: to },
+    }).select('scheduleId occurrenceDate')
+    : [];
+
+  const occurrences = expandSchedules(schedules, materialized, from, to);
+  const { summary, days } = buildCalendar([...workouts, ...occurrences], new Date(), timeZone);
+
+  logger.success('User schedule built', {
+    userId: id,
+    workouts: workouts.length,
+    occurrences: occurrences.length,
+    days: days.length,
+    completionRate: summary.completionRate,
+  });
+
+  sendSuccess(res, 200, 'Schedule retrieved successfully', {
+    user: {
+      id: user._id,
+      name: user.name,
+    },
+    from,
+    to,
+    timezone: timeZone,
+    summary,
+    days,
+  });
+});
+
+/**
+ * @desc    List recurring workout schedules (the caller's own unless 'workouts:write:any' asks for userId)
+ * @route   GET /api/v1/schedules
+ * @access  Protected
+ */
+const getSchedules = asyncHandler(async (req, res) => {
+  logger.info('GET SCHEDULES - Controller function started', {
+    userId: req.user._id,
+    query: req.query,
+  });
+
+  const userId = req.query.userId || req.user._id.toString();
+
+  if (userId !== req.user._id.toString() && !hasPermission(req.user, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to list another user\'s workout schedules', {
+      userId: req.user._id,
+      targetUserId: userId,
+    });
+    throw new AppError('You can only list your own workout schedules', 403);
+  }
+
+  const filter = { userId };
+
+  if (req.query.exerciseType) {
+    filter.exerciseType = req.query.exerciseType;
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const [schedules, total] = await Promise.all([
+    WorkoutSchedule.find(filter)
+      .sort({ startDate: 1 })
+      .skip(skip)
+      .limit(limit),
+    WorkoutSchedule.countDocuments(filter),
+  ]);
+
+  logger.success('Workout schedules retrieved successfully', {
+    userId,
+    count: schedules.length,
+    total,
+  });
+
+  sendPaginated(
+    res,
+    schedules,
+    page,
+    limit,
+    total,
+    `Retrieved ${schedules.length} workout schedules successfully`
+  );
+});
+
+/**
+ * @desc    Get a single recurring workout schedule
+ * @route   GET /api/v1/schedules/:id
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const getScheduleById = asyncHandler(async (req, res) => {
+  logger.info('GET SCHEDULE BY ID - Controller function started', { scheduleId: req.params.id });
+
+  const schedule = await findAccessibleSchedule(req, req.params.id);
+
+  logger.success('Workout schedule found', {
+    scheduleId: schedule._id,
+    title: schedule.title,
+  });
+
+  sendSuccess(res, 200, 'Workout schedule retrieved successfully', schedule);
+});
+
+/**
+ * @desc    Create a recurring workout schedule
+ *          A templateId fills in the planned values the request body leaves out
+ * @route   POST /api/v1/schedules
+ * @access  Protected (owned by the authenticated user; 'workouts:write:any' may set userId)
+ */
+const createSchedule = asyncHandler(async (req, res) => {
+  logger.info('CREATE SCHEDULE - Controller function started', {
+    body: req.body,
+  });
+
+  const userId = req.body.userId ? String(req.body.userId) : req.user._id.toString();
+
+  if (userId !== req.user._id.toString() && !hasPermission(req.user, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to create workout schedule for another user', {
+      userId: req.user._id,
+      targetUserId: userId,
+    });
+    throw new AppError('You can only create workout schedules for your own account', 403);
+  }
+
+  const userExists = await User.findById(userId);
+
+  if (!userExists) {
+    logger.warn('User not found when creating workout schedule', { userId });
+    throw new AppError('User not found. Cannot create schedule for non-existent user.', 404);
+  }
+
+  // Series are expanded in the owner's time zone unless the body names another
+  const data = { userId, startDate: new Date(), timezone: userExists.timezone || DEFAULT_TIME_ZONE };
+
+  if (req.body.templateId) {
+    const template = await WorkoutTemplate.findById(req.body.templateId);
+
+    if (!template) {
+      logger.warn('Workout template not found for schedule', { templateId: req.body.templateId });
+      throw new AppError('Workout template not found with the provided ID', 404);
+    }
+
+    if (!isOwnerOrPermitted(req.user, template.userId, 'workouts:write:any', getTokenScopes(req))) {
+      logger.security('Attempt to schedule another user\'s workout template', {
+        templateId: template._id,
+        userId: req.user._id,
+        ownerId: template.userId,
+      });
+      throw new AppError('You are not allowed to use this workout template', 403);
+    }
+
+    const planned = template.toWorkoutData();
+    TEMPLATE_FIELDS.forEach((field) => {
+      if (planned[field] !== undefined) {
+        data[field] = planned[field];
+      }
+    });
+    data.templateId = template._id;
+  }
+
+  SCHEDULE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+  });
+
+  const missing = REQUIRED_FIELDS.filter((field) => data[field] === undefined);
+
+  if (missing.length > 0) {
+    logger.warn('Workout schedule is missing required values', { missing });
+    throw new AppError(`Missing required fields: ${missing.join(', ')}`, 400);
+  }
+
+  if (req.body.exercises) {
+    data.exercises = await resolveExercises(req.body.exercises);
+  }
+
+  const schedule = await WorkoutSchedule.create(data);
+
+  logger.success('Workout schedule created successfully', {
+    scheduleId: schedule._id,
+    userId: schedule.userId,
+    rrule: schedule.rrule,
+  });
+
+  sendCreated(res, 'Workout schedule', schedule);
+});
+
+/**
+ * @desc    Change a recurring schedule from one occurrence on ("this and following")
+ *          The occurrence at or after the `from` query parameter (default: now) starts
+ *          a new version of the series and the current one ends before it, so earlier
+ *          occurrences and the workouts logged for them are left untouched. A series
+ *          with no occurrences before that point is edited in place. Workouts created
+ *          for later occurrences are removed while they are still planned.
+ * @route   PUT /api/v1/schedules/:id
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const updateSchedule = asyncHandler(async (req, res) => {
+  const scheduleId = req.params.id;
+
+  logger.info('UPDATE SCHEDULE - Controller function started', {
+    scheduleId,
+    from: req.query.from,
+    updates: req.body,
+  });
+
+  const updates = SCHEDULE_FIELDS.filter((field) => req.body[field] !== undefined);
+
+  if (updates.length === 0) {
+    logger.warn('Schedule update attempted without updatable fields', { scheduleId });
+    throw new AppError('Please provide at least one field to update', 400);
+  }
+
+  const schedule = await findAccessibleSchedule(req, scheduleId);
+  const from = req.query.from ? parseZonedDate(req.query.from, schedule.timezone) : new Date();
+  const split = schedule.getNextOccurrence(from);
+
+  if (!split) {
+    logger.warn('Schedule update after the last occurrence', { scheduleId, from });
+    throw new AppError(`The schedule has no occurrences on or after ${from.toISOString()}`, 400);
+  }
+
+  if (Array.isArray(req.body.exercises)) {
+    req.body.exercises = await resolveExercises(req.body.exercises);
+  }
+
+  const rule = parseRRule(schedule.rrule);
+  const countBefore = schedule.countOccurrencesBefore(split, rule.count || 1);
+  let previous = null;
+  let current = schedule;
+
+  if (countBefore === 0) {
+    // Nothing has happened yet, so the whole series can change
+    updates.forEach((field) => {
+      schedule[field] = req.body[field];
+    });
+    await schedule.save();
+  } else {
+    const startDate = req.body.startDate ? new Date(req.body.startDate) : split;
+
+    if (startDate < split) {
+      throw new AppError(`The changed series cannot start before ${split.toISOString()}`, 400);
+    }
+
+    const data = {
+      ...schedule.toWorkoutData(split),
+      rrule: schedule.rrule,
+      timezone: schedule.timezone,
+      endDate: schedule.endDate,
+      previousScheduleId: schedule._id,
+      exceptions: schedule.exceptions.filter((exception) => exception.date >= split),
+    };
+    ['scheduleId', 'occurrenceDate', 'workoutDate', 'status'].forEach((field) => delete data[field]);
+
+    updates.forEach((field) => {
+      data[field] = req.body[field];
+    });
+    data.startDate = startDate;
+
+    // An unchanged COUNT covers the whole series; the new version gets what is left
+    if (rule.count !== null && data.rrule === schedule.rrule) {
+      data.rrule = setRRuleCount(schedule.rrule, rule.count - countBefore);
+    }
+
+    current = await WorkoutSchedule.create(data);
+
+    schedule.endDate = split;
+    schedule.exceptions = schedule.exceptions.filter((exception) => exception.date < split);
+    await schedule.save();
+    previous = schedule;
+  }
+
+  const removedWorkouts = await removePlannedWorkouts(req, {
+    scheduleId: schedule._id,
+    status: 'planned',
+    occurrenceDate: { $gte: split },
+  });
+
+  logger.success('Workout schedule updated successfully', {
+    scheduleId: current._id,
+    previousScheduleId: previous ? previous._id : null,
+    split: split.toISOString(),
+    updatedFields: updates,
+    removedWorkouts,
+  });
+
+  sendSuccess(res, 200, 'Workout schedule updated successfully', {
+    schedule: current,
+    previous,
+    removedWorkouts,
+  });
+});
+
+/**
+ * @desc    Delete a recurring workout schedule
+ *          Upcoming workouts created from it are removed while still planned;
+ *          everything else is kept
+ * @route   DELETE /api/v1/schedules/:id
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const deleteSchedule = asyncHandler(async (req, res) => {
+  const scheduleId = req.params.id;
+
+  logger.info('DELETE SCHEDULE - Controller function started', { scheduleId });
+
+  const schedule = await findAccessibleSchedule(req, scheduleId);
+
+  const removedWorkouts = await removePlannedWorkouts(req, {
+    scheduleId: schedule._id,
+    status: 'planned',
+    workoutDate: { $gte: new Date() },
+  });
+
+  await schedule.deleteOne();
+
+  logger.success('Workout schedule deleted successfully', {
+    scheduleId: schedule._id,
+    title: schedule.title,
+    removedWorkouts,
+  });
+
+  sendSuccess(res, 200, 'Workout schedule deleted successfully', {
+    deletedSchedule: {
+      id: schedule._id,
+      title: schedule.title,
+      userId: schedule.userId,
+    },
+    removedWorkouts,
+  });
+});
+
+/**
+ * @desc    List the occurrences of a recurring schedule between two dates
+ *          Each occurrence reports its workout, or whether it is skipped or still to be created
+ * @route   GET /api/v1/schedules/:id/occurrences
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const getScheduleOccurrences = asyncHandler(async (req, res) => {
+  logger.info('GET SCHEDULE OCCURRENCES - Controller function started', {
+    scheduleId: req.params.id,
+    query: req.query,
+  });
+
+  const schedule = await findAccessibleSchedule(req, req.params.id);
+  const { from, to } = getDateRange(req.query, schedule.timezone);
+  const dates = schedule.getOccurrences(from, to, { includeExceptions: true });
+
+  const workouts = await Workout.find({
+    scheduleId: schedule._id,
+    occurrenceDate: { $gte: from, $lte: to },
+  });
+
+  const occurrences = dates.map((date) => {
+    const exception = schedule.exceptions.find((entry) => entry.date.getTime() === date.getTime());
+    const workout = workouts.find((entry) => entry.occurrenceDate.getTime() === date.getTime());
+
+    if (workout) {
+      return { date, status: workout.status, workoutId: workout._id, workoutDate: workout.workoutDate };
+    }
+    if (exception) {
+      return { date, status: 'skipped', workoutId: null, reason: exception.reason };
+    }
+    return { date, status: 'planned', workoutId: null };
+  });
+
+  logger.success('Schedule occurrences listed', {
+    scheduleId: schedule._id,
+    occurrences: occurrences.length,
+  });
+
+  sendSuccess(res, 200, 'Schedule occurrences retrieved successfully', {
+    schedule: {
+      id: schedule._id,
+      title: schedule.title,
+      rrule: schedule.rrule,
+      timezone: schedule.timezone,
+    },
+    from,
+    to,
+    occurrences,
+  });
+});
+
+/**
+ * @desc    Skip the occurrence of a recurring schedule on one date
+ * @route   POST /api/v1/schedules/:id/exceptions
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const addScheduleException = asyncHandler(async (req, res) => {
+  logger.info('ADD SCHEDULE EXCEPTION - Controller function started', {
+    scheduleId: req.params.id,
+    date: req.body.date,
+  });
+
+  const schedule = await findAccessibleSchedule(req, req.params.id);
+
+  // Dates name a calendar day in the schedule's time zone
+  const day = getLocalDay(req.body.date, schedule.timezone);
+  const occurrence = schedule.findOccurrenceOn(day);
+
+  if (!occurrence) {
+    logger.warn('Schedule exception for a date without an occurrence', { scheduleId: schedule._id, date: day });
+    throw new AppError(`The schedule has no occurrence on ${day}`, 400);
+  }
+
+  if (schedule.exceptions.some((exception) => exception.date.getTime() === occurrence.getTime())) {
+    return sendConflict(res, `The occurrence on ${day} is already skipped`);
+  }
+
+  const workout = await Workout.findOne({ scheduleId: schedule._id, occurrenceDate: occurrence });
+
+  if (workout) {
+    return sendConflict(res, `The occurrence on ${day} already has a workout - change its status instead`, {
+      workoutId: workout._id,
+    });
+  }
+
+  schedule.exceptions.push({ date: occurrence, reason: req.body.reason });
+  await schedule.save();
+
+  logger.success('Schedule occurrence skipped', {
+    scheduleId: schedule._id,
+    date: occurrence.toISOString(),
+  });
+
+  sendSuccess(res, 200, 'Schedule occurrence skipped successfully', schedule);
+});
+
+/**
+ * @desc    Restore a skipped occurrence of a recurring schedule
+ * @route   DELETE /api/v1/schedules/:id/exceptions/:date
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const removeScheduleException = asyncHandler(async (req, res) => {
+  if (isNaN(new Date(req.params.date).getTime())) {
+    throw new AppError('date must be a valid date', 400);
+  }
+
+  logger.info('REMOVE SCHEDULE EXCEPTION - Controller function started', {
+    scheduleId: req.params.id,
+    date: req.params.date,
+  });
+
+  const schedule = await findAccessibleSchedule(req, req.params.id);
+  const day = getLocalDay(req.params.date, schedule.timezone);
+  const remaining = schedule.exceptions.filter((exception) => (
+    getZonedDateKey(exception.date, schedule.timezone) !== day
+  ));
+
+  if (remaining.length === schedule.exceptions.length) {
+    logger.warn('Schedule exception not found', { scheduleId: schedule._id, date: day });
+    return sendNotFound(res, 'Schedule exception', day);
+  }
+
+  schedule.exceptions = remaining;
+  await schedule.save();
+
+  logger.success('Schedule occurrence restored', {
+    scheduleId: schedule._id,
+    date: day,
+  });
+
+  sendSuccess(res, 200, 'Schedule occurrence restored successfully', schedule);
+});
+
+/**
+ * @desc    Create planned workouts for the occurrences of a schedule between two dates
+ *          Occurrences that already have a workout or are skipped are left alone,
+ *          so the request can be repeated safely
+ * @route   POST /api/v1/schedules/:id/workouts
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const createScheduledWorkouts = asyncHandler(async (req, res) => {
+  logger.info('CREATE SCHEDULED WORKOUTS - Controller function started', {
+    scheduleId: req.params.id,
+    query: req.query,
+  });
+
+  const schedule = await findAccessibleSchedule(req, req.params.id);
+  const { from, to } = getDateRange(req.query, schedule.timezone);
+  const occurrences = schedule.getOccurrences(from, to);
+
+  const existing = await Workout.find({
+    scheduleId: schedule._id,
+    occurrenceDate: { $in: occurrences },
+  }).select('occurrenceDate');
+  const created = new Set(existing.map((workout) => workout.occurrenceDate.getTime()));
+
+  const pending = occurrences.filter((occurrence) => !created.has(occurrence.getTime()));
+  const planned = pending.map((occurrence) => schedule.toWorkoutData(occurrence));
+
+  // Schedules without calories get the same MET estimate as logged workouts
+  let owner;
+  if (planned.length > 0 && schedule.caloriesBurned === undefined) {
+    owner = await User.findById(schedule.userId);
+
+    if (!owner) {
+      logger.warn('Schedule owner not found', { scheduleId: schedule._id, userId: schedule.userId });
+      throw new AppError('User not found. Cannot create workouts for non-existent user.', 404);
+    }
+  }
+  planned.forEach((data) => applyCalorieEstimate(data, owner));
+
+  const workouts = planned.length > 0 ? await Workout.insertMany(planned) : [];
+
+  await Promise.all(workouts.map((workout) => recordAuditEvent(req, {
+    action: 'create',
+    resourceType: 'workout',
+    resourceId: workout._id,
+    targetUserId: workout.userId,
+    after: auditSnapshot(workout),
+  })));
+
+  logger.success('Scheduled workouts created', {
+    scheduleId: schedule._id,
+    created: workouts.length,
+    existing: existing.length,
+  });
+
+  sendSuccess(res, workouts.length > 0 ? 201 : 200, `Created ${workouts.length} planned workouts`, workouts, {
+    existing: existing.length,
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  getUserSchedule,
+  getSchedules,
+  getScheduleById,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getScheduleOccurrences,
+  addScheduleException,
+  removeScheduleException,
+  createScheduledWorkouts,
+};
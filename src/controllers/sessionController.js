@@ -0,0 +1,132 @@
+/**
+ * Session Controller
+ * Lists and ends the current user's login sessions ("sign out of all devices")
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const MongooseSessionStore = require('../config/sessionStore');
+const logger = require('../utils/logger');
+const { describeUserAgent } = require('../utils/userAgent');
+const { sendSuccess, sendNotFound } = require('../utils/apiResponse');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+/**
+ * Get the stored ID of the session making the request
+ * @param {Object} req - Express request object
+ * @returns {string|null} Session document ID, or null for token requests
+ */
+const getCurrentSessionId = (req) => {
+  return req.authMethod === 'session' && req.sessionID
+    ? MongooseSessionStore.getId(req.sessionID)
+    : null;
+};
+
+/**
+ * Format a session for API responses
+ * @param {Object} session - Session document
+ * @param {string|null} currentId - ID of the session making the request
+ * @returns {Object} Session details
+ */
+const formatSession = (session, currentId) => ({
+  id: session._id,
+  current: session._id === currentId,
+  device: describeUserAgent(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+});
+
+/**
+ * @desc    List the current user's active sessions
+ * @route   GET /auth/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  logger.info('GET SESSIONS - Controller function started', { userId: req.user._id });
+  
+  const currentId = getCurrentSessionId(req);
+  const sessions = await Session.findActiveByUser(req.user._id);
+  
+  logger.success('Sessions retrieved successfully', {
+    userId: req.user._id,
+    count: sessions.length,
+  });
+  
+  sendSuccess(res, 200, 'Sessions retrieved successfully', {
+    count: sessions.length,
+    sessions: sessions.map((session) => formatSession(session, currentId)),
+  });
+});
+
+/**
+ * @desc    Sign out one session (device)
+ * @route   DELETE /auth/sessions/:sessionId
+ * @access  Private (session only)
+ */
+const endSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+  
+  logger.info('END SESSION - Controller function started', {
+    userId: req.user._id,
+    sessionId,
+  });
+  
+  // Scoping the delete to the owner hides other users' sessions
+  const result = await Session.deleteOne({ _id: sessionId, userId: req.user._id });
+  
+  if (result.deletedCount === 0) {
+    logger.warn('Session not found for sign out', { sessionId });
+    return sendNotFound(res, 'Session');
+  }
+  
+  logger.auth('Session ended', { userId: req.user._id, sessionId });
+  
+  sendSuccess(res, 200, 'Session signed out successfully', {
+    id: sessionId,
+    current: sessionId === getCurrentSessionId(req),
+  });
+});
+
+/**
+ * @desc    Sign out of all devices
+ *          Ends every session and revokes every refresh token; ?keepCurrent=true keeps this session
+ * @route   DELETE /auth/sessions
+ * @access  Private (session only)
+ */
+const endAllSessions = asyncHandler(async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === 'true';
+  
+  logger.info('END ALL SESSIONS - Controller function started', {
+    userId: req.user._id,
+    keepCurrent,
+  });
+  
+  const sessions = await Session.endAllForUser(
+    req.user._id,
+    keepCurrent ? getCurrentSessionId(req) : null
+  );
+  const refreshTokens = await RefreshToken.revokeAllForUser(req.user._id);
+  
+  logger.auth('Signed out of all devices', {
+    userId: req.user._id,
+    sessionsEnded: sessions.deletedCount,
+    refreshTokensRevoked: refreshTokens.modifiedCount,
+  });
+  
+  sendSuccess(res, 200, 'Signed out of all devices successfully', {
+    sessionsEnded: sessions.deletedCount,
+    refreshTokensRevoked: refreshTokens.modifiedCount,
+    keptCurrentSession: keepCurrent,
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  getSessions,
+  endSession,
+  endAllSessions,
+};
@@ -0,0 +1,259 @@
+/**
+ * Workout Template Controller
+ * Handles CRUD operations for reusable workout templates
+ * Templates are private to their owner; 'workouts:write:any' grants access to all of them
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const User = require('../models/User');
+const Exercise = require('../models/Exercise');
+const logger = require('../utils/logger');
+const { sendSuccess, sendCreated, sendPaginated } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getTokenScopes, hasPermission, isOwnerOrPermitted } = require('../middleware/auth');
+
+// Fields that can be set through the API
+const TEMPLATE_FIELDS = ['title', 'exerciseType', 'duration', 'caloriesBurned', 'intensity', 'notes', 'exercises'];
+
+/**
+ * Load a template the current user may access
+ * @param {Object} req - Express request
+ * @param {string} templateId - Template ID
+ * @returns {Promise<Object>} Template document
+ * @throws {AppError} 404 if the template does not exist, 403 if it belongs to someone else
+ */
+const findAccessibleTemplate = async (req, templateId) => {
+  const template = await WorkoutTemplate.findById(templateId);
+
+  if (!template) {
+    logger.warn('Workout template not found', { templateId });
+    throw new AppError('Workout template not found with the provided ID', 404);
+  }
+
+  if (!isOwnerOrPermitted(req.user, template.userId, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to access another user\'s workout template', {
+      templateId,
+      userId: req.user._id,
+      ownerId: template.userId,
+    });
+    throw new AppError('You are not allowed to access this workout template', 403);
+  }
+
+  return template;
+};
+
+/**
+ * Link planned exercises to the exercise catalog
+ * @param {Array<Object>} exercises - Exercise entries from the request body
+ * @returns {Promise<Array<Object>>} Entries with catalog ids and names filled in
+ */
+const resolveExercises = async (exercises) => {
+  const { exercises: resolved, unknownIds } = await Exercise.resolveWorkoutExercises(exercises);
+
+  if (unknownIds.length > 0) {
+    logger.warn('Workout template references unknown exercises', { unknownIds });
+    throw new AppError(`Exercise not found in catalog: ${unknownIds.join(', ')}`, 400);
+  }
+
+  return resolved;
+};
+
+/**
+ * @desc    List workout templates (the caller's own unless 'workouts:write:any' asks for userId)
+ * @route   GET /api/v1/templates
+ * @access  Protected
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+  logger.info('GET TEMPLATES - Controller function started', {
+    userId: req.user._id,
+    query: req.query,
+  });
+
+  const userId = req.query.userId || req.user._id.toString();
+
+  if (userId !== req.user._id.toString() && !hasPermission(req.user, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to list another user\'s workout templates', {
+      userId: req.user._id,
+      targetUserId: userId,
+    });
+    throw new AppError('You can only list your own workout templates', 403);
+  }
+
+  const filter = { userId };
+
+  if (req.query.exerciseType) {
+    filter.exerciseType = req.query.exerciseType;
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const [templates, total] = await Promise.all([
+    WorkoutTemplate.find(filter)
+      .sort({ title: 1 })
+      .skip(skip)
+      .limit(limit),
+    WorkoutTemplate.countDocuments(filter),
+  ]);
+
+  logger.success('Workout templates retrieved successfully', {
+    userId,
+    count: templates.length,
+    total,
+  });
+
+  sendPaginated(
+    res,
+    templates,
+    page,
+    limit,
+    total,
+    `Retrieved ${templates.length} workout templates successfully`
+  );
+});
+
+/**
+ * @desc    Get a single workout template
+ * @route   GET /api/v1/templates/:id
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const getTemplateById = asyncHandler(async (req, res) => {
+  logger.info('GET TEMPLATE BY ID - Controller function started', { templateId: req.params.id });
+
+  const template = await findAccessibleTemplate(req, req.params.id);
+
+  logger.success('Workout template found', {
+    templateId: template._id,
+    title: template.title,
+  });
+
+  sendSuccess(res, 200, 'Workout template retrieved successfully', template);
+});
+
+/**
+ * @desc    Create a workout template
+ * @route   POST /api/v1/templates
+ * @access  Protected (owned by the authenticated user; 'workouts:write:any' may set userId)
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  logger.info('CREATE TEMPLATE - Controller function started', {
+    body: req.body,
+  });
+
+  const userId = req.body.userId ? String(req.body.userId) : req.user._id.toString();
+
+  if (userId !== req.user._id.toString() && !hasPermission(req.user, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to create workout template for another user', {
+      userId: req.user._id,
+      targetUserId: userId,
+    });
+    throw new AppError('You can only create workout templates for your own account', 403);
+  }
+
+  const userExists = await User.findById(userId);
+
+  if (!userExists) {
+    logger.warn('User not found when creating workout template', { userId });
+    throw new AppError('User not found. Cannot create template for non-existent user.', 404);
+  }
+
+  const data = { userId };
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+  });
+
+  if (data.exercises) {
+    data.exercises = await resolveExercises(data.exercises);
+  }
+
+  const template = await WorkoutTemplate.create(data);
+
+  logger.success('Workout template created successfully', {
+    templateId: template._id,
+    userId: template.userId,
+    title: template.title,
+  });
+
+  sendCreated(res, 'Workout template', template);
+});
+
+/**
+ * @desc    Update a workout template (exercises are replaced as a whole)
+ * @route   PUT /api/v1/templates/:id
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const templateId = req.params.id;
+
+  logger.info('UPDATE TEMPLATE - Controller function started', {
+    templateId,
+    updates: req.body,
+  });
+
+  const updates = TEMPLATE_FIELDS.filter((field) => req.body[field] !== undefined);
+
+  if (updates.length === 0) {
+    logger.warn('Template update attempted without updatable fields', { templateId });
+    throw new AppError('Please provide at least one field to update', 400);
+  }
+
+  const template = await findAccessibleTemplate(req, templateId);
+
+  if (Array.isArray(req.body.exercises)) {
+    req.body.exercises = await resolveExercises(req.body.exercises);
+  }
+
+  updates.forEach((field) => {
+    template[field] = req.body[field];
+  });
+
+  await template.save();
+
+  logger.success('Workout template updated successfully', {
+    templateId: template._id,
+    updatedFields: updates,
+  });
+
+  sendSuccess(res, 200, 'Workout template updated successfully', template);
+});
+
+/**
+ * @desc    Delete a workout template (workouts created from it are kept)
+ * @route   DELETE /api/v1/templates/:id
+ * @access  Protected (owner or 'workouts:write:any' permission)
+ */
+const deleteTemplate = asyncHandler(async (req, res) => {
+  const templateId = req.params.id;
+
+  logger.info('DELETE TEMPLATE - Controller function started', { templateId });
+
+  const template = await findAccessibleTemplate(req, templateId);
+
+  await template.deleteOne();
+
+  logger.success('Workout template deleted successfully', {
+    templateId: template._id,
+    title: template.title,
+  });
+
+  sendSuccess(res, 200, 'Workout template deleted successfully', {
+    deletedTemplate: {
+      id: template._id,
+      title: template.title,
+      userId: template.userId,
+    },
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+};
@@ -0,0 +1,136 @@
+/**
+ * Access Token Controller
+ * Handles creating, listing and revoking personal access tokens
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const AccessToken = require('../models/AccessToken');
+const logger = require('../utils/logger');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { sendSuccess, sendCreated } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { hasPermission } = require('../middleware/auth');
+const { BASE_SCOPES } = require('../config/permissions');
+
+// Prefix making personal access tokens easy to recognise (e.g. in secret scanners)
+const TOKEN_PREFIX = 'fit_pat';
+
+// Default token lifetime when no expiry is requested
+const DEFAULT_EXPIRY_DAYS = 90;
+
+/**
+ * @desc    Create a personal access token
+ * @route   POST /api/v1/tokens
+ * @access  Protected (session only)
+ */
+const createAccessToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  logger.info('CREATE ACCESS TOKEN - Controller function started', {
+    userId: req.user._id,
+    name,
+    scopes,
+  });
+
+  // Role permissions can only be delegated by users who hold them
+  const deniedScopes = scopes.filter(
+    (scope) => !BASE_SCOPES.includes(scope) && !hasPermission(req.user, scope)
+  );
+
+  if (deniedScopes.length > 0) {
+    logger.security('Attempt to create token with unheld permissions', {
+      userId: req.user._id,
+      deniedScopes,
+    });
+    throw new AppError(`You cannot grant scopes you do not hold: ${deniedScopes.join(', ')}`, 403);
+  }
+
+  const token = generateToken(TOKEN_PREFIX);
+  const days = expiresInDays || DEFAULT_EXPIRY_DAYS;
+
+  const accessToken = await AccessToken.create({
+    userId: req.user._id,
+    name: name.trim(),
+    tokenHash: hashToken(token),
+    tokenPrefix: token.substring(0, TOKEN_PREFIX.length + 5),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+
+  logger.auth('Access token created', {
+    userId: req.user._id,
+    tokenId: accessToken._id,
+    scopes: accessToken.scopes,
+    expiresAt: accessToken.expiresAt,
+  });
+
+  // The plain token is only ever returned here
+  sendCreated(res, 'Access token', {
+    ...accessToken.toJSON(),
+    token,
+  });
+});
+
+/**
+ * @desc    List the authenticated user's access tokens
+ * @route   GET /api/v1/tokens
+ * @access  Protected (session only)
+ */
+const getAccessTokens = asyncHandler(async (req, res) => {
+  logger.info('GET ACCESS TOKENS - Controller function started', {
+    userId: req.user._id,
+  });
+
+  const tokens = await AccessToken.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+  logger.success('Access tokens retrieved successfully', {
+    userId: req.user._id,
+    count: tokens.length,
+  });
+
+  sendSuccess(res, 200, 'Access tokens retrieved successfully', {
+    count: tokens.length,
+    tokens,
+  });
+});
+
+/**
+ * @desc    Revoke an access token
+ * @route   DELETE /api/v1/tokens/:id
+ * @access  Protected (session only, token owner)
+ */
+const revokeAccessToken = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('REVOKE ACCESS TOKEN - Controller function started', {
+    userId: req.user._id,
+    tokenId: id,
+  });
+
+  // Scoping the lookup to the owner hides other users' tokens
+  const accessToken = await AccessToken.findOne({ _id: id, userId: req.user._id });
+
+  if (!accessToken) {
+    logger.warn('Access token not found for revocation', { tokenId: id });
+    throw new AppError('Access token not found with the provided ID', 404);
+  }
+
+  if (!accessToken.revokedAt) {
+    accessToken.revokedAt = new Date();
+    await accessToken.save();
+  }
+
+  logger.auth('Access token revoked', {
+    userId: req.user._id,
+    tokenId: accessToken._id,
+  });
+
+  sendSuccess(res, 200, 'Access token revoked successfully', accessToken);
+});
+
+// Export all controller functions
+module.exports = {
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken,
+};
@@ -0,0 +1,376 @@
+/**
+ * Two-Factor Controller
+ * TOTP two-factor authentication: enrollment, the login verification step,
+ * recovery codes and disabling 2FA
+ * Also owns the shared "finish a login" helpers used by every login route
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { auditSnapshot, recordAuditEvent } = require('../utils/audit');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const { signTwoFactorChallenge, verifyTwoFactorChallenge, getExpiresIn } = require('../utils/jwt');
+const { sendSuccess, sendConflict } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { createExchangeCode } = require('./authTokenController');
+
+// Name shown in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Fitness Tracker';
+
+// How long a half-authenticated session waits for the second factor
+const TWO_FACTOR_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Wrong codes allowed per half-authenticated session
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+
+// Wrong login codes allowed per user before logins are locked, and for how long.
+// Challenges are stateless, so this is what stops a client from guessing codes
+// with one challenge (or fresh ones) until a TOTP code matches
+const MAX_USER_TWO_FACTOR_ATTEMPTS = 10;
+const TWO_FACTOR_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Hidden two-factor fields needed to check codes
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep';
+
+// Hidden fields tracking wrong login codes
+const LOCKOUT_FIELDS = '+twoFactor.failedAttempts +twoFactor.lockedUntil';
+
+/**
+ * Count a wrong login code against a user, locking logins at the limit
+ * Uses $inc so parallel guesses cannot slip past the limit
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} Whether this attempt locked the account
+ */
+const recordFailedTwoFactorAttempt = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true, projection: LOCKOUT_FIELDS }
+  );
+  
+  if (!updated || updated.twoFactor.failedAttempts < MAX_USER_TWO_FACTOR_ATTEMPTS) {
+    return false;
+  }
+  
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.lockedUntil': new Date(Date.now() + TWO_FACTOR_LOCKOUT_MS) },
+      $unset: { 'twoFactor.failedAttempts': 1 },
+    }
+  );
+  return true;
+};
+
+/**
+ * Build the login response payload for a user
+ * @param {Object} user - User document
+ * @returns {Object} Response data
+ */
+const buildLoginData = (user) => ({
+  user: {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    username: user.username,
+  },
+  tokenExchange: createExchangeCode(user),
+});
+
+/**
+ * Mark the session as fully authenticated for a user
+ * @param {Object} req - Express request object
+ * @param {Object} user - User document
+ * @returns {Promise<void>}
+ */
+const startSession = (req, user) => new Promise((resolve, reject) => {
+  req.login(user, (error) => (error ? reject(error) : resolve()));
+});
+
+/**
+ * Regenerate the session ID (prevents session fixation)
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+const regenerateSession = (req) => new Promise((resolve, reject) => {
+  req.session.regenerate((error) => (error ? reject(error) : resolve()));
+});
+
+/**
+ * Finish the first login factor
+ * Users without 2FA are logged in straight away. Users with 2FA get a
+ * half-authenticated session (and a challenge for cookie-less clients),
+ * which requireAuth treats as unauthenticated until /auth/2fa/verify succeeds
+ * @param {Object} req - Express request object
+ * @param {Object} user - User who passed the first factor
+ * @returns {Promise<Object|null>} Two-factor challenge details, or null when logged in
+ */
+const beginLogin = async (req, user) => {
+  if (!user.twoFactor?.enabled) {
+    await startSession(req, user);
+    return null;
+  }
+
+  await regenerateSession(req);
+  req.session.twoFactor = {
+    userId: user._id.toString(),
+    expiresAt: Date.now() + TWO_FACTOR_TIMEOUT_MS,
+    attempts: 0,
+  };
+
+  const challenge = signTwoFactorChallenge(user);
+
+  logger.auth('First login factor accepted - waiting for two-factor code', { userId: user._id });
+
+  return {
+    twoFactorRequired: true,
+    challenge,
+    verifyUrl: '/auth/2fa/verify',
+    expiresIn: getExpiresIn(challenge),
+  };
+};
+
+/**
+ * @desc    Start 2FA enrollment - returns a secret and otpauth URI for the authenticator app
+ * @route   POST /auth/2fa/setup
+ * @access  Protected (session only)
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  logger.info('SETUP TWO-FACTOR - Controller function started', { userId: req.user._id });
+  
+  const user = await User.findById(req.user._id);
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  if (user.twoFactor.enabled) {
+    logger.warn('Two-factor setup refused - already enabled', { userId: user._id });
+    return sendConflict(res, 'Two-factor authentication is already enabled');
+  }
+  
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+  
+  logger.auth('Two-factor enrollment started', { userId: user._id });
+  
+  sendSuccess(res, 200, 'Scan the otpauth URI with your authenticator app, then confirm a code', {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: user.email || user.username || user._id.toString(),
+      issuer: TOTP_ISSUER,
+    }),
+    confirmUrl: '/auth/2fa/enable',
+  });
+});
+
+/**
+ * @desc    Confirm enrollment with a code and turn 2FA on
+ * @route   POST /auth/2fa/enable
+ * @access  Protected (session only)
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  logger.info('ENABLE TWO-FACTOR - Controller function started', { userId: req.user._id });
+  
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  if (user.twoFactor.enabled) {
+    return sendConflict(res, 'Two-factor authentication is already enabled');
+  }
+  
+  if (!user.twoFactor.pendingSecret) {
+    throw new AppError('Start enrollment with POST /auth/2fa/setup first', 400);
+  }
+  
+  if (!user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+    logger.warn('Two-factor enrollment code rejected', { userId: user._id });
+    throw new AppError('Invalid two-factor code', 400);
+  }
+  
+  const before = auditSnapshot(user);
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+  
+  // toJSON keeps the secret and recovery codes out of the recorded change
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    before,
+    after: auditSnapshot(user),
+  });
+  
+  logger.auth('Two-factor authentication enabled', { userId: user._id });
+  
+  // Recovery codes are only ever shown here (and when regenerated)
+  sendSuccess(res, 200, 'Two-factor authentication enabled', {
+    enabled: true,
+    enabledAt: user.twoFactor.enabledAt,
+    recoveryCodes,
+  });
+});
+
+/**
+ * @desc    Complete a login with a TOTP code or a recovery code
+ * @route   POST /auth/2fa/verify
+ * @access  Public (half-authenticated session or challenge)
+ */
+const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const { challenge, code, recoveryCode } = req.body;
+  
+  logger.info('VERIFY TWO-FACTOR - Controller function started', {
+    withChallenge: Boolean(challenge),
+    withRecoveryCode: Boolean(recoveryCode),
+  });
+  
+  let userId;
+  const pending = req.session?.twoFactor;
+  
+  if (challenge) {
+    // Throws JsonWebTokenError / TokenExpiredError for bad challenges
+    userId = verifyTwoFactorChallenge(challenge).sub;
+  } else if (pending && pending.expiresAt > Date.now()) {
+    if (pending.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+      delete req.session.twoFactor;
+      logger.security('Two-factor login abandoned after too many attempts', { userId: pending.userId });
+      throw new AppError('Too many invalid codes - please log in again', 401);
+    }
+    userId = pending.userId;
+  } else {
+    if (pending) delete req.session.twoFactor;
+    throw new AppError('No two-factor login in progress - please log in again', 401);
+  }
+  
+  const user = await User.findById(userId).select(`${TWO_FACTOR_FIELDS} ${LOCKOUT_FIELDS}`);
+  
+  if (!user || !user.isActive || !user.twoFactor.enabled) {
+    throw new AppError('No two-factor login in progress - please log in again', 401);
+  }
+  
+  if (user.twoFactor.lockedUntil > Date.now()) {
+    logger.security('Two-factor login refused - locked', { userId: user._id, ip: req.ip });
+    throw new AppError('Too many invalid codes - please try again later', 429);
+  }
+  
+  const valid = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+  
+  if (!valid) {
+    if (req.session?.twoFactor) req.session.twoFactor.attempts += 1;
+    const locked = await recordFailedTwoFactorAttempt(user);
+    logger.security('Invalid two-factor code', { userId: user._id, ip: req.ip, locked });
+    throw new AppError('Invalid two-factor code', 401);
+  }
+  
+  user.twoFactor.failedAttempts = undefined;
+  user.twoFactor.lockedUntil = undefined;
+  await user.save();
+  await startSession(req, user);
+  
+  logger.auth('Two-factor login completed', {
+    userId: user._id,
+    method: code ? 'totp' : 'recovery_code',
+  });
+  
+  sendSuccess(res, 200, 'Authentication successful', {
+    ...buildLoginData(user),
+    recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length,
+  });
+});
+
+/**
+ * @desc    Replace the recovery codes (requires a current TOTP code)
+ * @route   POST /auth/2fa/recovery-codes
+ * @access  Protected (session only)
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  logger.info('REGENERATE RECOVERY CODES - Controller function started', { userId: req.user._id });
+  
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+  
+  if (!user || !user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+  
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    logger.security('Recovery code regeneration refused - invalid code', { userId: user._id });
+    throw new AppError('Invalid two-factor code', 401);
+  }
+  
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+  
+  logger.auth('Recovery codes regenerated', { userId: user._id });
+  
+  sendSuccess(res, 200, 'Recovery codes regenerated', { recoveryCodes });
+});
+
+/**
+ * @desc    Turn 2FA off - requires the password (if set) and a TOTP or recovery code
+ * @route   POST /auth/2fa/disable
+ * @access  Protected (session only)
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  
+  logger.info('DISABLE TWO-FACTOR - Controller function started', { userId: req.user._id });
+  
+  const user = await User.findById(req.user._id).select(`+passwordHash ${TWO_FACTOR_FIELDS}`);
+  
+  if (!user || !user.twoFactor.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+  
+  // Re-authenticate: password for accounts that have one, plus the second factor
+  if (user.passwordHash && !(await user.checkPassword(password))) {
+    logger.security('Two-factor disable refused - wrong password', { userId: user._id });
+    throw new AppError('Password is incorrect', 401);
+  }
+  
+  const valid = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+  
+  if (!valid) {
+    logger.security('Two-factor disable refused - invalid code', { userId: user._id });
+    throw new AppError('Invalid two-factor code', 401);
+  }
+  
+  const before = auditSnapshot(user);
+  user.twoFactor = { enabled: false };
+  await user.save();
+  
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    before,
+    after: auditSnapshot(user),
+  });
+  
+  logger.auth('Two-factor authentication disabled', { userId: user._id });
+  
+  sendSuccess(res, 200, 'Two-factor authentication disabled', { enabled: false });
+});
+
+// Export all controller functions
+module.exports = {
+  buildLoginData,
+  startSession,
+  beginLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
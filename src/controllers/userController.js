@@ -16,6 +16,13 @@ const {
   sendConflict,
 } = require('../utils/apiResponse');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getPermissionsForRoles } = require('../config/permissions');
+const { auditSnapshot, recordAuditEvent } = require('../utils/audit');
+const { PROFILE_METRICS } = require('../config/measurements');
+const { recordProfileMeasurement } = require('../utils/measurements');
+const { buildUserStats } = require('../utils/userStats');
+const { deleteUserData } = require('../utils/erasure');
+const { sendVerificationEmail } = require('./localAuthController');
 
 /**
  * @desc    Create a new user
@@ -34,8 +41,12 @@ const createUser = asyncHandler(async (req, res) => {
     age,
     weight,
     height,
+    sex,
+    bodyFatPercentage,
+    bmrFormula,
     fitnessGoal,
     activityLevel,
+    timezone,
   } = req.body;
   
   // Check if user with email already exists
@@ -59,8 +70,12 @@ const createUser = asyncHandler(async (req, res) => {
     age,
     weight,
     height,
+    sex,
+    bodyFatPercentage,
+    bmrFormula,
     fitnessGoal,
     activityLevel,
+    timezone,
   });
   
   logger.success('User created successfully', {
@@ -70,6 +85,17 @@ const createUser = asyncHandler(async (req, res) => {
     profileCompletion: user.profileCompletion,
   });
   
+  // Start the measurement history with the weight and body fat given at sign-up
+  await recordProfileMeasurement(user, { weight, bodyFatPercentage });
+  
+  await recordAuditEvent(req, {
+    action: 'create',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    after: auditSnapshot(user),
+  });
+  
   // Send success response with 201 status (Created)
   sendCreated(res, 'User', user);
 });
@@ -77,7 +103,7 @@ const createUser = asyncHandler(async (req, res) => {
 /**
  * @desc    Get all users with optional filters and pagination
  * @route   GET /api/v1/users
- * @access  Public
+ * @access  Protected ('users:list' permission)
  */
 const getAllUsers = asyncHandler(async (req, res) => {
   logger.info('GET ALL USERS - Controller function started', {
@@ -201,7 +227,7 @@ const getUserById = asyncHandler(async (req, res) => {
 /**
  * @desc    Update user by ID
  * @route   PUT /api/v1/users/:id
- * @access  Public
+ * @access  Protected (account owner or admin)
  */
 const updateUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -238,11 +264,40 @@ const updateUser = asyncHandler(async (req, res) => {
     }
   }
   
-  // Prepare update data
-  const cleanUpdateData = { ...updateData };
+  // Prepare update data - only profile fields may be changed through this route
+  const allowedUpdates = [
+    'name',
+    'email',
+    'age',
+    'weight',
+    'height',
+    'sex',
+    'bodyFatPercentage',
+    'bmrFormula',
+    'fitnessGoal',
+    'activityLevel',
+    'timezone',
+    'isActive',
+  ];
+  
+  const cleanUpdateData = {};
+  allowedUpdates.forEach((field) => {
+    if (updateData[field] !== undefined) {
+      cleanUpdateData[field] = updateData[field];
+    }
+  });
   if (cleanUpdateData.name) cleanUpdateData.name = cleanUpdateData.name.trim();
   if (cleanUpdateData.email) cleanUpdateData.email = cleanUpdateData.email.toLowerCase().trim();
   
+  // A new address has to be verified again before OAuth logins are matched to it
+  let verificationToken = null;
+  if (cleanUpdateData.email && cleanUpdateData.email !== existingUser.email) {
+    verificationToken = existingUser.issueEmailVerificationToken();
+    cleanUpdateData.emailVerificationTokenHash = existingUser.emailVerificationTokenHash;
+    cleanUpdateData.emailVerificationExpiresAt = existingUser.emailVerificationExpiresAt;
+    cleanUpdateData.$unset = { emailVerifiedAt: 1 };
+  }
+  
   logger.info('Updating user in database...', { userId: id });
   
   // Update user
@@ -261,6 +316,28 @@ const updateUser = asyncHandler(async (req, res) => {
     profileCompletion: updatedUser.profileCompletion,
   });
   
+  // A new weight or body fat on the profile becomes the latest measurement
+  const changedMetrics = {};
+  PROFILE_METRICS.forEach((field) => {
+    if (cleanUpdateData[field] !== undefined && cleanUpdateData[field] !== existingUser[field]) {
+      changedMetrics[field] = cleanUpdateData[field];
+    }
+  });
+  await recordProfileMeasurement(updatedUser, changedMetrics);
+  
+  if (verificationToken) {
+    await sendVerificationEmail(updatedUser, verificationToken);
+  }
+  
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: updatedUser._id,
+    targetUserId: updatedUser._id,
+    before: auditSnapshot(existingUser),
+    after: auditSnapshot(updatedUser),
+  });
+  
   // Send success response
   sendSuccess(res, 200, 'User updated successfully', updatedUser);
 });
@@ -268,7 +345,7 @@ const updateUser = asyncHandler(async (req, res) => {
 /**
  * @desc    Delete user by ID
  * @route   DELETE /api/v1/users/:id
- * @access  Public
+ * @access  Protected (account owner or admin)
  */
 const deleteUser = asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -301,7 +378,8 @@ const deleteUser = asyncHandler(async (req, res) => {
       message: `Cannot delete user. User has ${workoutCount} workout(s). Please delete all workouts first or set user as inactive.`,
       data: {
         workoutCount,
-        suggestion: 'Consider setting isActive to false instead of deleting',
+        suggestion: 'Consider setting isActive to false instead of deleting, or request erasure of the account and its workouts',
+        erasureUrl: `/api/v1/users/${id}/erasure`,
       },
       timestamp: new Date().toISOString(),
     });
@@ -309,13 +387,22 @@ const deleteUser = asyncHandler(async (req, res) => {
   
   logger.info('Deleting user from database...', { userId: id });
   
-  // Delete user
-  await User.findByIdAndDelete(id);
+  // Same cascade as an erasure, so no data, sessions or tokens outlive the account
+  const deleted = await deleteUserData(user._id);
   
   logger.success('User deleted successfully', {
     userId: id,
     email: user.email,
     name: user.name,
+    deleted,
+  });
+  
+  await recordAuditEvent(req, {
+    action: 'delete',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    before: auditSnapshot(user),
   });
   
   // Send success response with no content
@@ -345,80 +432,7 @@ const getUserStats = asyncHandler(async (req, res) => {
   
   logger.info('Calculating user statistics...', { userId: id });
   
-  // Get workout statistics
-  const workoutStats = await Workout.getTotalCaloriesByUser(id);
-  
-  // Calculate additional metrics
-  const now = new Date();
-  const thirtyDaysAgo = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
-  const sevenDaysAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-  
-  // Get recent workout data
-  const [recentWorkouts, weeklyWorkouts, monthlyWorkouts] = await Promise.all([
-    Workout.find({ userId: id }).sort({ workoutDate: -1 }).limit(5).lean(),
-    Workout.countDocuments({
-      userId: id,
-      workoutDate: { $gte: sevenDaysAgo },
-      completed: true,
-    }),
-    Workout.countDocuments({
-      userId: id,
-      workoutDate: { $gte: thirtyDaysAgo },
-      completed: true,
-    }),
-  ]);
-  
-  // Calculate workout frequency
-  const avgWorkoutsPerWeek = monthlyWorkouts / 4; // Approximate
-  
-  // Build comprehensive stats object
-  const stats = {
-    user: {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      profileCompletion: user.profileCompletion,
-      bmi: user.bmi,
-      bmiCategory: user.bmiCategory,
-      dailyCalorieNeeds: user.dailyCalorieNeeds,
-      fitnessGoal: user.fitnessGoal,
-      activityLevel: user.activityLevel,
-    },
-    workouts: {
-      total: workoutStats.totalWorkouts,
-      thisWeek: weeklyWorkouts,
-      thisMonth: monthlyWorkouts,
-      avgPerWeek: Math.round(avgWorkoutsPerWeek * 10) / 10,
-    },
-    calories: {
-      totalBurned: workoutStats.totalCalories,
-      avgPerWorkout: workoutStats.totalWorkouts > 0 
-        ? Math.round(workoutStats.totalCalories / workoutStats.totalWorkouts)
-        : 0,
-    },
-    time: {
-      totalMinutes: workoutStats.totalDuration,
-      totalHours: Math.round((workoutStats.totalDuration / 60) * 10) / 10,
-      avgPerWorkout: workoutStats.totalWorkouts > 0
-        ? Math.round(workoutStats.totalDuration / workoutStats.totalWorkouts)
-        : 0,
-    },
-    recent: {
-      lastWorkouts: recentWorkouts.map(workout => ({
-        id: workout._id,
-        title: workout.title,
-        exerciseType: workout.exerciseType,
-        duration: workout.duration,
-        caloriesBurned: workout.caloriesBurned,
-        workoutDate: workout.workoutDate,
-      })),
-    },
-    achievements: {
-      consistency: weeklyWorkouts >= 3 ? 'High' : weeklyWorkouts >= 1 ? 'Moderate' : 'Low',
-      totalCaloriesMilestone: Math.floor(workoutStats.totalCalories / 1000) * 1000,
-      totalWorkoutsMilestone: Math.floor(workoutStats.totalWorkouts / 10) * 10,
-    },
-  };
+  const stats = await buildUserStats(user);
   
   logger.success('User statistics calculated successfully', {
     userId: id,
@@ -431,6 +445,126 @@ const getUserStats = asyncHandler(async (req, res) => {
   sendSuccess(res, 200, 'User statistics retrieved successfully', stats);
 });
 
+/**
+ * @desc    Grant a role to a user
+ * @route   POST /api/v1/users/:id/roles
+ * @access  Protected ('users:roles:manage' permission)
+ */
+const grantRole = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+  
+  logger.info('GRANT ROLE - Controller function started', {
+    userId: id,
+    role,
+    grantedBy: req.user._id,
+  });
+  
+  const user = await User.findById(id);
+  
+  if (!user) {
+    logger.warn('User not found for role grant', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+  
+  if (user.roles.includes(role)) {
+    logger.warn('User already has role', { userId: id, role });
+    return sendConflict(res, `User already has the '${role}' role`, {
+      field: 'role',
+      value: role,
+    });
+  }
+  
+  const before = auditSnapshot(user);
+  user.roles.push(role);
+  await user.save();
+  
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    before,
+    after: auditSnapshot(user),
+  });
+  
+  logger.auth('Role granted', {
+    userId: id,
+    role,
+    grantedBy: req.user._id,
+    roles: user.roles,
+  });
+  
+  sendSuccess(res, 200, `Role '${role}' granted successfully`, {
+    id: user._id,
+    roles: user.roles,
+    permissions: getPermissionsForRoles(user.roles),
+  });
+});
+
+/**
+ * @desc    Revoke a role from a user
+ * @route   DELETE /api/v1/users/:id/roles/:role
+ * @access  Protected ('users:roles:manage' permission)
+ */
+const revokeRole = asyncHandler(async (req, res) => {
+  const { id, role } = req.params;
+  
+  logger.info('REVOKE ROLE - Controller function started', {
+    userId: id,
+    role,
+    revokedBy: req.user._id,
+  });
+  
+  const user = await User.findById(id);
+  
+  if (!user) {
+    logger.warn('User not found for role revoke', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+  
+  if (!user.roles.includes(role)) {
+    logger.warn('User does not have role', { userId: id, role });
+    throw new AppError(`User does not have the '${role}' role`, 404);
+  }
+  
+  // Never leave the platform without an administrator
+  if (role === 'admin') {
+    const adminCount = await User.countDocuments({ roles: 'admin' });
+    
+    if (adminCount <= 1) {
+      logger.warn('Attempt to revoke the last admin role', { userId: id });
+      return sendConflict(res, 'Cannot revoke the admin role from the last administrator');
+    }
+  }
+  
+  const before = auditSnapshot(user);
+  user.roles = user.roles.filter((existingRole) => existingRole !== role);
+  await user.save();
+  
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'user',
+    resourceId: user._id,
+    targetUserId: user._id,
+    before,
+    after: auditSnapshot(user),
+  });
+  
+  logger.auth('Role revoked', {
+    userId: id,
+    role,
+    revokedBy: req.user._id,
+    roles: user.roles,
+  });
+  
+  sendSuccess(res, 200, `Role '${role}' revoked successfully`, {
+    id: user._id,
+    roles: user.roles,
+    permissions: getPermissionsForRoles(user.roles),
+  });
+});
+
 /**
  * Export all controller functions
  */
@@ -441,4 +575,6 @@ module.exports = {
   updateUser,
   deleteUser,
   getUserStats,
+  grantRole,
+  revokeRole,
 };
\ No newline at end of file
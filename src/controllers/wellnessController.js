@@ -0,0 +1,277 @@
+/**
+ * Wellness Controller
+ * Handles a user's daily wellness log (one entry per day in the user's time
+ * zone) and the readiness score built from it and recent training
+ * Each function is wrapped with asyncHandler to catch errors automatically
+ */
+
+const User = require('../models/User');
+const WellnessEntry = require('../models/WellnessEntry');
+const Workout = require('../models/workout');
+const logger = require('../utils/logger');
+const { sendSuccess, sendCreated, sendNotFound, sendPaginated } = require('../utils/apiResponse');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { WELLNESS_METRICS, BASELINE_DAYS } = require('../config/wellness');
+const { calculateReadiness, CHRONIC_LOAD_DAYS } = require('../utils/readiness');
+const { buildUserStats } = require('../utils/userStats');
+const {
+  DEFAULT_TIME_ZONE,
+  getZonedDateKey,
+  getZonedDayStart,
+  addDaysToDateKey,
+} = require('../utils/timezone');
+
+// Fields that can be set through the API
+const WELLNESS_FIELDS = [...Object.keys(WELLNESS_METRICS), 'notes'];
+
+/**
+ * Get today's date in a user's time zone
+ * @param {Object} user - User document
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const getUserToday = (user) => getZonedDateKey(new Date(), user.timezone || DEFAULT_TIME_ZONE);
+
+/**
+ * Load a user's wellness entry for a day
+ * @param {string} userId - User ID
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {Promise<Object>} Wellness entry document
+ * @throws {AppError} 404 if the user has no entry for that day
+ */
+const findUserEntry = async (userId, date) => {
+  const entry = await WellnessEntry.findOne({ userId, date });
+
+  if (!entry) {
+    logger.warn('Wellness entry not found', { userId, date });
+    throw new AppError(`No wellness entry for ${date}`, 404);
+  }
+
+  return entry;
+};
+
+/**
+ * @desc    Get a user's wellness log, newest first
+ *          Query: from, to (YYYY-MM-DD), page, limit
+ * @route   GET /api/v1/users/:id/wellness
+ * @access  Protected (account owner or admin)
+ */
+const getWellnessEntries = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET WELLNESS ENTRIES - Controller function started', {
+    userId: id,
+    query: req.query,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for wellness log', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const filter = { userId: id };
+  if (req.query.from || req.query.to) {
+    filter.date = {};
+    if (req.query.from) filter.date.$gte = req.query.from;
+    if (req.query.to) filter.date.$lte = req.query.to;
+  }
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 30;
+  const skip = (page - 1) * limit;
+
+  const [entries, total] = await Promise.all([
+    WellnessEntry.find(filter)
+      .sort({ date: -1 })
+      .skip(skip)
+      .limit(limit),
+    WellnessEntry.countDocuments(filter),
+  ]);
+
+  logger.success('Wellness entries retrieved successfully', {
+    userId: id,
+    count: entries.length,
+    total,
+  });
+
+  sendPaginated(
+    res,
+    entries,
+    page,
+    limit,
+    total,
+    `Retrieved ${entries.length} wellness entries successfully`
+  );
+});
+
+/**
+ * @desc    Get the wellness entry of one day
+ * @route   GET /api/v1/users/:id/wellness/:date
+ * @access  Protected (account owner or admin)
+ */
+const getWellnessEntry = asyncHandler(async (req, res) => {
+  const { id, date } = req.params;
+
+  logger.info('GET WELLNESS ENTRY - Controller function started', { userId: id, date });
+
+  const entry = await findUserEntry(id, date);
+
+  logger.success('Wellness entry retrieved successfully', { entryId: entry._id });
+
+  sendSuccess(res, 200, 'Wellness entry retrieved successfully', entry);
+});
+
+/**
+ * @desc    Record the wellness entry of a day, or add to it
+ *          Fields sent replace those already recorded; send a metric as null to remove it
+ * @route   PUT /api/v1/users/:id/wellness/:date
+ * @access  Protected (account owner or 'users:write:any' permission)
+ */
+const saveWellnessEntry = asyncHandler(async (req, res) => {
+  const { id, date } = req.params;
+
+  logger.info('SAVE WELLNESS ENTRY - Controller function started', {
+    userId: id,
+    date,
+    fields: Object.keys(req.body),
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for wellness entry', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  if (date > getUserToday(user)) {
+    logger.warn('Wellness entry dated in the future', { userId: id, date });
+    throw new AppError('Wellness entries cannot be dated in the future', 400);
+  }
+
+  const existing = await WellnessEntry.findOne({ userId: id, date });
+  const entry = existing || new WellnessEntry({ userId: id, date });
+
+  WELLNESS_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      entry[field] = req.body[field] === null ? undefined : req.body[field];
+    }
+  });
+
+  await entry.save();
+
+  logger.success(`Wellness entry ${existing ? 'updated' : 'created'} successfully`, {
+    userId: id,
+    date,
+    entryId: entry._id,
+  });
+
+  if (existing) {
+    return sendSuccess(res, 200, 'Wellness entry updated successfully', entry);
+  }
+  sendCreated(res, 'Wellness entry', entry);
+});
+
+/**
+ * @desc    Delete the wellness entry of a day
+ * @route   DELETE /api/v1/users/:id/wellness/:date
+ * @access  Protected (account owner or 'users:write:any' permission)
+ */
+const deleteWellnessEntry = asyncHandler(async (req, res) => {
+  const { id, date } = req.params;
+
+  logger.info('DELETE WELLNESS ENTRY - Controller function started', { userId: id, date });
+
+  const entry = await findUserEntry(id, date);
+
+  await entry.deleteOne();
+
+  logger.success('Wellness entry deleted successfully', { entryId: entry._id, date });
+
+  sendSuccess(res, 200, 'Wellness entry deleted successfully', {
+    deletedEntry: {
+      id: entry._id,
+      date: entry.date,
+      userId: entry.userId,
+    },
+  });
+});
+
+/**
+ * @desc    Get a user's statistics with the readiness score of a day
+ *          Query: date (YYYY-MM-DD in the user's time zone; default today)
+ * @route   GET /api/v1/users/:id/readiness
+ * @access  Protected (account owner or admin)
+ */
+const getReadiness = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  logger.info('GET READINESS - Controller function started', {
+    userId: id,
+    query: req.query,
+  });
+
+  const user = await User.findById(id);
+
+  if (!user) {
+    logger.warn('User not found for readiness', { userId: id });
+    return sendNotFound(res, 'User', id);
+  }
+
+  const timeZone = user.timezone || DEFAULT_TIME_ZONE;
+  const today = getUserToday(user);
+  const date = req.query.date || today;
+
+  if (date > today) {
+    logger.warn('Readiness requested for a future date', { userId: id, date });
+    throw new AppError('Readiness cannot be calculated for a future date', 400);
+  }
+
+  const loadStart = getZonedDayStart(addDaysToDateKey(date, -(CHRONIC_LOAD_DAYS - 1)), timeZone);
+  const dayEnd = getZonedDayStart(addDaysToDateKey(date, 1), timeZone);
+
+  const [entry, history, workouts, stats] = await Promise.all([
+    WellnessEntry.findOne({ userId: id, date }),
+    WellnessEntry.find({ userId: id, date: { $gte: addDaysToDateKey(date, -BASELINE_DAYS), $lt: date } })
+      .select('date hrv restingHeartRate')
+      .lean(),
+    // The completed flag is set on workouts saved before statuses existed too
+    Workout.find({ userId: id, completed: true, workoutDate: { $gte: loadStart, $lt: dayEnd } })
+      .select('workoutDate duration intensity')
+      .lean(),
+    buildUserStats(user),
+  ]);
+
+  const readiness = calculateReadiness({
+    entry,
+    history,
+    workouts,
+    weight: user.weight,
+    date,
+    timeZone,
+  });
+
+  logger.success('Readiness calculated successfully', {
+    userId: id,
+    date,
+    score: readiness.score,
+    level: readiness.level,
+  });
+
+  sendSuccess(res, 200, 'Readiness calculated successfully', {
+    ...stats,
+    readiness: {
+      ...readiness,
+      entry,
+    },
+  });
+});
+
+// Export all controller functions
+module.exports = {
+  getWellnessEntries,
+  getWellnessEntry,
+  saveWellnessEntry,
+  deleteWellnessEntry,
+  getReadiness,
+};
@@ -6,14 +6,140 @@
 
 const Workout = require('../models/workout');
 const User = require('../models/User');
+const Exercise = require('../models/Exercise');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
 const logger = require('../utils/logger');
 const { sendSuccess, sendPaginated } = require('../utils/apiResponse');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { getTokenScopes, hasPermission, isOwnerOrPermitted } = require('../middleware/auth');
+const { auditSnapshot, recordAuditEvent } = require('../utils/audit');
+const { recalculatePersonalRecords } = require('../utils/personalRecords');
+const { estimateCaloriesBurned } = require('../utils/calories');
+
+// Fields the calorie estimate depends on - changing one re-estimates an estimated workout
+const ESTIMATE_FIELDS = ['userId', 'exerciseType', 'duration', 'intensity'];
+
+// Fields of a workout created from a template that the request body can override
+const TEMPLATE_OVERRIDES = [
+  'title',
+  'duration',
+  'caloriesBurned',
+  'intensity',
+  'notes',
+  'workoutDate',
+  'distance',
+  'completed',
+  'status',
+];
+
+/**
+ * Link workout exercise entries to the exercise catalog
+ * Entries may reference a catalog exerciseId or give a legacy free-text name
+ * @param {Array<Object>} exercises - Exercise entries from the request body
+ * @returns {Promise<Array<Object>>} Entries with catalog ids and names filled in
+ */
+const resolveExercises = async (exercises) => {
+  const { exercises: resolved, unknownIds } = await Exercise.resolveWorkoutExercises(exercises);
+  
+  if (unknownIds.length > 0) {
+    logger.warn('Workout references unknown exercises', { unknownIds });
+    throw new AppError(`Exercise not found in catalog: ${unknownIds.join(', ')}`, 400);
+  }
+  
+  logger.info('Workout exercises resolved against catalog', {
+    count: resolved.length,
+    linked: resolved.filter((exercise) => exercise.exerciseId).length,
+  });
+  
+  return resolved;
+};
+
+/**
+ * Fill in caloriesBurned from the MET table when it was left out
+ * The estimate uses the owner's current weight and is not updated when the weight changes later
+ * @param {Object} data - Workout fields (updated in place)
+ * @param {Object} owner - User the workout belongs to
+ * @throws {AppError} 400 if calories are missing and the owner has no weight to estimate from
+ */
+const applyCalorieEstimate = (data, owner) => {
+  if (data.caloriesBurned !== undefined && data.caloriesBurned !== null) {
+    data.caloriesSource = 'user';
+    return;
+  }
+  
+  const estimate = estimateCaloriesBurned(data, owner.weight);
+  
+  if (!estimate) {
+    logger.warn('Calories missing and cannot be estimated', { userId: owner._id });
+    throw new AppError('caloriesBurned is required unless the user has a weight on their profile to estimate it from', 400);
+  }
+  
+  data.caloriesBurned = estimate.caloriesBurned;
+  data.caloriesSource = 'estimated';
+  
+  logger.info('Calories estimated from MET value', {
+    userId: owner._id,
+    exerciseType: data.exerciseType,
+    intensity: data.intensity,
+    met: estimate.met,
+    caloriesBurned: estimate.caloriesBurned,
+  });
+};
+
+/**
+ * Add the personal records a workout set to its API representation
+ * @param {Object} workout - Workout document
+ * @param {Array<Object>|null} records - The owner's rebuilt records
+ * @returns {Object} Workout JSON with a personalRecords array
+ */
+const withPersonalRecords = (workout, records) => {
+  const personalRecords = (records || []).filter((record) => record.workoutId.equals(workout._id));
+  
+  if (personalRecords.length > 0) {
+    logger.success('Workout set new personal records', {
+      workoutId: workout._id,
+      records: personalRecords.map((record) => record.type),
+    });
+  }
+  
+  return { ...workout.toJSON(), personalRecords };
+};
+
+/**
+ * Save a new workout, audit it and respond with any personal records it set
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} data - Workout fields
+ */
+const saveNewWorkout = async (req, res, data) => {
+  // Create workout in database
+  const workout = await Workout.create(data);
+  
+  logger.success('Workout created successfully', {
+    workoutId: workout._id,
+    userId: workout.userId,
+    title: workout.title,
+    templateId: workout.templateId,
+  });
+  
+  await recordAuditEvent(req, {
+    action: 'create',
+    resourceType: 'workout',
+    resourceId: workout._id,
+    targetUserId: workout.userId,
+    after: auditSnapshot(workout),
+  });
+  
+  const records = await recalculatePersonalRecords(workout.userId);
+  
+  // Send success response with 201 status (Created)
+  sendSuccess(res, 201, 'Workout created successfully', withPersonalRecords(workout, records));
+};
 
 /**
- * @desc    Create a new workout
+ * @desc    Create a new workout (the response lists any personal records it set)
  * @route   POST /api/v1/workouts
- * @access  Public
+ * @access  Protected (workout is owned by the authenticated user; 'workouts:write:any' may set userId)
  */
 const createWorkout = asyncHandler(async (req, res) => {
   logger.info('CREATE WORKOUT - Controller function started', {
@@ -23,7 +149,6 @@ const createWorkout = asyncHandler(async (req, res) => {
   
   // Extract workout data from request body
   const {
-    userId,
     title,
     exerciseType,
     duration,
@@ -31,10 +156,23 @@ const createWorkout = asyncHandler(async (req, res) => {
     intensity,
     notes,
     workoutDate,
+    distance,
     completed,
+    status,
     exercises,
   } = req.body;
   
+  // Workouts belong to the authenticated user unless a privileged user creates one for someone else
+  const userId = req.body.userId ? String(req.body.userId) : req.user._id.toString();
+  
+  if (userId !== req.user._id.toString() && !hasPermission(req.user, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to create workout for another user', {
+      userId: req.user._id,
+      targetUserId: userId,
+    });
+    throw new AppError('You can only create workouts for your own account', 403);
+  }
+  
   // Verify that the user exists before creating workout
   logger.info('Verifying user exists...', { userId });
   const userExists = await User.findById(userId);
@@ -44,10 +182,9 @@ const createWorkout = asyncHandler(async (req, res) => {
     throw new AppError('User not found. Cannot create workout for non-existent user.', 404);
   }
   
-  logger.info('User verified, creating workout in database...');
+  const resolvedExercises = exercises ? await resolveExercises(exercises) : [];
   
-  // Create workout in database
-  const workout = await Workout.create({
+  const data = {
     userId,
     title,
     exerciseType,
@@ -56,18 +193,89 @@ const createWorkout = asyncHandler(async (req, res) => {
     intensity,
     notes,
     workoutDate: workoutDate || new Date(),
+    distance,
     completed: completed !== undefined ? completed : true,
-    exercises: exercises || [],
+    status,
+    exercises: resolvedExercises,
+  };
+  
+  applyCalorieEstimate(data, userExists);
+  
+  logger.info('User verified, creating workout in database...');
+  
+  await saveNewWorkout(req, res, data);
+});
+
+/**
+ * @desc    Log a workout prefilled from a template
+ *          Body fields override the planned values; an exercises array replaces the
+ *          planned exercises with the actual ones
+ * @route   POST /api/v1/workouts/from-template/:templateId
+ * @access  Protected (template owner or 'workouts:write:any' permission)
+ */
+const createWorkoutFromTemplate = asyncHandler(async (req, res) => {
+  const { templateId } = req.params;
+  
+  logger.info('CREATE WORKOUT FROM TEMPLATE - Controller function started', {
+    templateId,
+    body: req.body,
   });
   
-  logger.success('Workout created successfully', {
-    workoutId: workout._id,
-    userId: workout.userId,
-    title: workout.title,
+  const template = await WorkoutTemplate.findById(templateId);
+  
+  if (!template) {
+    logger.warn('Workout template not found', { templateId });
+    throw new AppError('Workout template not found with the provided ID', 404);
+  }
+  
+  // The workout belongs to the template owner
+  if (!isOwnerOrPermitted(req.user, template.userId, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to use another user\'s workout template', {
+      templateId,
+      userId: req.user._id,
+      ownerId: template.userId,
+    });
+    throw new AppError('You are not allowed to use this workout template', 403);
+  }
+  
+  const overrides = {};
+  TEMPLATE_OVERRIDES.forEach((field) => {
+    overrides[field] = req.body[field];
   });
   
-  // Send success response with 201 status (Created)
-  sendSuccess(res, 201, 'Workout created successfully', workout);
+  if (Array.isArray(req.body.exercises)) {
+    overrides.exercises = await resolveExercises(req.body.exercises);
+  }
+  
+  const data = template.toWorkoutData(overrides);
+  
+  // Templates may leave out values a logged workout needs
+  if (data.duration === undefined) {
+    logger.warn('Workout from template is missing its duration', { templateId });
+    throw new AppError('The template has no planned duration; provide it in the request body', 400);
+  }
+  
+  if (data.caloriesBurned === undefined) {
+    const owner = await User.findById(template.userId);
+    
+    if (!owner) {
+      logger.warn('Template owner not found', { templateId, userId: template.userId });
+      throw new AppError('User not found. Cannot create workout for non-existent user.', 404);
+    }
+    applyCalorieEstimate(data, owner);
+  } else {
+    data.caloriesSource = 'user';
+  }
+  
+  data.workoutDate = data.workoutDate || new Date();
+  data.completed = data.completed !== undefined ? data.completed : true;
+  
+  logger.info('Creating workout from template...', {
+    templateId,
+    overriddenFields: Object.keys(overrides).filter((field) => overrides[field] !== undefined),
+  });
+  
+  await saveNewWorkout(req, res, data);
 });
 
 /**
@@ -107,6 +315,12 @@ const getAllWorkouts = asyncHandler(async (req, res) => {
     logger.info('Filtering by completed status', { completed: filter.completed });
   }
   
+  // Filter by lifecycle status if provided
+  if (req.query.status) {
+    filter.status = req.query.status;
+    logger.info('Filtering by status', { status: req.query.status });
+  }
+  
   // Date range filtering
   if (req.query.startDate || req.query.endDate) {
     filter.workoutDate = {};
@@ -194,7 +408,7 @@ const getWorkoutById = asyncHandler(async (req, res) => {
 /**
  * @desc    Update a workout
  * @route   PUT /api/v1/workouts/:id
- * @access  Public
+ * @access  Protected (owner or 'workouts:write:any' permission)
  */
 const updateWorkout = asyncHandler(async (req, res) => {
   const workoutId = req.params.id;
@@ -221,8 +435,28 @@ const updateWorkout = asyncHandler(async (req, res) => {
     throw new AppError('Workout not found with the provided ID', 404);
   }
   
+  // Only the owner or a privileged user may modify the workout
+  if (!isOwnerOrPermitted(req.user, workout.userId, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to update another user\'s workout', {
+      workoutId,
+      userId: req.user._id,
+      ownerId: workout.userId,
+    });
+    throw new AppError('You are not allowed to modify this workout', 403);
+  }
+  
   // If userId is being updated, verify the new user exists
   if (req.body.userId && req.body.userId !== workout.userId.toString()) {
+    // Reassigning ownership requires the 'workouts:write:any' permission
+    if (!hasPermission(req.user, 'workouts:write:any', getTokenScopes(req))) {
+      logger.security('Attempt to reassign workout ownership', {
+        workoutId,
+        userId: req.user._id,
+        newUserId: req.body.userId,
+      });
+      throw new AppError('You are not allowed to reassign a workout to another user', 403);
+    }
+    
     logger.info('User ID is being updated, verifying new user exists...', {
       oldUserId: workout.userId,
       newUserId: req.body.userId,
@@ -237,6 +471,13 @@ const updateWorkout = asyncHandler(async (req, res) => {
   
   logger.info('Workout found, applying updates...', { workoutId });
   
+  if (Array.isArray(req.body.exercises)) {
+    req.body.exercises = await resolveExercises(req.body.exercises);
+  }
+  
+  const before = auditSnapshot(workout);
+  const previousUserId = workout.userId;
+  
   // Update workout fields
   const allowedUpdates = [
     'userId',
@@ -247,7 +488,9 @@ const updateWorkout = asyncHandler(async (req, res) => {
     'intensity',
     'notes',
     'workoutDate',
+    'distance',
     'completed',
+    'status',
     'exercises',
   ];
   
@@ -258,6 +501,39 @@ const updateWorkout = asyncHandler(async (req, res) => {
     }
   });
   
+  // Entered calories replace an estimate; estimates follow the values they were made from
+  if (req.body.caloriesBurned !== undefined) {
+    workout.caloriesSource = 'user';
+  } else if (workout.caloriesSource === 'estimated'
+    && ESTIMATE_FIELDS.some((field) => req.body[field] !== undefined)) {
+    const owner = await User.findById(workout.userId);
+    const estimate = owner && estimateCaloriesBurned(workout, owner.weight);
+    
+    if (estimate) {
+      workout.caloriesBurned = estimate.caloriesBurned;
+      logger.info('Calorie estimate updated', { workoutId, met: estimate.met, caloriesBurned: estimate.caloriesBurned });
+    }
+  }
+  
+  // Status changes must follow the workout lifecycle
+  workout.syncStatus();
+  
+  if (!Workout.canChangeStatus(before.status, workout.status)) {
+    logger.warn('Invalid workout status change', {
+      workoutId,
+      from: before.status,
+      to: workout.status,
+    });
+    throw new AppError(`A ${before.status} workout cannot be changed to ${workout.status}`, 400);
+  }
+  
+  // Starting or finishing a session planned for later means it happens now
+  if (before.status === 'planned' && workout.status !== 'planned'
+    && req.body.workoutDate === undefined && workout.workoutDate > new Date()) {
+    workout.workoutDate = new Date();
+    logger.info('Planned workout started early, moved to the current date', { workoutId });
+  }
+  
   // Save updated workout
   logger.info('Saving updated workout to database...', { workoutId });
   await workout.save();
@@ -267,14 +543,29 @@ const updateWorkout = asyncHandler(async (req, res) => {
     updatedFields: Object.keys(req.body),
   });
   
+  await recordAuditEvent(req, {
+    action: 'update',
+    resourceType: 'workout',
+    resourceId: workout._id,
+    targetUserId: workout.userId,
+    before,
+    after: auditSnapshot(workout),
+  });
+  
+  // Records are rebuilt for both owners when the workout changed hands
+  const records = await recalculatePersonalRecords(workout.userId);
+  if (!previousUserId.equals(workout.userId)) {
+    await recalculatePersonalRecords(previousUserId);
+  }
+  
   // Send success response
-  sendSuccess(res, 200, 'Workout updated successfully', workout);
+  sendSuccess(res, 200, 'Workout updated successfully', withPersonalRecords(workout, records));
 });
 
 /**
  * @desc    Delete a workout
  * @route   DELETE /api/v1/workouts/:id
- * @access  Public
+ * @access  Protected (owner or 'workouts:write:any' permission)
  */
 const deleteWorkout = asyncHandler(async (req, res) => {
   const workoutId = req.params.id;
@@ -283,8 +574,8 @@ const deleteWorkout = asyncHandler(async (req, res) => {
   
   logger.info('Searching for workout to delete...', { workoutId });
   
-  // Find and delete workout in one operation
-  const workout = await Workout.findByIdAndDelete(workoutId);
+  // Find workout first so ownership can be checked before deleting
+  const workout = await Workout.findById(workoutId);
   
   // Check if workout exists
   if (!workout) {
@@ -292,12 +583,35 @@ const deleteWorkout = asyncHandler(async (req, res) => {
     throw new AppError('Workout not found with the provided ID', 404);
   }
   
+  // Only the owner or a privileged user may delete the workout
+  if (!isOwnerOrPermitted(req.user, workout.userId, 'workouts:write:any', getTokenScopes(req))) {
+    logger.security('Attempt to delete another user\'s workout', {
+      workoutId,
+      userId: req.user._id,
+      ownerId: workout.userId,
+    });
+    throw new AppError('You are not allowed to delete this workout', 403);
+  }
+  
+  await workout.deleteOne();
+  
   logger.success('Workout deleted successfully', {
     workoutId: workout._id,
     title: workout.title,
     userId: workout.userId,
   });
   
+  await recordAuditEvent(req, {
+    action: 'delete',
+    resourceType: 'workout',
+    resourceId: workout._id,
+    targetUserId: workout.userId,
+    before: auditSnapshot(workout),
+  });
+  
+  // Records this workout set fall back to the next best workouts
+  await recalculatePersonalRecords(workout.userId);
+  
   // Send success response
   sendSuccess(res, 200, 'Workout deleted successfully', {
     deletedWorkout: {
@@ -349,7 +663,7 @@ const getWorkoutsByUser = asyncHandler(async (req, res) => {
 /**
  * @desc    Get global workout statistics
  * @route   GET /api/v1/workouts/stats
- * @access  Public
+ * @access  Protected ('stats:global' permission)
  */
 const getWorkoutStats = asyncHandler(async (req, res) => {
   logger.info('GET GLOBAL WORKOUT STATS - Controller function started');
@@ -366,14 +680,22 @@ const getWorkoutStats = asyncHandler(async (req, res) => {
           completedWorkouts: {
             $sum: { $cond: ['$completed', 1, 0] }
           },
-          totalCalories: { $sum: '$caloriesBurned' },
-          totalDuration: { $sum: '$duration' },
-          avgDuration: { $avg: '$duration' },
-          avgCalories: { $avg: '$caloriesBurned' },
+          // Planned, skipped and unfinished workouts burned nothing yet
+          totalCalories: { $sum: { $cond: ['$completed', '$caloriesBurned', 0] } },
+          totalDuration: { $sum: { $cond: ['$completed', '$duration', 0] } },
+          avgDuration: { $avg: { $cond: ['$completed', '$duration', null] } },
+          avgCalories: { $avg: { $cond: ['$completed', '$caloriesBurned', null] } },
         },
       },
     ]);
     
+    // Compare planned with done: every workout dated up to now was due
+    const now = new Date();
+    const [dueByStatus, upcomingWorkouts] = await Promise.all([
+      Workout.countByStatus({ workoutDate: { $lte: now } }),
+      Workout.countDocuments({ status: 'planned', workoutDate: { $gt: now } }),
+    ]);
+    
     // Get statistics by exercise type
     const statsByType = await Workout.aggregate([
       { $match: { completed: true } },
@@ -451,9 +773,11 @@ const getWorkoutStats = asyncHandler(async (req, res) => {
         totalDuration: overallStats[0]?.totalDuration || 0,
         avgDuration: Math.round(overallStats[0]?.avgDuration || 0),
         avgCalories: Math.round(overallStats[0]?.avgCalories || 0),
-        completionRate: overallStats[0]?.totalWorkouts > 0
-          ? Math.round((overallStats[0].completedWorkouts / overallStats[0].totalWorkouts) * 100)
-          : 0,
+        skippedWorkouts: dueByStatus.skipped,
+        inProgressWorkouts: dueByStatus.in_progress,
+        missedWorkouts: dueByStatus.planned,
+        upcomingWorkouts,
+        completionRate: Workout.getCompletionRate(dueByStatus),
       },
       byExerciseType: statsByType,
       byIntensity: statsByIntensity,
@@ -478,10 +802,12 @@ const getWorkoutStats = asyncHandler(async (req, res) => {
 // Export all controller functions
 module.exports = {
   createWorkout,
+  createWorkoutFromTemplate,
   getAllWorkouts,
   getWorkoutById,
   updateWorkout,
   deleteWorkout,
   getWorkoutsByUser,
   getWorkoutStats,
+  applyCalorieEstimate,
 };
\ No newline at end of file
@@ -1,39 +1,143 @@
 /**
  * Authentication Middleware
- * Simple middleware to check if user is authenticated
+ * Checks that a user is authenticated and authorized (by ownership or role permissions)
  */
 
 const logger = require('../utils/logger');
+const { sendError } = require('../utils/apiResponse');
+const { getPermissionsForRoles } = require('../config/permissions');
+const { getBearerToken } = require('../utils/tokens');
+const { isJwt, verifyAccessToken } = require('../utils/jwt');
+const AccessToken = require('../models/AccessToken');
+const User = require('../models/User');
+
+/**
+ * Authenticate a request with a personal access token
+ * Sets req.user, req.authToken and req.authMethod on success
+ * @param {Object} req - Express request object
+ * @param {string} token - Plain bearer token
+ * @returns {Promise<boolean>} Whether the token was valid
+ */
+const authenticateAccessToken = async (req, token) => {
+  const accessToken = await AccessToken.findActiveByToken(token);
+  if (!accessToken) return false;
+
+  const user = await User.findById(accessToken.userId);
+  if (!user || !user.isActive) return false;
+
+  req.user = user;
+  req.authToken = accessToken;
+  req.authMethod = 'token';
+
+  // Track usage without blocking the request on the write
+  AccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: new Date() })
+    .catch((error) => logger.error('Failed to update access token usage', error));
+
+  return true;
+};
+
+/**
+ * Authenticate a request with a JWT access token
+ * Sets req.user, req.authClaims and req.authMethod on success
+ * Throws JsonWebTokenError / TokenExpiredError for bad tokens
+ * @param {Object} req - Express request object
+ * @param {string} token - Signed access token
+ * @returns {Promise<boolean>} Whether the token belongs to an active user
+ */
+const authenticateJwt = async (req, token) => {
+  const payload = verifyAccessToken(token);
+
+  const user = await User.findById(payload.sub);
+  if (!user || !user.isActive) return false;
+
+  req.user = user;
+  req.authClaims = payload;
+  req.authMethod = 'jwt';
+
+  return true;
+};
 
 /**
  * Check if user is authenticated
+ * Accepts the session cookie or an `Authorization: Bearer <token>` header
+ * carrying either a JWT access token or a personal access token
+ * Sessions still waiting for the two-factor code count as unauthenticated
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object  
  * @param {Function} next - Express next function
  */
-const requireAuth = (req, res, next) => {
+const requireAuth = async (req, res, next) => {
   logger.debug('Checking authentication', {
     isAuthenticated: req.isAuthenticated(),
     userId: req.user?._id,
     path: req.path
   });
 
-  if (req.isAuthenticated()) {
+  if (req.isAuthenticated() && !req.session?.twoFactor) {
     logger.debug('User is authenticated', { userId: req.user._id });
+    req.authMethod = 'session';
     return next();
   }
 
+  const bearerToken = getBearerToken(req);
+
+  if (bearerToken) {
+    try {
+      if (isJwt(bearerToken)) {
+        // Invalid or expired JWTs are turned into 401s by the error handler
+        if (await authenticateJwt(req, bearerToken)) {
+          logger.debug('User authenticated with JWT', { userId: req.user._id });
+          return next();
+        }
+      } else if (await authenticateAccessToken(req, bearerToken)) {
+        logger.debug('User authenticated with access token', {
+          userId: req.user._id,
+          tokenId: req.authToken._id,
+        });
+        return next();
+      }
+    } catch (error) {
+      return next(error);
+    }
+
+    logger.warn('Invalid access token used', {
+      path: req.path,
+      method: req.method,
+      ip: req.ip
+    });
+
+    return sendError(res, 401, 'Invalid or expired access token', [{
+      type: 'invalid_token',
+      message: 'The access token is invalid, expired or revoked',
+    }]);
+  }
+
+  // Half-authenticated: the first factor passed but the 2FA code has not been entered yet
+  if (req.session?.twoFactor) {
+    logger.warn('Access attempt with a half-authenticated session', {
+      path: req.path,
+      method: req.method,
+      ip: req.ip
+    });
+
+    return sendError(res, 401, 'Two-factor authentication required', [{
+      type: 'two_factor_required',
+      message: 'Enter the code from your authenticator app to finish logging in',
+      verifyUrl: '/auth/2fa/verify',
+    }]);
+  }
+
   logger.warn('Unauthenticated access attempt', {
     path: req.path,
     method: req.method,
     ip: req.ip
   });
 
-  return res.status(401).json({
-    success: false,
-    message: 'User not authenticated',
-    timestamp: new Date().toISOString()
-  });
+  return sendError(res, 401, 'User not authenticated', [{
+    type: 'authentication_required',
+    message: 'Please log in to access this resource',
+    loginUrl: '/auth/github',
+  }]);
 };
 
 /**
@@ -49,7 +153,162 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+/**
+ * Get the scopes a request is limited to
+ * @param {Object} req - Express request object
+ * @returns {Array<string>|null} Token scopes, or null for session requests (unrestricted)
+ */
+const getTokenScopes = (req) => (req.authToken ? req.authToken.scopes : null);
+
+/**
+ * Check if a user's roles grant a permission
+ * @param {Object} user - Authenticated user document
+ * @param {string} permission - Permission name (e.g. 'users:list')
+ * @param {Array<string>|null} scopes - Token scopes limiting the request (see getTokenScopes)
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission, scopes = null) => {
+  if (!user) return false;
+  if (scopes && !scopes.includes(permission)) return false;
+
+  const permissions = getPermissionsForRoles(user.roles || []);
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Check if a user has administrator rights
+ * @param {Object} user - Authenticated user document
+ * @returns {boolean}
+ */
+const isAdmin = (user) => !!(user && (user.roles || []).includes('admin'));
+
+/**
+ * Check if a user owns a resource or holds a permission that overrides ownership
+ * @param {Object} user - Authenticated user document
+ * @param {Object|string} ownerId - ID (or populated document) of the resource owner
+ * @param {string} permission - Permission allowing access to any user's resource
+ * @param {Array<string>|null} scopes - Token scopes limiting the request (see getTokenScopes)
+ * @returns {boolean}
+ */
+const isOwnerOrPermitted = (user, ownerId, permission, scopes = null) => {
+  if (!user || !ownerId) return false;
+  if (hasPermission(user, permission, scopes)) return true;
+
+  const ownerIdString = (ownerId._id || ownerId).toString();
+  return user._id.toString() === ownerIdString;
+};
+
+/**
+ * Send a 403 response for a denied request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} message - Explanation of the missing rights
+ * @param {string} type - Error type reported to the client
+ */
+const sendForbidden = (req, res, message, type = 'forbidden') => {
+  logger.security('Forbidden access attempt', {
+    userId: req.user?._id,
+    authMethod: req.authMethod,
+    path: req.path,
+    method: req.method,
+    ip: req.ip,
+  });
+
+  return sendError(res, 403, 'You are not allowed to access this resource', [{
+    type,
+    message,
+  }]);
+};
+
+/**
+ * Require one or more permissions granted by the user's roles
+ * Must be used after requireAuth
+ * @param {...string} permissions - Permissions the user must hold (all of them)
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const scopes = getTokenScopes(req);
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission, scopes));
+
+    if (missing.length === 0) {
+      logger.debug('User has required permissions', {
+        userId: req.user._id,
+        permissions,
+      });
+      return next();
+    }
+
+    return sendForbidden(req, res, `Missing permission: ${missing.join(', ')}`);
+  };
+};
+
+/**
+ * Only allow the user identified by a route parameter (or a user holding
+ * the given permission) through
+ * Must be used after requireAuth
+ * @param {string} paramName - Name of the route parameter holding the user ID
+ * @param {string} permission - Permission allowing access to any user
+ */
+const requireSelfOrPermission = (paramName = 'id', permission = 'users:write:any') => {
+  return (req, res, next) => {
+    const targetUserId = req.params[paramName];
+
+    if (isOwnerOrPermitted(req.user, targetUserId, permission, getTokenScopes(req))) {
+      logger.debug('User authorized for resource', {
+        userId: req.user._id,
+        targetUserId,
+      });
+      return next();
+    }
+
+    return sendForbidden(
+      req,
+      res,
+      `Only the account owner or a user with the '${permission}' permission can perform this action`
+    );
+  };
+};
+
+/**
+ * Require a token scope for requests authenticated with an access token
+ * Session requests are not limited by scopes
+ * Must be used after requireAuth
+ * @param {string} scope - Scope the token must hold (e.g. 'workouts:write')
+ */
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    const scopes = getTokenScopes(req);
+
+    if (!scopes || scopes.includes(scope)) {
+      return next();
+    }
+
+    return sendForbidden(req, res, `Access token is missing the '${scope}' scope`, 'insufficient_scope');
+  };
+};
+
+/**
+ * Only allow requests authenticated with a browser session
+ * Used for sensitive operations such as managing access tokens
+ * Must be used after requireAuth
+ */
+const requireSession = (req, res, next) => {
+  if (req.authMethod === 'session') {
+    return next();
+  }
+
+  return sendForbidden(req, res, 'This action requires an interactive login session', 'session_required');
+};
+
 module.exports = {
   requireAuth,
-  optionalAuth
-};
\ No newline at end of file
+  optionalAuth,
+  getTokenScopes,
+  hasPermission,
+  isAdmin,
+  isOwnerOrPermitted,
+  requirePermission,
+  requireSelfOrPermission,
+  requireScope,
+  requireSession,
+};
@@ -7,6 +7,157 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 const { sendValidationError } = require('../utils/apiResponse');
+const { ROLES, TOKEN_SCOPES } = require('../config/permissions');
+const { getPasswordPolicyError } = require('../utils/password');
+const { EXERCISE_CATEGORIES, MUSCLE_GROUPS, EQUIPMENT } = require('../config/exerciseLibrary');
+const { ONE_REP_MAX_FORMULAS } = require('../utils/oneRepMax');
+const { PROGRESS_BUCKETS } = require('../utils/progress');
+const { MAX_SCHEDULE_DAYS } = require('../utils/schedule');
+const { getRRuleError } = require('../utils/rrule');
+const { isValidTimeZone } = require('../utils/timezone');
+const { AUTO_FORMULA, SEXES, BMR_FORMULAS, isBmrFormula } = require('../utils/bmr');
+const { MEASUREMENT_METRICS } = require('../config/measurements');
+const { MAX_TREND_WINDOW_DAYS } = require('../utils/measurements');
+const { GOAL_TYPES, LIFT_RECORD_TYPES } = require('../config/goals');
+const { MEAL_TYPES, SERVING_UNITS } = require('../config/foodLibrary');
+const { NUTRIENTS, MAX_RANGE_DAYS, countDays } = require('../utils/nutrition');
+const { WELLNESS_METRICS } = require('../config/wellness');
+
+// Same limit as the Program model
+const MAX_PROGRAM_WEEKS = 52;
+
+// Calendar dates of the nutrition endpoints
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a YYYY-MM-DD calendar date
+ * @param {*} value - Value from the request
+ * @returns {boolean} Whether it is a real date in that format
+ */
+const isValidDateKey = (value) => {
+  if (typeof value !== 'string' || !DATE_KEY_REGEX.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Same pattern as the User model's email validator
+const EMAIL_REGEX = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+
+/**
+ * Check an email address
+ * @param {*} email - Value from the request body
+ * @returns {boolean} Whether it is a valid email string
+ */
+const isValidEmail = (email) => typeof email === 'string' && EMAIL_REGEX.test(email.trim());
+
+// Set types and tempo notation accepted by the Workout model
+const SET_TYPES = ['warm_up', 'working', 'drop', 'failure'];
+const TEMPO_REGEX = /^([0-9X]{4}|[0-9X](-[0-9X]){3})$/i;
+
+// Workout lifecycle statuses (see the Workout model)
+const WORKOUT_STATUSES = ['planned', 'in_progress', 'completed', 'skipped'];
+
+// Workout exercise types (see the Workout model)
+const EXERCISE_TYPES = [
+  'cardio', 'strength', 'flexibility', 'sports', 'yoga',
+  'pilates', 'hiit', 'crossfit', 'swimming', 'cycling',
+  'running', 'walking', 'other',
+];
+
+/**
+ * Check one logged set of a workout exercise
+ * @param {*} set - Set from the request body
+ * @param {string} path - Field path used in error messages
+ * @returns {Array<Object>} Validation errors
+ */
+const getSetErrors = (set, path) => {
+  if (!set || typeof set !== 'object' || Array.isArray(set)) {
+    return [{ field: path, message: 'Each set must be an object', value: set }];
+  }
+  
+  const errors = [];
+  
+  if (set.type !== undefined && !SET_TYPES.includes(set.type)) {
+    errors.push({
+      field: `${path}.type`,
+      message: `Set type must be one of: ${SET_TYPES.join(', ')}`,
+      value: set.type,
+    });
+  }
+  
+  if (!Number.isInteger(set.reps) || set.reps < 0) {
+    errors.push({
+      field: `${path}.reps`,
+      message: 'Reps are required and must be a non-negative integer',
+      value: set.reps,
+    });
+  }
+  
+  if (set.weight !== undefined && (typeof set.weight !== 'number' || set.weight < 0)) {
+    errors.push({
+      field: `${path}.weight`,
+      message: 'Weight must be a non-negative number',
+      value: set.weight,
+    });
+  }
+  
+  if (set.rpe !== undefined && (typeof set.rpe !== 'number' || set.rpe < 1 || set.rpe > 10)) {
+    errors.push({
+      field: `${path}.rpe`,
+      message: 'RPE must be a number between 1 and 10',
+      value: set.rpe,
+    });
+  }
+  
+  if (set.rir !== undefined && (!Number.isInteger(set.rir) || set.rir < 0 || set.rir > 10)) {
+    errors.push({
+      field: `${path}.rir`,
+      message: 'RIR must be an integer between 0 and 10',
+      value: set.rir,
+    });
+  }
+  
+  if (set.restSeconds !== undefined && (!Number.isInteger(set.restSeconds) || set.restSeconds < 0 || set.restSeconds > 3600)) {
+    errors.push({
+      field: `${path}.restSeconds`,
+      message: 'Rest must be an integer between 0 and 3600 seconds',
+      value: set.restSeconds,
+    });
+  }
+  
+  if (set.tempo !== undefined && (typeof set.tempo !== 'string' || !TEMPO_REGEX.test(set.tempo.trim()))) {
+    errors.push({
+      field: `${path}.tempo`,
+      message: 'Tempo must have four digits or X, e.g. "3-1-X-0" or "31X0"',
+      value: set.tempo,
+    });
+  }
+  
+  return errors;
+};
+
+/**
+ * Validate Calendar Date Parameter
+ * Ensures a route parameter is a real date in YYYY-MM-DD format
+ * @param {string} paramName - Name of the parameter to validate (e.g., 'date')
+ */
+const validateDateParam = (paramName) => {
+  return (req, res, next) => {
+    const value = req.params[paramName];
+    
+    logger.validation('Validating date parameter', { paramName, value });
+    
+    if (!isValidDateKey(value)) {
+      return sendValidationError(res, [{
+        field: paramName,
+        message: `${paramName} must be a date in YYYY-MM-DD format`,
+        value,
+      }], 'Invalid request parameters');
+    }
+    
+    next();
+  };
+};
 
 /**
  * Validate MongoDB ObjectId
@@ -59,7 +210,19 @@ const validateObjectId = (paramName) => {
  */
 const validateUser = (isUpdate = false) => {
   return (req, res, next) => {
-    const { name, email, age, weight, height, fitnessGoal, activityLevel } = req.body;
+    const {
+      name,
+      email,
+      age,
+      weight,
+      height,
+      sex,
+      bodyFatPercentage,
+      bmrFormula,
+      fitnessGoal,
+      activityLevel,
+      timezone,
+    } = req.body;
     const errors = [];
     
     logger.validation('Validating user data', {
@@ -143,6 +306,35 @@ const validateUser = (isUpdate = false) => {
       }
     }
     
+    // Validate sex
+    if (sex !== undefined && sex !== null && !SEXES.includes(sex)) {
+      errors.push({
+        field: 'sex',
+        message: `Sex must be one of: ${SEXES.join(', ')}`,
+        value: sex,
+      });
+    }
+    
+    // Validate body fat percentage
+    if (bodyFatPercentage !== undefined && bodyFatPercentage !== null) {
+      if (typeof bodyFatPercentage !== 'number' || bodyFatPercentage < 2 || bodyFatPercentage > 70) {
+        errors.push({
+          field: 'bodyFatPercentage',
+          message: 'Body fat percentage must be a number between 2 and 70',
+          value: bodyFatPercentage,
+        });
+      }
+    }
+    
+    // Validate BMR formula
+    if (bmrFormula !== undefined && bmrFormula !== null && !isBmrFormula(bmrFormula)) {
+      errors.push({
+        field: 'bmrFormula',
+        message: `BMR formula must be one of: ${[AUTO_FORMULA, ...Object.keys(BMR_FORMULAS)].join(', ')}`,
+        value: bmrFormula,
+      });
+    }
+    
     // Validate fitness goal
     if (fitnessGoal !== undefined && fitnessGoal !== null) {
       const validGoals = [
@@ -181,6 +373,17 @@ const validateUser = (isUpdate = false) => {
       }
     }
     
+    // Validate time zone
+    if (timezone !== undefined && timezone !== null) {
+      if (!isValidTimeZone(timezone)) {
+        errors.push({
+          field: 'timezone',
+          message: 'Time zone must be an IANA time zone name, e.g. Europe/Berlin',
+          value: timezone,
+        });
+      }
+    }
+    
     // Check if there are validation errors
     if (errors.length > 0) {
       logger.validation('User validation failed', {
@@ -212,6 +415,9 @@ const validateWorkout = (isUpdate = false) => {
       intensity,
       notes,
       workoutDate,
+      distance,
+      completed,
+      status,
       exercises,
     } = req.body;
     
@@ -224,14 +430,8 @@ const validateWorkout = (isUpdate = false) => {
       hasDuration: !!duration,
     });
     
-    // Validate userId
-    if (!isUpdate && !userId) {
-      errors.push({
-        field: 'userId',
-        message: 'User ID is required',
-        value: userId,
-      });
-    } else if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+    // Validate userId (optional - defaults to the authenticated user)
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
       errors.push({
         field: 'userId',
         message: 'Invalid User ID format',
@@ -270,16 +470,10 @@ const validateWorkout = (isUpdate = false) => {
         value: exerciseType,
       });
     } else if (exerciseType) {
-      const validTypes = [
-        'cardio', 'strength', 'flexibility', 'sports', 'yoga',
-        'pilates', 'hiit', 'crossfit', 'swimming', 'cycling',
-        'running', 'walking', 'other',
-      ];
-      
-      if (!validTypes.includes(exerciseType)) {
+      if (!EXERCISE_TYPES.includes(exerciseType)) {
         errors.push({
           field: 'exerciseType',
-          message: `Exercise type must be one of: ${validTypes.join(', ')}`,
+          message: `Exercise type must be one of: ${EXERCISE_TYPES.join(', ')}`,
           value: exerciseType,
         });
       }
@@ -302,14 +496,8 @@ const validateWorkout = (isUpdate = false) => {
       }
     }
     
-    // Validate calories burned
-    if (!isUpdate && (caloriesBurned === undefined || caloriesBurned === null)) {
-      errors.push({
-        field: 'caloriesBurned',
-        message: 'Calories burned is required',
-        value: caloriesBurned,
-      });
-    } else if (caloriesBurned !== undefined && caloriesBurned !== null) {
+    // Validate calories burned (estimated from MET values when left out)
+    if (caloriesBurned !== undefined && caloriesBurned !== null) {
       if (typeof caloriesBurned !== 'number' || caloriesBurned < 1 || caloriesBurned > 5000) {
         errors.push({
           field: 'caloriesBurned',
@@ -342,13 +530,52 @@ const validateWorkout = (isUpdate = false) => {
       }
     }
     
+    // Validate distance
+    if (distance !== undefined && distance !== null) {
+      if (typeof distance !== 'number' || distance < 0.01 || distance > 1000) {
+        errors.push({
+          field: 'distance',
+          message: 'Distance must be a number between 0.01 and 1000 km',
+          value: distance,
+        });
+      }
+    }
+    
+    // Validate status
+    if (status !== undefined && !WORKOUT_STATUSES.includes(status)) {
+      errors.push({
+        field: 'status',
+        message: `Status must be one of: ${WORKOUT_STATUSES.join(', ')}`,
+        value: status,
+      });
+    }
+    
+    if (completed !== undefined && typeof completed !== 'boolean') {
+      errors.push({
+        field: 'completed',
+        message: 'Completed must be a boolean',
+        value: completed,
+      });
+    }
+    
     // Validate workout date
+    // Only planned workouts may be in the future; on updates that leave the
+    // status alone, the stored status decides
     if (workoutDate !== undefined && workoutDate !== null) {
       const date = new Date(workoutDate);
-      if (isNaN(date.getTime()) || date > new Date()) {
+      const statusGiven = status !== undefined || completed !== undefined;
+      const isPlanned = status === 'planned' || (status === undefined && completed === false);
+      
+      if (isNaN(date.getTime())) {
+        errors.push({
+          field: 'workoutDate',
+          message: 'Workout date must be a valid date',
+          value: workoutDate,
+        });
+      } else if (date > new Date() && !isPlanned && (statusGiven || !isUpdate)) {
         errors.push({
           field: 'workoutDate',
-          message: 'Workout date must be a valid date and cannot be in the future',
+          message: 'Only planned workouts can be dated in the future',
           value: workoutDate,
         });
       }
@@ -364,10 +591,18 @@ const validateWorkout = (isUpdate = false) => {
         });
       } else {
         exercises.forEach((exercise, index) => {
-          if (!exercise.name || typeof exercise.name !== 'string' || exercise.name.trim().length === 0) {
+          // Entries reference the catalog by exerciseId, or give a (legacy) free-text name
+          if (exercise.exerciseId !== undefined && !mongoose.Types.ObjectId.isValid(exercise.exerciseId)) {
+            errors.push({
+              field: `exercises[${index}].exerciseId`,
+              message: 'Exercise ID must be a valid MongoDB ObjectId',
+              value: exercise.exerciseId,
+            });
+          } else if (exercise.exerciseId === undefined
+            && (!exercise.name || typeof exercise.name !== 'string' || exercise.name.trim().length === 0)) {
             errors.push({
               field: `exercises[${index}].name`,
-              message: 'Exercise name is required and must be a non-empty string',
+              message: 'Exercise name is required (as a non-empty string) when no exerciseId is given',
               value: exercise.name,
             });
           }
@@ -395,6 +630,21 @@ const validateWorkout = (isUpdate = false) => {
               value: exercise.weight,
             });
           }
+          
+          // Validate individually logged sets
+          if (exercise.setDetails !== undefined) {
+            if (!Array.isArray(exercise.setDetails) || exercise.setDetails.length > 100) {
+              errors.push({
+                field: `exercises[${index}].setDetails`,
+                message: 'Set details must be an array of at most 100 sets',
+                value: exercise.setDetails,
+              });
+            } else {
+              exercise.setDetails.forEach((set, setIndex) => {
+                errors.push(...getSetErrors(set, `exercises[${index}].setDetails[${setIndex}]`));
+              });
+            }
+          }
         });
       }
     }
@@ -475,12 +725,1793 @@ const validateQueryParams = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate Role
+ * Ensures the role in the request body or route parameters is a known role
+ */
+const validateRole = (req, res, next) => {
+  const role = req.params.role || req.body.role;
+  
+  logger.validation('Validating role', { role });
+  
+  if (!role || !ROLES.includes(role)) {
+    logger.validation('Role validation failed', { role });
+    
+    return sendValidationError(res, [{
+      field: 'role',
+      message: `Role must be one of: ${ROLES.join(', ')}`,
+      value: role,
+    }], 'Role validation failed');
+  }
+  
+  logger.validation('Role validation passed', { role });
+  next();
+};
+
+/**
+ * Validate Access Token Data
+ * Validates input for creating a personal access token
+ */
+const validateAccessToken = (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+  const errors = [];
+  
+  logger.validation('Validating access token data', {
+    hasName: !!name,
+    scopes,
+    expiresInDays,
+  });
+  
+  // Validate name
+  if (!name || typeof name !== 'string' || name.trim().length < 3 || name.trim().length > 50) {
+    errors.push({
+      field: 'name',
+      message: 'Token name is required and must be between 3 and 50 characters',
+      value: name,
+    });
+  }
+  
+  // Validate scopes
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.push({
+      field: 'scopes',
+      message: 'Scopes must be a non-empty array',
+      value: scopes,
+    });
+  } else {
+    scopes.forEach((scope, index) => {
+      if (!TOKEN_SCOPES.includes(scope)) {
+        errors.push({
+          field: `scopes[${index}]`,
+          message: `Scope must be one of: ${TOKEN_SCOPES.join(', ')}`,
+          value: scope,
+        });
+      }
+    });
+  }
+  
+  // Validate expiry
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365) {
+      errors.push({
+        field: 'expiresInDays',
+        message: 'Expiry must be a whole number of days between 1 and 365',
+        value: expiresInDays,
+      });
+    }
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Access token validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Access token validation failed');
+  }
+  
+  logger.validation('Access token validation passed successfully');
+  next();
+};
+
+/**
+ * Validate Refresh Token Request
+ * Checks that a refresh token was sent in the request body
+ */
+const validateRefreshToken = (req, res, next) => {
+  const { refreshToken } = req.body;
+  const errors = [];
+  
+  logger.validation('Validating refresh token request', {
+    hasRefreshToken: !!refreshToken,
+  });
+  
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    errors.push({
+      field: 'refreshToken',
+      message: 'Refresh token is required',
+      value: undefined,
+    });
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Refresh token validation failed');
+    return sendValidationError(res, errors, 'Refresh token validation failed');
+  }
+  
+  logger.validation('Refresh token validation passed successfully');
+  next();
+};
+
+/**
+ * Validate Registration Data
+ * Validates name, email and password for local sign-up
+ * Password values are never echoed back in errors
+ */
+const validateRegistration = (req, res, next) => {
+  const { name, email, password } = req.body;
+  const errors = [];
+  
+  logger.validation('Validating registration data', {
+    hasName: !!name,
+    hasEmail: !!email,
+    hasPassword: !!password,
+  });
+  
+  if (!name || typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 50) {
+    errors.push({
+      field: 'name',
+      message: 'Name is required and must be between 2 and 50 characters',
+      value: name,
+    });
+  }
+  
+  if (!isValidEmail(email)) {
+    errors.push({
+      field: 'email',
+      message: 'A valid email address is required',
+      value: email,
+    });
+  }
+  
+  const passwordError = getPasswordPolicyError(password);
+  if (passwordError) {
+    errors.push({
+      field: 'password',
+      message: passwordError,
+    });
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Registration validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(e => e.field),
+    });
+    return sendValidationError(res, errors, 'Registration validation failed');
+  }
+  
+  logger.validation('Registration validation passed successfully');
+  next();
+};
+
+/**
+ * Validate Login Data
+ * Checks that an email and password were sent
+ */
+const validateLogin = (req, res, next) => {
+  const { email, password } = req.body;
+  const errors = [];
+  
+  logger.validation('Validating login data', { hasEmail: !!email });
+  
+  if (!isValidEmail(email)) {
+    errors.push({
+      field: 'email',
+      message: 'A valid email address is required',
+      value: email,
+    });
+  }
+  
+  if (!password || typeof password !== 'string') {
+    errors.push({
+      field: 'password',
+      message: 'Password is required',
+    });
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Login validation failed', { fields: errors.map(e => e.field) });
+    return sendValidationError(res, errors, 'Login validation failed');
+  }
+  
+  next();
+};
+
+/**
+ * Validate Password Change Data
+ * The current password is checked by the controller (it is optional for accounts without one)
+ */
+const validatePasswordChange = (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+  const errors = [];
+  
+  logger.validation('Validating password change', { hasCurrentPassword: !!currentPassword });
+  
+  if (currentPassword !== undefined && typeof currentPassword !== 'string') {
+    errors.push({
+      field: 'currentPassword',
+      message: 'Current password must be a string',
+    });
+  }
+  
+  const passwordError = getPasswordPolicyError(newPassword);
+  if (passwordError) {
+    errors.push({
+      field: 'newPassword',
+      message: passwordError,
+    });
+  } else if (newPassword === currentPassword) {
+    errors.push({
+      field: 'newPassword',
+      message: 'New password must be different from the current password',
+    });
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Password change validation failed', { fields: errors.map(e => e.field) });
+    return sendValidationError(res, errors, 'Password change validation failed');
+  }
+  
+  next();
+};
+
+/**
+ * Validate Password Reset Request
+ * Checks the email the reset token should be sent to
+ */
+const validatePasswordResetRequest = (req, res, next) => {
+  const { email } = req.body;
+  
+  logger.validation('Validating password reset request', { hasEmail: !!email });
+  
+  if (!isValidEmail(email)) {
+    return sendValidationError(res, [{
+      field: 'email',
+      message: 'A valid email address is required',
+      value: email,
+    }], 'Password reset validation failed');
+  }
+  
+  next();
+};
+
+/**
+ * Validate Email Verification Data
+ * Checks the token from the verification email
+ */
+const validateEmailVerification = (req, res, next) => {
+  const { token } = req.body;
+  
+  logger.validation('Validating email verification', { hasToken: !!token });
+  
+  if (!token || typeof token !== 'string') {
+    return sendValidationError(res, [{
+      field: 'token',
+      message: 'Verification token is required',
+    }], 'Email verification validation failed');
+  }
+  
+  next();
+};
+
+/**
+ * Validate Password Reset Data
+ * Checks the reset token and the new password
+ */
+const validatePasswordReset = (req, res, next) => {
+  const { token, password } = req.body;
+  const errors = [];
+  
+  logger.validation('Validating password reset', { hasToken: !!token });
+  
+  if (!token || typeof token !== 'string') {
+    errors.push({
+      field: 'token',
+      message: 'Reset token is required',
+    });
+  }
+  
+  const passwordError = getPasswordPolicyError(password);
+  if (passwordError) {
+    errors.push({
+      field: 'password',
+      message: passwordError,
+    });
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Password reset validation failed', { fields: errors.map(e => e.field) });
+    return sendValidationError(res, errors, 'Password reset validation failed');
+  }
+  
+  next();
+};
+
+/**
+ * Validate Two-Factor Code
+ * Requires a 6-digit TOTP `code`, or (when allowed) a `recoveryCode` instead
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowRecoveryCode - Accept a recovery code instead of a TOTP code
+ */
+const validateTwoFactorCode = ({ allowRecoveryCode = false } = {}) => {
+  return (req, res, next) => {
+    const { code, recoveryCode } = req.body;
+    
+    logger.validation('Validating two-factor code', {
+      hasCode: !!code,
+      hasRecoveryCode: !!recoveryCode,
+    });
+    
+    if (allowRecoveryCode && !code && recoveryCode) {
+      if (typeof recoveryCode !== 'string') {
+        return sendValidationError(res, [{
+          field: 'recoveryCode',
+          message: 'Recovery code must be a string',
+        }], 'Two-factor validation failed');
+      }
+      return next();
+    }
+    
+    if (!code || !/^\d{6}$/.test(String(code).replace(/\s/g, ''))) {
+      return sendValidationError(res, [{
+        field: 'code',
+        message: allowRecoveryCode
+          ? 'A 6-digit code from your authenticator app or a recovery code is required'
+          : 'A 6-digit code from your authenticator app is required',
+      }], 'Two-factor validation failed');
+    }
+    
+    next();
+  };
+};
+
+/**
+ * Validate Audit Log Query
+ * Validates the filters accepted by the audit log endpoints
+ */
+const validateAuditQuery = (req, res, next) => {
+  const { action, resourceType, resourceId, actorId, targetUserId, from, to } = req.query;
+  const errors = [];
+  
+  logger.validation('Validating audit log query', req.query);
+  
+  const validActions = ['create', 'update', 'delete'];
+  if (action !== undefined && !validActions.includes(action)) {
+    errors.push({
+      field: 'action',
+      message: `Action must be one of: ${validActions.join(', ')}`,
+      value: action,
+    });
+  }
+  
+  const validResourceTypes = ['user', 'workout'];
+  if (resourceType !== undefined && !validResourceTypes.includes(resourceType)) {
+    errors.push({
+      field: 'resourceType',
+      message: `Resource type must be one of: ${validResourceTypes.join(', ')}`,
+      value: resourceType,
+    });
+  }
+  
+  // ID filters must be valid ObjectIds
+  Object.entries({ resourceId, actorId, targetUserId }).forEach(([field, value]) => {
+    if (value !== undefined && !mongoose.Types.ObjectId.isValid(value)) {
+      errors.push({
+        field,
+        message: `Invalid ${field} format. Must be a valid MongoDB ObjectId.`,
+        value,
+      });
+    }
+  });
+  
+  // Date range filters
+  Object.entries({ from, to }).forEach(([field, value]) => {
+    if (value !== undefined && isNaN(new Date(value).getTime())) {
+      errors.push({
+        field,
+        message: `${field} must be a valid date`,
+        value,
+      });
+    }
+  });
+  
+  if (errors.length > 0) {
+    logger.validation('Audit log query validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Invalid audit log query');
+  }
+  
+  logger.validation('Audit log query validation passed');
+  next();
+};
+
+/**
+ * Validate Exercise Data
+ * Validates catalog exercises for create and update operations
+ * @param {boolean} isUpdate - Whether this is an update operation (makes fields optional)
+ */
+const validateExercise = (isUpdate = false) => {
+  return (req, res, next) => {
+    const { name, aliases, category, muscleGroups, equipment, metValue, description } = req.body;
+    const errors = [];
+    
+    logger.validation('Validating exercise data', {
+      isUpdate,
+      name,
+      category,
+    });
+    
+    if (!isUpdate || name !== undefined) {
+      if (!name || typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 100) {
+        errors.push({
+          field: 'name',
+          message: 'Name is required and must be between 2 and 100 characters',
+          value: name,
+        });
+      }
+    }
+    
+    if (!isUpdate || category !== undefined) {
+      if (!EXERCISE_CATEGORIES.includes(category)) {
+        errors.push({
+          field: 'category',
+          message: `Category must be one of: ${EXERCISE_CATEGORIES.join(', ')}`,
+          value: category,
+        });
+      }
+    }
+    
+    if (aliases !== undefined) {
+      if (!Array.isArray(aliases) || aliases.some((alias) => typeof alias !== 'string' || alias.trim().length === 0)) {
+        errors.push({
+          field: 'aliases',
+          message: 'Aliases must be an array of non-empty strings',
+          value: aliases,
+        });
+      }
+    }
+    
+    // Both list fields are checked against their allowed values
+    Object.entries({ muscleGroups: MUSCLE_GROUPS, equipment: EQUIPMENT }).forEach(([field, allowed]) => {
+      const value = req.body[field];
+      if (value === undefined) return;
+      
+      if (!Array.isArray(value) || value.some((item) => !allowed.includes(item))) {
+        errors.push({
+          field,
+          message: `${field} must be an array of: ${allowed.join(', ')}`,
+          value,
+        });
+      }
+    });
+    
+    if (metValue !== undefined && (typeof metValue !== 'number' || metValue < 1 || metValue > 25)) {
+      errors.push({
+        field: 'metValue',
+        message: 'MET value must be a number between 1 and 25',
+        value: metValue,
+      });
+    }
+    
+    if (description !== undefined && (typeof description !== 'string' || description.length > 1000)) {
+      errors.push({
+        field: 'description',
+        message: 'Description must be a string of at most 1000 characters',
+        value: description,
+      });
+    }
+    
+    if (errors.length > 0) {
+      logger.validation('Exercise validation failed', {
+        errorCount: errors.length,
+        fields: errors.map(err => err.field),
+      });
+      
+      return sendValidationError(res, errors, 'Exercise validation failed');
+    }
+    
+    logger.validation('Exercise validation passed successfully');
+    next();
+  };
+};
+
+/**
+ * Validate Exercise Catalog Query
+ * Validates the filters accepted by GET /api/v1/exercises
+ */
+const validateExerciseQuery = (req, res, next) => {
+  const { category, muscleGroup, equipment } = req.query;
+  const errors = [];
+  
+  logger.validation('Validating exercise catalog query', req.query);
+  
+  Object.entries({
+    category: [category, EXERCISE_CATEGORIES],
+    muscleGroup: [muscleGroup, MUSCLE_GROUPS],
+    equipment: [equipment, EQUIPMENT],
+  }).forEach(([field, [value, allowed]]) => {
+    if (value !== undefined && !allowed.includes(value)) {
+      errors.push({
+        field,
+        message: `${field} must be one of: ${allowed.join(', ')}`,
+        value,
+      });
+    }
+  });
+  
+  if (errors.length > 0) {
+    logger.validation('Exercise catalog query validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Invalid exercise catalog query');
+  }
+  
+  logger.validation('Exercise catalog query validation passed');
+  next();
+};
+
+/**
+ * Validate Personal Record Query
+ * Validates the filters accepted by GET /api/v1/users/:id/records
+ */
+const validateRecordQuery = (req, res, next) => {
+  const { type, exercise, history } = req.query;
+  const errors = [];
+  
+  logger.validation('Validating personal record query', req.query);
+  
+  const validTypes = ['heaviest_weight', 'estimated_1rm', 'most_reps', 'longest_duration', 'best_pace'];
+  if (type !== undefined && !validTypes.includes(type)) {
+    errors.push({
+      field: 'type',
+      message: `Type must be one of: ${validTypes.join(', ')}`,
+      value: type,
+    });
+  }
+  
+  if (exercise !== undefined && (typeof exercise !== 'string' || exercise.trim().length === 0 || exercise.length > 100)) {
+    errors.push({
+      field: 'exercise',
+      message: 'Exercise must be an exercise ID or a name of at most 100 characters',
+      value: exercise,
+    });
+  }
+  
+  if (history !== undefined && !['true', 'false'].includes(history)) {
+    errors.push({
+      field: 'history',
+      message: 'History must be "true" or "false"',
+      value: history,
+    });
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Personal record query validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Invalid personal record query');
+  }
+  
+  logger.validation('Personal record query validation passed');
+  next();
+};
+
+/**
+ * Validate Exercise Progress Query
+ * Validates the exercise and options accepted by GET /api/v1/users/:id/exercises/:exercise/progress
+ */
+const validateProgressQuery = (req, res, next) => {
+  const { exercise } = req.params;
+  const { formula, bucket, from, to } = req.query;
+  const errors = [];
+  
+  logger.validation('Validating exercise progress query', { exercise, ...req.query });
+  
+  if (!exercise || exercise.trim().length === 0 || exercise.length > 100 || !/[a-z0-9]/i.test(exercise)) {
+    errors.push({
+      field: 'exercise',
+      message: 'Exercise must be an exercise ID or a name of at most 100 characters',
+      value: exercise,
+    });
+  }
+  
+  const formulas = Object.keys(ONE_REP_MAX_FORMULAS);
+  if (formula !== undefined && !formulas.includes(formula)) {
+    errors.push({
+      field: 'formula',
+      message: `Formula must be one of: ${formulas.join(', ')}`,
+      value: formula,
+    });
+  }
+  
+  if (bucket !== undefined && !PROGRESS_BUCKETS.includes(bucket)) {
+    errors.push({
+      field: 'bucket',
+      message: `Bucket must be one of: ${PROGRESS_BUCKETS.join(', ')}`,
+      value: bucket,
+    });
+  }
+  
+  // Date range filters
+  Object.entries({ from, to }).forEach(([field, value]) => {
+    if (value !== undefined && isNaN(new Date(value).getTime())) {
+      errors.push({
+        field,
+        message: `${field} must be a valid date`,
+        value,
+      });
+    }
+  });
+  
+  if (errors.length > 0) {
+    logger.validation('Exercise progress query validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Invalid exercise progress query');
+  }
+  
+  logger.validation('Exercise progress query validation passed');
+  next();
+};
+
+/**
+ * Validate Schedule Query
+ * Validates the date range accepted by GET /api/v1/users/:id/schedule
+ */
+const validateScheduleQuery = (req, res, next) => {
+  const { from, to } = req.query;
+  const errors = [];
+  
+  logger.validation('Validating schedule query', req.query);
+  
+  Object.entries({ from, to }).forEach(([field, value]) => {
+    if (value !== undefined && isNaN(new Date(value).getTime())) {
+      errors.push({
+        field,
+        message: `${field} must be a valid date`,
+        value,
+      });
+    }
+  });
+  
+  // A missing from defaults to today, so a lone to is limited too
+  if (errors.length === 0 && to !== undefined) {
+    const days = (new Date(to) - (from !== undefined ? new Date(from) : new Date())) / (24 * 60 * 60 * 1000);
+    
+    if (days < 0) {
+      errors.push({
+        field: 'to',
+        message: 'to must not be before from',
+        value: to,
+      });
+    } else if (days > MAX_SCHEDULE_DAYS) {
+      errors.push({
+        field: 'to',
+        message: `A schedule can cover at most ${MAX_SCHEDULE_DAYS} days`,
+        value: to,
+      });
+    }
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Schedule query validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Invalid schedule query');
+  }
+  
+  logger.validation('Schedule query validation passed');
+  next();
+};
+
+/**
+ * Validate Workout Template Data
+ * Templates take the workout fields except the date, distance and completion status;
+ * only title and exercise type are required when creating one
+ * @param {boolean} isUpdate - Whether this is an update operation (makes fields optional)
+ */
+const validateTemplate = (isUpdate = false) => {
+  const validateFields = validateWorkout(true);
+  
+  return (req, res, next) => {
+    const errors = [];
+    
+    logger.validation('Validating workout template data', {
+      isUpdate,
+      hasTitle: !!req.body.title,
+      hasExerciseType: !!req.body.exerciseType,
+    });
+    
+    if (!isUpdate) {
+      ['title', 'exerciseType'].forEach((field) => {
+        if (!req.body[field]) {
+          errors.push({
+            field,
+            message: `${field === 'title' ? 'Template title' : 'Exercise type'} is required`,
+            value: req.body[field],
+          });
+        }
+      });
+    }
+    
+    // Logged-workout fields have no meaning for a template
+    ['workoutDate', 'distance', 'completed', 'status'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        errors.push({
+          field,
+          message: `${field} cannot be set on a template`,
+          value: req.body[field],
+        });
+      }
+    });
+    
+    if (errors.length > 0) {
+      logger.validation('Workout template validation failed', {
+        errorCount: errors.length,
+        fields: errors.map(err => err.field),
+      });
+      
+      return sendValidationError(res, errors, 'Workout template validation failed');
+    }
+    
+    // Field formats are the same as for workouts
+    validateFields(req, res, next);
+  };
+};
+
+/**
+ * Validate Recurring Schedule Data
+ * Schedules take the planned workout fields plus a recurrence rule and start date;
+ * on update, an optional `from` query parameter picks the first occurrence to change
+ * @param {boolean} isUpdate - Whether this is an update operation (makes fields optional)
+ */
+const validateSchedule = (isUpdate = false) => {
+  const validateFields = validateWorkout(true);
+  
+  return (req, res, next) => {
+    const { rrule, startDate, templateId, timezone } = req.body;
+    const errors = [];
+    
+    logger.validation('Validating recurring schedule data', {
+      isUpdate,
+      rrule,
+      startDate,
+    });
+    
+    if (!isUpdate && !rrule) {
+      errors.push({
+        field: 'rrule',
+        message: 'Recurrence rule is required',
+        value: rrule,
+      });
+    } else if (rrule !== undefined && getRRuleError(rrule)) {
+      errors.push({
+        field: 'rrule',
+        message: getRRuleError(rrule),
+        value: rrule,
+      });
+    }
+    
+    if (startDate !== undefined && isNaN(new Date(startDate).getTime())) {
+      errors.push({
+        field: 'startDate',
+        message: 'Start date must be a valid date',
+        value: startDate,
+      });
+    }
+    
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      errors.push({
+        field: 'timezone',
+        message: 'Time zone must be an IANA time zone name, e.g. Europe/Berlin',
+        value: timezone,
+      });
+    }
+    
+    if (isUpdate && req.query.from !== undefined && isNaN(new Date(req.query.from).getTime())) {
+      errors.push({
+        field: 'from',
+        message: 'from must be a valid date',
+        value: req.query.from,
+      });
+    }
+    
+    if (templateId !== undefined && (isUpdate || !mongoose.Types.ObjectId.isValid(templateId))) {
+      errors.push({
+        field: 'templateId',
+        message: isUpdate ? 'templateId can only be given when creating a schedule' : 'templateId must be a valid ID',
+        value: templateId,
+      });
+    }
+    
+    // Each occurrence gets its own date and status
+    ['workoutDate', 'distance', 'completed', 'status'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        errors.push({
+          field,
+          message: `${field} cannot be set on a schedule`,
+          value: req.body[field],
+        });
+      }
+    });
+    
+    if (errors.length > 0) {
+      logger.validation('Recurring schedule validation failed', {
+        errorCount: errors.length,
+        fields: errors.map(err => err.field),
+      });
+      
+      return sendValidationError(res, errors, 'Recurring schedule validation failed');
+    }
+    
+    // Field formats are the same as for workouts
+    validateFields(req, res, next);
+  };
+};
+
+/**
+ * Validate Schedule Exception Data
+ * An exception skips the occurrence on one date
+ */
+const validateScheduleException = (req, res, next) => {
+  const { date, reason } = req.body;
+  const errors = [];
+  
+  logger.validation('Validating schedule exception', req.body);
+  
+  if (date === undefined || isNaN(new Date(date).getTime())) {
+    errors.push({
+      field: 'date',
+      message: 'date is required and must be a valid date',
+      value: date,
+    });
+  }
+  
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+    errors.push({
+      field: 'reason',
+      message: 'Reason must be a string of at most 200 characters',
+      value: reason,
+    });
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Schedule exception validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Invalid schedule exception');
+  }
+  
+  logger.validation('Schedule exception validation passed');
+  next();
+};
+
+/**
+ * Validate Training Program Data
+ * Checks the week structure and progression rules; templates are checked by the controller
+ * @param {boolean} isUpdate - Whether this is an update operation (makes fields optional)
+ */
+const validateProgram = (isUpdate = false) => {
+  return (req, res, next) => {
+    const { title, description, weeks, progression } = req.body;
+    const errors = [];
+    
+    logger.validation('Validating training program data', {
+      isUpdate,
+      hasTitle: !!title,
+      weekCount: Array.isArray(weeks) ? weeks.length : undefined,
+    });
+    
+    if (!isUpdate || title !== undefined) {
+      if (typeof title !== 'string' || title.trim().length < 3 || title.trim().length > 100) {
+        errors.push({
+          field: 'title',
+          message: 'Program title is required and must be 3 to 100 characters long',
+          value: title,
+        });
+      }
+    }
+    
+    if (description !== undefined && (typeof description !== 'string' || description.length > 1000)) {
+      errors.push({
+        field: 'description',
+        message: 'Description must be a string of at most 1000 characters',
+        value: description,
+      });
+    }
+    
+    if (!isUpdate || weeks !== undefined) {
+      if (!Array.isArray(weeks) || weeks.length < 1 || weeks.length > MAX_PROGRAM_WEEKS) {
+        errors.push({
+          field: 'weeks',
+          message: `weeks must be an array of 1 to ${MAX_PROGRAM_WEEKS} weeks`,
+          value: weeks,
+        });
+      } else {
+        weeks.forEach((week, weekIndex) => {
+          const path = `weeks[${weekIndex}].days`;
+          
+          if (!week || !Array.isArray(week.days)) {
+            errors.push({ field: path, message: 'Each week must have a days array', value: week });
+            return;
+          }
+          
+          week.days.forEach((slot, slotIndex) => {
+            if (!slot || !Number.isInteger(slot.day) || slot.day < 1 || slot.day > 7) {
+              errors.push({
+                field: `${path}[${slotIndex}].day`,
+                message: 'Day must be an integer between 1 and 7',
+                value: slot && slot.day,
+              });
+            }
+            
+            if (!slot || !mongoose.Types.ObjectId.isValid(slot.templateId)) {
+              errors.push({
+                field: `${path}[${slotIndex}].templateId`,
+                message: 'templateId must be a valid ID',
+                value: slot && slot.templateId,
+              });
+            }
+          });
+          
+          if (new Set(week.days.map((slot) => slot && slot.day)).size !== week.days.length) {
+            errors.push({
+              field: path,
+              message: 'A week can only have one workout per day',
+              value: week.days.map((slot) => slot && slot.day),
+            });
+          }
+        });
+      }
+    }
+    
+    if (progression !== undefined) {
+      const { weightIncrement, deloadEvery, deloadFactor } = progression || {};
+      
+      if (weightIncrement !== undefined && (typeof weightIncrement !== 'number' || weightIncrement < 0 || weightIncrement > 50)) {
+        errors.push({
+          field: 'progression.weightIncrement',
+          message: 'Weight increment must be a number between 0 and 50 kg',
+          value: weightIncrement,
+        });
+      }
+      
+      if (deloadEvery !== undefined && deloadEvery !== null
+        && (!Number.isInteger(deloadEvery) || deloadEvery < 2 || deloadEvery > MAX_PROGRAM_WEEKS)) {
+        errors.push({
+          field: 'progression.deloadEvery',
+          message: `Deload interval must be a whole number of weeks between 2 and ${MAX_PROGRAM_WEEKS}`,
+          value: deloadEvery,
+        });
+      }
+      
+      if (deloadFactor !== undefined && (typeof deloadFactor !== 'number' || deloadFactor < 0.1 || deloadFactor > 1)) {
+        errors.push({
+          field: 'progression.deloadFactor',
+          message: 'Deload factor must be a number between 0.1 and 1',
+          value: deloadFactor,
+        });
+      }
+    }
+    
+    if (errors.length > 0) {
+      logger.validation('Training program validation failed', {
+        errorCount: errors.length,
+        fields: errors.map(err => err.field),
+      });
+      
+      return sendValidationError(res, errors, 'Training program validation failed');
+    }
+    
+    logger.validation('Training program validation passed');
+    next();
+  };
+};
+
+/**
+ * Validate Program Enrollment Data
+ */
+const validateEnrollment = (req, res, next) => {
+  const { userId, startDate } = req.body;
+  const errors = [];
+  
+  logger.validation('Validating program enrollment', req.body);
+  
+  if (userId !== undefined && !mongoose.Types.ObjectId.isValid(userId)) {
+    errors.push({
+      field: 'userId',
+      message: 'userId must be a valid ID',
+      value: userId,
+    });
+  }
+  
+  if (startDate !== undefined && isNaN(new Date(startDate).getTime())) {
+    errors.push({
+      field: 'startDate',
+      message: 'Start date must be a valid date',
+      value: startDate,
+    });
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Program enrollment validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Invalid program enrollment');
+  }
+  
+  logger.validation('Program enrollment validation passed');
+  next();
+};
+
+/**
+ * Validate Body Measurement Data
+ * Metrics and their ranges come from config/measurements.js; on update a
+ * metric may be null to remove it from the entry
+ * @param {boolean} isUpdate - Whether this is an update operation
+ */
+const validateMeasurement = (isUpdate = false) => {
+  return (req, res, next) => {
+    const { measuredAt, notes } = req.body;
+    const errors = [];
+    
+    logger.validation('Validating body measurement', { isUpdate, fields: Object.keys(req.body) });
+    
+    const metrics = Object.keys(MEASUREMENT_METRICS);
+    
+    if (!isUpdate && !metrics.some((metric) => req.body[metric] !== undefined && req.body[metric] !== null)) {
+      errors.push({
+        field: 'metrics',
+        message: `Provide at least one of: ${metrics.join(', ')}`,
+      });
+    }
+    
+    Object.entries(MEASUREMENT_METRICS).forEach(([metric, { label, unit, min, max }]) => {
+      const value = req.body[metric];
+      if (value === undefined || (isUpdate && value === null)) return;
+      
+      if (typeof value !== 'number' || value < min || value > max) {
+        errors.push({
+          field: metric,
+          message: `${label} must be a number between ${min} and ${max} ${unit}`,
+          value,
+        });
+      }
+    });
+    
+    if (measuredAt !== undefined) {
+      const date = new Date(measuredAt);
+      if (isNaN(date.getTime())) {
+        errors.push({
+          field: 'measuredAt',
+          message: 'measuredAt must be a valid date',
+          value: measuredAt,
+        });
+      } else if (date > new Date()) {
+        errors.push({
+          field: 'measuredAt',
+          message: 'Measurements cannot be dated in the future',
+          value: measuredAt,
+        });
+      }
+    }
+    
+    if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 500)) {
+      errors.push({
+        field: 'notes',
+        message: 'Notes must be text of at most 500 characters',
+      });
+    }
+    
+    if (errors.length > 0) {
+      logger.validation('Body measurement validation failed', {
+        errorCount: errors.length,
+        fields: errors.map(err => err.field),
+      });
+      
+      return sendValidationError(res, errors, 'Body measurement validation failed');
+    }
+    
+    logger.validation('Body measurement validation passed');
+    next();
+  };
+};
+
+/**
+ * Validate Measurement Trend Query
+ * Validates the metric, smoothing and date range of GET /api/v1/users/:id/measurements/trends
+ */
+const validateMeasurementQuery = (req, res, next) => {
+  const { metric, window, alpha, from, to } = req.query;
+  const errors = [];
+  
+  logger.validation('Validating measurement query', req.query);
+  
+  const metrics = Object.keys(MEASUREMENT_METRICS);
+  if (metric !== undefined && !metrics.includes(metric)) {
+    errors.push({
+      field: 'metric',
+      message: `Metric must be one of: ${metrics.join(', ')}`,
+      value: metric,
+    });
+  }
+  
+  if (window !== undefined && (!/^\d+$/.test(window) || parseInt(window) < 1 || parseInt(window) > MAX_TREND_WINDOW_DAYS)) {
+    errors.push({
+      field: 'window',
+      message: `Window must be a whole number of days between 1 and ${MAX_TREND_WINDOW_DAYS}`,
+      value: window,
+    });
+  }
+  
+  if (alpha !== undefined && (isNaN(Number(alpha)) || Number(alpha) <= 0 || Number(alpha) > 1)) {
+    errors.push({
+      field: 'alpha',
+      message: 'Alpha must be a number greater than 0 and at most 1',
+      value: alpha,
+    });
+  }
+  
+  Object.entries({ from, to }).forEach(([field, value]) => {
+    if (value !== undefined && isNaN(new Date(value).getTime())) {
+      errors.push({
+        field,
+        message: `${field} must be a valid date`,
+        value,
+      });
+    }
+  });
+  
+  if (errors.length > 0) {
+    logger.validation('Measurement query validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Invalid measurement query');
+  }
+  
+  logger.validation('Measurement query validation passed');
+  next();
+};
+
+/**
+ * Validate Goal Data
+ * The target range depends on the goal type (see config/goals.js); the type
+ * and exercise are fixed once a goal is created
+ * @param {boolean} isUpdate - Whether this is an update operation
+ */
+const validateGoal = (isUpdate = false) => {
+  return (req, res, next) => {
+    const { title, target, startValue, startDate, deadline, exerciseType, recordType, exercise, notes } = req.body;
+    const errors = [];
+    
+    logger.validation('Validating goal', { isUpdate, type: req.body.type, target });
+    
+    const types = Object.keys(GOAL_TYPES);
+    const type = req.body.type;
+    
+    if (isUpdate) {
+      ['type', 'exercise'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          errors.push({
+            field,
+            message: `${field} cannot be changed - create a new goal instead`,
+            value: req.body[field],
+          });
+        }
+      });
+    } else if (!types.includes(type)) {
+      errors.push({
+        field: 'type',
+        message: `Goal type must be one of: ${types.join(', ')}`,
+        value: type,
+      });
+    }
+    
+    if (!isUpdate && target === undefined) {
+      errors.push({
+        field: 'target',
+        message: 'Goal target is required',
+      });
+    } else if (target !== undefined) {
+      const config = GOAL_TYPES[type];
+      if (typeof target !== 'number' || target <= 0) {
+        errors.push({
+          field: 'target',
+          message: 'Target must be a positive number',
+          value: target,
+        });
+      } else if (config && (target < config.min || target > config.max || (config.integer && !Number.isInteger(target)))) {
+        errors.push({
+          field: 'target',
+          message: `${config.label} must be ${config.integer ? 'a whole number' : 'a number'} between ${config.min} and ${config.max} ${config.unit}`,
+          value: target,
+        });
+      }
+    }
+    
+    if (startValue !== undefined && startValue !== null && (typeof startValue !== 'number' || startValue < 0)) {
+      errors.push({
+        field: 'startValue',
+        message: 'Start value must be a number of at least 0',
+        value: startValue,
+      });
+    }
+    
+    Object.entries({ startDate, deadline }).forEach(([field, value]) => {
+      if (value !== undefined && value !== null && isNaN(new Date(value).getTime())) {
+        errors.push({
+          field,
+          message: `${field} must be a valid date`,
+          value,
+        });
+      }
+    });
+    
+    if (!isUpdate && type === 'lift' && (typeof exercise !== 'string' || exercise.trim().length === 0 || exercise.length > 100)) {
+      errors.push({
+        field: 'exercise',
+        message: 'Lift goals need an exercise ID or a name of at most 100 characters',
+        value: exercise,
+      });
+    }
+    
+    if (!isUpdate && type && type !== 'lift' && exercise !== undefined) {
+      errors.push({
+        field: 'exercise',
+        message: 'Only lift goals take an exercise',
+        value: exercise,
+      });
+    }
+    
+    if (exerciseType !== undefined && exerciseType !== null) {
+      if (!isUpdate && !['distance', 'workout_frequency'].includes(type)) {
+        errors.push({
+          field: 'exerciseType',
+          message: 'Only distance and workout frequency goals take an exercise type',
+          value: exerciseType,
+        });
+      } else if (!EXERCISE_TYPES.includes(exerciseType)) {
+        errors.push({
+          field: 'exerciseType',
+          message: `Exercise type must be one of: ${EXERCISE_TYPES.join(', ')}`,
+          value: exerciseType,
+        });
+      }
+    }
+    
+    if (recordType !== undefined && recordType !== null) {
+      if (!isUpdate && type !== 'lift') {
+        errors.push({
+          field: 'recordType',
+          message: 'Only lift goals take a record type',
+          value: recordType,
+        });
+      } else if (!LIFT_RECORD_TYPES.includes(recordType)) {
+        errors.push({
+          field: 'recordType',
+          message: `Record type must be one of: ${LIFT_RECORD_TYPES.join(', ')}`,
+          value: recordType,
+        });
+      }
+    }
+    
+    if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > 100)) {
+      errors.push({
+        field: 'title',
+        message: 'Title must be text of at most 100 characters',
+      });
+    }
+    
+    if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 500)) {
+      errors.push({
+        field: 'notes',
+        message: 'Notes must be text of at most 500 characters',
+      });
+    }
+    
+    if (errors.length > 0) {
+      logger.validation('Goal validation failed', {
+        errorCount: errors.length,
+        fields: errors.map(err => err.field),
+      });
+      
+      return sendValidationError(res, errors, 'Goal validation failed');
+    }
+    
+    logger.validation('Goal validation passed');
+    next();
+  };
+};
+
+/**
+ * Validate Goal Query
+ * Validates the type filter of GET /api/v1/users/:id/goals
+ */
+const validateGoalQuery = (req, res, next) => {
+  const { type } = req.query;
+  const types = Object.keys(GOAL_TYPES);
+  
+  logger.validation('Validating goal query', req.query);
+  
+  if (type !== undefined && !types.includes(type)) {
+    return sendValidationError(res, [{
+      field: 'type',
+      message: `Goal type must be one of: ${types.join(', ')}`,
+      value: type,
+    }], 'Invalid goal query');
+  }
+  
+  logger.validation('Goal query validation passed');
+  next();
+};
+
+/**
+ * Validate Food Data
+ * Nutrition is per serving: calories in kcal, protein, carbs and fat in grams
+ * @param {boolean} isUpdate - Whether this is an update operation
+ */
+const validateFood = (isUpdate = false) => {
+  return (req, res, next) => {
+    const { name, brand, servingSize, servingUnit, calories, isStandard } = req.body;
+    const errors = [];
+    
+    logger.validation('Validating food', { isUpdate, name });
+    
+    if (!isUpdate || name !== undefined) {
+      if (typeof name !== 'string' || name.trim().length < 2 || name.trim().length > 100) {
+        errors.push({
+          field: 'name',
+          message: 'Food name must be between 2 and 100 characters',
+          value: name,
+        });
+      }
+    }
+    
+    if (brand !== undefined && brand !== null && (typeof brand !== 'string' || brand.length > 100)) {
+      errors.push({
+        field: 'brand',
+        message: 'Brand must be text of at most 100 characters',
+        value: brand,
+      });
+    }
+    
+    if (!isUpdate || servingSize !== undefined) {
+      if (typeof servingSize !== 'number' || servingSize < 0.1) {
+        errors.push({
+          field: 'servingSize',
+          message: 'Serving size must be a number of at least 0.1',
+          value: servingSize,
+        });
+      }
+    }
+    
+    if (!isUpdate || servingUnit !== undefined) {
+      if (!SERVING_UNITS.includes(servingUnit)) {
+        errors.push({
+          field: 'servingUnit',
+          message: `Serving unit must be one of: ${SERVING_UNITS.join(', ')}`,
+          value: servingUnit,
+        });
+      }
+    }
+    
+    if (!isUpdate && calories === undefined) {
+      errors.push({
+        field: 'calories',
+        message: 'Calories per serving are required',
+      });
+    }
+    
+    NUTRIENTS.forEach((nutrient) => {
+      const value = req.body[nutrient];
+      const max = nutrient === 'calories' ? 5000 : 1000;
+      if (value !== undefined && (typeof value !== 'number' || value < 0 || value > max)) {
+        errors.push({
+          field: nutrient,
+          message: `${nutrient} per serving must be a number between 0 and ${max}`,
+          value,
+        });
+      }
+    });
+    
+    if (isStandard !== undefined && (isUpdate || typeof isStandard !== 'boolean')) {
+      errors.push({
+        field: 'isStandard',
+        message: isUpdate ? 'isStandard cannot be changed' : 'isStandard must be true or false',
+        value: isStandard,
+      });
+    }
+    
+    if (errors.length > 0) {
+      logger.validation('Food validation failed', {
+        errorCount: errors.length,
+        fields: errors.map(err => err.field),
+      });
+      
+      return sendValidationError(res, errors, 'Food validation failed');
+    }
+    
+    logger.validation('Food validation passed');
+    next();
+  };
+};
+
+/**
+ * Validate Food Query
+ * Validates the source filter of GET /api/v1/foods
+ */
+const validateFoodQuery = (req, res, next) => {
+  const { source } = req.query;
+  
+  logger.validation('Validating food query', req.query);
+  
+  if (source !== undefined && !['standard', 'custom'].includes(source)) {
+    return sendValidationError(res, [{
+      field: 'source',
+      message: 'Source must be one of: standard, custom',
+      value: source,
+    }], 'Invalid food query');
+  }
+  
+  logger.validation('Food query validation passed');
+  next();
+};
+
+/**
+ * Validate Food Log Entry Data
+ * An entry either picks a food from the database (foodId) and takes its
+ * nutrition from it, or names the food and gives the nutrition eaten
+ * @param {boolean} isUpdate - Whether this is an update operation
+ */
+const validateFoodLogEntry = (isUpdate = false) => {
+  return (req, res, next) => {
+    const { foodId, foodName, meal, servings, eatenAt, calories, notes } = req.body;
+    const errors = [];
+    
+    logger.validation('Validating food log entry', { isUpdate, foodId, meal });
+    
+    if (isUpdate && foodId !== undefined) {
+      errors.push({
+        field: 'foodId',
+        message: 'foodId cannot be changed - log a new entry instead',
+        value: foodId,
+      });
+    } else if (foodId !== undefined && !mongoose.Types.ObjectId.isValid(foodId)) {
+      errors.push({
+        field: 'foodId',
+        message: 'foodId must be a valid food ID',
+        value: foodId,
+      });
+    }
+    
+    if (!isUpdate && foodId !== undefined) {
+      ['foodName', ...NUTRIENTS].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          errors.push({
+            field,
+            message: `${field} comes from the food database when a foodId is given`,
+            value: req.body[field],
+          });
+        }
+      });
+    }
+    
+    if (!isUpdate && foodId === undefined) {
+      if (foodName === undefined) {
+        errors.push({
+          field: 'foodName',
+          message: 'Provide a foodId from the food database, or a foodName with its calories',
+        });
+      }
+      if (calories === undefined) {
+        errors.push({
+          field: 'calories',
+          message: 'Calories are required for foods not picked from the food database',
+        });
+      }
+    }
+    
+    if (foodName !== undefined && (typeof foodName !== 'string' || foodName.trim().length === 0 || foodName.length > 100)) {
+      errors.push({
+        field: 'foodName',
+        message: 'Food name must be between 1 and 100 characters',
+        value: foodName,
+      });
+    }
+    
+    if (!isUpdate || meal !== undefined) {
+      if (!MEAL_TYPES.includes(meal)) {
+        errors.push({
+          field: 'meal',
+          message: `Meal must be one of: ${MEAL_TYPES.join(', ')}`,
+          value: meal,
+        });
+      }
+    }
+    
+    if (servings !== undefined && (typeof servings !== 'number' || servings < 0.01 || servings > 100)) {
+      errors.push({
+        field: 'servings',
+        message: 'Servings must be a number greater than 0 and at most 100',
+        value: servings,
+      });
+    }
+    
+    NUTRIENTS.forEach((nutrient) => {
+      const value = req.body[nutrient];
+      if (value !== undefined && (typeof value !== 'number' || value < 0 || value > 20000)) {
+        errors.push({
+          field: nutrient,
+          message: `${nutrient} must be a number between 0 and 20000`,
+          value,
+        });
+      }
+    });
+    
+    if (eatenAt !== undefined) {
+      const date = new Date(eatenAt);
+      if (isNaN(date.getTime())) {
+        errors.push({
+          field: 'eatenAt',
+          message: 'eatenAt must be a valid date',
+          value: eatenAt,
+        });
+      } else if (date > new Date()) {
+        errors.push({
+          field: 'eatenAt',
+          message: 'Food cannot be logged in the future',
+          value: eatenAt,
+        });
+      }
+    }
+    
+    if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 500)) {
+      errors.push({
+        field: 'notes',
+        message: 'Notes must be text of at most 500 characters',
+      });
+    }
+    
+    if (errors.length > 0) {
+      logger.validation('Food log entry validation failed', {
+        errorCount: errors.length,
+        fields: errors.map(err => err.field),
+      });
+      
+      return sendValidationError(res, errors, 'Food log entry validation failed');
+    }
+    
+    logger.validation('Food log entry validation passed');
+    next();
+  };
+};
+
+/**
+ * Validate Nutrition Query
+ * Validates the from/to days (YYYY-MM-DD, in the user's time zone) and meal
+ * filter of the food log, nutrition and energy balance endpoints
+ */
+const validateNutritionQuery = (req, res, next) => {
+  const { from, to, meal } = req.query;
+  const errors = [];
+  
+  logger.validation('Validating nutrition query', req.query);
+  
+  Object.entries({ from, to }).forEach(([field, value]) => {
+    if (value !== undefined && !isValidDateKey(value)) {
+      errors.push({
+        field,
+        message: `${field} must be a date in YYYY-MM-DD format`,
+        value,
+      });
+    }
+  });
+  
+  if (errors.length === 0 && from !== undefined && to !== undefined) {
+    if (from > to) {
+      errors.push({
+        field: 'to',
+        message: 'to must not be before from',
+        value: to,
+      });
+    } else if (countDays(from, to) > MAX_RANGE_DAYS) {
+      errors.push({
+        field: 'to',
+        message: `The range cannot span more than ${MAX_RANGE_DAYS} days`,
+        value: to,
+      });
+    }
+  }
+  
+  if (meal !== undefined && !MEAL_TYPES.includes(meal)) {
+    errors.push({
+      field: 'meal',
+      message: `Meal must be one of: ${MEAL_TYPES.join(', ')}`,
+      value: meal,
+    });
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Nutrition query validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Invalid nutrition query');
+  }
+  
+  logger.validation('Nutrition query validation passed');
+  next();
+};
+
+/**
+ * Validate Wellness Entry Data
+ * Metrics and their ranges come from config/wellness.js; a metric may be
+ * null to remove it from an existing entry
+ */
+const validateWellnessEntry = (req, res, next) => {
+  const { notes } = req.body;
+  const errors = [];
+  
+  logger.validation('Validating wellness entry', { date: req.params.date, fields: Object.keys(req.body) });
+  
+  const metrics = Object.keys(WELLNESS_METRICS);
+  const unknown = Object.keys(req.body).filter((field) => !metrics.includes(field) && field !== 'notes');
+  
+  unknown.forEach((field) => {
+    errors.push({
+      field,
+      message: `Unknown wellness field. Use: ${metrics.join(', ')}, notes`,
+    });
+  });
+  
+  if (unknown.length === 0 && Object.keys(req.body).length === 0) {
+    errors.push({
+      field: 'metrics',
+      message: `Provide at least one of: ${metrics.join(', ')}`,
+    });
+  }
+  
+  Object.entries(WELLNESS_METRICS).forEach(([metric, { label, unit, min, max, integer }]) => {
+    const value = req.body[metric];
+    if (value === undefined || value === null) return;
+    
+    if (typeof value !== 'number' || value < min || value > max || (integer && !Number.isInteger(value))) {
+      errors.push({
+        field: metric,
+        message: `${label} must be ${integer ? 'a whole number' : 'a number'} between ${min} and ${max} ${unit}`,
+        value,
+      });
+    }
+  });
+  
+  if (notes !== undefined && notes !== null && (typeof notes !== 'string' || notes.length > 500)) {
+    errors.push({
+      field: 'notes',
+      message: 'Notes must be text of at most 500 characters',
+    });
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Wellness entry validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Wellness entry validation failed');
+  }
+  
+  logger.validation('Wellness entry validation passed');
+  next();
+};
+
+/**
+ * Validate Wellness Query
+ * Validates the from/to range of GET /api/v1/users/:id/wellness and the
+ * date of GET /api/v1/users/:id/readiness (all YYYY-MM-DD)
+ */
+const validateWellnessQuery = (req, res, next) => {
+  const { from, to, date } = req.query;
+  const errors = [];
+  
+  logger.validation('Validating wellness query', req.query);
+  
+  Object.entries({ from, to, date }).forEach(([field, value]) => {
+    if (value !== undefined && !isValidDateKey(value)) {
+      errors.push({
+        field,
+        message: `${field} must be a date in YYYY-MM-DD format`,
+        value,
+      });
+    }
+  });
+  
+  if (errors.length === 0 && from !== undefined && to !== undefined && from > to) {
+    errors.push({
+      field: 'to',
+      message: 'to must not be before from',
+      value: to,
+    });
+  }
+  
+  if (errors.length > 0) {
+    logger.validation('Wellness query validation failed', {
+      errorCount: errors.length,
+      fields: errors.map(err => err.field),
+    });
+    
+    return sendValidationError(res, errors, 'Invalid wellness query');
+  }
+  
+  logger.validation('Wellness query validation passed');
+  next();
+};
+
 /**
  * Export all validation middleware
  */
 module.exports = {
   validateObjectId,
+  validateDateParam,
   validateUser,
   validateWorkout,
   validateQueryParams,
+  validateRole,
+  validateAccessToken,
+  validateRefreshToken,
+  validateRegistration,
+  validateLogin,
+  validatePasswordChange,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateTwoFactorCode,
+  validateAuditQuery,
+  validateExercise,
+  validateExerciseQuery,
+  validateRecordQuery,
+  validateProgressQuery,
+  validateTemplate,
+  validateScheduleQuery,
+  validateSchedule,
+  validateScheduleException,
+  validateProgram,
+  validateEnrollment,
+  validateMeasurement,
+  validateMeasurementQuery,
+  validateGoal,
+  validateGoalQuery,
+  validateFood,
+  validateFoodQuery,
+  validateFoodLogEntry,
+  validateNutritionQuery,
+  validateWellnessEntry,
+  validateWellnessQuery,
 };
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * Access Token Model
+ * Personal access tokens for scripted API access (CLI scripts, watch integrations)
+ * Only a SHA-256 hash of each token is stored
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { TOKEN_SCOPES } = require('../config/permissions');
+const { hashToken } = require('../utils/tokens');
+
+// Define the AccessToken schema
+const accessTokenSchema = new mongoose.Schema(
+  {
+    // Owner of the token
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+
+    // Human readable name (e.g. "Garmin sync")
+    name: {
+      type: String,
+      required: [true, 'Token name is required'],
+      trim: true,
+      minlength: [3, 'Token name must be at least 3 characters long'],
+      maxlength: [50, 'Token name cannot exceed 50 characters'],
+    },
+
+    // SHA-256 hash of the token - the plain token is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // First characters of the token, to help users recognise it
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+
+    // What the token may be used for
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: TOKEN_SCOPES,
+            message: '{VALUE} is not a valid token scope',
+          },
+        },
+      ],
+      default: [],
+    },
+
+    // When the token stops working
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+    },
+
+    // Last time the token authenticated a request
+    lastUsedAt: {
+      type: Date,
+    },
+
+    // Set when the token is revoked
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output - never expose the hash
+    toJSON: {
+      virtuals: true,
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+// Virtual property: Whether the token can still be used
+accessTokenSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Index for listing a user's tokens
+accessTokenSchema.index({ userId: 1, createdAt: -1 });
+
+// Static method: Find an active token by its plain value
+accessTokenSchema.statics.findActiveByToken = async function (token) {
+  logger.database('Looking up access token');
+
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Create and export the AccessToken model
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+
+// Log model creation
+logger.database('AccessToken model created and registered');
+
+module.exports = AccessToken;
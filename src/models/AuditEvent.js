@@ -0,0 +1,125 @@
+/**
+ * Audit Event Model
+ * Append-only record of every data-changing operation on users and workouts
+ * Each event stores who made the change, what it touched and the fields that changed
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// Operations that are audited
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+// Resources that are audited
+const AUDIT_RESOURCE_TYPES = ['user', 'workout'];
+
+// A single changed field - before is absent on create, after is absent on delete
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { _id: false }
+);
+
+// Define the AuditEvent schema
+const auditEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: [true, 'Action is required'],
+      enum: {
+        values: AUDIT_ACTIONS,
+        message: '{VALUE} is not a valid audit action',
+      },
+    },
+
+    resourceType: {
+      type: String,
+      required: [true, 'Resource type is required'],
+      enum: {
+        values: AUDIT_RESOURCE_TYPES,
+        message: '{VALUE} is not a valid audit resource type',
+      },
+    },
+
+    // ID of the user or workout that changed
+    resourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Resource ID is required'],
+    },
+
+    // Account the change belongs to (the user itself, or the workout owner)
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // User who made the change - absent for anonymous requests such as sign-up
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // How the actor authenticated (session, token or jwt)
+    actorAuthMethod: {
+      type: String,
+    },
+
+    // Fields that changed, with their previous and new values
+    changes: {
+      type: [changeSchema],
+      default: [],
+    },
+
+    // Request details
+    ip: {
+      type: String,
+    },
+
+    userAgent: {
+      type: String,
+    },
+
+    requestId: {
+      type: String,
+    },
+  },
+  {
+    // Only createdAt - audit events are never updated
+    timestamps: { createdAt: true, updatedAt: false },
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for the admin log, per-user history and per-resource lookups
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ targetUserId: 1, createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ resourceType: 1, resourceId: 1, createdAt: -1 });
+auditEventSchema.index({ requestId: 1 });
+
+// Create and export the AuditEvent model
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+// Log model creation
+logger.database('AuditEvent model created and registered');
+
+module.exports = AuditEvent;
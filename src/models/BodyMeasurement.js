@@ -0,0 +1,83 @@
+/**
+ * BodyMeasurement Model
+ * One dated entry in a user's body measurement history (weight, body fat,
+ * circumferences, resting heart rate)
+ * The latest weight and body fat are copied to the user profile
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { MEASUREMENT_METRICS } = require('../config/measurements');
+
+// One optional number per metric in config/measurements.js
+const metricFields = Object.fromEntries(
+  Object.entries(MEASUREMENT_METRICS).map(([metric, { label, unit, min, max }]) => [metric, {
+    type: Number,
+    min: [min, `${label} must be at least ${min} ${unit}`],
+    max: [max, `${label} cannot exceed ${max} ${unit}`],
+  }])
+);
+
+// Define the BodyMeasurement schema
+const bodyMeasurementSchema = new mongoose.Schema(
+  {
+    // User the measurement belongs to
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+
+    // When the measurement was taken
+    measuredAt: {
+      type: Date,
+      required: [true, 'Measurement date is required'],
+      default: Date.now,
+      validate: {
+        validator: (value) => value <= new Date(),
+        message: 'Measurements cannot be dated in the future',
+      },
+    },
+
+    ...metricFields,
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// A measurement has to record something
+bodyMeasurementSchema.pre('validate', function (next) {
+  const hasMetric = Object.keys(MEASUREMENT_METRICS).some((metric) => typeof this[metric] === 'number');
+
+  if (!hasMetric) {
+    this.invalidate('measuredAt', `A measurement needs at least one of: ${Object.keys(MEASUREMENT_METRICS).join(', ')}`);
+  }
+  next();
+});
+
+// Index for a user's history, newest first
+bodyMeasurementSchema.index({ userId: 1, measuredAt: -1 });
+
+// Create and export the BodyMeasurement model
+const BodyMeasurement = mongoose.model('BodyMeasurement', bodyMeasurementSchema);
+
+// Log model creation
+logger.database('BodyMeasurement model created and registered');
+
+module.exports = BodyMeasurement;
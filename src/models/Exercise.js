@@ -0,0 +1,234 @@
+/**
+ * Exercise Model
+ * Catalog of exercises that workouts reference by ID
+ * Names and aliases are matched case- and punctuation-insensitively, so
+ * "Bench Press", "bench press" and "Bench" resolve to the same exercise
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const {
+  EXERCISE_CATEGORIES,
+  MUSCLE_GROUPS,
+  EQUIPMENT,
+  STANDARD_EXERCISES,
+} = require('../config/exerciseLibrary');
+
+/**
+ * Normalize an exercise name for matching
+ * Lowercases, drops punctuation and collapses whitespace ("Push-Up" -> "push up")
+ * @param {string} name - Exercise name or alias
+ * @returns {string} Match key
+ */
+const normalizeExerciseName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+// Define the Exercise schema
+const exerciseSchema = new mongoose.Schema(
+  {
+    // Display name
+    name: {
+      type: String,
+      required: [true, 'Exercise name is required'],
+      trim: true,
+      minlength: [2, 'Exercise name must be at least 2 characters long'],
+      maxlength: [100, 'Exercise name cannot exceed 100 characters'],
+    },
+
+    // Alternative names that resolve to this exercise
+    aliases: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+
+    // Normalized name and aliases (maintained by the pre-validate hook)
+    matchKeys: {
+      type: [String],
+      select: false,
+    },
+
+    category: {
+      type: String,
+      required: [true, 'Category is required'],
+      enum: {
+        values: EXERCISE_CATEGORIES,
+        message: '{VALUE} is not a valid exercise category',
+      },
+    },
+
+    muscleGroups: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: MUSCLE_GROUPS,
+            message: '{VALUE} is not a valid muscle group',
+          },
+        },
+      ],
+      default: [],
+    },
+
+    equipment: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: EQUIPMENT,
+            message: '{VALUE} is not valid equipment',
+          },
+        },
+      ],
+      default: [],
+    },
+
+    // Default metabolic equivalent, used to estimate calories
+    metValue: {
+      type: Number,
+      min: [1, 'MET value must be at least 1'],
+      max: [25, 'MET value cannot exceed 25'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    },
+
+    // Whether the exercise came from the standard library seed
+    isStandard: {
+      type: Boolean,
+      default: false,
+    },
+
+    // User who added the exercise (absent for seeded exercises)
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.matchKeys;
+        return ret;
+      },
+    },
+  }
+);
+
+// Names are unique regardless of case or punctuation
+exerciseSchema.index({ matchKeys: 1 }, { unique: true });
+
+// Indexes for catalog filters
+exerciseSchema.index({ category: 1, name: 1 });
+exerciseSchema.index({ muscleGroups: 1 });
+exerciseSchema.index({ equipment: 1 });
+
+// Keep the match keys in step with the name and aliases
+exerciseSchema.pre('validate', function (next) {
+  const keys = [this.name, ...(this.aliases || [])].map(normalizeExerciseName).filter(Boolean);
+  this.matchKeys = [...new Set(keys)];
+  next();
+});
+
+// Static method: Normalize a name the way the catalog matches it
+exerciseSchema.statics.normalizeName = normalizeExerciseName;
+
+// Static method: Find an exercise by its name or one of its aliases
+exerciseSchema.statics.findByName = async function (name) {
+  const key = normalizeExerciseName(name);
+  if (!key) return null;
+
+  return this.findOne({ matchKeys: key });
+};
+
+// Static method: Find an exercise by catalog ID, name or alias
+// Match keys are included so callers can match free-text workout entries
+exerciseSchema.statics.findByReference = async function (reference) {
+  if (/^[a-f\d]{24}$/i.test(reference)) {
+    return this.findById(reference).select('+matchKeys');
+  }
+
+  const key = normalizeExerciseName(reference);
+  if (!key) return null;
+
+  return this.findOne({ matchKeys: key }).select('+matchKeys');
+};
+
+// Static method: Link workout exercise entries to the catalog
+// Entries with an exerciseId take the catalog name; legacy entries with only a name are
+// linked when the name (or an alias) is in the catalog and kept as free text otherwise
+// Returns the resolved entries and any exerciseIds that do not exist
+exerciseSchema.statics.resolveWorkoutExercises = async function (items = []) {
+  const ids = items.filter((item) => item.exerciseId).map((item) => item.exerciseId);
+  const keys = items.filter((item) => !item.exerciseId).map((item) => normalizeExerciseName(item.name));
+
+  const [byIdList, byNameList] = await Promise.all([
+    ids.length > 0 ? this.find({ _id: { $in: ids } }) : [],
+    keys.length > 0 ? this.find({ matchKeys: { $in: keys } }).select('+matchKeys') : [],
+  ]);
+
+  const byId = new Map(byIdList.map((exercise) => [exercise._id.toString(), exercise]));
+  const byKey = new Map();
+  byNameList.forEach((exercise) => {
+    exercise.matchKeys.forEach((key) => byKey.set(key, exercise));
+  });
+
+  const unknownIds = [];
+  const exercises = items.map((item) => {
+    const exercise = item.exerciseId
+      ? byId.get(String(item.exerciseId))
+      : byKey.get(normalizeExerciseName(item.name));
+
+    if (!exercise) {
+      if (item.exerciseId) unknownIds.push(String(item.exerciseId));
+      return { ...item, name: item.name && item.name.trim() };
+    }
+
+    return { ...item, exerciseId: exercise._id, name: exercise.name };
+  });
+
+  return { exercises, unknownIds };
+};
+
+// Static method: Add missing standard exercises to the catalog
+// Existing exercises are left untouched, so edits made through the API survive restarts
+exerciseSchema.statics.seedStandardLibrary = async function () {
+  logger.database('Seeding standard exercise library', { count: STANDARD_EXERCISES.length });
+
+  const operations = STANDARD_EXERCISES.map((exercise) => {
+    const matchKeys = [...new Set([exercise.name, ...exercise.aliases].map(normalizeExerciseName))];
+
+    return {
+      updateOne: {
+        filter: { matchKeys: normalizeExerciseName(exercise.name) },
+        update: { $setOnInsert: { ...exercise, matchKeys, isStandard: true } },
+        upsert: true,
+      },
+    };
+  });
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+
+  logger.database('Standard exercise library seeded', { inserted: result.upsertedCount });
+
+  return result.upsertedCount;
+};
+
+// Create and export the Exercise model
+const Exercise = mongoose.model('Exercise', exerciseSchema);
+
+// Log model creation
+logger.database('Exercise model created and registered');
+
+module.exports = Exercise;
@@ -0,0 +1,151 @@
+/**
+ * Food Model
+ * The food database food log entries are picked from
+ * Standard foods are seeded for everyone; foods users add are private to them
+ * Nutrition is stored per serving
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { SERVING_UNITS, STANDARD_FOODS } = require('../config/foodLibrary');
+
+/**
+ * Normalize a food name for searching
+ * Lowercases, drops punctuation and collapses whitespace ("Tuna, Canned" -> "tuna canned")
+ * @param {string} name - Food name
+ * @returns {string} Search key
+ */
+const normalizeFoodName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+// Define the Food schema
+const foodSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Food name is required'],
+      trim: true,
+      minlength: [2, 'Food name must be at least 2 characters long'],
+      maxlength: [100, 'Food name cannot exceed 100 characters'],
+    },
+
+    brand: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Brand cannot exceed 100 characters'],
+    },
+
+    // Normalized name and brand (maintained by the pre-validate hook)
+    searchKey: {
+      type: String,
+      select: false,
+    },
+
+    servingSize: {
+      type: Number,
+      required: [true, 'Serving size is required'],
+      min: [0.1, 'Serving size must be greater than 0'],
+    },
+
+    servingUnit: {
+      type: String,
+      required: [true, 'Serving unit is required'],
+      enum: {
+        values: SERVING_UNITS,
+        message: '{VALUE} is not a valid serving unit',
+      },
+    },
+
+    // Nutrition per serving
+    calories: {
+      type: Number,
+      required: [true, 'Calories are required'],
+      min: [0, 'Calories cannot be negative'],
+      max: [5000, 'Calories per serving cannot exceed 5000'],
+    },
+    protein: {
+      type: Number,
+      default: 0,
+      min: [0, 'Protein cannot be negative'],
+    },
+    carbs: {
+      type: Number,
+      default: 0,
+      min: [0, 'Carbs cannot be negative'],
+    },
+    fat: {
+      type: Number,
+      default: 0,
+      min: [0, 'Fat cannot be negative'],
+    },
+
+    // Whether the food came from the standard library seed
+    isStandard: {
+      type: Boolean,
+      default: false,
+    },
+
+    // User who added the food (absent for seeded foods)
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.searchKey;
+        return ret;
+      },
+    },
+  }
+);
+
+// Keep the search key in step with the name and brand
+foodSchema.pre('validate', function (next) {
+  this.searchKey = normalizeFoodName([this.name, this.brand].filter(Boolean).join(' '));
+  next();
+});
+
+// Index for the foods a user can see
+foodSchema.index({ isStandard: 1, createdBy: 1, name: 1 });
+
+// Static method: Normalize a name the way search keys are built
+foodSchema.statics.normalizeName = normalizeFoodName;
+
+// Static method: Add missing standard foods to the database
+// Existing foods are left untouched, so edits made through the API survive restarts
+foodSchema.statics.seedStandardLibrary = async function () {
+  logger.database('Seeding standard food library', { count: STANDARD_FOODS.length });
+
+  const operations = STANDARD_FOODS.map((food) => ({
+    updateOne: {
+      filter: { isStandard: true, searchKey: normalizeFoodName(food.name) },
+      update: { $setOnInsert: { ...food, searchKey: normalizeFoodName(food.name), isStandard: true } },
+      upsert: true,
+    },
+  }));
+
+  const result = await this.bulkWrite(operations, { ordered: false });
+
+  logger.database('Standard food library seeded', { inserted: result.upsertedCount });
+
+  return result.upsertedCount;
+};
+
+// Create and export the Food model
+const Food = mongoose.model('Food', foodSchema);
+
+// Log model creation
+logger.database('Food model created and registered');
+
+module.exports = Food;
@@ -0,0 +1,123 @@
+/**
+ * FoodLogEntry Model
+ * One food eaten by a user - from the food database or typed in
+ * Nutrition is stored as eaten (per serving x servings), so later edits to a
+ * food do not rewrite the log
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { MEAL_TYPES, SERVING_UNITS } = require('../config/foodLibrary');
+
+// Define the FoodLogEntry schema
+const foodLogEntrySchema = new mongoose.Schema(
+  {
+    // User who ate the food
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+
+    eatenAt: {
+      type: Date,
+      required: [true, 'Time eaten is required'],
+      default: Date.now,
+    },
+
+    meal: {
+      type: String,
+      required: [true, 'Meal is required'],
+      enum: {
+        values: MEAL_TYPES,
+        message: '{VALUE} is not a valid meal',
+      },
+    },
+
+    // Food database entry the nutrition was taken from (absent for typed-in foods)
+    foodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Food',
+    },
+
+    foodName: {
+      type: String,
+      required: [true, 'Food name is required'],
+      trim: true,
+      maxlength: [100, 'Food name cannot exceed 100 characters'],
+    },
+
+    // Number of servings eaten
+    servings: {
+      type: Number,
+      required: [true, 'Servings are required'],
+      default: 1,
+      min: [0.01, 'Servings must be greater than 0'],
+      max: [100, 'Servings cannot exceed 100'],
+    },
+
+    // Size of one serving, copied from the food
+    servingSize: {
+      type: Number,
+      min: [0.1, 'Serving size must be greater than 0'],
+    },
+    servingUnit: {
+      type: String,
+      enum: {
+        values: SERVING_UNITS,
+        message: '{VALUE} is not a valid serving unit',
+      },
+    },
+
+    // Nutrition of the whole entry
+    calories: {
+      type: Number,
+      required: [true, 'Calories are required'],
+      min: [0, 'Calories cannot be negative'],
+    },
+    protein: {
+      type: Number,
+      default: 0,
+      min: [0, 'Protein cannot be negative'],
+    },
+    carbs: {
+      type: Number,
+      default: 0,
+      min: [0, 'Carbs cannot be negative'],
+    },
+    fat: {
+      type: Number,
+      default: 0,
+      min: [0, 'Fat cannot be negative'],
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Index for a user's log by day
+foodLogEntrySchema.index({ userId: 1, eatenAt: -1 });
+
+// Create and export the FoodLogEntry model
+const FoodLogEntry = mongoose.model('FoodLogEntry', foodLogEntrySchema);
+
+// Log model creation
+logger.database('FoodLogEntry model created and registered');
+
+module.exports = FoodLogEntry;
@@ -0,0 +1,139 @@
+/**
+ * Goal Model
+ * A target a user is working towards - a body weight, a number of workouts per
+ * week, a total distance or a lift - with an optional deadline
+ * Progress is not stored: it is worked out from workouts, measurements and
+ * personal records whenever a goal is read (see utils/goals.js)
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const Workout = require('./workout');
+const { GOAL_TYPES, LIFT_RECORD_TYPES } = require('../config/goals');
+
+// Define the Goal schema
+const goalSchema = new mongoose.Schema(
+  {
+    // User working towards the goal
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+
+    type: {
+      type: String,
+      required: [true, 'Goal type is required'],
+      enum: {
+        values: Object.keys(GOAL_TYPES),
+        message: '{VALUE} is not a valid goal type',
+      },
+    },
+
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Goal title cannot exceed 100 characters'],
+    },
+
+    // Target in the unit of the goal type (kg, workouts per week, km)
+    target: {
+      type: Number,
+      required: [true, 'Goal target is required'],
+    },
+
+    // Value when the goal was set - progress is measured from here
+    startValue: {
+      type: Number,
+      min: [0, 'Start value cannot be negative'],
+    },
+
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+      default: Date.now,
+    },
+
+    deadline: {
+      type: Date,
+    },
+
+    // Distance and frequency goals: only count workouts of this type
+    exerciseType: {
+      type: String,
+      enum: {
+        values: Workout.schema.path('exerciseType').enumValues,
+        message: '{VALUE} is not a valid exercise type',
+      },
+    },
+
+    // Lift goals: the exercise, linked to the catalog when it is listed there
+    exerciseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exercise',
+    },
+    exerciseName: {
+      type: String,
+      trim: true,
+    },
+
+    // Lift goals: which personal record has to reach the target
+    recordType: {
+      type: String,
+      enum: {
+        values: LIFT_RECORD_TYPES,
+        message: '{VALUE} is not a valid record type',
+      },
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Check the target against its type, and the fields only some types use
+goalSchema.pre('validate', function (next) {
+  const config = GOAL_TYPES[this.type];
+
+  if (config && typeof this.target === 'number') {
+    if (this.target < config.min || this.target > config.max || (config.integer && !Number.isInteger(this.target))) {
+      this.invalidate('target', `${config.label} must be ${config.integer ? 'a whole number' : 'a number'} between ${config.min} and ${config.max} ${config.unit}`);
+    }
+  }
+
+  if (this.type === 'lift' && !this.exerciseName) {
+    this.invalidate('exerciseName', 'Lift goals need an exercise');
+  }
+
+  if (this.deadline && this.startDate && this.deadline <= this.startDate) {
+    this.invalidate('deadline', 'Deadline must be after the start date');
+  }
+
+  next();
+});
+
+// Index for a user's goals
+goalSchema.index({ userId: 1, createdAt: -1 });
+
+// Create and export the Goal model
+const Goal = mongoose.model('Goal', goalSchema);
+
+// Log model creation
+logger.database('Goal model created and registered');
+
+module.exports = Goal;
@@ -0,0 +1,111 @@
+/**
+ * PersonalRecord Model
+ * Personal records (PRs) set by a user's workouts
+ * Every time a record is beaten a new entry is stored, so earlier entries form
+ * the record's history; the latest entry for a record is marked isCurrent
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// Define the PersonalRecord schema
+const personalRecordSchema = new mongoose.Schema(
+  {
+    // User who set the record
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+
+    // Workout that set the record
+    workoutId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workout',
+      required: [true, 'Workout ID is required'],
+    },
+
+    // Kind of record
+    type: {
+      type: String,
+      required: true,
+      enum: {
+        values: ['heaviest_weight', 'estimated_1rm', 'most_reps', 'longest_duration', 'best_pace'],
+        message: '{VALUE} is not a valid record type',
+      },
+    },
+
+    // Exercise the record belongs to (lifting records)
+    exerciseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exercise',
+    },
+    exerciseName: {
+      type: String,
+    },
+
+    // Workout type the record belongs to (duration and pace records)
+    exerciseType: {
+      type: String,
+    },
+
+    // Weight the reps were performed at (most_reps records)
+    weight: {
+      type: Number,
+    },
+
+    // Record value, in the unit below
+    value: {
+      type: Number,
+      required: true,
+    },
+    unit: {
+      type: String,
+      required: true,
+      enum: ['kg', 'reps', 'min', 'min/km'],
+    },
+
+    // Record this one beat, if any
+    previousValue: {
+      type: Number,
+    },
+
+    // Date of the workout that set the record
+    achievedAt: {
+      type: Date,
+      required: true,
+    },
+
+    // Whether this is the standing record (false once it has been beaten)
+    isCurrent: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: { createdAt: true, updatedAt: false },
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Index for listing a user's records
+personalRecordSchema.index({ userId: 1, isCurrent: 1, type: 1 });
+
+// Index for finding the records a workout set
+personalRecordSchema.index({ workoutId: 1 });
+
+// Create and export the PersonalRecord model
+const PersonalRecord = mongoose.model('PersonalRecord', personalRecordSchema);
+
+// Log model creation
+logger.database('PersonalRecord model created and registered');
+
+module.exports = PersonalRecord;
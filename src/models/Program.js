@@ -0,0 +1,143 @@
+/**
+ * Program Model
+ * Multi-week training programs: each week lists day slots that reference workout
+ * templates, and progression rules raise the planned weights from week to week
+ * Enrolling a user (see ProgramEnrollment) turns the program into planned workouts
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// Longest program that can be planned in one go
+const MAX_PROGRAM_WEEKS = 52;
+
+// One training day of a program week
+const daySlotSchema = new mongoose.Schema(
+  {
+    // Day of the week, counted from the enrollment's start date (1-7)
+    day: {
+      type: Number,
+      required: [true, 'Day is required'],
+      min: [1, 'Day must be between 1 and 7'],
+      max: [7, 'Day must be between 1 and 7'],
+    },
+
+    // Workout template trained on that day
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkoutTemplate',
+      required: [true, 'Template ID is required'],
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+  },
+  { _id: false }
+);
+
+// One week of a program
+const weekSchema = new mongoose.Schema(
+  {
+    days: {
+      type: [daySlotSchema],
+      validate: {
+        validator: (days) => new Set(days.map((slot) => slot.day)).size === days.length,
+        message: 'A week can only have one workout per day',
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Define the Program schema
+const programSchema = new mongoose.Schema(
+  {
+    // User who owns the program
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+
+    title: {
+      type: String,
+      required: [true, 'Program title is required'],
+      trim: true,
+      minlength: [3, 'Title must be at least 3 characters long'],
+      maxlength: [100, 'Title cannot exceed 100 characters'],
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    },
+
+    // Weeks in order; week 1 starts on the enrollment date
+    weeks: {
+      type: [weekSchema],
+      validate: {
+        validator: (weeks) => weeks.length >= 1 && weeks.length <= MAX_PROGRAM_WEEKS,
+        message: `A program must have between 1 and ${MAX_PROGRAM_WEEKS} weeks`,
+      },
+    },
+
+    // How planned weights change from week to week
+    progression: {
+      // Added to every planned weight after each full week (kg)
+      weightIncrement: {
+        type: Number,
+        default: 0,
+        min: [0, 'Weight increment cannot be negative'],
+        max: [50, 'Weight increment cannot exceed 50 kg'],
+      },
+
+      // Every nth week is a deload week (none when not set)
+      deloadEvery: {
+        type: Number,
+        min: [2, 'Deload weeks must be at least 2 weeks apart'],
+        max: [MAX_PROGRAM_WEEKS, `Deload weeks cannot be more than ${MAX_PROGRAM_WEEKS} weeks apart`],
+      },
+
+      // Share of the progressed weights lifted in a deload week
+      deloadFactor: {
+        type: Number,
+        default: 0.6,
+        min: [0.1, 'Deload factor must be at least 0.1'],
+        max: [1, 'Deload factor cannot exceed 1'],
+      },
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Index for listing a user's programs
+programSchema.index({ userId: 1, title: 1 });
+
+// Instance method: List the distinct templates the program uses
+programSchema.methods.getTemplateIds = function () {
+  const ids = this.weeks.flatMap((week) => week.days.map((slot) => slot.templateId.toString()));
+  return [...new Set(ids)];
+};
+
+// Create and export the Program model
+const Program = mongoose.model('Program', programSchema);
+
+// Log model creation
+logger.database('Program model created and registered');
+
+module.exports = Program;
@@ -0,0 +1,68 @@
+/**
+ * ProgramEnrollment Model
+ * A user following a training program from a start date
+ * The planned workouts generated for an enrollment point back to it
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// Define the ProgramEnrollment schema
+const programEnrollmentSchema = new mongoose.Schema(
+  {
+    programId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Program',
+      required: [true, 'Program ID is required'],
+    },
+
+    // User following the program
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+
+    // Day 1 of week 1; workouts keep its time of day
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+
+    status: {
+      type: String,
+      enum: {
+        values: ['active', 'cancelled'],
+        message: '{VALUE} is not a valid enrollment status',
+      },
+      default: 'active',
+    },
+
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Index for finding a user's enrollments in a program, latest first
+programEnrollmentSchema.index({ userId: 1, programId: 1, startDate: -1 });
+
+// Create and export the ProgramEnrollment model
+const ProgramEnrollment = mongoose.model('ProgramEnrollment', programEnrollmentSchema);
+
+// Log model creation
+logger.database('ProgramEnrollment model created and registered');
+
+module.exports = ProgramEnrollment;
@@ -0,0 +1,138 @@
+/**
+ * Refresh Token Model
+ * Rotating refresh tokens for the JWT flow
+ * Every refresh replaces the token with a new one in the same family; presenting
+ * an already rotated token revokes the whole family (token theft detection)
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { hashToken } = require('../utils/tokens');
+
+// Define the RefreshToken schema
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    // Owner of the token
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+
+    // SHA-256 hash of the token - the plain token is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    // Identifies the chain of rotated tokens started by one login
+    family: {
+      type: String,
+      required: true,
+    },
+
+    // jti of the exchange code redeemed for the first token of a family
+    // The unique index makes redeeming a code twice fail at insert time
+    exchangeCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+
+    // When the token stops working
+    expiresAt: {
+      type: Date,
+      required: [true, 'Expiry date is required'],
+    },
+
+    // Set when the token is rotated or revoked
+    revokedAt: {
+      type: Date,
+    },
+
+    // Token issued when this one was rotated
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefreshToken',
+    },
+
+    // Client details, to help spot misuse
+    userAgent: {
+      type: String,
+    },
+
+    ip: {
+      type: String,
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output - never expose the hash
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+// Indexes for revoking a whole family or all of a user's tokens
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ userId: 1 });
+
+// TTL index: MongoDB removes tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method: Find a token by its plain value
+refreshTokenSchema.statics.findByToken = async function (token) {
+  logger.database('Looking up refresh token');
+
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Static method: Atomically mark an active token as used
+// Returns null if the token is unknown, expired or was already rotated
+refreshTokenSchema.statics.consume = async function (token) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method: Revoke every active token in a family
+refreshTokenSchema.statics.revokeFamily = async function (family) {
+  logger.database('Revoking refresh token family', { family });
+
+  return this.updateMany(
+    { family, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+};
+
+// Static method: Revoke every active token belonging to a user
+refreshTokenSchema.statics.revokeAllForUser = async function (userId) {
+  logger.database('Revoking all refresh tokens for user', { userId });
+
+  return this.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { revokedAt: new Date() }
+  );
+};
+
+// Create and export the RefreshToken model
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+// Log model creation
+logger.database('RefreshToken model created and registered');
+
+module.exports = RefreshToken;
@@ -0,0 +1,97 @@
+/**
+ * Session Model
+ * Login sessions persisted by the MongoDB session store (src/config/sessionStore.js)
+ * Documents are keyed by a hash of the session ID, so listing sessions never exposes the cookie value
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+// Define the Session schema
+const sessionSchema = new mongoose.Schema(
+  {
+    // SHA-256 hash of the express-session ID
+    _id: {
+      type: String,
+    },
+
+    // Serialized express-session data (JSON)
+    data: {
+      type: String,
+      required: true,
+    },
+
+    // Logged-in user, copied from the passport data for lookups
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+
+    // Device details captured at login
+    userAgent: {
+      type: String,
+    },
+
+    ip: {
+      type: String,
+    },
+
+    // Last request made with the session
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // When the session cookie expires
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output - session data stays server-side
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        delete ret.data;
+        return ret;
+      },
+    },
+  }
+);
+
+// Index for listing a user's sessions
+sessionSchema.index({ userId: 1, lastSeenAt: -1 });
+
+// TTL index: MongoDB removes sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method: Find a user's sessions that have not expired
+sessionSchema.statics.findActiveByUser = async function (userId) {
+  logger.database('Finding active sessions for user', { userId });
+
+  return this.find({ userId, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 });
+};
+
+// Static method: End every session of a user, optionally keeping one
+sessionSchema.statics.endAllForUser = async function (userId, exceptId = null) {
+  logger.database('Ending sessions for user', { userId, keeping: exceptId });
+
+  const filter = { userId };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+
+  return this.deleteMany(filter);
+};
+
+// Create and export the Session model
+const Session = mongoose.model('Session', sessionSchema);
+
+// Log model creation
+logger.database('Session model created and registered');
+
+module.exports = Session;
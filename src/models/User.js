@@ -4,8 +4,63 @@
  * Includes fitness goals, body metrics, and calculated fields like BMI
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
+const { ROLES, DEFAULT_ROLE, getPermissionsForRoles } = require('../config/permissions');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../utils/timezone');
+const { AUTO_FORMULA, SEXES, isBmrFormula, calculateBmr } = require('../utils/bmr');
+const { verifyCode } = require('../utils/totp');
+
+// Number of single-use recovery codes issued when 2FA is enabled
+const RECOVERY_CODE_COUNT = 10;
+
+// Prefix of calendar feed tokens (they end up in calendar subscription URLs)
+const CALENDAR_TOKEN_PREFIX = 'fit_cal';
+
+// Prefix of email verification tokens and how long one stays valid
+const EMAIL_VERIFICATION_TOKEN_PREFIX = 'fit_evt';
+const EMAIL_VERIFICATION_EXPIRY_HOURS = 24;
+
+// Linked OAuth identity (one per provider account)
+const identitySchema = new mongoose.Schema(
+  {
+    // Provider name from src/config/oauthProviders.js (e.g. 'github')
+    provider: {
+      type: String,
+      required: [true, 'Provider is required'],
+    },
+
+    // The user's ID at the provider
+    providerId: {
+      type: String,
+      required: [true, 'Provider ID is required'],
+    },
+
+    username: {
+      type: String,
+      trim: true,
+    },
+
+    // Verified address reported by the provider, if any
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    lastLoginAt: {
+      type: Date,
+    },
+  }
+);
 
 // Define the User schema with comprehensive validation
 const userSchema = new mongoose.Schema(
@@ -20,9 +75,15 @@ const userSchema = new mongoose.Schema(
     },
 
     // Email address - must be unique
+    // Optional only for OAuth accounts whose provider shares no verified address
     email: {
       type: String,
-      required: [true, 'Email is required'],
+      required: [
+        function () {
+          return !this.identities || this.identities.length === 0;
+        },
+        'Email is required',
+      ],
       lowercase: true,
       trim: true,
       match: [
@@ -31,13 +92,35 @@ const userSchema = new mongoose.Schema(
       ],
     },
 
-    // GitHub OAuth fields
+    // When the owner proved they receive mail at `email` - cleared whenever the email changes
+    emailVerifiedAt: {
+      type: Date,
+    },
+
+    // Hash of the current email verification token and when it stops working
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    emailVerificationExpiresAt: {
+      type: Date,
+      select: false,
+    },
+
+    // Legacy GitHub OAuth ID - moved into `identities` on the user's next GitHub login
     githubId: {
       type: String,
       unique: true,
       sparse: true // Allows null values to be non-unique
     },
 
+    // Linked OAuth identities (GitHub, Google, ...)
+    identities: {
+      type: [identitySchema],
+      default: [],
+    },
+
     username: {
       type: String,
       trim: true,
@@ -49,6 +132,76 @@ const userSchema = new mongoose.Schema(
       trim: true,
     },
 
+    // Local (email/password) login fields - never selected unless asked for
+    passwordHash: {
+      type: String,
+      select: false,
+    },
+
+    passwordChangedAt: {
+      type: Date,
+    },
+
+    // Hash of the current password reset token and when it stops working
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    passwordResetExpiresAt: {
+      type: Date,
+      select: false,
+    },
+
+    // TOTP two-factor authentication - secrets are never selected unless asked for
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+
+      // Base32 TOTP secret in use once 2FA is enabled
+      secret: {
+        type: String,
+        select: false,
+      },
+
+      // Secret waiting for its first code during enrollment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodeHashes: {
+        type: [String],
+        select: false,
+        default: undefined,
+      },
+
+      // Last accepted time step, so a code cannot be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+
+      enabledAt: {
+        type: Date,
+      },
+
+      // Wrong login codes in a row, across every challenge and session
+      failedAttempts: {
+        type: Number,
+        select: false,
+      },
+
+      // Login codes are refused until this time after too many wrong ones
+      lockedUntil: {
+        type: Date,
+        select: false,
+      },
+    },
+
     // Age in years
     age: {
       type: Number,
@@ -70,6 +223,32 @@ const userSchema = new mongoose.Schema(
       max: [300, 'Height cannot exceed 300 cm'],
     },
 
+    // Biological sex, used by the sex-specific BMR formulas
+    sex: {
+      type: String,
+      enum: {
+        values: SEXES,
+        message: '{VALUE} is not a valid sex',
+      },
+    },
+
+    // Body fat percentage, used by the Katch-McArdle BMR formula
+    bodyFatPercentage: {
+      type: Number,
+      min: [2, 'Body fat percentage must be at least 2'],
+      max: [70, 'Body fat percentage cannot exceed 70'],
+    },
+
+    // BMR formula for dailyCalorieNeeds ('auto' picks the best one the profile allows)
+    bmrFormula: {
+      type: String,
+      default: AUTO_FORMULA,
+      validate: {
+        validator: isBmrFormula,
+        message: '{VALUE} is not a known BMR formula',
+      },
+    },
+
     // Primary fitness goal
     fitnessGoal: {
       type: String,
@@ -101,12 +280,67 @@ const userSchema = new mongoose.Schema(
       default: 'moderately_active',
     },
 
+    // IANA time zone (e.g. 'Europe/Berlin') used for calendar feeds and daily nutrition totals
+    timezone: {
+      type: String,
+      trim: true,
+      default: DEFAULT_TIME_ZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: '{VALUE} is not a valid time zone',
+      },
+    },
+
+    // Secret calendar feed URL - only the hash of its token is stored
+    calendarFeed: {
+      tokenHash: {
+        type: String,
+        select: false,
+      },
+
+      createdAt: {
+        type: Date,
+      },
+    },
+
     // Whether the user account is active
     isActive: {
       type: Boolean,
       default: true,
     },
 
+    // Roles granting permissions (see config/permissions.js)
+    roles: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: ROLES,
+            message: '{VALUE} is not a valid role',
+          },
+        },
+      ],
+      default: [DEFAULT_ROLE],
+    },
+
+    // Pending right-to-erasure request - the account and its data are deleted
+    // once scheduledFor has passed, unless the request is cancelled first
+    erasure: {
+      requestedAt: {
+        type: Date,
+      },
+
+      scheduledFor: {
+        type: Date,
+      },
+
+      // User who asked for the erasure (the owner or an administrator)
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+
     // Profile completion percentage (calculated field)
     profileCompletion: {
       type: Number,
@@ -124,6 +358,20 @@ const userSchema = new mongoose.Schema(
       virtuals: true,
       transform: function (doc, ret) {
         delete ret.__v;
+        delete ret.passwordHash;
+        delete ret.passwordResetTokenHash;
+        delete ret.passwordResetExpiresAt;
+        delete ret.emailVerificationTokenHash;
+        delete ret.emailVerificationExpiresAt;
+        if (ret.calendarFeed) {
+          delete ret.calendarFeed.tokenHash;
+        }
+        if (ret.twoFactor) {
+          ret.twoFactor = {
+            enabled: ret.twoFactor.enabled,
+            enabledAt: ret.twoFactor.enabledAt,
+          };
+        }
         return ret;
       },
     },
@@ -152,14 +400,16 @@ userSchema.virtual('bmiCategory').get(function () {
   return 'Obese';
 });
 
+// Virtual property: Basal Metabolic Rate with the formula it was calculated with
+// See utils/bmr.js for the formulas and how one is picked
+userSchema.virtual('bmr').get(function () {
+  return calculateBmr(this);
+});
+
 // Virtual property: Estimated Daily Calorie Needs (BMR + Activity)
-// Uses Mifflin-St Jeor Equation
 userSchema.virtual('dailyCalorieNeeds').get(function () {
-  if (!this.weight || !this.height || !this.age) return null;
-  
-  // Calculate BMR (Basal Metabolic Rate)
-  // Formula differs for men and women, assuming average for now
-  const bmr = (10 * this.weight) + (6.25 * this.height) - (5 * this.age) + 5;
+  const result = this.bmr;
+  if (!result) return null;
   
   // Activity multipliers
   const activityMultipliers = {
@@ -171,11 +421,30 @@ userSchema.virtual('dailyCalorieNeeds').get(function () {
   };
   
   const multiplier = activityMultipliers[this.activityLevel] || 1.55;
-  return Math.round(bmr * multiplier);
+  return Math.round(result.bmr * multiplier);
+});
+
+// Virtual property: Whether the user holds the admin role
+userSchema.virtual('isAdmin').get(function () {
+  return (this.roles || []).includes('admin');
+});
+
+// Virtual property: Whether the owner proved they receive mail at `email`
+// An address an OAuth provider reported as verified for a linked identity counts too
+userSchema.virtual('emailVerified').get(function () {
+  if (!this.email) return false;
+  if (this.emailVerifiedAt) return true;
+  return (this.identities || []).some((identity) => identity.email === this.email);
+});
+
+// Virtual property: Permissions granted by the user's roles
+userSchema.virtual('permissions').get(function () {
+  return getPermissionsForRoles(this.roles || []);
 });
 
 // Index for efficient email lookups
-userSchema.index({ email: 1 }, { unique: true });
+// Sparse so several OAuth-only accounts without an email can coexist
+userSchema.index({ email: 1 }, { unique: true, sparse: true });
 
 // Index for filtering by fitness goals and activity level
 userSchema.index({ fitnessGoal: 1, activityLevel: 1 });
@@ -183,6 +452,18 @@ userSchema.index({ fitnessGoal: 1, activityLevel: 1 });
 // Index for active users
 userSchema.index({ isActive: 1 });
 
+// Index for finding users by role
+userSchema.index({ roles: 1 });
+
+// Index for finding accounts whose erasure grace period has ended
+userSchema.index({ 'erasure.scheduledFor': 1 }, { sparse: true });
+
+// Each provider account can only be linked to one user
+userSchema.index(
+  { 'identities.provider': 1, 'identities.providerId': 1 },
+  { unique: true, partialFilterExpression: { 'identities.providerId': { $exists: true } } }
+);
+
 // Pre-save middleware to calculate profile completion
 userSchema.pre('save', function (next) {
   logger.database('User pre-save middleware triggered', {
@@ -236,6 +517,13 @@ userSchema.pre('remove', function (next) {
   next();
 });
 
+// Static method: Find users whose erasure is due
+userSchema.statics.findDueForErasure = async function (now = new Date()) {
+  logger.database('Finding users due for erasure', { now });
+  
+  return this.find({ 'erasure.scheduledFor': { $lte: now } });
+};
+
 // Static method: Find users by fitness goal
 userSchema.statics.findByFitnessGoal = async function (goal) {
   logger.database('Finding users by fitness goal', { goal });
@@ -300,6 +588,129 @@ userSchema.statics.getStatistics = async function () {
   }
 };
 
+// Static method: Find the user an OAuth identity is linked to
+// GitHub users created before identities existed are matched on the legacy githubId
+userSchema.statics.findByIdentity = async function (provider, providerId) {
+  const conditions = [{ identities: { $elemMatch: { provider, providerId } } }];
+
+  if (provider === 'github') {
+    conditions.push({ githubId: providerId });
+  }
+
+  return this.findOne({ $or: conditions });
+};
+
+// Instance method: Find a linked identity
+userSchema.methods.getIdentity = function (provider, providerId) {
+  return this.identities.find(
+    (identity) => identity.provider === provider && identity.providerId === providerId
+  );
+};
+
+// Instance method: Move a legacy githubId into identities
+// Returns true when the document changed and needs saving
+userSchema.methods.migrateLegacyGithubId = function () {
+  if (!this.githubId) return false;
+
+  if (!this.getIdentity('github', this.githubId)) {
+    this.identities.push({
+      provider: 'github',
+      providerId: this.githubId,
+      username: this.username,
+      linkedAt: this.createdAt,
+    });
+  }
+
+  this.githubId = undefined;
+  return true;
+};
+
+// Instance method: Set a new password (stores only the hash)
+// Also invalidates any outstanding password reset token
+userSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await hashPassword(password);
+  this.passwordChangedAt = new Date();
+  this.passwordResetTokenHash = undefined;
+  this.passwordResetExpiresAt = undefined;
+};
+
+// Instance method: Check a password (the document must be loaded with +passwordHash)
+userSchema.methods.checkPassword = async function (password) {
+  return verifyPassword(password, this.passwordHash);
+};
+
+// Instance method: Check a TOTP code against the active (or pending) secret
+// Needs +twoFactor.secret / +twoFactor.pendingSecret and +twoFactor.lastUsedStep
+userSchema.methods.verifyTwoFactorCode = function (code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!secret) return false;
+
+  const step = verifyCode(secret, code, { afterStep: this.twoFactor.lastUsedStep ?? -1 });
+  if (step === null) return false;
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Instance method: Replace the recovery codes - returns the plain codes to show once
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+  });
+
+  this.twoFactor.recoveryCodeHashes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Instance method: Use up a recovery code (needs +twoFactor.recoveryCodeHashes)
+userSchema.methods.useRecoveryCode = function (code) {
+  const hash = hashToken(String(code || '').trim().toLowerCase());
+  const hashes = this.twoFactor.recoveryCodeHashes || [];
+
+  if (!hashes.includes(hash)) return false;
+
+  this.twoFactor.recoveryCodeHashes = hashes.filter((existing) => existing !== hash);
+  return true;
+};
+
+// Instance method: Issue an email verification token for the current email
+// Returns the plain token, which is never stored
+userSchema.methods.issueEmailVerificationToken = function () {
+  const token = generateToken(EMAIL_VERIFICATION_TOKEN_PREFIX);
+
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpiresAt = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRY_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Instance method: Mark the current email as verified and retire the token
+userSchema.methods.markEmailVerified = function () {
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationTokenHash = undefined;
+  this.emailVerificationExpiresAt = undefined;
+};
+
+// Instance method: Issue a new calendar feed token, replacing any previous one
+// Returns the plain token, which is never stored
+userSchema.methods.issueCalendarToken = function () {
+  const token = generateToken(CALENDAR_TOKEN_PREFIX);
+
+  this.calendarFeed = {
+    tokenHash: hashToken(token),
+    createdAt: new Date(),
+  };
+  return token;
+};
+
+// Instance method: Check a calendar feed token (needs +calendarFeed.tokenHash)
+userSchema.methods.checkCalendarToken = function (token) {
+  const expected = this.calendarFeed && this.calendarFeed.tokenHash;
+  if (!expected || typeof token !== 'string' || !token) return false;
+
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(expected));
+};
+
 // Instance method: Calculate recommended calories for weight goal
 userSchema.methods.getRecommendedCalories = function (targetWeightLoss = 0) {
   const dailyNeeds = this.dailyCalorieNeeds;
@@ -0,0 +1,84 @@
+/**
+ * WellnessEntry Model
+ * A user's daily wellness log: sleep, hydration, soreness, mood, resting
+ * heart rate and heart rate variability
+ * There is at most one entry per user and day; the day is a calendar date in
+ * the user's time zone
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const { WELLNESS_METRICS } = require('../config/wellness');
+
+// One optional number per metric in config/wellness.js
+const metricFields = Object.fromEntries(
+  Object.entries(WELLNESS_METRICS).map(([metric, { label, unit, min, max, integer }]) => [metric, {
+    type: Number,
+    min: [min, `${label} must be at least ${min} ${unit}`],
+    max: [max, `${label} cannot exceed ${max} ${unit}`],
+    validate: {
+      validator: (value) => !integer || Number.isInteger(value),
+      message: `${label} must be a whole number`,
+    },
+  }])
+);
+
+// Define the WellnessEntry schema
+const wellnessEntrySchema = new mongoose.Schema(
+  {
+    // User the entry belongs to
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+
+    // Day the entry is for (YYYY-MM-DD in the user's time zone)
+    date: {
+      type: String,
+      required: [true, 'Date is required'],
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'],
+    },
+
+    ...metricFields,
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// An entry has to record something
+wellnessEntrySchema.pre('validate', function (next) {
+  const hasMetric = Object.keys(WELLNESS_METRICS).some((metric) => typeof this[metric] === 'number');
+
+  if (!hasMetric) {
+    this.invalidate('date', `A wellness entry needs at least one of: ${Object.keys(WELLNESS_METRICS).join(', ')}`);
+  }
+  next();
+});
+
+// One entry per user and day
+wellnessEntrySchema.index({ userId: 1, date: -1 }, { unique: true });
+
+// Create and export the WellnessEntry model
+const WellnessEntry = mongoose.model('WellnessEntry', wellnessEntrySchema);
+
+// Log model creation
+logger.database('WellnessEntry model created and registered');
+
+module.exports = WellnessEntry;
@@ -0,0 +1,239 @@
+/**
+ * WorkoutSchedule Model
+ * Recurring workout plans described by an iCalendar recurrence rule (RRULE)
+ * Occurrences are expanded on demand; a planned workout is only stored once an
+ * occurrence is materialized, so editing a series never touches logged history
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const Workout = require('./workout');
+const { parseRRule, getRRuleError, expandRRule } = require('../utils/rrule');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedDayStart,
+  addDaysToDateKey,
+} = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead to look for the next occurrence of a series
+const NEXT_OCCURRENCE_HORIZON_DAYS = 5 * 366;
+
+// A single occurrence left out of the series
+const exceptionSchema = new mongoose.Schema(
+  {
+    // Start of the skipped occurrence
+    date: {
+      type: Date,
+      required: [true, 'Exception date is required'],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters'],
+    },
+  },
+  { _id: false }
+);
+
+// Define the WorkoutSchedule schema
+const workoutScheduleSchema = new mongoose.Schema(
+  {
+    // User who follows the schedule
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+
+    // Planned workout values, copied onto every occurrence
+    title: {
+      type: String,
+      required: [true, 'Schedule title is required'],
+      trim: true,
+      minlength: [3, 'Title must be at least 3 characters long'],
+      maxlength: [100, 'Title cannot exceed 100 characters'],
+    },
+
+    exerciseType: {
+      type: String,
+      required: [true, 'Exercise type is required'],
+      enum: {
+        values: Workout.schema.path('exerciseType').enumValues,
+        message: '{VALUE} is not a valid exercise type',
+      },
+    },
+
+    duration: {
+      type: Number,
+      required: [true, 'Duration is required'],
+      min: [1, 'Duration must be at least 1 minute'],
+      max: [600, 'Duration cannot exceed 600 minutes (10 hours)'],
+    },
+
+    // Optional - left out, each planned workout gets a MET estimate when it is created
+    caloriesBurned: {
+      type: Number,
+      min: [1, 'Calories burned must be at least 1'],
+      max: [5000, 'Calories burned cannot exceed 5000'],
+    },
+
+    intensity: {
+      type: String,
+      enum: {
+        values: ['low', 'moderate', 'high', 'extreme'],
+        message: '{VALUE} is not a valid intensity level',
+      },
+      default: 'moderate',
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+
+    exercises: [Workout.schema.path('exercises').schema],
+
+    // Template the planned values were copied from, if any
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkoutTemplate',
+    },
+
+    // Recurrence rule, e.g. "FREQ=WEEKLY;BYDAY=MO,WE,FR"
+    rrule: {
+      type: String,
+      required: [true, 'Recurrence rule is required'],
+      trim: true,
+      validate: {
+        validator: (value) => getRRuleError(value) === null,
+        message: (props) => getRRuleError(props.value),
+      },
+    },
+
+    // First occurrence (DTSTART); every occurrence keeps its local time of day
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+
+    // IANA time zone the rule is expanded in (copied from the owner's profile)
+    // Kept with the series so a profile change never moves created occurrences
+    timezone: {
+      type: String,
+      trim: true,
+      default: DEFAULT_TIME_ZONE,
+      validate: {
+        validator: isValidTimeZone,
+        message: '{VALUE} is not a valid time zone',
+      },
+    },
+
+    // Occurrences from this date on belong to a later version of the series
+    endDate: {
+      type: Date,
+    },
+
+    // Single occurrences left out of the series
+    exceptions: [exceptionSchema],
+
+    // Series this one continues after a "this and following" edit
+    previousScheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkoutSchedule',
+    },
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Index for finding the schedules active in a date range
+workoutScheduleSchema.index({ userId: 1, startDate: 1, endDate: 1 });
+
+// Instance method: Get the last moment the series covers within a range
+// Occurrences from endDate on belong to the next version of the series
+workoutScheduleSchema.methods.getRangeEnd = function (to) {
+  return this.endDate && this.endDate <= to ? new Date(this.endDate.getTime() - 1) : to;
+};
+
+// Instance method: List the occurrences between two dates (inclusive)
+// Skipped occurrences are left out unless includeExceptions is set
+workoutScheduleSchema.methods.getOccurrences = function (from, to, { includeExceptions = false, limit = 1000 } = {}) {
+  const skipped = new Set(includeExceptions
+    ? []
+    : (this.exceptions || []).map((exception) => exception.date.getTime()));
+
+  return expandRRule(parseRRule(this.rrule), this.startDate, {
+    from,
+    to: this.getRangeEnd(to),
+    limit: limit + skipped.size,
+    timeZone: this.timezone || DEFAULT_TIME_ZONE,
+  })
+    .filter((occurrence) => !skipped.has(occurrence.getTime()))
+    .slice(0, limit);
+};
+
+// Instance method: Find the first occurrence at or after a date, skipped or not
+workoutScheduleSchema.methods.getNextOccurrence = function (from) {
+  const horizon = new Date(from.getTime() + NEXT_OCCURRENCE_HORIZON_DAYS * DAY_MS);
+  return this.getOccurrences(from, horizon, { includeExceptions: true, limit: 1 })[0] || null;
+};
+
+// Instance method: Find the occurrence on a local calendar day (YYYY-MM-DD), skipped or not
+workoutScheduleSchema.methods.findOccurrenceOn = function (dateKey) {
+  const timeZone = this.timezone || DEFAULT_TIME_ZONE;
+  const dayStart = getZonedDayStart(dateKey, timeZone);
+  const dayEnd = new Date(getZonedDayStart(addDaysToDateKey(dateKey, 1), timeZone).getTime() - 1);
+
+  return this.getOccurrences(dayStart, dayEnd, { includeExceptions: true, limit: 1 })[0] || null;
+};
+
+// Instance method: Count the occurrences before a date, skipped or not
+workoutScheduleSchema.methods.countOccurrencesBefore = function (date, limit = 1000) {
+  if (date <= this.startDate) {
+    return 0;
+  }
+  return this.getOccurrences(this.startDate, new Date(date.getTime() - 1), { includeExceptions: true, limit }).length;
+};
+
+// Instance method: Build the planned workout of one occurrence
+workoutScheduleSchema.methods.toWorkoutData = function (occurrenceDate) {
+  const planned = this.toObject({ virtuals: false });
+
+  return {
+    userId: this.userId,
+    title: planned.title,
+    exerciseType: planned.exerciseType,
+    duration: planned.duration,
+    caloriesBurned: planned.caloriesBurned,
+    intensity: planned.intensity,
+    notes: planned.notes,
+    exercises: (planned.exercises || []).map(({ _id, ...exercise }) => exercise),
+    templateId: this.templateId,
+    scheduleId: this._id,
+    occurrenceDate,
+    workoutDate: occurrenceDate,
+    status: 'planned',
+  };
+};
+
+// Create and export the WorkoutSchedule model
+const WorkoutSchedule = mongoose.model('WorkoutSchedule', workoutScheduleSchema);
+
+// Log model creation
+logger.database('WorkoutSchedule model created and registered');
+
+module.exports = WorkoutSchedule;
@@ -0,0 +1,131 @@
+/**
+ * WorkoutTemplate Model
+ * Reusable workout routines that users can log again without re-entering them
+ * Planned exercises use the same shape as workout exercises, so a template can
+ * be copied into a workout as-is
+ */
+
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const Workout = require('./workout');
+
+// Define the WorkoutTemplate schema
+const workoutTemplateSchema = new mongoose.Schema(
+  {
+    // User who owns the template
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User ID is required'],
+    },
+
+    // Title given to workouts created from the template
+    title: {
+      type: String,
+      required: [true, 'Template title is required'],
+      trim: true,
+      minlength: [3, 'Title must be at least 3 characters long'],
+      maxlength: [100, 'Title cannot exceed 100 characters'],
+    },
+
+    // Same values as Workout.exerciseType
+    exerciseType: {
+      type: String,
+      required: [true, 'Exercise type is required'],
+      enum: {
+        values: Workout.schema.path('exerciseType').enumValues,
+        message: '{VALUE} is not a valid exercise type',
+      },
+    },
+
+    // Planned duration in minutes
+    duration: {
+      type: Number,
+      min: [1, 'Duration must be at least 1 minute'],
+      max: [600, 'Duration cannot exceed 600 minutes (10 hours)'],
+    },
+
+    // Expected calories burned
+    caloriesBurned: {
+      type: Number,
+      min: [1, 'Calories burned must be at least 1'],
+      max: [5000, 'Calories burned cannot exceed 5000'],
+    },
+
+    intensity: {
+      type: String,
+      enum: {
+        values: ['low', 'moderate', 'high', 'extreme'],
+        message: '{VALUE} is not a valid intensity level',
+      },
+    },
+
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+    },
+
+    // Planned exercises and sets (same structure as Workout.exercises)
+    exercises: [Workout.schema.path('exercises').schema],
+  },
+  {
+    // Enable timestamps
+    timestamps: true,
+
+    // Customize JSON output
+    toJSON: {
+      transform: function (doc, ret) {
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+// Index for listing a user's templates
+workoutTemplateSchema.index({ userId: 1, title: 1 });
+
+// Keep the planned set count in step with the planned sets
+workoutTemplateSchema.pre('validate', function (next) {
+  (this.exercises || []).forEach((exercise) => {
+    if (exercise.setDetails && exercise.setDetails.length > 0) {
+      exercise.sets = exercise.setDetails.length;
+    }
+  });
+  next();
+});
+
+// Instance method: Build the fields of a workout logged from this template
+// Overrides replace the planned values (exercises are replaced as a whole)
+workoutTemplateSchema.methods.toWorkoutData = function (overrides = {}) {
+  const planned = this.toObject({ virtuals: false });
+
+  const data = {
+    userId: this.userId,
+    templateId: this._id,
+    title: planned.title,
+    exerciseType: planned.exerciseType,
+    duration: planned.duration,
+    caloriesBurned: planned.caloriesBurned,
+    intensity: planned.intensity,
+    notes: planned.notes,
+    exercises: planned.exercises.map(({ _id, ...exercise }) => exercise),
+  };
+
+  Object.entries(overrides).forEach(([field, value]) => {
+    if (value !== undefined) {
+      data[field] = value;
+    }
+  });
+
+  return data;
+};
+
+// Create and export the WorkoutTemplate model
+const WorkoutTemplate = mongoose.model('WorkoutTemplate', workoutTemplateSchema);
+
+// Log model creation
+logger.database('WorkoutTemplate model created and registered');
+
+module.exports = WorkoutTemplate;
@@ -7,6 +7,151 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 
+// Workout lifecycle: planned -> in_progress -> completed, or skipped
+const WORKOUT_STATUSES = ['planned', 'in_progress', 'completed', 'skipped'];
+
+// Status changes allowed from each status
+const STATUS_TRANSITIONS = {
+  planned: ['in_progress', 'completed', 'skipped'],
+  in_progress: ['planned', 'completed', 'skipped'],
+  completed: ['in_progress'],
+  skipped: ['planned', 'completed'],
+};
+
+// One logged set of an exercise
+const setSchema = new mongoose.Schema(
+  {
+    // Kind of set - warm-up sets do not count towards volume or tonnage
+    type: {
+      type: String,
+      enum: {
+        values: ['warm_up', 'working', 'drop', 'failure'],
+        message: '{VALUE} is not a valid set type',
+      },
+      default: 'working',
+    },
+    reps: {
+      type: Number,
+      required: [true, 'Reps are required for each set'],
+      min: [0, 'Reps cannot be negative'],
+    },
+    weight: {
+      type: Number, // Weight in kg
+      min: [0, 'Weight cannot be negative'],
+    },
+    // Rate of perceived exertion (1-10)
+    rpe: {
+      type: Number,
+      min: [1, 'RPE must be at least 1'],
+      max: [10, 'RPE cannot exceed 10'],
+    },
+    // Reps in reserve
+    rir: {
+      type: Number,
+      min: [0, 'RIR cannot be negative'],
+      max: [10, 'RIR cannot exceed 10'],
+    },
+    // Rest taken after the set
+    restSeconds: {
+      type: Number,
+      min: [0, 'Rest cannot be negative'],
+      max: [3600, 'Rest cannot exceed 3600 seconds'],
+    },
+    // Tempo as eccentric-pause-concentric-pause, e.g. "3-1-X-0" or "31X0"
+    tempo: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^([0-9X]{4}|[0-9X](-[0-9X]){3})$/, 'Tempo must have four digits or X, e.g. 3-1-X-0'],
+    },
+  },
+  { _id: false }
+);
+
+// An exercise performed during a workout
+// Entries reference the exercise catalog when the exercise is known;
+// name is always stored so legacy free-text entries stay readable
+// Sets are logged one by one in setDetails; older entries only have the
+// sets/reps/weight summary, which still counts towards volume and tonnage
+const workoutExerciseSchema = new mongoose.Schema(
+  {
+    exerciseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exercise',
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Number of sets (kept in step with setDetails when sets are logged)
+    sets: {
+      type: Number,
+      min: 1,
+    },
+    reps: {
+      type: Number,
+      min: 1,
+    },
+    weight: {
+      type: Number, // Weight in kg
+      min: 0,
+    },
+    // Ordered list of the sets performed
+    setDetails: {
+      type: [setSchema],
+      default: undefined,
+    },
+  },
+  {
+    id: false,
+    toJSON: { virtuals: true },
+  }
+);
+
+/**
+ * List the sets of a workout exercise that count towards its totals and records
+ * Warm-up sets are skipped; entries without setDetails are treated as
+ * `sets` identical sets of reps x weight
+ * @param {Object} exercise - Workout exercise entry
+ * @returns {Array<Object>} Sets with reps, weight and type
+ */
+const getCountedSets = (exercise) => {
+  if (exercise.setDetails && exercise.setDetails.length > 0) {
+    return exercise.setDetails.filter((set) => set.type !== 'warm_up');
+  }
+
+  if (exercise.reps) {
+    return Array(exercise.sets || 1).fill({ type: 'working', reps: exercise.reps, weight: exercise.weight });
+  }
+
+  return [];
+};
+
+/**
+ * Count the reps and load of a workout exercise, skipping warm-up sets
+ * @param {Object} exercise - Workout exercise entry
+ * @returns {Object} { volume: total reps, tonnage: total kg lifted }
+ */
+const summarizeSets = (exercise) => {
+  const sets = getCountedSets(exercise);
+
+  const volume = sets.reduce((total, set) => total + (set.reps || 0), 0);
+  const tonnage = sets.reduce((total, set) => total + (set.reps || 0) * (set.weight || 0), 0);
+
+  return { volume, tonnage: Math.round(tonnage * 100) / 100 };
+};
+
+// Virtual property: Total reps of the exercise's counted sets
+workoutExerciseSchema.virtual('volume').get(function () {
+  return summarizeSets(this).volume;
+});
+
+// Virtual property: Total weight moved (reps x kg) in the exercise's counted sets
+workoutExerciseSchema.virtual('tonnage').get(function () {
+  return summarizeSets(this).tonnage;
+});
+
 // Define the Workout schema with validation
 const workoutSchema = new mongoose.Schema(
   {
@@ -67,6 +212,16 @@ const workoutSchema = new mongoose.Schema(
       max: [5000, 'Calories burned cannot exceed 5000'],
     },
 
+    // Whether caloriesBurned was entered by the user or estimated from MET values
+    caloriesSource: {
+      type: String,
+      enum: {
+        values: ['user', 'estimated'],
+        message: '{VALUE} is not a valid calories source',
+      },
+      default: 'user',
+    },
+
     // Intensity level of the workout
     intensity: {
       type: String,
@@ -89,43 +244,78 @@ const workoutSchema = new mongoose.Schema(
     workoutDate: {
       type: Date,
       required: [true, 'Workout date is required'],
-      // Validate that date is not in the future
+      // Only planned workouts may be dated in the future
       validate: {
         validator: function (value) {
-          return value <= new Date();
+          return value <= new Date() || this.status === 'planned';
         },
-        message: 'Workout date cannot be in the future',
+        message: 'Only planned workouts can be dated in the future',
       },
     },
 
+    // Distance covered in kilometres (cardio workouts)
+    distance: {
+      type: Number,
+      min: [0.01, 'Distance must be at least 0.01 km'],
+      max: [1000, 'Distance cannot exceed 1000 km'],
+    },
+
     // Track if workout was completed or just planned
+    // Kept in step with status (true exactly when the status is 'completed')
     completed: {
       type: Boolean,
       default: true,
     },
 
-    // Array of exercises performed (optional detailed breakdown)
-    exercises: [
-      {
-        name: {
-          type: String,
-          required: true,
-          trim: true,
-        },
-        sets: {
-          type: Number,
-          min: 1,
-        },
-        reps: {
-          type: Number,
-          min: 1,
-        },
-        weight: {
-          type: Number, // Weight in kg
-          min: 0,
-        },
+    // Where the workout is in its lifecycle
+    // Workouts saved before statuses existed take theirs from the completed flag
+    status: {
+      type: String,
+      enum: {
+        values: WORKOUT_STATUSES,
+        message: '{VALUE} is not a valid workout status',
       },
-    ],
+      default: function () {
+        return this.completed === false ? 'planned' : 'completed';
+      },
+    },
+
+    // Array of exercises performed (optional detailed breakdown)
+    exercises: [workoutExerciseSchema],
+
+    // Template the workout was created from, if any
+    templateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkoutTemplate',
+    },
+
+    // Recurring schedule occurrence the workout was created for, if any
+    scheduleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkoutSchedule',
+    },
+
+    // Original date of that occurrence (workoutDate may be moved later)
+    occurrenceDate: {
+      type: Date,
+    },
+
+    // Training program enrollment the workout was planned for, if any
+    programId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Program',
+    },
+
+    enrollmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ProgramEnrollment',
+    },
+
+    // Program week the workout belongs to, starting at 1
+    programWeek: {
+      type: Number,
+      min: [1, 'Program week must be at least 1'],
+    },
   },
   {
     // Enable timestamps
@@ -150,6 +340,17 @@ workoutSchema.virtual('caloriesPerMinute').get(function () {
   return 0;
 });
 
+// Virtual property: Total reps across all exercises (warm-up sets excluded)
+workoutSchema.virtual('totalVolume').get(function () {
+  return (this.exercises || []).reduce((total, exercise) => total + summarizeSets(exercise).volume, 0);
+});
+
+// Virtual property: Total weight moved across all exercises in kg (warm-up sets excluded)
+workoutSchema.virtual('totalTonnage').get(function () {
+  const tonnage = (this.exercises || []).reduce((total, exercise) => total + summarizeSets(exercise).tonnage, 0);
+  return Math.round(tonnage * 100) / 100;
+});
+
 // Compound index for efficient queries by user and date
 // This speeds up queries like "get all workouts for user X in date range Y"
 workoutSchema.index({ userId: 1, workoutDate: -1 });
@@ -157,6 +358,39 @@ workoutSchema.index({ userId: 1, workoutDate: -1 });
 // Index on workout date for date-based queries
 workoutSchema.index({ workoutDate: -1 });
 
+// Index for the workouts of a program enrollment
+workoutSchema.index({ enrollmentId: 1, programWeek: 1 }, { sparse: true });
+
+// Each schedule occurrence becomes at most one workout
+workoutSchema.index(
+  { scheduleId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { scheduleId: { $exists: true } } }
+);
+
+// Instance method: Keep status and the completed flag in step
+// An explicitly set status wins; otherwise the status follows the completed flag
+workoutSchema.methods.syncStatus = function () {
+  if (this.isModified('status') && !this.$isDefault('status')) {
+    this.completed = this.status === 'completed';
+  } else if (this.completed) {
+    this.status = 'completed';
+  } else if (this.status === 'completed') {
+    this.status = 'planned';
+  }
+};
+
+// Keep the legacy set count in step with the logged sets
+workoutSchema.pre('validate', function (next) {
+  this.syncStatus();
+  
+  (this.exercises || []).forEach((exercise) => {
+    if (exercise.setDetails && exercise.setDetails.length > 0) {
+      exercise.sets = exercise.setDetails.length;
+    }
+  });
+  next();
+});
+
 // Pre-save middleware
 workoutSchema.pre('save', function (next) {
   logger.database('Workout pre-save middleware triggered', {
@@ -197,6 +431,9 @@ workoutSchema.pre('remove', function (next) {
   next();
 });
 
+// Static method: List the sets of an exercise entry that count towards totals and records
+workoutSchema.statics.getCountedSets = getCountedSets;
+
 // Static method: Find workouts by user
 // Static methods are called on the model, not instances
 workoutSchema.statics.findByUser = async function (userId) {
@@ -239,6 +476,42 @@ workoutSchema.statics.getTotalCaloriesByUser = async function (userId) {
   }
 };
 
+// Static method: Count workouts per status
+// Workouts saved before statuses existed are counted by their completed flag
+workoutSchema.statics.countByStatus = async function (match = {}) {
+  logger.database('Counting workouts by status', { match });
+  
+  const result = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $ifNull: ['$status', { $cond: ['$completed', 'completed', 'planned'] }] },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  
+  const counts = Object.fromEntries(WORKOUT_STATUSES.map((status) => [status, 0]));
+  result.forEach(({ _id, count }) => {
+    counts[_id] = count;
+  });
+  
+  return counts;
+};
+
+// Static method: Share of due workouts that were completed, in percent
+// Every workout dated up to now was planned to happen, so the rate compares
+// completed workouts with all of them (skipped and missed ones included)
+workoutSchema.statics.getCompletionRate = function (counts) {
+  const due = WORKOUT_STATUSES.reduce((total, status) => total + (counts[status] || 0), 0);
+  return due > 0 ? Math.round((counts.completed / due) * 100) : 0;
+};
+
+// Static method: Check whether a workout may move from one status to another
+workoutSchema.statics.canChangeStatus = function (from, to) {
+  return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
 // Create and export the Workout model
 const Workout = mongoose.model('Workout', workoutSchema);
 
@@ -0,0 +1,44 @@
+/**
+ * Audit Routes
+ * Defines API endpoints for reading the audit log
+ * A user's own history is served from /api/v1/users/:id/audit
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+
+// Import controllers
+const { getAuditEvents } = require('../controllers/auditController');
+
+// Import validators
+const {
+  validateQueryParams,
+  validateAuditQuery,
+} = require('../middleware/validator');
+
+// Import authentication middleware
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Log when routes are being registered
+logger.info('Registering Audit routes...');
+
+/**
+ * @route   GET /api/v1/audit
+ * @desc    List audit events across all accounts, newest first
+ * @access  Protected ('audit:read' permission - admins)
+ * @query   action, resourceType, resourceId, actorId, targetUserId, requestId, from, to, page, limit
+ */
+router.get(
+  '/',
+  requireAuth,
+  requirePermission('audit:read'),
+  validateQueryParams,
+  validateAuditQuery,
+  getAuditEvents
+);
+
+// Log successful route registration
+logger.success('Audit routes registered successfully');
+
+module.exports = router;
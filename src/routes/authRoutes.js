@@ -1,61 +1,286 @@
 /**
  * Authentication Routes
- * GitHub OAuth login and callback routes
+ * OAuth (GitHub, ...), email/password login, linked identities and token routes
  */
 
 const express = require('express');
 const passport = require('../config/passport');
 const logger = require('../utils/logger');
+const {
+  createExchangeCode,
+  exchangeToken,
+  refreshTokens,
+  revokeRefreshToken,
+} = require('../controllers/authTokenController');
+const {
+  register,
+  login,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  requestEmailVerification,
+  verifyEmail,
+} = require('../controllers/localAuthController');
+const {
+  getIdentities,
+  unlinkIdentity,
+} = require('../controllers/identityController');
+const {
+  beginLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} = require('../controllers/twoFactorController');
+const {
+  getSessions,
+  endSession,
+  endAllSessions,
+} = require('../controllers/sessionController');
+const { OAUTH_PROVIDERS, getEnabledProviders } = require('../config/oauthProviders');
+const {
+  validateObjectId,
+  validateRefreshToken,
+  validateRegistration,
+  validateLogin,
+  validatePasswordChange,
+  validatePasswordResetRequest,
+  validatePasswordReset,
+  validateEmailVerification,
+  validateTwoFactorCode,
+} = require('../middleware/validator');
+const { requireAuth, requireSession } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Register login and callback routes for every configured OAuth provider
+getEnabledProviders().forEach((name) => {
+  const { label, scope } = OAUTH_PROVIDERS[name];
+
+  /**
+   * @route   GET /auth/:provider (e.g. /auth/github)
+   * @desc    Initiate OAuth login - links the provider instead when already logged in
+   * @access  Public
+   */
+  router.get(`/${name}`, (req, res, next) => {
+    logger.info(`${label} OAuth login initiated`, { ip: req.ip, linking: Boolean(req.user) });
+    passport.authenticate(name, { 
+      scope 
+    })(req, res, next);
+  });
+
+  /**
+   * @route   GET /auth/:provider/callback
+   * @desc    OAuth callback - asks for the second factor when the account has 2FA
+   * @access  Public
+   */
+  router.get(`/${name}/callback`, (req, res, next) => {
+    passport.authenticate(name, (error, user, info) => {
+      if (error) {
+        return next(error);
+      }
+
+      if (!user) {
+        // Shown by /auth/login-failed (e.g. identity linked to another user)
+        if (info?.message) {
+          req.session.messages = [...(req.session.messages || []), info.message];
+        }
+        return res.redirect('/auth/login-failed');
+      }
+
+      // Linking a provider while logged in keeps the existing, fully authenticated session
+      const alreadyLoggedIn = req.isAuthenticated() && req.user._id.equals(user._id);
+
+      const login = alreadyLoggedIn ? Promise.resolve(null) : beginLogin(req, user);
+
+      login
+        .then((twoFactor) => {
+          if (twoFactor) {
+            return res.json({
+              success: true,
+              message: 'Two-factor authentication required',
+              twoFactor
+            });
+          }
+
+          logger.success(`${label} OAuth login successful`, {
+            userId: user._id,
+            username: user.username
+          });
+
+          // Redirect to success page or dashboard
+          // Clients without cookies exchange the code at /auth/token for a JWT
+          res.json({
+            success: true,
+            message: 'Authentication successful',
+            user: {
+              id: user._id,
+              name: user.name,
+              email: user.email,
+              username: user.username
+            },
+            tokenExchange: createExchangeCode(user)
+          });
+        })
+        .catch(next);
+    })(req, res, next);
+  });
+});
+
+/**
+ * @route   GET /auth/identities
+ * @desc    List the OAuth identities linked to the current account
+ * @access  Private
+ */
+router.get('/identities', requireAuth, getIdentities);
+
+/**
+ * @route   DELETE /auth/identities/:identityId
+ * @desc    Unlink an OAuth identity (the last way to log in cannot be removed)
+ * @access  Private (session only)
+ * @param   identityId - Identity ID (MongoDB ObjectId)
+ */
+router.delete('/identities/:identityId', requireAuth, requireSession, validateObjectId('identityId'), unlinkIdentity);
+
+/**
+ * @route   POST /auth/2fa/setup
+ * @desc    Start two-factor enrollment (returns the secret and otpauth URI)
+ * @access  Protected (session only)
+ */
+router.post('/2fa/setup', requireAuth, requireSession, setupTwoFactor);
+
+/**
+ * @route   POST /auth/2fa/enable
+ * @desc    Confirm enrollment with a code - returns recovery codes
+ * @access  Protected (session only)
+ * @body    { code }
+ */
+router.post('/2fa/enable', requireAuth, requireSession, validateTwoFactorCode(), enableTwoFactor);
+
+/**
+ * @route   POST /auth/2fa/verify
+ * @desc    Second login step - completes a half-authenticated login
+ * @access  Public (half-authenticated session or challenge)
+ * @body    { code } or { recoveryCode }, plus { challenge } without a session cookie
+ */
+router.post('/2fa/verify', validateTwoFactorCode({ allowRecoveryCode: true }), verifyTwoFactor);
+
+/**
+ * @route   POST /auth/2fa/recovery-codes
+ * @desc    Replace the recovery codes
+ * @access  Protected (session only)
+ * @body    { code }
+ */
+router.post('/2fa/recovery-codes', requireAuth, requireSession, validateTwoFactorCode(), regenerateRecoveryCodes);
+
+/**
+ * @route   POST /auth/2fa/disable
+ * @desc    Turn two-factor authentication off
+ * @access  Protected (session only)
+ * @body    { password?, code } or { password?, recoveryCode }
+ */
+router.post('/2fa/disable', requireAuth, requireSession, validateTwoFactorCode({ allowRecoveryCode: true }), disableTwoFactor);
+
+/**
+ * @route   GET /auth/sessions
+ * @desc    List active login sessions with device and IP details
+ * @access  Private
+ */
+router.get('/sessions', requireAuth, getSessions);
+
+/**
+ * @route   DELETE /auth/sessions
+ * @desc    Sign out of all devices (sessions and refresh tokens)
+ * @access  Private (session only)
+ * @query   keepCurrent=true to stay signed in on this device
+ */
+router.delete('/sessions', requireAuth, requireSession, endAllSessions);
+
+/**
+ * @route   DELETE /auth/sessions/:sessionId
+ * @desc    Sign out a single session
+ * @access  Private (session only)
+ * @param   sessionId - Session ID from GET /auth/sessions
+ */
+router.delete('/sessions/:sessionId', requireAuth, requireSession, endSession);
+
 /**
- * @route   GET /auth/github
- * @desc    Initiate GitHub OAuth login
+ * @route   POST /auth/register
+ * @desc    Sign up with email and password (logs the new user in)
  * @access  Public
+ * @body    { name, email, password }
  */
-router.get('/github', (req, res, next) => {
-  logger.info('GitHub OAuth login initiated', { ip: req.ip });
-  passport.authenticate('github', { 
-    scope: ['user:email'] 
-  })(req, res, next);
-});
+router.post('/register', validateRegistration, register);
 
 /**
- * @route   GET /auth/github/callback
- * @desc    GitHub OAuth callback
+ * @route   POST /auth/login
+ * @desc    Log in with email and password
  * @access  Public
+ * @body    { email, password }
  */
-router.get('/github/callback',
-  passport.authenticate('github', { 
-    failureRedirect: '/auth/login-failed' 
-  }),
-  (req, res) => {
-    logger.success('GitHub OAuth login successful', {
-      userId: req.user._id,
-      username: req.user.username
-    });
+router.post('/login', validateLogin, login);
 
-    // Redirect to success page or dashboard
-    res.json({
-      success: true,
-      message: 'Authentication successful',
-      user: {
-        id: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        username: req.user.username
-      }
-    });
-  }
-);
+/**
+ * @route   PUT /auth/password
+ * @desc    Change the password (or set a first one for GitHub accounts)
+ * @access  Protected (session only)
+ * @body    { currentPassword?, newPassword }
+ */
+router.put('/password', requireAuth, requireSession, validatePasswordChange, changePassword);
 
 /**
- * @route   GET /auth/logout
- * @desc    Logout user
+ * @route   POST /auth/password/forgot
+ * @desc    Email a password reset token
+ * @access  Public
+ * @body    { email }
+ */
+router.post('/password/forgot', validatePasswordResetRequest, forgotPassword);
+
+/**
+ * @route   POST /auth/password/reset
+ * @desc    Set a new password with a reset token
+ * @access  Public
+ * @body    { token, password }
+ */
+router.post('/password/reset', validatePasswordReset, resetPassword);
+
+/**
+ * @route   POST /auth/email/verification
+ * @desc    Email a new verification token for the account's address
  * @access  Private
  */
-router.get('/logout', (req, res) => {
+router.post('/email/verification', requireAuth, requestEmailVerification);
+
+/**
+ * @route   POST /auth/email/verify
+ * @desc    Verify the account's email address with a token from the verification email
+ * @access  Public
+ * @body    { token }
+ */
+router.post('/email/verify', validateEmailVerification, verifyEmail);
+
+/**
+ * @route   POST /auth/token
+ * @desc    Exchange a login for a JWT access token and a refresh token
+ * @access  Public (exchange code from the GitHub callback, or a login session)
+ * @body    { code? }
+ */
+router.post('/token', exchangeToken);
+
+/**
+ * @route   POST /auth/refresh
+ * @desc    Rotate a refresh token and get a new access token
+ * @access  Public (refresh token)
+ * @body    { refreshToken }
+ */
+router.post('/refresh', validateRefreshToken, refreshTokens);
+
+/**
+ * Logout handler shared by GET and POST /auth/logout
+ * A refresh token sent in the body is revoked by revokeRefreshToken first
+ */
+const logout = (req, res) => {
   const userId = req.user?._id;
   
   req.logout((err) => {
@@ -73,7 +298,22 @@ router.get('/logout', (req, res) => {
       message: 'Logged out successfully'
     });
   });
-});
+};
+
+/**
+ * @route   GET /auth/logout
+ * @desc    Logout user
+ * @access  Private
+ */
+router.get('/logout', logout);
+
+/**
+ * @route   POST /auth/logout
+ * @desc    Logout user and revoke the refresh token (and its rotations)
+ * @access  Private
+ * @body    { refreshToken? }
+ */
+router.post('/logout', revokeRefreshToken, logout);
 
 /**
  * @route   GET /auth/login-failed
@@ -81,10 +321,13 @@ router.get('/logout', (req, res) => {
  * @access  Public
  */
 router.get('/login-failed', (req, res) => {
-  logger.warn('GitHub OAuth login failed', { ip: req.ip });
+  // Set by the strategy when it refuses a login (e.g. identity linked to another user)
+  const reason = req.session?.messages?.pop();
+
+  logger.warn('OAuth login failed', { ip: req.ip, reason });
   res.status(401).json({
     success: false,
-    message: 'Authentication failed. Please try again.'
+    message: reason || 'Authentication failed. Please try again.'
   });
 });
 
@@ -109,7 +352,10 @@ router.get('/me', (req, res) => {
       name: req.user.name,
       email: req.user.email,
       username: req.user.username,
-      profileCompletion: req.user.profileCompletion
+      profileCompletion: req.user.profileCompletion,
+      roles: req.user.roles,
+      permissions: req.user.permissions,
+      twoFactorEnabled: req.user.twoFactor?.enabled || false
     }
   });
 });
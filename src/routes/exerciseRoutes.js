@@ -0,0 +1,106 @@
+/**
+ * Exercise Routes
+ * Defines API endpoints for the exercise catalog
+ * Reading the catalog is public; changing it needs the 'exercises:manage' permission
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+
+// Import controllers
+const {
+  getExercises,
+  getExerciseById,
+  createExercise,
+  updateExercise,
+  deleteExercise,
+} = require('../controllers/exerciseController');
+
+// Import validators
+const {
+  validateObjectId,
+  validateQueryParams,
+  validateExercise,
+  validateExerciseQuery,
+} = require('../middleware/validator');
+
+// Import authentication middleware
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+// Log when routes are being registered
+logger.info('Registering Exercise routes...');
+
+/**
+ * @route   GET /api/v1/exercises
+ * @desc    Search the exercise catalog by name or alias
+ * @access  Public
+ * @query   search, category, muscleGroup, equipment, page, limit
+ */
+router.get(
+  '/',
+  validateQueryParams,
+  validateExerciseQuery,
+  getExercises
+);
+
+/**
+ * @route   POST /api/v1/exercises
+ * @desc    Add an exercise to the catalog
+ * @access  Protected ('exercises:manage' permission - coaches and admins)
+ * @body    { name, category, aliases?, muscleGroups?, equipment?, metValue?, description? }
+ */
+router.post(
+  '/',
+  requireAuth,
+  requirePermission('exercises:manage'),
+  validateExercise(false),
+  createExercise
+);
+
+/**
+ * @route   GET /api/v1/exercises/:id
+ * @desc    Get a single exercise by ID
+ * @access  Public
+ * @param   id - Exercise ID (MongoDB ObjectId)
+ */
+router.get(
+  '/:id',
+  validateObjectId('id'),
+  getExerciseById
+);
+
+/**
+ * @route   PUT /api/v1/exercises/:id
+ * @desc    Update a catalog exercise
+ * @access  Protected ('exercises:manage' permission - coaches and admins)
+ * @param   id - Exercise ID (MongoDB ObjectId)
+ * @body    Any exercise fields to update (all optional)
+ */
+router.put(
+  '/:id',
+  requireAuth,
+  requirePermission('exercises:manage'),
+  validateObjectId('id'),
+  validateExercise(true),
+  updateExercise
+);
+
+/**
+ * @route   DELETE /api/v1/exercises/:id
+ * @desc    Remove an exercise that no workout references
+ * @access  Protected ('exercises:manage' permission - coaches and admins)
+ * @param   id - Exercise ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id',
+  requireAuth,
+  requirePermission('exercises:manage'),
+  validateObjectId('id'),
+  deleteExercise
+);
+
+// Log successful route registration
+logger.success('Exercise routes registered successfully');
+
+module.exports = router;
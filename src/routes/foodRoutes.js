@@ -0,0 +1,109 @@
+/**
+ * Food Routes
+ * Defines API endpoints for the food database
+ * All routes require authentication; foods users add are private to them and
+ * changing standard foods needs the 'foods:manage' permission
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+
+// Import controllers
+const {
+  getFoods,
+  getFoodById,
+  createFood,
+  updateFood,
+  deleteFood,
+} = require('../controllers/foodController');
+
+// Import validators
+const {
+  validateObjectId,
+  validateQueryParams,
+  validateFood,
+  validateFoodQuery,
+} = require('../middleware/validator');
+
+// Import authentication middleware
+const { requireAuth, requireScope } = require('../middleware/auth');
+
+// Log when routes are being registered
+logger.info('Registering Food routes...');
+
+/**
+ * @route   GET /api/v1/foods
+ * @desc    Search the standard foods and the caller's own foods
+ * @access  Protected
+ * @query   search, source (standard|custom), page, limit
+ */
+router.get(
+  '/',
+  requireAuth,
+  validateQueryParams,
+  validateFoodQuery,
+  getFoods
+);
+
+/**
+ * @route   POST /api/v1/foods
+ * @desc    Add a food (private to the caller unless isStandard is set)
+ * @access  Protected (isStandard needs the 'foods:manage' permission)
+ * @body    { name, servingSize, servingUnit, calories, brand?, protein?, carbs?, fat?, isStandard? }
+ */
+router.post(
+  '/',
+  requireAuth,
+  requireScope('profile:write'),
+  validateFood(false),
+  createFood
+);
+
+/**
+ * @route   GET /api/v1/foods/:id
+ * @desc    Get a single food by ID
+ * @access  Protected (standard foods, or the user who added the food)
+ * @param   id - Food ID (MongoDB ObjectId)
+ */
+router.get(
+  '/:id',
+  requireAuth,
+  validateObjectId('id'),
+  getFoodById
+);
+
+/**
+ * @route   PUT /api/v1/foods/:id
+ * @desc    Update a food
+ * @access  Protected (the user who added the food; standard foods need 'foods:manage')
+ * @param   id - Food ID (MongoDB ObjectId)
+ * @body    Any food fields to update (all optional)
+ */
+router.put(
+  '/:id',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  validateFood(true),
+  updateFood
+);
+
+/**
+ * @route   DELETE /api/v1/foods/:id
+ * @desc    Remove a food; logged entries keep their nutrition
+ * @access  Protected (the user who added the food; standard foods need 'foods:manage')
+ * @param   id - Food ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  deleteFood
+);
+
+// Log successful route registration
+logger.success('Food routes registered successfully');
+
+module.exports = router;
@@ -0,0 +1,141 @@
+/**
+ * Training Program Routes
+ * Defines API endpoints for multi-week training programs and enrollments
+ * All routes require authentication; programs are private to their owner
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+
+// Import controllers
+const {
+  getPrograms,
+  getProgramById,
+  createProgram,
+  updateProgram,
+  deleteProgram,
+  enrollInProgram,
+  cancelEnrollment,
+} = require('../controllers/programController');
+
+// Import validators
+const {
+  validateObjectId,
+  validateQueryParams,
+  validateProgram,
+  validateEnrollment,
+} = require('../middleware/validator');
+
+// Import authentication middleware
+const { requireAuth, requireScope } = require('../middleware/auth');
+
+// Log when routes are being registered
+logger.info('Registering Training Program routes...');
+
+/**
+ * @route   GET /api/v1/programs
+ * @desc    List the authenticated user's training programs
+ * @access  Protected ('workouts:write:any' may pass userId)
+ * @query   userId, page, limit
+ */
+router.get(
+  '/',
+  requireAuth,
+  validateQueryParams,
+  getPrograms
+);
+
+/**
+ * @route   POST /api/v1/programs
+ * @desc    Create a training program
+ * @access  Protected (owned by the authenticated user)
+ * @body    { title, description?, weeks: [{ days: [{ day, templateId, notes? }] }], progression? }
+ */
+router.post(
+  '/',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateProgram(false),
+  createProgram
+);
+
+/**
+ * @route   GET /api/v1/programs/:id
+ * @desc    Get a single training program
+ * @access  Protected (program owner or admin)
+ * @param   id - Program ID (MongoDB ObjectId)
+ */
+router.get(
+  '/:id',
+  requireAuth,
+  validateObjectId('id'),
+  getProgramById
+);
+
+/**
+ * @route   PUT /api/v1/programs/:id
+ * @desc    Update a training program
+ * @access  Protected (program owner or admin)
+ * @param   id - Program ID (MongoDB ObjectId)
+ * @body    Any program fields to update (all optional)
+ */
+router.put(
+  '/:id',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('id'),
+  validateProgram(true),
+  updateProgram
+);
+
+/**
+ * @route   DELETE /api/v1/programs/:id
+ * @desc    Delete a training program without active enrollments
+ * @access  Protected (program owner or admin)
+ * @param   id - Program ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('id'),
+  deleteProgram
+);
+
+/**
+ * @route   POST /api/v1/programs/:id/enrollments
+ * @desc    Enroll a user and plan the program's workouts
+ * @access  Protected (program owner; 'workouts:write:any' may set userId)
+ * @param   id - Program ID (MongoDB ObjectId)
+ * @body    { userId?, startDate? }
+ */
+router.post(
+  '/:id/enrollments',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('id'),
+  validateEnrollment,
+  enrollInProgram
+);
+
+/**
+ * @route   DELETE /api/v1/programs/:id/enrollments/:enrollmentId
+ * @desc    Cancel an enrollment and remove its upcoming planned workouts
+ * @access  Protected (enrolled user or admin)
+ * @param   id - Program ID (MongoDB ObjectId)
+ * @param   enrollmentId - Enrollment ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id/enrollments/:enrollmentId',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('id'),
+  validateObjectId('enrollmentId'),
+  cancelEnrollment
+);
+
+// Log successful route registration
+logger.success('Training Program routes registered successfully');
+
+module.exports = router;
@@ -0,0 +1,175 @@
+/**
+ * Workout Schedule Routes
+ * Defines API endpoints for recurring workout schedules
+ * All routes require authentication; schedules are private to their owner
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+
+// Import controllers
+const {
+  getSchedules,
+  getScheduleById,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  getScheduleOccurrences,
+  addScheduleException,
+  removeScheduleException,
+  createScheduledWorkouts,
+} = require('../controllers/scheduleController');
+
+// Import validators
+const {
+  validateObjectId,
+  validateQueryParams,
+  validateSchedule,
+  validateScheduleQuery,
+  validateScheduleException,
+} = require('../middleware/validator');
+
+// Import authentication middleware
+const { requireAuth, requireScope } = require('../middleware/auth');
+
+// Log when routes are being registered
+logger.info('Registering Workout Schedule routes...');
+
+/**
+ * @route   GET /api/v1/schedules
+ * @desc    List the authenticated user's recurring workout schedules
+ * @access  Protected ('workouts:write:any' may pass userId)
+ * @query   userId, exerciseType, page, limit
+ */
+router.get(
+  '/',
+  requireAuth,
+  validateQueryParams,
+  getSchedules
+);
+
+/**
+ * @route   POST /api/v1/schedules
+ * @desc    Create a recurring workout schedule
+ * @access  Protected (owned by the authenticated user)
+ * @body    { userId?, templateId?, rrule, startDate?, timezone?, title, exerciseType, duration, caloriesBurned?, intensity?, notes?, exercises? }
+ */
+router.post(
+  '/',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateSchedule(false),
+  createSchedule
+);
+
+/**
+ * @route   GET /api/v1/schedules/:id
+ * @desc    Get a single recurring workout schedule
+ * @access  Protected (schedule owner or admin)
+ * @param   id - Workout schedule ID (MongoDB ObjectId)
+ */
+router.get(
+  '/:id',
+  requireAuth,
+  validateObjectId('id'),
+  getScheduleById
+);
+
+/**
+ * @route   PUT /api/v1/schedules/:id
+ * @desc    Change a schedule from one occurrence on ("this and following")
+ * @access  Protected (schedule owner or admin)
+ * @param   id - Workout schedule ID (MongoDB ObjectId)
+ * @query   from - First occurrence to change is the one at or after this date (default: now)
+ * @body    Any schedule fields to update (all optional)
+ */
+router.put(
+  '/:id',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('id'),
+  validateSchedule(true),
+  updateSchedule
+);
+
+/**
+ * @route   DELETE /api/v1/schedules/:id
+ * @desc    Delete a recurring workout schedule and its upcoming planned workouts
+ * @access  Protected (schedule owner or admin)
+ * @param   id - Workout schedule ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('id'),
+  deleteSchedule
+);
+
+/**
+ * @route   GET /api/v1/schedules/:id/occurrences
+ * @desc    List the occurrences of a schedule and what became of them
+ * @access  Protected (schedule owner or admin)
+ * @param   id - Workout schedule ID (MongoDB ObjectId)
+ * @query   from, to (defaults to the next four weeks)
+ */
+router.get(
+  '/:id/occurrences',
+  requireAuth,
+  validateObjectId('id'),
+  validateScheduleQuery,
+  getScheduleOccurrences
+);
+
+/**
+ * @route   POST /api/v1/schedules/:id/exceptions
+ * @desc    Skip the occurrence on one date
+ * @access  Protected (schedule owner or admin)
+ * @param   id - Workout schedule ID (MongoDB ObjectId)
+ * @body    { date, reason? }
+ */
+router.post(
+  '/:id/exceptions',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('id'),
+  validateScheduleException,
+  addScheduleException
+);
+
+/**
+ * @route   DELETE /api/v1/schedules/:id/exceptions/:date
+ * @desc    Restore a skipped occurrence
+ * @access  Protected (schedule owner or admin)
+ * @param   id - Workout schedule ID (MongoDB ObjectId)
+ * @param   date - Day of the skipped occurrence (YYYY-MM-DD)
+ */
+router.delete(
+  '/:id/exceptions/:date',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('id'),
+  removeScheduleException
+);
+
+/**
+ * @route   POST /api/v1/schedules/:id/workouts
+ * @desc    Create planned workouts for the occurrences in a date range
+ * @access  Protected (schedule owner or admin)
+ * @param   id - Workout schedule ID (MongoDB ObjectId)
+ * @query   from, to (defaults to the next four weeks)
+ */
+router.post(
+  '/:id/workouts',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('id'),
+  validateScheduleQuery,
+  createScheduledWorkouts
+);
+
+// Log successful route registration
+logger.success('Workout Schedule routes registered successfully');
+
+module.exports = router;
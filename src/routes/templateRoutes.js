@@ -0,0 +1,106 @@
+/**
+ * Workout Template Routes
+ * Defines API endpoints for reusable workout templates
+ * All routes require authentication; templates are private to their owner
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+
+// Import controllers
+const {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+} = require('../controllers/templateController');
+
+// Import validators
+const {
+  validateObjectId,
+  validateQueryParams,
+  validateTemplate,
+} = require('../middleware/validator');
+
+// Import authentication middleware
+const { requireAuth, requireScope } = require('../middleware/auth');
+
+// Log when routes are being registered
+logger.info('Registering Workout Template routes...');
+
+/**
+ * @route   GET /api/v1/templates
+ * @desc    List the authenticated user's workout templates
+ * @access  Protected ('workouts:write:any' may pass userId)
+ * @query   userId, exerciseType, page, limit
+ */
+router.get(
+  '/',
+  requireAuth,
+  validateQueryParams,
+  getTemplates
+);
+
+/**
+ * @route   POST /api/v1/templates
+ * @desc    Create a workout template
+ * @access  Protected (owned by the authenticated user)
+ * @body    { userId?, title, exerciseType, duration?, caloriesBurned?, intensity?, notes?, exercises? }
+ */
+router.post(
+  '/',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateTemplate(false),
+  createTemplate
+);
+
+/**
+ * @route   GET /api/v1/templates/:id
+ * @desc    Get a single workout template
+ * @access  Protected (template owner or admin)
+ * @param   id - Workout template ID (MongoDB ObjectId)
+ */
+router.get(
+  '/:id',
+  requireAuth,
+  validateObjectId('id'),
+  getTemplateById
+);
+
+/**
+ * @route   PUT /api/v1/templates/:id
+ * @desc    Update a workout template
+ * @access  Protected (template owner or admin)
+ * @param   id - Workout template ID (MongoDB ObjectId)
+ * @body    Any template fields to update (all optional)
+ */
+router.put(
+  '/:id',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('id'),
+  validateTemplate(true),
+  updateTemplate
+);
+
+/**
+ * @route   DELETE /api/v1/templates/:id
+ * @desc    Delete a workout template
+ * @access  Protected (template owner or admin)
+ * @param   id - Workout template ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('id'),
+  deleteTemplate
+);
+
+// Log successful route registration
+logger.success('Workout Template routes registered successfully');
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Access Token Routes
+ * Defines API endpoints for managing personal access tokens
+ * Tokens can only be managed from an interactive session, never with another token
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+
+// Import controllers
+const {
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken,
+} = require('../controllers/tokenController');
+
+// Import validators
+const {
+  validateObjectId,
+  validateAccessToken,
+} = require('../middleware/validator');
+
+// Import authentication middleware
+const { requireAuth, requireSession } = require('../middleware/auth');
+
+// Log when routes are being registered
+logger.info('Registering Access Token routes...');
+
+// Every token route requires a logged-in session
+router.use(requireAuth, requireSession);
+
+/**
+ * @route   POST /api/v1/tokens
+ * @desc    Create a personal access token (returned once)
+ * @access  Protected (session only)
+ * @body    { name, scopes, expiresInDays? }
+ */
+router.post(
+  '/',
+  validateAccessToken,
+  createAccessToken
+);
+
+/**
+ * @route   GET /api/v1/tokens
+ * @desc    List the authenticated user's access tokens
+ * @access  Protected (session only)
+ */
+router.get(
+  '/',
+  getAccessTokens
+);
+
+/**
+ * @route   DELETE /api/v1/tokens/:id
+ * @desc    Revoke an access token
+ * @access  Protected (session only)
+ * @param   id - Access token ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id',
+  validateObjectId('id'),
+  revokeAccessToken
+);
+
+// Log successful route registration
+logger.success('Access Token routes registered successfully');
+
+module.exports = router;
@@ -16,14 +16,86 @@ const {
   updateUser,
   deleteUser,
   getUserStats,
+  grantRole,
+  revokeRole,
 } = require('../controllers/userController');
+const { getUserAuditEvents } = require('../controllers/auditController');
+const { getUserRecords } = require('../controllers/recordController');
+const { getExerciseProgress } = require('../controllers/progressController');
+const { getUserSchedule } = require('../controllers/scheduleController');
+const { getProgramProgress } = require('../controllers/programController');
+const {
+  getMeasurements,
+  getMeasurementTrends,
+  getMeasurementById,
+  createMeasurement,
+  updateMeasurement,
+  deleteMeasurement,
+} = require('../controllers/measurementController');
+const {
+  getGoals,
+  getGoalById,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+} = require('../controllers/goalController');
+const {
+  getFoodLog,
+  getFoodLogEntryById,
+  createFoodLogEntry,
+  updateFoodLogEntry,
+  deleteFoodLogEntry,
+  getDailyNutrition,
+  getEnergyBalance,
+} = require('../controllers/nutritionController');
+const {
+  getWellnessEntries,
+  getWellnessEntry,
+  saveWellnessEntry,
+  deleteWellnessEntry,
+  getReadiness,
+} = require('../controllers/wellnessController');
+const {
+  getCalendarFeed,
+  createCalendarToken,
+  revokeCalendarToken,
+} = require('../controllers/calendarController');
+const {
+  exportUserData,
+  getErasureStatus,
+  requestErasure,
+  cancelErasure,
+} = require('../controllers/privacyController');
 
 // Import validators
 const {
   validateObjectId,
+  validateDateParam,
   validateUser,
+  validateRole,
+  validateQueryParams,
+  validateAuditQuery,
+  validateRecordQuery,
+  validateProgressQuery,
+  validateScheduleQuery,
+  validateMeasurement,
+  validateMeasurementQuery,
+  validateGoal,
+  validateGoalQuery,
+  validateFoodLogEntry,
+  validateNutritionQuery,
+  validateWellnessEntry,
+  validateWellnessQuery,
 } = require('../middleware/validator');
 
+// Import authentication middleware
+const {
+  requireAuth,
+  requirePermission,
+  requireSelfOrPermission,
+  requireScope,
+} = require('../middleware/auth');
+
 // Log when routes are being registered
 logger.info('Registering User routes...');
 
@@ -42,11 +114,13 @@ router.post(
 /**
  * @route   GET /api/v1/users
  * @desc    Get all users with optional filters
- * @access  Public
+ * @access  Protected ('users:list' permission - coaches and admins)
  * @query   fitnessGoal, activityLevel, isActive
  */
 router.get(
   '/',
+  requireAuth,
+  requirePermission('users:list'),
   getAllUsers
 );
 
@@ -74,16 +148,540 @@ router.get(
   getUserStats
 );
 
+/**
+ * @route   GET /api/v1/users/:id/records
+ * @desc    Get the personal records detected in a user's workouts
+ * @access  Public
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   type, exercise, history, page, limit
+ */
+router.get(
+  '/:id/records',
+  validateObjectId('id'),
+  validateQueryParams,
+  validateRecordQuery,
+  getUserRecords
+);
+
+/**
+ * @route   GET /api/v1/users/:id/exercises/:exercise/progress
+ * @desc    Get the estimated 1RM, top set and volume of an exercise over time
+ * @access  Public
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   exercise - Catalog exercise ID, name or alias
+ * @query   formula (epley, brzycki, lombardi), bucket (day, week, month), from, to
+ */
+router.get(
+  '/:id/exercises/:exercise/progress',
+  validateObjectId('id'),
+  validateProgressQuery,
+  getExerciseProgress
+);
+
+/**
+ * @route   GET /api/v1/users/:id/schedule
+ * @desc    Get a user's calendar of planned and logged workouts
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   from, to (defaults to the next four weeks)
+ */
+router.get(
+  '/:id/schedule',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateScheduleQuery,
+  getUserSchedule
+);
+
+/**
+ * @route   GET /api/v1/users/:id/programs/:programId/progress
+ * @desc    Get a user's week-by-week adherence to a training program
+ * @access  Public
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   programId - Program ID (MongoDB ObjectId)
+ */
+router.get(
+  '/:id/programs/:programId/progress',
+  validateObjectId('id'),
+  validateObjectId('programId'),
+  getProgramProgress
+);
+
+/**
+ * @route   GET /api/v1/users/:id/measurements
+ * @desc    Get a user's body measurement history, newest first
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   from, to, page, limit
+ */
+router.get(
+  '/:id/measurements',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateQueryParams,
+  validateMeasurementQuery,
+  getMeasurements
+);
+
+/**
+ * @route   GET /api/v1/users/:id/measurements/trends
+ * @desc    Get the moving average and exponentially weighted trend of a metric
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   metric (default weight), window (days), alpha, from, to
+ */
+router.get(
+  '/:id/measurements/trends',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateMeasurementQuery,
+  getMeasurementTrends
+);
+
+/**
+ * @route   GET /api/v1/users/:id/measurements/:measurementId
+ * @desc    Get one body measurement
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   measurementId - Measurement ID (MongoDB ObjectId)
+ */
+router.get(
+  '/:id/measurements/:measurementId',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  validateObjectId('measurementId'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  getMeasurementById
+);
+
+/**
+ * @route   POST /api/v1/users/:id/measurements
+ * @desc    Record a body measurement (updates the profile weight and body fat if it is the latest)
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @body    { measuredAt, weight, bodyFatPercentage, waist, hips, chest, neck, arms, thighs, restingHeartRate, notes }
+ */
+router.post(
+  '/:id/measurements',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateMeasurement(false),
+  createMeasurement
+);
+
+/**
+ * @route   PUT /api/v1/users/:id/measurements/:measurementId
+ * @desc    Update a body measurement
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   measurementId - Measurement ID (MongoDB ObjectId)
+ */
+router.put(
+  '/:id/measurements/:measurementId',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  validateObjectId('measurementId'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateMeasurement(true),
+  updateMeasurement
+);
+
+/**
+ * @route   DELETE /api/v1/users/:id/measurements/:measurementId
+ * @desc    Delete a body measurement
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   measurementId - Measurement ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id/measurements/:measurementId',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  validateObjectId('measurementId'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  deleteMeasurement
+);
+
+/**
+ * @route   GET /api/v1/users/:id/goals
+ * @desc    Get a user's goals with their progress, status and projected completion
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   type, page, limit
+ */
+router.get(
+  '/:id/goals',
+  requireAuth,
+  requireScope('health:read'), // Weight goals show the measured weight trend and calorie plan
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateQueryParams,
+  validateGoalQuery,
+  getGoals
+);
+
+/**
+ * @route   GET /api/v1/users/:id/goals/:goalId
+ * @desc    Get one goal with its progress (and calorie plan for weight goals)
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   goalId - Goal ID (MongoDB ObjectId)
+ */
+router.get(
+  '/:id/goals/:goalId',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  validateObjectId('goalId'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  getGoalById
+);
+
+/**
+ * @route   POST /api/v1/users/:id/goals
+ * @desc    Set a goal
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @body    { type, target, deadline, startDate, startValue, exercise, recordType, exerciseType, title, notes }
+ */
+router.post(
+  '/:id/goals',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateGoal(false),
+  createGoal
+);
+
+/**
+ * @route   PUT /api/v1/users/:id/goals/:goalId
+ * @desc    Update a goal
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   goalId - Goal ID (MongoDB ObjectId)
+ */
+router.put(
+  '/:id/goals/:goalId',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  validateObjectId('goalId'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateGoal(true),
+  updateGoal
+);
+
+/**
+ * @route   DELETE /api/v1/users/:id/goals/:goalId
+ * @desc    Delete a goal
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   goalId - Goal ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id/goals/:goalId',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  validateObjectId('goalId'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  deleteGoal
+);
+
+/**
+ * @route   GET /api/v1/users/:id/food-log
+ * @desc    Get a user's food log, newest first
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   from, to (YYYY-MM-DD in the user's time zone), meal, page, limit
+ */
+router.get(
+  '/:id/food-log',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateQueryParams,
+  validateNutritionQuery,
+  getFoodLog
+);
+
+/**
+ * @route   GET /api/v1/users/:id/food-log/:entryId
+ * @desc    Get one food log entry
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   entryId - Food log entry ID (MongoDB ObjectId)
+ */
+router.get(
+  '/:id/food-log/:entryId',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  validateObjectId('entryId'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  getFoodLogEntryById
+);
+
+/**
+ * @route   POST /api/v1/users/:id/food-log
+ * @desc    Log food eaten - from the food database or typed in
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @body    { meal, foodId, servings, eatenAt, notes } or { meal, foodName, calories, protein, carbs, fat, servings, eatenAt, notes }
+ */
+router.post(
+  '/:id/food-log',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateFoodLogEntry(false),
+  createFoodLogEntry
+);
+
+/**
+ * @route   PUT /api/v1/users/:id/food-log/:entryId
+ * @desc    Update a food log entry
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   entryId - Food log entry ID (MongoDB ObjectId)
+ */
+router.put(
+  '/:id/food-log/:entryId',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  validateObjectId('entryId'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateFoodLogEntry(true),
+  updateFoodLogEntry
+);
+
+/**
+ * @route   DELETE /api/v1/users/:id/food-log/:entryId
+ * @desc    Delete a food log entry
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   entryId - Food log entry ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id/food-log/:entryId',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  validateObjectId('entryId'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  deleteFoodLogEntry
+);
+
+/**
+ * @route   GET /api/v1/users/:id/nutrition
+ * @desc    Get daily calorie and macro totals from the food log
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   from, to (YYYY-MM-DD in the user's time zone; default the last 7 days)
+ */
+router.get(
+  '/:id/nutrition',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateNutritionQuery,
+  getDailyNutrition
+);
+
+/**
+ * @route   GET /api/v1/users/:id/energy-balance
+ * @desc    Get daily intake against dailyCalorieNeeds and workout calories burned
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   from, to (YYYY-MM-DD in the user's time zone; default the last 7 days)
+ */
+router.get(
+  '/:id/energy-balance',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateNutritionQuery,
+  getEnergyBalance
+);
+
+/**
+ * @route   GET /api/v1/users/:id/wellness
+ * @desc    Get a user's daily wellness log, newest first
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   from, to (YYYY-MM-DD), page, limit
+ */
+router.get(
+  '/:id/wellness',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateQueryParams,
+  validateWellnessQuery,
+  getWellnessEntries
+);
+
+/**
+ * @route   GET /api/v1/users/:id/wellness/:date
+ * @desc    Get the wellness entry of one day
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   date - Day of the entry (YYYY-MM-DD)
+ */
+router.get(
+  '/:id/wellness/:date',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  validateDateParam('date'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  getWellnessEntry
+);
+
+/**
+ * @route   PUT /api/v1/users/:id/wellness/:date
+ * @desc    Record the wellness entry of a day, or add to it
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   date - Day of the entry (YYYY-MM-DD)
+ * @body    { sleepHours, sleepQuality, waterIntake, soreness, mood, restingHeartRate, hrv, notes } (any of them)
+ */
+router.put(
+  '/:id/wellness/:date',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  validateDateParam('date'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateWellnessEntry,
+  saveWellnessEntry
+);
+
+/**
+ * @route   DELETE /api/v1/users/:id/wellness/:date
+ * @desc    Delete the wellness entry of a day
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   date - Day of the entry (YYYY-MM-DD)
+ */
+router.delete(
+  '/:id/wellness/:date',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  validateDateParam('date'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  deleteWellnessEntry
+);
+
+/**
+ * @route   GET /api/v1/users/:id/readiness
+ * @desc    Get user statistics with the readiness score of a day
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   date (YYYY-MM-DD in the user's time zone; default today)
+ */
+router.get(
+  '/:id/readiness',
+  requireAuth,
+  requireScope('health:read'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  validateWellnessQuery,
+  getReadiness
+);
+
+/**
+ * @route   GET /api/v1/users/:id/calendar.ics
+ * @desc    Subscribe to a user's logged and planned workouts in a calendar app (iCalendar)
+ * @access  Calendar token (from POST /api/v1/users/:id/calendar-token)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   token - Calendar feed token
+ */
+router.get(
+  '/:id/calendar.ics',
+  validateObjectId('id'),
+  getCalendarFeed
+);
+
+/**
+ * @route   POST /api/v1/users/:id/calendar-token
+ * @desc    Create the calendar feed token and URL (replaces the previous one)
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ */
+router.post(
+  '/:id/calendar-token',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  createCalendarToken
+);
+
+/**
+ * @route   DELETE /api/v1/users/:id/calendar-token
+ * @desc    Revoke the calendar feed token, disabling the feed
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id/calendar-token',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  revokeCalendarToken
+);
+
+/**
+ * @route   GET /api/v1/users/:id/audit
+ * @desc    Get the audit history of an account, newest first
+ * @access  Protected (account owner or 'audit:read' permission)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @query   action, resourceType, resourceId, requestId, from, to, page, limit
+ */
+router.get(
+  '/:id/audit',
+  requireAuth,
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'audit:read'), // Users see their own history, admins see anyone's
+  validateQueryParams,
+  validateAuditQuery,
+  getUserAuditEvents
+);
+
 /**
  * @route   PUT /api/v1/users/:id
  * @desc    Update a user
- * @access  Public
+ * @access  Protected (account owner or admin)
  * @param   id - User ID (MongoDB ObjectId)
  * @body    Any user fields to update (all optional)
  */
 router.put(
   '/:id',
+  requireAuth, // Protect this route - user must be authenticated
+  requireScope('profile:write'), // Access tokens need the profile:write scope
   validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'), // Only the account owner or a privileged user may update
   validateUser(true), // true = update mode, all fields are optional
   updateUser
 );
@@ -91,15 +689,110 @@ router.put(
 /**
  * @route   DELETE /api/v1/users/:id
  * @desc    Delete a user
- * @access  Public
+ * @access  Protected (account owner or admin)
  * @param   id - User ID (MongoDB ObjectId)
  */
 router.delete(
   '/:id',
+  requireAuth, // Protect this route - user must be authenticated
+  requireScope('profile:write'), // Access tokens need the profile:write scope
   validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'), // Only the account owner or a privileged user may delete
   deleteUser
 );
 
+/**
+ * @route   POST /api/v1/users/:id/roles
+ * @desc    Grant a role to a user
+ * @access  Protected ('users:roles:manage' permission - admins)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @body    { role }
+ */
+router.post(
+  '/:id/roles',
+  requireAuth,
+  validateObjectId('id'),
+  requirePermission('users:roles:manage'),
+  validateRole,
+  grantRole
+);
+
+/**
+ * @route   DELETE /api/v1/users/:id/roles/:role
+ * @desc    Revoke a role from a user
+ * @access  Protected ('users:roles:manage' permission - admins)
+ * @param   id - User ID (MongoDB ObjectId)
+ * @param   role - Role to revoke
+ */
+router.delete(
+  '/:id/roles/:role',
+  requireAuth,
+  validateObjectId('id'),
+  requirePermission('users:roles:manage'),
+  validateRole,
+  revokeRole
+);
+
+/**
+ * @route   POST /api/v1/users/:id/export
+ * @desc    Download a copy of the user's data (ZIP of JSON and CSV files)
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ */
+router.post(
+  '/:id/export',
+  requireAuth,
+  requireScope('privacy:export'), // The archive holds everything, so tokens need a dedicated scope
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  exportUserData
+);
+
+/**
+ * @route   GET /api/v1/users/:id/erasure
+ * @desc    Get the account's erasure status
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ */
+router.get(
+  '/:id/erasure',
+  requireAuth,
+  requireScope('privacy:export'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  getErasureStatus
+);
+
+/**
+ * @route   POST /api/v1/users/:id/erasure
+ * @desc    Schedule the account and all of its data for deletion after a grace period
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ */
+router.post(
+  '/:id/erasure',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  requestErasure
+);
+
+/**
+ * @route   DELETE /api/v1/users/:id/erasure
+ * @desc    Cancel a pending erasure
+ * @access  Protected (account owner or admin)
+ * @param   id - User ID (MongoDB ObjectId)
+ */
+router.delete(
+  '/:id/erasure',
+  requireAuth,
+  requireScope('profile:write'),
+  validateObjectId('id'),
+  requireSelfOrPermission('id', 'users:write:any'),
+  cancelErasure
+);
+
 // Log successful route registration
 logger.success('User routes registered successfully');
 
@@ -11,6 +11,7 @@ const logger = require('../utils/logger');
 // Import controllers
 const {
   createWorkout,
+  createWorkoutFromTemplate,
   getAllWorkouts,
   getWorkoutById,
   updateWorkout,
@@ -27,7 +28,7 @@ const {
 } = require('../middleware/validator');
 
 // Import authentication middleware
-const { requireAuth } = require('../middleware/auth');
+const { requireAuth, requirePermission, requireScope } = require('../middleware/auth');
 
 // Log when routes are being registered
 logger.info('Registering Workout routes...');
@@ -35,21 +36,38 @@ logger.info('Registering Workout routes...');
 /**
  * @route   POST /api/v1/workouts
  * @desc    Create a new workout
- * @access  Protected (requires authentication)
- * @body    { userId, title, exerciseType, duration, caloriesBurned, intensity?, notes?, workoutDate?, exercises? }
+ * @access  Protected (requires authentication; userId defaults to the authenticated user)
+ * @body    { userId?, title, exerciseType, duration, caloriesBurned, intensity?, notes?, workoutDate?, distance?, status?, exercises? }
  */
 router.post(
   '/',
   requireAuth, // Protect this route - user must be authenticated
+  requireScope('workouts:write'), // Access tokens need the workouts:write scope
   validateWorkout(false), // false = not an update, all required fields must be present
   createWorkout
 );
 
+/**
+ * @route   POST /api/v1/workouts/from-template/:templateId
+ * @desc    Log a workout prefilled from a workout template
+ * @access  Protected (template owner or admin)
+ * @param   templateId - Workout template ID (MongoDB ObjectId)
+ * @body    { title?, duration?, caloriesBurned?, intensity?, notes?, workoutDate?, distance?, completed?, status?, exercises? }
+ */
+router.post(
+  '/from-template/:templateId',
+  requireAuth,
+  requireScope('workouts:write'),
+  validateObjectId('templateId'),
+  validateWorkout(true), // Overrides are optional but must be valid workout values
+  createWorkoutFromTemplate
+);
+
 /**
  * @route   GET /api/v1/workouts
  * @desc    Get all workouts with optional filters
  * @access  Public
- * @query   userId, exerciseType, intensity, dateFrom, dateTo, page, limit, sort, order
+ * @query   userId, exerciseType, intensity, status, dateFrom, dateTo, page, limit, sort, order
  */
 router.get(
   '/',
@@ -74,10 +92,12 @@ router.get(
 /**
  * @route   GET /api/v1/workouts/stats
  * @desc    Get workout statistics (global)
- * @access  Public
+ * @access  Protected ('stats:global' permission - coaches and admins)
  */
 router.get(
   '/stats',
+  requireAuth,
+  requirePermission('stats:global'),
   getWorkoutStats
 );
 
@@ -96,13 +116,14 @@ router.get(
 /**
  * @route   PUT /api/v1/workouts/:id
  * @desc    Update a workout
- * @access  Protected (requires authentication)
+ * @access  Protected (workout owner or admin)
  * @param   id - Workout ID (MongoDB ObjectId)
  * @body    Any workout fields to update (all optional)
  */
 router.put(
   '/:id',
   requireAuth, // Protect this route - user must be authenticated
+  requireScope('workouts:write'), // Access tokens need the workouts:write scope
   validateObjectId('id'),
   validateWorkout(true), // true = update mode, all fields are optional
   updateWorkout
@@ -111,12 +132,13 @@ router.put(
 /**
  * @route   DELETE /api/v1/workouts/:id
  * @desc    Delete a workout
- * @access  Protected (requires authentication)
+ * @access  Protected (workout owner or admin)
  * @param   id - Workout ID (MongoDB ObjectId)
  */
 router.delete(
   '/:id',
   requireAuth, // Protect this route - user must be authenticated
+  requireScope('workouts:write'), // Access tokens need the workouts:write scope
   validateObjectId('id'),
   deleteWorkout
 );
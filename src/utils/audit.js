@@ -0,0 +1,105 @@
+/**
+ * Audit Utilities
+ * Records data-changing operations as AuditEvent documents
+ * Controllers take a snapshot before and after a change; only the fields that
+ * differ are stored, using each model's toJSON so secrets never reach the log
+ */
+
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('./logger');
+
+// Bookkeeping fields that are never recorded as changes
+const IGNORED_FIELDS = ['_id', '__v', 'id', 'createdAt', 'updatedAt'];
+
+/**
+ * Take a plain, comparable snapshot of a document
+ * Virtuals are skipped so derived values (BMI, calorie needs) are not reported as changes
+ * @param {Object} doc - Mongoose document (or null)
+ * @returns {Object|null} Plain object with ObjectIds and dates as strings
+ */
+const auditSnapshot = (doc) => {
+  if (!doc) return null;
+
+  const plain = typeof doc.toJSON === 'function' ? doc.toJSON({ virtuals: false }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * List the top-level fields that differ between two snapshots
+ * @param {Object|null} before - Snapshot before the change (null on create)
+ * @param {Object|null} after - Snapshot after the change (null on delete)
+ * @returns {Array<Object>} Changes as { field, before, after }
+ */
+const diffSnapshots = (before, after) => {
+  const previous = before || {};
+  const next = after || {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter((field) => JSON.stringify(previous[field]) !== JSON.stringify(next[field]))
+    .sort()
+    .map((field) => ({
+      field,
+      before: previous[field],
+      after: next[field],
+    }));
+};
+
+/**
+ * Record an audit event for a change made during a request
+ * Failures are logged but never fail the request that made the change
+ * @param {Object|null} req - Express request object (actor, IP and request ID),
+ *   or null for changes made by background jobs
+ * @param {Object} event - { action, resourceType, resourceId, targetUserId, before, after, actorId? }
+ * @returns {Promise<Object|null>} Created event, or null if nothing changed or recording failed
+ */
+const recordAuditEvent = async (req, event) => {
+  const { action, resourceType, resourceId, targetUserId, before, after } = event;
+  const changes = diffSnapshots(before, after);
+
+  // An update that changed nothing is not worth recording
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+
+  try {
+    const auditEvent = await AuditEvent.create({
+      action,
+      resourceType,
+      resourceId,
+      targetUserId,
+      actorId: event.actorId || req?.user?._id,
+      actorAuthMethod: req ? req.authMethod || (req.user ? 'session' : undefined) : 'system',
+      changes,
+      ip: req?.ip,
+      userAgent: req?.get?.('User-Agent'),
+      requestId: req?.id,
+    });
+
+    logger.database('Audit event recorded', {
+      auditEventId: auditEvent._id,
+      action,
+      resourceType,
+      resourceId,
+      changedFields: changes.map((change) => change.field),
+    });
+
+    return auditEvent;
+  } catch (error) {
+    logger.error('Failed to record audit event', {
+      action,
+      resourceType,
+      resourceId,
+      requestId: req?.id,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+module.exports = {
+  auditSnapshot,
+  diffSnapshots,
+  recordAuditEvent,
+};
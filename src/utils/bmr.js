@@ -0,0 +1,128 @@
+/**
+ * Basal Metabolic Rate Utilities
+ * Registry of BMR equations used for a user's daily calorie needs
+ *
+ * Each formula lists the profile fields it needs and calculates the BMR in
+ * kcal/day. Sex-specific formulas are given the sex to use; when the profile
+ * has none, the male and female results are averaged. Register a new formula
+ * with registerBmrFormula - users can pick it through their bmrFormula field.
+ */
+
+// Value of User.bmrFormula that picks the best formula the profile allows
+const AUTO_FORMULA = 'auto';
+
+// Order in which formulas are tried when none is chosen: body composition
+// beats weight alone, so Katch-McArdle is used whenever body fat is known
+const AUTO_FORMULA_ORDER = ['katch_mcardle', 'mifflin_st_jeor', 'harris_benedict'];
+
+const SEXES = ['male', 'female'];
+
+const BMR_FORMULAS = {
+  // Mifflin & St Jeor (1990)
+  mifflin_st_jeor: {
+    label: 'Mifflin-St Jeor',
+    requires: ['weight', 'height', 'age'],
+    sexSpecific: true,
+    calculate: ({ weight, height, age }, sex) => {
+      return (10 * weight) + (6.25 * height) - (5 * age) + (sex === 'male' ? 5 : -161);
+    },
+  },
+
+  // Harris-Benedict, as revised by Roza & Shizgal (1984)
+  harris_benedict: {
+    label: 'Harris-Benedict (revised)',
+    requires: ['weight', 'height', 'age'],
+    sexSpecific: true,
+    calculate: ({ weight, height, age }, sex) => {
+      if (sex === 'male') {
+        return 88.362 + (13.397 * weight) + (4.799 * height) - (5.677 * age);
+      }
+      return 447.593 + (9.247 * weight) + (3.098 * height) - (4.330 * age);
+    },
+  },
+
+  // Katch-McArdle - from lean body mass, so the same for both sexes
+  katch_mcardle: {
+    label: 'Katch-McArdle',
+    requires: ['weight', 'bodyFatPercentage'],
+    sexSpecific: false,
+    calculate: ({ weight, bodyFatPercentage }) => {
+      const leanBodyMass = weight * (1 - bodyFatPercentage / 100);
+      return 370 + (21.6 * leanBodyMass);
+    },
+  },
+};
+
+/**
+ * Add a BMR formula to the registry
+ * @param {string} name - Formula ID stored in User.bmrFormula (e.g. 'cunningham')
+ * @param {Object} formula - { label, requires, sexSpecific, calculate(profile, sex) }
+ */
+const registerBmrFormula = (name, formula) => {
+  if (name === AUTO_FORMULA || typeof formula.calculate !== 'function' || !Array.isArray(formula.requires)) {
+    throw new Error(`Invalid BMR formula '${name}'`);
+  }
+  BMR_FORMULAS[name] = formula;
+};
+
+/**
+ * Check whether a value can be stored in User.bmrFormula
+ * @param {string} name - Formula ID or 'auto'
+ * @returns {boolean} Whether the formula is known
+ */
+const isBmrFormula = (name) => name === AUTO_FORMULA || Object.prototype.hasOwnProperty.call(BMR_FORMULAS, name);
+
+/**
+ * Check whether a profile has every field a formula needs
+ * @param {Object} profile - User document or profile fields
+ * @param {string} name - Formula ID
+ * @returns {boolean} Whether the formula can be used
+ */
+const canUseFormula = (profile, name) => {
+  const formula = BMR_FORMULAS[name];
+  return Boolean(formula) && formula.requires.every((field) => typeof profile[field] === 'number');
+};
+
+/**
+ * Calculate a user's basal metabolic rate
+ * The chosen formula is used when the profile has what it needs; otherwise
+ * (or with 'auto') the first usable formula in AUTO_FORMULA_ORDER
+ * @param {Object} profile - User document or { weight, height, age, sex, bodyFatPercentage, bmrFormula }
+ * @returns {Object|null} { bmr, formula, variant }, or null when no formula can be used.
+ *   variant is the sex used by a sex-specific formula ('male', 'female' or 'average')
+ */
+const calculateBmr = (profile) => {
+  const chosen = profile.bmrFormula && profile.bmrFormula !== AUTO_FORMULA ? [profile.bmrFormula] : [];
+  const name = [...chosen, ...AUTO_FORMULA_ORDER].find((candidate) => canUseFormula(profile, candidate));
+
+  if (!name) return null;
+
+  const formula = BMR_FORMULAS[name];
+  let variant = null;
+  let bmr;
+
+  if (!formula.sexSpecific) {
+    bmr = formula.calculate(profile);
+  } else if (SEXES.includes(profile.sex)) {
+    variant = profile.sex;
+    bmr = formula.calculate(profile, profile.sex);
+  } else {
+    variant = 'average';
+    bmr = SEXES.reduce((total, sex) => total + formula.calculate(profile, sex), 0) / SEXES.length;
+  }
+
+  return {
+    bmr: Math.round(bmr),
+    formula: name,
+    variant,
+  };
+};
+
+module.exports = {
+  AUTO_FORMULA,
+  SEXES,
+  BMR_FORMULAS,
+  registerBmrFormula,
+  isBmrFormula,
+  calculateBmr,
+};
@@ -0,0 +1,50 @@
+/**
+ * Calorie Estimation Utilities
+ * Estimates the energy used by a workout from the MET value of its type and
+ * intensity: kcal = MET x body weight (kg) x duration (hours)
+ */
+
+const { MET_VALUES } = require('../config/metValues');
+
+// Same bounds as Workout.caloriesBurned
+const MIN_CALORIES = 1;
+const MAX_CALORIES = 5000;
+
+/**
+ * Look up the MET value of a workout type at an intensity
+ * Unknown types fall back to 'other'
+ * @param {string} exerciseType - Workout exercise type
+ * @param {string} [intensity='moderate'] - Workout intensity
+ * @param {Object} [table] - MET table (defaults to the configured one)
+ * @returns {number} MET value
+ */
+const getMetValue = (exerciseType, intensity = 'moderate', table = MET_VALUES) => {
+  const values = table[exerciseType] || table.other;
+  return values[intensity] || values.moderate;
+};
+
+/**
+ * Estimate the calories burned during a workout
+ * @param {Object} workout - { exerciseType, intensity, duration (minutes) }
+ * @param {number} weight - Body weight in kg
+ * @param {Object} [table] - MET table (defaults to the configured one)
+ * @returns {Object|null} { caloriesBurned, met }, or null without a weight or duration
+ */
+const estimateCaloriesBurned = (workout, weight, table = MET_VALUES) => {
+  if (!weight || !workout.duration) {
+    return null;
+  }
+
+  const met = getMetValue(workout.exerciseType, workout.intensity || undefined, table);
+  const calories = Math.round(met * weight * (workout.duration / 60));
+
+  return {
+    caloriesBurned: Math.min(Math.max(calories, MIN_CALORIES), MAX_CALORIES),
+    met,
+  };
+};
+
+module.exports = {
+  getMetValue,
+  estimateCaloriesBurned,
+};
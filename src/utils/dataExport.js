@@ -0,0 +1,140 @@
+/**
+ * Data Export Utilities
+ * Builds the personal data archive returned by POST /api/v1/users/:id/export
+ * The archive holds a complete JSON document plus CSV files for spreadsheets
+ */
+
+const { MEASUREMENT_METRICS } = require('../config/measurements');
+
+// Columns written to each CSV file
+const PROFILE_COLUMNS = [
+  'id', 'name', 'email', 'username', 'age', 'weight', 'height', 'sex', 'bodyFatPercentage',
+  'fitnessGoal', 'activityLevel', 'roles', 'isActive', 'createdAt', 'updatedAt',
+];
+
+const WORKOUT_COLUMNS = [
+  'id', 'title', 'exerciseType', 'duration', 'caloriesBurned', 'caloriesSource', 'intensity',
+  'workoutDate', 'status', 'completed', 'notes', 'createdAt', 'updatedAt',
+];
+
+const EXERCISE_COLUMNS = ['workoutId', 'workoutDate', 'name', 'sets', 'reps', 'weight', 'volume', 'tonnage'];
+
+const MEASUREMENT_COLUMNS = ['id', 'measuredAt', ...Object.keys(MEASUREMENT_METRICS), 'notes'];
+
+/**
+ * Format one CSV cell
+ * Quotes values containing separators, and neutralises values a spreadsheet
+ * would run as a formula
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+const formatCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = value.join(';');
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert rows to CSV text
+ * @param {Array<Object>} rows - Plain objects
+ * @param {Array<string>} columns - Columns to write, in order
+ * @returns {string} CSV with a header row and CRLF line endings
+ */
+const toCsv = (rows, columns) => {
+  const lines = [columns.join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map((column) => formatCsvValue(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Build the files of a personal data export
+ * @param {Object} user - User document
+ * @param {Array<Object>} workouts - The user's workout documents
+ * @param {Date} exportedAt - Export timestamp
+ * @param {Object} records - The user's workout templates, recurring schedules, training programs
+ *   and program enrollments, goals, food log, own foods and wellness log (export.json only), and body measurements
+ * @returns {Array<Object>} Files as { name, content } for createZip
+ */
+const buildUserExport = (user, workouts, exportedAt = new Date(), {
+  templates = [],
+  schedules = [],
+  programs = [],
+  enrollments = [],
+  measurements = [],
+  goals = [],
+  foodLog = [],
+  foods = [],
+  wellness = [],
+} = {}) => {
+  const profile = user.toJSON({ virtuals: false });
+  profile.id = user._id.toString();
+
+  const workoutRows = workouts.map((workout) => {
+    const row = workout.toJSON({ virtuals: false });
+    row.id = workout._id.toString();
+    return row;
+  });
+
+  const exerciseRows = workouts.flatMap((workout) => (workout.exercises || []).map((exercise) => ({
+    workoutId: workout._id.toString(),
+    workoutDate: workout.workoutDate,
+    name: exercise.name,
+    sets: exercise.sets,
+    reps: exercise.reps,
+    weight: exercise.weight,
+    volume: exercise.volume,
+    tonnage: exercise.tonnage,
+    // Individual sets are only included in export.json
+    setDetails: exercise.setDetails ? exercise.setDetails.map((set) => set.toJSON()) : undefined,
+  })));
+
+  const measurementRows = measurements.map((measurement) => {
+    const row = measurement.toJSON();
+    row.id = measurement._id.toString();
+    return row;
+  });
+
+  const document = {
+    exportedAt: exportedAt.toISOString(),
+    profile,
+    workouts: workoutRows,
+    exercises: exerciseRows,
+    templates: templates.map((template) => template.toJSON()),
+    schedules: schedules.map((schedule) => schedule.toJSON()),
+    programs: programs.map((program) => program.toJSON()),
+    enrollments: enrollments.map((enrollment) => enrollment.toJSON()),
+    measurements: measurementRows,
+    goals: goals.map((goal) => goal.toJSON()),
+    foodLog: foodLog.map((entry) => entry.toJSON()),
+    foods: foods.map((food) => food.toJSON()),
+    wellness: wellness.map((entry) => entry.toJSON()),
+  };
+
+  return [
+    { name: 'export.json', content: JSON.stringify(document, null, 2) },
+    { name: 'profile.csv', content: toCsv([profile], PROFILE_COLUMNS) },
+    { name: 'workouts.csv', content: toCsv(workoutRows, WORKOUT_COLUMNS) },
+    { name: 'exercises.csv', content: toCsv(exerciseRows, EXERCISE_COLUMNS) },
+    { name: 'measurements.csv', content: toCsv(measurementRows, MEASUREMENT_COLUMNS) },
+  ];
+};
+
+module.exports = {
+  toCsv,
+  buildUserExport,
+};
@@ -0,0 +1,195 @@
+/**
+ * Account Erasure Utilities
+ * Right-to-erasure requests are scheduled after a grace period, during which the
+ * user can cancel them; a periodic job then deletes the account and its data
+ */
+
+const User = require('../models/User');
+const Workout = require('../models/workout');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const AccessToken = require('../models/AccessToken');
+const AuditEvent = require('../models/AuditEvent');
+const PersonalRecord = require('../models/PersonalRecord');
+const WorkoutTemplate = require('../models/WorkoutTemplate');
+const WorkoutSchedule = require('../models/WorkoutSchedule');
+const Program = require('../models/Program');
+const ProgramEnrollment = require('../models/ProgramEnrollment');
+const BodyMeasurement = require('../models/BodyMeasurement');
+const Goal = require('../models/Goal');
+const Food = require('../models/Food');
+const FoodLogEntry = require('../models/FoodLogEntry');
+const WellnessEntry = require('../models/WellnessEntry');
+const logger = require('./logger');
+const { recordAuditEvent } = require('./audit');
+
+// Days between an erasure request and the deletion of the account
+const ERASURE_GRACE_PERIOD_DAYS = parseInt(process.env.ERASURE_GRACE_PERIOD_DAYS) || 30;
+
+// How often the background job looks for erasures that are due
+const ERASURE_CHECK_INTERVAL_MINUTES = parseInt(process.env.ERASURE_CHECK_INTERVAL_MINUTES) || 60;
+
+/**
+ * Get the date an erasure requested now will be carried out
+ * @param {Date} requestedAt - When the erasure was requested
+ * @returns {Date} Scheduled erasure date
+ */
+const getErasureDate = (requestedAt = new Date()) => {
+  return new Date(requestedAt.getTime() + ERASURE_GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Delete a user together with everything that belongs to them
+ * Shared by DELETE /api/v1/users/:id and erasure, so both remove the same data. Sessions
+ * and tokens are deleted too, so nothing issued to the account keeps working
+ * @param {string|Object} userId - User ID
+ * @returns {Promise<Object>} Number of deleted records per collection
+ */
+const deleteUserData = async (userId) => {
+  const [
+    workouts,
+    personalRecords,
+    templates,
+    schedules,
+    programs,
+    enrollments,
+    measurements,
+    goals,
+    foodLog,
+    foods,
+    wellness,
+    sessions,
+    refreshTokens,
+    accessTokens,
+  ] = await Promise.all([
+    Workout.deleteMany({ userId }),
+    PersonalRecord.deleteMany({ userId }),
+    WorkoutTemplate.deleteMany({ userId }),
+    WorkoutSchedule.deleteMany({ userId }),
+    Program.deleteMany({ userId }),
+    ProgramEnrollment.deleteMany({ userId }),
+    BodyMeasurement.deleteMany({ userId }),
+    Goal.deleteMany({ userId }),
+    FoodLogEntry.deleteMany({ userId }),
+    Food.deleteMany({ createdBy: userId, isStandard: false }),
+    WellnessEntry.deleteMany({ userId }),
+    Session.deleteMany({ userId }),
+    RefreshToken.deleteMany({ userId }),
+    AccessToken.deleteMany({ userId }),
+  ]);
+
+  await User.deleteOne({ _id: userId });
+
+  return {
+    workouts: workouts.deletedCount,
+    personalRecords: personalRecords.deletedCount,
+    templates: templates.deletedCount,
+    schedules: schedules.deletedCount,
+    programs: programs.deletedCount,
+    enrollments: enrollments.deletedCount,
+    measurements: measurements.deletedCount,
+    goals: goals.deletedCount,
+    foodLog: foodLog.deletedCount,
+    foods: foods.deletedCount,
+    wellness: wellness.deletedCount,
+    sessions: sessions.deletedCount,
+    refreshTokens: refreshTokens.deletedCount,
+    accessTokens: accessTokens.deletedCount,
+  };
+};
+
+/**
+ * Erase a user and everything that belongs to them
+ * Audit events are kept for accountability, but stripped of the personal data they held
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Number of deleted records per collection
+ */
+const eraseUser = async (user) => {
+  const userId = user._id;
+
+  logger.security('Erasing user account', { userId });
+
+  const deleted = await deleteUserData(userId);
+
+  await Promise.all([
+    AuditEvent.updateMany({ targetUserId: userId }, { $set: { changes: [] } }),
+    AuditEvent.updateMany(
+      { $or: [{ targetUserId: userId }, { actorId: userId }] },
+      { $unset: { ip: '', userAgent: '' } }
+    ),
+  ]);
+
+  // Recorded after the scrub so the erasure itself stays in the log
+  await recordAuditEvent(null, {
+    action: 'delete',
+    resourceType: 'user',
+    resourceId: userId,
+    targetUserId: userId,
+    actorId: user.erasure?.requestedBy,
+  });
+
+  logger.success('User account erased', { userId, deleted });
+
+  return deleted;
+};
+
+/**
+ * Erase every account whose grace period has ended
+ * A failure for one account is logged and does not stop the others
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of accounts erased
+ */
+const processDueErasures = async (now = new Date()) => {
+  const users = await User.findDueForErasure(now);
+  let erased = 0;
+
+  for (const user of users) {
+    try {
+      await eraseUser(user);
+      erased += 1;
+    } catch (error) {
+      logger.error('Failed to erase user account', {
+        userId: user._id,
+        error: error.message,
+      });
+    }
+  }
+
+  if (users.length > 0) {
+    logger.info('Processed due account erasures', { due: users.length, erased });
+  }
+
+  return erased;
+};
+
+/**
+ * Start the background job that carries out due erasures
+ * The timer is unref'd so it never keeps the process alive on shutdown
+ * @returns {Object} Interval timer
+ */
+const startErasureScheduler = () => {
+  logger.info('Starting account erasure scheduler', {
+    gracePeriodDays: ERASURE_GRACE_PERIOD_DAYS,
+    intervalMinutes: ERASURE_CHECK_INTERVAL_MINUTES,
+  });
+
+  const run = () => {
+    processDueErasures().catch((error) => {
+      logger.error('Account erasure job failed', error);
+    });
+  };
+
+  run();
+  const timer = setInterval(run, ERASURE_CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ERASURE_GRACE_PERIOD_DAYS,
+  getErasureDate,
+  deleteUserData,
+  eraseUser,
+  processDueErasures,
+  startErasureScheduler,
+};
@@ -0,0 +1,288 @@
+/**
+ * Goal Progress Utilities
+ * Works out how far a user is towards a goal, whether they are on track to
+ * meet its deadline, and when they will reach it at their current pace
+ *
+ * - weight: the profile weight (kept in sync with measurements); the pace is
+ *   taken from the smoothed weight trend so one heavy day does not swing it
+ * - distance: km of completed workouts since the start date
+ * - lift: the user's standing personal record for the exercise
+ * - workout_frequency: completed workouts in the current week; a weekly habit,
+ *   so it has no projected completion date
+ */
+
+const Workout = require('../models/workout');
+const PersonalRecord = require('../models/PersonalRecord');
+const BodyMeasurement = require('../models/BodyMeasurement');
+const { getPeriodStart } = require('./progress');
+const { buildTrend } = require('./measurements');
+const {
+  GOAL_TYPES,
+  SAFE_WEEKLY_LOSS_KG,
+  SAFE_WEEKLY_GAIN_KG,
+  DEFAULT_WEEKLY_CHANGE_KG,
+} = require('../config/goals');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Round a value to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the start of the week a frequency goal is judged on
+ * That is the current week, or the deadline's week once the deadline has passed
+ * @param {Object} goal - Goal document
+ * @param {Date} now - Current time
+ * @returns {Date} Monday 00:00 UTC
+ */
+const getGoalWeekStart = (goal, now) => {
+  const reference = goal.deadline && now > goal.deadline ? goal.deadline : now;
+  return getPeriodStart(reference, 'week');
+};
+
+/**
+ * Build the personal record filter of a lift goal's exercise
+ * @param {Object} goal - Lift goal
+ * @returns {Object} Query filter
+ */
+const getLiftExerciseFilter = (goal) => {
+  if (goal.exerciseId) {
+    return { exerciseId: goal.exerciseId };
+  }
+
+  const escaped = goal.exerciseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return { exerciseName: { $regex: `^${escaped}$`, $options: 'i' } };
+};
+
+/**
+ * Read the current value of a goal from the user's data
+ * @param {Object} goal - Goal document
+ * @param {Object} user - Goal owner
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { currentValue, trendValue } - trendValue is the
+ *   smoothed value the pace is worked out from (same as currentValue except for weight)
+ */
+const measureGoal = async (goal, user, now = new Date()) => {
+  const userId = goal.userId;
+
+  if (goal.type === 'weight') {
+    const measurements = await BodyMeasurement.find({
+      userId,
+      weight: { $type: 'number' },
+      measuredAt: { $gte: goal.startDate, $lte: now },
+    })
+      .select('measuredAt weight')
+      .sort({ measuredAt: 1 })
+      .lean();
+
+    const currentValue = typeof user.weight === 'number' ? user.weight : null;
+    const { smoothed } = buildTrend(measurements, 'weight').summary;
+
+    return { currentValue, trendValue: smoothed ?? currentValue };
+  }
+
+  if (goal.type === 'lift') {
+    const record = await PersonalRecord.findOne({
+      userId,
+      type: goal.recordType || 'heaviest_weight',
+      isCurrent: true,
+      ...getLiftExerciseFilter(goal),
+    }).sort({ value: -1 });
+
+    const currentValue = record ? record.value : 0;
+    return { currentValue, trendValue: currentValue };
+  }
+
+  // The completed flag is set on workouts saved before statuses existed too
+  const filter = { userId, completed: true };
+  if (goal.exerciseType) {
+    filter.exerciseType = goal.exerciseType;
+  }
+
+  if (goal.type === 'workout_frequency') {
+    const weekStart = getGoalWeekStart(goal, now);
+    filter.workoutDate = { $gte: weekStart, $lt: new Date(weekStart.getTime() + WEEK_MS) };
+
+    const currentValue = await Workout.countDocuments(filter);
+    return { currentValue, trendValue: currentValue };
+  }
+
+  // Distance: only workouts up to the deadline count
+  const end = goal.deadline && goal.deadline < now ? goal.deadline : now;
+  filter.workoutDate = { $gte: goal.startDate, $lte: end };
+  filter.distance = { $gt: 0 };
+
+  const workouts = await Workout.find(filter).select('distance').lean();
+  const currentValue = round(workouts.reduce((total, workout) => total + workout.distance, 0));
+
+  return { currentValue, trendValue: currentValue };
+};
+
+/**
+ * Judge a weekly frequency goal
+ * On track means the week's workouts keep pace with the share of the week gone by
+ * @param {Object} goal - Goal document
+ * @param {number} count - Completed workouts in the week
+ * @param {Date} now - Current time
+ * @returns {Object} Progress fields
+ */
+const evaluateFrequencyGoal = (goal, count, now) => {
+  const deadlinePassed = Boolean(goal.deadline) && now > goal.deadline;
+  const weekStart = getGoalWeekStart(goal, now);
+  const weekElapsed = deadlinePassed ? 1 : (now - weekStart) / WEEK_MS;
+
+  let status;
+  if (count >= goal.target) {
+    status = 'achieved';
+  } else if (deadlinePassed) {
+    status = 'missed';
+  } else {
+    status = count >= goal.target * weekElapsed ? 'on_track' : 'off_track';
+  }
+
+  return {
+    currentValue: count,
+    unit: GOAL_TYPES[goal.type].unit,
+    progress: Math.round(Math.min(count / goal.target, 1) * 1000) / 10,
+    remaining: Math.max(goal.target - count, 0),
+    status,
+    weekStart,
+    projectedCompletionDate: null,
+  };
+};
+
+/**
+ * Work out a goal's progress, status and projected completion date
+ * The pace is the change per day since the start date. With a deadline, a goal
+ * is on track when that pace reaches the target in time, or when its progress
+ * is at least the share of the time gone by
+ * @param {Object} goal - Goal document
+ * @param {Object} values - { currentValue, trendValue } from measureGoal
+ * @param {Date} now - Current time
+ * @returns {Object} { currentValue, unit, progress (%), remaining, status,
+ *   ratePerWeek, projectedCompletionDate }
+ */
+const evaluateGoal = (goal, { currentValue, trendValue = currentValue }, now = new Date()) => {
+  if (goal.type === 'workout_frequency') {
+    return evaluateFrequencyGoal(goal, currentValue, now);
+  }
+
+  const unit = GOAL_TYPES[goal.type].unit;
+  const deadlinePassed = Boolean(goal.deadline) && now > goal.deadline;
+
+  if (currentValue === null || currentValue === undefined) {
+    return {
+      currentValue: null,
+      unit,
+      progress: 0,
+      remaining: null,
+      status: deadlinePassed ? 'missed' : 'off_track',
+      ratePerWeek: null,
+      projectedCompletionDate: null,
+    };
+  }
+
+  const start = goal.startValue ?? 0;
+  const direction = goal.target >= start ? 1 : -1;
+  const achieved = direction > 0 ? currentValue >= goal.target : currentValue <= goal.target;
+  const span = Math.abs(goal.target - start);
+  const progress = achieved || span === 0 ? 1 : Math.min(Math.max((currentValue - start) * direction / span, 0), 1);
+
+  const elapsedDays = (now - goal.startDate) / DAY_MS;
+  const ratePerDay = elapsedDays >= 1 ? (trendValue - start) / elapsedDays : null;
+  const movingTowardTarget = ratePerDay !== null && ratePerDay * direction > 0;
+
+  let projectedCompletionDate = null;
+  if (!achieved && movingTowardTarget) {
+    const daysLeft = Math.max((goal.target - trendValue) / ratePerDay, 0);
+    projectedCompletionDate = new Date(now.getTime() + daysLeft * DAY_MS);
+  }
+
+  let status;
+  if (achieved) {
+    status = 'achieved';
+  } else if (deadlinePassed) {
+    status = 'missed';
+  } else if (goal.deadline) {
+    const timeElapsed = Math.min(Math.max((now - goal.startDate) / (goal.deadline - goal.startDate), 0), 1);
+    const inTime = projectedCompletionDate !== null && projectedCompletionDate <= goal.deadline;
+    status = inTime || progress >= timeElapsed ? 'on_track' : 'off_track';
+  } else {
+    status = movingTowardTarget || elapsedDays < 1 ? 'on_track' : 'off_track';
+  }
+
+  return {
+    currentValue,
+    unit,
+    progress: Math.round(progress * 1000) / 10,
+    remaining: achieved ? 0 : round(Math.abs(goal.target - currentValue)),
+    status,
+    ratePerWeek: ratePerDay === null ? null : round(ratePerDay * 7),
+    projectedCompletionDate,
+  };
+};
+
+/**
+ * Build the calorie plan of a weight goal from User.getRecommendedCalories
+ * The weekly change needed to hit the deadline (or a steady 0.5 kg without one)
+ * is held within safe limits before it is turned into a daily calorie target
+ * @param {Object} goal - Weight goal
+ * @param {Object} user - Goal owner
+ * @param {Object} evaluation - Result of evaluateGoal
+ * @param {Date} now - Current time
+ * @returns {Object|null} { maintenance, dailyTarget, dailyDeficit, weeklyChange,
+ *   requiredWeeklyChange, capped }, or null when the profile lacks what the
+ *   calorie needs are calculated from
+ */
+const buildCaloriePlan = (goal, user, evaluation, now = new Date()) => {
+  if (evaluation.currentValue === null) return null;
+
+  // Positive when weight has to be lost
+  const toLose = evaluation.status === 'achieved' ? 0 : evaluation.currentValue - goal.target;
+  const weeksLeft = goal.deadline && goal.deadline > now ? (goal.deadline - now) / WEEK_MS : null;
+
+  const requiredWeeklyLoss = weeksLeft ? toLose / weeksLeft : Math.sign(toLose) * DEFAULT_WEEKLY_CHANGE_KG;
+  const weeklyLoss = Math.min(Math.max(requiredWeeklyLoss, -SAFE_WEEKLY_GAIN_KG), SAFE_WEEKLY_LOSS_KG);
+
+  const recommended = user.getRecommendedCalories(weeklyLoss);
+  if (!recommended) return null;
+
+  return {
+    maintenance: recommended.maintenance,
+    dailyTarget: Math.round(recommended.weightLoss),
+    dailyDeficit: Math.round(recommended.targetDeficit),
+    weeklyChange: round(-weeklyLoss) || 0,
+    requiredWeeklyChange: round(-requiredWeeklyLoss) || 0,
+    capped: weeklyLoss !== requiredWeeklyLoss,
+  };
+};
+
+/**
+ * Get the full progress report of a goal
+ * @param {Object} goal - Goal document
+ * @param {Object} user - Goal owner
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} evaluateGoal result, plus caloriePlan for weight goals
+ */
+const getGoalProgress = async (goal, user, now = new Date()) => {
+  const values = await measureGoal(goal, user, now);
+  const progress = evaluateGoal(goal, values, now);
+
+  if (goal.type === 'weight') {
+    progress.caloriePlan = buildCaloriePlan(goal, user, progress, now);
+  }
+
+  return progress;
+};
+
+module.exports = {
+  measureGoal,
+  evaluateGoal,
+  buildCaloriePlan,
+  getGoalProgress,
+};
@@ -0,0 +1,313 @@
+/**
+ * iCalendar Utilities
+ * Renders workouts as an RFC 5545 calendar that calendar apps can subscribe to
+ * Event times are written in the user's time zone, described by a VTIMEZONE
+ * built from the zone's offset changes around the events
+ */
+
+const {
+  DEFAULT_TIME_ZONE,
+  getZonedParts,
+  getTimeZoneOffset,
+  getTimeZoneTransitions,
+} = require('./timezone');
+
+const PRODUCT_ID = '-//Fitness Tracker API//Workout Calendar//EN';
+
+// Domain part of event UIDs - keeps them globally unique and stable across feed refreshes
+const UID_DOMAIN = 'fitness-tracker-api';
+
+// How often subscribed calendar apps should fetch the feed again
+const REFRESH_INTERVAL = 'PT1H';
+
+// Lines longer than this many octets are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Workout status -> VEVENT STATUS
+const EVENT_STATUSES = {
+  planned: 'TENTATIVE',
+  in_progress: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  skipped: 'CANCELLED',
+};
+
+/**
+ * Escape a TEXT value
+ * @param {string} text - Raw text
+ * @returns {string} Text with backslashes, separators and newlines escaped
+ */
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n')
+  .replace(/\r/g, '');
+
+/**
+ * Fold a content line into chunks of at most 75 octets
+ * Multi-byte characters are never split across lines
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, continuation lines starting with a space
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+
+  for (const character of line) {
+    const size = Buffer.byteLength(character);
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += character;
+    octets += size;
+  }
+  chunks.push(chunk);
+
+  return chunks.join('\r\n ');
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Format wall-clock parts as an iCalendar DATE-TIME (no zone suffix)
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @returns {string} e.g. '20240304T070000'
+ */
+const formatDateTime = ({ year, month, day, hour, minute, second }) => {
+  return `${pad(year, 4)}${pad(month)}${pad(day)}T${pad(hour)}${pad(minute)}${pad(second)}`;
+};
+
+/**
+ * Format an instant as a UTC DATE-TIME
+ * @param {Date} date - Instant
+ * @returns {string} e.g. '20240304T070000Z'
+ */
+const formatUtc = (date) => {
+  const utc = new Date(date);
+  return `${formatDateTime({
+    year: utc.getUTCFullYear(),
+    month: utc.getUTCMonth() + 1,
+    day: utc.getUTCDate(),
+    hour: utc.getUTCHours(),
+    minute: utc.getUTCMinutes(),
+    second: utc.getUTCSeconds(),
+  })}Z`;
+};
+
+/**
+ * Format a UTC offset for TZOFFSETFROM / TZOFFSETTO
+ * @param {number} minutes - Offset in minutes east of UTC
+ * @returns {string} e.g. '+0100' or '-0430'
+ */
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(absolute / 60))}${pad(absolute % 60)}`;
+};
+
+/**
+ * Format the wall-clock time at which an offset change happens, in the old offset
+ * @param {Date} at - Instant of the change
+ * @param {number} offset - Offset in effect before the change (minutes)
+ * @returns {string} Local DATE-TIME
+ */
+const formatWallClock = (at, offset) => formatUtc(new Date(at.getTime() + offset * 60000)).slice(0, -1);
+
+/**
+ * Build the VTIMEZONE component of a time zone for a date range
+ * The first observance covers the start of the range; every offset change in
+ * the range adds a DAYLIGHT (offset grows) or STANDARD (offset shrinks) observance
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<string>} Content lines
+ */
+const buildTimeZone = (timeZone, from, to) => {
+  const transitions = getTimeZoneTransitions(timeZone, from, to);
+  const initialOffset = getTimeZoneOffset(from, timeZone);
+  // Daylight saving time is whichever offset is larger than the year's standard offset
+  const year = from.getUTCFullYear();
+  const standardOffset = Math.min(
+    getTimeZoneOffset(new Date(Date.UTC(year, 0, 1)), timeZone),
+    getTimeZoneOffset(new Date(Date.UTC(year, 6, 1)), timeZone)
+  );
+
+  const observance = (kind, start, offsetFrom, offsetTo) => [
+    `BEGIN:${kind}`,
+    `DTSTART:${start}`,
+    `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+    `TZOFFSETTO:${formatOffset(offsetTo)}`,
+    `END:${kind}`,
+  ];
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...observance(
+      initialOffset > standardOffset ? 'DAYLIGHT' : 'STANDARD',
+      formatWallClock(from, initialOffset),
+      initialOffset,
+      initialOffset
+    ),
+    ...transitions.flatMap((transition) => observance(
+      transition.offsetTo > transition.offsetFrom ? 'DAYLIGHT' : 'STANDARD',
+      formatWallClock(transition.at, transition.offsetFrom),
+      transition.offsetFrom,
+      transition.offsetTo
+    )),
+    'END:VTIMEZONE',
+  ];
+};
+
+/**
+ * Describe one planned or logged exercise on a single line
+ * @param {Object} exercise - Workout exercise
+ * @returns {string} e.g. 'Squat: 5 x 100 kg, 5 x 100 kg' or 'Bench Press: 3 x 5 @ 60 kg'
+ */
+const describeExercise = (exercise) => {
+  const load = (weight) => (weight ? ` @ ${weight} kg` : '');
+
+  if (exercise.setDetails && exercise.setDetails.length > 0) {
+    const sets = exercise.setDetails.map((set) => `${set.reps} reps${load(set.weight)}`);
+    return `${exercise.name}: ${sets.join(', ')}`;
+  }
+
+  if (exercise.sets && exercise.reps) {
+    return `${exercise.name}: ${exercise.sets} x ${exercise.reps}${load(exercise.weight)}`;
+  }
+
+  return exercise.name;
+};
+
+/**
+ * Build the description of a workout event from its notes and exercises
+ * @param {Object} workout - Workout document or planned workout data
+ * @returns {string} Plain text description (may be empty)
+ */
+const describeWorkout = (workout) => {
+  const sections = [];
+
+  if (workout.notes) {
+    sections.push(workout.notes);
+  }
+
+  if (workout.exercises && workout.exercises.length > 0) {
+    sections.push(['Exercises:', ...workout.exercises.map((exercise) => `- ${describeExercise(exercise)}`)].join('\n'));
+  }
+
+  return sections.join('\n\n');
+};
+
+/**
+ * Get the UID of a workout event
+ * Workouts created for a recurring schedule occurrence share the UID of the
+ * occurrence, so the event is updated rather than replaced once it is created
+ * @param {Object} workout - Workout document or planned occurrence data
+ * @returns {string} Event UID
+ */
+const getEventUid = (workout) => {
+  if (workout.scheduleId && workout.occurrenceDate) {
+    return `schedule-${workout.scheduleId}-${formatUtc(workout.occurrenceDate)}@${UID_DOMAIN}`;
+  }
+  return `workout-${workout._id}@${UID_DOMAIN}`;
+};
+
+/**
+ * Render one workout as a VEVENT
+ * @param {Object} workout - Workout document or planned occurrence data
+ * @param {string} timeZone - IANA time zone of the calendar
+ * @param {Date} now - Time the feed is generated (DTSTAMP)
+ * @returns {Array<string>} Content lines
+ */
+const buildWorkoutEvent = (workout, timeZone, now) => {
+  const start = new Date(workout.workoutDate);
+  const description = describeWorkout(workout);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(workout)}`,
+    `DTSTAMP:${formatUtc(now)}`,
+    timeZone === DEFAULT_TIME_ZONE
+      ? `DTSTART:${formatUtc(start)}`
+      : `DTSTART;TZID=${timeZone}:${formatDateTime(getZonedParts(start, timeZone))}`,
+  ];
+
+  if (workout.duration) {
+    lines.push(`DURATION:PT${Math.round(workout.duration)}M`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(workout.title)}`);
+
+  if (description) {
+    lines.push(`DESCRIPTION:${escapeText(description)}`);
+  }
+
+  if (workout.exerciseType) {
+    lines.push(`CATEGORIES:${escapeText(workout.exerciseType)}`);
+  }
+
+  lines.push(`STATUS:${EVENT_STATUSES[workout.status] || 'CONFIRMED'}`);
+
+  if (workout.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatUtc(workout.updatedAt)}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Render a user's workouts as an iCalendar feed
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {string} [options.timeZone='UTC'] - IANA time zone for event times
+ * @param {Array<Object>} options.workouts - Workouts and planned occurrences
+ * @param {Date} [options.now] - Time the feed is generated
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+const buildWorkoutCalendar = ({ name, timeZone = DEFAULT_TIME_ZONE, workouts, now = new Date() }) => {
+  const ordered = [...workouts].sort((a, b) => new Date(a.workoutDate) - new Date(b.workoutDate));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`,
+  ];
+
+  if (timeZone !== DEFAULT_TIME_ZONE && ordered.length > 0) {
+    const first = new Date(ordered[0].workoutDate);
+    const last = new Date(ordered[ordered.length - 1].workoutDate);
+    lines.push(...buildTimeZone(timeZone, new Date(first.getTime() - DAY_MS), new Date(last.getTime() + DAY_MS)));
+  }
+
+  ordered.forEach((workout) => {
+    lines.push(...buildWorkoutEvent(workout, timeZone, now));
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  describeWorkout,
+  buildWorkoutCalendar,
+};
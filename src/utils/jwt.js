@@ -0,0 +1,141 @@
+/**
+ * JWT Utilities
+ * Signs and verifies the short-lived access tokens used by stateless clients
+ * (e.g. the mobile app) and the one-time codes exchanged for them after login
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Falls back to the session secret so a single secret is enough in development
+const JWT_SECRET = process.env.JWT_SECRET
+  || process.env.SESSION_SECRET
+  || 'fitness-tracker-secret-key-change-in-production';
+
+const JWT_ISSUER = 'fitness-tracker-api';
+
+// Access tokens are short-lived - clients renew them with a refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+// Exchange codes only need to survive the redirect back to the client
+const EXCHANGE_CODE_EXPIRES_IN = '2m';
+
+// Time allowed to enter the second factor after the first one succeeded
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+
+// Refresh tokens are opaque values stored hashed in the database
+const REFRESH_TOKEN_EXPIRES_IN_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRES_IN_DAYS, 10) || 30;
+
+/**
+ * Sign a JWT of the given type
+ * @param {Object} user - User document
+ * @param {string} type - Token type stored in the `typ` claim
+ * @param {Object} options - Extra jsonwebtoken sign options
+ * @returns {string} Signed token
+ */
+const signToken = (user, type, options) => {
+  return jwt.sign({ typ: type }, JWT_SECRET, {
+    subject: user._id.toString(),
+    issuer: JWT_ISSUER,
+    algorithm: 'HS256',
+    ...options,
+  });
+};
+
+/**
+ * Verify a JWT and check its type
+ * Throws JsonWebTokenError / TokenExpiredError, which the error handler maps to 401
+ * @param {string} token - Signed token
+ * @param {string} type - Expected `typ` claim
+ * @returns {Object} Decoded payload
+ */
+const verifyToken = (token, type) => {
+  const payload = jwt.verify(token, JWT_SECRET, {
+    issuer: JWT_ISSUER,
+    algorithms: ['HS256'],
+  });
+
+  if (payload.typ !== type) {
+    throw new jwt.JsonWebTokenError(`Expected a ${type} token`);
+  }
+
+  return payload;
+};
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - User document
+ * @returns {string} Signed access token
+ */
+const signAccessToken = (user) => signToken(user, 'access', { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+
+/**
+ * Verify an access token
+ * @param {string} token - Signed access token
+ * @returns {Object} Decoded payload (`sub` holds the user ID)
+ */
+const verifyAccessToken = (token) => verifyToken(token, 'access');
+
+/**
+ * Sign a one-time code that can be exchanged for a token pair
+ * The random `jti` becomes the refresh token family, so a code can only be used once
+ * @param {Object} user - User document
+ * @returns {string} Signed exchange code
+ */
+const signExchangeCode = (user) => signToken(user, 'exchange', {
+  expiresIn: EXCHANGE_CODE_EXPIRES_IN,
+  jwtid: crypto.randomUUID(),
+});
+
+/**
+ * Verify an exchange code
+ * @param {string} code - Signed exchange code
+ * @returns {Object} Decoded payload
+ */
+const verifyExchangeCode = (code) => verifyToken(code, 'exchange');
+
+/**
+ * Sign a challenge proving the first login factor succeeded
+ * Lets clients without cookies finish two-factor login at /auth/2fa/verify
+ * @param {Object} user - User document
+ * @returns {string} Signed challenge
+ */
+const signTwoFactorChallenge = (user) => signToken(user, 'two_factor', {
+  expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+});
+
+/**
+ * Verify a two-factor challenge
+ * @param {string} challenge - Signed challenge
+ * @returns {Object} Decoded payload
+ */
+const verifyTwoFactorChallenge = (challenge) => verifyToken(challenge, 'two_factor');
+
+/**
+ * Get the remaining lifetime of a signed token
+ * @param {string} token - Signed token
+ * @returns {number} Seconds until the token expires
+ */
+const getExpiresIn = (token) => {
+  const { exp } = jwt.decode(token);
+  return Math.max(0, exp - Math.floor(Date.now() / 1000));
+};
+
+/**
+ * Check whether a bearer token looks like a JWT rather than a personal access token
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+const isJwt = (token) => token.split('.').length === 3;
+
+module.exports = {
+  REFRESH_TOKEN_EXPIRES_IN_DAYS,
+  signAccessToken,
+  verifyAccessToken,
+  signExchangeCode,
+  verifyExchangeCode,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getExpiresIn,
+  isJwt,
+};
@@ -0,0 +1,146 @@
+/**
+ * Mailer Utility
+ * Sends transactional emails (e.g. password resets) through a pluggable transport
+ *
+ * Built-in transports, selected with MAIL_TRANSPORT:
+ * - console: logs the message (default in development)
+ * - outbox:  writes each message as a JSON file to MAIL_OUTBOX_DIR (default in tests)
+ *
+ * Other providers can be plugged in with setTransport({ name, send }).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'Fitness Tracker <no-reply@fitness-tracker.local>';
+
+/**
+ * Transport that only logs messages
+ */
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    logger.info('Email (console transport)', message);
+  },
+};
+
+// Sequence number so messages sent in the same millisecond keep their order
+let outboxSequence = 0;
+
+/**
+ * Create a transport writing each message to a directory
+ * @param {string} directory - Outbox directory
+ * @returns {Object} Transport
+ */
+const createOutboxTransport = (directory) => ({
+  name: 'outbox',
+  directory,
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+
+    // Timestamp and sequence prefix keeps files in sending order
+    outboxSequence += 1;
+    const sequence = String(outboxSequence).padStart(6, '0');
+    const fileName = `${Date.now()}-${sequence}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.promises.writeFile(path.join(directory, fileName), JSON.stringify(message, null, 2));
+  },
+});
+
+const outboxDirectory = process.env.MAIL_OUTBOX_DIR
+  || path.join(os.tmpdir(), 'fitness-tracker-outbox');
+
+const defaultTransportName = process.env.MAIL_TRANSPORT
+  || (process.env.NODE_ENV === 'test' ? 'outbox' : 'console');
+
+let transport = defaultTransportName === 'outbox'
+  ? createOutboxTransport(outboxDirectory)
+  : consoleTransport;
+
+/**
+ * Replace the active transport
+ * @param {Object} newTransport - Object with a `name` and an async `send(message)` function
+ */
+const setTransport = (newTransport) => {
+  if (!newTransport || typeof newTransport.send !== 'function') {
+    throw new TypeError('Mail transport must provide a send(message) function');
+  }
+
+  logger.info('Mail transport changed', { transport: newTransport.name });
+  transport = newTransport;
+};
+
+/**
+ * Get the active transport
+ * @returns {Object} Transport
+ */
+const getTransport = () => transport;
+
+/**
+ * Send an email
+ * @param {Object} options - Message options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @returns {Promise<Object>} The message that was sent
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const message = {
+    from: DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString(),
+  };
+
+  await transport.send(message);
+
+  logger.info('Email sent', { to, subject, transport: transport.name });
+
+  return message;
+};
+
+/**
+ * Read the messages in an outbox directory, oldest first
+ * @param {string} directory - Outbox directory (defaults to the configured one)
+ * @returns {Promise<Array<Object>>} Messages
+ */
+const readOutbox = async (directory = outboxDirectory) => {
+  let files;
+
+  try {
+    files = await fs.promises.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const messages = await Promise.all(
+    files
+      .filter((file) => file.endsWith('.json'))
+      .sort()
+      .map(async (file) => JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8')))
+  );
+
+  return messages;
+};
+
+/**
+ * Remove every message from an outbox directory
+ * @param {string} directory - Outbox directory (defaults to the configured one)
+ */
+const clearOutbox = async (directory = outboxDirectory) => {
+  await fs.promises.rm(directory, { recursive: true, force: true });
+};
+
+module.exports = {
+  consoleTransport,
+  createOutboxTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  readOutbox,
+  clearOutbox,
+};
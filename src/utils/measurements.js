@@ -0,0 +1,188 @@
+/**
+ * Body Measurement Utilities
+ * Keeps the user profile in step with the measurement history and smooths a
+ * metric's history into trend lines for charting
+ *
+ * Two trend lines are produced for every entry:
+ * - movingAverage: mean of the entries in the trailing window (default 7 days)
+ * - ewma: exponentially weighted moving average, where each entry moves the
+ *   trend by `alpha` of its distance from it (0.1 by default, as in the
+ *   Hacker's Diet weight trend), so day-to-day water weight barely shows
+ */
+
+const User = require('../models/User');
+const BodyMeasurement = require('../models/BodyMeasurement');
+const logger = require('./logger');
+const { auditSnapshot, recordAuditEvent } = require('./audit');
+const { MEASUREMENT_METRICS, PROFILE_METRICS } = require('../config/measurements');
+
+const DEFAULT_TREND_WINDOW_DAYS = 7;
+const MAX_TREND_WINDOW_DAYS = 365;
+const DEFAULT_TREND_ALPHA = 0.1;
+
+// Smallest smoothed change over a range still reported as a rise or a fall
+const FLAT_TREND_THRESHOLD = 0.05;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a trend value to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Copy the latest recorded weight and body fat to the user profile
+ * Each profile metric comes from the newest measurement that has it; metrics
+ * with no measurement left keep whatever the profile already holds; a change
+ * is recorded in the audit log against the request that caused it
+ * @param {Object} req - Express request
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Updated user, or null if the user does not exist
+ */
+const syncProfileMeasurements = async (req, userId) => {
+  const latest = await Promise.all(PROFILE_METRICS.map((metric) => (
+    BodyMeasurement.findOne({ userId, [metric]: { $type: 'number' } }).sort({ measuredAt: -1, createdAt: -1 })
+  )));
+
+  const updates = {};
+  PROFILE_METRICS.forEach((metric, index) => {
+    if (latest[index]) {
+      updates[metric] = latest[index][metric];
+    }
+  });
+
+  const existingUser = await User.findById(userId);
+
+  if (!existingUser || Object.keys(updates).length === 0) {
+    return existingUser;
+  }
+
+  const user = await User.findByIdAndUpdate(userId, { $set: updates }, { new: true, runValidators: true });
+
+  logger.info('Profile synced with latest body measurements', { userId, updates });
+
+  if (user) {
+    await recordAuditEvent(req, {
+      action: 'update',
+      resourceType: 'user',
+      resourceId: user._id,
+      targetUserId: user._id,
+      before: auditSnapshot(existingUser),
+      after: auditSnapshot(user),
+    });
+  }
+
+  return user;
+};
+
+/**
+ * Record the profile metrics a user has just set as a measurement
+ * Keeps weights entered on the profile in the history, so the next sync does
+ * not overwrite them with an older entry
+ * @param {Object} user - Saved user document
+ * @param {Object} changes - Profile fields that were set
+ * @returns {Promise<Object|null>} Created measurement, or null if no profile metric was set
+ */
+const recordProfileMeasurement = async (user, changes) => {
+  const values = {};
+  PROFILE_METRICS.forEach((metric) => {
+    if (typeof changes[metric] === 'number') {
+      values[metric] = changes[metric];
+    }
+  });
+
+  if (Object.keys(values).length === 0) {
+    return null;
+  }
+
+  const measurement = await BodyMeasurement.create({
+    userId: user._id,
+    measuredAt: new Date(),
+    ...values,
+    notes: 'Recorded from profile update',
+  });
+
+  logger.info('Body measurement recorded from profile', { userId: user._id, metrics: Object.keys(values) });
+
+  return measurement;
+};
+
+/**
+ * Build the smoothed trend of one metric
+ * The EWMA is seeded with the first entry and runs over every entry given, so
+ * pass the history before `from` too - only points from `from` on are returned
+ * @param {Array<Object>} measurements - Measurement documents of one user
+ * @param {string} metric - Metric from config/measurements.js
+ * @param {Object} [options] - { windowDays, alpha, from }
+ * @returns {Object} { metric, unit, windowDays, alpha, points, summary }
+ */
+const buildTrend = (measurements, metric, options = {}) => {
+  const windowDays = options.windowDays || DEFAULT_TREND_WINDOW_DAYS;
+  const alpha = options.alpha || DEFAULT_TREND_ALPHA;
+  const from = options.from ? new Date(options.from) : null;
+
+  const entries = measurements
+    .filter((measurement) => typeof measurement[metric] === 'number')
+    .map((measurement) => ({ measuredAt: new Date(measurement.measuredAt), value: measurement[metric] }))
+    .sort((a, b) => a.measuredAt - b.measuredAt);
+
+  const points = [];
+  let ewma = null;
+  let windowStart = 0;
+  let windowTotal = 0;
+
+  entries.forEach((entry, index) => {
+    // Slide the trailing window: (measuredAt - windowDays, measuredAt]
+    windowTotal += entry.value;
+    while (entries[windowStart].measuredAt <= entry.measuredAt.getTime() - windowDays * DAY_MS) {
+      windowTotal -= entries[windowStart].value;
+      windowStart += 1;
+    }
+
+    ewma = ewma === null ? entry.value : ewma + alpha * (entry.value - ewma);
+
+    if (!from || entry.measuredAt >= from) {
+      points.push({
+        measuredAt: entry.measuredAt,
+        value: entry.value,
+        movingAverage: round(windowTotal / (index - windowStart + 1)),
+        ewma: round(ewma),
+      });
+    }
+  });
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const change = last ? round(last.ewma - first.ewma) : null;
+
+  let direction = null;
+  if (change !== null) {
+    direction = Math.abs(change) < FLAT_TREND_THRESHOLD ? 'flat' : change > 0 ? 'up' : 'down';
+  }
+
+  return {
+    metric,
+    unit: MEASUREMENT_METRICS[metric].unit,
+    windowDays,
+    alpha,
+    points,
+    summary: {
+      count: points.length,
+      latest: last ? last.value : null,
+      smoothed: last ? last.ewma : null,
+      change,
+      direction,
+    },
+  };
+};
+
+module.exports = {
+  DEFAULT_TREND_WINDOW_DAYS,
+  MAX_TREND_WINDOW_DAYS,
+  DEFAULT_TREND_ALPHA,
+  syncProfileMeasurements,
+  recordProfileMeasurement,
+  buildTrend,
+};
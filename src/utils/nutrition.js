@@ -0,0 +1,216 @@
+/**
+ * Nutrition Utilities
+ * Scales food database nutrition to what was eaten and rolls the food log up
+ * into daily totals and a daily energy balance
+ *
+ * Days are calendar days in the user's time zone, so a late dinner counts
+ * towards the day it was eaten on. The energy balance of a day is
+ *   net = intake - dailyCalorieNeeds - caloriesBurned by completed workouts
+ * where dailyCalorieNeeds is the profile's current estimate (BMR x activity
+ * level). A negative net is a calorie deficit. Days without any food logged
+ * have no intake to compare, so their net is null and they are left out of
+ * the averages.
+ */
+
+const { MEAL_TYPES } = require('../config/foodLibrary');
+const { getZonedDateKey, getZonedDayStart, addDaysToDateKey } = require('./timezone');
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat'];
+
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a value to one decimal
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Work out the nutrition of a number of servings of a food
+ * @param {Object} food - Food with per-serving calories, protein, carbs and fat
+ * @param {number} servings - Servings eaten
+ * @returns {Object} { calories, protein, carbs, fat }
+ */
+const scaleNutrition = (food, servings = 1) => {
+  return Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, round((food[nutrient] || 0) * servings)]));
+};
+
+/**
+ * Resolve a from/to query into the days to report on
+ * Both ends are inclusive local dates; without them the range is the last
+ * DEFAULT_RANGE_DAYS days up to today
+ * @param {Object} query - { from, to } as YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone of the user
+ * @param {Date} now - Current time
+ * @returns {Object} { from, to, days, start, end } - start and end are the instants bounding the range
+ */
+const resolveDateRange = ({ from, to } = {}, timeZone, now = new Date()) => {
+  const end = to || (from ? addDaysToDateKey(from, DEFAULT_RANGE_DAYS - 1) : getZonedDateKey(now, timeZone));
+  const start = from || addDaysToDateKey(end, -(DEFAULT_RANGE_DAYS - 1));
+
+  const days = [];
+  for (let day = start; day <= end; day = addDaysToDateKey(day, 1)) {
+    days.push(day);
+  }
+
+  return {
+    from: start,
+    to: end,
+    days,
+    start: getZonedDayStart(start, timeZone),
+    end: getZonedDayStart(addDaysToDateKey(end, 1), timeZone),
+  };
+};
+
+/**
+ * Count the days between two YYYY-MM-DD dates, both included
+ * @param {string} from - First day
+ * @param {string} to - Last day
+ * @returns {number} Number of days
+ */
+const countDays = (from, to) => {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+};
+
+/**
+ * Total food log entries per local day
+ * @param {Array<Object>} entries - Food log entries with eatenAt, meal and nutrients
+ * @param {Array<string>} days - Days to report on (YYYY-MM-DD)
+ * @param {string} timeZone - IANA time zone of the user
+ * @returns {Array<Object>} One { date, entries, calories, protein, carbs, fat, meals } per day,
+ *   where meals holds the calories of each meal
+ */
+const buildDailyTotals = (entries, days, timeZone) => {
+  const totals = new Map(days.map((date) => [date, {
+    date,
+    entries: 0,
+    ...Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, 0])),
+    meals: Object.fromEntries(MEAL_TYPES.map((meal) => [meal, 0])),
+  }]));
+
+  entries.forEach((entry) => {
+    const day = totals.get(getZonedDateKey(new Date(entry.eatenAt), timeZone));
+    if (!day) return;
+
+    day.entries += 1;
+    NUTRIENTS.forEach((nutrient) => {
+      day[nutrient] += entry[nutrient] || 0;
+    });
+    day.meals[entry.meal] += entry.calories || 0;
+  });
+
+  return [...totals.values()].map((day) => ({
+    ...day,
+    ...Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, round(day[nutrient])])),
+    meals: Object.fromEntries(MEAL_TYPES.map((meal) => [meal, round(day.meals[meal])])),
+  }));
+};
+
+/**
+ * Average a field over the given days
+ * @param {Array<Object>} days - Daily rows
+ * @param {string} field - Field to average
+ * @returns {number|null} Rounded average, or null without days
+ */
+const average = (days, field) => {
+  if (days.length === 0) return null;
+  return round(days.reduce((total, day) => total + day[field], 0) / days.length);
+};
+
+/**
+ * Build daily nutrition totals for a date range
+ * @param {Array<Object>} entries - Food log entries in the range
+ * @param {Object} range - Result of resolveDateRange
+ * @param {string} timeZone - IANA time zone of the user
+ * @returns {Object} { from, to, timezone, days, summary } - the summary averages the days with food logged
+ */
+const buildDailyNutrition = (entries, range, timeZone) => {
+  const days = buildDailyTotals(entries, range.days, timeZone);
+  const logged = days.filter((day) => day.entries > 0);
+
+  return {
+    from: range.from,
+    to: range.to,
+    timezone: timeZone,
+    days,
+    summary: {
+      daysLogged: logged.length,
+      totalEntries: logged.reduce((total, day) => total + day.entries, 0),
+      averages: Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, average(logged, nutrient)])),
+    },
+  };
+};
+
+/**
+ * Build the daily energy balance for a date range
+ * @param {Object} options - Balance inputs
+ * @param {Array<Object>} options.entries - Food log entries in the range
+ * @param {Array<Object>} options.workouts - Completed workouts in the range (workoutDate, caloriesBurned)
+ * @param {number|null} options.dailyCalorieNeeds - The user's estimated daily needs
+ * @param {Object} options.range - Result of resolveDateRange
+ * @param {string} options.timeZone - IANA time zone of the user
+ * @returns {Object} { from, to, timezone, dailyCalorieNeeds, days, summary }
+ */
+const buildEnergyBalance = ({ entries, workouts, dailyCalorieNeeds, range, timeZone }) => {
+  const burned = new Map(range.days.map((date) => [date, { calories: 0, workouts: 0 }]));
+
+  workouts.forEach((workout) => {
+    const day = burned.get(getZonedDateKey(new Date(workout.workoutDate), timeZone));
+    if (!day) return;
+
+    day.calories += workout.caloriesBurned || 0;
+    day.workouts += 1;
+  });
+
+  const needs = typeof dailyCalorieNeeds === 'number' ? dailyCalorieNeeds : null;
+
+  const days = buildDailyTotals(entries, range.days, timeZone).map((day) => {
+    const exercise = burned.get(day.date);
+    const logged = day.entries > 0;
+    const expenditure = needs === null ? null : round(needs + exercise.calories);
+
+    return {
+      date: day.date,
+      intake: logged ? day.calories : null,
+      dailyCalorieNeeds: needs,
+      caloriesBurned: round(exercise.calories),
+      workouts: exercise.workouts,
+      expenditure,
+      net: logged && expenditure !== null ? round(day.calories - expenditure) : null,
+    };
+  });
+
+  const balanced = days.filter((day) => day.net !== null);
+  const totalNet = balanced.reduce((total, day) => total + day.net, 0);
+
+  return {
+    from: range.from,
+    to: range.to,
+    timezone: timeZone,
+    dailyCalorieNeeds: needs,
+    days,
+    summary: {
+      daysLogged: days.filter((day) => day.intake !== null).length,
+      totalIntake: round(days.reduce((total, day) => total + (day.intake || 0), 0)),
+      totalCaloriesBurned: round(days.reduce((total, day) => total + day.caloriesBurned, 0)),
+      totalNet: balanced.length > 0 ? round(totalNet) : null,
+      averageIntake: average(days.filter((day) => day.intake !== null), 'intake'),
+      averageNet: average(balanced, 'net'),
+    },
+  };
+};
+
+module.exports = {
+  NUTRIENTS,
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  scaleNutrition,
+  resolveDateRange,
+  countDays,
+  buildDailyNutrition,
+  buildEnergyBalance,
+};
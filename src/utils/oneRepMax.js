@@ -0,0 +1,52 @@
+/**
+ * One-Rep Max Utilities
+ * Estimates the heaviest single repetition a lifter could perform from a set
+ * of several reps
+ */
+
+// Estimates get unreliable for long sets, so they are only made up to this many reps
+const MAX_REPS_FOR_ESTIMATE = 12;
+
+// Supported estimation formulas
+const ONE_REP_MAX_FORMULAS = {
+  // weight x (1 + reps / 30)
+  epley: (weight, reps) => weight * (1 + reps / 30),
+  // weight x 36 / (37 - reps)
+  brzycki: (weight, reps) => (weight * 36) / (37 - reps),
+  // weight x reps ^ 0.10
+  lombardi: (weight, reps) => weight * Math.pow(reps, 0.1),
+};
+
+// Formula used when none is chosen
+const DEFAULT_ONE_REP_MAX_FORMULA = 'epley';
+
+/**
+ * Estimate a one-rep max
+ * @param {number} weight - Weight lifted in kg
+ * @param {number} reps - Repetitions performed
+ * @param {string} formula - One of ONE_REP_MAX_FORMULAS (default Epley)
+ * @returns {number|null} Estimated 1RM in kg (rounded to 0.1), or null when it cannot be estimated
+ */
+const estimateOneRepMax = (weight, reps, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  if (!weight || !reps || reps < 1 || reps > MAX_REPS_FOR_ESTIMATE) {
+    return null;
+  }
+
+  if (reps === 1) {
+    return weight;
+  }
+
+  const estimate = ONE_REP_MAX_FORMULAS[formula];
+  if (!estimate) {
+    throw new Error(`Unknown one-rep max formula: ${formula}`);
+  }
+
+  return Math.round(estimate(weight, reps) * 10) / 10;
+};
+
+module.exports = {
+  MAX_REPS_FOR_ESTIMATE,
+  ONE_REP_MAX_FORMULAS,
+  DEFAULT_ONE_REP_MAX_FORMULA,
+  estimateOneRepMax,
+};
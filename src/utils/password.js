@@ -0,0 +1,82 @@
+/**
+ * Password Utilities
+ * Hashes and verifies passwords with scrypt (built into Node's crypto module)
+ * Hashes are stored as `scrypt$<N>$<r>$<p>$<salt>$<hash>` so parameters can be raised later
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N = CPU/memory cost, r = block size, p = parallelism)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+// Password policy shared by the validators and the model
+const PASSWORD_MIN_LENGTH = 8;
+const PASSWORD_MAX_LENGTH = 128;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain password
+ * @returns {Promise<string>} Encoded hash
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Check a password against an encoded hash
+ * Uses a constant-time comparison
+ * @param {string} password - Plain password
+ * @param {string} encoded - Hash produced by hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+const verifyPassword = async (password, encoded) => {
+  if (!password || !encoded) return false;
+
+  const [algorithm, N, r, p, salt, hash] = encoded.split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Check a password against the password policy
+ * @param {string} password - Plain password
+ * @returns {string|null} Problem description, or null if the password is acceptable
+ */
+const getPasswordPolicyError = (password) => {
+  if (!password || typeof password !== 'string') {
+    return 'Password is required';
+  }
+
+  if (password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+    return `Password must be between ${PASSWORD_MIN_LENGTH} and ${PASSWORD_MAX_LENGTH} characters`;
+  }
+
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain at least one letter and one number';
+  }
+
+  return null;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  getPasswordPolicyError,
+};
@@ -0,0 +1,173 @@
+/**
+ * Personal Record Utilities
+ * Detects personal records (PRs) in a user's workouts
+ * Records are rebuilt from the user's whole workout history whenever a workout
+ * is created, edited or deleted, so back-dated and corrected workouts are
+ * handled the same way as new ones
+ */
+
+const Workout = require('../models/workout');
+const Exercise = require('../models/Exercise');
+const PersonalRecord = require('../models/PersonalRecord');
+const logger = require('./logger');
+const { estimateOneRepMax } = require('./oneRepMax');
+
+// Record types where a lower value is better
+const LOWER_IS_BETTER = ['best_pace'];
+
+/**
+ * Find every record-worthy value in a workout
+ * Lifting records are kept per exercise (catalog ID, or normalized name for free-text
+ * entries); duration and pace records are kept per workout type
+ * @param {Object} workout - Workout document
+ * @returns {Array<Object>} Candidate records, each with a grouping key
+ */
+const findRecordCandidates = (workout) => {
+  const candidates = [];
+
+  (workout.exercises || []).forEach((exercise) => {
+    const exerciseKey = exercise.exerciseId
+      ? exercise.exerciseId.toString()
+      : Exercise.normalizeName(exercise.name);
+    const details = {
+      exerciseId: exercise.exerciseId,
+      exerciseName: exercise.name,
+    };
+    const sets = Workout.getCountedSets(exercise).filter((set) => set.reps > 0);
+    const repsByWeight = new Map();
+    let heaviest = 0;
+    let bestEstimate = 0;
+
+    sets.forEach((set) => {
+      const weight = set.weight || 0;
+      heaviest = Math.max(heaviest, weight);
+      bestEstimate = Math.max(bestEstimate, estimateOneRepMax(weight, set.reps) || 0);
+      repsByWeight.set(weight, Math.max(repsByWeight.get(weight) || 0, set.reps));
+    });
+
+    if (heaviest > 0) {
+      candidates.push({ ...details, type: 'heaviest_weight', key: exerciseKey, value: heaviest, unit: 'kg' });
+    }
+
+    if (bestEstimate > 0) {
+      candidates.push({ ...details, type: 'estimated_1rm', key: exerciseKey, value: bestEstimate, unit: 'kg' });
+    }
+
+    repsByWeight.forEach((reps, weight) => {
+      candidates.push({
+        ...details,
+        type: 'most_reps',
+        key: `${exerciseKey}@${weight}`,
+        weight,
+        value: reps,
+        unit: 'reps',
+      });
+    });
+  });
+
+  if (workout.duration) {
+    candidates.push({
+      type: 'longest_duration',
+      key: workout.exerciseType,
+      exerciseType: workout.exerciseType,
+      value: workout.duration,
+      unit: 'min',
+    });
+  }
+
+  if (workout.duration && workout.distance) {
+    candidates.push({
+      type: 'best_pace',
+      key: workout.exerciseType,
+      exerciseType: workout.exerciseType,
+      value: Math.round((workout.duration / workout.distance) * 100) / 100,
+      unit: 'min/km',
+    });
+  }
+
+  return candidates;
+};
+
+/**
+ * Work out the record history of a set of workouts
+ * A value only becomes a record when it beats the standing record; ties do not count
+ * @param {Array<Object>} workouts - Workout documents of one user
+ * @returns {Array<Object>} Records in the order they were set
+ */
+const buildRecordHistory = (workouts) => {
+  const ordered = [...workouts].sort((a, b) => (
+    new Date(a.workoutDate) - new Date(b.workoutDate) || new Date(a.createdAt) - new Date(b.createdAt)
+  ));
+  const standing = new Map();
+  const records = [];
+
+  ordered.forEach((workout) => {
+    findRecordCandidates(workout).forEach(({ key, ...candidate }) => {
+      const recordKey = `${candidate.type}:${key}`;
+      const previous = standing.get(recordKey);
+      const beaten = !previous || (LOWER_IS_BETTER.includes(candidate.type)
+        ? candidate.value < previous.value
+        : candidate.value > previous.value);
+
+      if (!beaten) return;
+
+      if (previous) {
+        previous.isCurrent = false;
+      }
+
+      const record = {
+        ...candidate,
+        userId: workout.userId,
+        workoutId: workout._id,
+        achievedAt: workout.workoutDate,
+        previousValue: previous ? previous.value : undefined,
+        isCurrent: true,
+      };
+
+      standing.set(recordKey, record);
+      records.push(record);
+    });
+  });
+
+  return records;
+};
+
+/**
+ * Rebuild the stored personal records of a user from their completed workouts
+ * Failures are logged rather than thrown so they never fail the workout change;
+ * the records are corrected by the next rebuild
+ * @param {string|Object} userId - User whose records to rebuild
+ * @returns {Promise<Array<Object>|null>} Stored records, or null if the rebuild failed
+ */
+const recalculatePersonalRecords = async (userId) => {
+  try {
+    const workouts = await Workout.find({ userId, completed: true })
+      .select('userId workoutDate createdAt exerciseType duration distance exercises');
+
+    const records = buildRecordHistory(workouts);
+
+    await PersonalRecord.deleteMany({ userId });
+    const saved = records.length > 0 ? await PersonalRecord.insertMany(records) : [];
+
+    logger.database('Personal records recalculated', {
+      userId,
+      workoutCount: workouts.length,
+      recordCount: saved.length,
+      currentCount: saved.filter((record) => record.isCurrent).length,
+    });
+
+    return saved;
+  } catch (error) {
+    logger.error('Failed to recalculate personal records', {
+      userId,
+      error: error.message,
+    });
+    return null;
+  }
+};
+
+module.exports = {
+  findRecordCandidates,
+  buildRecordHistory,
+  recalculatePersonalRecords,
+};
@@ -0,0 +1,184 @@
+/**
+ * Training Program Utilities
+ * Turns a multi-week program into planned workouts with its progression applied,
+ * and measures how closely an enrollment follows the plan week by week
+ */
+
+const Workout = require('../models/workout');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a program week is a deload week
+ * @param {Object} progression - Program progression rules
+ * @param {number} week - Week number, starting at 1
+ * @returns {boolean} Whether the week is a deload week
+ */
+const isDeloadWeek = (progression, week) => {
+  return Boolean(progression && progression.deloadEvery) && week % progression.deloadEvery === 0;
+};
+
+/**
+ * Count the weight increments reached by a week
+ * Deload weeks do not add an increment, so the week after a deload picks up
+ * where the last full week left off
+ * @param {Object} progression - Program progression rules
+ * @param {number} week - Week number, starting at 1
+ * @returns {number} Increments to add to the template weights
+ */
+const getProgressionSteps = (progression, week) => {
+  let steps = 0;
+  for (let previous = 1; previous < week; previous++) {
+    if (!isDeloadWeek(progression, previous)) {
+      steps += 1;
+    }
+  }
+  return steps;
+};
+
+/**
+ * Get the load of one planned weight in a program week
+ * @param {number} weight - Weight planned in the template (kg)
+ * @param {Object} progression - Program progression rules
+ * @param {number} week - Week number, starting at 1
+ * @returns {number} Weight for the week, rounded to 0.01 kg
+ */
+const getWeekWeight = (weight, progression, week) => {
+  if (!weight) {
+    return weight;
+  }
+
+  let load = weight + (progression.weightIncrement || 0) * getProgressionSteps(progression, week);
+
+  if (isDeloadWeek(progression, week)) {
+    load *= progression.deloadFactor;
+  }
+
+  return Math.round(load * 100) / 100;
+};
+
+/**
+ * Apply the program progression to the planned exercises of a template
+ * Warm-up sets follow the same progression as working sets
+ * @param {Array<Object>} exercises - Planned exercises (plain objects)
+ * @param {Object} progression - Program progression rules
+ * @param {number} week - Week number, starting at 1
+ * @returns {Array<Object>} Exercises with the week's weights
+ */
+const progressExercises = (exercises, progression, week) => {
+  return (exercises || []).map(({ _id, ...exercise }) => ({
+    ...exercise,
+    weight: getWeekWeight(exercise.weight, progression, week),
+    setDetails: (exercise.setDetails || []).map(({ _id: setId, ...set }) => ({
+      ...set,
+      weight: getWeekWeight(set.weight, progression, week),
+    })),
+  }));
+};
+
+/**
+ * Build the planned workouts of an enrollment
+ * Day 1 of week 1 is the enrollment's start date; every workout keeps its time of day
+ * @param {Object} program - Program document
+ * @param {Map<string, Object>} templates - Workout templates by ID
+ * @param {Object} enrollment - ProgramEnrollment document
+ * @returns {Array<Object>} Workout fields, in date order
+ */
+const buildProgramWorkouts = (program, templates, enrollment) => {
+  const start = new Date(enrollment.startDate).getTime();
+  const progression = program.progression || {};
+
+  return program.weeks.flatMap((programWeek, index) => {
+    const week = index + 1;
+
+    return [...programWeek.days]
+      .sort((a, b) => a.day - b.day)
+      .map((slot) => {
+        const template = templates.get(slot.templateId.toString());
+        const planned = template.toWorkoutData();
+
+        return {
+          ...planned,
+          userId: enrollment.userId,
+          notes: slot.notes || planned.notes,
+          exercises: progressExercises(planned.exercises, progression, week),
+          intensity: isDeloadWeek(progression, week) ? 'low' : planned.intensity,
+          workoutDate: new Date(start + (index * 7 + slot.day - 1) * DAY_MS),
+          status: 'planned',
+          programId: program._id,
+          enrollmentId: enrollment._id,
+          programWeek: week,
+        };
+      });
+  });
+};
+
+/**
+ * Report how closely an enrollment follows its program, week by week
+ * Adherence compares completed workouts with those due by `now`
+ * @param {Object} program - Program document
+ * @param {Object} enrollment - ProgramEnrollment document
+ * @param {Array<Object>} workouts - Workouts generated for the enrollment
+ * @param {Date} now - Current time
+ * @returns {Object} { summary, weeks }
+ */
+const buildProgramProgress = (program, enrollment, workouts, now = new Date()) => {
+  const start = new Date(enrollment.startDate).getTime();
+  const statuses = Workout.schema.path('status').enumValues;
+  const emptyCounts = () => Object.fromEntries(statuses.map((status) => [status, 0]));
+
+  const total = { workouts: 0, upcoming: 0, due: emptyCounts() };
+
+  const weeks = program.weeks.map((programWeek, index) => {
+    const week = index + 1;
+    const weekWorkouts = workouts.filter((workout) => workout.programWeek === week);
+    const due = emptyCounts();
+    let upcoming = 0;
+
+    weekWorkouts.forEach((workout) => {
+      if (new Date(workout.workoutDate) <= now) {
+        due[workout.status] += 1;
+        total.due[workout.status] += 1;
+      } else {
+        upcoming += 1;
+      }
+    });
+
+    total.workouts += weekWorkouts.length;
+    total.upcoming += upcoming;
+
+    return {
+      week,
+      startDate: new Date(start + index * 7 * DAY_MS),
+      deload: isDeloadWeek(program.progression || {}, week),
+      planned: programWeek.days.length,
+      completed: due.completed,
+      skipped: due.skipped,
+      missed: due.planned,
+      inProgress: due.in_progress,
+      upcoming,
+      adherence: upcoming === weekWorkouts.length ? null : Workout.getCompletionRate(due),
+    };
+  });
+
+  return {
+    summary: {
+      weeks: weeks.length,
+      currentWeek: Math.min(Math.max(Math.floor((now.getTime() - start) / (7 * DAY_MS)) + 1, 0), weeks.length),
+      workouts: total.workouts,
+      completed: total.due.completed,
+      skipped: total.due.skipped,
+      missed: total.due.planned,
+      upcoming: total.upcoming,
+      adherence: Workout.getCompletionRate(total.due),
+    },
+    weeks,
+  };
+};
+
+module.exports = {
+  isDeloadWeek,
+  getWeekWeight,
+  buildProgramWorkouts,
+  buildProgramProgress,
+};
@@ -0,0 +1,125 @@
+/**
+ * Strength Progress Utilities
+ * Turns a user's workouts into a per-period series of estimated one-rep max,
+ * top set and volume for one exercise
+ * Periods are calendar days, ISO weeks (starting Monday) or months, in UTC
+ */
+
+const Workout = require('../models/workout');
+const { estimateOneRepMax } = require('./oneRepMax');
+
+// Period lengths a series can be bucketed by
+const PROGRESS_BUCKETS = ['day', 'week', 'month'];
+
+/**
+ * Get the first day of the period a date falls in
+ * @param {Date} date - Workout date
+ * @param {string} bucket - One of PROGRESS_BUCKETS
+ * @returns {Date} Start of the period (midnight UTC)
+ */
+const getPeriodStart = (date, bucket) => {
+  const value = new Date(date);
+
+  if (bucket === 'month') {
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), 1));
+  }
+
+  const start = new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+
+  if (bucket === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  }
+
+  return start;
+};
+
+/**
+ * Summarize one session's entries of an exercise
+ * @param {Array<Object>} entries - Matching exercise entries of one workout
+ * @param {string} formula - One-rep max formula
+ * @returns {Object} Best estimated 1RM, top set, volume and tonnage
+ */
+const summarizeSession = (entries, formula) => {
+  const sets = entries.flatMap((entry) => Workout.getCountedSets(entry)).filter((set) => set.reps > 0);
+  let topSet = null;
+  let estimatedOneRepMax = null;
+
+  sets.forEach((set) => {
+    if (!set.weight) return;
+
+    if (!topSet || set.weight > topSet.weight || (set.weight === topSet.weight && set.reps > topSet.reps)) {
+      topSet = { weight: set.weight, reps: set.reps };
+    }
+
+    const estimate = estimateOneRepMax(set.weight, set.reps, formula);
+    if (estimate !== null && (estimatedOneRepMax === null || estimate > estimatedOneRepMax)) {
+      estimatedOneRepMax = estimate;
+    }
+  });
+
+  return {
+    estimatedOneRepMax,
+    topSet,
+    volume: entries.reduce((total, entry) => total + entry.volume, 0),
+    tonnage: entries.reduce((total, entry) => total + entry.tonnage, 0),
+  };
+};
+
+/**
+ * Build the progress series of an exercise
+ * Each period reports the best estimated 1RM and heaviest set of its sessions,
+ * and the combined volume (reps) and tonnage (kg) of all of them
+ * @param {Array<Object>} workouts - Workout documents
+ * @param {Function} matchesEntry - Returns true for exercise entries of the exercise
+ * @param {Object} options - { formula, bucket }
+ * @returns {Array<Object>} Periods in date order
+ */
+const buildProgressSeries = (workouts, matchesEntry, { formula, bucket }) => {
+  const periods = new Map();
+  const ordered = [...workouts].sort((a, b) => new Date(a.workoutDate) - new Date(b.workoutDate));
+
+  ordered.forEach((workout) => {
+    const entries = (workout.exercises || []).filter(matchesEntry);
+    if (entries.length === 0) return;
+
+    const session = summarizeSession(entries, formula);
+    const periodStart = getPeriodStart(workout.workoutDate, bucket);
+    const key = periodStart.toISOString();
+
+    if (!periods.has(key)) {
+      periods.set(key, {
+        period: bucket === 'month' ? key.slice(0, 7) : key.slice(0, 10),
+        periodStart,
+        sessions: 0,
+        estimatedOneRepMax: null,
+        topSet: null,
+        volume: 0,
+        tonnage: 0,
+      });
+    }
+
+    const period = periods.get(key);
+    period.sessions += 1;
+    period.volume += session.volume;
+    period.tonnage = Math.round((period.tonnage + session.tonnage) * 100) / 100;
+
+    if (session.estimatedOneRepMax !== null
+      && (period.estimatedOneRepMax === null || session.estimatedOneRepMax > period.estimatedOneRepMax)) {
+      period.estimatedOneRepMax = session.estimatedOneRepMax;
+    }
+
+    if (session.topSet && (!period.topSet
+      || session.topSet.weight > period.topSet.weight
+      || (session.topSet.weight === period.topSet.weight && session.topSet.reps > period.topSet.reps))) {
+      period.topSet = session.topSet;
+    }
+  });
+
+  return [...periods.values()];
+};
+
+module.exports = {
+  PROGRESS_BUCKETS,
+  getPeriodStart,
+  buildProgressSeries,
+};
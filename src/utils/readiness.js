@@ -0,0 +1,200 @@
+/**
+ * Readiness Utilities
+ * Turns a day's wellness entry and recent training into a readiness score
+ * from 0 (rest) to 100 (ready for a hard session)
+ *
+ * Each component is scored 0-100:
+ * - sleep: hours against TARGET_SLEEP_HOURS and the 1-5 quality rating
+ * - hrv / restingHeartRate: the day's value against the user's own baseline
+ *   (mean of the previous BASELINE_DAYS days); matching it scores 75, a higher
+ *   HRV or lower heart rate more, the reverse less
+ * - soreness and mood: the 1-5 ratings
+ * - hydration: water intake against 35 ml per kg of body weight
+ * - trainingLoad: the acute:chronic workload ratio - load of the last 7 days
+ *   against the weekly average of the last 28, where a workout's load is its
+ *   duration times its intensity factor. Up to 1 scores 100, 2 or more 0
+ * The score is the weighted mean of the components that have data
+ */
+
+const {
+  READINESS_WEIGHTS,
+  INTENSITY_LOAD_FACTORS,
+  TARGET_SLEEP_HOURS,
+  WATER_ML_PER_KG,
+  DEFAULT_WATER_TARGET_ML,
+  MIN_BASELINE_ENTRIES,
+  READINESS_LEVELS,
+} = require('../config/wellness');
+const { getZonedDateKey, addDaysToDateKey } = require('./timezone');
+
+// Days of training making up the acute and chronic load
+const ACUTE_LOAD_DAYS = 7;
+const CHRONIC_LOAD_DAYS = 28;
+
+/**
+ * Keep a score between 0 and 100 and round it
+ * @param {number} value - Raw score
+ * @returns {number} Score
+ */
+const toScore = (value) => Math.round(Math.min(100, Math.max(0, value)));
+
+/**
+ * Round a value to two decimals
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Score a 1-5 rating
+ * @param {number} rating - Rating
+ * @param {boolean} higherIsBetter - Whether 5 is the best rating
+ * @returns {number} Score
+ */
+const scoreRating = (rating, higherIsBetter = true) => {
+  return toScore(((higherIsBetter ? rating - 1 : 5 - rating) / 4) * 100);
+};
+
+/**
+ * Average a metric over earlier wellness entries
+ * @param {Array<Object>} history - Entries before the day being scored
+ * @param {string} metric - Metric to average
+ * @returns {number|null} Mean, or null with fewer than MIN_BASELINE_ENTRIES values
+ */
+const getBaseline = (history, metric) => {
+  const values = history.map((entry) => entry[metric]).filter((value) => typeof value === 'number');
+  if (values.length < MIN_BASELINE_ENTRIES) return null;
+  return round(values.reduce((total, value) => total + value, 0) / values.length);
+};
+
+/**
+ * Work out the acute and chronic training load
+ * @param {Array<Object>} workouts - Completed workouts of the CHRONIC_LOAD_DAYS days up to the date
+ * @param {string} date - Day being scored (YYYY-MM-DD)
+ * @param {string} timeZone - IANA time zone of the user
+ * @returns {Object} { acute, chronic, ratio, score } - ratio is null without training before the last 7 days
+ */
+const calculateTrainingLoad = (workouts, date, timeZone) => {
+  const acuteStart = addDaysToDateKey(date, -(ACUTE_LOAD_DAYS - 1));
+  let acute = 0;
+  let total = 0;
+
+  workouts.forEach((workout) => {
+    const load = (workout.duration || 0) * (INTENSITY_LOAD_FACTORS[workout.intensity] || INTENSITY_LOAD_FACTORS.moderate);
+    total += load;
+    if (getZonedDateKey(new Date(workout.workoutDate), timeZone) >= acuteStart) {
+      acute += load;
+    }
+  });
+
+  const chronic = round(total / (CHRONIC_LOAD_DAYS / ACUTE_LOAD_DAYS));
+
+  // Training only started this week: there is no baseline to compare with
+  if (total === acute) {
+    return { acute, chronic, ratio: null, score: acute > 0 ? 50 : 100 };
+  }
+
+  const ratio = round(acute / chronic);
+  return { acute, chronic, ratio, score: toScore(100 - Math.max(0, ratio - 1) * 100) };
+};
+
+/**
+ * Score each readiness component that has data
+ * @param {Object} options - See calculateReadiness
+ * @returns {Object} Component details keyed by READINESS_WEIGHTS name; score is null without data
+ */
+const scoreComponents = ({ entry, history, workouts, weight, date, timeZone }) => {
+  const day = entry || {};
+  const components = {};
+
+  const sleepScores = [];
+  if (typeof day.sleepHours === 'number') {
+    sleepScores.push(toScore((day.sleepHours / TARGET_SLEEP_HOURS) * 100));
+  }
+  if (typeof day.sleepQuality === 'number') {
+    sleepScores.push(scoreRating(day.sleepQuality));
+  }
+  components.sleep = {
+    score: sleepScores.length > 0 ? toScore(sleepScores.reduce((a, b) => a + b, 0) / sleepScores.length) : null,
+    sleepHours: day.sleepHours ?? null,
+    sleepQuality: day.sleepQuality ?? null,
+  };
+
+  const hrvBaseline = getBaseline(history, 'hrv');
+  components.hrv = {
+    score: typeof day.hrv === 'number' && hrvBaseline ? toScore(75 + (day.hrv / hrvBaseline - 1) * 250) : null,
+    value: day.hrv ?? null,
+    baseline: hrvBaseline,
+  };
+
+  const heartRateBaseline = getBaseline(history, 'restingHeartRate');
+  components.restingHeartRate = {
+    score: typeof day.restingHeartRate === 'number' && heartRateBaseline
+      ? toScore(75 - (day.restingHeartRate - heartRateBaseline) * 7.5)
+      : null,
+    value: day.restingHeartRate ?? null,
+    baseline: heartRateBaseline,
+  };
+
+  components.soreness = {
+    score: typeof day.soreness === 'number' ? scoreRating(day.soreness, false) : null,
+    value: day.soreness ?? null,
+  };
+
+  components.mood = {
+    score: typeof day.mood === 'number' ? scoreRating(day.mood) : null,
+    value: day.mood ?? null,
+  };
+
+  const waterTarget = typeof weight === 'number' ? Math.round(weight * WATER_ML_PER_KG) : DEFAULT_WATER_TARGET_ML;
+  components.hydration = {
+    score: typeof day.waterIntake === 'number' ? toScore((day.waterIntake / waterTarget) * 100) : null,
+    waterIntake: day.waterIntake ?? null,
+    target: waterTarget,
+  };
+
+  components.trainingLoad = calculateTrainingLoad(workouts, date, timeZone);
+
+  return components;
+};
+
+/**
+ * Calculate the readiness score of a day
+ * @param {Object} options - Readiness inputs
+ * @param {Object|null} options.entry - Wellness entry of the day
+ * @param {Array<Object>} options.history - Wellness entries of the BASELINE_DAYS days before it
+ * @param {Array<Object>} options.workouts - Completed workouts of the 28 days up to and including the day
+ * @param {number} [options.weight] - Body weight in kg, for the water target
+ * @param {string} options.date - Day being scored (YYYY-MM-DD)
+ * @param {string} options.timeZone - IANA time zone of the user
+ * @returns {Object} { date, score, level, advice, components } - each component has its
+ *   score (null without data) and the weight it was given
+ */
+const calculateReadiness = (options) => {
+  const components = scoreComponents(options);
+
+  const scored = Object.keys(READINESS_WEIGHTS).filter((name) => components[name].score !== null);
+  const totalWeight = scored.reduce((total, name) => total + READINESS_WEIGHTS[name], 0);
+
+  Object.keys(READINESS_WEIGHTS).forEach((name) => {
+    components[name].weight = scored.includes(name) ? round(READINESS_WEIGHTS[name] / totalWeight) : 0;
+  });
+
+  const score = toScore(scored.reduce((total, name) => total + components[name].score * READINESS_WEIGHTS[name], 0) / totalWeight);
+  const { level, advice } = READINESS_LEVELS.find(({ min }) => score >= min);
+
+  return {
+    date: options.date,
+    score,
+    level,
+    advice,
+    components,
+  };
+};
+
+module.exports = {
+  ACUTE_LOAD_DAYS,
+  CHRONIC_LOAD_DAYS,
+  calculateTrainingLoad,
+  calculateReadiness,
+};
@@ -0,0 +1,324 @@
+/**
+ * Recurrence Rule Utilities
+ * Parses and expands iCalendar recurrence rules (RFC 5545 RRULE) for workout schedules
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, BYMONTHDAY, COUNT, UNTIL
+ * and WKST; occurrences keep the local time of day of the series start in the
+ * series' time zone (UTC by default), also across daylight saving changes
+ * Days are worked out on the local wall clock, written as UTC timestamps
+ */
+
+const { DEFAULT_TIME_ZONE, getTimeZoneOffset, getZonedInstant } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// RRULE weekday codes, indexed like Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// BYDAY entry, optionally with an ordinal for monthly rules (e.g. 1MO, -1FR)
+const BYDAY_REGEX = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+// UNTIL as a date (20240331) or UTC date-time (20240331T235959Z)
+const UNTIL_REGEX = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/;
+
+// Safety limit on the number of periods walked through during an expansion
+const MAX_PERIODS = 100000;
+
+/**
+ * Parse an RRULE string
+ * @param {string} value - Rule such as "FREQ=WEEKLY;BYDAY=MO,WE,FR" (an "RRULE:" prefix is allowed)
+ * @returns {Object} { freq, interval, byDay, byMonthDay, count, until, untilIsDate, wkst }
+ * @throws {Error} When the rule is malformed or uses unsupported parts
+ */
+const parseRRule = (value) => {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    throw new Error('Recurrence rule must be a non-empty string');
+  }
+
+  const rule = { interval: 1, byDay: [], byMonthDay: [], count: null, until: null, untilIsDate: false, wkst: 1 };
+  const seen = new Set();
+
+  value.trim().replace(/^RRULE:/i, '').split(';').forEach((part) => {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').trim().toUpperCase();
+    const partValue = (rawValue || '').trim().toUpperCase();
+
+    if (!key || !partValue) {
+      throw new Error(`Invalid recurrence rule part: "${part}"`);
+    }
+    if (seen.has(key)) {
+      throw new Error(`${key} is given more than once`);
+    }
+    seen.add(key);
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(partValue)) {
+          throw new Error(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+        }
+        rule.freq = partValue;
+        break;
+
+      case 'INTERVAL':
+        rule.interval = Number(partValue);
+        if (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365) {
+          throw new Error('INTERVAL must be a whole number between 1 and 365');
+        }
+        break;
+
+      case 'BYDAY':
+        rule.byDay = partValue.split(',').map((day) => {
+          const match = day.match(BYDAY_REGEX);
+          const ordinal = match && match[1] ? Number(match[1]) : null;
+
+          if (!match || ordinal === 0 || Math.abs(ordinal) > 5) {
+            throw new Error(`Invalid BYDAY value: "${day}"`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+        });
+        break;
+
+      case 'BYMONTHDAY':
+        rule.byMonthDay = partValue.split(',').map((day) => {
+          const number = Number(day);
+          if (!Number.isInteger(number) || number === 0 || Math.abs(number) > 31) {
+            throw new Error(`Invalid BYMONTHDAY value: "${day}"`);
+          }
+          return number;
+        });
+        break;
+
+      case 'COUNT':
+        rule.count = Number(partValue);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > 1000) {
+          throw new Error('COUNT must be a whole number between 1 and 1000');
+        }
+        break;
+
+      case 'UNTIL': {
+        const match = partValue.match(UNTIL_REGEX);
+        if (!match) {
+          throw new Error('UNTIL must be a date (YYYYMMDD) or UTC date-time (YYYYMMDDTHHMMSSZ)');
+        }
+        const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+        rule.until = new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+        if (isNaN(rule.until.getTime())) {
+          throw new Error('UNTIL is not a valid date');
+        }
+        // A plain date means the end of that day in the series' time zone
+        rule.untilIsDate = !match[4];
+        break;
+      }
+
+      case 'WKST':
+        if (!WEEKDAYS.includes(partValue)) {
+          throw new Error(`WKST must be one of: ${WEEKDAYS.join(', ')}`);
+        }
+        rule.wkst = WEEKDAYS.indexOf(partValue);
+        break;
+
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error('FREQ is required');
+  }
+  if (rule.count !== null && rule.until !== null) {
+    throw new Error('COUNT and UNTIL cannot be used together');
+  }
+  if (rule.freq !== 'MONTHLY' && rule.byDay.some((day) => day.ordinal !== null)) {
+    throw new Error('Numbered BYDAY values (e.g. 1MO) are only allowed with FREQ=MONTHLY');
+  }
+
+  return rule;
+};
+
+/**
+ * Check an RRULE string
+ * @param {string} value - Rule to check
+ * @returns {string|null} Error message, or null when the rule is valid
+ */
+const getRRuleError = (value) => {
+  try {
+    parseRRule(value);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Combine a local calendar day with the time of day of the series start
+ * @param {number} dayStart - Local midnight of the day (wall clock), in milliseconds
+ * @param {Date} dtstart - Series start (wall clock)
+ * @returns {number} Local date and time of the occurrence (wall clock), in milliseconds
+ */
+const atStartTime = (dayStart, dtstart) => {
+  return dayStart + (dtstart.getTime() - Date.UTC(
+    dtstart.getUTCFullYear(), dtstart.getUTCMonth(), dtstart.getUTCDate()
+  ));
+};
+
+/**
+ * List the candidate days of one monthly period
+ * @param {Object} rule - Parsed rule
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {Date} dtstart - Series start (wall clock)
+ * @returns {Array<number>} Local midnight of each day (wall clock), in milliseconds
+ */
+const getMonthlyDays = (rule, year, month, dtstart) => {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  let days = [];
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay
+      .map((day) => (day > 0 ? day : daysInMonth + day + 1))
+      .filter((day) => day >= 1 && day <= daysInMonth);
+  }
+
+  if (rule.byDay.length > 0) {
+    const byDayDays = [];
+
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const matching = [];
+      for (let day = 1; day <= daysInMonth; day++) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+          matching.push(day);
+        }
+      }
+
+      if (ordinal === null) {
+        byDayDays.push(...matching);
+      } else {
+        const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (day) byDayDays.push(day);
+      }
+    });
+
+    // Both parts given: a day must match both
+    days = rule.byMonthDay.length > 0 ? days.filter((day) => byDayDays.includes(day)) : byDayDays;
+  }
+
+  if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) {
+    const day = dtstart.getUTCDate();
+    days = day <= daysInMonth ? [day] : [];
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b).map((day) => Date.UTC(year, month, day));
+};
+
+/**
+ * Get the period with the given index
+ * @param {Object} rule - Parsed rule
+ * @param {Date} dtstart - Series start (wall clock)
+ * @param {number} index - Period number, counting from the period of dtstart
+ * @returns {Object} { start, days } - local midnight of the period's first day and of
+ *   each candidate day (wall clock), in milliseconds
+ */
+const getPeriod = (rule, dtstart, index) => {
+  const startDay = Date.UTC(dtstart.getUTCFullYear(), dtstart.getUTCMonth(), dtstart.getUTCDate());
+
+  if (rule.freq === 'DAILY') {
+    const day = startDay + index * rule.interval * DAY_MS;
+    const date = new Date(day);
+    const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    const weekdayMatches = rule.byDay.length === 0
+      || rule.byDay.some(({ weekday }) => weekday === date.getUTCDay());
+    const monthDayMatches = rule.byMonthDay.length === 0
+      || rule.byMonthDay.some((monthDay) => (monthDay > 0 ? monthDay : daysInMonth + monthDay + 1) === date.getUTCDate());
+
+    return { start: day, days: weekdayMatches && monthDayMatches ? [day] : [] };
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekStart = startDay - ((new Date(startDay).getUTCDay() - rule.wkst + 7) % 7) * DAY_MS
+      + index * rule.interval * 7 * DAY_MS;
+    const weekdays = rule.byDay.length > 0
+      ? rule.byDay.map(({ weekday }) => weekday)
+      : [dtstart.getUTCDay()];
+
+    return {
+      start: weekStart,
+      days: [...new Set(weekdays)]
+        .map((weekday) => weekStart + ((weekday - rule.wkst + 7) % 7) * DAY_MS)
+        .sort((x, y) => x - y),
+    };
+  }
+
+  const monthIndex = dtstart.getUTCMonth() + index * rule.interval;
+  const year = dtstart.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = monthIndex % 12;
+
+  return { start: Date.UTC(year, month, 1), days: getMonthlyDays(rule, year, month, dtstart) };
+};
+
+/**
+ * Expand a recurrence rule into occurrences
+ * As in iCalendar, the series starts at dtstart (which counts as an occurrence only
+ * when it matches the rule) and COUNT counts from there, whatever the range asked for
+ * @param {string|Object} rrule - RRULE string or parsed rule
+ * @param {Date} dtstart - Series start
+ * @param {Object} options - { from, to, limit, timeZone }
+ * @returns {Array<Date>} Occurrences between from and to (inclusive), in order
+ */
+const expandRRule = (rrule, dtstart, { from = dtstart, to, limit = 1000, timeZone = DEFAULT_TIME_ZONE } = {}) => {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  const start = new Date(dtstart);
+  const localStart = new Date(start.getTime() + getTimeZoneOffset(start, timeZone) * 60000);
+  const until = rule.until && rule.untilIsDate ? getZonedInstant(rule.until.getTime(), timeZone) : rule.until;
+  const rangeStart = new Date(from);
+  const rangeEnd = until && (!to || until < new Date(to)) ? until : new Date(to);
+  const occurrences = [];
+  let counted = 0;
+
+  if (isNaN(rangeEnd.getTime())) {
+    throw new Error('An end date or a rule with UNTIL is needed to expand a recurrence');
+  }
+
+  for (let index = 0; index < MAX_PERIODS; index++) {
+    const period = getPeriod(rule, localStart, index);
+
+    // Periods are walked in date order, so nothing later can fall in the range
+    if (getZonedInstant(period.start, timeZone) > rangeEnd) break;
+
+    for (const day of period.days) {
+      const occurrence = getZonedInstant(atStartTime(day, localStart), timeZone);
+
+      if (occurrence < start) continue;
+      if (occurrence > rangeEnd) return occurrences;
+
+      counted += 1;
+      if (rule.count !== null && counted > rule.count) {
+        return occurrences;
+      }
+
+      if (occurrence >= rangeStart) {
+        occurrences.push(occurrence);
+        if (occurrences.length >= limit) {
+          return occurrences;
+        }
+      }
+    }
+  }
+
+  return occurrences;
+};
+
+/**
+ * Replace the COUNT of an RRULE string
+ * @param {string} value - Rule with a COUNT part
+ * @param {number} count - New count
+ * @returns {string} Updated rule
+ */
+const setRRuleCount = (value, count) => value.replace(/COUNT=\d+/i, `COUNT=${count}`);
+
+module.exports = {
+  parseRRule,
+  getRRuleError,
+  expandRRule,
+  setRRuleCount,
+};
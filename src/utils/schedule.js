@@ -0,0 +1,99 @@
+/**
+ * Schedule Utilities
+ * Turns a user's workouts into a day-by-day calendar with planned versus done totals
+ * Recurring schedule occurrences that have no workout yet are shown as planned entries
+ * Days are calendar days in the user's time zone (UTC by default)
+ */
+
+const Workout = require('../models/workout');
+const { DEFAULT_TIME_ZONE, getZonedDateKey } = require('./timezone');
+
+// Days covered by a schedule when no end date is given
+const DEFAULT_SCHEDULE_DAYS = 28;
+
+// Longest range a single schedule request may cover
+const MAX_SCHEDULE_DAYS = 366;
+
+/**
+ * Summarize the calendar entry of one workout
+ * @param {Object} workout - Workout document
+ * @returns {Object} Fields shown in the calendar
+ */
+const toCalendarEntry = (workout) => ({
+  id: workout._id,
+  title: workout.title,
+  exerciseType: workout.exerciseType,
+  status: workout.status,
+  workoutDate: workout.workoutDate,
+  duration: workout.duration,
+  caloriesBurned: workout.caloriesBurned,
+  intensity: workout.intensity,
+  templateId: workout.templateId,
+  scheduleId: workout.scheduleId,
+});
+
+/**
+ * List the occurrences of recurring schedules that have no workout yet
+ * @param {Array<Object>} schedules - WorkoutSchedule documents
+ * @param {Array<Object>} workouts - Workouts already created for occurrences in the range
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<Object>} Planned, unsaved workout entries (id is null)
+ */
+const expandSchedules = (schedules, workouts, from, to) => {
+  const materialized = new Set(workouts
+    .filter((workout) => workout.scheduleId && workout.occurrenceDate)
+    .map((workout) => `${workout.scheduleId}:${new Date(workout.occurrenceDate).getTime()}`));
+
+  return schedules.flatMap((schedule) => schedule.getOccurrences(from, to)
+    .filter((occurrence) => !materialized.has(`${schedule._id}:${occurrence.getTime()}`))
+    .map((occurrence) => ({ ...schedule.toWorkoutData(occurrence), _id: null })));
+};
+
+/**
+ * Build a calendar from workouts
+ * Only workouts dated up to `now` count towards the completion rate; later ones
+ * are reported as upcoming
+ * @param {Array<Object>} workouts - Workout documents in the requested range
+ * @param {Date} now - Current time
+ * @param {string} [timeZone] - IANA time zone the days are grouped in
+ * @returns {Object} { summary, days } with days in date order
+ */
+const buildCalendar = (workouts, now = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+  const days = new Map();
+  const statuses = Workout.schema.path('status').enumValues;
+  const total = Object.fromEntries(statuses.map((status) => [status, 0]));
+  const due = Object.fromEntries(statuses.map((status) => [status, 0]));
+
+  const ordered = [...workouts].sort((a, b) => new Date(a.workoutDate) - new Date(b.workoutDate));
+
+  ordered.forEach((workout) => {
+    const date = getZonedDateKey(new Date(workout.workoutDate), timeZone);
+
+    if (!days.has(date)) {
+      days.set(date, { date, workouts: [] });
+    }
+    days.get(date).workouts.push(toCalendarEntry(workout));
+
+    total[workout.status] += 1;
+    if (new Date(workout.workoutDate) <= now) {
+      due[workout.status] += 1;
+    }
+  });
+
+  return {
+    summary: {
+      ...total,
+      upcoming: ordered.length - statuses.reduce((count, status) => count + due[status], 0),
+      completionRate: Workout.getCompletionRate(due),
+    },
+    days: [...days.values()],
+  };
+};
+
+module.exports = {
+  DEFAULT_SCHEDULE_DAYS,
+  MAX_SCHEDULE_DAYS,
+  expandSchedules,
+  buildCalendar,
+};
@@ -0,0 +1,188 @@
+/**
+ * Time Zone Utilities
+ * Converts instants to wall-clock time in IANA time zones (e.g. 'Europe/Berlin')
+ * using the Intl API, so no time zone database has to be shipped with the app
+ */
+
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Intl formatters are costly to build - keep one per zone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check whether a string is an IANA time zone known to the runtime
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean} Whether the zone can be used
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { year, month, day, hour, minute, second } (month starts at 1)
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * Get the UTC offset of a time zone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes east of UTC (e.g. 120 for CEST)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+
+  return Math.round((wallClock - instant) / 60000);
+};
+
+/**
+ * List the UTC offset changes (daylight saving time) of a time zone in a range
+ * Offsets are sampled daily, then each change is narrowed down to the minute
+ * @param {string} timeZone - IANA time zone
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<Object>} Transitions as { at, offsetFrom, offsetTo }, in date order
+ */
+const getTimeZoneTransitions = (timeZone, from, to) => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const start = Math.floor(from.getTime() / 60000) * 60000;
+  const transitions = [];
+  let previous = getTimeZoneOffset(new Date(start), timeZone);
+
+  for (let time = start + DAY_MS; time - DAY_MS < to.getTime(); time += DAY_MS) {
+    const offset = getTimeZoneOffset(new Date(time), timeZone);
+
+    if (offset !== previous) {
+      // The change happened after low and at or before high
+      let low = time - DAY_MS;
+      let high = time;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (getTimeZoneOffset(new Date(middle), timeZone) === previous) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+
+      transitions.push({ at: new Date(high), offsetFrom: previous, offsetTo: offset });
+      previous = offset;
+    }
+  }
+
+  return transitions;
+};
+
+/**
+ * Get the local calendar date of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const getZonedDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the instant a wall-clock time happens in a time zone
+ * The offsets a day before and after are the only candidates around a daylight
+ * saving change. Times repeated by a change get the earlier instant; times
+ * skipped by it (including midnights in zones that change at 00:00) move
+ * forward by the gap, east or west of UTC
+ * @param {number} wallClock - Local date and time written as a UTC timestamp, in milliseconds
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} The instant
+ */
+const getZonedInstant = (wallClock, timeZone) => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const offsetBefore = getTimeZoneOffset(new Date(wallClock - DAY_MS), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallClock + DAY_MS), timeZone);
+
+  const matching = [offsetBefore, offsetAfter]
+    .map((offset) => wallClock - offset * 60000)
+    .filter((instant) => instant + getTimeZoneOffset(new Date(instant), timeZone) * 60000 === wallClock);
+
+  if (matching.length > 0) {
+    return new Date(Math.min(...matching));
+  }
+
+  // Skipped time: read it with the offset from before the change
+  return new Date(wallClock - offsetBefore * 60000);
+};
+
+/**
+ * Get the instant a local calendar day starts in a time zone
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Local midnight as an instant
+ */
+const getZonedDayStart = (dateKey, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return getZonedInstant(Date.UTC(year, month - 1, day), timeZone);
+};
+
+/**
+ * Move a YYYY-MM-DD calendar date by a number of days
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date as YYYY-MM-DD
+ */
+const addDaysToDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  getTimeZoneTransitions,
+  getZonedDateKey,
+  getZonedInstant,
+  getZonedDayStart,
+  addDaysToDateKey,
+};
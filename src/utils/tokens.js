@@ -0,0 +1,49 @@
+/**
+ * Token Utilities
+ * Generates random secrets and hashes them for storage
+ * Only hashes are persisted - the plain token is shown to the user once
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a random URL-safe token
+ * @param {string} prefix - Prefix identifying the token type (e.g. 'fit_pat')
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Token in the form `<prefix>_<random>`
+ */
+const generateToken = (prefix, bytes = 32) => {
+  const secret = crypto.randomBytes(bytes).toString('base64url');
+  return prefix ? `${prefix}_${secret}` : secret;
+};
+
+/**
+ * Hash a token for storage and lookup
+ * SHA-256 is sufficient because tokens are long random values, not passwords
+ * @param {string} token - Plain token
+ * @returns {string} Hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token or null if none was sent
+ */
+const getBearerToken = (req) => {
+  const header = req.get('Authorization');
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+
+  return token.trim();
+};
+
+module.exports = {
+  generateToken,
+  hashToken,
+  getBearerToken,
+};
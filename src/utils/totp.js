@@ -0,0 +1,163 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication
+ * Compatible with Google Authenticator, 1Password, Authy and similar apps
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Defaults used by authenticator apps
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const CODE_PATTERN = new RegExp(`^\\d{${TOTP_DIGITS}}$`);
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @param {number} bytes - Secret length in bytes (20 = 160 bits, as recommended by RFC 4226)
+ * @returns {string} Base32 secret
+ */
+const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * Get the time step for a moment in time
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {number} Time step counter
+ */
+const getStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Generate the code for a time step (HOTP with HMAC-SHA1)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step, digits = TOTP_DIGITS) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Check a code, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Verification options
+ * @param {number} options.window - Steps accepted either side of now
+ * @param {number} options.afterStep - Reject steps at or before this one (replay protection)
+ * @param {number} options.timestamp - Time to verify at (defaults to now)
+ * @returns {number|null} The matching step, or null if the code is wrong
+ */
+const verifyCode = (secret, code, { window = 1, afterStep = -1, timestamp = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!CODE_PATTERN.test(normalized)) return null;
+
+  const current = getStep(timestamp);
+
+  for (let step = current - window; step <= current + window; step++) {
+    if (step <= afterStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps scan as a QR code
+ * @param {Object} options - URI options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Label shown in the app (e.g. the user's email)
+ * @param {string} options.issuer - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+};
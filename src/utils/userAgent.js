@@ -0,0 +1,48 @@
+/**
+ * User Agent Utilities
+ * Turns a User-Agent header into a short device description for session lists
+ * Deliberately simple - it only needs to help users recognise their own devices
+ */
+
+// Checked in order - more specific names first (Edge and Opera also claim to be Chrome)
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+/**
+ * Describe the device behind a User-Agent header
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string} Description such as "Chrome on macOS", or "Unknown device"
+ */
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) {
+    // API clients such as curl/8.4.0 or okhttp/4.12
+    return userAgent.split(' ')[0].substring(0, 50);
+  }
+
+  if (!os) return browser[0];
+  if (!browser) return os[0];
+
+  return `${browser[0]} on ${os[0]}`;
+};
+
+module.exports = {
+  describeUserAgent,
+};
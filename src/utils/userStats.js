@@ -0,0 +1,96 @@
+/**
+ * User Statistics Utilities
+ * Builds the profile and workout statistics served by GET /api/v1/users/:id/stats
+ * and included in the readiness report
+ */
+
+const Workout = require('../models/workout');
+
+/**
+ * Build a user's statistics
+ * @param {Object} user - User document
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { user, workouts, calories, time, recent, achievements }
+ */
+const buildUserStats = async (user, now = new Date()) => {
+  const id = user._id;
+
+  // Get workout statistics
+  const workoutStats = await Workout.getTotalCaloriesByUser(id);
+
+  // Calculate additional metrics
+  const thirtyDaysAgo = new Date(now.getTime() - (30 * 24 * 60 * 60 * 1000));
+  const sevenDaysAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
+
+  // Get recent workout data
+  const [recentWorkouts, weeklyWorkouts, monthlyWorkouts] = await Promise.all([
+    Workout.find({ userId: id }).sort({ workoutDate: -1 }).limit(5).lean(),
+    Workout.countDocuments({
+      userId: id,
+      workoutDate: { $gte: sevenDaysAgo },
+      completed: true,
+    }),
+    Workout.countDocuments({
+      userId: id,
+      workoutDate: { $gte: thirtyDaysAgo },
+      completed: true,
+    }),
+  ]);
+
+  // Calculate workout frequency
+  const avgWorkoutsPerWeek = monthlyWorkouts / 4; // Approximate
+
+  // Build comprehensive stats object
+  return {
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      profileCompletion: user.profileCompletion,
+      bmi: user.bmi,
+      bmiCategory: user.bmiCategory,
+      bmr: user.bmr, // { bmr, formula, variant } - the formula actually used
+      dailyCalorieNeeds: user.dailyCalorieNeeds,
+      fitnessGoal: user.fitnessGoal,
+      activityLevel: user.activityLevel,
+    },
+    workouts: {
+      total: workoutStats.totalWorkouts,
+      thisWeek: weeklyWorkouts,
+      thisMonth: monthlyWorkouts,
+      avgPerWeek: Math.round(avgWorkoutsPerWeek * 10) / 10,
+    },
+    calories: {
+      totalBurned: workoutStats.totalCalories,
+      avgPerWorkout: workoutStats.totalWorkouts > 0
+        ? Math.round(workoutStats.totalCalories / workoutStats.totalWorkouts)
+        : 0,
+    },
+    time: {
+      totalMinutes: workoutStats.totalDuration,
+      totalHours: Math.round((workoutStats.totalDuration / 60) * 10) / 10,
+      avgPerWorkout: workoutStats.totalWorkouts > 0
+        ? Math.round(workoutStats.totalDuration / workoutStats.totalWorkouts)
+        : 0,
+    },
+    recent: {
+      lastWorkouts: recentWorkouts.map(workout => ({
+        id: workout._id,
+        title: workout.title,
+        exerciseType: workout.exerciseType,
+        duration: workout.duration,
+        caloriesBurned: workout.caloriesBurned,
+        workoutDate: workout.workoutDate,
+      })),
+    },
+    achievements: {
+      consistency: weeklyWorkouts >= 3 ? 'High' : weeklyWorkouts >= 1 ? 'Moderate' : 'Low',
+      totalCaloriesMilestone: Math.floor(workoutStats.totalCalories / 1000) * 1000,
+      totalWorkoutsMilestone: Math.floor(workoutStats.totalWorkouts / 10) * 10,
+    },
+  };
+};
+
+module.exports = {
+  buildUserStats,
+};
@@ -0,0 +1,148 @@
+/**
+ * Personal Access Token Tests
+ * Unit tests for token helpers and bearer token authentication
+ */
+
+const mongoose = require('mongoose');
+const AccessToken = require('../src/models/AccessToken');
+const User = require('../src/models/User');
+const { generateToken, hashToken, getBearerToken } = require('../src/utils/tokens');
+const { requireAuth, requireScope, requireSession } = require('../src/middleware/auth');
+
+// Minimal Express request/response doubles
+const createRequest = (headers = {}) => ({
+  headers,
+  path: '/api/v1/workouts',
+  method: 'POST',
+  get: (name) => headers[name.toLowerCase()],
+  isAuthenticated: () => false,
+});
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Personal Access Tokens', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Token helpers', () => {
+    it('should generate prefixed random tokens', () => {
+      const first = generateToken('fit_pat');
+      const second = generateToken('fit_pat');
+
+      expect(first.startsWith('fit_pat_')).toBe(true);
+      expect(first).not.toBe(second);
+    });
+
+    it('should hash tokens deterministically without exposing them', () => {
+      const token = generateToken('fit_pat');
+
+      expect(hashToken(token)).toBe(hashToken(token));
+      expect(hashToken(token)).not.toContain(token);
+      expect(hashToken(token)).toHaveLength(64);
+    });
+
+    it('should extract bearer tokens from the Authorization header', () => {
+      expect(getBearerToken(createRequest({ authorization: 'Bearer abc123' }))).toBe('abc123');
+      expect(getBearerToken(createRequest({ authorization: 'Basic abc123' }))).toBeNull();
+      expect(getBearerToken(createRequest())).toBeNull();
+    });
+  });
+
+  describe('requireAuth with a bearer token', () => {
+    const user = new User({
+      name: 'Script User',
+      email: 'script@example.com',
+    });
+
+    it('should authenticate a valid token', async () => {
+      const accessToken = new AccessToken({
+        userId: user._id,
+        name: 'CLI',
+        tokenHash: hashToken('fit_pat_valid'),
+        tokenPrefix: 'fit_pat_valid',
+        scopes: ['workouts:write'],
+        expiresAt: new Date(Date.now() + 60000),
+      });
+
+      jest.spyOn(AccessToken, 'findActiveByToken').mockResolvedValue(accessToken);
+      jest.spyOn(AccessToken, 'updateOne').mockResolvedValue({});
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      const req = createRequest({ authorization: 'Bearer fit_pat_valid' });
+      const res = createResponse();
+      const next = jest.fn();
+
+      await requireAuth(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toBe(user);
+      expect(req.authMethod).toBe('token');
+      expect(req.authToken).toBe(accessToken);
+    });
+
+    it('should reject an unknown, expired or revoked token', async () => {
+      jest.spyOn(AccessToken, 'findActiveByToken').mockResolvedValue(null);
+
+      const req = createRequest({ authorization: 'Bearer fit_pat_invalid' });
+      const res = createResponse();
+      const next = jest.fn();
+
+      await requireAuth(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].errors[0].type).toBe('invalid_token');
+    });
+  });
+
+  describe('requireScope and requireSession', () => {
+    const tokenRequest = {
+      user: { _id: new mongoose.Types.ObjectId(), roles: ['athlete'] },
+      authMethod: 'token',
+      authToken: { scopes: ['profile:write'] },
+    };
+
+    it('should let session requests through regardless of scope', () => {
+      const next = jest.fn();
+
+      requireScope('workouts:write')({ authMethod: 'session' }, createResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject tokens missing the scope', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      requireScope('workouts:write')(tokenRequest, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].errors[0].type).toBe('insufficient_scope');
+    });
+
+    it('should accept tokens holding the scope', () => {
+      const next = jest.fn();
+
+      requireScope('profile:write')(tokenRequest, createResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should not allow token requests on session-only routes', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      requireSession(tokenRequest, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
@@ -8,6 +8,19 @@ const mongoose = require('mongoose');
 const app = require('../src/app');
 const User = require('../src/models/User');
 const Workout = require('../src/models/workout');
+const AuditEvent = require('../src/models/AuditEvent');
+const Exercise = require('../src/models/Exercise');
+const PersonalRecord = require('../src/models/PersonalRecord');
+const WorkoutTemplate = require('../src/models/WorkoutTemplate');
+const WorkoutSchedule = require('../src/models/WorkoutSchedule');
+const Program = require('../src/models/Program');
+const ProgramEnrollment = require('../src/models/ProgramEnrollment');
+const BodyMeasurement = require('../src/models/BodyMeasurement');
+const Goal = require('../src/models/Goal');
+const Food = require('../src/models/Food');
+const FoodLogEntry = require('../src/models/FoodLogEntry');
+const WellnessEntry = require('../src/models/WellnessEntry');
+const { processDueErasures } = require('../src/utils/erasure');
 
 // Test database connection
 const MONGODB_URI = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/fitness-tracker-test';
@@ -34,6 +47,15 @@ describe('API Authentication Tests', () => {
   afterAll(async () => {
     await User.deleteMany({});
     await Workout.deleteMany({});
+    await AuditEvent.deleteMany({});
+    await Exercise.deleteMany({});
+    await PersonalRecord.deleteMany({});
+    await WorkoutTemplate.deleteMany({});
+    await BodyMeasurement.deleteMany({});
+    await Goal.deleteMany({});
+    await Food.deleteMany({});
+    await FoodLogEntry.deleteMany({});
+    await WellnessEntry.deleteMany({});
     await mongoose.connection.close();
     if (server) {
       server.close();
@@ -78,6 +100,12 @@ describe('API Authentication Tests', () => {
     agent.app.request.isAuthenticated = () => true;
   };
 
+  // Helper function to remove a simulated session
+  const clearAuth = (agent) => {
+    delete agent.app.request.user;
+    delete agent.app.request.isAuthenticated;
+  };
+
   describe('Health and Welcome Routes', () => {
     describe('GET /health', () => {
       it('should return 200 for health check (no auth required)', async () => {
@@ -107,9 +135,36 @@ describe('API Authentication Tests', () => {
   });
 
   describe('User Routes - GET /api/v1/users', () => {
-    describe('Authentication not required', () => {
-      it('should return 200 when getting all users without authentication', async () => {
+    describe('Listing requires the users:list permission', () => {
+      afterEach(() => {
+        clearAuth(authenticatedAgent);
+      });
+
+      it('should return 401 when getting all users without authentication', async () => {
         const response = await request(app)
+          .get('/api/v1/users')
+          .expect(401);
+
+        expect(response.body.success).toBe(false);
+      });
+
+      it('should return 403 when an athlete lists all users', async () => {
+        simulateAuth(authenticatedAgent, testUser);
+
+        const response = await authenticatedAgent
+          .get('/api/v1/users')
+          .expect(403);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.errors[0].type).toBe('forbidden');
+      });
+
+      it('should return 200 when a coach lists all users', async () => {
+        testUser.roles = ['athlete', 'coach'];
+        await testUser.save();
+        simulateAuth(authenticatedAgent, testUser);
+
+        const response = await authenticatedAgent
           .get('/api/v1/users')
           .expect(200);
 
@@ -120,7 +175,9 @@ describe('API Authentication Tests', () => {
         expect(response.body).toHaveProperty('meta');
         expect(response.body.meta.pagination).toBeDefined();
       });
+    });
 
+    describe('Authentication not required', () => {
       it('should return 200 when getting user by ID without authentication', async () => {
         const response = await request(app)
           .get(`/api/v1/users/${testUser._id}`)
@@ -144,6 +201,16 @@ describe('API Authentication Tests', () => {
         expect(response.body.data.user.id).toBe(testUser._id.toString());
       });
 
+      it('should report the BMR formula used for daily calorie needs', async () => {
+        await User.findByIdAndUpdate(testUser._id, { sex: 'female', bodyFatPercentage: 25 });
+
+        const response = await request(app)
+          .get(`/api/v1/users/${testUser._id}/stats`)
+          .expect(200);
+
+        expect(response.body.data.user.bmr).toMatchObject({ formula: 'katch_mcardle', variant: null });
+      });
+
       it('should return 404 for non-existent user', async () => {
         const nonExistentId = new mongoose.Types.ObjectId();
         const response = await request(app)
@@ -156,7 +223,16 @@ describe('API Authentication Tests', () => {
     });
 
     describe('Pagination and Filtering', () => {
+      afterEach(() => {
+        clearAuth(authenticatedAgent);
+      });
+
       beforeEach(async () => {
+        // Listing users requires an admin or coach
+        testUser.roles = ['admin'];
+        await testUser.save();
+        simulateAuth(authenticatedAgent, testUser);
+
         // Create additional test users
         await User.create([
           {
@@ -175,7 +251,7 @@ describe('API Authentication Tests', () => {
       });
 
       it('should return paginated results', async () => {
-        const response = await request(app)
+        const response = await authenticatedAgent
           .get('/api/v1/users?page=1&limit=2')
           .expect(200);
 
@@ -187,7 +263,7 @@ describe('API Authentication Tests', () => {
       });
 
       it('should filter by fitness goal', async () => {
-        const response = await request(app)
+        const response = await authenticatedAgent
           .get('/api/v1/users?fitnessGoal=weight_loss')
           .expect(200);
 
@@ -197,7 +273,7 @@ describe('API Authentication Tests', () => {
       });
 
       it('should search by name', async () => {
-        const response = await request(app)
+        const response = await authenticatedAgent
           .get('/api/v1/users?search=User 2')
           .expect(200);
 
@@ -371,6 +447,1054 @@ describe('API Authentication Tests', () => {
         expect([200, 401]).toContain(response.status);
       });
     });
+
+    describe('GET/DELETE /auth/identities', () => {
+      afterEach(() => {
+        clearAuth(authenticatedAgent);
+      });
+
+      it('should return 401 when not authenticated', async () => {
+        await request(app)
+          .get('/auth/identities')
+          .expect(401);
+      });
+
+      it('should list the legacy GitHub login as a linked identity', async () => {
+        simulateAuth(authenticatedAgent, testUser);
+
+        const response = await authenticatedAgent
+          .get('/auth/identities')
+          .expect(200);
+
+        expect(response.body.data.count).toBe(1);
+        expect(response.body.data.identities[0].provider).toBe('github');
+        expect(response.body.data.identities[0].providerId).toBe('test-github-id');
+        expect(response.body.data.hasPassword).toBe(false);
+
+        const migrated = await User.findById(testUser._id);
+        expect(migrated.githubId).toBeUndefined();
+      });
+
+      it('should not unlink the only login method', async () => {
+        simulateAuth(authenticatedAgent, testUser);
+
+        const listed = await authenticatedAgent.get('/auth/identities').expect(200);
+        const identityId = listed.body.data.identities[0].id;
+
+        await authenticatedAgent
+          .delete(`/auth/identities/${identityId}`)
+          .expect(409);
+      });
+
+      it('should unlink an identity when another login method remains', async () => {
+        testUser.identities.push({ provider: 'gitlab', providerId: 'gitlab-123' });
+        await testUser.save();
+        simulateAuth(authenticatedAgent, testUser);
+
+        const listed = await authenticatedAgent.get('/auth/identities').expect(200);
+        expect(listed.body.data.count).toBe(2);
+
+        const gitlab = listed.body.data.identities.find((identity) => identity.provider === 'gitlab');
+
+        const response = await authenticatedAgent
+          .delete(`/auth/identities/${gitlab.id}`)
+          .expect(200);
+
+        expect(response.body.data.count).toBe(1);
+        expect(response.body.data.identities[0].provider).toBe('github');
+      });
+
+      it('should return 404 for an unknown identity', async () => {
+        simulateAuth(authenticatedAgent, testUser);
+
+        await authenticatedAgent
+          .delete(`/auth/identities/${new mongoose.Types.ObjectId()}`)
+          .expect(404);
+      });
+    });
+  });
+
+  describe('Per-set Logging', () => {
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    it('should store logged sets and report volume and tonnage', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const response = await authenticatedAgent
+        .post('/api/v1/workouts')
+        .send({
+          title: 'Pyramid Bench',
+          exerciseType: 'strength',
+          duration: 40,
+          caloriesBurned: 220,
+          exercises: [{
+            name: 'Bench Press',
+            setDetails: [
+              { type: 'warm_up', reps: 10, weight: 40 },
+              { reps: 8, weight: 60, rpe: 7, restSeconds: 120 },
+              { reps: 6, weight: 70, rpe: 8.5, tempo: '3-1-X-0' },
+            ],
+          }],
+        })
+        .expect(201);
+
+      const [exercise] = response.body.data.exercises;
+      expect(exercise.sets).toBe(3);
+      expect(exercise.setDetails.map((set) => set.type)).toEqual(['warm_up', 'working', 'working']);
+      expect(exercise.volume).toBe(14);
+      expect(exercise.tonnage).toBe(900);
+      expect(response.body.data.totalTonnage).toBe(900);
+    });
+
+    it('should still read workouts logged with a sets/reps/weight summary', async () => {
+      testWorkout.exercises = [{ name: 'Squat', sets: 5, reps: 5, weight: 100 }];
+      await testWorkout.save();
+
+      const response = await request(app)
+        .get(`/api/v1/workouts/${testWorkout._id}`)
+        .expect(200);
+
+      expect(response.body.data.exercises[0].tonnage).toBe(2500);
+      expect(response.body.data.totalVolume).toBe(25);
+    });
+  });
+
+  describe('Planned Workouts', () => {
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    it('should schedule a future workout and show it in the calendar', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+      const created = await authenticatedAgent
+        .post('/api/v1/workouts')
+        .send({
+          title: 'Planned Long Run',
+          exerciseType: 'running',
+          duration: 90,
+          caloriesBurned: 900,
+          workoutDate: tomorrow.toISOString(),
+          status: 'planned',
+        })
+        .expect(201);
+
+      expect(created.body.data).toMatchObject({ status: 'planned', completed: false });
+
+      const response = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/schedule`)
+        .expect(200);
+
+      const titles = response.body.data.days.flatMap((day) => day.workouts.map((workout) => workout.title));
+      expect(titles).toContain('Planned Long Run');
+      expect(response.body.data.summary.upcoming).toBe(1);
+    });
+
+    it('should not log a completed workout in the future', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .post('/api/v1/workouts')
+        .send({
+          title: 'Time Travel',
+          exerciseType: 'running',
+          duration: 30,
+          caloriesBurned: 300,
+          workoutDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+        })
+        .expect(400);
+    });
+  });
+
+  describe('Recurring Schedules', () => {
+    beforeEach(async () => {
+      await WorkoutSchedule.deleteMany({});
+    });
+
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    it('should create planned workouts from a schedule once and skip exceptions', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const created = await authenticatedAgent
+        .post('/api/v1/schedules')
+        .send({
+          title: 'Strength Block',
+          exerciseType: 'strength',
+          duration: 60,
+          caloriesBurned: 400,
+          rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR',
+          startDate: '2030-03-04T07:00:00Z',
+        })
+        .expect(201);
+
+      const scheduleId = created.body.data._id;
+
+      await authenticatedAgent
+        .post(`/api/v1/schedules/${scheduleId}/exceptions`)
+        .send({ date: '2030-03-06', reason: 'Travelling' })
+        .expect(200);
+
+      const range = 'from=2030-03-04&to=2030-03-10T23:59:59Z';
+
+      const materialized = await authenticatedAgent
+        .post(`/api/v1/schedules/${scheduleId}/workouts?${range}`)
+        .expect(201);
+
+      expect(materialized.body.data.map((workout) => workout.workoutDate)).toEqual([
+        '2030-03-04T07:00:00.000Z',
+        '2030-03-08T07:00:00.000Z',
+      ]);
+
+      const repeated = await authenticatedAgent
+        .post(`/api/v1/schedules/${scheduleId}/workouts?${range}`)
+        .expect(200);
+
+      expect(repeated.body.data).toEqual([]);
+      expect(await Workout.countDocuments({ scheduleId })).toBe(2);
+    });
+
+    it('should keep earlier occurrences when editing this and following', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const created = await authenticatedAgent
+        .post('/api/v1/schedules')
+        .send({
+          title: 'Long Run',
+          exerciseType: 'running',
+          duration: 90,
+          caloriesBurned: 900,
+          rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=SU',
+          startDate: '2024-03-03T08:00:00Z',
+        })
+        .expect(201);
+
+      const updated = await authenticatedAgent
+        .put(`/api/v1/schedules/${created.body.data._id}?from=2024-04-01`)
+        .send({ duration: 120 })
+        .expect(200);
+
+      expect(updated.body.data.previous.duration).toBe(90);
+      expect(updated.body.data.schedule).toMatchObject({
+        duration: 120,
+        startDate: '2024-04-14T08:00:00.000Z',
+        previousScheduleId: created.body.data._id,
+      });
+
+      const calendar = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/schedule?from=2024-03-01&to=2024-04-30`)
+        .expect(200);
+
+      const durations = calendar.body.data.days.flatMap((day) => day.workouts.map((workout) => workout.duration));
+      expect(durations).toEqual([90, 90, 90, 120, 120]);
+    });
+  });
+
+  describe('Training Programs', () => {
+    beforeEach(async () => {
+      await Promise.all([
+        WorkoutTemplate.deleteMany({}),
+        Program.deleteMany({}),
+        ProgramEnrollment.deleteMany({}),
+      ]);
+    });
+
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    it('should plan a program on enrollment and report weekly adherence', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const template = await WorkoutTemplate.create({
+        userId: testUser._id,
+        title: 'Squat Day',
+        exerciseType: 'strength',
+        duration: 60,
+        caloriesBurned: 400,
+        exercises: [{ name: 'Squat', setDetails: [{ reps: 5, weight: 100 }] }],
+      });
+
+      const created = await authenticatedAgent
+        .post('/api/v1/programs')
+        .send({
+          title: 'Two Week Block',
+          weeks: [
+            { days: [{ day: 1, templateId: template._id }] },
+            { days: [{ day: 1, templateId: template._id }] },
+          ],
+          progression: { weightIncrement: 5 },
+        })
+        .expect(201);
+
+      const programId = created.body.data._id;
+      const startDate = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+
+      const enrolled = await authenticatedAgent
+        .post(`/api/v1/programs/${programId}/enrollments`)
+        .send({ startDate })
+        .expect(201);
+
+      const [first, second] = enrolled.body.data.workouts;
+      expect(second.exercises[0].setDetails[0].weight).toBe(105);
+
+      await authenticatedAgent
+        .put(`/api/v1/workouts/${first._id}`)
+        .send({ status: 'completed' })
+        .expect(200);
+
+      const progress = await request(app)
+        .get(`/api/v1/users/${testUser._id}/programs/${programId}/progress`)
+        .expect(200);
+
+      expect(progress.body.data.weeks.map((week) => week.adherence)).toEqual([100, 0]);
+      expect(progress.body.data.summary).toMatchObject({ completed: 1, missed: 1, adherence: 50 });
+
+      await authenticatedAgent
+        .delete(`/api/v1/programs/${programId}`)
+        .expect(409);
+    });
+  });
+
+  describe('Calorie Estimates', () => {
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    it('should estimate calories that are left out and re-estimate on changes', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const created = await authenticatedAgent
+        .post('/api/v1/workouts')
+        .send({
+          title: 'Lunch Walk',
+          exerciseType: 'walking',
+          duration: 60,
+          intensity: 'high',
+          workoutDate: '2024-05-02T12:00:00Z',
+        })
+        .expect(201);
+
+      // 4.3 MET x 70 kg x 1 h
+      expect(created.body.data).toMatchObject({ caloriesBurned: 301, caloriesSource: 'estimated' });
+
+      const longer = await authenticatedAgent
+        .put(`/api/v1/workouts/${created.body.data._id}`)
+        .send({ duration: 90 })
+        .expect(200);
+
+      expect(longer.body.data.caloriesBurned).toBe(452);
+
+      const entered = await authenticatedAgent
+        .put(`/api/v1/workouts/${created.body.data._id}`)
+        .send({ caloriesBurned: 420 })
+        .expect(200);
+
+      expect(entered.body.data).toMatchObject({ caloriesBurned: 420, caloriesSource: 'user' });
+    });
+  });
+
+  describe('Body Measurements', () => {
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    it('should keep the profile weight on the newest measurement', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const latest = await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/measurements`)
+        .send({ weight: 68.5, waist: 80, measuredAt: daysAgo(2) })
+        .expect(201);
+
+      expect(latest.body.data.profile.weight).toBe(68.5);
+
+      // A back-dated entry does not replace the newer weight
+      const older = await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/measurements`)
+        .send({ weight: 72, measuredAt: daysAgo(10) })
+        .expect(201);
+
+      expect(older.body.data.profile.weight).toBe(68.5);
+
+      const deleted = await authenticatedAgent
+        .delete(`/api/v1/users/${testUser._id}/measurements/${latest.body.data.measurement._id}`)
+        .expect(200);
+
+      expect(deleted.body.data.profile.weight).toBe(72);
+
+      const user = await User.findById(testUser._id);
+      expect(user.weight).toBe(72);
+    });
+
+    it('should chart the weight trend', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      for (const [days, weight] of [[9, 80], [6, 81], [3, 79]]) {
+        await authenticatedAgent
+          .post(`/api/v1/users/${testUser._id}/measurements`)
+          .send({ weight, measuredAt: daysAgo(days) })
+          .expect(201);
+      }
+
+      const response = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/measurements/trends?metric=weight&alpha=0.5`)
+        .expect(200);
+
+      expect(response.body.data.points.map((point) => point.ewma)).toEqual([80, 80.5, 79.75]);
+      expect(response.body.data.summary).toMatchObject({ count: 3, latest: 79, direction: 'down' });
+
+      const list = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/measurements`)
+        .expect(200);
+
+      expect(list.body.data.map((measurement) => measurement.weight)).toEqual([79, 81, 80]);
+    });
+  });
+
+  describe('Goals', () => {
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+
+    it('should follow a weight goal through new measurements', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const created = await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/goals`)
+        .send({ type: 'weight', target: 65, deadline: daysFromNow(70) })
+        .expect(201);
+
+      expect(created.body.data).toMatchObject({ startValue: 70, title: 'Target weight: 65 kg' });
+      expect(created.body.data.progress.caloriePlan).toMatchObject({ weeklyChange: -0.5, capped: false });
+
+      await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/measurements`)
+        .send({ weight: 68 })
+        .expect(201);
+
+      const response = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/goals/${created.body.data._id}`)
+        .expect(200);
+
+      expect(response.body.data.progress).toMatchObject({ currentValue: 68, progress: 40, remaining: 3, status: 'on_track' });
+    });
+
+    it('should add up the distance of completed workouts', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .post('/api/v1/workouts')
+        .send({ title: 'Morning Run', exerciseType: 'running', duration: 30, distance: 5.5, workoutDate: daysFromNow(-1) })
+        .expect(201);
+
+      const created = await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/goals`)
+        .send({ type: 'distance', target: 50, exerciseType: 'running', startDate: daysFromNow(-7) })
+        .expect(201);
+
+      expect(created.body.data.progress).toMatchObject({ currentValue: 5.5, progress: 11, remaining: 44.5 });
+
+      const list = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/goals?type=distance`)
+        .expect(200);
+
+      expect(list.body.data).toHaveLength(1);
+    });
+  });
+
+  describe('Nutrition', () => {
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    const today = () => new Date().toISOString().slice(0, 10);
+
+    it('should log foods from the food database and total the day', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const food = await authenticatedAgent
+        .post('/api/v1/foods')
+        .send({ name: 'Overnight Oats', servingSize: 1, servingUnit: 'serving', calories: 350, protein: 15, carbs: 50, fat: 9 })
+        .expect(201);
+
+      await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/food-log`)
+        .send({ foodId: food.body.data._id, servings: 2, meal: 'breakfast' })
+        .expect(201);
+
+      await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/food-log`)
+        .send({ foodName: 'Burrito', calories: 800, protein: 35, meal: 'lunch' })
+        .expect(201);
+
+      const response = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/nutrition?from=${today()}&to=${today()}`)
+        .expect(200);
+
+      expect(response.body.data.days[0]).toMatchObject({
+        date: today(),
+        entries: 2,
+        calories: 1500,
+        protein: 65,
+        meals: { breakfast: 700, lunch: 800 },
+      });
+    });
+
+    it('should net the intake against daily needs and completed workouts', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/food-log`)
+        .send({ foodName: 'Pasta Bake', calories: 2000, meal: 'dinner' })
+        .expect(201);
+
+      await authenticatedAgent
+        .post('/api/v1/workouts')
+        .send({ title: 'Evening Ride', exerciseType: 'cycling', duration: 60, caloriesBurned: 450, workoutDate: new Date().toISOString() })
+        .expect(201);
+
+      const response = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/energy-balance?from=${today()}&to=${today()}`)
+        .expect(200);
+
+      const { dailyCalorieNeeds, days } = response.body.data;
+      expect(days[0]).toMatchObject({ intake: 2000, caloriesBurned: 450, net: 2000 - dailyCalorieNeeds - 450 });
+    });
+  });
+
+  describe('Wellness', () => {
+    beforeEach(async () => {
+      await WellnessEntry.deleteMany({});
+    });
+
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    const today = () => new Date().toISOString().slice(0, 10);
+
+    it('should keep one entry per day and update it in place', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .put(`/api/v1/users/${testUser._id}/wellness/${today()}`)
+        .send({ sleepHours: 7, sleepQuality: 3 })
+        .expect(201);
+
+      await authenticatedAgent
+        .put(`/api/v1/users/${testUser._id}/wellness/${today()}`)
+        .send({ sleepQuality: 4, waterIntake: 2450 })
+        .expect(200);
+
+      const response = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/wellness`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({ date: today(), sleepHours: 7, sleepQuality: 4, waterIntake: 2450 });
+    });
+
+    it('should score readiness alongside the user statistics', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .put(`/api/v1/users/${testUser._id}/wellness/${today()}`)
+        .send({ sleepHours: 8, sleepQuality: 5, soreness: 1, mood: 5 })
+        .expect(201);
+
+      const response = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/readiness`)
+        .expect(200);
+
+      expect(response.body.data.workouts).toHaveProperty('total');
+      expect(response.body.data.readiness).toMatchObject({ date: today(), score: 100, level: 'high' });
+    });
+  });
+
+  describe('Calendar Feed', () => {
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    it('should serve workouts in the user time zone to token holders', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .put(`/api/v1/users/${testUser._id}`)
+        .send({ timezone: 'America/New_York' })
+        .expect(200);
+
+      const created = await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/calendar-token`)
+        .expect(201);
+
+      const { token } = created.body.data;
+
+      const workout = await authenticatedAgent
+        .post('/api/v1/workouts')
+        .send({
+          title: 'Hill Repeats',
+          exerciseType: 'running',
+          duration: 40,
+          caloriesBurned: 450,
+          notes: 'Eight hills',
+          workoutDate: '2024-06-03T22:00:00Z',
+        })
+        .expect(201);
+
+      const feed = await request(app)
+        .get(`/api/v1/users/${testUser._id}/calendar.ics`)
+        .query({ token })
+        .expect(200);
+
+      expect(feed.text).toContain('SUMMARY:Hill Repeats');
+      expect(feed.text).toContain('DTSTART;TZID=America/New_York:20240603T180000');
+      expect(feed.text).toContain('DURATION:PT40M');
+
+      // The feed follows changes to the workout
+      await authenticatedAgent
+        .put(`/api/v1/workouts/${workout.body.data._id}`)
+        .send({ title: 'Hill Sprints' })
+        .expect(200);
+
+      const updated = await request(app)
+        .get(`/api/v1/users/${testUser._id}/calendar.ics`)
+        .query({ token })
+        .expect(200);
+
+      expect(updated.text).toContain('SUMMARY:Hill Sprints');
+
+      await authenticatedAgent
+        .delete(`/api/v1/users/${testUser._id}/calendar-token`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/users/${testUser._id}/calendar.ics`)
+        .query({ token })
+        .expect(401);
+    });
+  });
+
+  describe('Workout Templates', () => {
+    beforeEach(async () => {
+      await WorkoutTemplate.deleteMany({});
+    });
+
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    it('should create a template and log a workout from it', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const created = await authenticatedAgent
+        .post('/api/v1/templates')
+        .send({
+          title: 'Leg Day',
+          exerciseType: 'strength',
+          duration: 50,
+          caloriesBurned: 350,
+          exercises: [{ name: 'Squat', setDetails: [{ reps: 5, weight: 100 }, { reps: 5, weight: 100 }] }],
+        })
+        .expect(201);
+
+      const templateId = created.body.data._id;
+      expect(created.body.data.userId).toBe(testUser._id.toString());
+
+      const listed = await authenticatedAgent
+        .get('/api/v1/templates')
+        .expect(200);
+
+      expect(listed.body.data.map((template) => template.title)).toEqual(['Leg Day']);
+
+      const logged = await authenticatedAgent
+        .post(`/api/v1/workouts/from-template/${templateId}`)
+        .send({
+          workoutDate: '2024-02-01T18:00:00Z',
+          exercises: [{ name: 'Squat', setDetails: [{ reps: 5, weight: 105 }, { reps: 4, weight: 105 }] }],
+        })
+        .expect(201);
+
+      expect(logged.body.data).toMatchObject({
+        title: 'Leg Day',
+        duration: 50,
+        templateId,
+        totalVolume: 9,
+      });
+      expect(new Date(logged.body.data.workoutDate).toISOString()).toBe('2024-02-01T18:00:00.000Z');
+    });
+
+    it('should keep templates private to their owner', async () => {
+      const template = await WorkoutTemplate.create({
+        userId: new mongoose.Types.ObjectId(),
+        title: 'Private Routine',
+        exerciseType: 'yoga',
+      });
+
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .get(`/api/v1/templates/${template._id}`)
+        .expect(403);
+
+      await authenticatedAgent
+        .delete(`/api/v1/templates/${template._id}`)
+        .expect(403);
+    });
+  });
+
+  describe('Personal Records', () => {
+    beforeEach(async () => {
+      await PersonalRecord.deleteMany({});
+    });
+
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    // Log a bench press workout through the API
+    const logBench = (weight, workoutDate) => authenticatedAgent
+      .post('/api/v1/workouts')
+      .send({
+        title: 'Bench Session',
+        exerciseType: 'strength',
+        duration: 45,
+        caloriesBurned: 250,
+        workoutDate,
+        exercises: [{ name: 'Bench Press', setDetails: [{ reps: 5, weight }] }],
+      })
+      .expect(201);
+
+    it('should report the records a new workout sets', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const first = await logBench(80, '2024-01-01T10:00:00Z');
+      const second = await logBench(85, '2024-01-08T10:00:00Z');
+
+      expect(first.body.data.personalRecords.map((record) => record.type)).toContain('heaviest_weight');
+      const heaviest = second.body.data.personalRecords.find((record) => record.type === 'heaviest_weight');
+      expect(heaviest).toMatchObject({ value: 85, previousValue: 80, isCurrent: true });
+
+      const response = await request(app)
+        .get(`/api/v1/users/${testUser._id}/records?type=heaviest_weight`)
+        .expect(200);
+
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0].workoutId).toBe(second.body.data._id);
+
+      const history = await request(app)
+        .get(`/api/v1/users/${testUser._id}/records?type=heaviest_weight&history=true`)
+        .expect(200);
+
+      expect(history.body.data.map((record) => record.value)).toEqual([85, 80]);
+    });
+
+    it('should hand a record back to the previous best when its workout is deleted', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const first = await logBench(80, '2024-01-01T10:00:00Z');
+      const second = await logBench(85, '2024-01-08T10:00:00Z');
+
+      await authenticatedAgent
+        .delete(`/api/v1/workouts/${second.body.data._id}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/users/${testUser._id}/records?type=heaviest_weight&exercise=bench%20press`)
+        .expect(200);
+
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0]).toMatchObject({ value: 80, workoutId: first.body.data._id });
+    });
+
+    it('should chart the estimated 1RM of logged sessions by week', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      await logBench(80, '2024-01-08T10:00:00Z');
+      await logBench(85, '2024-01-16T10:00:00Z');
+
+      const response = await request(app)
+        .get(`/api/v1/users/${testUser._id}/exercises/Bench%20Press/progress?bucket=week`)
+        .expect(200);
+
+      expect(response.body.data.series.map((period) => period.period)).toEqual(['2024-01-08', '2024-01-15']);
+      expect(response.body.data.series[1]).toMatchObject({ estimatedOneRepMax: 99.2, topSet: { weight: 85, reps: 5 } });
+    });
+
+    it('should reject unknown record types', async () => {
+      await request(app)
+        .get(`/api/v1/users/${testUser._id}/records?type=fastest_mile`)
+        .expect(400);
+    });
+  });
+
+  describe('Exercise Catalog', () => {
+    beforeEach(async () => {
+      await Exercise.deleteMany({});
+      await Exercise.seedStandardLibrary();
+    });
+
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    it('should search the catalog by alias and filter by muscle group', async () => {
+      const response = await request(app)
+        .get('/api/v1/exercises?search=bench&muscleGroup=chest')
+        .expect(200);
+
+      expect(response.body.data.map((exercise) => exercise.name)).toContain('Bench Press');
+      expect(response.body.data.every((exercise) => exercise.muscleGroups.includes('chest'))).toBe(true);
+    });
+
+    it('should not duplicate the standard library when seeding again', async () => {
+      const count = await Exercise.countDocuments();
+
+      expect(await Exercise.seedStandardLibrary()).toBe(0);
+      expect(await Exercise.countDocuments()).toBe(count);
+    });
+
+    it('should link workout exercises by ID and by legacy name', async () => {
+      const benchPress = await Exercise.findByName('Bench Press');
+      simulateAuth(authenticatedAgent, testUser);
+
+      const response = await authenticatedAgent
+        .post('/api/v1/workouts')
+        .send({
+          title: 'Push Day',
+          exerciseType: 'strength',
+          duration: 45,
+          caloriesBurned: 250,
+          exercises: [
+            { exerciseId: benchPress._id.toString(), sets: 3, reps: 8 },
+            { name: 'push up', sets: 2 },
+            { name: 'Sled Drag' },
+          ],
+        })
+        .expect(201);
+
+      const [first, second, third] = response.body.data.exercises;
+      expect(first.name).toBe('Bench Press');
+      expect(second.exerciseId).toBeDefined();
+      expect(third.exerciseId).toBeUndefined();
+      expect(third.name).toBe('Sled Drag');
+    });
+
+    it('should reject workouts that reference unknown exercises', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .put(`/api/v1/workouts/${testWorkout._id}`)
+        .send({ exercises: [{ exerciseId: new mongoose.Types.ObjectId().toString() }] })
+        .expect(400);
+    });
+
+    it('should let coaches manage the catalog but not athletes', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .post('/api/v1/exercises')
+        .send({ name: 'Landmine Press', category: 'strength' })
+        .expect(403);
+
+      testUser.roles = ['athlete', 'coach'];
+      await testUser.save();
+      simulateAuth(authenticatedAgent, testUser);
+
+      const created = await authenticatedAgent
+        .post('/api/v1/exercises')
+        .send({ name: 'Landmine Press', category: 'strength', muscleGroups: ['shoulders'], equipment: ['barbell'] })
+        .expect(201);
+
+      await authenticatedAgent
+        .post('/api/v1/exercises')
+        .send({ name: 'Half-Kneeling Press', aliases: ['landmine press'], category: 'strength' })
+        .expect(409);
+
+      await authenticatedAgent
+        .delete(`/api/v1/exercises/${created.body.data._id}`)
+        .expect(200);
+    });
+
+    it('should not delete exercises that workouts use', async () => {
+      const squat = await Exercise.findByName('Back Squat');
+      testWorkout.exercises = [{ exerciseId: squat._id, name: squat.name }];
+      await testWorkout.save();
+
+      testUser.roles = ['athlete', 'admin'];
+      await testUser.save();
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .delete(`/api/v1/exercises/${squat._id}`)
+        .expect(409);
+    });
+  });
+
+  describe('Audit Log', () => {
+    beforeEach(async () => {
+      await AuditEvent.deleteMany({});
+    });
+
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    it('should record profile updates in the user\'s own audit history', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .put(`/api/v1/users/${testUser._id}`)
+        .set('X-Request-Id', 'audit-test-1')
+        .send({ weight: 72 })
+        .expect(200);
+
+      const response = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/audit`)
+        .expect(200);
+
+      expect(response.body.data.length).toBe(1);
+      const [event] = response.body.data;
+      expect(event.action).toBe('update');
+      expect(event.resourceType).toBe('user');
+      expect(event.actorId).toBe(testUser._id.toString());
+      expect(event.requestId).toBe('audit-test-1');
+      expect(event.changes).toEqual([{ field: 'weight', before: 70, after: 72 }]);
+    });
+
+    it('should not let athletes read another user\'s history or the full log', async () => {
+      const otherUser = await User.create({ name: 'Other User', email: 'other@example.com' });
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .get(`/api/v1/users/${otherUser._id}/audit`)
+        .expect(403);
+
+      await authenticatedAgent
+        .get('/api/v1/audit')
+        .expect(403);
+    });
+
+    it('should let admins filter the full audit log', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .delete(`/api/v1/workouts/${testWorkout._id}`)
+        .expect(200);
+
+      testUser.roles = ['athlete', 'admin'];
+      await testUser.save();
+      simulateAuth(authenticatedAgent, testUser);
+
+      const response = await authenticatedAgent
+        .get('/api/v1/audit?resourceType=workout&action=delete')
+        .expect(200);
+
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.data[0].resourceId).toBe(testWorkout._id.toString());
+      expect(response.body.data[0].targetUserId).toBe(testUser._id.toString());
+      expect(response.body.data[0].changes.map((change) => change.field)).toContain('title');
+      expect(response.body.meta.pagination.totalItems).toBe(1);
+    });
+
+    it('should reject invalid filters', async () => {
+      testUser.roles = ['athlete', 'admin'];
+      await testUser.save();
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .get('/api/v1/audit?action=read&actorId=not-an-id')
+        .expect(400);
+    });
+  });
+
+  describe('Data Export and Erasure', () => {
+    // Collect a binary response body into a Buffer
+    const binaryParser = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    afterEach(() => {
+      clearAuth(authenticatedAgent);
+    });
+
+    it('should download a ZIP archive of the user\'s data', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const response = await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/export`)
+        .buffer(true)
+        .parse(binaryParser)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('application/zip');
+      expect(response.headers['content-disposition']).toContain(`fitness-tracker-export-${testUser._id}`);
+      expect(response.body.subarray(0, 2).toString()).toBe('PK');
+    });
+
+    it('should not export another user\'s data', async () => {
+      const otherUser = await User.create({ name: 'Other User', email: 'other@example.com' });
+      simulateAuth(authenticatedAgent, testUser);
+
+      await authenticatedAgent
+        .post(`/api/v1/users/${otherUser._id}/export`)
+        .expect(403);
+    });
+
+    it('should schedule, report and cancel an erasure', async () => {
+      simulateAuth(authenticatedAgent, testUser);
+
+      const requested = await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/erasure`)
+        .expect(202);
+
+      expect(requested.body.data.status).toBe('pending');
+      expect(new Date(requested.body.data.scheduledFor).getTime()).toBeGreaterThan(Date.now());
+
+      await authenticatedAgent
+        .post(`/api/v1/users/${testUser._id}/erasure`)
+        .expect(409);
+
+      const status = await authenticatedAgent
+        .get(`/api/v1/users/${testUser._id}/erasure`)
+        .expect(200);
+      expect(status.body.data.status).toBe('pending');
+
+      const cancelled = await authenticatedAgent
+        .delete(`/api/v1/users/${testUser._id}/erasure`)
+        .expect(200);
+      expect(cancelled.body.data.status).toBe('none');
+
+      const user = await User.findById(testUser._id);
+      expect(user.erasure?.scheduledFor).toBeUndefined();
+    });
+
+    it('should erase the account and its workouts once the grace period ends', async () => {
+      testUser.erasure = {
+        requestedAt: new Date(Date.now() - 60000),
+        scheduledFor: new Date(Date.now() - 1000),
+        requestedBy: testUser._id,
+      };
+      await testUser.save();
+
+      const erased = await processDueErasures();
+
+      expect(erased).toBe(1);
+      expect(await User.findById(testUser._id)).toBeNull();
+      expect(await Workout.countDocuments({ userId: testUser._id })).toBe(0);
+    });
   });
 
   describe('Error Handling', () => {
@@ -0,0 +1,159 @@
+/**
+ * Audit Log Tests
+ * Unit tests for change snapshots, diffs, audit event recording and request IDs
+ */
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const AuditEvent = require('../src/models/AuditEvent');
+const User = require('../src/models/User');
+const Workout = require('../src/models/workout');
+const { auditSnapshot, diffSnapshots, recordAuditEvent } = require('../src/utils/audit');
+
+// Minimal Express request double
+const createRequest = (overrides = {}) => ({
+  id: 'req-123',
+  ip: '203.0.113.7',
+  get: (name) => (name === 'User-Agent' ? 'jest' : undefined),
+  ...overrides,
+});
+
+describe('Audit Log', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Snapshots and diffs', () => {
+    it('should keep secrets and virtuals out of user snapshots', () => {
+      const user = new User({
+        name: 'Audit User',
+        email: 'audit@example.com',
+        weight: 80,
+        height: 180,
+        passwordHash: 'scrypt$secret',
+      });
+      user.twoFactor.secret = 'TOTPSECRET';
+
+      const snapshot = auditSnapshot(user);
+
+      expect(snapshot.email).toBe('audit@example.com');
+      expect(snapshot.passwordHash).toBeUndefined();
+      expect(snapshot.twoFactor).toEqual({ enabled: false });
+      expect(snapshot.bmi).toBeUndefined();
+    });
+
+    it('should list only the fields that changed', () => {
+      const changes = diffSnapshots(
+        { _id: '1', name: 'Before', weight: 80, roles: ['athlete'], updatedAt: 'a' },
+        { _id: '1', name: 'Before', weight: 78, roles: ['athlete', 'coach'], updatedAt: 'b' }
+      );
+
+      expect(changes).toEqual([
+        { field: 'roles', before: ['athlete'], after: ['athlete', 'coach'] },
+        { field: 'weight', before: 80, after: 78 },
+      ]);
+    });
+
+    it('should report every field on create and delete', () => {
+      const workout = new Workout({
+        userId: new mongoose.Types.ObjectId(),
+        title: 'Morning Run',
+        exerciseType: 'running',
+        duration: 30,
+        caloriesBurned: 300,
+      });
+      const snapshot = auditSnapshot(workout);
+
+      const created = diffSnapshots(null, snapshot);
+      const deleted = diffSnapshots(snapshot, null);
+
+      expect(created.map((change) => change.field)).toEqual(expect.arrayContaining(['title', 'userId']));
+      expect(created.find((change) => change.field === 'title')).toEqual({
+        field: 'title',
+        before: undefined,
+        after: 'Morning Run',
+      });
+      expect(deleted.find((change) => change.field === 'title').after).toBeUndefined();
+      expect(created.map((change) => change.field)).not.toContain('_id');
+    });
+  });
+
+  describe('recordAuditEvent', () => {
+    it('should record the actor, request details and changes', async () => {
+      const create = jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      const actor = { _id: new mongoose.Types.ObjectId() };
+      const targetUserId = new mongoose.Types.ObjectId();
+
+      await recordAuditEvent(createRequest({ user: actor, authMethod: 'token' }), {
+        action: 'update',
+        resourceType: 'user',
+        resourceId: targetUserId,
+        targetUserId,
+        before: { name: 'Old' },
+        after: { name: 'New' },
+      });
+
+      expect(create).toHaveBeenCalledWith({
+        action: 'update',
+        resourceType: 'user',
+        resourceId: targetUserId,
+        targetUserId,
+        actorId: actor._id,
+        actorAuthMethod: 'token',
+        changes: [{ field: 'name', before: 'Old', after: 'New' }],
+        ip: '203.0.113.7',
+        userAgent: 'jest',
+        requestId: 'req-123',
+      });
+    });
+
+    it('should skip updates that changed nothing', async () => {
+      const create = jest.spyOn(AuditEvent, 'create');
+
+      const result = await recordAuditEvent(createRequest(), {
+        action: 'update',
+        resourceType: 'workout',
+        resourceId: new mongoose.Types.ObjectId(),
+        before: { title: 'Same' },
+        after: { title: 'Same' },
+      });
+
+      expect(result).toBeNull();
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should not fail the request when recording fails', async () => {
+      jest.spyOn(AuditEvent, 'create').mockRejectedValue(new Error('write failed'));
+
+      const result = await recordAuditEvent(createRequest(), {
+        action: 'delete',
+        resourceType: 'workout',
+        resourceId: new mongoose.Types.ObjectId(),
+        before: { title: 'Gone' },
+      });
+
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('Request IDs', () => {
+    it('should generate a request ID for every response', async () => {
+      const response = await request(app).get('/health');
+
+      expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should echo a safe caller-supplied request ID', async () => {
+      const response = await request(app).get('/health').set('X-Request-Id', 'trace-abc.123');
+
+      expect(response.headers['x-request-id']).toBe('trace-abc.123');
+    });
+
+    it('should replace unsafe request IDs', async () => {
+      const response = await request(app).get('/health').set('X-Request-Id', 'bad id <script>');
+
+      expect(response.headers['x-request-id']).not.toContain('bad');
+    });
+  });
+});
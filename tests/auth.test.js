@@ -7,6 +7,11 @@ const request = require('supertest');
 const mongoose = require('mongoose');
 const app = require('../src/app');
 const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const Session = require('../src/models/Session');
+const { signExchangeCode } = require('../src/utils/jwt');
+const { readOutbox, clearOutbox } = require('../src/utils/mailer');
+const { generateCode, getStep } = require('../src/utils/totp');
 
 describe('Authentication and Protected Routes', () => {
   beforeAll(async () => {
@@ -18,11 +23,15 @@ describe('Authentication and Protected Routes', () => {
 
   afterAll(async () => {
     await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
     await mongoose.connection.close();
   });
 
   beforeEach(async () => {
     await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await Session.deleteMany({});
   });
 
   describe('POST /api/v1/workouts - Protected Route', () => {
@@ -69,6 +78,41 @@ describe('Authentication and Protected Routes', () => {
     });
   });
 
+  describe('PUT/DELETE /api/v1/users/:id - Protected Routes', () => {
+    let testUser;
+
+    beforeEach(async () => {
+      testUser = await User.create({
+        name: 'Owner User',
+        email: 'owner@example.com',
+        githubId: 'owner-github-123',
+        username: 'owneruser'
+      });
+    });
+
+    it('should return 401 when updating a user without authentication', async () => {
+      const response = await request(app)
+        .put(`/api/v1/users/${testUser._id}`)
+        .send({ name: 'Hijacked Name' })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors[0].type).toBe('authentication_required');
+
+      const unchanged = await User.findById(testUser._id);
+      expect(unchanged.name).toBe('Owner User');
+    });
+
+    it('should return 401 when deleting a user without authentication', async () => {
+      await request(app)
+        .delete(`/api/v1/users/${testUser._id}`)
+        .expect(401);
+
+      const stillThere = await User.findById(testUser._id);
+      expect(stillThere).not.toBeNull();
+    });
+  });
+
   describe('Authentication Routes', () => {
     describe('GET /auth/github', () => {
       it('should redirect to GitHub OAuth', async () => {
@@ -102,6 +146,485 @@ describe('Authentication and Protected Routes', () => {
     });
   });
 
+  describe('JWT Access and Refresh Tokens', () => {
+    let testUser;
+
+    // Exchange a one-time code (as issued by the GitHub callback) for a token pair
+    const exchange = async () => {
+      const response = await request(app)
+        .post('/auth/token')
+        .send({ code: signExchangeCode(testUser) })
+        .expect(200);
+
+      return response.body.data;
+    };
+
+    beforeEach(async () => {
+      testUser = await User.create({
+        name: 'Mobile User',
+        email: 'mobile@example.com',
+        githubId: 'mobile-github-123',
+        username: 'mobileuser'
+      });
+    });
+
+    it('should return 401 for /auth/token without a code or session', async () => {
+      const response = await request(app)
+        .post('/auth/token')
+        .send({})
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should issue a token pair for a valid exchange code', async () => {
+      const tokens = await exchange();
+
+      expect(tokens.tokenType).toBe('Bearer');
+      expect(tokens.accessToken).toBeDefined();
+      expect(tokens.refreshToken).toMatch(/^fit_rt_/);
+      expect(tokens.expiresIn).toBeGreaterThan(0);
+    });
+
+    it('should not accept the same exchange code twice', async () => {
+      const code = signExchangeCode(testUser);
+
+      await request(app).post('/auth/token').send({ code }).expect(200);
+      await request(app).post('/auth/token').send({ code }).expect(401);
+    });
+
+    it('should authenticate API requests with the access token', async () => {
+      const { accessToken } = await exchange();
+
+      const response = await request(app)
+        .post('/api/v1/workouts')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          title: 'Mobile Workout',
+          exerciseType: 'running',
+          duration: 30,
+          caloriesBurned: 300
+        })
+        .expect(201);
+
+      expect(response.body.data.userId.toString()).toBe(testUser._id.toString());
+    });
+
+    it('should return 401 for a tampered access token', async () => {
+      const { accessToken } = await exchange();
+
+      await request(app)
+        .get('/api/v1/users')
+        .set('Authorization', `Bearer ${accessToken}x`)
+        .expect(401);
+    });
+
+    it('should rotate refresh tokens', async () => {
+      const first = await exchange();
+
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).not.toBe(first.refreshToken);
+      expect(response.body.data.accessToken).toBeDefined();
+    });
+
+    it('should revoke the token family when a rotated refresh token is reused', async () => {
+      const first = await exchange();
+
+      const rotated = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: first.refreshToken })
+        .expect(401);
+
+      // The legitimate successor is revoked as well
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+    });
+
+    it('should return 400 when no refresh token is sent', async () => {
+      const response = await request(app)
+        .post('/auth/refresh')
+        .send({})
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe('refreshToken');
+    });
+
+    it('should revoke the refresh token on logout', async () => {
+      const { refreshToken } = await exchange();
+
+      await request(app)
+        .post('/auth/logout')
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe('Email/Password Authentication', () => {
+    const credentials = {
+      name: 'Local User',
+      email: 'local@example.com',
+      password: 'Secret123'
+    };
+
+    beforeEach(async () => {
+      await clearOutbox();
+    });
+
+    it('should register a user and start a session', async () => {
+      const agent = request.agent(app);
+
+      const response = await agent
+        .post('/auth/register')
+        .send(credentials)
+        .expect(201);
+
+      expect(response.body.data.user.email).toBe(credentials.email);
+      expect(response.body.data.tokenExchange.code).toBeDefined();
+      expect(JSON.stringify(response.body)).not.toContain('passwordHash');
+
+      const me = await agent.get('/auth/me').expect(200);
+      expect(me.body.data.email).toBe(credentials.email);
+    });
+
+    it('should return 409 when the email is already registered', async () => {
+      await request(app).post('/auth/register').send(credentials).expect(201);
+
+      const response = await request(app)
+        .post('/auth/register')
+        .send(credentials)
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 400 for weak passwords', async () => {
+      const response = await request(app)
+        .post('/auth/register')
+        .send({ ...credentials, password: 'short' })
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe('password');
+      expect(response.body.errors[0].value).toBeUndefined();
+    });
+
+    it('should log in with the right password only', async () => {
+      await request(app).post('/auth/register').send(credentials).expect(201);
+
+      await request(app)
+        .post('/auth/login')
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/auth/login')
+        .send({ email: credentials.email, password: 'Wrong1234' })
+        .expect(401);
+
+      expect(response.body.message).toBe('Invalid email or password');
+    });
+
+    it('should not log in GitHub-only accounts with a password', async () => {
+      await User.create({
+        name: 'GitHub User',
+        email: 'github@example.com',
+        githubId: 'github-only-123'
+      });
+
+      await request(app)
+        .post('/auth/login')
+        .send({ email: 'github@example.com', password: 'Secret123' })
+        .expect(401);
+    });
+
+    it('should change the password for a logged-in user', async () => {
+      const agent = request.agent(app);
+      await agent.post('/auth/register').send(credentials).expect(201);
+
+      await agent
+        .put('/auth/password')
+        .send({ currentPassword: 'Wrong1234', newPassword: 'Changed123' })
+        .expect(401);
+
+      await agent
+        .put('/auth/password')
+        .send({ currentPassword: credentials.password, newPassword: 'Changed123' })
+        .expect(200);
+
+      await request(app)
+        .post('/auth/login')
+        .send({ email: credentials.email, password: 'Changed123' })
+        .expect(200);
+    });
+
+    it('should return 401 when changing the password without a session', async () => {
+      await request(app)
+        .put('/auth/password')
+        .send({ newPassword: 'Changed123' })
+        .expect(401);
+    });
+
+    it('should reset the password with the emailed token', async () => {
+      await request(app).post('/auth/register').send(credentials).expect(201);
+
+      await request(app)
+        .post('/auth/password/forgot')
+        .send({ email: credentials.email })
+        .expect(200);
+
+      const [message] = await readOutbox();
+      expect(message.to).toBe(credentials.email);
+
+      const token = message.text.match(/fit_prt_\S+/)[0];
+
+      await request(app)
+        .post('/auth/password/reset')
+        .send({ token, password: 'Recovered123' })
+        .expect(200);
+
+      // Tokens are single use
+      await request(app)
+        .post('/auth/password/reset')
+        .send({ token, password: 'Another123' })
+        .expect(400);
+
+      await request(app)
+        .post('/auth/login')
+        .send({ email: credentials.email, password: 'Recovered123' })
+        .expect(200);
+    });
+
+    it('should not reveal whether an email is registered', async () => {
+      const response = await request(app)
+        .post('/auth/password/forgot')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(await readOutbox()).toHaveLength(0);
+    });
+  });
+
+  describe('Persistent Sessions', () => {
+    const credentials = {
+      name: 'Session User',
+      email: 'sessions@example.com',
+      password: 'Secret123'
+    };
+    const laptopAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+    // Log in on a separate cookie jar, like a separate device
+    const loginDevice = async (userAgent) => {
+      const agent = request.agent(app);
+      await agent
+        .post('/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ email: credentials.email, password: credentials.password })
+        .expect(200);
+      return agent;
+    };
+
+    beforeEach(async () => {
+      await request(app).post('/auth/register').send(credentials).expect(201);
+    });
+
+    it('should store sessions in MongoDB', async () => {
+      await loginDevice(laptopAgent);
+
+      const user = await User.findOne({ email: credentials.email });
+      const stored = await Session.find({ userId: user._id });
+
+      expect(stored.length).toBeGreaterThanOrEqual(1);
+      expect(stored.some((session) => session.userAgent === laptopAgent)).toBe(true);
+    });
+
+    it('should list active sessions with device details', async () => {
+      const laptop = await loginDevice(laptopAgent);
+      await loginDevice('curl/8.4.0');
+
+      const response = await laptop.get('/auth/sessions').expect(200);
+      const { sessions } = response.body.data;
+
+      const current = sessions.find((session) => session.current);
+      expect(current.device).toBe('Chrome on macOS');
+      expect(current.ip).toBeDefined();
+      expect(sessions.some((session) => session.device === 'curl/8.4.0')).toBe(true);
+    });
+
+    it('should sign out a single device', async () => {
+      const laptop = await loginDevice(laptopAgent);
+      const phone = await loginDevice('curl/8.4.0');
+
+      const listed = await laptop.get('/auth/sessions').expect(200);
+      const other = listed.body.data.sessions.find((session) => session.device === 'curl/8.4.0');
+
+      await laptop.delete(`/auth/sessions/${other.id}`).expect(200);
+
+      await phone.get('/auth/me').expect(401);
+      await laptop.get('/auth/me').expect(200);
+    });
+
+    it('should sign out of all devices', async () => {
+      const laptop = await loginDevice(laptopAgent);
+      const phone = await loginDevice('curl/8.4.0');
+
+      const response = await laptop.delete('/auth/sessions').expect(200);
+      expect(response.body.data.sessionsEnded).toBeGreaterThanOrEqual(2);
+
+      await phone.get('/auth/me').expect(401);
+      await laptop.get('/auth/me').expect(401);
+    });
+
+    it('should keep the current session when asked', async () => {
+      const laptop = await loginDevice(laptopAgent);
+      const phone = await loginDevice('curl/8.4.0');
+
+      await laptop.delete('/auth/sessions?keepCurrent=true').expect(200);
+
+      await phone.get('/auth/me').expect(401);
+      await laptop.get('/auth/me').expect(200);
+    });
+
+    it('should return 401 when listing sessions without authentication', async () => {
+      await request(app).get('/auth/sessions').expect(401);
+    });
+  });
+
+  describe('Two-Factor Authentication', () => {
+    const credentials = {
+      name: 'Secure User',
+      email: 'secure@example.com',
+      password: 'Secret123'
+    };
+
+    // Register, enroll in 2FA and return the agent, secret and recovery codes
+    const enroll = async () => {
+      const agent = request.agent(app);
+      await agent.post('/auth/register').send(credentials).expect(201);
+
+      const setup = await agent.post('/auth/2fa/setup').expect(200);
+      const { secret, otpauthUri } = setup.body.data;
+      expect(otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+
+      const enabled = await agent
+        .post('/auth/2fa/enable')
+        .send({ code: generateCode(secret, getStep()) })
+        .expect(200);
+
+      return { agent, secret, recoveryCodes: enabled.body.data.recoveryCodes };
+    };
+
+    const login = (agent) => agent
+      .post('/auth/login')
+      .send({ email: credentials.email, password: credentials.password })
+      .expect(200);
+
+    it('should enable 2FA and return recovery codes', async () => {
+      const { agent, recoveryCodes } = await enroll();
+
+      expect(recoveryCodes).toHaveLength(10);
+
+      const me = await agent.get('/auth/me').expect(200);
+      expect(me.body.data.twoFactorEnabled).toBe(true);
+    });
+
+    it('should reject a wrong enrollment code', async () => {
+      const agent = request.agent(app);
+      await agent.post('/auth/register').send(credentials).expect(201);
+      await agent.post('/auth/2fa/setup').expect(200);
+
+      await agent
+        .post('/auth/2fa/enable')
+        .send({ code: '000000' })
+        .expect(400);
+    });
+
+    it('should treat the session as unauthenticated until the code is entered', async () => {
+      const { secret } = await enroll();
+      const device = request.agent(app);
+
+      const response = await login(device);
+      expect(response.body.data.twoFactorRequired).toBe(true);
+      expect(response.body.data.tokenExchange).toBeUndefined();
+
+      await device.get('/auth/me').expect(401);
+      const blocked = await device.get('/auth/sessions').expect(401);
+      expect(blocked.body.errors[0].type).toBe('two_factor_required');
+
+      // The enrollment used the current step, so use the next one
+      await device
+        .post('/auth/2fa/verify')
+        .send({ code: generateCode(secret, getStep() + 1) })
+        .expect(200);
+
+      await device.get('/auth/me').expect(200);
+    });
+
+    it('should complete login with a recovery code only once', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const first = request.agent(app);
+      await login(first);
+      const verified = await first
+        .post('/auth/2fa/verify')
+        .send({ recoveryCode: recoveryCodes[0] })
+        .expect(200);
+      expect(verified.body.data.recoveryCodesRemaining).toBe(9);
+
+      const second = request.agent(app);
+      await login(second);
+      await second
+        .post('/auth/2fa/verify')
+        .send({ recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    it('should complete login with the challenge when cookies are unavailable', async () => {
+      const { secret } = await enroll();
+
+      const response = await login(request(app));
+
+      const verified = await request(app)
+        .post('/auth/2fa/verify')
+        .send({ challenge: response.body.data.challenge, code: generateCode(secret, getStep() + 1) })
+        .expect(200);
+
+      expect(verified.body.data.tokenExchange.code).toBeDefined();
+    });
+
+    it('should require the password and a second factor to disable 2FA', async () => {
+      const { agent, recoveryCodes } = await enroll();
+
+      await agent
+        .post('/auth/2fa/disable')
+        .send({ password: 'Wrong1234', recoveryCode: recoveryCodes[0] })
+        .expect(401);
+
+      await agent
+        .post('/auth/2fa/disable')
+        .send({ password: credentials.password, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      const response = await login(request(app));
+      expect(response.body.data.twoFactorRequired).toBeUndefined();
+    });
+  });
+
   describe('Public Routes (No Authentication Required)', () => {
     let testUser;
 
@@ -115,14 +638,21 @@ describe('Authentication and Protected Routes', () => {
       });
     });
 
-    it('GET /api/v1/users should return 200 without authentication', async () => {
+    it('GET /api/v1/users should return 401 without authentication', async () => {
       const response = await request(app)
         .get('/api/v1/users')
-        .expect(200);
+        .expect(401);
 
-      expect(response.body.success).toBe(true);
-      expect(response.body.data).toBeInstanceOf(Array);
-      expect(response.body.data.length).toBeGreaterThan(0);
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors[0].type).toBe('authentication_required');
+    });
+
+    it('GET /api/v1/workouts/stats should return 401 without authentication', async () => {
+      const response = await request(app)
+        .get('/api/v1/workouts/stats')
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
     });
 
     it('GET /api/v1/users/:id should return 200 without authentication', async () => {
@@ -0,0 +1,133 @@
+/**
+ * Authorization Tests
+ * Unit tests for ownership, role and permission checks in the auth middleware
+ */
+
+const mongoose = require('mongoose');
+const {
+  hasPermission,
+  isOwnerOrPermitted,
+  requirePermission,
+  requireSelfOrPermission,
+} = require('../src/middleware/auth');
+
+// Minimal Express response double
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Authorization Middleware', () => {
+  const owner = { _id: new mongoose.Types.ObjectId(), roles: ['athlete'] };
+  const otherUser = { _id: new mongoose.Types.ObjectId(), roles: ['athlete'] };
+  const coach = { _id: new mongoose.Types.ObjectId(), roles: ['athlete', 'coach'] };
+  const admin = { _id: new mongoose.Types.ObjectId(), roles: ['admin'] };
+
+  describe('hasPermission', () => {
+    it('should grant coach permissions to coaches', () => {
+      expect(hasPermission(coach, 'users:list')).toBe(true);
+      expect(hasPermission(coach, 'stats:global')).toBe(true);
+      expect(hasPermission(coach, 'workouts:write:any')).toBe(false);
+    });
+
+    it('should grant every permission to admins', () => {
+      expect(hasPermission(admin, 'users:roles:manage')).toBe(true);
+      expect(hasPermission(admin, 'workouts:write:any')).toBe(true);
+    });
+
+    it('should not grant privileged permissions to athletes', () => {
+      expect(hasPermission(owner, 'users:list')).toBe(false);
+      expect(hasPermission(null, 'users:list')).toBe(false);
+    });
+  });
+
+  describe('isOwnerOrPermitted', () => {
+    it('should allow the owner', () => {
+      expect(isOwnerOrPermitted(owner, owner._id, 'workouts:write:any')).toBe(true);
+      expect(isOwnerOrPermitted(owner, owner._id.toString(), 'workouts:write:any')).toBe(true);
+    });
+
+    it('should accept a populated owner document', () => {
+      expect(isOwnerOrPermitted(owner, { _id: owner._id, name: 'Owner' }, 'workouts:write:any')).toBe(true);
+    });
+
+    it('should reject other users', () => {
+      expect(isOwnerOrPermitted(otherUser, owner._id, 'workouts:write:any')).toBe(false);
+    });
+
+    it('should not let coaches override workout ownership', () => {
+      expect(isOwnerOrPermitted(coach, owner._id, 'workouts:write:any')).toBe(false);
+    });
+
+    it('should allow admins to override ownership', () => {
+      expect(isOwnerOrPermitted(admin, owner._id, 'workouts:write:any')).toBe(true);
+    });
+
+    it('should reject missing user or owner', () => {
+      expect(isOwnerOrPermitted(null, owner._id, 'workouts:write:any')).toBe(false);
+      expect(isOwnerOrPermitted(owner, null, 'workouts:write:any')).toBe(false);
+    });
+  });
+
+  describe('requireSelfOrPermission', () => {
+    it('should call next for the account owner', () => {
+      const req = { user: owner, params: { id: owner._id.toString() } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      requireSelfOrPermission('id', 'users:write:any')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should call next for an admin', () => {
+      const req = { user: admin, params: { id: owner._id.toString() } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      requireSelfOrPermission('id', 'users:write:any')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 403 for another user', () => {
+      const req = { user: otherUser, params: { id: owner._id.toString() } };
+      const res = createResponse();
+      const next = jest.fn();
+
+      requireSelfOrPermission('id', 'users:write:any')(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].success).toBe(false);
+      expect(res.json.mock.calls[0][0].errors[0].type).toBe('forbidden');
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('should call next when the user holds the permission', () => {
+      const req = { user: coach };
+      const res = createResponse();
+      const next = jest.fn();
+
+      requirePermission('users:list')(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should return 403 when the permission is missing', () => {
+      const req = { user: owner };
+      const res = createResponse();
+      const next = jest.fn();
+
+      requirePermission('stats:global')(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].errors[0].message).toContain('stats:global');
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * BMR Tests
+ * Unit tests for the BMR formulas, how one is picked, and daily calorie needs
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workout = require('../src/models/workout');
+const { BMR_FORMULAS, registerBmrFormula, calculateBmr } = require('../src/utils/bmr');
+
+describe('Basal Metabolic Rate', () => {
+  const profile = { weight: 70, height: 175, age: 30 };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Formulas', () => {
+    it('should use the male and female Mifflin-St Jeor constants', () => {
+      expect(calculateBmr({ ...profile, sex: 'male' })).toEqual({ bmr: 1649, formula: 'mifflin_st_jeor', variant: 'male' });
+      expect(calculateBmr({ ...profile, sex: 'female' })).toEqual({ bmr: 1483, formula: 'mifflin_st_jeor', variant: 'female' });
+    });
+
+    it('should average both variants when the sex is unknown', () => {
+      expect(calculateBmr(profile)).toEqual({ bmr: 1566, formula: 'mifflin_st_jeor', variant: 'average' });
+    });
+
+    it('should calculate revised Harris-Benedict when chosen', () => {
+      expect(calculateBmr({ ...profile, sex: 'male', bmrFormula: 'harris_benedict' }))
+        .toEqual({ bmr: 1696, formula: 'harris_benedict', variant: 'male' });
+    });
+
+    it('should prefer Katch-McArdle once body fat is known', () => {
+      // 370 + 21.6 x (70 kg x 0.8)
+      expect(calculateBmr({ ...profile, sex: 'male', bodyFatPercentage: 20 }))
+        .toEqual({ bmr: 1580, formula: 'katch_mcardle', variant: null });
+      // Katch-McArdle does not need height or age
+      expect(calculateBmr({ weight: 70, bodyFatPercentage: 20 }).formula).toBe('katch_mcardle');
+    });
+
+    it('should fall back when the chosen formula lacks inputs', () => {
+      expect(calculateBmr({ ...profile, bmrFormula: 'katch_mcardle' }).formula).toBe('mifflin_st_jeor');
+      expect(calculateBmr({ weight: 70 })).toBeNull();
+    });
+
+    it('should accept registered formulas', () => {
+      registerBmrFormula('cunningham', {
+        label: 'Cunningham',
+        requires: ['weight', 'bodyFatPercentage'],
+        sexSpecific: false,
+        calculate: ({ weight, bodyFatPercentage }) => 500 + 22 * weight * (1 - bodyFatPercentage / 100),
+      });
+
+      const user = new User({ name: 'Plug In', email: 'plugin@example.com', weight: 70, bodyFatPercentage: 20, bmrFormula: 'cunningham' });
+
+      expect(user.validateSync()).toBeUndefined();
+      expect(user.bmr).toEqual({ bmr: 1732, formula: 'cunningham', variant: null });
+      delete BMR_FORMULAS.cunningham;
+    });
+  });
+
+  describe('GET /api/v1/users/:id/stats', () => {
+    it('should report the formula behind dailyCalorieNeeds', async () => {
+      const user = new User({
+        name: 'Stats Lifter',
+        email: 'stats@example.com',
+        ...profile,
+        sex: 'female',
+        activityLevel: 'sedentary',
+      });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(Workout, 'getTotalCaloriesByUser').mockResolvedValue({ totalWorkouts: 0, totalCalories: 0, totalDuration: 0 });
+      jest.spyOn(Workout, 'find').mockReturnValue({
+        sort: () => ({ limit: () => ({ lean: jest.fn().mockResolvedValue([]) }) }),
+      });
+      jest.spyOn(Workout, 'countDocuments').mockResolvedValue(0);
+
+      const response = await request(app)
+        .get(`/api/v1/users/${user._id}/stats`)
+        .expect(200);
+
+      expect(response.body.data.user.bmr).toEqual({ bmr: 1483, formula: 'mifflin_st_jeor', variant: 'female' });
+      expect(response.body.data.user.dailyCalorieNeeds).toBe(Math.round(1483 * 1.2));
+    });
+
+    it('should reject unknown sexes and formulas', async () => {
+      const response = await request(app)
+        .post('/api/v1/users')
+        .send({ name: 'Bad Input', email: 'bad@example.com', sex: 'unknown', bmrFormula: 'guesswork' })
+        .expect(400);
+
+      expect(response.body.errors.map((error) => error.field)).toEqual(['sex', 'bmrFormula']);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Calendar Feed Tests
+ * Unit tests for iCalendar rendering, time zones and the token-protected feed
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workout = require('../src/models/workout');
+const WorkoutSchedule = require('../src/models/WorkoutSchedule');
+const AuditEvent = require('../src/models/AuditEvent');
+const { signAccessToken } = require('../src/utils/jwt');
+const { escapeText, foldLine, buildWorkoutCalendar } = require('../src/utils/icalendar');
+const {
+  isValidTimeZone,
+  getTimeZoneTransitions,
+  getZonedDateKey,
+  getZonedDayStart,
+  getZonedInstant,
+} = require('../src/utils/timezone');
+
+describe('Calendar Feed', () => {
+  const user = new User({ name: 'Calendar Runner', email: 'calendar@example.com', timezone: 'Europe/Berlin' });
+
+  const squatDay = Workout.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    title: 'Squat Day',
+    exerciseType: 'strength',
+    duration: 60,
+    caloriesBurned: 400,
+    status: 'completed',
+    notes: 'Felt strong; new belt',
+    workoutDate: new Date('2024-03-04T07:00:00Z'),
+    updatedAt: new Date('2024-03-04T09:00:00Z'),
+    exercises: [{ name: 'Squat', setDetails: [{ reps: 5, weight: 100 }, { reps: 5, weight: 105 }] }],
+  });
+
+  const plannedRun = Workout.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    title: 'Tempo Run',
+    exerciseType: 'cardio',
+    duration: 45,
+    caloriesBurned: 500,
+    status: 'planned',
+    workoutDate: new Date('2024-07-01T17:30:00Z'),
+  });
+
+  const lines = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('iCalendar rendering', () => {
+    it('should escape text values and fold long lines at 75 octets', () => {
+      expect(escapeText('Legs, core; back\\arms\nstretch')).toBe('Legs\\, core\\; back\\\\arms\\nstretch');
+
+      const folded = foldLine(`DESCRIPTION:${'ü'.repeat(60)}`);
+      const parts = folded.split('\r\n');
+
+      expect(parts).toHaveLength(2);
+      expect(parts.every((part) => Buffer.byteLength(part) <= 75)).toBe(true);
+      expect(parts[1].startsWith(' ')).toBe(true);
+      expect(folded.replace(/\r\n /g, '')).toBe(`DESCRIPTION:${'ü'.repeat(60)}`);
+    });
+
+    it('should render workouts in the user time zone with a matching VTIMEZONE', () => {
+      const calendar = buildWorkoutCalendar({
+        name: 'Calendar Runner - Workouts',
+        timeZone: 'Europe/Berlin',
+        workouts: [plannedRun, squatDay],
+        now: new Date('2024-03-05T00:00:00Z'),
+      });
+      const content = lines(calendar);
+
+      expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(content).toEqual(expect.arrayContaining([
+        'TZID:Europe/Berlin',
+        'DTSTART:20240331T020000',
+        'TZOFFSETTO:+0200',
+        `UID:workout-${squatDay._id}@fitness-tracker-api`,
+        'DTSTART;TZID=Europe/Berlin:20240304T080000',
+        'DURATION:PT60M',
+        'SUMMARY:Squat Day',
+        'DESCRIPTION:Felt strong\\; new belt\\n\\nExercises:\\n- Squat: 5 reps @ 100 kg\\, 5 reps @ 105 kg',
+        'STATUS:CONFIRMED',
+        'LAST-MODIFIED:20240304T090000Z',
+        'DTSTART;TZID=Europe/Berlin:20240701T193000',
+        'STATUS:TENTATIVE',
+      ]));
+      // Events are listed in date order
+      expect(content.indexOf('SUMMARY:Squat Day')).toBeLessThan(content.indexOf('SUMMARY:Tempo Run'));
+    });
+
+    it('should use UTC times without a VTIMEZONE for UTC calendars', () => {
+      const content = lines(buildWorkoutCalendar({ name: 'UTC', workouts: [squatDay] }));
+
+      expect(content).toContain('DTSTART:20240304T070000Z');
+      expect(content).not.toContain('BEGIN:VTIMEZONE');
+    });
+  });
+
+  describe('Time zones', () => {
+    it('should validate IANA names and find daylight saving changes', () => {
+      expect(isValidTimeZone('America/New_York')).toBe(true);
+      expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+
+      const transitions = getTimeZoneTransitions('America/New_York', new Date('2024-01-01'), new Date('2025-01-01'));
+
+      expect(transitions).toEqual([
+        { at: new Date('2024-03-10T07:00:00Z'), offsetFrom: -300, offsetTo: -240 },
+        { at: new Date('2024-11-03T06:00:00Z'), offsetFrom: -240, offsetTo: -300 },
+      ]);
+    });
+  });
+
+  describe('Wall-clock times', () => {
+    it('should move times skipped by daylight saving forward on both sides of UTC', () => {
+      expect(getZonedInstant(Date.UTC(2024, 2, 10, 2, 30), 'America/New_York').toISOString())
+        .toBe('2024-03-10T07:30:00.000Z'); // 03:30 EDT
+      expect(getZonedInstant(Date.UTC(2024, 2, 31, 2, 30), 'Europe/Berlin').toISOString())
+        .toBe('2024-03-31T01:30:00.000Z'); // 03:30 CEST
+    });
+
+    it('should give repeated times their first instant', () => {
+      expect(getZonedInstant(Date.UTC(2024, 10, 3, 1, 30), 'America/New_York').toISOString())
+        .toBe('2024-11-03T05:30:00.000Z'); // 01:30 EDT
+      expect(getZonedInstant(Date.UTC(2024, 9, 27, 2, 30), 'Europe/Berlin').toISOString())
+        .toBe('2024-10-27T00:30:00.000Z'); // 02:30 CEST
+    });
+
+    it('should start days on their own date in zones that change clocks at midnight', () => {
+      [
+        ['2024-09-08', 'America/Santiago'],
+        ['2024-03-10', 'America/Havana'],
+        ['2024-03-31', 'Asia/Beirut'],
+        ['2024-10-27', 'Asia/Beirut'],
+      ].forEach(([dateKey, timeZone]) => {
+        expect(getZonedDateKey(getZonedDayStart(dateKey, timeZone), timeZone)).toBe(dateKey);
+      });
+
+      // Santiago skips 00:00-01:00 on 8 September 2024, so the day starts at 01:00 (-03)
+      expect(getZonedDayStart('2024-09-08', 'America/Santiago').toISOString()).toBe('2024-09-08T04:00:00.000Z');
+    });
+  });
+
+  describe('HTTP endpoints', () => {
+    it('should issue a token that unlocks the feed', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/users/${user._id}/calendar-token`)
+        .set('Authorization', `Bearer ${signAccessToken(user)}`)
+        .expect(201);
+
+      const { token, feedUrl } = response.body.data;
+      expect(token).toMatch(/^fit_cal_/);
+      expect(feedUrl).toContain(`/api/v1/users/${user._id}/calendar.ics?token=`);
+      expect(response.body.data.tokenHash).toBeUndefined();
+      expect(user.checkCalendarToken(token)).toBe(true);
+
+      jest.restoreAllMocks();
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      jest.spyOn(Workout, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([squatDay]) });
+      jest.spyOn(WorkoutSchedule, 'find').mockResolvedValue([]);
+
+      const feed = await request(app)
+        .get(`/api/v1/users/${user._id}/calendar.ics`)
+        .query({ token })
+        .expect(200);
+
+      expect(feed.headers['content-type']).toBe('text/calendar; charset=utf-8');
+      expect(feed.text).toContain('DTSTART;TZID=Europe/Berlin:20240304T080000');
+    });
+
+    it('should refuse the feed without a valid token', async () => {
+      user.issueCalendarToken();
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+      await request(app)
+        .get(`/api/v1/users/${user._id}/calendar.ics`)
+        .query({ token: 'fit_cal_guess' })
+        .expect(401);
+
+      await request(app)
+        .get(`/api/v1/users/${user._id}/calendar.ics`)
+        .expect(401);
+    });
+
+    it('should list upcoming occurrences from the start of today in the user time zone', async () => {
+      const kiwi = new User({ name: 'Kiwi Rower', email: 'kiwi@example.com', timezone: 'Pacific/Auckland' });
+      const token = kiwi.issueCalendarToken();
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(kiwi) });
+      jest.spyOn(Workout, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([]) });
+      const findSchedules = jest.spyOn(WorkoutSchedule, 'find').mockResolvedValue([]);
+
+      await request(app)
+        .get(`/api/v1/users/${kiwi._id}/calendar.ics`)
+        .query({ token })
+        .expect(200);
+
+      const today = getZonedDayStart(getZonedDateKey(new Date(), 'Pacific/Auckland'), 'Pacific/Auckland');
+      const { $or } = findSchedules.mock.calls[0][0];
+      expect($or[1].endDate.$gt).toEqual(today);
+      expect(today.getUTCHours()).not.toBe(0);
+    });
+
+    it('should reject unknown time zones on profile updates', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      const response = await request(app)
+        .put(`/api/v1/users/${user._id}`)
+        .set('Authorization', `Bearer ${signAccessToken(user)}`)
+        .send({ timezone: 'Europe/Atlantis' })
+        .expect(400);
+
+      expect(response.body.errors[0]).toMatchObject({ field: 'timezone' });
+    });
+  });
+});
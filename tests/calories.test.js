@@ -0,0 +1,104 @@
+/**
+ * Calorie Estimation Tests
+ * Unit tests for the MET table and workouts logged without caloriesBurned
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workout = require('../src/models/workout');
+const PersonalRecord = require('../src/models/PersonalRecord');
+const AuditEvent = require('../src/models/AuditEvent');
+const { signAccessToken } = require('../src/utils/jwt');
+const { buildMetTable, DEFAULT_MET_VALUES } = require('../src/config/metValues');
+const { getMetValue, estimateCaloriesBurned } = require('../src/utils/calories');
+
+describe('Calorie Estimation', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('MET table', () => {
+    it('should merge overrides into the defaults', () => {
+      const table = buildMetTable({ running: { high: 11 } });
+
+      expect(table.running).toEqual({ ...DEFAULT_MET_VALUES.running, high: 11 });
+      expect(table.yoga).toEqual(DEFAULT_MET_VALUES.yoga);
+      // The defaults themselves are left untouched
+      expect(DEFAULT_MET_VALUES.running.high).toBe(9.8);
+    });
+
+    it('should reject unknown types, unknown intensities and out-of-range values', () => {
+      expect(() => buildMetTable({ parkour: { high: 9 } })).toThrow("unknown exercise type 'parkour'");
+      expect(() => buildMetTable({ running: { brutal: 14 } })).toThrow("unknown intensity 'brutal'");
+      expect(() => buildMetTable({ running: { high: 40 } })).toThrow('running.high must be a number between 1 and 25');
+    });
+
+    it('should fall back to moderate intensity and the other type', () => {
+      expect(getMetValue('cycling')).toBe(DEFAULT_MET_VALUES.cycling.moderate);
+      expect(getMetValue('trampoline', 'high')).toBe(DEFAULT_MET_VALUES.other.high);
+    });
+  });
+
+  describe('Estimates', () => {
+    it('should multiply the MET value by body weight and hours', () => {
+      // 8.3 MET x 70 kg x 0.5 h
+      expect(estimateCaloriesBurned({ exerciseType: 'running', intensity: 'moderate', duration: 30 }, 70))
+        .toEqual({ caloriesBurned: 291, met: 8.3 });
+
+      const table = buildMetTable({ running: { moderate: 10 } });
+      expect(estimateCaloriesBurned({ exerciseType: 'running', duration: 60 }, 80, table).caloriesBurned).toBe(800);
+    });
+
+    it('should need a weight and stay within the workout bounds', () => {
+      expect(estimateCaloriesBurned({ exerciseType: 'walking', duration: 30 }, undefined)).toBeNull();
+      expect(estimateCaloriesBurned({ exerciseType: 'hiit', intensity: 'extreme', duration: 600 }, 300).caloriesBurned).toBe(5000);
+    });
+  });
+
+  describe('POST /api/v1/workouts', () => {
+    const runner = new User({ name: 'Estimated Runner', email: 'estimate@example.com', weight: 70 });
+    const run = { title: 'Easy Run', exerciseType: 'running', duration: 30, workoutDate: '2024-03-04T07:00:00Z' };
+
+    const logWorkout = (user, body) => request(app)
+      .post('/api/v1/workouts')
+      .set('Authorization', `Bearer ${signAccessToken(user)}`)
+      .send(body);
+
+    beforeEach(() => {
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      jest.spyOn(Workout, 'create').mockImplementation(async (data) => {
+        const workout = new Workout(data);
+        await workout.validate();
+        return workout;
+      });
+      jest.spyOn(Workout, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      jest.spyOn(PersonalRecord, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    });
+
+    it('should estimate calories that were left out', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(runner);
+
+      const response = await logWorkout(runner, run).expect(201);
+
+      expect(response.body.data).toMatchObject({ caloriesBurned: 291, caloriesSource: 'estimated' });
+    });
+
+    it('should keep calories the user entered', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(runner);
+
+      const response = await logWorkout(runner, { ...run, caloriesBurned: 320 }).expect(201);
+
+      expect(response.body.data).toMatchObject({ caloriesBurned: 320, caloriesSource: 'user' });
+    });
+
+    it('should ask for calories when the profile has no weight', async () => {
+      const guest = new User({ name: 'No Weight', email: 'noweight@example.com' });
+      jest.spyOn(User, 'findById').mockResolvedValue(guest);
+
+      const response = await logWorkout(guest, run).expect(400);
+
+      expect(response.body.message).toMatch(/caloriesBurned is required unless the user has a weight/);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Exercise Catalog Tests
+ * Unit tests for name matching, linking workout exercises to the catalog and validation
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const Exercise = require('../src/models/Exercise');
+const { STANDARD_EXERCISES } = require('../src/config/exerciseLibrary');
+const { validateExercise, validateWorkout } = require('../src/middleware/validator');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Exercise Catalog', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Name matching', () => {
+    it('should ignore case, punctuation and extra whitespace', () => {
+      expect(Exercise.normalizeName('  Push-Up ')).toBe('push up');
+      expect(Exercise.normalizeName('PUSH   up')).toBe('push up');
+      expect(Exercise.normalizeName(undefined)).toBe('');
+    });
+
+    it('should derive match keys from the name and aliases', async () => {
+      const exercise = new Exercise({
+        name: 'Push Up',
+        aliases: ['Push-ups', 'push up', 'Press-Up'],
+        category: 'strength',
+      });
+
+      await exercise.validate();
+
+      expect(exercise.matchKeys).toEqual(['push up', 'push ups', 'press up']);
+      expect(exercise.toJSON().matchKeys).toBeUndefined();
+    });
+
+    it('should not give two standard exercises the same name or alias', () => {
+      const keys = STANDARD_EXERCISES.flatMap((exercise) => (
+        [...new Set([exercise.name, ...exercise.aliases].map(Exercise.normalizeName))]
+      ));
+
+      expect(new Set(keys).size).toBe(keys.length);
+    });
+  });
+
+  describe('Linking workout exercises', () => {
+    const squat = new Exercise({ name: 'Back Squat', aliases: ['Squat'], category: 'strength' });
+    squat.matchKeys = ['back squat', 'squat'];
+
+    it('should use the catalog name for entries with an exerciseId', async () => {
+      jest.spyOn(Exercise, 'find').mockResolvedValue([squat]);
+
+      const { exercises, unknownIds } = await Exercise.resolveWorkoutExercises([
+        { exerciseId: squat._id.toString(), sets: 5, reps: 5 },
+      ]);
+
+      expect(unknownIds).toEqual([]);
+      expect(exercises[0]).toMatchObject({ exerciseId: squat._id, name: 'Back Squat', sets: 5, reps: 5 });
+    });
+
+    it('should link legacy names by alias and keep unknown names as free text', async () => {
+      const find = jest.spyOn(Exercise, 'find').mockReturnValue({
+        select: jest.fn().mockResolvedValue([squat]),
+      });
+
+      const { exercises } = await Exercise.resolveWorkoutExercises([
+        { name: 'squat', sets: 3 },
+        { name: ' Farmer Walk ' },
+      ]);
+
+      expect(find).toHaveBeenCalledWith({ matchKeys: { $in: ['squat', 'farmer walk'] } });
+      expect(exercises[0]).toMatchObject({ exerciseId: squat._id, name: 'Back Squat', sets: 3 });
+      expect(exercises[1]).toEqual({ name: 'Farmer Walk' });
+    });
+
+    it('should report exercise IDs that are not in the catalog', async () => {
+      const missingId = new mongoose.Types.ObjectId().toString();
+      jest.spyOn(Exercise, 'find').mockResolvedValue([]);
+
+      const { unknownIds } = await Exercise.resolveWorkoutExercises([{ exerciseId: missingId }]);
+
+      expect(unknownIds).toEqual([missingId]);
+    });
+  });
+
+  describe('Validation', () => {
+    it('should reject unknown categories, muscle groups and equipment', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      validateExercise(false)({
+        body: { name: 'Mystery Lift', category: 'magic', muscleGroups: ['chest', 'wings'], equipment: 'barbell' },
+      }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].errors.map((error) => error.field))
+        .toEqual(['category', 'muscleGroups', 'equipment']);
+    });
+
+    it('should accept workout exercises given by catalog ID alone', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      validateWorkout(true)({
+        body: { exercises: [{ exerciseId: new mongoose.Types.ObjectId().toString(), sets: 3 }] },
+      }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should reject catalog searches with an unknown filter value', async () => {
+      const response = await request(app).get('/api/v1/exercises?muscleGroup=wings');
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors[0].field).toBe('muscleGroup');
+    });
+
+    it('should require authentication to add exercises', async () => {
+      const response = await request(app)
+        .post('/api/v1/exercises')
+        .send({ name: 'Landmine Press', category: 'strength' });
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Goal Tests
+ * Unit tests for goal progress, on-track status, projections and calorie plans
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Goal = require('../src/models/Goal');
+const Exercise = require('../src/models/Exercise');
+const PersonalRecord = require('../src/models/PersonalRecord');
+const BodyMeasurement = require('../src/models/BodyMeasurement');
+const AuditEvent = require('../src/models/AuditEvent');
+const Workout = require('../src/models/workout');
+const { signAccessToken } = require('../src/utils/jwt');
+const { measureGoal, evaluateGoal, buildCaloriePlan } = require('../src/utils/goals');
+
+describe('Goals', () => {
+  const user = new User({
+    name: 'Goal Setter',
+    email: 'goals@example.com',
+    weight: 90,
+    height: 175,
+    age: 30,
+    sex: 'male',
+    activityLevel: 'sedentary',
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Progress', () => {
+    const weightGoal = new Goal({
+      userId: user._id,
+      type: 'weight',
+      target: 80,
+      startValue: 90,
+      startDate: new Date('2024-01-01T00:00:00Z'),
+      deadline: new Date('2024-04-01T00:00:00Z'),
+    });
+    const now = new Date('2024-02-01T00:00:00Z');
+
+    it('should project the completion date from the pace so far', () => {
+      const result = evaluateGoal(weightGoal, { currentValue: 87 }, now);
+
+      expect(result).toMatchObject({ currentValue: 87, unit: 'kg', progress: 30, remaining: 7, ratePerWeek: -0.68 });
+      // 3 kg in 31 days leaves 7 kg for another 72 days - past the deadline
+      expect(result.projectedCompletionDate.toISOString().slice(0, 10)).toBe('2024-04-13');
+      expect(result.status).toBe('off_track');
+    });
+
+    it('should be on track when progress keeps up with the time gone by', () => {
+      expect(evaluateGoal(weightGoal, { currentValue: 86 }, now).status).toBe('on_track');
+      // A smoothed trend behind a lucky weigh-in slows the projection down
+      expect(evaluateGoal(weightGoal, { currentValue: 86, trendValue: 88 }, now).ratePerWeek).toBe(-0.45);
+    });
+
+    it('should report achieved and missed goals', () => {
+      expect(evaluateGoal(weightGoal, { currentValue: 79.5 }, now)).toMatchObject({
+        status: 'achieved',
+        progress: 100,
+        remaining: 0,
+        projectedCompletionDate: null,
+      });
+      expect(evaluateGoal(weightGoal, { currentValue: 85 }, new Date('2024-05-01T00:00:00Z')).status).toBe('missed');
+    });
+
+    it('should count up towards distance and lift targets', () => {
+      const distanceGoal = new Goal({ userId: user._id, type: 'distance', target: 100, startValue: 0, startDate: new Date('2024-01-01T00:00:00Z') });
+
+      expect(evaluateGoal(distanceGoal, { currentValue: 25 }, now)).toMatchObject({ progress: 25, status: 'on_track' });
+      expect(evaluateGoal(distanceGoal, { currentValue: 0 }, now).status).toBe('off_track');
+    });
+
+    it('should judge workout frequency on the share of the week gone by', () => {
+      const frequencyGoal = new Goal({ userId: user._id, type: 'workout_frequency', target: 3 });
+      // Wednesday noon: 2.5 of 7 days gone, so about one workout is due
+      const wednesday = new Date('2024-03-06T12:00:00Z');
+
+      expect(evaluateGoal(frequencyGoal, { currentValue: 1 }, wednesday).status).toBe('off_track');
+      expect(evaluateGoal(frequencyGoal, { currentValue: 2 }, wednesday)).toMatchObject({
+        status: 'on_track',
+        remaining: 1,
+        weekStart: new Date('2024-03-04T00:00:00Z'),
+      });
+      expect(evaluateGoal(frequencyGoal, { currentValue: 3 }, wednesday).status).toBe('achieved');
+    });
+
+    it('should count workouts saved before statuses existed', async () => {
+      const frequencyGoal = new Goal({ userId: user._id, type: 'workout_frequency', target: 3, exerciseType: 'running' });
+      const count = jest.spyOn(Workout, 'countDocuments').mockResolvedValue(2);
+
+      const values = await measureGoal(frequencyGoal, user, new Date('2024-03-06T12:00:00Z'));
+
+      expect(values.currentValue).toBe(2);
+      expect(count).toHaveBeenCalledWith({
+        userId: user._id,
+        completed: true,
+        exerciseType: 'running',
+        workoutDate: { $gte: new Date('2024-03-04T00:00:00Z'), $lt: new Date('2024-03-11T00:00:00Z') },
+      });
+    });
+  });
+
+  describe('Calorie plans', () => {
+    const now = new Date('2024-02-01T00:00:00Z');
+
+    it('should hold the weekly loss to a safe pace', () => {
+      const goal = new Goal({ userId: user._id, type: 'weight', target: 80, startValue: 90, deadline: new Date(now.getTime() + 5 * 7 * 24 * 60 * 60 * 1000) });
+      const plan = buildCaloriePlan(goal, user, { currentValue: 90 }, now);
+
+      expect(plan).toEqual({
+        maintenance: user.dailyCalorieNeeds,
+        dailyTarget: Math.max(user.dailyCalorieNeeds - 1100, 1200),
+        dailyDeficit: 1100,
+        weeklyChange: -1,
+        requiredWeeklyChange: -2,
+        capped: true,
+      });
+    });
+
+    it('should plan a surplus for weight gain goals without a deadline', () => {
+      const goal = new Goal({ userId: user._id, type: 'weight', target: 95, startValue: 90 });
+      const plan = buildCaloriePlan(goal, user, { currentValue: 90 }, now);
+
+      expect(plan).toMatchObject({ dailyTarget: user.dailyCalorieNeeds + 550, dailyDeficit: -550, weeklyChange: 0.5, capped: false });
+    });
+
+    it('should need a complete profile', () => {
+      const guest = new User({ name: 'Guest', email: 'guest@example.com', weight: 90 });
+      const goal = new Goal({ userId: guest._id, type: 'weight', target: 80, startValue: 90 });
+
+      expect(buildCaloriePlan(goal, guest, { currentValue: 90 }, now)).toBeNull();
+    });
+  });
+
+  describe('/api/v1/users/:id/goals', () => {
+    const authorized = (req) => req.set('Authorization', `Bearer ${signAccessToken(user)}`);
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      jest.spyOn(Goal.prototype, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+      });
+    });
+
+    it('should start a weight goal from the profile weight with a calorie plan', async () => {
+      jest.spyOn(BodyMeasurement, 'find').mockReturnValue({
+        select: () => ({ sort: () => ({ lean: jest.fn().mockResolvedValue([]) }) }),
+      });
+
+      const response = await authorized(request(app).post(`/api/v1/users/${user._id}/goals`))
+        .send({ type: 'weight', target: 85 })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ title: 'Target weight: 85 kg', startValue: 90, target: 85 });
+      expect(response.body.data.progress).toMatchObject({ currentValue: 90, progress: 0, status: 'on_track' });
+      expect(response.body.data.progress.caloriePlan).toMatchObject({ weeklyChange: -0.5, dailyDeficit: 550 });
+    });
+
+    it('should link lift goals to the catalog and start from the current record', async () => {
+      const squat = Exercise.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'Back Squat', category: 'strength' });
+      jest.spyOn(Exercise, 'findByReference').mockResolvedValue(squat);
+      const findRecord = jest.spyOn(PersonalRecord, 'findOne').mockReturnValue({
+        sort: jest.fn().mockResolvedValue({ value: 120 }),
+      });
+
+      const response = await authorized(request(app).post(`/api/v1/users/${user._id}/goals`))
+        .send({ type: 'lift', exercise: 'squat', target: 140, deadline: '2099-01-01' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        title: 'Back Squat: 140 kg',
+        exerciseId: squat._id.toString(),
+        recordType: 'heaviest_weight',
+        startValue: 120,
+      });
+      expect(findRecord).toHaveBeenCalledWith(expect.objectContaining({ exerciseId: squat._id, type: 'heaviest_weight', isCurrent: true }));
+    });
+
+    it('should reject invalid goals', async () => {
+      const response = await authorized(request(app).post(`/api/v1/users/${user._id}/goals`))
+        .send({ type: 'workout_frequency', target: 3.5, recordType: 'heaviest_weight' })
+        .expect(400);
+
+      expect(response.body.errors.map((error) => error.field)).toEqual(['target', 'recordType']);
+
+      const lift = await authorized(request(app).post(`/api/v1/users/${user._id}/goals`))
+        .send({ type: 'lift', target: 100 })
+        .expect(400);
+
+      expect(lift.body.errors[0].field).toBe('exercise');
+    });
+
+    it('should keep goals and their measurement data private to the owner', async () => {
+      const stranger = new User({ name: 'Stranger', email: 'stranger@example.com' });
+      const find = jest.spyOn(Goal, 'find');
+
+      await request(app).get(`/api/v1/users/${user._id}/goals`).expect(401);
+
+      User.findById.mockResolvedValue(stranger);
+      await request(app)
+        .get(`/api/v1/users/${user._id}/goals/${new mongoose.Types.ObjectId()}`)
+        .set('Authorization', `Bearer ${signAccessToken(stranger)}`)
+        .expect(403);
+
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('should not let the goal type change', async () => {
+      const response = await authorized(request(app).put(`/api/v1/users/${user._id}/goals/${new mongoose.Types.ObjectId()}`))
+        .send({ type: 'distance' })
+        .expect(400);
+
+      expect(response.body.errors[0].message).toMatch(/cannot be changed/);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Linked Identity Tests
+ * Unit tests for the OAuth provider layer and account matching during OAuth login
+ */
+
+const passport = require('../src/config/passport');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const {
+  getEnabledProviders,
+  getStrategyOptions,
+  normalizeProfile,
+  getVerifiedEmail,
+} = require('../src/config/oauthProviders');
+
+// GitHub profile as returned by passport-github2 with allRawEmails
+const githubProfile = (overrides = {}) => ({
+  id: 4242,
+  username: 'octo',
+  displayName: 'Octo Cat',
+  photos: [{ value: 'https://avatars.example.com/octo.png' }],
+  emails: [
+    { value: 'Octo@Example.com', verified: true, primary: true },
+    { value: 'old@example.com', verified: false, primary: false },
+  ],
+  ...overrides,
+});
+
+// Run the GitHub strategy's verify callback and resolve with (user, info)
+const runGithubLogin = (req, profile) => new Promise((resolve, reject) => {
+  passport._strategy('github')._verify(req, 'access', 'refresh', profile, (error, user, info) => {
+    if (error) return reject(error);
+    return resolve({ user, info });
+  });
+});
+
+describe('Linked Identities', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Provider configuration', () => {
+    it('should enable providers with a client ID configured', () => {
+      expect(getEnabledProviders()).toContain('github');
+      expect(getEnabledProviders()).not.toContain('google');
+    });
+
+    it('should build strategy options from the environment', () => {
+      const options = getStrategyOptions('github');
+
+      expect(options.clientID).toBe(process.env.GITHUB_CLIENT_ID);
+      expect(options.callbackURL).toMatch(/\/auth\/github\/callback$/);
+      expect(options.passReqToCallback).toBe(true);
+      expect(options.allRawEmails).toBe(true);
+    });
+
+    it('should normalize profiles and keep only verified addresses as verified', () => {
+      const normalized = normalizeProfile('github', githubProfile());
+
+      expect(normalized.providerId).toBe('4242');
+      expect(normalized.emails).toEqual([
+        { value: 'octo@example.com', verified: true, primary: true },
+        { value: 'old@example.com', verified: false, primary: false },
+      ]);
+      expect(getVerifiedEmail(normalized)).toBe('octo@example.com');
+    });
+
+    it('should trust every address from providers that only expose verified ones', () => {
+      const normalized = normalizeProfile('gitlab', { id: 7, emails: [{ value: 'lab@example.com' }] });
+
+      expect(getVerifiedEmail(normalized)).toBe('lab@example.com');
+    });
+
+    it('should return no verified email when the provider hides it', () => {
+      const normalized = normalizeProfile('github', githubProfile({ emails: undefined }));
+
+      expect(getVerifiedEmail(normalized)).toBeUndefined();
+    });
+  });
+
+  describe('User identities', () => {
+    it('should allow OAuth users without an email', () => {
+      const user = new User({
+        name: 'No Email',
+        identities: [{ provider: 'github', providerId: '1' }],
+      });
+
+      expect(user.validateSync()).toBeUndefined();
+    });
+
+    it('should still require an email for users without identities', () => {
+      const user = new User({ name: 'No Email' });
+
+      expect(user.validateSync().errors.email).toBeDefined();
+    });
+
+    it('should move a legacy githubId into identities', () => {
+      const user = new User({ name: 'Legacy', email: 'legacy@example.com', githubId: '99' });
+
+      expect(user.migrateLegacyGithubId()).toBe(true);
+      expect(user.githubId).toBeUndefined();
+      expect(user.getIdentity('github', '99')).toBeDefined();
+      expect(user.migrateLegacyGithubId()).toBe(false);
+    });
+  });
+
+  describe('OAuth login', () => {
+    let auditCreate;
+
+    beforeEach(() => {
+      jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+        this.isNew = false;
+        return Promise.resolve(this);
+      });
+      auditCreate = jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+    });
+
+    it('should log in the user the identity is linked to', async () => {
+      const existing = new User({
+        name: 'Octo Cat',
+        email: 'octo@example.com',
+        identities: [{ provider: 'github', providerId: '4242' }],
+      });
+      existing.isNew = false;
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue(existing);
+
+      const { user } = await runGithubLogin({}, githubProfile());
+
+      expect(user).toBe(existing);
+      expect(user.identities).toHaveLength(1);
+      expect(user.identities[0].lastLoginAt).toBeInstanceOf(Date);
+      // Routine logins are not audited
+      expect(auditCreate).not.toHaveBeenCalled();
+    });
+
+    it('should link to an existing account with the same verified email', async () => {
+      const existing = new User({ name: 'Octo Cat', email: 'octo@example.com', emailVerifiedAt: new Date() });
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+      const find = jest.spyOn(User, 'find').mockResolvedValue([existing]);
+
+      const { user } = await runGithubLogin({}, githubProfile());
+
+      expect(find).toHaveBeenCalledWith({ email: { $in: ['octo@example.com'] } });
+      expect(user).toBe(existing);
+      expect(user.getIdentity('github', '4242')).toBeDefined();
+    });
+
+    it('should not link to an account whose email was never verified', async () => {
+      const existing = new User({ name: 'Pre Hijacker', email: 'octo@example.com', passwordHash: 'scrypt$hash' });
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+      jest.spyOn(User, 'find').mockResolvedValue([existing]);
+
+      const { user } = await runGithubLogin({}, githubProfile());
+
+      expect(user).not.toBe(existing);
+      expect(user.isNew).toBe(false);
+      // The address stays with the other account, so the new one has none
+      expect(user.email).toBeUndefined();
+      expect(user.getIdentity('github', '4242')).toBeDefined();
+      expect(existing.identities).toHaveLength(0);
+      expect(existing.passwordHash).toBe('scrypt$hash');
+    });
+
+    it('should treat a new OAuth account\'s email as verified', async () => {
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+      jest.spyOn(User, 'find').mockResolvedValue([]);
+
+      const { user } = await runGithubLogin({}, githubProfile());
+
+      expect(user.email).toBe('octo@example.com');
+      expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+      expect(user.emailVerified).toBe(true);
+    });
+
+    it('should link the identity to the logged-in user', async () => {
+      const currentUser = new User({ name: 'Current', email: 'current@example.com' });
+      currentUser.isNew = false;
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+
+      const { user } = await runGithubLogin({ user: currentUser }, githubProfile());
+
+      expect(user).toBe(currentUser);
+      expect(currentUser.getIdentity('github', '4242').email).toBe('octo@example.com');
+      expect(auditCreate).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'update',
+        resourceId: currentUser._id,
+        changes: expect.arrayContaining([expect.objectContaining({ field: 'identities' })]),
+      }));
+    });
+
+    it('should refuse identities already linked to another user', async () => {
+      const currentUser = new User({ name: 'Current', email: 'current@example.com' });
+      const otherUser = new User({ name: 'Other', email: 'other@example.com' });
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue(otherUser);
+
+      const { user, info } = await runGithubLogin({ user: currentUser }, githubProfile());
+
+      expect(user).toBe(false);
+      expect(info.message).toContain('already linked');
+    });
+
+    it('should create an account without inventing an email when none is verified', async () => {
+      jest.spyOn(User, 'findByIdentity').mockResolvedValue(null);
+      const find = jest.spyOn(User, 'find');
+
+      const { user } = await runGithubLogin({}, githubProfile({
+        emails: [{ value: 'unverified@example.com', verified: false }],
+      }));
+
+      expect(find).not.toHaveBeenCalled();
+      expect(user.email).toBeUndefined();
+      expect(user.identities[0].providerId).toBe('4242');
+      expect(auditCreate).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'create',
+        resourceType: 'user',
+        actorId: user._id,
+      }));
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * JWT Tests
+ * Unit tests for JWT helpers and bearer JWT authentication
+ */
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const RefreshToken = require('../src/models/RefreshToken');
+const {
+  signAccessToken,
+  verifyAccessToken,
+  signExchangeCode,
+  verifyExchangeCode,
+  getExpiresIn,
+  isJwt,
+} = require('../src/utils/jwt');
+const { requireAuth, requireScope, requireSession } = require('../src/middleware/auth');
+
+// Minimal Express request/response doubles
+const createRequest = (headers = {}) => ({
+  headers,
+  path: '/api/v1/workouts',
+  method: 'POST',
+  get: (name) => headers[name.toLowerCase()],
+  isAuthenticated: () => false,
+});
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('JWT Authentication', () => {
+  const user = new User({
+    name: 'Mobile User',
+    email: 'mobile@example.com',
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('JWT helpers', () => {
+    it('should sign and verify access tokens for a user', () => {
+      const token = signAccessToken(user);
+      const payload = verifyAccessToken(token);
+
+      expect(payload.sub).toBe(user._id.toString());
+      expect(payload.typ).toBe('access');
+      expect(getExpiresIn(token)).toBeGreaterThan(0);
+      expect(getExpiresIn(token)).toBeLessThanOrEqual(15 * 60);
+    });
+
+    it('should give each exchange code a unique id', () => {
+      const first = verifyExchangeCode(signExchangeCode(user));
+      const second = verifyExchangeCode(signExchangeCode(user));
+
+      expect(first.jti).toBeDefined();
+      expect(first.jti).not.toBe(second.jti);
+    });
+
+    it('should not accept an exchange code as an access token', () => {
+      expect(() => verifyAccessToken(signExchangeCode(user))).toThrow(jwt.JsonWebTokenError);
+    });
+
+    it('should reject tokens signed with another secret', () => {
+      const forged = jwt.sign({ typ: 'access' }, 'not-the-secret', {
+        subject: user._id.toString(),
+        issuer: 'fitness-tracker-api',
+      });
+
+      expect(() => verifyAccessToken(forged)).toThrow(jwt.JsonWebTokenError);
+    });
+
+    it('should tell JWTs apart from personal access tokens', () => {
+      expect(isJwt(signAccessToken(user))).toBe(true);
+      expect(isJwt('fit_pat_abc123')).toBe(false);
+    });
+  });
+
+  describe('requireAuth with a JWT', () => {
+    it('should authenticate a valid access token', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      const req = createRequest({ authorization: `Bearer ${signAccessToken(user)}` });
+      const next = jest.fn();
+
+      await requireAuth(req, createResponse(), next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user).toBe(user);
+      expect(req.authMethod).toBe('jwt');
+      expect(req.authClaims.sub).toBe(user._id.toString());
+    });
+
+    it('should pass expired tokens to the error handler', async () => {
+      const expired = signAccessToken(user);
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 60 * 1000);
+
+      const req = createRequest({ authorization: `Bearer ${expired}` });
+      const next = jest.fn();
+
+      await requireAuth(req, createResponse(), next);
+
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ name: 'TokenExpiredError' }));
+      expect(req.user).toBeUndefined();
+    });
+
+    it('should reject tokens for deactivated users', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(new User({
+        name: 'Inactive User',
+        email: 'inactive@example.com',
+        isActive: false,
+      }));
+
+      const req = createRequest({ authorization: `Bearer ${signAccessToken(user)}` });
+      const res = createResponse();
+      const next = jest.fn();
+
+      await requireAuth(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should not limit JWT requests by scope but keep session-only routes closed', () => {
+      const req = { user, authMethod: 'jwt' };
+      const res = createResponse();
+      const next = jest.fn();
+
+      requireScope('workouts:write')(req, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      requireSession(req, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('POST /auth/token', () => {
+    it('should tag the first refresh token with the exchange code', async () => {
+      const code = signExchangeCode(user);
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      const create = jest.spyOn(RefreshToken, 'create').mockImplementation((doc) => Promise.resolve(doc));
+
+      await request(app).post('/auth/token').send({ code }).expect(200);
+
+      const { jti } = verifyExchangeCode(code);
+      expect(create.mock.calls[0][0]).toMatchObject({ family: jti, exchangeCode: jti });
+    });
+
+    it('should revoke the family when the code was already redeemed', async () => {
+      const code = signExchangeCode(user);
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(RefreshToken, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+      const revoke = jest.spyOn(RefreshToken, 'revokeFamily').mockResolvedValue({});
+
+      const response = await request(app).post('/auth/token').send({ code }).expect(401);
+
+      expect(response.body.message).toBe('Exchange code has already been used');
+      expect(revoke).toHaveBeenCalledWith(verifyExchangeCode(code).jti);
+    });
+  });
+});
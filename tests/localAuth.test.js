@@ -0,0 +1,174 @@
+/**
+ * Local Authentication Tests
+ * Unit tests for password hashing, the password policy, the mailer outbox and email verification
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const AuditEvent = require('../src/models/AuditEvent');
+const { hashToken } = require('../src/utils/tokens');
+const { signAccessToken } = require('../src/utils/jwt');
+const { hashPassword, verifyPassword, getPasswordPolicyError } = require('../src/utils/password');
+const {
+  createOutboxTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+  readOutbox,
+  clearOutbox,
+} = require('../src/utils/mailer');
+
+describe('Local Authentication', () => {
+  describe('Password hashing', () => {
+    it('should hash passwords with a random salt', async () => {
+      const first = await hashPassword('Secret123');
+      const second = await hashPassword('Secret123');
+
+      expect(first).toMatch(/^scrypt\$/);
+      expect(first).not.toContain('Secret123');
+      expect(first).not.toBe(second);
+    });
+
+    it('should verify the right password only', async () => {
+      const hash = await hashPassword('Secret123');
+
+      expect(await verifyPassword('Secret123', hash)).toBe(true);
+      expect(await verifyPassword('Secret124', hash)).toBe(false);
+      expect(await verifyPassword('Secret123', undefined)).toBe(false);
+      expect(await verifyPassword('Secret123', 'md5$abc')).toBe(false);
+    });
+
+    it('should set and check passwords on users', async () => {
+      const user = new User({ name: 'Local User', email: 'local@example.com' });
+
+      await user.setPassword('Secret123');
+
+      expect(user.passwordChangedAt).toBeInstanceOf(Date);
+      expect(await user.checkPassword('Secret123')).toBe(true);
+      expect(await user.checkPassword('wrong-password1')).toBe(false);
+      expect(user.toJSON().passwordHash).toBeUndefined();
+    });
+  });
+
+  describe('Password policy', () => {
+    it('should accept passwords with letters and numbers', () => {
+      expect(getPasswordPolicyError('Secret123')).toBeNull();
+    });
+
+    it('should reject short, missing or letter-only passwords', () => {
+      expect(getPasswordPolicyError('Ab1')).toContain('between');
+      expect(getPasswordPolicyError(undefined)).toBe('Password is required');
+      expect(getPasswordPolicyError('onlyletters')).toContain('letter and one number');
+    });
+  });
+
+  describe('Mailer outbox', () => {
+    const directory = path.join(os.tmpdir(), `fitness-outbox-test-${process.pid}`);
+    let previousTransport;
+
+    beforeEach(async () => {
+      previousTransport = getTransport();
+      setTransport(createOutboxTransport(directory));
+      await clearOutbox(directory);
+    });
+
+    afterEach(async () => {
+      setTransport(previousTransport);
+      await clearOutbox(directory);
+    });
+
+    it('should write sent messages to the outbox in order', async () => {
+      await sendMail({ to: 'a@example.com', subject: 'First', text: 'one' });
+      await sendMail({ to: 'b@example.com', subject: 'Second', text: 'two' });
+
+      const messages = await readOutbox(directory);
+
+      expect(messages.map((message) => message.subject)).toEqual(['First', 'Second']);
+      expect(messages[0].from).toBeDefined();
+      expect(fs.readdirSync(directory)).toHaveLength(2);
+    });
+
+    it('should return an empty outbox when nothing was sent', async () => {
+      expect(await readOutbox(directory)).toEqual([]);
+    });
+
+    it('should reject transports without a send function', () => {
+      expect(() => setTransport({ name: 'broken' })).toThrow(TypeError);
+    });
+  });
+
+  describe('Email verification', () => {
+    const directory = path.join(os.tmpdir(), `fitness-verify-test-${process.pid}`);
+    let previousTransport;
+
+    beforeEach(async () => {
+      previousTransport = getTransport();
+      setTransport(createOutboxTransport(directory));
+      await clearOutbox(directory);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      setTransport(previousTransport);
+      await clearOutbox(directory);
+    });
+
+    it('should only count verified addresses or those a linked provider verified', () => {
+      const user = new User({ name: 'New User', email: 'new@example.com' });
+      expect(user.emailVerified).toBe(false);
+
+      user.identities.push({ provider: 'github', providerId: '1', email: 'new@example.com' });
+      expect(user.emailVerified).toBe(true);
+    });
+
+    it('should verify the address with the emailed token, once', async () => {
+      const user = new User({ name: 'New User', email: 'new@example.com' });
+      const token = user.issueEmailVerificationToken();
+      jest.spyOn(User.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      const findOne = jest.spyOn(User, 'findOne').mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+
+      const response = await request(app).post('/auth/email/verify').send({ token }).expect(200);
+
+      expect(findOne).toHaveBeenCalledWith({
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpiresAt: { $gt: expect.any(Date) },
+      });
+      expect(response.body.data.emailVerifiedAt).toBeDefined();
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerificationTokenHash).toBeUndefined();
+
+      await request(app).post('/auth/email/verify').send({ token }).expect(400);
+    });
+
+    it('should require verifying a changed email again', async () => {
+      const user = new User({ name: 'Mover', email: 'old@example.com', emailVerifiedAt: new Date() });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(User, 'findOne').mockResolvedValue(null);
+      const update = jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (id, changes) => {
+        return new User({ ...user.toObject(), email: changes.email, emailVerifiedAt: undefined });
+      });
+
+      await request(app)
+        .put(`/api/v1/users/${user._id}`)
+        .set('Authorization', `Bearer ${signAccessToken(user)}`)
+        .send({ email: 'New@Example.com' })
+        .expect(200);
+
+      const [message] = await readOutbox(directory);
+      const token = message.text.match(/fit_evt_\S+/)[0];
+      expect(message.to).toBe('new@example.com');
+      expect(update.mock.calls[0][1]).toMatchObject({
+        email: 'new@example.com',
+        emailVerificationTokenHash: hashToken(token),
+        $unset: { emailVerifiedAt: 1 },
+      });
+    });
+  });
+});
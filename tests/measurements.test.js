@@ -0,0 +1,185 @@
+/**
+ * Body Measurement Tests
+ * Unit tests for measurement trends and keeping the profile in sync with the history
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const BodyMeasurement = require('../src/models/BodyMeasurement');
+const AuditEvent = require('../src/models/AuditEvent');
+const { signAccessToken } = require('../src/utils/jwt');
+const { buildTrend } = require('../src/utils/measurements');
+
+describe('Body Measurements', () => {
+  const history = [
+    { measuredAt: new Date('2024-03-01T07:00:00Z'), weight: 80 },
+    { measuredAt: new Date('2024-03-02T07:00:00Z'), weight: 81, waist: 90 },
+    { measuredAt: new Date('2024-03-03T07:00:00Z'), weight: 79 },
+    { measuredAt: new Date('2024-03-05T07:00:00Z'), waist: 89 },
+    { measuredAt: new Date('2024-03-10T07:00:00Z'), weight: 78 },
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Trends', () => {
+    it('should add a trailing moving average and an EWMA to each entry', () => {
+      const trend = buildTrend(history, 'weight');
+
+      expect(trend.points.map(({ value, movingAverage, ewma }) => ({ value, movingAverage, ewma }))).toEqual([
+        { value: 80, movingAverage: 80, ewma: 80 },
+        { value: 81, movingAverage: 80.5, ewma: 80.1 },
+        { value: 79, movingAverage: 80, ewma: 79.99 },
+        // The 3 March entry is exactly seven days old and has left the window
+        { value: 78, movingAverage: 78, ewma: 79.79 },
+      ]);
+      expect(trend.summary).toEqual({ count: 4, latest: 78, smoothed: 79.79, change: -0.21, direction: 'down' });
+      expect(trend.unit).toBe('kg');
+    });
+
+    it('should keep the EWMA seeded by entries before from', () => {
+      const trend = buildTrend(history, 'weight', { from: '2024-03-03T00:00:00Z', windowDays: 14, alpha: 0.5 });
+
+      expect(trend.points.map((point) => point.ewma)).toEqual([79.75, 78.88]);
+      expect(trend.points[1].movingAverage).toBe(79.5);
+      expect(trend.summary.count).toBe(2);
+    });
+
+    it('should chart metrics other than weight', () => {
+      const trend = buildTrend(history, 'waist');
+
+      expect(trend.points.map((point) => point.value)).toEqual([90, 89]);
+      expect(trend.unit).toBe('cm');
+      expect(buildTrend([], 'waist').summary).toEqual({ count: 0, latest: null, smoothed: null, change: null, direction: null });
+    });
+  });
+
+  describe('Model', () => {
+    it('should need at least one metric and reject out-of-range values', async () => {
+      const user = new User({ name: 'Model Check', email: 'model@example.com' });
+
+      await expect(new BodyMeasurement({ userId: user._id, notes: 'empty' }).validate())
+        .rejects.toThrow(/at least one of: weight/);
+      expect(new BodyMeasurement({ userId: user._id, restingHeartRate: 300 }).validateSync().errors.restingHeartRate.message)
+        .toBe('Resting heart rate cannot exceed 250 bpm');
+      expect(new BodyMeasurement({ userId: user._id, chest: 102 }).validateSync()).toBeUndefined();
+    });
+  });
+
+  describe('/api/v1/users/:id/measurements', () => {
+    const lifter = new User({ name: 'Measured Lifter', email: 'measured@example.com', weight: 82 });
+
+    const authorized = (req) => req.set('Authorization', `Bearer ${signAccessToken(lifter)}`);
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(lifter);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+    });
+
+    it('should record a measurement and copy the latest weight to the profile', async () => {
+      let latest = null;
+      jest.spyOn(BodyMeasurement, 'create').mockImplementation(async (data) => {
+        latest = new BodyMeasurement(data);
+        await latest.validate();
+        return latest;
+      });
+      jest.spyOn(BodyMeasurement, 'findOne').mockImplementation((filter) => ({
+        sort: jest.fn().mockImplementation(() => Promise.resolve(
+          latest && typeof latest[Object.keys(filter)[1]] === 'number' ? latest : null
+        )),
+      }));
+      const update = jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (id, { $set }) => {
+        return new User({ name: lifter.name, email: lifter.email, weight: 82, ...$set });
+      });
+
+      const response = await authorized(request(app).post(`/api/v1/users/${lifter._id}/measurements`))
+        .send({ weight: 80.4, waist: 88, measuredAt: '2024-03-10T07:00:00Z' })
+        .expect(201);
+
+      expect(response.body.data.measurement).toMatchObject({ weight: 80.4, waist: 88, userId: lifter._id.toString() });
+      expect(response.body.data.profile).toEqual({ weight: 80.4, bodyFatPercentage: null });
+      expect(update).toHaveBeenCalledWith(lifter._id.toString(), { $set: { weight: 80.4 } }, expect.objectContaining({ runValidators: true }));
+      expect(AuditEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'update',
+        resourceType: 'user',
+        actorId: lifter._id,
+        changes: [{ field: 'weight', before: 82, after: 80.4 }],
+      }));
+    });
+
+    it('should reject empty, out-of-range and future measurements', async () => {
+      const response = await authorized(request(app).post(`/api/v1/users/${lifter._id}/measurements`))
+        .send({ bodyFatPercentage: 90, measuredAt: '2999-01-01' })
+        .expect(400);
+
+      expect(response.body.errors.map((error) => error.field)).toEqual(['bodyFatPercentage', 'measuredAt']);
+
+      const empty = await authorized(request(app).post(`/api/v1/users/${lifter._id}/measurements`))
+        .send({ notes: 'forgot the scale' })
+        .expect(400);
+
+      expect(empty.body.errors[0].field).toBe('metrics');
+    });
+
+    it('should not let other users record measurements', async () => {
+      const stranger = new User({ name: 'Stranger', email: 'stranger@example.com' });
+      User.findById.mockResolvedValue(stranger);
+
+      await request(app)
+        .post(`/api/v1/users/${lifter._id}/measurements`)
+        .set('Authorization', `Bearer ${signAccessToken(stranger)}`)
+        .send({ weight: 75 })
+        .expect(403);
+    });
+
+    it('should keep the measurement history private to the user', async () => {
+      const stranger = new User({ name: 'Stranger', email: 'stranger@example.com' });
+      User.findById.mockResolvedValue(stranger);
+
+      await request(app).get(`/api/v1/users/${lifter._id}/measurements`).expect(401);
+      await request(app)
+        .get(`/api/v1/users/${lifter._id}/measurements/trends`)
+        .set('Authorization', `Bearer ${signAccessToken(stranger)}`)
+        .expect(403);
+    });
+
+    it('should serve the weight trend', async () => {
+      const find = jest.spyOn(BodyMeasurement, 'find').mockReturnValue({
+        select: () => ({ sort: () => ({ lean: jest.fn().mockResolvedValue(history) }) }),
+      });
+
+      const response = await authorized(request(app).get(`/api/v1/users/${lifter._id}/measurements/trends?window=7&to=2024-03-31`))
+        .expect(200);
+
+      expect(response.body.data.summary).toMatchObject({ count: 4, latest: 78, direction: 'down' });
+      expect(find).toHaveBeenCalledWith({
+        userId: lifter._id.toString(),
+        weight: { $type: 'number' },
+        measuredAt: { $lte: new Date('2024-03-31') },
+      });
+    });
+
+    it('should reject unknown metrics and smoothing settings', async () => {
+      const response = await authorized(request(app).get(`/api/v1/users/${lifter._id}/measurements/trends?metric=shoeSize&window=0&alpha=2`))
+        .expect(400);
+
+      expect(response.body.errors.map((error) => error.field)).toEqual(['metric', 'window', 'alpha']);
+    });
+
+    it('should add a profile weight change to the history', async () => {
+      const create = jest.spyOn(BodyMeasurement, 'create').mockImplementation(async (data) => new BodyMeasurement(data));
+      jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (id, data) => {
+        return new User({ _id: id, name: lifter.name, email: lifter.email, ...data });
+      });
+
+      await authorized(request(app).put(`/api/v1/users/${lifter._id}`))
+        .send({ weight: 81, age: 30 })
+        .expect(200);
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ userId: lifter._id, weight: 81 }));
+      expect(create.mock.calls[0][0].bodyFatPercentage).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Nutrition Tests
+ * Unit tests for the food database, the food log, daily totals and the energy balance
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Food = require('../src/models/Food');
+const FoodLogEntry = require('../src/models/FoodLogEntry');
+const Workout = require('../src/models/workout');
+const AuditEvent = require('../src/models/AuditEvent');
+const { signAccessToken } = require('../src/utils/jwt');
+const {
+  scaleNutrition,
+  resolveDateRange,
+  buildDailyNutrition,
+  buildEnergyBalance,
+} = require('../src/utils/nutrition');
+
+describe('Nutrition', () => {
+  // Mifflin-St Jeor: 1780 kcal BMR x 1.2 sedentary = 2136 kcal/day
+  const user = new User({
+    name: 'Food Logger',
+    email: 'nutrition@example.com',
+    weight: 80,
+    height: 180,
+    age: 30,
+    sex: 'male',
+    activityLevel: 'sedentary',
+    timezone: 'Europe/Berlin',
+  });
+
+  const oats = new Food({ name: 'Oats', servingSize: 40, servingUnit: 'g', calories: 150, protein: 5.3, carbs: 27, fat: 2.6, isStandard: true });
+
+  const withAuth = (req, as = user) => req.set('Authorization', `Bearer ${signAccessToken(as)}`);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Daily totals', () => {
+    const range = resolveDateRange({ from: '2024-03-30', to: '2024-04-01' }, 'Europe/Berlin');
+    const entries = [
+      { eatenAt: new Date('2024-03-30T07:00:00Z'), meal: 'breakfast', calories: 450, protein: 20, carbs: 60, fat: 12 },
+      // 00:30 on 31 March in Berlin, though still 30 March in UTC
+      { eatenAt: new Date('2024-03-30T23:30:00Z'), meal: 'snack', calories: 200, protein: 4, carbs: 25, fat: 9 },
+      { eatenAt: new Date('2024-04-01T18:00:00Z'), meal: 'dinner', calories: 2300, protein: 140, carbs: 250, fat: 70 },
+    ];
+
+    it('should scale food nutrition by the servings eaten', () => {
+      expect(scaleNutrition(oats, 1.5)).toEqual({ calories: 225, protein: 8, carbs: 40.5, fat: 3.9 });
+    });
+
+    it('should bound days at local midnight, across daylight saving changes', () => {
+      expect(range.days).toEqual(['2024-03-30', '2024-03-31', '2024-04-01']);
+      expect(range.start.toISOString()).toBe('2024-03-29T23:00:00.000Z');
+      expect(range.end.toISOString()).toBe('2024-04-01T22:00:00.000Z');
+
+      // Without a range: the last 7 days up to today in the user's time zone
+      const recent = resolveDateRange({}, 'Pacific/Auckland', new Date('2024-06-30T20:00:00Z'));
+      expect([recent.from, recent.to]).toEqual(['2024-06-25', '2024-07-01']);
+    });
+
+    it('should total each local day and meal', () => {
+      const nutrition = buildDailyNutrition(entries, range, 'Europe/Berlin');
+
+      expect(nutrition.days.map((day) => day.calories)).toEqual([450, 200, 2300]);
+      expect(nutrition.days[1]).toMatchObject({ entries: 1, meals: { snack: 200, breakfast: 0 } });
+      expect(nutrition.summary).toMatchObject({ daysLogged: 3, totalEntries: 3 });
+      expect(nutrition.summary.averages.calories).toBe(983.3);
+    });
+
+    it('should net intake against daily needs and workouts, skipping days without food', () => {
+      const workouts = [
+        { workoutDate: new Date('2024-03-31T09:00:00Z'), caloriesBurned: 400 },
+        { workoutDate: new Date('2024-04-01T09:00:00Z'), caloriesBurned: 300 },
+      ];
+      const balance = buildEnergyBalance({
+        entries: entries.slice(0, 1).concat(entries.slice(2)),
+        workouts,
+        dailyCalorieNeeds: 2136,
+        range,
+        timeZone: 'Europe/Berlin',
+      });
+
+      expect(balance.days.map((day) => day.net)).toEqual([-1686, null, -136]);
+      expect(balance.days[1]).toMatchObject({ intake: null, caloriesBurned: 400, expenditure: 2536 });
+      expect(balance.summary).toMatchObject({
+        daysLogged: 2,
+        totalIntake: 2750,
+        totalCaloriesBurned: 700,
+        totalNet: -1822,
+        averageNet: -911,
+      });
+    });
+  });
+
+  describe('Food database', () => {
+    it('should let users add private foods', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(Food, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Food.prototype, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+      });
+
+      const response = await withAuth(request(app).post('/api/v1/foods'))
+        .send({ name: 'Grandma\'s Lasagne', servingSize: 1, servingUnit: 'serving', calories: 620, protein: 32, carbs: 55, fat: 28 })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ name: 'Grandma\'s Lasagne', isStandard: false, createdBy: user._id.toString() });
+      expect(Food.findOne).toHaveBeenCalledWith({ searchKey: 'grandma s lasagne', isStandard: false, createdBy: user._id });
+    });
+
+    it('should keep standard foods to users who may manage them', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      await withAuth(request(app).post('/api/v1/foods'))
+        .send({ name: 'Rye Bread', servingSize: 1, servingUnit: 'slice', calories: 83, isStandard: true })
+        .expect(403);
+
+      jest.spyOn(Food, 'findById').mockResolvedValue(oats);
+      await withAuth(request(app).put(`/api/v1/foods/${oats._id}`))
+        .send({ calories: 10 })
+        .expect(403);
+    });
+
+    it('should hide foods other users added', async () => {
+      const other = new Food({ name: 'Secret Recipe', servingSize: 1, servingUnit: 'serving', calories: 300, createdBy: new mongoose.Types.ObjectId() });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(Food, 'findById').mockResolvedValue(other);
+
+      await withAuth(request(app).get(`/api/v1/foods/${other._id}`)).expect(404);
+    });
+  });
+
+  describe('Food log', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      jest.spyOn(FoodLogEntry, 'create').mockImplementation(async (data) => {
+        const entry = new FoodLogEntry(data);
+        await entry.validate();
+        return entry;
+      });
+    });
+
+    it('should take nutrition from the food database', async () => {
+      jest.spyOn(Food, 'findOne').mockResolvedValue(oats);
+
+      const response = await withAuth(request(app).post(`/api/v1/users/${user._id}/food-log`))
+        .send({ foodId: oats._id.toString(), servings: 2, meal: 'breakfast' })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        foodName: 'Oats',
+        servings: 2,
+        servingSize: 40,
+        servingUnit: 'g',
+        calories: 300,
+        protein: 10.6,
+      });
+    });
+
+    it('should need calories for typed-in foods and reject them next to a foodId', async () => {
+      const missing = await withAuth(request(app).post(`/api/v1/users/${user._id}/food-log`))
+        .send({ foodName: 'Street Tacos', meal: 'dinner' })
+        .expect(400);
+      expect(missing.body.errors.map((error) => error.field)).toEqual(['calories']);
+
+      const mixed = await withAuth(request(app).post(`/api/v1/users/${user._id}/food-log`))
+        .send({ foodId: oats._id.toString(), calories: 100, meal: 'breakfast' })
+        .expect(400);
+      expect(mixed.body.errors.map((error) => error.field)).toEqual(['calories']);
+    });
+
+    it('should scale the nutrition when servings change', async () => {
+      const entry = FoodLogEntry.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        userId: user._id,
+        eatenAt: new Date('2024-03-04T07:00:00Z'),
+        meal: 'breakfast',
+        foodId: oats._id,
+        foodName: 'Oats',
+        servings: 2,
+        calories: 300,
+        protein: 10.6,
+        carbs: 54,
+        fat: 5.2,
+      });
+      jest.spyOn(FoodLogEntry, 'findOne').mockResolvedValue(entry);
+      jest.spyOn(FoodLogEntry.prototype, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+      });
+
+      const response = await withAuth(request(app).put(`/api/v1/users/${user._id}/food-log/${entry._id}`))
+        .send({ servings: 1 })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ servings: 1, calories: 150, protein: 5.3, carbs: 27, fat: 2.6 });
+
+      await withAuth(request(app).put(`/api/v1/users/${user._id}/food-log/${entry._id}`))
+        .send({ calories: 900 })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/v1/users/:id/energy-balance', () => {
+    it('should combine intake, daily needs and completed workouts per day', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      const findEntries = jest.spyOn(FoodLogEntry, 'find').mockReturnValue({
+        select: () => ({
+          lean: jest.fn().mockResolvedValue([
+            { eatenAt: new Date('2024-03-04T12:00:00Z'), meal: 'lunch', calories: 2500, protein: 120, carbs: 280, fat: 80 },
+          ]),
+        }),
+      });
+      const findWorkouts = jest.spyOn(Workout, 'find').mockReturnValue({
+        select: () => ({
+          lean: jest.fn().mockResolvedValue([{ workoutDate: new Date('2024-03-04T17:00:00Z'), caloriesBurned: 500 }]),
+        }),
+      });
+
+      const response = await withAuth(request(app).get(`/api/v1/users/${user._id}/energy-balance?from=2024-03-04&to=2024-03-05`))
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ timezone: 'Europe/Berlin', dailyCalorieNeeds: 2136 });
+      expect(response.body.data.days).toEqual([
+        { date: '2024-03-04', intake: 2500, dailyCalorieNeeds: 2136, caloriesBurned: 500, workouts: 1, expenditure: 2636, net: -136 },
+        { date: '2024-03-05', intake: null, dailyCalorieNeeds: 2136, caloriesBurned: 0, workouts: 0, expenditure: 2136, net: null },
+      ]);
+      expect(findEntries).toHaveBeenCalledWith({
+        userId: user._id.toString(),
+        eatenAt: { $gte: new Date('2024-03-03T23:00:00Z'), $lt: new Date('2024-03-05T23:00:00Z') },
+      });
+      expect(findWorkouts).toHaveBeenCalledWith(expect.objectContaining({ completed: true }));
+    });
+
+    it('should reject ranges that are reversed or too long', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      await withAuth(request(app).get(`/api/v1/users/${user._id}/energy-balance?from=2024-03-05&to=2024-03-04`)).expect(400);
+      await withAuth(request(app).get(`/api/v1/users/${user._id}/nutrition?from=2023-01-01&to=2024-03-04`)).expect(400);
+      await withAuth(request(app).get(`/api/v1/users/${user._id}/nutrition?from=2024-02-30`)).expect(400);
+    });
+
+    it('should keep the food log private to the user', async () => {
+      const stranger = new User({ name: 'Nosy Neighbour', email: 'nosy@example.com' });
+      jest.spyOn(User, 'findById').mockResolvedValue(stranger);
+
+      await request(app).get(`/api/v1/users/${user._id}/food-log`).expect(401);
+      await request(app).get(`/api/v1/users/${user._id}/energy-balance`).expect(401);
+      await withAuth(request(app).get(`/api/v1/users/${user._id}/nutrition`), stranger).expect(403);
+    });
+  });
+});
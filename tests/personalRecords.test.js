@@ -0,0 +1,129 @@
+/**
+ * Personal Record Tests
+ * Unit tests for one-rep max estimates and personal record detection
+ */
+
+const mongoose = require('mongoose');
+const Workout = require('../src/models/workout');
+const PersonalRecord = require('../src/models/PersonalRecord');
+const { estimateOneRepMax } = require('../src/utils/oneRepMax');
+const {
+  findRecordCandidates,
+  buildRecordHistory,
+  recalculatePersonalRecords,
+} = require('../src/utils/personalRecords');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Build an unsaved workout for the test user
+const buildWorkout = (date, fields = {}) => new Workout({
+  userId,
+  title: 'Training Session',
+  exerciseType: 'strength',
+  duration: 60,
+  caloriesBurned: 400,
+  workoutDate: new Date(date),
+  ...fields,
+});
+
+// Pick the records of one type from a list
+const ofType = (records, type) => records.filter((record) => record.type === type);
+
+describe('Personal Records', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('One-rep max estimates', () => {
+    it('should use the Epley formula', () => {
+      expect(estimateOneRepMax(100, 5)).toBe(116.7);
+      expect(estimateOneRepMax(100, 1)).toBe(100);
+    });
+
+    it('should not estimate from long or empty sets', () => {
+      expect(estimateOneRepMax(60, 20)).toBeNull();
+      expect(estimateOneRepMax(0, 5)).toBeNull();
+    });
+  });
+
+  describe('Detection', () => {
+    it('should find lifting records per exercise and skip warm-up sets', () => {
+      const workout = buildWorkout('2024-01-01', {
+        exercises: [{
+          name: 'Bench Press',
+          setDetails: [
+            { type: 'warm_up', reps: 15, weight: 40 },
+            { reps: 8, weight: 70 },
+            { reps: 5, weight: 80 },
+            { reps: 10, weight: 70 },
+          ],
+        }],
+      });
+
+      const candidates = findRecordCandidates(workout);
+
+      expect(ofType(candidates, 'heaviest_weight')[0]).toMatchObject({ key: 'bench press', value: 80, unit: 'kg' });
+      expect(ofType(candidates, 'estimated_1rm')[0].value).toBe(93.3);
+      expect(ofType(candidates, 'most_reps').map(({ weight, value }) => [weight, value])).toEqual([[70, 10], [80, 5]]);
+      expect(ofType(candidates, 'longest_duration')[0]).toMatchObject({ key: 'strength', value: 60, unit: 'min' });
+    });
+
+    it('should work out pace from distance', () => {
+      const run = buildWorkout('2024-01-01', { exerciseType: 'running', duration: 25, distance: 5 });
+
+      expect(ofType(findRecordCandidates(run), 'best_pace')[0]).toMatchObject({ value: 5, unit: 'min/km' });
+    });
+  });
+
+  describe('History', () => {
+    it('should only record values that beat the standing record', () => {
+      const first = buildWorkout('2024-01-01', { exercises: [{ name: 'Squat', sets: 1, reps: 5, weight: 100 }] });
+      const tie = buildWorkout('2024-01-08', { exercises: [{ name: 'Squat', sets: 1, reps: 5, weight: 100 }] });
+      const better = buildWorkout('2024-01-15', { exercises: [{ name: 'squat', sets: 1, reps: 3, weight: 110 }] });
+
+      const heaviest = ofType(buildRecordHistory([better, tie, first]), 'heaviest_weight');
+
+      expect(heaviest.map((record) => record.workoutId)).toEqual([first._id, better._id]);
+      expect(heaviest.map((record) => record.isCurrent)).toEqual([false, true]);
+      expect(heaviest[1].previousValue).toBe(100);
+    });
+
+    it('should treat a faster pace as a better record', () => {
+      const slow = buildWorkout('2024-01-01', { exerciseType: 'running', duration: 30, distance: 5 });
+      const fast = buildWorkout('2024-01-08', { exerciseType: 'running', duration: 27, distance: 5 });
+      const slower = buildWorkout('2024-01-15', { exerciseType: 'running', duration: 35, distance: 5 });
+
+      const pace = ofType(buildRecordHistory([slow, fast, slower]), 'best_pace');
+
+      expect(pace.map((record) => record.value)).toEqual([6, 5.4]);
+      expect(pace[1].isCurrent).toBe(true);
+    });
+  });
+
+  describe('Rebuilding stored records', () => {
+    it('should replace the user\'s records with ones rebuilt from completed workouts', async () => {
+      const workout = buildWorkout('2024-01-01', { exercises: [{ name: 'Deadlift', sets: 1, reps: 1, weight: 150 }] });
+      const select = jest.fn().mockResolvedValue([workout]);
+      const find = jest.spyOn(Workout, 'find').mockReturnValue({ select });
+      const remove = jest.spyOn(PersonalRecord, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+      const insert = jest.spyOn(PersonalRecord, 'insertMany').mockImplementation((records) => Promise.resolve(records));
+
+      const records = await recalculatePersonalRecords(userId);
+
+      expect(find).toHaveBeenCalledWith({ userId, completed: true });
+      expect(remove).toHaveBeenCalledWith({ userId });
+      expect(insert).toHaveBeenCalledTimes(1);
+      expect(records.map((record) => record.type)).toEqual(
+        expect.arrayContaining(['heaviest_weight', 'estimated_1rm', 'most_reps', 'longest_duration'])
+      );
+    });
+
+    it('should return null instead of throwing when the rebuild fails', async () => {
+      jest.spyOn(Workout, 'find').mockReturnValue({
+        select: jest.fn().mockRejectedValue(new Error('database unavailable')),
+      });
+
+      await expect(recalculatePersonalRecords(userId)).resolves.toBeNull();
+    });
+  });
+});
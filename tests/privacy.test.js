@@ -0,0 +1,274 @@
+/**
+ * Privacy Tests
+ * Unit tests for the data export archive, the account erasure job and account deletion
+ */
+
+const zlib = require('zlib');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workout = require('../src/models/workout');
+const Session = require('../src/models/Session');
+const RefreshToken = require('../src/models/RefreshToken');
+const AccessToken = require('../src/models/AccessToken');
+const AuditEvent = require('../src/models/AuditEvent');
+const PersonalRecord = require('../src/models/PersonalRecord');
+const WorkoutTemplate = require('../src/models/WorkoutTemplate');
+const WorkoutSchedule = require('../src/models/WorkoutSchedule');
+const Program = require('../src/models/Program');
+const ProgramEnrollment = require('../src/models/ProgramEnrollment');
+const BodyMeasurement = require('../src/models/BodyMeasurement');
+const Goal = require('../src/models/Goal');
+const Food = require('../src/models/Food');
+const FoodLogEntry = require('../src/models/FoodLogEntry');
+const WellnessEntry = require('../src/models/WellnessEntry');
+const { crc32, createZip } = require('../src/utils/zip');
+const { toCsv, buildUserExport } = require('../src/utils/dataExport');
+const { signAccessToken } = require('../src/utils/jwt');
+const {
+  ERASURE_GRACE_PERIOD_DAYS,
+  getErasureDate,
+  eraseUser,
+  processDueErasures,
+} = require('../src/utils/erasure');
+
+// Read the entries of an archive built by createZip via its central directory
+const readZip = (archive) => {
+  const entries = {};
+  const count = archive.readUInt16LE(archive.length - 12);
+  let position = archive.readUInt32LE(archive.length - 6);
+
+  for (let i = 0; i < count; i++) {
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const localOffset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26);
+    const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+    entries[name] = { data: data.toString('utf8'), crc: archive.readUInt32LE(position + 16) };
+    position += 46 + nameLength;
+  }
+
+  return entries;
+};
+
+describe('Privacy', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ZIP archives', () => {
+    it('should calculate standard CRC-32 checksums', () => {
+      expect(crc32(Buffer.from('123456789')).toString(16)).toBe('cbf43926');
+    });
+
+    it('should store every file with its checksum', () => {
+      const archive = createZip([
+        { name: 'a.json', content: '{"ok":true}' },
+        { name: 'b.csv', content: 'x,y\r\n1,2\r\n' },
+      ]);
+      const entries = readZip(archive);
+
+      expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+      expect(Object.keys(entries)).toEqual(['a.json', 'b.csv']);
+      expect(entries['b.csv'].data).toBe('x,y\r\n1,2\r\n');
+      expect(entries['a.json'].crc).toBe(crc32(Buffer.from('{"ok":true}')));
+    });
+  });
+
+  describe('CSV export', () => {
+    it('should quote separators and escape quotes', () => {
+      const csv = toCsv([{ a: 'plain', b: 'with, comma', c: 'say "hi"' }], ['a', 'b', 'c']);
+
+      expect(csv).toBe('a,b,c\r\nplain,"with, comma","say ""hi"""\r\n');
+    });
+
+    it('should neutralise spreadsheet formulas but keep negative numbers', () => {
+      const csv = toCsv([{ note: '=HYPERLINK("x")', value: -5 }], ['note', 'value']);
+
+      expect(csv.split('\r\n')[1]).toBe(`"'=HYPERLINK(""x"")",-5`);
+    });
+
+    it('should build JSON and CSV files for the profile, workouts and exercises', () => {
+      const user = new User({ name: 'Export User', email: 'export@example.com', passwordHash: 'secret' });
+      const workout = new Workout({
+        userId: user._id,
+        title: 'Leg Day',
+        exerciseType: 'strength',
+        duration: 60,
+        caloriesBurned: 400,
+        workoutDate: new Date('2024-01-15T10:00:00Z'),
+        exercises: [{ name: 'Squat', sets: 5, reps: 5, weight: 100 }],
+      });
+
+      const files = buildUserExport(user, [workout], new Date('2024-02-01T00:00:00Z'));
+      const byName = Object.fromEntries(files.map((file) => [file.name, file.content]));
+      const document = JSON.parse(byName['export.json']);
+
+      expect(Object.keys(byName)).toEqual(['export.json', 'profile.csv', 'workouts.csv', 'exercises.csv', 'measurements.csv']);
+      expect(document.exportedAt).toBe('2024-02-01T00:00:00.000Z');
+      expect(document.profile.email).toBe('export@example.com');
+      expect(document.profile.passwordHash).toBeUndefined();
+      expect(document.workouts[0].title).toBe('Leg Day');
+      expect(document.exercises[0]).toMatchObject({ name: 'Squat', sets: 5, reps: 5, weight: 100 });
+      expect(byName['exercises.csv']).toContain(`${workout._id},2024-01-15T10:00:00.000Z,Squat,5,5,100`);
+      expect(byName['profile.csv']).not.toContain('secret');
+    });
+  });
+
+  describe('Account erasure', () => {
+    it('should schedule erasure after the grace period', () => {
+      const requestedAt = new Date('2024-01-01T00:00:00Z');
+      const expected = requestedAt.getTime() + ERASURE_GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000;
+
+      expect(getErasureDate(requestedAt).getTime()).toBe(expected);
+    });
+
+    it('should delete the user and their data and scrub audit events', async () => {
+      const user = new User({ name: 'Leaving User', email: 'leaving@example.com' });
+      user.erasure = { requestedAt: new Date(), scheduledFor: new Date(), requestedBy: user._id };
+
+      jest.spyOn(Workout, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+      jest.spyOn(PersonalRecord, 'deleteMany').mockResolvedValue({ deletedCount: 4 });
+      jest.spyOn(WorkoutTemplate, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+      jest.spyOn(WorkoutSchedule, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(Program, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(ProgramEnrollment, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+      jest.spyOn(BodyMeasurement, 'deleteMany').mockResolvedValue({ deletedCount: 5 });
+      jest.spyOn(Goal, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+      jest.spyOn(FoodLogEntry, 'deleteMany').mockResolvedValue({ deletedCount: 6 });
+      jest.spyOn(Food, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(WellnessEntry, 'deleteMany').mockResolvedValue({ deletedCount: 14 });
+      jest.spyOn(Session, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(RefreshToken, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+      jest.spyOn(AccessToken, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      const scrub = jest.spyOn(AuditEvent, 'updateMany').mockResolvedValue({});
+      const auditCreate = jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      const deleteUser = jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      const deleted = await eraseUser(user);
+
+      expect(deleted).toEqual({
+        workouts: 3,
+        personalRecords: 4,
+        templates: 2,
+        schedules: 1,
+        programs: 1,
+        enrollments: 2,
+        measurements: 5,
+        goals: 2,
+        foodLog: 6,
+        foods: 1,
+        wellness: 14,
+        sessions: 1,
+        refreshTokens: 2,
+        accessTokens: 0,
+      });
+      expect(Workout.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+      expect(Food.deleteMany).toHaveBeenCalledWith({ createdBy: user._id, isStandard: false });
+      expect(deleteUser).toHaveBeenCalledWith({ _id: user._id });
+      expect(scrub).toHaveBeenCalledWith({ targetUserId: user._id }, { $set: { changes: [] } });
+      expect(auditCreate).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'delete',
+        resourceId: user._id,
+        actorId: user._id,
+        actorAuthMethod: 'system',
+        changes: [],
+      }));
+    });
+
+    it('should keep erasing other accounts when one fails', async () => {
+      const failing = new User({ name: 'Failing User', email: 'failing@example.com' });
+      const leaving = new User({ name: 'Leaving User', email: 'leaving@example.com' });
+
+      jest.spyOn(User, 'findDueForErasure').mockResolvedValue([failing, leaving]);
+      jest.spyOn(Workout, 'deleteMany').mockImplementation(({ userId }) => (
+        userId.equals(failing._id)
+          ? Promise.reject(new Error('database unavailable'))
+          : Promise.resolve({ deletedCount: 0 })
+      ));
+      jest.spyOn(PersonalRecord, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(WorkoutTemplate, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(WorkoutSchedule, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(Program, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(ProgramEnrollment, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(BodyMeasurement, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(Goal, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(FoodLogEntry, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(Food, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(WellnessEntry, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(Session, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(RefreshToken, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(AccessToken, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(AuditEvent, 'updateMany').mockResolvedValue({});
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      const deleteUser = jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      const erased = await processDueErasures();
+
+      expect(erased).toBe(1);
+      expect(deleteUser).toHaveBeenCalledTimes(1);
+      expect(deleteUser).toHaveBeenCalledWith({ _id: leaving._id });
+    });
+
+    it('should only pick accounts whose erasure date has passed', async () => {
+      const find = jest.spyOn(User, 'find').mockResolvedValue([]);
+      const now = new Date('2024-03-01T00:00:00Z');
+
+      await User.findDueForErasure(now);
+
+      expect(find).toHaveBeenCalledWith({ 'erasure.scheduledFor': { $lte: now } });
+    });
+  });
+
+  describe('Access tokens', () => {
+    it('should need the privacy:export scope to download the archive', async () => {
+      const user = new User({ name: 'Token Holder', email: 'token@example.com' });
+      const accessToken = new AccessToken({ userId: user._id, name: 'Read only', scopes: ['health:read'] });
+      jest.spyOn(AccessToken, 'findActiveByToken').mockResolvedValue(accessToken);
+      jest.spyOn(AccessToken, 'updateOne').mockResolvedValue({});
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      const response = await request(app)
+        .post(`/api/v1/users/${user._id}/export`)
+        .set('Authorization', 'Bearer fit_pat_readonly')
+        .expect(403);
+
+      expect(response.body.errors[0].type).toBe('insufficient_scope');
+
+      await request(app)
+        .get(`/api/v1/users/${user._id}/erasure`)
+        .set('Authorization', 'Bearer fit_pat_readonly')
+        .expect(403);
+    });
+  });
+
+  describe('DELETE /api/v1/users/:id', () => {
+    it('should delete the same data as an erasure, including sessions and tokens', async () => {
+      const user = new User({ name: 'Quick Leaver', email: 'quick@example.com' });
+      const models = [
+        PersonalRecord, WorkoutTemplate, WorkoutSchedule, Program, ProgramEnrollment, BodyMeasurement,
+        Goal, FoodLogEntry, Food, WellnessEntry, Session, RefreshToken, AccessToken, Workout,
+      ];
+      models.forEach((model) => jest.spyOn(model, 'deleteMany').mockResolvedValue({ deletedCount: 0 }));
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(Workout, 'countDocuments').mockResolvedValue(0);
+      const scrub = jest.spyOn(AuditEvent, 'updateMany').mockResolvedValue({});
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      const deleteUser = jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      await request(app)
+        .delete(`/api/v1/users/${user._id}`)
+        .set('Authorization', `Bearer ${signAccessToken(user)}`)
+        .expect(204);
+
+      [WorkoutTemplate, WorkoutSchedule, Program, ProgramEnrollment, Session, RefreshToken, AccessToken].forEach((model) => {
+        expect(model.deleteMany).toHaveBeenCalledWith({ userId: user._id });
+      });
+      expect(deleteUser).toHaveBeenCalledWith({ _id: user._id });
+      // A plain deletion keeps the audit trail as it is
+      expect(scrub).not.toHaveBeenCalled();
+    });
+  });
+});
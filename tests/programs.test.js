@@ -0,0 +1,284 @@
+/**
+ * Training Program Tests
+ * Unit tests for program progression, enrollment and week-by-week adherence
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workout = require('../src/models/workout');
+const WorkoutTemplate = require('../src/models/WorkoutTemplate');
+const Program = require('../src/models/Program');
+const ProgramEnrollment = require('../src/models/ProgramEnrollment');
+const AuditEvent = require('../src/models/AuditEvent');
+const { signAccessToken } = require('../src/utils/jwt');
+const { getWeekWeight, buildProgramWorkouts, buildProgramProgress } = require('../src/utils/programs');
+const { estimateCaloriesBurned } = require('../src/utils/calories');
+
+describe('Training Programs', () => {
+  const user = new User({ name: 'Program Lifter', email: 'program@example.com' });
+  const token = () => `Bearer ${signAccessToken(user)}`;
+  const progression = { weightIncrement: 2.5, deloadEvery: 4, deloadFactor: 0.6 };
+
+  const squatDay = WorkoutTemplate.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    title: 'Squat Day',
+    exerciseType: 'strength',
+    duration: 60,
+    caloriesBurned: 400,
+    intensity: 'high',
+    exercises: [{ name: 'Squat', sets: 3, setDetails: [{ reps: 5, weight: 100 }, { reps: 5, weight: 100 }, { reps: 5, weight: 100 }] }],
+  });
+
+  const benchDay = WorkoutTemplate.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    title: 'Bench Day',
+    exerciseType: 'strength',
+    duration: 45,
+    caloriesBurned: 300,
+    exercises: [{ name: 'Bench Press', sets: 3, reps: 5, weight: 60 }],
+  });
+
+  const buildProgram = (weekCount = 4) => Program.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    title: 'Linear Strength',
+    weeks: Array.from({ length: weekCount }, () => ({
+      days: [{ day: 1, templateId: squatDay._id }, { day: 3, templateId: benchDay._id }],
+    })),
+    progression,
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Progression', () => {
+    it('should add the increment each week and lighten deload weeks', () => {
+      const weights = [1, 2, 3, 4, 5].map((week) => getWeekWeight(100, progression, week));
+
+      expect(weights).toEqual([100, 102.5, 105, 64.5, 107.5]);
+      expect(getWeekWeight(100, { weightIncrement: 0 }, 6)).toBe(100);
+    });
+
+    it('should plan every day slot of every week from the start date', () => {
+      const program = buildProgram();
+      const enrollment = new ProgramEnrollment({
+        programId: program._id,
+        userId: user._id,
+        startDate: new Date('2024-03-04T07:00:00Z'),
+      });
+      const templates = new Map([[squatDay._id.toString(), squatDay], [benchDay._id.toString(), benchDay]]);
+
+      const workouts = buildProgramWorkouts(program, templates, enrollment);
+
+      expect(workouts).toHaveLength(8);
+      expect(workouts.slice(0, 3).map((workout) => workout.workoutDate.toISOString())).toEqual([
+        '2024-03-04T07:00:00.000Z',
+        '2024-03-06T07:00:00.000Z',
+        '2024-03-11T07:00:00.000Z',
+      ]);
+      expect(workouts[2].exercises[0].setDetails.map((set) => set.weight)).toEqual([102.5, 102.5, 102.5]);
+      expect(workouts[7]).toMatchObject({ programWeek: 4, intensity: 'low', status: 'planned', templateId: benchDay._id });
+      expect(workouts[7].exercises[0].weight).toBe(40.5);
+    });
+  });
+
+  describe('Adherence', () => {
+    it('should compare completed workouts with those due, week by week', () => {
+      const program = buildProgram(3);
+      const enrollment = { _id: new mongoose.Types.ObjectId(), startDate: new Date('2024-03-04T07:00:00Z') };
+      const workout = (programWeek, day, status) => ({
+        programWeek,
+        status,
+        workoutDate: new Date(Date.UTC(2024, 2, 4 + day, 7)),
+      });
+
+      const { summary, weeks } = buildProgramProgress(program, enrollment, [
+        workout(1, 0, 'completed'),
+        workout(1, 2, 'completed'),
+        workout(2, 7, 'completed'),
+        workout(2, 9, 'skipped'),
+        workout(3, 14, 'planned'),
+        workout(3, 16, 'planned'),
+      ], new Date('2024-03-19T12:00:00Z'));
+
+      expect(weeks.map((week) => [week.week, week.adherence, week.missed, week.upcoming])).toEqual([
+        [1, 100, 0, 0],
+        [2, 50, 0, 0],
+        [3, 0, 1, 1],
+      ]);
+      expect(summary).toMatchObject({ currentWeek: 3, completed: 3, skipped: 1, missed: 1, upcoming: 1, adherence: 60 });
+    });
+  });
+
+  describe('HTTP endpoints', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+    });
+
+    it('should reject weeks with two workouts on the same day', async () => {
+      const response = await request(app)
+        .post('/api/v1/programs')
+        .set('Authorization', token())
+        .send({
+          title: 'Double Trouble',
+          weeks: [{ days: [{ day: 1, templateId: squatDay._id }, { day: 1, templateId: benchDay._id }] }],
+        })
+        .expect(400);
+
+      expect(response.body.errors[0]).toMatchObject({ field: 'weeks[0].days' });
+    });
+
+    it('should refuse templates without a planned duration', async () => {
+      const mobility = WorkoutTemplate.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        userId: user._id,
+        title: 'Mobility',
+        exerciseType: 'flexibility',
+      });
+      jest.spyOn(WorkoutTemplate, 'find').mockResolvedValue([mobility]);
+
+      const response = await request(app)
+        .post('/api/v1/programs')
+        .set('Authorization', token())
+        .send({ title: 'Mobility Block', weeks: [{ days: [{ day: 2, templateId: mobility._id }] }] })
+        .expect(400);
+
+      expect(response.body.message).toMatch(/need a planned duration: Mobility/);
+    });
+
+    it('should estimate calories for templates that plan none', async () => {
+      const program = buildProgram(1);
+      const lifter = User.hydrate({ ...user.toObject(), weight: 90 });
+      const plainBench = WorkoutTemplate.hydrate({ ...benchDay.toObject(), caloriesBurned: undefined });
+      jest.spyOn(User, 'findById').mockResolvedValue(lifter);
+      jest.spyOn(Program, 'findById').mockResolvedValue(program);
+      jest.spyOn(ProgramEnrollment, 'findOne').mockResolvedValue(null);
+      jest.spyOn(WorkoutTemplate, 'find').mockResolvedValue([squatDay, plainBench]);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      jest.spyOn(ProgramEnrollment.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Workout, 'insertMany').mockImplementation(async (docs) => docs.map((doc) => new Workout(doc)));
+
+      const response = await request(app)
+        .post(`/api/v1/programs/${program._id}/enrollments`)
+        .set('Authorization', token())
+        .send({ startDate: '2030-01-07T06:30:00Z' })
+        .expect(201);
+
+      const [squat, bench] = response.body.data.workouts;
+      expect(squat).toMatchObject({ caloriesBurned: 400, caloriesSource: 'user' });
+      expect(bench).toMatchObject({
+        caloriesBurned: estimateCaloriesBurned(plainBench, 90).caloriesBurned,
+        caloriesSource: 'estimated',
+      });
+    });
+
+    it('should plan all program workouts on enrollment', async () => {
+      const program = buildProgram();
+      jest.spyOn(Program, 'findById').mockResolvedValue(program);
+      jest.spyOn(ProgramEnrollment, 'findOne').mockResolvedValue(null);
+      jest.spyOn(WorkoutTemplate, 'find').mockResolvedValue([squatDay, benchDay]);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      const save = jest.spyOn(ProgramEnrollment.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Workout, 'insertMany').mockImplementation(async (docs) => {
+        const workouts = docs.map((doc) => new Workout(doc));
+        await Promise.all(workouts.map((workout) => workout.validate()));
+        return workouts;
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/programs/${program._id}/enrollments`)
+        .set('Authorization', token())
+        .send({ startDate: '2030-01-07T06:30:00Z' })
+        .expect(201);
+
+      expect(save).toHaveBeenCalled();
+      expect(response.body.data.enrollment).toMatchObject({ status: 'active', userId: user._id.toString() });
+      expect(response.body.data.workouts).toHaveLength(8);
+      expect(response.body.data.workouts[0]).toMatchObject({
+        status: 'planned',
+        programWeek: 1,
+        enrollmentId: response.body.data.enrollment._id,
+        workoutDate: '2030-01-07T06:30:00.000Z',
+      });
+    });
+
+    it('should remove and audit upcoming planned workouts on cancellation', async () => {
+      const program = buildProgram();
+      const enrollment = ProgramEnrollment.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        programId: program._id,
+        userId: user._id,
+        startDate: new Date('2030-01-07T06:30:00Z'),
+        status: 'active',
+      });
+      const planned = new Workout({
+        userId: user._id,
+        title: 'Squat Day',
+        exerciseType: 'strength',
+        duration: 60,
+        workoutDate: new Date('2030-01-07T06:30:00Z'),
+        status: 'planned',
+        enrollmentId: enrollment._id,
+        programWeek: 1,
+      });
+      jest.spyOn(ProgramEnrollment, 'findOne').mockResolvedValue(enrollment);
+      jest.spyOn(ProgramEnrollment.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Workout, 'find').mockResolvedValue([planned]);
+      const deleteMany = jest.spyOn(Workout, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      const audit = jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+
+      const response = await request(app)
+        .delete(`/api/v1/programs/${program._id}/enrollments/${enrollment._id}`)
+        .set('Authorization', token())
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ enrollment: { status: 'cancelled' }, removedWorkouts: 1 });
+      expect(deleteMany).toHaveBeenCalledWith({ _id: { $in: [planned._id] } });
+      expect(audit).toHaveBeenCalledTimes(1);
+      expect(audit.mock.calls[0][0]).toMatchObject({
+        action: 'delete',
+        resourceType: 'workout',
+        resourceId: planned._id,
+        targetUserId: user._id,
+      });
+    });
+
+    it('should report progress for the latest enrollment', async () => {
+      const program = buildProgram(2);
+      const enrollment = ProgramEnrollment.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        programId: program._id,
+        userId: user._id,
+        startDate: new Date('2024-03-04T07:00:00Z'),
+        status: 'active',
+      });
+      jest.spyOn(Program, 'findById').mockResolvedValue(program);
+      const findOne = jest.spyOn(ProgramEnrollment, 'findOne').mockReturnValue({
+        sort: jest.fn().mockResolvedValue(enrollment),
+      });
+      jest.spyOn(Workout, 'find').mockResolvedValue([
+        { programWeek: 1, status: 'completed', workoutDate: new Date('2024-03-04T07:00:00Z') },
+        { programWeek: 1, status: 'planned', workoutDate: new Date('2024-03-06T07:00:00Z') },
+      ]);
+
+      const response = await request(app)
+        .get(`/api/v1/users/${user._id}/programs/${program._id}/progress`)
+        .expect(200);
+
+      expect(findOne).toHaveBeenCalledWith({ userId: user._id.toString(), programId: program._id.toString() });
+      expect(response.body.data.weeks[0]).toMatchObject({ week: 1, completed: 1, missed: 1, adherence: 50 });
+      expect(response.body.data.summary.weeks).toBe(2);
+    });
+  });
+});
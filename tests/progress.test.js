@@ -0,0 +1,131 @@
+/**
+ * Strength Progress Tests
+ * Unit tests for one-rep max formulas, period bucketing and the progress endpoint
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workout = require('../src/models/workout');
+const Exercise = require('../src/models/Exercise');
+const { estimateOneRepMax } = require('../src/utils/oneRepMax');
+const { getPeriodStart, buildProgressSeries } = require('../src/utils/progress');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Build an unsaved bench press workout
+const benchWorkout = (date, setDetails) => new Workout({
+  userId,
+  title: 'Bench Session',
+  exerciseType: 'strength',
+  duration: 45,
+  caloriesBurned: 250,
+  workoutDate: new Date(date),
+  exercises: [{ name: 'Bench Press', setDetails }],
+});
+
+const isBench = (entry) => entry.name === 'Bench Press';
+
+describe('Strength Progress', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('One-rep max formulas', () => {
+    it('should support Epley, Brzycki and Lombardi', () => {
+      expect(estimateOneRepMax(100, 5, 'epley')).toBe(116.7);
+      expect(estimateOneRepMax(100, 5, 'brzycki')).toBe(112.5);
+      expect(estimateOneRepMax(100, 5, 'lombardi')).toBe(117.5);
+    });
+
+    it('should reject unknown formulas', () => {
+      expect(() => estimateOneRepMax(100, 5, 'guess')).toThrow('Unknown one-rep max formula');
+    });
+  });
+
+  describe('Periods', () => {
+    it('should start weeks on Monday and months on the first', () => {
+      const sunday = new Date('2024-01-14T18:00:00Z');
+
+      expect(getPeriodStart(sunday, 'day').toISOString()).toBe('2024-01-14T00:00:00.000Z');
+      expect(getPeriodStart(sunday, 'week').toISOString()).toBe('2024-01-08T00:00:00.000Z');
+      expect(getPeriodStart(sunday, 'month').toISOString()).toBe('2024-01-01T00:00:00.000Z');
+    });
+
+    it('should combine the sessions of a period', () => {
+      const workouts = [
+        benchWorkout('2024-01-08T10:00:00Z', [{ type: 'warm_up', reps: 10, weight: 40 }, { reps: 5, weight: 80 }]),
+        benchWorkout('2024-01-11T10:00:00Z', [{ reps: 3, weight: 85 }, { reps: 8, weight: 70 }]),
+        benchWorkout('2024-01-15T10:00:00Z', [{ reps: 5, weight: 82.5 }]),
+      ];
+
+      const series = buildProgressSeries(workouts, isBench, { formula: 'epley', bucket: 'week' });
+
+      expect(series.map((period) => period.period)).toEqual(['2024-01-08', '2024-01-15']);
+      expect(series[0]).toMatchObject({
+        sessions: 2,
+        estimatedOneRepMax: 93.5,
+        topSet: { weight: 85, reps: 3 },
+        volume: 16,
+        tonnage: 1215,
+      });
+      expect(series[1].estimatedOneRepMax).toBe(96.3);
+    });
+
+    it('should leave the estimate empty for bodyweight sessions', () => {
+      const series = buildProgressSeries([benchWorkout('2024-01-08', [{ reps: 20 }])], isBench, {
+        formula: 'epley',
+        bucket: 'month',
+      });
+
+      expect(series[0]).toMatchObject({ period: '2024-01', estimatedOneRepMax: null, topSet: null, volume: 20 });
+    });
+  });
+
+  describe('GET /api/v1/users/:id/exercises/:exercise/progress', () => {
+    it('should chart catalog-linked and free-text entries together', async () => {
+      const bench = new Exercise({ name: 'Bench Press', aliases: ['Bench'], category: 'strength' });
+      bench.matchKeys = ['bench press', 'bench'];
+      const linked = benchWorkout('2024-01-08T10:00:00Z', [{ reps: 5, weight: 80 }]);
+      linked.exercises[0].exerciseId = bench._id;
+      const legacy = new Workout({
+        userId,
+        title: 'Old Bench Session',
+        exerciseType: 'strength',
+        duration: 45,
+        caloriesBurned: 250,
+        workoutDate: new Date('2024-02-05T10:00:00Z'),
+        exercises: [{ name: 'bench', sets: 3, reps: 5, weight: 85 }],
+      });
+
+      jest.spyOn(User, 'findById').mockResolvedValue(new User({ _id: userId, name: 'Lifter' }));
+      jest.spyOn(Exercise, 'findByReference').mockResolvedValue(bench);
+      const find = jest.spyOn(Workout, 'find').mockReturnValue({
+        select: jest.fn().mockResolvedValue([legacy, linked]),
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/users/${userId}/exercises/bench/progress?bucket=month&formula=brzycki`)
+        .expect(200);
+
+      expect(find.mock.calls[0][0]).toMatchObject({ userId: userId.toString(), completed: true });
+      expect(response.body.data.exercise.name).toBe('Bench Press');
+      expect(response.body.data.series.map((period) => period.period)).toEqual(['2024-01', '2024-02']);
+      expect(response.body.data.series[1]).toMatchObject({ estimatedOneRepMax: 95.6, volume: 15, tonnage: 1275 });
+      expect(response.body.data.summary).toEqual({
+        sessions: 2,
+        bestEstimatedOneRepMax: 95.6,
+        estimatedOneRepMaxChange: 5.6,
+      });
+    });
+
+    it('should reject unknown formulas and buckets', async () => {
+      const response = await request(app)
+        .get(`/api/v1/users/${userId}/exercises/bench/progress?formula=guess&bucket=year`)
+        .expect(400);
+
+      expect(response.body.errors.map((error) => error.field)).toEqual(['formula', 'bucket']);
+    });
+  });
+});
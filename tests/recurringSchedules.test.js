@@ -0,0 +1,485 @@
+/**
+ * Recurring Schedule Tests
+ * Unit tests for RRULE expansion, schedule exceptions, "this and following" edits
+ * and the planned workouts created from schedule occurrences
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workout = require('../src/models/workout');
+const WorkoutSchedule = require('../src/models/WorkoutSchedule');
+const AuditEvent = require('../src/models/AuditEvent');
+const { signAccessToken } = require('../src/utils/jwt');
+const { parseRRule, getRRuleError, expandRRule } = require('../src/utils/rrule');
+const { estimateCaloriesBurned } = require('../src/utils/calories');
+
+const toISO = (dates) => dates.map((date) => date.toISOString());
+
+describe('Recurring Schedules', () => {
+  const user = new User({ name: 'Routine Runner', email: 'routine@example.com' });
+  const token = () => `Bearer ${signAccessToken(user)}`;
+
+  // Mon/Wed/Fri strength sessions at 07:00 UTC from Monday 4 March 2024
+  const buildSchedule = (fields) => WorkoutSchedule.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    userId: user._id,
+    title: 'Full Body Strength',
+    exerciseType: 'strength',
+    duration: 60,
+    caloriesBurned: 400,
+    intensity: 'moderate',
+    rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR',
+    startDate: new Date('2024-03-04T07:00:00Z'),
+    exceptions: [],
+    ...fields,
+  });
+
+  const mockCreate = () => jest.spyOn(WorkoutSchedule, 'create').mockImplementation(async (data) => {
+    const schedule = new WorkoutSchedule(data);
+    await schedule.validate();
+    return schedule;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('RRULE expansion', () => {
+    it('should expand weekly rules on several weekdays', () => {
+      const occurrences = expandRRule('FREQ=WEEKLY;BYDAY=MO,WE,FR', new Date('2024-03-04T07:00:00Z'), {
+        to: new Date('2024-03-10T23:59:59Z'),
+      });
+
+      expect(toISO(occurrences)).toEqual([
+        '2024-03-04T07:00:00.000Z',
+        '2024-03-06T07:00:00.000Z',
+        '2024-03-08T07:00:00.000Z',
+      ]);
+    });
+
+    it('should expand every other Sunday and monthly ordinal weekdays', () => {
+      const longRuns = expandRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=SU', new Date('2024-03-03T08:00:00Z'), {
+        to: new Date('2024-04-01T00:00:00Z'),
+      });
+      const lastFridays = expandRRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3', new Date('2024-01-01T18:00:00Z'), {
+        to: new Date('2024-12-31T00:00:00Z'),
+      });
+
+      expect(toISO(longRuns)).toEqual([
+        '2024-03-03T08:00:00.000Z',
+        '2024-03-17T08:00:00.000Z',
+        '2024-03-31T08:00:00.000Z',
+      ]);
+      expect(toISO(lastFridays)).toEqual([
+        '2024-01-26T18:00:00.000Z',
+        '2024-02-23T18:00:00.000Z',
+        '2024-03-29T18:00:00.000Z',
+      ]);
+    });
+
+    it('should count COUNT from the series start whatever range is asked for', () => {
+      const occurrences = expandRRule('FREQ=DAILY;COUNT=5', new Date('2024-03-01T06:00:00Z'), {
+        from: new Date('2024-03-04T00:00:00Z'),
+        to: new Date('2024-03-31T00:00:00Z'),
+      });
+
+      expect(toISO(occurrences)).toEqual(['2024-03-04T06:00:00.000Z', '2024-03-05T06:00:00.000Z']);
+    });
+
+    it('should keep the local time of day and weekday in the series time zone', () => {
+      // Sundays at 21:00 in New York, which are Mondays in UTC; DST starts on 10 March
+      const occurrences = expandRRule('FREQ=WEEKLY;BYDAY=SU', new Date('2024-03-04T02:00:00Z'), {
+        to: new Date('2024-03-20T00:00:00Z'),
+        timeZone: 'America/New_York',
+      });
+
+      expect(toISO(occurrences)).toEqual([
+        '2024-03-04T02:00:00.000Z',
+        '2024-03-11T01:00:00.000Z',
+        '2024-03-18T01:00:00.000Z',
+      ]);
+    });
+
+    it('should end a plain UNTIL date at the end of the local day', () => {
+      const occurrences = expandRRule('FREQ=DAILY;UNTIL=20240305', new Date('2024-03-04T02:00:00Z'), {
+        timeZone: 'America/New_York',
+      });
+
+      expect(toISO(occurrences)).toEqual([
+        '2024-03-04T02:00:00.000Z',
+        '2024-03-05T02:00:00.000Z',
+        '2024-03-06T02:00:00.000Z',
+      ]);
+    });
+
+    it('should reject malformed and unsupported rules', () => {
+      expect(parseRRule('FREQ=WEEKLY;BYDAY=TU,TH')).toMatchObject({ freq: 'WEEKLY', interval: 1 });
+      expect(getRRuleError('BYDAY=MO')).toBe('FREQ is required');
+      expect(getRRuleError('FREQ=YEARLY')).toMatch(/FREQ must be one of/);
+      expect(getRRuleError('FREQ=DAILY;COUNT=3;UNTIL=20240401')).toBe('COUNT and UNTIL cannot be used together');
+      expect(getRRuleError('FREQ=WEEKLY;BYDAY=1MO')).toMatch(/only allowed with FREQ=MONTHLY/);
+    });
+  });
+
+  describe('Schedule occurrences', () => {
+    it('should leave out skipped occurrences and stop at the end of the series', () => {
+      const schedule = buildSchedule({
+        endDate: new Date('2024-03-13T07:00:00Z'),
+        exceptions: [{ date: new Date('2024-03-06T07:00:00Z'), reason: 'Travelling' }],
+      });
+      const from = new Date('2024-03-01T00:00:00Z');
+      const to = new Date('2024-03-31T00:00:00Z');
+
+      expect(toISO(schedule.getOccurrences(from, to))).toEqual([
+        '2024-03-04T07:00:00.000Z',
+        '2024-03-08T07:00:00.000Z',
+        '2024-03-11T07:00:00.000Z',
+      ]);
+      expect(schedule.getOccurrences(from, to, { includeExceptions: true })).toHaveLength(4);
+    });
+
+    it('should show occurrences without a workout as planned calendar entries', async () => {
+      const schedule = buildSchedule();
+      const logged = new Workout({
+        userId: user._id,
+        title: 'Full Body Strength',
+        exerciseType: 'strength',
+        duration: 55,
+        caloriesBurned: 380,
+        workoutDate: new Date('2024-03-04T07:10:00Z'),
+        scheduleId: schedule._id,
+        occurrenceDate: new Date('2024-03-04T07:00:00Z'),
+      });
+
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(WorkoutSchedule, 'find').mockResolvedValue([schedule]);
+      jest.spyOn(Workout, 'find')
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue([logged]) })
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue([logged]) });
+
+      const response = await request(app)
+        .get(`/api/v1/users/${user._id}/schedule?from=2024-03-04&to=2024-03-08T23:59:59Z`)
+        .set('Authorization', token())
+        .expect(200);
+
+      const entries = response.body.data.days.flatMap((day) => day.workouts);
+
+      expect(entries.map((entry) => [entry.status, entry.workoutDate])).toEqual([
+        ['completed', '2024-03-04T07:10:00.000Z'],
+        ['planned', '2024-03-06T07:00:00.000Z'],
+        ['planned', '2024-03-08T07:00:00.000Z'],
+      ]);
+      expect(entries[1]).toMatchObject({ id: null, scheduleId: schedule._id.toString() });
+    });
+  });
+
+  describe('POST /api/v1/schedules', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+    });
+
+    it('should create a schedule for the authenticated user', async () => {
+      mockCreate();
+
+      const response = await request(app)
+        .post('/api/v1/schedules')
+        .set('Authorization', token())
+        .send({
+          title: 'Long Run',
+          exerciseType: 'running',
+          duration: 90,
+          caloriesBurned: 900,
+          rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=SU',
+          startDate: '2024-03-03T08:00:00Z',
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        userId: user._id.toString(),
+        rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=SU',
+        exceptions: [],
+      });
+    });
+
+    it('should expand new schedules in the owner\'s time zone', async () => {
+      mockCreate();
+      jest.spyOn(User, 'findById').mockResolvedValue(User.hydrate({ ...user.toObject(), timezone: 'Europe/Berlin' }));
+
+      const response = await request(app)
+        .post('/api/v1/schedules')
+        .set('Authorization', token())
+        .send({ title: 'Yoga', exerciseType: 'yoga', duration: 30, caloriesBurned: 120, rrule: 'FREQ=DAILY' })
+        .expect(201);
+
+      expect(response.body.data.timezone).toBe('Europe/Berlin');
+    });
+
+    it('should accept a schedule without calories', async () => {
+      mockCreate();
+
+      const response = await request(app)
+        .post('/api/v1/schedules')
+        .set('Authorization', token())
+        .send({ title: 'Yoga', exerciseType: 'yoga', duration: 30, rrule: 'FREQ=DAILY' })
+        .expect(201);
+
+      expect(response.body.data.caloriesBurned).toBeUndefined();
+    });
+
+    it('should reject invalid recurrence rules', async () => {
+      const response = await request(app)
+        .post('/api/v1/schedules')
+        .set('Authorization', token())
+        .send({ title: 'Yoga', exerciseType: 'yoga', duration: 30, caloriesBurned: 120, rrule: 'FREQ=HOURLY' })
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe('rrule');
+    });
+  });
+
+  describe('PUT /api/v1/schedules/:id (this and following)', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(WorkoutSchedule.prototype, 'save').mockImplementation(function () {
+        return this.validate().then(() => this);
+      });
+    });
+
+    it('should end the series before the change and continue it in a new one', async () => {
+      const schedule = buildSchedule({
+        exceptions: [
+          { date: new Date('2024-03-06T07:00:00Z'), reason: 'Travelling' },
+          { date: new Date('2024-03-20T07:00:00Z'), reason: 'Race week' },
+        ],
+      });
+      jest.spyOn(WorkoutSchedule, 'findById').mockResolvedValue(schedule);
+      const create = mockCreate();
+      const planned = new Workout({
+        userId: user._id,
+        title: 'Full Body Strength',
+        exerciseType: 'strength',
+        duration: 60,
+        workoutDate: new Date('2024-03-15T07:00:00Z'),
+        status: 'planned',
+        scheduleId: schedule._id,
+        occurrenceDate: new Date('2024-03-15T07:00:00Z'),
+      });
+      const find = jest.spyOn(Workout, 'find').mockResolvedValue([planned]);
+      const deleteMany = jest.spyOn(Workout, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      const audit = jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+
+      const response = await request(app)
+        .put(`/api/v1/schedules/${schedule._id}?from=2024-03-12`)
+        .set('Authorization', token())
+        .send({ rrule: 'FREQ=WEEKLY;BYDAY=TU,TH', duration: 75 })
+        .expect(200);
+
+      const { schedule: next, previous } = response.body.data;
+
+      expect(previous.endDate).toBe('2024-03-13T07:00:00.000Z');
+      expect(previous.exceptions.map((exception) => exception.reason)).toEqual(['Travelling']);
+      expect(next).toMatchObject({
+        rrule: 'FREQ=WEEKLY;BYDAY=TU,TH',
+        duration: 75,
+        title: 'Full Body Strength',
+        startDate: '2024-03-13T07:00:00.000Z',
+        previousScheduleId: schedule._id.toString(),
+      });
+      expect(next.exceptions.map((exception) => exception.reason)).toEqual(['Race week']);
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(find).toHaveBeenCalledWith({
+        scheduleId: schedule._id,
+        status: 'planned',
+        occurrenceDate: { $gte: new Date('2024-03-13T07:00:00Z') },
+      });
+      expect(deleteMany).toHaveBeenCalledWith({ _id: { $in: [planned._id] } });
+      expect(response.body.data.removedWorkouts).toBe(1);
+      expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'delete',
+        resourceType: 'workout',
+        resourceId: planned._id,
+        targetUserId: user._id,
+      }));
+    });
+
+    it('should hand the remaining COUNT to the new series', async () => {
+      const schedule = buildSchedule({ rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=12' });
+      jest.spyOn(WorkoutSchedule, 'findById').mockResolvedValue(schedule);
+      mockCreate();
+      jest.spyOn(Workout, 'find').mockResolvedValue([]);
+
+      const response = await request(app)
+        .put(`/api/v1/schedules/${schedule._id}?from=2024-03-11`)
+        .set('Authorization', token())
+        .send({ intensity: 'high' })
+        .expect(200);
+
+      expect(response.body.data.schedule.rrule).toBe('FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=9');
+      expect(response.body.data.schedule.intensity).toBe('high');
+    });
+
+    it('should edit a series in place when none of it has happened yet', async () => {
+      const schedule = buildSchedule();
+      jest.spyOn(WorkoutSchedule, 'findById').mockResolvedValue(schedule);
+      const create = mockCreate();
+      jest.spyOn(Workout, 'find').mockResolvedValue([]);
+
+      const response = await request(app)
+        .put(`/api/v1/schedules/${schedule._id}?from=2024-03-01`)
+        .set('Authorization', token())
+        .send({ title: 'Upper Body Strength' })
+        .expect(200);
+
+      expect(create).not.toHaveBeenCalled();
+      expect(response.body.data.previous).toBeNull();
+      expect(response.body.data.schedule).toMatchObject({ _id: schedule._id.toString(), title: 'Upper Body Strength' });
+    });
+  });
+
+  describe('DELETE /api/v1/schedules/:id', () => {
+    it('should remove upcoming planned workouts and audit each one', async () => {
+      const schedule = buildSchedule();
+      const planned = new Workout({
+        userId: user._id,
+        title: 'Full Body Strength',
+        exerciseType: 'strength',
+        duration: 60,
+        workoutDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+        status: 'planned',
+        scheduleId: schedule._id,
+        occurrenceDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      });
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(WorkoutSchedule, 'findById').mockResolvedValue(schedule);
+      jest.spyOn(WorkoutSchedule.prototype, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(Workout, 'find').mockResolvedValue([planned]);
+      const deleteMany = jest.spyOn(Workout, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      const audit = jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+
+      const response = await request(app)
+        .delete(`/api/v1/schedules/${schedule._id}`)
+        .set('Authorization', token())
+        .expect(200);
+
+      expect(response.body.data.removedWorkouts).toBe(1);
+      expect(deleteMany).toHaveBeenCalledWith({ _id: { $in: [planned._id] } });
+      expect(audit).toHaveBeenCalledTimes(1);
+      expect(audit.mock.calls[0][0]).toMatchObject({
+        action: 'delete',
+        resourceType: 'workout',
+        resourceId: planned._id,
+      });
+      expect(audit.mock.calls[0][0].changes).toEqual(expect.arrayContaining([
+        { field: 'title', before: 'Full Body Strength', after: undefined },
+      ]));
+    });
+  });
+
+  describe('Exceptions and planned workouts', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(WorkoutSchedule.prototype, 'save').mockImplementation(function () {
+        return this.validate().then(() => this);
+      });
+    });
+
+    it('should skip the occurrence on a date and refuse dates without one', async () => {
+      const schedule = buildSchedule();
+      jest.spyOn(WorkoutSchedule, 'findById').mockResolvedValue(schedule);
+      jest.spyOn(Workout, 'findOne').mockResolvedValue(null);
+
+      const skipped = await request(app)
+        .post(`/api/v1/schedules/${schedule._id}/exceptions`)
+        .set('Authorization', token())
+        .send({ date: '2024-03-08', reason: 'Deload day' })
+        .expect(200);
+
+      expect(skipped.body.data.exceptions).toEqual([{ date: '2024-03-08T07:00:00.000Z', reason: 'Deload day' }]);
+
+      const response = await request(app)
+        .post(`/api/v1/schedules/${schedule._id}/exceptions`)
+        .set('Authorization', token())
+        .send({ date: '2024-03-09' })
+        .expect(400);
+
+      expect(response.body.message).toBe('The schedule has no occurrence on 2024-03-09');
+    });
+
+    it('should match skipped dates by the local day of the schedule', async () => {
+      // Sundays at 21:00 in New York - 02:00 on Monday in UTC
+      const schedule = buildSchedule({
+        rrule: 'FREQ=WEEKLY;BYDAY=SU',
+        startDate: new Date('2024-03-04T02:00:00Z'),
+        timezone: 'America/New_York',
+      });
+      jest.spyOn(WorkoutSchedule, 'findById').mockResolvedValue(schedule);
+      jest.spyOn(Workout, 'findOne').mockResolvedValue(null);
+
+      const skipped = await request(app)
+        .post(`/api/v1/schedules/${schedule._id}/exceptions`)
+        .set('Authorization', token())
+        .send({ date: '2024-03-03' })
+        .expect(200);
+
+      expect(skipped.body.data.exceptions).toEqual([{ date: '2024-03-04T02:00:00.000Z' }]);
+
+      const restored = await request(app)
+        .delete(`/api/v1/schedules/${schedule._id}/exceptions/2024-03-03`)
+        .set('Authorization', token())
+        .expect(200);
+
+      expect(restored.body.data.exceptions).toEqual([]);
+    });
+
+    it('should create each planned workout only once', async () => {
+      const schedule = buildSchedule({ exceptions: [{ date: new Date('2024-03-06T07:00:00Z') }] });
+      jest.spyOn(WorkoutSchedule, 'findById').mockResolvedValue(schedule);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      jest.spyOn(Workout, 'find').mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ occurrenceDate: new Date('2024-03-04T07:00:00Z') }]),
+      });
+      const insertMany = jest.spyOn(Workout, 'insertMany').mockImplementation(async (docs) => {
+        const workouts = docs.map((doc) => new Workout(doc));
+        await Promise.all(workouts.map((workout) => workout.validate()));
+        return workouts;
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/schedules/${schedule._id}/workouts?from=2024-03-04&to=2024-03-10T23:59:59Z`)
+        .set('Authorization', token())
+        .expect(201);
+
+      expect(insertMany.mock.calls[0][0]).toHaveLength(1);
+      expect(response.body.data[0]).toMatchObject({
+        status: 'planned',
+        completed: false,
+        scheduleId: schedule._id.toString(),
+        occurrenceDate: '2024-03-08T07:00:00.000Z',
+        workoutDate: '2024-03-08T07:00:00.000Z',
+      });
+      expect(response.body.meta).toEqual({ existing: 1 });
+    });
+
+    it('should estimate the calories of planned workouts when the schedule has none', async () => {
+      const schedule = buildSchedule({ caloriesBurned: undefined });
+      const owner = User.hydrate({ ...user.toObject(), weight: 80 });
+      jest.spyOn(WorkoutSchedule, 'findById').mockResolvedValue(schedule);
+      jest.spyOn(User, 'findById').mockResolvedValue(owner);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      jest.spyOn(Workout, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      jest.spyOn(Workout, 'insertMany').mockImplementation(async (docs) => docs.map((doc) => new Workout(doc)));
+
+      const response = await request(app)
+        .post(`/api/v1/schedules/${schedule._id}/workouts?from=2024-03-04&to=2024-03-04T23:59:59Z`)
+        .set('Authorization', token())
+        .expect(201);
+
+      expect(response.body.data[0]).toMatchObject({
+        caloriesBurned: estimateCaloriesBurned(schedule, 80).caloriesBurned,
+        caloriesSource: 'estimated',
+      });
+    });
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Workout Planning Tests
+ * Unit tests for the workout status lifecycle, future-dated plans and the schedule endpoint
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workout = require('../src/models/workout');
+const WorkoutSchedule = require('../src/models/WorkoutSchedule');
+const PersonalRecord = require('../src/models/PersonalRecord');
+const AuditEvent = require('../src/models/AuditEvent');
+const { signAccessToken } = require('../src/utils/jwt');
+const { buildCalendar } = require('../src/utils/schedule');
+const { validateWorkout } = require('../src/middleware/validator');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Workout Planning', () => {
+  const user = new User({ name: 'Planner', email: 'planner@example.com' });
+
+  const buildWorkout = (fields) => new Workout({
+    userId: user._id,
+    title: 'Easy Run',
+    exerciseType: 'running',
+    duration: 30,
+    caloriesBurned: 300,
+    ...fields,
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Status lifecycle', () => {
+    it('should keep status and the completed flag in step', async () => {
+      const logged = buildWorkout({ workoutDate: new Date() });
+      const legacyPlan = buildWorkout({ workoutDate: new Date(), completed: false });
+      const skipped = buildWorkout({ workoutDate: new Date(), status: 'skipped' });
+
+      await Promise.all([logged.validate(), legacyPlan.validate(), skipped.validate()]);
+
+      expect([logged.status, logged.completed]).toEqual(['completed', true]);
+      expect([legacyPlan.status, legacyPlan.completed]).toEqual(['planned', false]);
+      expect([skipped.status, skipped.completed]).toEqual(['skipped', false]);
+    });
+
+    it('should only allow planned workouts in the future', async () => {
+      const tomorrow = new Date(Date.now() + DAY);
+
+      await expect(buildWorkout({ workoutDate: tomorrow, status: 'planned' }).validate()).resolves.toBeUndefined();
+      await expect(buildWorkout({ workoutDate: tomorrow }).validate())
+        .rejects.toThrow('Only planned workouts can be dated in the future');
+    });
+
+    it('should follow the allowed status changes', () => {
+      expect(Workout.canChangeStatus('planned', 'in_progress')).toBe(true);
+      expect(Workout.canChangeStatus('skipped', 'completed')).toBe(true);
+      expect(Workout.canChangeStatus('completed', 'planned')).toBe(false);
+      expect(Workout.canChangeStatus('skipped', 'in_progress')).toBe(false);
+    });
+
+    it('should reject future dates in requests unless the workout is planned', () => {
+      const tomorrow = new Date(Date.now() + DAY).toISOString();
+      const body = { title: 'Long Run', exerciseType: 'running', duration: 90, caloriesBurned: 900, workoutDate: tomorrow };
+
+      const res = createResponse();
+      validateWorkout(false)({ body }, res, jest.fn());
+      expect(res.json.mock.calls[0][0].errors[0]).toMatchObject({ field: 'workoutDate' });
+
+      const next = jest.fn();
+      validateWorkout(false)({ body: { ...body, status: 'planned' } }, createResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('Calendar', () => {
+    it('should group workouts by day and compare planned with done', () => {
+      const now = new Date('2024-03-06T12:00:00Z');
+      const workouts = [
+        buildWorkout({ workoutDate: new Date('2024-03-04T07:00:00Z'), status: 'completed' }),
+        buildWorkout({ workoutDate: new Date('2024-03-04T18:00:00Z'), status: 'skipped' }),
+        buildWorkout({ workoutDate: new Date('2024-03-05T07:00:00Z'), status: 'planned' }),
+        buildWorkout({ workoutDate: new Date('2024-03-06T07:00:00Z'), status: 'completed' }),
+        buildWorkout({ workoutDate: new Date('2024-03-08T07:00:00Z'), status: 'planned' }),
+      ];
+
+      const { summary, days } = buildCalendar(workouts, now);
+
+      expect(days.map((day) => [day.date, day.workouts.length])).toEqual([
+        ['2024-03-04', 2],
+        ['2024-03-05', 1],
+        ['2024-03-06', 1],
+        ['2024-03-08', 1],
+      ]);
+      expect(summary).toEqual({
+        planned: 2,
+        in_progress: 0,
+        completed: 2,
+        skipped: 1,
+        upcoming: 1,
+        completionRate: 50,
+      });
+    });
+
+    it('should group workouts by the local day of the time zone', () => {
+      const workouts = [
+        buildWorkout({ workoutDate: new Date('2024-03-05T02:00:00Z'), status: 'planned' }),
+        buildWorkout({ workoutDate: new Date('2024-03-05T14:00:00Z'), status: 'planned' }),
+      ];
+
+      const { days } = buildCalendar(workouts, new Date('2024-03-01T00:00:00Z'), 'America/New_York');
+
+      expect(days.map((day) => day.date)).toEqual(['2024-03-04', '2024-03-05']);
+    });
+  });
+
+  describe('GET /api/v1/users/:id/schedule', () => {
+    const token = (as = user) => `Bearer ${signAccessToken(as)}`;
+
+    it('should return the calendar for the requested range', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(WorkoutSchedule, 'find').mockResolvedValue([]);
+      const find = jest.spyOn(Workout, 'find').mockReturnValue({
+        sort: jest.fn().mockResolvedValue([
+          buildWorkout({ workoutDate: new Date('2024-03-04T07:00:00Z'), status: 'completed' }),
+        ]),
+      });
+
+      const response = await request(app)
+        .get(`/api/v1/users/${user._id}/schedule?from=2024-03-04&to=2024-03-10T23:59:59Z`)
+        .set('Authorization', token())
+        .expect(200);
+
+      expect(find.mock.calls[0][0].workoutDate.$gte.toISOString()).toBe('2024-03-04T00:00:00.000Z');
+      expect(response.body.data.days[0].date).toBe('2024-03-04');
+      expect(response.body.data.summary.completionRate).toBe(100);
+    });
+
+    it('should reject ranges that end before they start', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      const response = await request(app)
+        .get(`/api/v1/users/${user._id}/schedule?from=2024-03-10&to=2024-03-04`)
+        .set('Authorization', token())
+        .expect(400);
+
+      expect(response.body.errors[0].field).toBe('to');
+    });
+
+    it('should limit the range when only to is given', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      const find = jest.spyOn(WorkoutSchedule, 'find');
+
+      const response = await request(app)
+        .get(`/api/v1/users/${user._id}/schedule?to=2100-01-01`)
+        .set('Authorization', token())
+        .expect(400);
+
+      expect(response.body.errors[0]).toMatchObject({ field: 'to', message: 'A schedule can cover at most 366 days' });
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('should keep the calendar private to its owner', async () => {
+      const stranger = new User({ name: 'Stranger', email: 'stranger@example.com' });
+      jest.spyOn(User, 'findById').mockResolvedValue(stranger);
+      const find = jest.spyOn(WorkoutSchedule, 'find');
+
+      await request(app).get(`/api/v1/users/${user._id}/schedule`).expect(401);
+      await request(app)
+        .get(`/api/v1/users/${user._id}/schedule`)
+        .set('Authorization', token(stranger))
+        .expect(403);
+
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /api/v1/workouts/:id status changes', () => {
+    const token = () => `Bearer ${signAccessToken(user)}`;
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      jest.spyOn(Workout, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      jest.spyOn(PersonalRecord, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+      jest.spyOn(Workout.prototype, 'save').mockImplementation(function () {
+        return this.validate().then(() => this);
+      });
+    });
+
+    it('should move a workout planned for later to now when it is completed', async () => {
+      const plan = Workout.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        userId: user._id,
+        title: 'Tempo Run',
+        exerciseType: 'running',
+        duration: 40,
+        caloriesBurned: 450,
+        workoutDate: new Date(Date.now() + DAY),
+        status: 'planned',
+        completed: false,
+      });
+      jest.spyOn(Workout, 'findById').mockResolvedValue(plan);
+
+      const response = await request(app)
+        .put(`/api/v1/workouts/${plan._id}`)
+        .set('Authorization', token())
+        .send({ status: 'completed' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ status: 'completed', completed: true });
+      expect(new Date(response.body.data.workoutDate).getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should reject status changes outside the lifecycle', async () => {
+      const done = Workout.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        userId: user._id,
+        title: 'Intervals',
+        exerciseType: 'running',
+        duration: 40,
+        caloriesBurned: 450,
+        workoutDate: new Date(),
+        status: 'completed',
+        completed: true,
+      });
+      jest.spyOn(Workout, 'findById').mockResolvedValue(done);
+
+      const response = await request(app)
+        .put(`/api/v1/workouts/${done._id}`)
+        .set('Authorization', token())
+        .send({ status: 'skipped' })
+        .expect(400);
+
+      expect(response.body.message).toBe('A completed workout cannot be changed to skipped');
+    });
+  });
+});
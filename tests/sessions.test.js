@@ -0,0 +1,106 @@
+/**
+ * Session Store Tests
+ * Unit tests for the MongoDB session store and device descriptions
+ */
+
+const Session = require('../src/models/Session');
+const MongooseSessionStore = require('../src/config/sessionStore');
+const { describeUserAgent } = require('../src/utils/userAgent');
+
+// Call a callback-style store method and resolve with its result
+const call = (store, method, ...args) => new Promise((resolve, reject) => {
+  store[method](...args, (error, result) => (error ? reject(error) : resolve(result)));
+});
+
+describe('Sessions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('describeUserAgent', () => {
+    it('should name the browser and operating system', () => {
+      expect(describeUserAgent(
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'
+      )).toBe('Chrome on macOS');
+      expect(describeUserAgent(
+        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36 Edg/120.0'
+      )).toBe('Edge on Windows');
+      expect(describeUserAgent(
+        'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1'
+      )).toBe('Safari on iOS');
+    });
+
+    it('should fall back to the client name for API clients', () => {
+      expect(describeUserAgent('curl/8.4.0')).toBe('curl/8.4.0');
+      expect(describeUserAgent(undefined)).toBe('Unknown device');
+    });
+  });
+
+  describe('MongooseSessionStore', () => {
+    const store = new MongooseSessionStore();
+    const sid = 'plain-session-id';
+    const userId = '6523f1a2b4c5d6e7f8a9b0c1';
+    const expires = new Date(Date.now() + 60 * 60 * 1000);
+    const sess = {
+      cookie: { expires: expires.toISOString(), httpOnly: true },
+      passport: { user: userId },
+      client: { userAgent: 'curl/8.4.0', ip: '203.0.113.7' },
+    };
+
+    it('should key documents by a hash of the session ID', () => {
+      expect(MongooseSessionStore.getId(sid)).toHaveLength(64);
+      expect(MongooseSessionStore.getId(sid)).not.toContain(sid);
+    });
+
+    it('should store the user and device details with the session', async () => {
+      const updateOne = jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+
+      await call(store, 'set', sid, sess);
+
+      const [filter, update, options] = updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: MongooseSessionStore.getId(sid) });
+      expect(update.userId).toBe(userId);
+      expect(update.userAgent).toBe('curl/8.4.0');
+      expect(update.ip).toBe('203.0.113.7');
+      expect(update.expiresAt).toEqual(expires);
+      expect(JSON.parse(update.data)).toEqual(sess);
+      expect(options).toEqual({ upsert: true });
+    });
+
+    it('should load stored sessions and ignore expired ones', async () => {
+      const findOne = jest.spyOn(Session, 'findOne').mockReturnValue({
+        lean: () => Promise.resolve({ data: JSON.stringify(sess) }),
+      });
+
+      expect(await call(store, 'get', sid)).toEqual(sess);
+      expect(findOne.mock.calls[0][0].expiresAt.$gt).toBeInstanceOf(Date);
+
+      findOne.mockReturnValue({ lean: () => Promise.resolve(null) });
+      expect(await call(store, 'get', sid)).toBeNull();
+    });
+
+    it('should only record activity once per interval on touch', async () => {
+      const updateOne = jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+
+      await call(store, 'touch', sid, sess);
+
+      const [filter, update] = updateOne.mock.calls[0];
+      expect(filter.lastSeenAt.$lt).toBeInstanceOf(Date);
+      expect(update.expiresAt).toEqual(expires);
+    });
+
+    it('should delete sessions on destroy', async () => {
+      const deleteOne = jest.spyOn(Session, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      await call(store, 'destroy', sid);
+
+      expect(deleteOne).toHaveBeenCalledWith({ _id: MongooseSessionStore.getId(sid) });
+    });
+
+    it('should pass database errors to express-session', async () => {
+      jest.spyOn(Session, 'deleteOne').mockRejectedValue(new Error('connection lost'));
+
+      await expect(call(store, 'destroy', sid)).rejects.toThrow('connection lost');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Workout Template Tests
+ * Unit tests for template validation and logging workouts from templates
+ */
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Workout = require('../src/models/workout');
+const WorkoutTemplate = require('../src/models/WorkoutTemplate');
+const PersonalRecord = require('../src/models/PersonalRecord');
+const AuditEvent = require('../src/models/AuditEvent');
+const { signAccessToken } = require('../src/utils/jwt');
+const { validateTemplate } = require('../src/middleware/validator');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Workout Templates', () => {
+  const user = new User({ name: 'Template User', email: 'templates@example.com' });
+
+  const pushDay = new WorkoutTemplate({
+    userId: user._id,
+    title: 'Push Day A',
+    exerciseType: 'strength',
+    duration: 60,
+    caloriesBurned: 400,
+    intensity: 'high',
+    exercises: [
+      { name: 'Bench Press', setDetails: [{ reps: 8, weight: 80 }, { reps: 8, weight: 80 }] },
+      { name: 'Dips', sets: 3, reps: 12 },
+    ],
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Validation', () => {
+    it('should require a title and exercise type on create', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      validateTemplate(false)({ body: { duration: 30 } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].errors.map((error) => error.field)).toEqual(['title', 'exerciseType']);
+    });
+
+    it('should reject logged-workout fields and check workout field formats', () => {
+      const res = createResponse();
+
+      validateTemplate(true)({ body: { workoutDate: '2024-01-01', duration: 0 } }, res, jest.fn());
+      expect(res.json.mock.calls[0][0].errors.map((error) => error.field)).toEqual(['workoutDate']);
+
+      const formatRes = createResponse();
+      validateTemplate(true)({ body: { duration: 0 } }, formatRes, jest.fn());
+      expect(formatRes.json.mock.calls[0][0].errors.map((error) => error.field)).toEqual(['duration']);
+    });
+  });
+
+  describe('Prefilling workouts', () => {
+    it('should copy the planned values and apply overrides', () => {
+      const data = pushDay.toWorkoutData({ duration: 55, notes: undefined });
+
+      expect(data).toMatchObject({
+        userId: user._id,
+        templateId: pushDay._id,
+        title: 'Push Day A',
+        exerciseType: 'strength',
+        duration: 55,
+        caloriesBurned: 400,
+        intensity: 'high',
+      });
+      expect(data.exercises).toHaveLength(2);
+      expect(data.exercises[0]._id).toBeUndefined();
+      expect(data.exercises[0].setDetails).toHaveLength(2);
+    });
+
+    it('should count planned sets', async () => {
+      await pushDay.validate();
+
+      expect(pushDay.exercises[0].sets).toBe(2);
+    });
+  });
+
+  describe('POST /api/v1/workouts/from-template/:templateId', () => {
+    const token = () => `Bearer ${signAccessToken(user)}`;
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      jest.spyOn(Workout, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      jest.spyOn(PersonalRecord, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    });
+
+    it('should log a workout with the template values and overrides', async () => {
+      jest.spyOn(WorkoutTemplate, 'findById').mockResolvedValue(pushDay);
+      const create = jest.spyOn(Workout, 'create').mockImplementation((data) => Promise.resolve(new Workout(data)));
+
+      const response = await request(app)
+        .post(`/api/v1/workouts/from-template/${pushDay._id}`)
+        .set('Authorization', token())
+        .send({ workoutDate: '2024-03-04T18:00:00Z', duration: 70 })
+        .expect(201);
+
+      expect(create.mock.calls[0][0]).toMatchObject({
+        userId: user._id,
+        templateId: pushDay._id,
+        title: 'Push Day A',
+        duration: 70,
+        caloriesBurned: 400,
+        completed: true,
+      });
+      expect(response.body.data.templateId).toBe(pushDay._id.toString());
+      expect(response.body.data.exercises.map((exercise) => exercise.name)).toEqual(['Bench Press', 'Dips']);
+      expect(response.body.data.totalTonnage).toBe(1280);
+    });
+
+    it('should require values the template does not plan', async () => {
+      const stretch = new WorkoutTemplate({ userId: user._id, title: 'Stretch', exerciseType: 'flexibility' });
+      jest.spyOn(WorkoutTemplate, 'findById').mockResolvedValue(stretch);
+
+      const response = await request(app)
+        .post(`/api/v1/workouts/from-template/${stretch._id}`)
+        .set('Authorization', token())
+        .send({ duration: 20 })
+        .expect(400);
+
+      expect(response.body.message).toContain('caloriesBurned');
+    });
+
+    it("should not use another user's template", async () => {
+      const other = new WorkoutTemplate({
+        userId: new mongoose.Types.ObjectId(),
+        title: 'Their Routine',
+        exerciseType: 'running',
+        duration: 30,
+        caloriesBurned: 300,
+      });
+      jest.spyOn(WorkoutTemplate, 'findById').mockResolvedValue(other);
+
+      await request(app)
+        .post(`/api/v1/workouts/from-template/${other._id}`)
+        .set('Authorization', token())
+        .send({})
+        .expect(403);
+    });
+  });
+});
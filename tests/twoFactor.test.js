@@ -0,0 +1,222 @@
+/**
+ * Two-Factor Authentication Tests
+ * Unit tests for TOTP codes, recovery codes and half-authenticated sessions
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const { signTwoFactorChallenge } = require('../src/utils/jwt');
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getStep,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri,
+} = require('../src/utils/totp');
+const { requireAuth } = require('../src/middleware/auth');
+const { validateTwoFactorCode } = require('../src/middleware/validator');
+
+// RFC 6238 test secret ("12345678901234567890" as base32)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('Two-Factor Authentication', () => {
+  describe('TOTP', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      expect(generateCode(RFC_SECRET, getStep(59 * 1000), 8)).toBe('94287082');
+      expect(generateCode(RFC_SECRET, getStep(1111111109 * 1000), 8)).toBe('07081804');
+      expect(generateCode(RFC_SECRET, getStep(2000000000 * 1000), 8)).toBe('69279037');
+    });
+
+    it('should round-trip base32', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Encode(base32Decode(secret))).toBe(secret);
+    });
+
+    it('should accept codes from the neighbouring time steps only', () => {
+      const timestamp = 1700000000000;
+      const step = getStep(timestamp);
+
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), { timestamp })).toBe(step);
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { timestamp })).toBe(step - 1);
+      expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 3), { timestamp })).toBeNull();
+    });
+
+    it('should reject reused and malformed codes', () => {
+      const timestamp = 1700000000000;
+      const step = getStep(timestamp);
+      const code = generateCode(RFC_SECRET, step);
+
+      expect(verifyCode(RFC_SECRET, code, { timestamp, afterStep: step })).toBeNull();
+      expect(verifyCode(RFC_SECRET, '12345', { timestamp })).toBeNull();
+      expect(verifyCode(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    });
+
+    it('should build an otpauth URI for authenticator apps', () => {
+      const uri = buildOtpauthUri({ secret: 'ABC', accountName: 'me@example.com', issuer: 'Fitness Tracker' });
+
+      expect(uri).toBe(
+        'otpauth://totp/Fitness%20Tracker:me%40example.com?secret=ABC&issuer=Fitness+Tracker&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+
+  describe('User two-factor methods', () => {
+    const createUser = () => {
+      const user = new User({ name: 'Secure User', email: 'secure@example.com' });
+      user.twoFactor.enabled = true;
+      user.twoFactor.secret = generateSecret();
+      return user;
+    };
+
+    it('should accept a code once', () => {
+      const user = createUser();
+      const code = generateCode(user.twoFactor.secret, getStep());
+
+      expect(user.verifyTwoFactorCode(code)).toBe(true);
+      expect(user.verifyTwoFactorCode(code)).toBe(false);
+    });
+
+    it('should check enrollment codes against the pending secret', () => {
+      const user = new User({ name: 'New User', email: 'new@example.com' });
+      user.twoFactor.pendingSecret = generateSecret();
+      const code = generateCode(user.twoFactor.pendingSecret, getStep());
+
+      expect(user.verifyTwoFactorCode(code)).toBe(false);
+      expect(user.verifyTwoFactorCode(code, { pending: true })).toBe(true);
+    });
+
+    it('should issue single-use recovery codes', () => {
+      const user = createUser();
+      const codes = user.generateRecoveryCodes();
+
+      expect(codes).toHaveLength(10);
+      expect(codes[0]).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+      expect(user.twoFactor.recoveryCodeHashes).not.toContain(codes[0]);
+
+      expect(user.useRecoveryCode(codes[0].toUpperCase())).toBe(true);
+      expect(user.useRecoveryCode(codes[0])).toBe(false);
+      expect(user.twoFactor.recoveryCodeHashes).toHaveLength(9);
+    });
+
+    it('should not expose secrets in JSON', () => {
+      const user = createUser();
+      user.generateRecoveryCodes();
+
+      expect(user.toJSON().twoFactor).toEqual({ enabled: true, enabledAt: undefined });
+    });
+  });
+
+  describe('Half-authenticated sessions', () => {
+    it('should be rejected by requireAuth', async () => {
+      const req = {
+        path: '/api/v1/workouts',
+        method: 'POST',
+        session: { twoFactor: { userId: 'abc', expiresAt: Date.now() + 60000, attempts: 0 } },
+        get: () => undefined,
+        isAuthenticated: () => false,
+      };
+      const res = createResponse();
+      const next = jest.fn();
+
+      await requireAuth(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].errors[0].type).toBe('two_factor_required');
+    });
+  });
+
+  describe('Challenge logins', () => {
+    const createUser = () => {
+      const user = new User({ name: 'Secure User', email: 'secure@example.com' });
+      user.twoFactor.enabled = true;
+      user.twoFactor.secret = RFC_SECRET;
+      user.generateRecoveryCodes();
+      return user;
+    };
+
+    const verify = (user, code = '000000') => request(app)
+      .post('/auth/2fa/verify')
+      .send({ challenge: signTwoFactorChallenge(user), code });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should count wrong codes against the user and lock at the limit', async () => {
+      const user = createUser();
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      const increment = jest.spyOn(User, 'findByIdAndUpdate')
+        .mockResolvedValue({ twoFactor: { failedAttempts: 10 } });
+      const lock = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+      await verify(user).expect(401);
+
+      expect(increment.mock.calls[0][1]).toEqual({ $inc: { 'twoFactor.failedAttempts': 1 } });
+      expect(lock.mock.calls[0][1].$set['twoFactor.lockedUntil'].getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should refuse even a valid code while locked', async () => {
+      const user = createUser();
+      user.twoFactor.lockedUntil = new Date(Date.now() + 60000);
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      const save = jest.spyOn(User.prototype, 'save');
+
+      await verify(user, generateCode(RFC_SECRET, getStep())).expect(429);
+
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should clear the counter after a valid code', async () => {
+      const user = createUser();
+      user.twoFactor.failedAttempts = 3;
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      jest.spyOn(User.prototype, 'save').mockImplementation(function save() {
+        return Promise.resolve(this);
+      });
+      jest.spyOn(Session, 'deleteOne').mockResolvedValue({});
+      jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+
+      await verify(user, generateCode(RFC_SECRET, getStep())).expect(200);
+
+      expect(user.twoFactor.failedAttempts).toBeUndefined();
+    });
+  });
+
+  describe('validateTwoFactorCode', () => {
+    it('should require a 6-digit code', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      validateTwoFactorCode()({ body: { code: '12ab' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should accept recovery codes only where allowed', () => {
+      const next = jest.fn();
+
+      validateTwoFactorCode({ allowRecoveryCode: true })({ body: { recoveryCode: 'abcde-12345' } }, createResponse(), next);
+      expect(next).toHaveBeenCalledTimes(1);
+
+      const res = createResponse();
+      validateTwoFactorCode()({ body: { recoveryCode: 'abcde-12345' } }, res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Wellness Tests
+ * Unit tests for the daily wellness log and the readiness score
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const WellnessEntry = require('../src/models/WellnessEntry');
+const Workout = require('../src/models/workout');
+const AuditEvent = require('../src/models/AuditEvent');
+const { signAccessToken } = require('../src/utils/jwt');
+const { calculateReadiness, calculateTrainingLoad } = require('../src/utils/readiness');
+
+describe('Wellness', () => {
+  const user = new User({ name: 'Well Rested', email: 'wellness@example.com', weight: 70, timezone: 'UTC' });
+
+  const withAuth = (req) => req.set('Authorization', `Bearer ${signAccessToken(user)}`);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Readiness score', () => {
+    const date = '2024-03-10';
+    const workout = (day, duration, intensity) => ({ workoutDate: new Date(`${day}T08:00:00Z`), duration, intensity });
+
+    it('should weigh the components that have data', () => {
+      const readiness = calculateReadiness({
+        entry: { sleepHours: 6, sleepQuality: 4, soreness: 2, mood: 4, waterIntake: 2100 },
+        history: [],
+        workouts: [],
+        weight: 70,
+        date,
+        timeZone: 'UTC',
+      });
+
+      expect(readiness.components.sleep.score).toBe(75);
+      expect(readiness.components.hydration).toMatchObject({ score: 86, target: 2450 });
+      expect(readiness.components.hrv).toMatchObject({ score: null, weight: 0 });
+      // (75 x 0.25 + 75 x 0.15 + 100 x 0.15 + 75 x 0.1 + 86 x 0.05) / 0.7
+      expect(readiness).toMatchObject({ date, score: 81, level: 'high' });
+    });
+
+    it('should compare HRV and resting heart rate with the personal baseline', () => {
+      const history = [
+        { hrv: 60, restingHeartRate: 50 },
+        { hrv: 62, restingHeartRate: 52 },
+        { hrv: 58, restingHeartRate: 54 },
+      ];
+      const readiness = calculateReadiness({
+        entry: { hrv: 54, restingHeartRate: 56 },
+        history,
+        workouts: [],
+        date,
+        timeZone: 'UTC',
+      });
+
+      expect(readiness.components.hrv).toMatchObject({ score: 50, value: 54, baseline: 60 });
+      expect(readiness.components.restingHeartRate).toMatchObject({ score: 45, baseline: 52 });
+
+      // Two earlier values are not enough for a baseline
+      const early = calculateReadiness({ entry: { hrv: 54 }, history: history.slice(1), workouts: [], date, timeZone: 'UTC' });
+      expect(early.components.hrv.score).toBeNull();
+    });
+
+    it('should score training load on the acute:chronic workload ratio', () => {
+      const older = [workout('2024-02-15', 60, 'moderate'), workout('2024-02-22', 60, 'moderate'), workout('2024-02-29', 60, 'moderate')];
+
+      // 180 this week against 540 / 4 weeks
+      expect(calculateTrainingLoad([...older, workout('2024-03-09', 60, 'high')], date, 'UTC'))
+        .toEqual({ acute: 180, chronic: 135, ratio: 1.33, score: 67 });
+      expect(calculateTrainingLoad([...older, workout('2024-03-08', 60, 'high'), workout('2024-03-09', 60, 'high')], date, 'UTC').score)
+        .toBe(0);
+      // No earlier training to compare with
+      expect(calculateTrainingLoad([workout('2024-03-09', 30, 'low')], date, 'UTC')).toMatchObject({ ratio: null, score: 50 });
+      expect(calculateTrainingLoad([], date, 'UTC')).toEqual({ acute: 0, chronic: 0, ratio: null, score: 100 });
+    });
+
+    it('should advise rest when recovery is poor', () => {
+      const readiness = calculateReadiness({
+        entry: { sleepHours: 4, sleepQuality: 1, soreness: 5, mood: 2 },
+        history: [],
+        workouts: [],
+        date,
+        timeZone: 'UTC',
+      });
+
+      expect(readiness).toMatchObject({ score: 37, level: 'low' });
+    });
+  });
+
+  describe('PUT /api/v1/users/:id/wellness/:date', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(AuditEvent, 'create').mockImplementation((event) => Promise.resolve(event));
+      jest.spyOn(WellnessEntry.prototype, 'save').mockImplementation(async function () {
+        await this.validate();
+        return this;
+      });
+    });
+
+    it('should create the day\'s entry, then add to it', async () => {
+      jest.spyOn(WellnessEntry, 'findOne').mockResolvedValueOnce(null);
+
+      const created = await withAuth(request(app).put(`/api/v1/users/${user._id}/wellness/2024-03-10`))
+        .send({ sleepHours: 7.5, sleepQuality: 4 })
+        .expect(201);
+
+      expect(created.body.data).toMatchObject({ date: '2024-03-10', sleepHours: 7.5, sleepQuality: 4 });
+
+      WellnessEntry.findOne.mockResolvedValueOnce(WellnessEntry.hydrate(created.body.data));
+
+      const updated = await withAuth(request(app).put(`/api/v1/users/${user._id}/wellness/2024-03-10`))
+        .send({ hrv: 62, sleepQuality: null })
+        .expect(200);
+
+      expect(updated.body.data).toMatchObject({ sleepHours: 7.5, hrv: 62 });
+      expect(updated.body.data.sleepQuality).toBeUndefined();
+    });
+
+    it('should reject future days and out-of-range or unknown fields', async () => {
+      await withAuth(request(app).put(`/api/v1/users/${user._id}/wellness/2999-01-01`))
+        .send({ mood: 4 })
+        .expect(400);
+
+      const response = await withAuth(request(app).put(`/api/v1/users/${user._id}/wellness/2024-03-10`))
+        .send({ soreness: 6, mood: 3.5, steps: 10000 })
+        .expect(400);
+
+      expect(response.body.errors.map((error) => error.field)).toEqual(['steps', 'soreness', 'mood']);
+    });
+  });
+
+  describe('GET /api/v1/users/:id/readiness', () => {
+    it('should return the user statistics with the readiness of the day', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+      jest.spyOn(WellnessEntry, 'findOne').mockResolvedValue(
+        new WellnessEntry({ userId: user._id, date: '2024-03-10', sleepHours: 8, soreness: 1 })
+      );
+      const findHistory = jest.spyOn(WellnessEntry, 'find').mockReturnValue({
+        select: () => ({ lean: jest.fn().mockResolvedValue([]) }),
+      });
+      const findWorkouts = jest.spyOn(Workout, 'find').mockReturnValue({
+        sort: () => ({ limit: () => ({ lean: jest.fn().mockResolvedValue([]) }) }),
+        select: () => ({ lean: jest.fn().mockResolvedValue([]) }),
+      });
+      jest.spyOn(Workout, 'getTotalCaloriesByUser').mockResolvedValue({ totalWorkouts: 0, totalCalories: 0, totalDuration: 0 });
+      jest.spyOn(Workout, 'countDocuments').mockResolvedValue(0);
+
+      const response = await withAuth(request(app).get(`/api/v1/users/${user._id}/readiness?date=2024-03-10`))
+        .expect(200);
+
+      expect(response.body.data.user).toMatchObject({ name: 'Well Rested' });
+      expect(response.body.data.workouts).toMatchObject({ total: 0, thisWeek: 0 });
+      expect(response.body.data.readiness).toMatchObject({ date: '2024-03-10', score: 100, level: 'high' });
+      expect(response.body.data.readiness.entry).toMatchObject({ sleepHours: 8 });
+      expect(findHistory).toHaveBeenCalledWith({ userId: user._id.toString(), date: { $gte: '2024-02-11', $lt: '2024-03-10' } });
+      expect(findWorkouts).toHaveBeenCalledWith({
+        userId: user._id.toString(),
+        completed: true,
+        workoutDate: { $gte: new Date('2024-02-12T00:00:00Z'), $lt: new Date('2024-03-11T00:00:00Z') },
+      });
+    });
+
+    it('should reject future and malformed dates', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+      await withAuth(request(app).get(`/api/v1/users/${user._id}/readiness?date=2999-01-01`)).expect(400);
+      await withAuth(request(app).get(`/api/v1/users/${user._id}/readiness?date=yesterday`)).expect(400);
+    });
+
+    it('should keep wellness data private to the user', async () => {
+      const stranger = new User({ name: 'Nosy Neighbour', email: 'nosy@example.com' });
+      jest.spyOn(User, 'findById').mockResolvedValue(stranger);
+
+      await request(app).get(`/api/v1/users/${user._id}/readiness`).expect(401);
+      await request(app).get(`/api/v1/users/${user._id}/wellness/2024-03-10`).expect(401);
+      await request(app)
+        .get(`/api/v1/users/${user._id}/wellness`)
+        .set('Authorization', `Bearer ${signAccessToken(stranger)}`)
+        .expect(403);
+    });
+  });
+});
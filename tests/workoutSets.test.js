@@ -0,0 +1,127 @@
+/**
+ * Workout Set Logging Tests
+ * Unit tests for per-set logging, volume and tonnage, and set validation
+ */
+
+const mongoose = require('mongoose');
+const Workout = require('../src/models/workout');
+const { validateWorkout } = require('../src/middleware/validator');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Build an unsaved workout around a list of exercise entries
+const buildWorkout = (exercises) => new Workout({
+  userId: new mongoose.Types.ObjectId(),
+  title: 'Strength Session',
+  exerciseType: 'strength',
+  duration: 60,
+  caloriesBurned: 400,
+  workoutDate: new Date('2024-01-15T10:00:00Z'),
+  exercises,
+});
+
+describe('Workout Set Logging', () => {
+  describe('Volume and tonnage', () => {
+    it('should total logged sets and leave out warm-ups', async () => {
+      const workout = buildWorkout([{
+        name: 'Back Squat',
+        setDetails: [
+          { type: 'warm_up', reps: 10, weight: 40 },
+          { reps: 5, weight: 100, rpe: 8 },
+          { reps: 5, weight: 102.5, rir: 1 },
+          { type: 'drop', reps: 8, weight: 80 },
+        ],
+      }]);
+
+      await workout.validate();
+      const [exercise] = workout.toJSON().exercises;
+
+      expect(exercise.sets).toBe(4);
+      expect(exercise.volume).toBe(18);
+      expect(exercise.tonnage).toBe(1652.5);
+    });
+
+    it('should read summary entries as identical sets', () => {
+      const workout = buildWorkout([
+        { name: 'Bench Press', sets: 3, reps: 10, weight: 60 },
+        { name: 'Pull-Up', reps: 8 },
+        { name: 'Plank' },
+      ]);
+
+      expect(workout.exercises.map((exercise) => exercise.volume)).toEqual([30, 8, 0]);
+      expect(workout.totalVolume).toBe(38);
+      expect(workout.totalTonnage).toBe(1800);
+    });
+
+    it('should keep set order and normalize tempo notation', async () => {
+      const workout = buildWorkout([{
+        name: 'Deadlift',
+        setDetails: [
+          { reps: 5, weight: 140, tempo: '20x1', restSeconds: 180 },
+          { type: 'failure', reps: 3, weight: 150 },
+        ],
+      }]);
+
+      await workout.validate();
+
+      expect(workout.exercises[0].setDetails.map((set) => set.weight)).toEqual([140, 150]);
+      expect(workout.exercises[0].setDetails[0].tempo).toBe('20X1');
+      expect(workout.exercises[0].setDetails[0].type).toBe('working');
+    });
+
+    it('should not add set details to summary entries', () => {
+      const workout = buildWorkout([{ name: 'Bench Press', sets: 3, reps: 10 }]);
+
+      expect(workout.toJSON({ virtuals: false }).exercises[0].setDetails).toBeUndefined();
+    });
+  });
+
+  describe('Validation', () => {
+    it('should accept a fully described set', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      validateWorkout(true)({
+        body: {
+          exercises: [{
+            name: 'Bench Press',
+            setDetails: [{ type: 'working', reps: 8, weight: 60, rpe: 8.5, rir: 2, restSeconds: 90, tempo: '3-1-X-0' }],
+          }],
+        },
+      }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should report each invalid set field with its path', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      validateWorkout(true)({
+        body: {
+          exercises: [{
+            name: 'Bench Press',
+            setDetails: [
+              { reps: 8 },
+              { type: 'cluster', reps: -1, rpe: 11, tempo: 'slow' },
+            ],
+          }],
+        },
+      }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].errors.map((error) => error.field)).toEqual([
+        'exercises[0].setDetails[1].type',
+        'exercises[0].setDetails[1].reps',
+        'exercises[0].setDetails[1].rpe',
+        'exercises[0].setDetails[1].tempo',
+      ]);
+    });
+  });
+});